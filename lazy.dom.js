@@ -14,24 +14,37 @@
    *
    * @param {function(Event):*} fn The function to call on each event in the
    *     sequence. Return false from the function to stop handling the events.
+   * @return {Lazy.AsyncHandle} A handle which will be resolved once `fn`
+   *     returns false (or rejected, if it throws an error).
    */
   EventSequence.prototype.each = function(fn) {
     var element = this.element,
-        eventName = this.eventName;
+        eventName = this.eventName,
+        handle = new Lazy.AsyncHandle(),
+        i = 0;
 
     var listener = function(e) {
-      if (fn(e) === false) {
+      try {
+        if (fn(e, i++) === false) {
+          element.removeEventListener(eventName, listener);
+          handle.resolve();
+        }
+      } catch (err) {
         element.removeEventListener(eventName, listener);
+        handle.reject(err);
       }
     };
 
     this.element.addEventListener(this.eventName, listener);
+
+    return handle;
   };
 
   /**
    * Creates a {@link Sequence} from the specified DOM events triggered on the
-   * given element. This sequence works asynchronously, so synchronous methods
-   * such as {@code indexOf}, {@code any}, and {@code toArray} won't work.
+   * given element. This sequence works asynchronously, so methods such as
+   * {@code indexOf}, {@code any}, and {@code toArray} return a
+   * {@link AsyncHandle} (and accept a callback) rather than a value.
    *
    * @param {Element} element The DOM element to capture events from.
    * @param {string} eventName The name of the event type (e.g., 'keypress')
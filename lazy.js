@@ -94,7 +94,8 @@
    *    the underlying sequence.
    * 2. Define an `each` method on this new function's prototype, which accepts
    *    a function as a parameter and calls `this.parent.each` to fetch elements
-   *    one by one from the underlying sequence.
+   *    one by one from the underlying sequence. Return the result of that call,
+   *    so that iterating over an asynchronous parent can be tracked.
    *
    * As a trivial example, the following code defines a new type of sequence
    * called `SampleSequence` which randomly may or may not include each element
@@ -103,7 +104,7 @@
    *     var SampleSequence = Lazy.Sequence.define("sample");
    *
    *     SampleSequence.prototype.each = function(fn) {
-   *       this.parent.each(function(e) {
+   *       return this.parent.each(function(e) {
    *         // 50/50 chance of including this element.
    *         if (Math.random() > 0.5) {
    *           return fn(e);
@@ -145,7 +146,7 @@
    * // This sequence type logs every element to the console
    * // as it iterates over it.
    * VerboseSequence.prototype.each = function(fn) {
-   *   this.parent.each(function(e, i) {
+   *   return this.parent.each(function(e, i) {
    *     console.log(e);
    *     return fn(e, i);
    *   });
@@ -203,7 +204,11 @@
    * Note that for indefinite sequences, this method may raise an exception or
    * (worse) cause the environment to hang.
    *
-   * @return {Array} An array containing the current contents of the sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the array once it has been populated. This is mainly useful for
+   *     asynchronous sequences (see {@link AsyncSequence}).
+   * @return {Array} An array containing the current contents of the sequence (or,
+   *     for an asynchronous sequence, an {@link AsyncHandle} for that array).
    *
    * @example
    * var range = Lazy.range(1, 10);
@@ -212,18 +217,20 @@
    * var array = range.toArray();
    * // => [1, 2, ..., 9]
    */
-  Sequence.prototype.toArray = function() {
+  Sequence.prototype.toArray = function(callback) {
     var array = [];
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       array.push(e);
     });
 
-    return array;
+    return finishIteration(iteration, function() { return array; }, callback);
   };
 
   /**
    * Creates an object from a sequence of key/value pairs.
    *
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the object once it has been populated.
    * @return {Object} An object with keys and values corresponding to the pairs
    *     of elements in the sequence.
    *
@@ -237,13 +244,13 @@
    * var person = Lazy(details).toObject();
    * // => { first: "Dan", last: "Tao", age: 29 }
    */
-  Sequence.prototype.toObject = function() {
+  Sequence.prototype.toObject = function(callback) {
     var object = {};
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       object[e[0]] = e[1];
     });
 
-    return object;
+    return finishIteration(iteration, function() { return object; }, callback);
   };
 
   /**
@@ -251,6 +258,8 @@
    *
    * @param {Function} fn The function to call on each element in the sequence.
    *     Return false from the function to end the iteration.
+   * @return {*} Nothing for synchronous sequences. Asynchronous sequences return
+   *     an {@link AsyncHandle} which is resolved once iteration has finished.
    *
    * @example
    * var subordinates = [joe, bill, wendy];
@@ -264,7 +273,7 @@
    * Alias for {@link Sequence#each}.
    */
   Sequence.prototype.forEach = function(fn) {
-    this.each(fn);
+    return this.each(fn);
   };
 
   /**
@@ -498,18 +507,26 @@
 
   /**
    * Creates a new sequence comprising all but the last N elements of this
-   * sequence.
+   * sequence, or (if given a predicate) all but the elements at the end of this
+   * sequence that satisfy it.
    *
-   * @param {number=} count The number of items to omit from the end of the
-   *     sequence (defaults to 1).
+   * @param {number|Function=} count The number of items to omit from the end of
+   *     the sequence (defaults to 1), or a predicate which is passed each
+   *     element and its index.
    * @return {Sequence} The new sequence.
    *
    * @example
    * var produce = [apple, banana, carrot, durian];
    * var edibleProduce = Lazy(produce).initial();
    * // => sequence: (apple, banana, carrot)
+   *
+   * Lazy(["a", "", "b", "", ""]).initial(function(s) { return s === ""; });
+   * // => sequence: ("a", "", "b")
    */
   Sequence.prototype.initial = function(count) {
+    if (typeof count === "function") {
+      return new DropTrailingSequence(this, count);
+    }
     if (typeof count === "undefined") {
       count = 1;
     }
@@ -517,11 +534,13 @@
   };
 
   /**
-   * Creates a new sequence comprising the last N elements of this sequence, OR
-   * (if N is `undefined`) simply returns the last element of this sequence.
+   * Creates a new sequence comprising the last N elements of this sequence, or
+   * (if given a predicate) the elements at the end of this sequence that satisfy
+   * it, OR (if N is `undefined`) simply returns the last element of this
+   * sequence.
    *
-   * @param {number=} count The number of items to take from the end of the
-   *     sequence.
+   * @param {number|Function=} count The number of items to take from the end of
+   *     the sequence, or a predicate which is passed each element and its index.
    * @return {*} The new sequence (or the last element from this sequence
    *     if no count was given).
    *
@@ -529,8 +548,14 @@
    * var siblings = [lauren, adam, daniel, happy];
    * var favorite = Lazy(siblings).last();
    * // => happy
+   *
+   * Lazy([5, 1, 7, 2, 4]).last(function(x) { return x % 2 === 0; });
+   * // => sequence: (2, 4)
    */
   Sequence.prototype.last = function(count) {
+    if (typeof count === "function") {
+      return new TakeTrailingSequence(this, count);
+    }
     if (typeof count === "undefined") {
       return this.reverse().first();
     }
@@ -590,9 +615,292 @@
    */
   Sequence.prototype.drop = Sequence.prototype.rest;
 
+  /**
+   * Creates a new sequence comprising the elements at the start of this one that
+   * satisfy a predicate, up to (but not including) the first one that doesn't.
+   * No more elements are read from this sequence after that one, so this works
+   * on indefinite sequences and stops reading streams early.
+   *
+   * @param {Function} predicate The function to call on each element, along with
+   *     its index.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 1]).takeWhile(function(x) { return x < 3; });
+   * // => sequence: (1, 2)
+   *
+   * Lazy.generate(function(i) { return i * i; }).takeWhile(function(x) { return x < 20; });
+   * // => sequence: (0, 1, 4, 9, 16)
+   */
+  Sequence.prototype.takeWhile = function(predicate) {
+    return new TakeWhileSequence(this, predicate, false);
+  };
+
+  /**
+   * Creates a new sequence comprising the elements at the start of this one, up
+   * to (but not including) the first one that satisfies a predicate. See
+   * {@link Sequence#takeWhile}.
+   *
+   * @param {Function} predicate The function to call on each element, along with
+   *     its index.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["a", "b", "END", "c"]).takeUntil(function(s) { return s === "END"; });
+   * // => sequence: ("a", "b")
+   */
+  Sequence.prototype.takeUntil = function(predicate) {
+    return new TakeWhileSequence(this, predicate, true);
+  };
+
+  /**
+   * Creates a new sequence comprising the elements of this one from the first
+   * one that doesn't satisfy a predicate onwards. The predicate isn't called any
+   * more after that.
+   *
+   * @param {Function} predicate The function to call on each element, along with
+   *     its index.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 1]).dropWhile(function(x) { return x < 3; });
+   * // => sequence: (3, 4, 1)
+   */
+  Sequence.prototype.dropWhile = function(predicate) {
+    return new DropWhileSequence(this, predicate, false);
+  };
+
+  /**
+   * Alias for {@link Sequence#dropWhile}.
+   *
+   * @function skipWhile
+   * @memberOf Sequence
+   * @instance
+   */
+  Sequence.prototype.skipWhile = Sequence.prototype.dropWhile;
+
+  /**
+   * Creates a new sequence comprising the elements of this one from the first
+   * one that satisfies a predicate onwards. See {@link Sequence#dropWhile}.
+   *
+   * @param {Function} predicate The function to call on each element, along with
+   *     its index.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["# comment", "", "BEGIN", "a"]).dropUntil(function(s) { return s === "BEGIN"; });
+   * // => sequence: ("BEGIN", "a")
+   */
+  Sequence.prototype.dropUntil = function(predicate) {
+    return new DropWhileSequence(this, predicate, true);
+  };
+
+  /**
+   * Alias for {@link Sequence#dropUntil}.
+   *
+   * @function skipUntil
+   * @memberOf Sequence
+   * @instance
+   */
+  Sequence.prototype.skipUntil = Sequence.prototype.dropUntil;
+
+  /**
+   * Creates a new sequence whose elements are arrays of consecutive elements from
+   * this sequence, each with `size` elements (except the last one, which has
+   * whatever elements are left over).
+   *
+   * @param {number} size The number of elements in each chunk.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 5]).chunk(2);
+   * // => sequence: ([1, 2], [3, 4], [5])
+   *
+   * Lazy.generate(function(i) { return i; }).chunk(3).take(2);
+   * // => sequence: ([0, 1, 2], [3, 4, 5])
+   */
+  Sequence.prototype.chunk = function(size) {
+    return new WindowedSequence(this, size, size, true);
+  };
+
+  /**
+   * Creates a new sequence of "sliding windows" over this one: arrays of `size`
+   * consecutive elements, where each window starts `step` elements after the one
+   * before it. Windows overlap if `step` is less than `size`. Only full windows
+   * are included, so a sequence with fewer than `size` elements has none.
+   *
+   * @param {number} size The number of elements in each window.
+   * @param {number=} step The number of elements between the start of one window
+   *     and the start of the next (defaults to 1).
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 5]).windowed(3);
+   * // => sequence: ([1, 2, 3], [2, 3, 4], [3, 4, 5])
+   *
+   * Lazy([1, 2, 3, 4, 5]).windowed(2, 3);
+   * // => sequence: ([1, 2], [4, 5])
+   */
+  Sequence.prototype.windowed = function(size, step) {
+    return new WindowedSequence(this, size, typeof step === "number" ? step : 1, false);
+  };
+
+  /**
+   * Creates a new sequence of every pair of consecutive elements in this one.
+   * Equivalent to `windowed(2)`.
+   *
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 4, 7]).pairwise();
+   * // => sequence: ([1, 2], [2, 4], [4, 7])
+   *
+   * Lazy([1, 2, 4, 7]).pairwise().map(function(pair) { return pair[1] - pair[0]; });
+   * // => sequence: (1, 2, 3)
+   */
+  Sequence.prototype.pairwise = function() {
+    return this.windowed(2);
+  };
+
+  /**
+   * Creates a new sequence by splitting this one into runs of consecutive
+   * elements (arrays), starting a new run between any two elements for which the
+   * given function returns true.
+   *
+   * @param {function(*, *):boolean} splitFn The function to call with each
+   *     element (after the first) and the element before it, which should return
+   *     true to split the sequence between them.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 7, 8, 10]).splitWhen(function(x, y) { return y !== x + 1; });
+   * // => sequence: ([1, 2, 3], [7, 8], [10])
+   */
+  Sequence.prototype.splitWhen = function(splitFn) {
+    return new RunSequence(this, null, splitFn);
+  };
+
+  /**
+   * Creates a new sequence by splitting this one into runs of consecutive
+   * elements (arrays) with the same key. Unlike {@link Sequence#groupBy}, two
+   * elements with the same key only end up together if there are no elements
+   * with a different key between them.
+   *
+   * Keys are compared with `===`, except that NaN is equal to itself and Dates
+   * are equal if they have the same time.
+   *
+   * @param {Function|string} keyFn The function to call on each element to get
+   *     its key, or the name of a property to use as the key.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 3, 2, 4, 5]).partitionBy(function(x) { return x % 2; });
+   * // => sequence: ([1, 3], [2, 4], [5])
+   *
+   * Lazy("aabccc").partitionBy(function(c) { return c; });
+   * // => sequence: (["a", "a"], ["b"], ["c", "c", "c"])
+   */
+  Sequence.prototype.partitionBy = function(keyFn) {
+    return new RunSequence(this, createKeyFn(keyFn), function(x, y) {
+      return !isSameValue(x, y);
+    });
+  };
+
+  /**
+   * Creates a new sequence of every combination of the given number of elements
+   * from this sequence, i.e., every way to choose that many of them without
+   * regard to order. Each combination is an array, with its elements in the
+   * same order as in this sequence; and the combinations are in lexicographic
+   * order (by position).
+   *
+   * The combinations are generated as they're needed, from the elements of this
+   * sequence (which must be finite). The new sequence is array-like: its length
+   * is computed without generating any combinations, and any of them can be
+   * accessed by index, so {@link Sequence#drop} doesn't have to generate the
+   * combinations it skips. The elements of this sequence are read once, the
+   * first time they're needed, and kept for as long as the new sequence is.
+   *
+   * @param {number} size The number of elements in each combination.
+   * @return {ArrayLikeSequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4]).combinations(2);
+   * // => sequence: ([1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4])
+   *
+   * Lazy.range(100).combinations(5).length();
+   * // => 75287520
+   *
+   * Lazy.range(100).combinations(5).drop(75287519).toArray();
+   * // => [[95, 96, 97, 98, 99]]
+   */
+  Sequence.prototype.combinations = function(size) {
+    return new CombinationSequence(this, size, false);
+  };
+
+  /**
+   * Creates a new sequence of every combination of the given number of elements
+   * from this sequence, where the same element can be chosen more than once.
+   * See {@link Sequence#combinations}.
+   *
+   * @param {number} size The number of elements in each combination.
+   * @return {ArrayLikeSequence} The new sequence.
+   *
+   * @example
+   * Lazy(["a", "b", "c"]).combinationsWithReplacement(2);
+   * // => sequence: (["a", "a"], ["a", "b"], ["a", "c"], ["b", "b"], ["b", "c"], ["c", "c"])
+   */
+  Sequence.prototype.combinationsWithReplacement = function(size) {
+    return new CombinationSequence(this, size, true);
+  };
+
+  /**
+   * Creates a new sequence of every permutation of the given number of elements
+   * from this sequence (or by default, of all of them), i.e., every way to
+   * arrange that many of them in order. The permutations are in lexicographic
+   * order (by position). See {@link Sequence#combinations}.
+   *
+   * @param {number=} size The number of elements in each permutation.
+   * @return {ArrayLikeSequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3]).permutations();
+   * // => sequence: ([1, 2, 3], [1, 3, 2], [2, 1, 3], [2, 3, 1], [3, 1, 2], [3, 2, 1])
+   *
+   * Lazy([1, 2, 3]).permutations(2);
+   * // => sequence: ([1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2])
+   *
+   * Lazy.range(20).permutations().get(1000000);
+   * // => [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 12, 17, 18, 13, 19, 11, 15, 16, 10, 14]
+   */
+  Sequence.prototype.permutations = function(size) {
+    return new PermutationSequence(this, size);
+  };
+
+  /**
+   * Creates a new sequence of every subset of the elements in this sequence, as
+   * arrays: first the empty one, then those with one element, then two, and so
+   * on, each size in lexicographic order (by position). See
+   * {@link Sequence#combinations}.
+   *
+   * @return {ArrayLikeSequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3]).powerSet();
+   * // => sequence: ([], [1], [2], [3], [1, 2], [1, 3], [2, 3], [1, 2, 3])
+   */
+  Sequence.prototype.powerSet = function() {
+    return new PowerSetSequence(this);
+  };
+
   /**
    * Creates a new sequence with the same elements as this one, but ordered
-   * according to the values returned by the specified function.
+   * according to the values returned by the specified function. The sort is
+   * stable: elements for which `sortFn` returns equal values keep their original
+   * order.
+   *
+   * Elements are sorted only as far as they're needed. Iterating over the
+   * sequence produces the first element without sorting the rest, and calling
+   * `first(n)` or `last(n)` on it only ever sorts N elements.
    *
    * @param {Function} sortFn The function to call on the elements in this
    *     sequence, in order to sort them.
@@ -626,21 +934,106 @@
   };
 
   /**
-   * Creates a new sequence comprising the elements in this one, grouped
-   * together according to some key. The elements of the new sequence are pairs
-   * of the form `[key, values]` where `values` is an array containing all of
-   * the elements in this sequence with the same key.
-   *
-   * @param {Function} keyFn The function to call on the elements in this
-   *     sequence to obtain a key by which to group them.
+   * Creates a new sequence with the same elements as this one, ordered by one or
+   * more keys. Call {@link SortedSequence#thenBy} or
+   * {@link SortedSequence#thenByDescending} on the result to order elements with
+   * equal keys by another key, and so on. Like {@link #sortBy}, the sort is
+   * stable, and nothing is sorted until the sequence is iterated over.
+   *
+   * The options for each key are:
+   *
+   * - `direction`: "asc" (the default) or "desc".
+   * - `compare`: a function for comparing two keys, which should return a
+   *   negative number, zero or a positive number. By default keys are compared
+   *   with `<` and `>`.
+   * - `locale`: a locale such as "de" (or `true` for the default locale), to
+   *   compare keys as strings according to that locale's rules.
+   * - `numeric`: true to compare runs of digits in strings by their numeric
+   *   value, so that "item 9" comes before "item 10".
+   * - `sensitivity`: for locale-aware comparisons, one of "base", "accent",
+   *   "case" or "variant" (see `Intl.Collator`).
+   * - `nulls`: "first" or "last" (the default), to put elements whose keys are
+   *   null or undefined before or after all others, whatever the direction.
+   *
+   * @param {Function|string|Object=} key The function to call on each element
+   *     to get its key, or the name of a property to use as the key, or an object
+   *     with a `key` property and any of the options above. If omitted (or
+   *     null), elements are ordered by their own values.
+   * @param {string|Object=} options Either "asc" or "desc", or an object with
+   *     any of the options above.
    * @return {Sequence} The new sequence.
    *
    * @example
+   * var staff = [
+   *   { name: "Émile", dept: "R&D", salary: 90 },
+   *   { name: "Zoe", dept: "Ops", salary: 70 },
+   *   { name: "Adam", dept: "R&D", salary: 90 },
+   *   { name: "Bea", dept: "R&D", salary: 120 }
+   * ];
+   *
+   * Lazy(staff)
+   *   .orderBy("dept")
+   *   .thenByDescending("salary")
+   *   .thenBy("name", { locale: "fr" })
+   *   .pluck("name");
+   * // => sequence: ("Zoe", "Bea", "Adam", "Émile")
+   *
+   * Lazy(["file10", null, "file9"]).orderBy(null, { numeric: true });
+   * // => sequence: ("file9", "file10", null)
+   */
+  Sequence.prototype.orderBy = function(key, options) {
+    return new OrderedSequence(this, [createSortCriterion(key, options)]);
+  };
+
+  /**
+   * Creates a new sequence comprising the elements in this one, grouped
+   * together according to some key. The result is an
+   * {@link ObjectLikeSequence} whose keys are the keys of the groups, in the
+   * order they were first seen, and whose values are arrays containing all of
+   * the elements in this sequence with that key.
+   *
+   * Keys keep their original values: `1` and `"1"` are different keys, and so
+   * are two different objects. Passing an array of functions or property names
+   * groups by all of them at once, in which case each group's key is an array.
+   *
+   * Whatever the type of the keys, {@link Sequence#each} passes each group
+   * first and its key second, as it does for any other object-like sequence.
+   * (This is a breaking change: the elements of this sequence used to be
+   * `[key, values]` pairs.) Call {@link ObjectLikeSequence#pairs} or
+   * {@link ObjectLikeSequence#toArray} to get the groups as pairs.
+   *
+   * To compute something about each group (a count, a total) without building
+   * an array of its elements, call {@link GroupedSequence#aggregate} on the
+   * result.
+   *
+   * @param {Function|string|Array} keyFn The function to call on the elements
+   *     in this sequence to obtain a key by which to group them, or the name of a
+   *     property to use as the key, or an array of either.
+   * @return {ObjectLikeSequence} The new sequence.
+   *
+   * @example
    * var numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
    * var oddsAndEvens = Lazy(numbers).groupBy(function(x) {
    *   return x % 2 == 1 ? "odd" : "even";
    * });
-   * // => sequence: (["odd", [1, 3, ..., 9]], ["even", [2, 4, ..., 10]])
+   *
+   * oddsAndEvens.get("odd");
+   * // => [1, 3, 5, 7, 9]
+   *
+   * oddsAndEvens.keys();
+   * // => sequence: ("odd", "even")
+   *
+   * oddsAndEvens.pairs();
+   * // => [["odd", [1, 3, 5, 7, 9]], ["even", [2, 4, 6, 8, 10]]]
+   *
+   * var sales = [
+   *   { region: "east", year: 2013, amount: 10 },
+   *   { region: "west", year: 2013, amount: 20 },
+   *   { region: "east", year: 2013, amount: 5 }
+   * ];
+   *
+   * Lazy(sales).groupBy(["region", "year"]).keys();
+   * // => sequence: (["east", 2013], ["west", 2013])
    */
   Sequence.prototype.groupBy = function(keyFn) {
     return new GroupedSequence(this, keyFn);
@@ -651,8 +1044,15 @@
    * this sequence, each paired with a number representing the number of times
    * that key appears in the sequence.
    *
-   * @param {Function} keyFn The function to call on the elements in this
-   *     sequence to obtain a key by which to count them.
+   * Keys keep their original values, in the order they were first seen, and are
+   * compared the same way as elements are by {@link Sequence#uniq} (or by the
+   * given `equals` function or options).
+   *
+   * @param {Function|string} keyFn The function to call on the elements in this
+   *     sequence to obtain a key by which to count them, or the name of a
+   *     property to use as the key.
+   * @param {Function|Object=} equals A function to check whether two keys are
+   *     equal, or options for comparing them (see {@link Sequence#uniq}).
    * @return {Sequence} The new sequence.
    *
    * @example
@@ -661,23 +1061,61 @@
    *   return x % 2 == 1 ? "odd" : "even";
    * });
    * // => sequence: (["odd", 3], ["even", 2])
+   *
+   * Lazy([{ tags: ["a", "b"] }, { tags: ["a", "b"] }]).countBy("tags", { deep: true });
+   * // => sequence: ([["a", "b"], 2])
    */
-  Sequence.prototype.countBy = function(keyFn) {
-    return new CountedSequence(this, keyFn);
+  Sequence.prototype.countBy = function(keyFn, equals) {
+    return new CountedSequence(this, createKeyFn(keyFn), equals);
   };
 
   /**
    * Creates a new sequence with every unique element from this one appearing
    * exactly once (i.e., with duplicates removed).
    *
+   * Elements are compared with `===`, except that NaN is equal to itself and
+   * Dates are equal if they have the same time. Other objects are only equal to
+   * themselves, unless you specify how to compare them.
+   *
+   * Each element is produced as soon as it is first seen, so this works on
+   * sequences of any length, including indefinite ones.
+   *
+   * @param {Object|Function=} options How to compare elements, if not as
+   *     described above. A function is taken to be a key function, the same as
+   *     passing it to {@link Sequence#uniqBy}.
+   * @param {function(*):*=} options.hash A function to get a key for each
+   *     element. Elements whose keys aren't equal are never equal.
+   * @param {function(*, *):boolean=} options.equals A function to check whether
+   *     two elements with equal keys are equal. If this is omitted, they are.
+   * @param {boolean=} options.deep Compare arrays and plain objects (such as
+   *     parsed JSON) by their contents: arrays are equal if their elements are,
+   *     and objects if they have the same keys with equal values.
    * @return {Sequence} The new sequence.
    *
    * @example
    * Lazy([1, 2, 2, 3, 3, 3]).uniq();
    * // => sequence: (1, 2, 3)
+   *
+   * Lazy([NaN, NaN, new Date(0), new Date(0)]).uniq();
+   * // => sequence: (NaN, new Date(0))
+   *
+   * Lazy([{ x: 1, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 3 }]).uniq({
+   *   hash: function(p) { return p.x; },
+   *   equals: function(p, q) { return p.x === q.x && p.y === q.y; }
+   * });
+   * // => sequence: ({ x: 1, y: 2 }, { x: 1, y: 3 })
+   *
+   * Lazy([{ a: [1, 2] }, { a: [1, 2] }, { a: [2] }]).uniq({ deep: true });
+   * // => sequence: ({ a: [1, 2] }, { a: [2] })
+   *
+   * Lazy([1, 2, 3, 4]).uniq(function(x) { return x % 2; });
+   * // => sequence: (1, 2)
    */
-  Sequence.prototype.uniq = function() {
-    return new UniqueSequence(this);
+  Sequence.prototype.uniq = function(options) {
+    if (typeof options === "function") {
+      return this.uniqBy(options);
+    }
+    return new UniqueSequence(this, null, options);
   };
 
   /**
@@ -689,6 +1127,52 @@
    */
   Sequence.prototype.unique = Sequence.prototype.uniq;
 
+  /**
+   * Creates a new sequence with only the first element from this one for each
+   * unique key.
+   *
+   * Keys are compared the same way as elements are by {@link Sequence#uniq},
+   * unless an `equals` function or options are given. As with `uniq`, elements
+   * are produced as soon as they are first seen.
+   *
+   * @param {Function|string} keyFn The function to call on each element to get
+   *     its key, or the name of a property to use as the key.
+   * @param {Function|Object=} equals A function to check whether two keys are
+   *     equal, or options for comparing them (see {@link Sequence#uniq}). Note
+   *     that with only an `equals` function, every key has to be compared with
+   *     every other one.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * var records = [
+   *   { id: 1, name: "foo" },
+   *   { id: 2, name: "bar" },
+   *   { id: 1, name: "baz" }
+   * ];
+   *
+   * Lazy(records).uniqBy("id");
+   * // => sequence: ({ id: 1, name: "foo" }, { id: 2, name: "bar" })
+   *
+   * Lazy(["foo", "FOO", "bar"]).uniqBy(function(s) { return s.toLowerCase(); });
+   * // => sequence: ("foo", "bar")
+   *
+   * var readings = [{ at: 0.1 }, { at: 0.12 }, { at: 0.5 }];
+   * Lazy(readings).distinctBy("at", function(x, y) { return Math.abs(x - y) < 0.05; });
+   * // => sequence: ({ at: 0.1 }, { at: 0.5 })
+   */
+  Sequence.prototype.uniqBy = function(keyFn, equals) {
+    return new UniqueSequence(this, createKeyFn(keyFn), equals);
+  };
+
+  /**
+   * Alias for {@link Sequence#uniqBy}.
+   *
+   * @function distinctBy
+   * @memberOf Sequence
+   * @instance
+   */
+  Sequence.prototype.distinctBy = Sequence.prototype.uniqBy;
+
   /**
    * Creates a new sequence by combining the elements from this sequence with
    * corresponding elements from the specified array(s).
@@ -710,115 +1194,361 @@
   };
 
   /**
-   * Creates a new sequence with the same elements as this one, in a randomized
-   * order.
+   * Creates a new sequence by joining the elements of this sequence with those of
+   * another collection that have the same key (an "inner join"). For each
+   * element of this sequence, there's one element in the result for every
+   * element of `other` whose key matches; elements without a match are left out.
+   * (This isn't called `join`, because {@link #join} already joins the elements
+   * of a sequence into a string.)
    *
+   * The other collection is read into an index (a hash table of keys) each time
+   * the result is iterated over, so it must be synchronous. This sequence, on
+   * the other hand, is only read one element at a time, so it can be as large as
+   * you like, or even asynchronous.
+   *
+   * Keys are compared with `===` (except that NaN matches itself). Elements
+   * whose keys are null or undefined never match anything.
+   *
+   * @param {Array|Sequence} other The collection to join with this sequence.
+   * @param {Function|string} leftKey The function to call on the elements of
+   *     this sequence to get their keys, or the name of a property to use as the
+   *     key.
+   * @param {Function|string} rightKey The function or property name used to get
+   *     the keys of the elements in `other`.
+   * @param {Function=} resultFn The function to call with each matching pair of
+   *     elements (from this sequence and `other`) to get an element of the
+   *     result. By default the result is a sequence of `[left, right]` pairs.
    * @return {Sequence} The new sequence.
    *
    * @example
-   * Lazy([1, 2, 3, 4, 5]).shuffle();
-   * // => sequence: (2, 3, 5, 4, 1)
+   * var customers = [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }];
+   * var orders = [
+   *   { id: 10, customerId: 2, total: 25 },
+   *   { id: 11, customerId: 1, total: 30 },
+   *   { id: 12, customerId: 3, total: 5 },
+   *   { id: 13, customerId: 2, total: 40 }
+   * ];
+   *
+   * Lazy(orders).innerJoin(customers, "customerId", "id", function(order, customer) {
+   *   return customer.name + ": " + order.total;
+   * });
+   * // => sequence: ("Bob: 25", "Ann: 30", "Bob: 40")
    */
-  Sequence.prototype.shuffle = function() {
-    return new ShuffledSequence(this);
+  Sequence.prototype.innerJoin = function(other, leftKey, rightKey, resultFn) {
+    return new JoinSequence(this, other, leftKey, rightKey, resultFn, "inner");
   };
 
   /**
-   * Creates a new sequence with every element from this sequence, and with arrays
-   * exploded so that a sequence of arrays (of arrays) becomes a flat sequence of
-   * values.
+   * Like {@link #innerJoin}, but every element of this sequence is kept, even if
+   * nothing in `other` matches it. In that case `resultFn` is called with
+   * `undefined` in place of the element from `other`.
    *
+   * @param {Array|Sequence} other The collection to join with this sequence.
+   * @param {Function|string} leftKey The key of this sequence's elements.
+   * @param {Function|string} rightKey The key of the elements in `other`.
+   * @param {Function=} resultFn The function to combine each pair of elements.
    * @return {Sequence} The new sequence.
    *
    * @example
-   * Lazy([1, [2, 3], [4, [5]]]).flatten();
-   * // => sequence: (1, 2, 3, 4, 5)
+   * Lazy([{ id: 1 }, { id: 2 }]).leftJoin([{ ref: 2, x: "b" }], "id", "ref", function(l, r) {
+   *   return l.id + ":" + (r ? r.x : "-");
+   * });
+   * // => sequence: ("1:-", "2:b")
    */
-  Sequence.prototype.flatten = function() {
-    return new FlattenedSequence(this);
+  Sequence.prototype.leftJoin = function(other, leftKey, rightKey, resultFn) {
+    return new JoinSequence(this, other, leftKey, rightKey, resultFn, "left");
   };
 
   /**
-   * Creates a new sequence with the same elements as this one, except for all
-   * falsy values (`false`, `0`, `""`, `null`, and `undefined`).
+   * Like {@link #innerJoin}, but every element of `other` is kept, even if nothing
+   * in this sequence matches it. Those elements come after all the matches, and
+   * `resultFn` is called for each of them with `undefined` in place of the
+   * element from this sequence.
    *
+   * @param {Array|Sequence} other The collection to join with this sequence.
+   * @param {Function|string} leftKey The key of this sequence's elements.
+   * @param {Function|string} rightKey The key of the elements in `other`.
+   * @param {Function=} resultFn The function to combine each pair of elements.
    * @return {Sequence} The new sequence.
    *
    * @example
-   * Lazy(["foo", null, "bar", undefined]).compact();
-   * // => sequence: ("foo", "bar")
+   * Lazy([{ id: 1 }]).rightJoin([{ ref: 1 }, { ref: 3 }], "id", "ref", function(l, r) {
+   *   return (l ? l.id : "-") + ":" + r.ref;
+   * });
+   * // => sequence: ("1:1", "-:3")
    */
-  Sequence.prototype.compact = function() {
-    return this.filter(function(e) { return !!e; });
+  Sequence.prototype.rightJoin = function(other, leftKey, rightKey, resultFn) {
+    return new JoinSequence(this, other, leftKey, rightKey, resultFn, "right");
   };
 
   /**
-   * Creates a new sequence with all the elements of this sequence that are not
-   * also among the specified arguments.
+   * Combines {@link #leftJoin} and {@link #rightJoin}: every element of this
+   * sequence and of `other` is kept, whether or not it has a match.
    *
-   * @param {...*} var_args The values, or array(s) of values, to be excluded from the
-   *     resulting sequence.
+   * @param {Array|Sequence} other The collection to join with this sequence.
+   * @param {Function|string} leftKey The key of this sequence's elements.
+   * @param {Function|string} rightKey The key of the elements in `other`.
+   * @param {Function=} resultFn The function to combine each pair of elements.
    * @return {Sequence} The new sequence.
    *
    * @example
-   * Lazy([1, 2, 3, 4, 5]).without(2, 3);
-   * // => sequence: (1, 4, 5)
+   * Lazy([1, 2]).fullOuterJoin([2, 3], null, null);
+   * // => sequence: ([1, undefined], [2, 2], [undefined, 3])
    */
-  Sequence.prototype.without = function(var_args) {
-    return new WithoutSequence(this, Array.prototype.slice.call(arguments, 0));
+  Sequence.prototype.fullOuterJoin = function(other, leftKey, rightKey, resultFn) {
+    return new JoinSequence(this, other, leftKey, rightKey, resultFn, "full");
   };
 
   /**
-   * Alias for {@link Sequence#without}.
+   * Creates a new sequence by pairing each element of this sequence with an
+   * array of all of the elements of `other` with the same key (which may be
+   * empty). See {@link #innerJoin}.
    *
-   * @function difference
-   * @memberOf Sequence
-   * @instance
+   * @param {Array|Sequence} other The collection to join with this sequence.
+   * @param {Function|string} leftKey The key of this sequence's elements.
+   * @param {Function|string} rightKey The key of the elements in `other`.
+   * @param {Function=} resultFn The function to call with each element of this
+   *     sequence and the array of its matches. By default the result is a
+   *     sequence of `[element, matches]` pairs.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * var customers = [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }];
+   * var orders = [{ customerId: 2, total: 25 }, { customerId: 2, total: 40 }];
+   *
+   * Lazy(customers).groupJoin(orders, "id", "customerId", function(customer, orders) {
+   *   return customer.name + ": " + orders.length;
+   * });
+   * // => sequence: ("Ann: 0", "Bob: 2")
    */
-  Sequence.prototype.difference = Sequence.prototype.without;
+  Sequence.prototype.groupJoin = function(other, leftKey, rightKey, resultFn) {
+    return new JoinSequence(this, other, leftKey, rightKey, resultFn, "group");
+  };
 
   /**
-   * Creates a new sequence with all the unique elements either in this sequence
-   * or among the specified arguments.
+   * Creates a new sequence with the same elements as this one, in a randomized
+   * order.
    *
-   * @param {...*} var_args The values, or array(s) of values, to be additionally
-   *     included in the resulting sequence.
+   * @param {Function|number|string=} random An optional function returning
+   *     random numbers from 0 (inclusive) to 1 (exclusive), like `Math.random`
+   *     (the default); or a seed for {@link Lazy.random}, to get the same order
+   *     every time the sequence is iterated. (A function keeps whatever state
+   *     it has from one iteration to the next, so passing a seeded generator
+   *     gives the same orders each time the program runs, but a different order
+   *     for each iteration.)
    * @return {Sequence} The new sequence.
    *
    * @example
-   * Lazy(["foo", "bar"]).union(["bar", "baz"]);
-   * // => sequence: ("foo", "bar", "baz")
+   * Lazy([1, 2, 3, 4, 5]).shuffle();
+   * // => sequence: (2, 3, 5, 4, 1)
+   *
+   * Lazy([1, 2, 3, 4, 5]).shuffle(42).toArray();
+   * // => (the same order every time)
    */
-  Sequence.prototype.union = function(var_args) {
-    return this.concat(var_args).uniq();
+  Sequence.prototype.shuffle = function(random) {
+    return new ShuffledSequence(this, random);
   };
 
   /**
-   * Creates a new sequence with all the elements of this sequence that also
-   * appear among the specified arguments.
+   * Creates a new sequence of the given number of elements picked at random
+   * from this sequence (or all of them, if there aren't that many), in the
+   * order they appear in it. Without a number, this returns a single random
+   * element instead.
    *
-   * @param {...*} var_args The values, or array(s) of values, in which elements
-   *     from this sequence must also be included to end up in the resulting sequence.
-   * @return {Sequence} The new sequence.
+   * The elements are picked by reservoir sampling: in a single pass, keeping
+   * only the chosen elements in memory. So this works just as well for streams
+   * and other sequences whose length isn't known until they end.
+   *
+   * @param {number=} count The number of elements to pick.
+   * @param {Function|number|string=} random An optional function returning
+   *     random numbers, or a seed to pick the same elements every time (see
+   *     {@link Sequence#shuffle}).
+   * @return {Sequence|*} The new sequence, or the random element.
    *
    * @example
-   * Lazy(["foo", "bar"]).intersection(["bar", "baz"]);
-   * // => sequence: ("bar")
+   * Lazy.range(100).sample(3);
+   * // => sequence: (21, 58, 90)
+   *
+   * Lazy(["a", "b", "c"]).sample();
+   * // => "b"
+   *
+   * Lazy.readFile("access.log").lines().sample(10, 1);
+   * // => (the same 10 lines every time, as long as the file is the same)
    */
-  Sequence.prototype.intersection = function(var_args) {
-    if (arguments.length === 1 && arguments[0] instanceof Array) {
-      return new SimpleIntersectionSequence(this, (/** @type {Array} */ var_args));
-    } else {
-      return new IntersectionSequence(this, Array.prototype.slice.call(arguments, 0));
+  Sequence.prototype.sample = function(count, random) {
+    if (typeof count === "undefined") {
+      return getFirst(new SampledSequence(this, 1, random));
     }
+    return new SampledSequence(this, count, random);
   };
 
   /**
-   * Checks whether every element in this sequence satisfies a given predicate.
+   * Creates a new sequence of the given number of elements picked at random
+   * from this sequence, where the chance of picking an element is in proportion
+   * to its weight. Elements with no weight (or a negative one) are never picked.
+   * Like {@link Sequence#sample}, this keeps only the chosen elements in memory,
+   * and the elements are in the order they appear in this sequence.
    *
-   * @param {Function} predicate A function to call on (potentially) every element
-   *     in this sequence.
-   * @return {boolean} True if `predicate` returns true for every element in the
+   * @param {number} count The number of elements to pick.
+   * @param {Function|string} weightFn A function to call on each element (along
+   *     with its index), or the name of a property, to get its weight.
+   * @param {Function|number|string=} random An optional function returning
+   *     random numbers, or a seed to pick the same elements every time (see
+   *     {@link Sequence#shuffle}).
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * var servers = [{ name: "a", capacity: 1 }, { name: "b", capacity: 8 }, { name: "c", capacity: 1 }];
+   *
+   * Lazy(servers).weightedSample(1, "capacity").pluck("name");
+   * // => sequence: ("b") (most of the time)
+   */
+  Sequence.prototype.weightedSample = function(count, weightFn, random) {
+    return new SampledSequence(this, count, random, createKeyFn(weightFn));
+  };
+
+  /**
+   * Creates a new sequence with every element from this sequence, and with arrays
+   * exploded so that a sequence of arrays (of arrays) becomes a flat sequence of
+   * values.
+   *
+   * Nested sequences (including asynchronous ones) and iterables such as `Set`s
+   * are flattened the same way as arrays. Strings and other objects never are.
+   * An {@link ObjectLikeSequence} is flattened into its values, or with the
+   * `pairs` option, into its [key, value] pairs (which aren't flattened any
+   * further).
+   *
+   * @param {number|Object=} depth How many levels of nesting to flatten (by
+   *     default, all of them), or an object with any of these options:
+   * @param {number=} depth.depth How many levels of nesting to flatten.
+   * @param {boolean=} depth.pairs Whether to flatten object-like sequences into
+   *     their [key, value] pairs rather than their values.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, [2, 3], [4, [5]]]).flatten();
+   * // => sequence: (1, 2, 3, 4, 5)
+   *
+   * Lazy([1, [2, 3], [4, [5]]]).flatten(1);
+   * // => sequence: (1, 2, 3, 4, [5])
+   *
+   * Lazy([Lazy({ a: 1 }), [Lazy({ b: 2 })]]).flatten({ pairs: true });
+   * // => sequence: (["a", 1], ["b", 2])
+   */
+  Sequence.prototype.flatten = function(depth) {
+    var options = depth && typeof depth === "object" ? depth : { depth: depth };
+
+    return new FlattenedSequence(
+      this,
+      typeof options.depth === "number" ? options.depth : Infinity,
+      !!options.pairs
+    );
+  };
+
+  /**
+   * Creates a new sequence by calling a function on every element of this one,
+   * and concatenating the arrays, sequences or iterables it returns. (Any other
+   * values it returns are included as they are.) Like {@link Sequence#map}, this
+   * only calls the function as elements are needed.
+   *
+   * @param {Function} mapFn The function to call on each element, along with its
+   *     index.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["a b", "c"]).flatMap(function(s) { return s.split(" "); });
+   * // => sequence: ("a", "b", "c")
+   *
+   * Lazy.range(1, 4).flatMap(function(n) { return Lazy.repeat(n, n); });
+   * // => sequence: (1, 2, 2, 3, 3, 3)
+   */
+  Sequence.prototype.flatMap = function(mapFn) {
+    return this.map(mapFn).flatten(1);
+  };
+
+  /**
+   * Creates a new sequence with the same elements as this one, except for all
+   * falsy values (`false`, `0`, `""`, `null`, and `undefined`).
+   *
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["foo", null, "bar", undefined]).compact();
+   * // => sequence: ("foo", "bar")
+   */
+  Sequence.prototype.compact = function() {
+    return this.filter(function(e) { return !!e; });
+  };
+
+  /**
+   * Creates a new sequence with all the elements of this sequence that are not
+   * also among the specified arguments.
+   *
+   * @param {...*} var_args The values, or array(s) of values, to be excluded from the
+   *     resulting sequence.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 5]).without(2, 3);
+   * // => sequence: (1, 4, 5)
+   */
+  Sequence.prototype.without = function(var_args) {
+    return new WithoutSequence(this, Array.prototype.slice.call(arguments, 0));
+  };
+
+  /**
+   * Alias for {@link Sequence#without}.
+   *
+   * @function difference
+   * @memberOf Sequence
+   * @instance
+   */
+  Sequence.prototype.difference = Sequence.prototype.without;
+
+  /**
+   * Creates a new sequence with all the unique elements either in this sequence
+   * or among the specified arguments.
+   *
+   * @param {...*} var_args The values, or array(s) of values, to be additionally
+   *     included in the resulting sequence.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["foo", "bar"]).union(["bar", "baz"]);
+   * // => sequence: ("foo", "bar", "baz")
+   */
+  Sequence.prototype.union = function(var_args) {
+    return this.concat(var_args).uniq();
+  };
+
+  /**
+   * Creates a new sequence with all the elements of this sequence that also
+   * appear among the specified arguments.
+   *
+   * @param {...*} var_args The values, or array(s) of values, in which elements
+   *     from this sequence must also be included to end up in the resulting sequence.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["foo", "bar"]).intersection(["bar", "baz"]);
+   * // => sequence: ("bar")
+   */
+  Sequence.prototype.intersection = function(var_args) {
+    if (arguments.length === 1 && arguments[0] instanceof Array) {
+      return new SimpleIntersectionSequence(this, (/** @type {Array} */ var_args));
+    } else {
+      return new IntersectionSequence(this, Array.prototype.slice.call(arguments, 0));
+    }
+  };
+
+  /**
+   * Checks whether every element in this sequence satisfies a given predicate.
+   *
+   * @param {Function} predicate A function to call on (potentially) every element
+   *     in this sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {boolean} True if `predicate` returns true for every element in the
    *     sequence (or the sequence is empty). False if `predicate` returns false
    *     for at least one element.
    *
@@ -831,15 +1561,15 @@
    * var allPositive = Lazy(numbers).every(function(x) { return x > 0; });
    * // => true
    */
-  Sequence.prototype.every = function(predicate) {
+  Sequence.prototype.every = function(predicate, callback) {
     var success = true;
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       if (!predicate(e)) {
         success = false;
         return false;
       }
     });
-    return success;
+    return finishIteration(iteration, function() { return success; }, callback);
   };
 
   /**
@@ -858,6 +1588,8 @@
    *
    * @param {Function=} predicate A function to call on (potentially) every element
    *     in this sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
    * @return {boolean} True if `predicate` returns true for at least one element
    *     in the sequence. False if `predicate` returns false for every element (or
    *     the sequence is empty).
@@ -871,19 +1603,19 @@
    * var someNegative = Lazy(numbers).some(function(x) { return x < 0; });
    * // => false
    */
-  Sequence.prototype.some = function(predicate) {
+  Sequence.prototype.some = function(predicate, callback) {
     if (!predicate) {
       predicate = function() { return true; };
     }
 
     var success = false;
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       if (predicate(e)) {
         success = true;
         return false;
       }
     });
-    return success;
+    return finishIteration(iteration, function() { return success; }, callback);
   };
 
   /**
@@ -898,6 +1630,8 @@
   /**
    * Checks whether the sequence has no elements.
    *
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
    * @return {boolean} True if the sequence is empty, false if it contains at
    *     least one element.
    *
@@ -908,8 +1642,13 @@
    * Lazy([1, 2, 3]).isEmpty();
    * // => false
    */
-  Sequence.prototype.isEmpty = function() {
-    return !this.any();
+  Sequence.prototype.isEmpty = function(callback) {
+    var empty = true;
+    var iteration = this.each(function() {
+      empty = false;
+      return false;
+    });
+    return finishIteration(iteration, function() { return empty; }, callback);
   };
 
   /**
@@ -917,6 +1656,8 @@
    * returning the first index at which the specified value is found.
    *
    * @param {*} value The element to search for in the sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
    * @return {number} The index within this sequence where the given value is
    *     located, or -1 if the sequence doesn't contain the value.
    *
@@ -930,17 +1671,17 @@
    * Lazy([1, 2, 3]).map(function(x) { return x * 2; }).indexOf(2);
    * // => 0
    */
-  Sequence.prototype.indexOf = function(value) {
+  Sequence.prototype.indexOf = function(value, callback) {
     var index = 0;
     var foundIndex = -1;
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       if (e === value) {
         foundIndex = index;
         return false;
       }
       ++index;
     });
-    return foundIndex;
+    return finishIteration(iteration, function() { return foundIndex; }, callback);
   };
 
   /**
@@ -1002,6 +1743,8 @@
    * Checks whether the given value is in this sequence.
    *
    * @param {*} value The element to search for in the sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
    * @return {boolean} True if the sequence contains the value, false if not.
    *
    * @example
@@ -1013,8 +1756,10 @@
    * Lazy(numbers).contains(13);
    * // => false
    */
-  Sequence.prototype.contains = function(value) {
-    return this.indexOf(value) !== -1;
+  Sequence.prototype.contains = function(value, callback) {
+    return finishIteration(this.indexOf(value), function(index) {
+      return index !== -1;
+    }, callback);
   };
 
   /**
@@ -1027,6 +1772,9 @@
    *     new aggregated result.
    * @param {*=} memo The starting value to use for the aggregated result
    *     (defaults to the first element in the sequence).
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result of the aggregation. (Note that to provide a callback,
+   *     you must also provide `memo`.)
    * @return {*} The result of the aggregation.
    *
    * @example
@@ -1035,15 +1783,18 @@
    * var sum = Lazy(numbers).reduce(function(x, y) { return x + y; }, 0);
    * // => 50
    */
-  Sequence.prototype.reduce = function(aggregator, memo) {
-    if (arguments.length < 2) {
-      return this.tail().reduce(aggregator, this.head());
-    }
+  Sequence.prototype.reduce = function(aggregator, memo, callback) {
+    var useHead = arguments.length < 2;
 
-    this.each(function(e, i) {
+    var iteration = this.each(function(e, i) {
+      if (useHead) {
+        memo = e;
+        useHead = false;
+        return;
+      }
       memo = aggregator(memo, e, i);
     });
-    return memo;
+    return finishIteration(iteration, function() { return memo; }, callback);
   };
 
   /**
@@ -1072,7 +1823,11 @@
    *     in the sequence. For every element, the function will be passed the total
    *     aggregated result thus far and the element itself, and should return a
    *     new aggregated result.
-   * @param {*} memo The starting value to use for the aggregated result.
+   * @param {*=} memo The starting value to use for the aggregated result
+   *     (defaults to the last element in the sequence).
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result of the aggregation. (Note that to provide a callback,
+   *     you must also provide `memo`.)
    * @return {*} The result of the aggregation.
    *
    * @example
@@ -1081,17 +1836,22 @@
    * var backwards = Lazy(letters).reduceRight(function(x, y) { return x + y; });
    * // => "edcba"
    */
-  Sequence.prototype.reduceRight = function(aggregator, memo) {
-    if (arguments.length < 2) {
-      return this.initial(1).reduceRight(aggregator, this.last());
-    }
+  Sequence.prototype.reduceRight = function(aggregator, memo, callback) {
+    var useLast = arguments.length < 2;
 
-    // This bothers me... but frankly, calling reverse().reduce() is potentially
-    // going to eagerly evaluate the sequence anyway; so it's really not an issue.
-    var i = this.length() - 1;
-    return this.reverse().reduce(function(m, e) {
-      return aggregator(m, e, i--);
-    }, memo);
+    // This bothers me... but frankly, iterating from the tail is going to eagerly
+    // evaluate the sequence anyway; so it's really not an issue. Going through
+    // toArray also means this works the same for asynchronous sequences.
+    return finishIteration(this.toArray(), function(array) {
+      var i = array.length;
+      if (useLast) {
+        memo = array[--i];
+      }
+      while (--i >= 0) {
+        memo = aggregator(memo, array[i], i);
+      }
+      return memo;
+    }, callback);
   };
 
   /**
@@ -1103,11 +1863,104 @@
    */
   Sequence.prototype.foldr = Sequence.prototype.reduceRight;
 
+  /**
+   * Creates a new sequence of the running results of aggregating this sequence,
+   * the way {@link Sequence#reduce} does: each element of the new sequence is the
+   * result of aggregating the elements of this one up to and including the one
+   * in the same position.
+   *
+   * @param {Function} aggregator The function through which to pass every element
+   *     in the sequence. For every element, the function will be passed the
+   *     result thus far, the element itself and its index, and should return a
+   *     new result.
+   * @param {*=} seed The value to aggregate the first element with (if omitted,
+   *     the first result is the first element itself).
+   * @return {Sequence} The new sequence, with as many elements as this one.
+   *
+   * @example
+   * function add(x, y) { return x + y; }
+   *
+   * Lazy([1, 2, 3, 4]).scan(add);
+   * // => sequence: (1, 3, 6, 10)
+   *
+   * Lazy([3, 1, 4, 1, 5]).scan(Math.max);
+   * // => sequence: (3, 3, 4, 4, 5)
+   *
+   * Lazy(["a", "b", "c"]).scan(add, ">");
+   * // => sequence: (">a", ">ab", ">abc")
+   */
+  Sequence.prototype.scan = function(aggregator, seed) {
+    var useHead = arguments.length < 2;
+
+    return this.mapWithState(function(memo, e, i) {
+      var result = useHead && i === 0 ? e : aggregator(memo, e, i);
+      return [result, result];
+    }, function() { return seed; });
+  };
+
+  /**
+   * Creates a new sequence of the running results of aggregating this sequence
+   * from the tail, the way {@link Sequence#reduceRight} does: each element of
+   * the new sequence is the result of aggregating the elements of this one from
+   * the last one back to the one in the same position. Since that requires
+   * reading the whole sequence first, it isn't suited to indefinite sequences.
+   *
+   * @param {Function} aggregator The function through which to pass every element
+   *     in the sequence (see {@link Sequence#scan}).
+   * @param {*=} seed The value to aggregate the last element with (if omitted,
+   *     the last result is the last element itself).
+   * @return {Sequence} The new sequence, with as many elements as this one.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4]).scanRight(function(x, y) { return x + y; });
+   * // => sequence: (10, 9, 7, 4)
+   */
+  Sequence.prototype.scanRight = function(aggregator, seed) {
+    return new ScanRightSequence(this, aggregator, seed, arguments.length >= 2);
+  };
+
+  /**
+   * Creates a new sequence whose elements are calculated from those in this one
+   * along with some state, which is passed from each element to the next. This
+   * is useful for calculations such as moving averages, which depend on the
+   * elements before each one.
+   *
+   * @param {Function} mapFn The function to call with the current state, each
+   *     element and its index. It should return an array with two values: the
+   *     state to pass along with the next element, and the element of the new
+   *     sequence.
+   * @param {*=} initialState The state to pass along with the first element,
+   *     or a function to create it. Every iteration starts over from the initial
+   *     state, so if the state is an object which `mapFn` modifies, pass a
+   *     function which returns a new one.
+   * @return {Sequence} The new sequence, with as many elements as this one.
+   *
+   * @example
+   * // Moving averages of the last 3 values
+   * Lazy([1, 2, 3, 4, 5]).mapWithState(function(window, x) {
+   *   window = window.concat([x]).slice(-3);
+   *   return [window, Lazy(window).sum() / window.length];
+   * }, []);
+   * // => sequence: (1, 1.5, 2, 3, 4)
+   *
+   * // Numbering the elements of each group
+   * Lazy(["a", "a", "b", "a"]).mapWithState(function(counts, x) {
+   *   counts[x] = (counts[x] || 0) + 1;
+   *   return [counts, x + counts[x]];
+   * }, function() { return {}; });
+   * // => sequence: ("a1", "a2", "b1", "a3")
+   */
+  Sequence.prototype.mapWithState = function(mapFn, initialState) {
+    return new StatefulMappedSequence(this, mapFn, initialState);
+  };
+
   /**
    * Seaches for the first element in the sequence satisfying a given predicate.
    *
    * @param {Function} predicate A function to call on (potentially) every element
    *     in the sequence.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
    * @return {*} The first element in the sequence for which `predicate` returns
    *     `true`, or `undefined` if no such element is found.
    *
@@ -1120,8 +1973,8 @@
    * Lazy(numbers).find(function(x) { return x < 0; });
    * // => undefined
    */
-  Sequence.prototype.find = function(predicate) {
-    return this.filter(predicate).first();
+  Sequence.prototype.find = function(predicate, callback) {
+    return getFirst(this.filter(predicate), callback);
   };
 
   /**
@@ -1134,54 +1987,330 @@
   Sequence.prototype.detect = Sequence.prototype.find;
 
   /**
-   * Gets the minimum value in the sequence.
+   * Gets the least element in the sequence, optionally comparing the values of
+   * a key (a function, or the name of a property) rather than the elements
+   * themselves. Either way, this returns the element; and of equally small ones,
+   * the first.
    *
-   * TODO: This should support a value selector.
+   * Elements whose values are undefined, null or NaN are skipped. Values of
+   * different types are ordered by type: first numbers, then strings, then
+   * anything else (e.g. dates, which are compared with each other by time).
    *
-   * @return {*} The element with the lowest value in the sequence.
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to compare.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result. (Note that to provide a callback, you must also
+   *     provide `key`, though it can be null.)
+   * @return {*} The element with the lowest value in the sequence, or undefined
+   *     if there isn't one.
    *
    * @example
    * Lazy([6, 18, 2, 49, 34]).min();
    * // => 2
+   *
+   * Lazy([6, NaN, 18, null]).min();
+   * // => 6
+   *
+   * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).min("age");
+   * // => { name: "Bob", age: 28 }
    */
-  Sequence.prototype.min = function() {
-    return this.reduce(function(least, value) {
-      return value < least ? value : least;
-    });
+  Sequence.prototype.min = function(key, callback) {
+    return aggregateSequence(this, createExtentAggregator(key, getLeast), callback);
   };
 
   /**
-   * Gets the maximum value in the sequence.
+   * Gets the greatest element in the sequence, optionally comparing the values
+   * of a key rather than the elements themselves. See {@link Sequence#min}.
    *
-   * TODO: This should support a value selector.
-   *
-   * @return {*} The element with the highest value in the sequence.
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to compare.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result. (Note that to provide a callback, you must also
+   *     provide `key`, though it can be null.)
+   * @return {*} The element with the highest value in the sequence, or undefined
+   *     if there isn't one.
    *
    * @example
    * Lazy([6, 18, 2, 49, 34]).max();
    * // => 49
+   *
+   * Lazy(["pear", "fig", "banana"]).max("length");
+   * // => "banana"
    */
-  Sequence.prototype.max = function() {
-    return this.reduce(function(greatest, value) {
-      return value > greatest ? value : greatest;
-    });
+  Sequence.prototype.max = function(key, callback) {
+    return aggregateSequence(this, createExtentAggregator(key, getGreatest), callback);
+  };
+
+  /**
+   * Gets the element in the sequence with the least value for the given key.
+   * Like {@link Sequence#min}, but the key is expected.
+   *
+   * @param {Function|string} key A function to call on each element, or the
+   *     name of a property, to get the values to compare.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {*} The element with the lowest value, or undefined if there isn't
+   *     one.
+   *
+   * @example
+   * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).minBy(function(p) { return p.age; });
+   * // => { name: "Bob", age: 28 }
+   */
+  Sequence.prototype.minBy = function(key, callback) {
+    return aggregateSequence(this, createExtentAggregator(key, getLeast), callback);
+  };
+
+  /**
+   * Gets the element in the sequence with the greatest value for the given key.
+   * Like {@link Sequence#max}, but the key is expected.
+   *
+   * @param {Function|string} key A function to call on each element, or the
+   *     name of a property, to get the values to compare.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {*} The element with the highest value, or undefined if there isn't
+   *     one.
+   *
+   * @example
+   * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).maxBy("age");
+   * // => { name: "Dan", age: 32 }
+   */
+  Sequence.prototype.maxBy = function(key, callback) {
+    return aggregateSequence(this, createExtentAggregator(key, getGreatest), callback);
+  };
+
+  /**
+   * Gets both the least and the greatest elements in the sequence, in a single
+   * pass. See {@link Sequence#min}.
+   *
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to compare.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {Array} An array of the least and greatest elements, or undefined
+   *     if there aren't any.
+   *
+   * @example
+   * Lazy([6, 18, 2, 49, 34]).extent();
+   * // => [2, 49]
+   *
+   * Lazy([]).extent();
+   * // => undefined
+   */
+  Sequence.prototype.extent = function(key, callback) {
+    return aggregateSequence(this, createExtentAggregator(key, function(state) {
+      return state.found ? [state.least, state.greatest] : undefined;
+    }), callback);
   };
 
   /**
-   * Gets the sum of the values in the sequence.
+   * Gets the sum of the values in the sequence, optionally of a key (a function,
+   * or the name of a property) rather than the elements themselves.
    *
-   * TODO: This should support a value selector.
+   * Values are converted to numbers, and any that aren't numbers (such as
+   * undefined, NaN or a non-numeric string) are skipped. The sum of an empty
+   * sequence is 0.
    *
-   * @return {*} The sum.
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to add up.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result. (Note that to provide a callback, you must also
+   *     provide `key`, though it can be null.)
+   * @return {number} The sum.
    *
    * @example
    * Lazy([1, 2, 3, 4]).sum();
    * // => 10
+   *
+   * Lazy([{ total: 5 }, { total: "10" }, {}]).sum("total");
+   * // => 15
+   */
+  Sequence.prototype.sum = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.sum(key), callback);
+  };
+
+  /**
+   * Gets the mean (average) of the values in the sequence, computed in a single
+   * pass using Welford's algorithm.
+   *
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to average.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result. (Note that to provide a callback, you must also
+   *     provide `key`, though it can be null.)
+   * @return {number} The mean, or NaN if the sequence is empty.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4]).mean();
+   * // => 2.5
+   *
+   * Lazy([{ ms: 120 }, { ms: 80 }]).mean("ms");
+   * // => 100
+   */
+  Sequence.prototype.mean = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.mean(key), callback);
+  };
+
+  /**
+   * Gets the (population) variance of the values in the sequence, computed in a
+   * single pass using Welford's algorithm.
+   *
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to use.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {number} The variance, or NaN if the sequence is empty.
+   *
+   * @example
+   * Lazy([2, 4, 4, 4, 5, 5, 7, 9]).variance();
+   * // => 4
+   */
+  Sequence.prototype.variance = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.variance(key), callback);
+  };
+
+  /**
+   * Gets the (population) standard deviation of the values in the sequence. See
+   * {@link Sequence#variance}.
+   *
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to use.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {number} The standard deviation, or NaN if the sequence is empty.
+   *
+   * @example
+   * Lazy([2, 4, 4, 4, 5, 5, 7, 9]).stdDev();
+   * // => 2
+   */
+  Sequence.prototype.stdDev = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.stdDev(key), callback);
+  };
+
+  /**
+   * Gets the given percentile of the values in the sequence, interpolating
+   * between the closest two values when it falls between them.
+   *
+   * Finding a percentile exactly means keeping every value in memory. For large
+   * or streamed sequences, the `approximate` option estimates it instead, in
+   * constant space, using the P² algorithm.
+   *
+   * @param {number} p The percentile to find, from 0 to 100.
+   * @param {Function|string|Object=} key An optional function to call on each
+   *     element, or the name of a property, to get the values to use; or an
+   *     object with these options:
+   * @param {Function|string=} key.key The function or property name.
+   * @param {boolean=} key.approximate Whether to estimate the percentile.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {number} The percentile, or undefined if the sequence is empty.
+   *
+   * @example
+   * Lazy([15, 20, 35, 40, 50]).percentile(40);
+   * // => 29
+   *
+   * Lazy([{ ms: 120 }, { ms: 80 }]).percentile(100, "ms");
+   * // => 120
+   *
+   * Lazy.readFile("requests.log")
+   *   .lines()
+   *   .map(parseLatency)
+   *   .percentile(99, { approximate: true });
+   * // => (a handle resolved with the estimated 99th percentile)
+   */
+  Sequence.prototype.percentile = function(p, key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.percentile(p, key), callback);
+  };
+
+  /**
+   * Gets the median of the values in the sequence. See
+   * {@link Sequence#percentile}.
+   *
+   * @param {Function|string|Object=} key An optional key or options (see
+   *     {@link Sequence#percentile}).
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {number} The median, or undefined if the sequence is empty.
+   *
+   * @example
+   * Lazy([3, 1, 2]).median();
+   * // => 2
+   *
+   * Lazy([4, 1, 3, 2]).median();
+   * // => 2.5
+   */
+  Sequence.prototype.median = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.median(key), callback);
+  };
+
+  /**
+   * Gets the values dividing the values in the sequence into the given number
+   * of equal parts: e.g., given 4, the quartiles. See
+   * {@link Sequence#percentile}.
+   *
+   * @param {number} n The number of parts.
+   * @param {Function|string|Object=} key An optional key or options (see
+   *     {@link Sequence#percentile}).
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {Array.<number>} The n - 1 values between the parts.
+   *
+   * @example
+   * Lazy.range(1, 10).quantiles(4);
+   * // => [3, 5, 7]
+   */
+  Sequence.prototype.quantiles = function(n, key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.quantiles(n, key), callback);
+  };
+
+  /**
+   * Gets the most common value in the sequence. Of values that are equally
+   * common, it's the one that got there first.
+   *
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to count.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {*} The most common value, or undefined if the sequence is empty.
+   *
+   * @example
+   * Lazy([1, 2, 2, 3, 3]).mode();
+   * // => 2
+   *
+   * Lazy(["apple", "avocado", "banana"]).mode(function(s) { return s.charAt(0); });
+   * // => "a"
+   */
+  Sequence.prototype.mode = function(key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.mode(key), callback);
+  };
+
+  /**
+   * Counts the values in the sequence falling into each of the given bins.
+   *
+   * Given an array of boundaries between bins, this counts the values in a
+   * single pass (ignoring any outside of the bins). Given a number of bins
+   * instead, it spreads them out evenly between the least and greatest values,
+   * which means it has to keep every value until the end. If every value is the
+   * same, there's only one bin, which starts and ends with that value.
+   *
+   * @param {number|Array.<number>} bins The number of bins, or their
+   *     boundaries. Each bin includes its start, and the last one its end too.
+   * @param {Function|string=} key An optional function to call on each element,
+   *     or the name of a property, to get the values to count.
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {Array.<Object>} The bins, as objects with `start`, `end` and
+   *     `count` properties.
+   *
+   * @example
+   * Lazy([1, 2, 2, 5, 9, 10]).histogram(3);
+   * // => [{ start: 1, end: 4, count: 3 }, { start: 4, end: 7, count: 1 }, { start: 7, end: 10, count: 2 }]
+   *
+   * Lazy([1, 2, 2, 5, 9, 10]).histogram([0, 5, 10]);
+   * // => [{ start: 0, end: 5, count: 3 }, { start: 5, end: 10, count: 3 }]
    */
-  Sequence.prototype.sum = function() {
-    return this.reduce(function(sum, value) {
-      return sum += value;
-    }, 0);
+  Sequence.prototype.histogram = function(bins, key, callback) {
+    return aggregateSequence(this, Lazy.aggregators.histogram(bins, key), callback);
   };
 
   /**
@@ -1190,23 +2319,30 @@
    *
    * @param {string=} delimiter The separator to insert between every element from
    *     this sequence in the resulting string (defaults to `","`).
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the resulting string. This can also be passed in place of
+   *     `delimiter`.
    * @return {string} The delimited string.
    *
    * @example
    * Lazy([6, 29, 1984]).join("/");
    * // => "6/29/1984"
    */
-  Sequence.prototype.join = function(delimiter) {
+  Sequence.prototype.join = function(delimiter, callback) {
+    if (typeof delimiter === "function") {
+      callback = delimiter;
+    }
+
     delimiter = typeof delimiter === "string" ? delimiter : ",";
 
     var str = "";
-    this.each(function(e) {
+    var iteration = this.each(function(e) {
       if (str.length > 0) {
         str += delimiter;
       }
       str += e;
     });
-    return str;
+    return finishIteration(iteration, function() { return str; }, callback);
   };
 
   /**
@@ -1222,9 +2358,16 @@
    * Creates an iterator object with two methods, `moveNext` -- returning true or
    * false -- and `current` -- returning the current value.
    *
-   * This method is used when asynchronously iterating over sequences. Any type
-   * inheriting from `Sequence` must implement this method or it can't support
-   * asynchronous iteration.
+   * This method is used when asynchronously iterating over sequences, as well as
+   * by `for...of` loops (see below). Most sequence types produce their elements
+   * one at a time from their iterators, only as they are needed. Any type
+   * inheriting from `Sequence` which doesn't implement this method still gets an
+   * iterator, but iterating over it fully evaluates the sequence (by calling
+   * {@link #each}) up front.
+   *
+   * In environments that support ES2015 iterators, every sequence is also
+   * *iterable*, so it can be used with `for...of`, spread syntax and
+   * `Array.from`.
    *
    * @return {Iterator} An iterator object.
    *
@@ -1247,11 +2390,17 @@
    * // => false
    */
   Sequence.prototype.getIterator = function() {
-    return new Iterator(this);
+    return new CachingIterator(this);
   };
 
-  /**
-   * Creates a sequence, with the same elements as this one, that will be iterated
+  if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+    Sequence.prototype[Symbol.iterator] = function() {
+      return new IteratorAdapter(this.getIterator());
+    };
+  }
+
+  /**
+   * Creates a sequence, with the same elements as this one, that will be iterated
    * over asynchronously when calling `each`.
    *
    * @param {number=} interval The approximate period, in milliseconds, that
@@ -1269,6 +2418,40 @@
     return new AsyncSequence(this, interval);
   };
 
+  /**
+   * Creates a sequence, with the same elements as this one, whose {@link #each}
+   * method runs the chain of `map`, `filter`, `take` and `drop` calls leading up
+   * to this sequence in a single loop.
+   *
+   * Normally every one of those calls wraps the function passed to `each` in
+   * another function, so a long chain costs several extra function calls per
+   * element. A compiled sequence instead generates a function with the whole
+   * chain written out inline (so the only calls left are to the functions you
+   * passed to `map`, `filter` and `each`), which loops over the underlying array
+   * directly if the chain starts with one. Elements are produced (and functions
+   * are called) in exactly the same order, and iteration ends at exactly the
+   * same point.
+   *
+   * Any other kind of sequence at the start of the chain is iterated over with
+   * its own `each` method, as usual. And where code can't be generated at
+   * runtime (e.g., on a page whose Content Security Policy doesn't allow
+   * `unsafe-eval`), the compiled sequence just iterates over the chain the
+   * normal way.
+   *
+   * @return {Sequence} The compiled sequence.
+   *
+   * @example
+   * Lazy([1, 2, 3, 4, 5, 6])
+   *   .map(function(x) { return x * 3; })
+   *   .filter(function(x) { return x % 2 === 0; })
+   *   .take(2)
+   *   .compile();
+   * // => sequence: (6, 12)
+   */
+  Sequence.prototype.compile = function() {
+    return new CompiledSequence(this);
+  };
+
   /**
    * A CachingSequence is a `Sequence` that (probably) must fully evaluate the
    * underlying sequence when {@link #each} is called. For this reason, it
@@ -1326,6 +2509,10 @@
     return this.cache().length;
   };
 
+  CachingSequence.prototype.getIterator = function() {
+    return new Iterator(this);
+  };
+
   /**
    * @constructor
    */
@@ -1336,26 +2523,112 @@
 
   MappedSequence.prototype = new Sequence();
 
+  MappedSequence.prototype.getIterator = function() {
+    // An object-like parent passes keys (rather than indices) to mapFn.
+    return new MappingIterator(this.parent, this.mapFn, this.parent instanceof ObjectLikeSequence);
+  };
+
   MappedSequence.prototype.each = function(fn) {
     var mapFn = this.mapFn;
-    this.parent.each(function(e, i) {
+    return this.parent.each(function(e, i) {
       return fn(mapFn(e, i), i);
     });
   };
 
+  var StatefulMappedSequence = CachingSequence.inherit(function(parent, mapFn, initialState) {
+    this.parent       = parent;
+    this.mapFn        = mapFn;
+    this.initialState = initialState;
+  });
+
+  /**
+   * Gets the state to start an iteration with.
+   *
+   * @return {*} The initial state (or, if it's a function, what it returns).
+   */
+  StatefulMappedSequence.prototype.createState = function() {
+    var initialState = this.initialState;
+    return typeof initialState === "function" ? initialState() : initialState;
+  };
+
+  /**
+   * Gets the length of this sequence, which is the same as its parent's. For an
+   * array-like parent, that's known without calling `mapFn` at all.
+   *
+   * @return {number} The length.
+   */
+  StatefulMappedSequence.prototype.length = function() {
+    return this.parent instanceof ArrayLikeSequence ?
+      this.parent.length() :
+      CachingSequence.prototype.length.call(this);
+  };
+
+  StatefulMappedSequence.prototype.getIterator = function() {
+    return new StatefulMappingIterator(this.parent, this.mapFn, this.createState());
+  };
+
+  StatefulMappedSequence.prototype.each = function(fn) {
+    var mapFn = this.mapFn,
+        state = this.createState(),
+        i = 0;
+
+    return this.parent.each(function(e) {
+      var result = mapFn(state, e, i);
+      state = result[0];
+      return fn(result[1], i++);
+    });
+  };
+
+  var ScanRightSequence = CachingSequence.inherit(function(parent, aggregator, seed, hasSeed) {
+    this.parent     = parent;
+    this.aggregator = aggregator;
+    this.seed       = seed;
+    this.hasSeed    = hasSeed;
+  });
+
+  ScanRightSequence.prototype.length = StatefulMappedSequence.prototype.length;
+
+  ScanRightSequence.prototype.each = function(fn) {
+    var aggregator = this.aggregator,
+        seed       = this.seed,
+        hasSeed    = this.hasSeed;
+
+    return finishIteration(this.parent.toArray(), function(array) {
+      var results = [],
+          memo    = seed,
+          i       = array.length;
+
+      if (!hasSeed && i > 0) {
+        memo = results[i - 1] = array[i - 1];
+        --i;
+      }
+      while (--i >= 0) {
+        memo = results[i] = aggregator(memo, array[i], i);
+      }
+
+      i = -1;
+      while (++i < results.length) {
+        if (fn(results[i], i) === false) {
+          break;
+        }
+      }
+    });
+  };
+
   var FilteredSequence = CachingSequence.inherit(function(parent, filterFn) {
     this.parent   = parent;
     this.filterFn = filterFn;
   });
 
   FilteredSequence.prototype.getIterator = function() {
-    return new FilteringIterator(this.parent, this.filterFn);
+    // See MappedSequence#getIterator.
+    return new FilteringIterator(this.parent, this.filterFn, this.parent instanceof ObjectLikeSequence);
   };
 
   FilteredSequence.prototype.each = function(fn) {
     var filterFn = this.filterFn;
 
-    this.parent.each(function(e, i) {
+    return this.parent.each(function(e, i) {
       if (filterFn(e, i)) {
         return fn(e, i);
       }
@@ -1386,24 +2659,33 @@
 
   ConcatenatedSequence.prototype = new Sequence();
 
+  ConcatenatedSequence.prototype.getIterator = function() {
+    return new ConcatenatingIterator([this.parent, Lazy(this.arrays).flatten()]);
+  };
+
   ConcatenatedSequence.prototype.each = function(fn) {
-    var done = false,
+    var arrays = this.arrays,
+        done = false,
         i = 0;
 
-    this.parent.each(function(e) {
+    var iteration = this.parent.each(function(e) {
       if (fn(e, i++) === false) {
         done = true;
         return false;
       }
     });
 
-    if (!done) {
-      Lazy(this.arrays).flatten().each(function(e) {
-        if (fn(e, i++) === false) {
-          return false;
-        }
-      });
-    }
+    // The parent may be asynchronous, in which case the arrays should only be
+    // iterated once it's finished.
+    return finishIteration(iteration, function() {
+      if (!done) {
+        Lazy(arrays).flatten().each(function(e) {
+          if (fn(e, i++) === false) {
+            return false;
+          }
+        });
+      }
+    });
   };
 
   var TakeSequence = CachingSequence.inherit(function(parent, count) {
@@ -1411,10 +2693,14 @@
     this.count  = count;
   });
 
+  TakeSequence.prototype.getIterator = function() {
+    return new TakeIterator(this.parent, this.count);
+  };
+
   TakeSequence.prototype.each = function(fn) {
     var self = this,
         i = 0;
-    self.parent.each(function(e) {
+    return self.parent.each(function(e) {
       var result = fn(e, i);
       if (++i >= self.count) { return false; }
       return result;
@@ -1426,2223 +2712,8917 @@
     this.count  = typeof count === "number" ? count : 1;
   });
 
+  DropSequence.prototype.getIterator = function() {
+    return new DropIterator(this.parent, this.count);
+  };
+
   DropSequence.prototype.each = function(fn) {
     var self = this,
         i = 0;
-    self.parent.each(function(e) {
+    return self.parent.each(function(e) {
       if (i++ < self.count) { return; }
       return fn(e);
     });
   };
 
-    var SortedSequence = CachingSequence.inherit(function(parent, sortFn) {
-      this.parent = parent;
-      this.sortFn = sortFn;
-    });
+  var TakeWhileSequence = CachingSequence.inherit(function(parent, predicate, negate) {
+    this.parent    = parent;
+    this.predicate = predicate;
+    this.negate    = negate;
+  });
 
-  SortedSequence.prototype.each = function(fn) {
-    var sortFn = this.sortFn,
-        sorted = this.parent.toArray(),
-        i = -1;
+  TakeWhileSequence.prototype.getIterator = function() {
+    return new TakeWhileIterator(this.parent, this.predicate, this.negate);
+  };
 
-    sorted.sort(function(x, y) { return compare(x, y, sortFn); });
+  TakeWhileSequence.prototype.each = function(fn) {
+    var predicate = this.predicate,
+        negate    = this.negate,
+        i = 0;
 
-    while (++i < sorted.length) {
-      if (fn(sorted[i], i) === false) {
-        break;
+    return this.parent.each(function(e) {
+      if (!predicate(e, i) !== negate) {
+        return false;
       }
-    }
+      return fn(e, i++);
+    });
   };
 
-  var ShuffledSequence = CachingSequence.inherit(function(parent) {
-    this.parent = parent;
+  var DropWhileSequence = CachingSequence.inherit(function(parent, predicate, negate) {
+    this.parent    = parent;
+    this.predicate = predicate;
+    this.negate    = negate;
   });
 
-  ShuffledSequence.prototype.each = function(fn) {
-    var shuffled = this.parent.toArray(),
-        floor = Math.floor,
-        random = Math.random,
+  DropWhileSequence.prototype.getIterator = function() {
+    return new DropWhileIterator(this.parent, this.predicate, this.negate);
+  };
+
+  DropWhileSequence.prototype.each = function(fn) {
+    var predicate = this.predicate,
+        negate    = this.negate,
+        dropping  = true,
+        i = 0,
         j = 0;
 
-    for (var i = shuffled.length - 1; i > 0; --i) {
-      swap(shuffled, i, floor(random() * i) + 1);
-      if (fn(shuffled[i], j++) === false) {
+    return this.parent.each(function(e) {
+      if (dropping && !predicate(e, i++) === negate) {
         return;
       }
-    }
-    fn(shuffled[0], j);
+      dropping = false;
+      return fn(e, j++);
+    });
   };
 
-  var GroupedSequence = CachingSequence.inherit(function(parent, keyFn) {
-    this.each = function(fn) {
-      var grouped = {};
-      parent.each(function(e) {
-        var key = keyFn(e);
-        if (!grouped[key]) {
-          grouped[key] = [e];
-        } else {
-          grouped[key].push(e);
-        }
-      });
-      for (var key in grouped) {
-        if (fn([key, grouped[key]]) === false) {
-          break;
-        }
-      }
-    };
+  /**
+   * Drops the elements at the end of its parent that satisfy a predicate. Since
+   * it can't know whether the elements it has seen are at the end until it
+   * sees one that doesn't satisfy the predicate, it holds on to them until then.
+   *
+   * @constructor
+   */
+  var DropTrailingSequence = CachingSequence.inherit(function(parent, predicate) {
+    this.parent    = parent;
+    this.predicate = predicate;
   });
 
-  var CountedSequence = CachingSequence.inherit(function(parent, keyFn) {
-    this.each = function(fn) {
-      var grouped = {};
-      parent.each(function(e) {
-        var key = keyFn(e);
-        if (!grouped[key]) {
-          grouped[key] = 1;
-        } else {
-          grouped[key] += 1;
-        }
-      });
-      for (var key in grouped) {
-        fn([key, grouped[key]]);
-      }
-    };
-  });
+  DropTrailingSequence.prototype.each = function(fn) {
+    var predicate = this.predicate,
+        pending   = [],
+        i = 0,
+        j = 0;
 
-  var UniqueSequence = CachingSequence.inherit(function(parent) {
-    this.parent = parent;
-  });
+    return this.parent.each(function(e) {
+      var k;
 
-  UniqueSequence.prototype.each = function(fn) {
-    var cache = new Set(),
-        i     = 0;
-    this.parent.each(function(e) {
-      if (cache.add(e)) {
-        return fn(e, i++);
+      if (predicate(e, i++)) {
+        pending.push(e);
+        return;
+      }
+
+      for (k = 0; k < pending.length; ++k) {
+        if (fn(pending[k], j++) === false) {
+          return false;
+        }
       }
+      pending = [];
+
+      return fn(e, j++);
     });
   };
 
-  var FlattenedSequence = CachingSequence.inherit(function(parent) {
-    this.parent = parent;
+  /**
+   * Takes the elements at the end of its parent that satisfy a predicate.
+   *
+   * @constructor
+   */
+  var TakeTrailingSequence = CachingSequence.inherit(function(parent, predicate) {
+    this.parent    = parent;
+    this.predicate = predicate;
   });
 
-  FlattenedSequence.prototype.each = function(fn) {
-    var index = 0;
-
-    var recurseVisitor = function(e) {
-      if (e instanceof Sequence) {
-        e.each(recurseVisitor);
-
-      } else if (e instanceof Array) {
-        forEach(e, recurseVisitor);
+  TakeTrailingSequence.prototype.each = function(fn) {
+    var predicate = this.predicate,
+        trailing  = [],
+        i = 0,
+        iteration;
 
+    iteration = this.parent.each(function(e) {
+      if (predicate(e, i++)) {
+        trailing.push(e);
       } else {
-        return fn(e,index++);
+        trailing = [];
       }
-    };
+    });
 
-    this.parent.each(recurseVisitor);
+    return finishIteration(iteration, function() {
+      var j = -1;
+      while (++j < trailing.length) {
+        if (fn(trailing[j], j) === false) {
+          break;
+        }
+      }
+    });
   };
 
-  var WithoutSequence = CachingSequence.inherit(function(parent, values) {
-    this.parent = parent;
-    this.values = values;
+  var WindowedSequence = CachingSequence.inherit(function(parent, size, step, partial) {
+    checkWindow(size, step);
+    this.parent  = parent;
+    this.size    = size;
+    this.step    = step;
+    this.partial = partial;
   });
 
-  WithoutSequence.prototype.each = function(fn) {
-    var set = createSet(this.values),
-        i = 0;
-    this.parent.each(function(e) {
-      if (!set.contains(e)) {
-        return fn(e, i++);
-      }
-    });
+  WindowedSequence.prototype.getIterator = function() {
+    return new WindowingIterator(this.parent, this.size, this.step, this.partial);
   };
 
-  /**
-   * @constructor
-   */
-  function SimpleIntersectionSequence(parent, array) {
-    this.parent = parent;
-    this.array  = array;
-    this.each   = getEachForIntersection(array);
-  }
+  WindowedSequence.prototype.each = function(fn) {
+    var size    = this.size,
+        step    = this.step,
+        partial = this.partial,
+        buffer  = [],
+        skip    = 0,
+        done    = false,
+        i       = 0,
+        iteration;
 
-  SimpleIntersectionSequence.prototype = new Sequence();
+    iteration = this.parent.each(function(e) {
+      var window;
 
-  SimpleIntersectionSequence.prototype.eachMemoizerCache = function(fn) {
-    var iterator = new UniqueMemoizer(Lazy(this.array).getIterator()),
-        i = 0;
+      if (skip > 0) {
+        --skip;
+        return;
+      }
 
-    this.parent.each(function(e) {
-      if (iterator.contains(e)) {
-        return fn(e, i++);
+      buffer.push(e);
+      if (buffer.length < size) {
+        return;
       }
-    });
-  };
 
-  SimpleIntersectionSequence.prototype.eachArrayCache = function(fn) {
-    var array = this.array,
-        find  = contains,
-        i = 0;
+      // Windows that have been passed to fn are never modified afterwards.
+      window = buffer;
+      if (step < size) {
+        buffer = window.slice(step);
+      } else {
+        buffer = [];
+        skip = step - size;
+      }
 
-    this.parent.each(function(e) {
-      if (find(array, e)) {
-        return fn(e, i++);
+      if (fn(window, i++) === false) {
+        done = true;
+        return false;
+      }
+    });
+
+    return finishIteration(iteration, function() {
+      if (!done && partial && buffer.length > 0) {
+        fn(buffer, i);
       }
     });
   };
 
-  function getEachForIntersection(source) {
-    if (source.length < 40) {
-      return SimpleIntersectionSequence.prototype.eachArrayCache;
-    } else {
-      return SimpleIntersectionSequence.prototype.eachMemoizerCache;
+  /**
+   * Checks the arguments to {@link Sequence#chunk} or {@link Sequence#windowed}.
+   */
+  function checkWindow(size, step) {
+    if (typeof size !== "number" || size < 1 || size % 1 !== 0) {
+      throw "The size of a chunk or window must be a positive integer.";
+    }
+    if (typeof step !== "number" || step < 1 || step % 1 !== 0) {
+      throw "The step between windows must be a positive integer.";
     }
   }
 
-  var IntersectionSequence = CachingSequence.inherit(function(parent, arrays) {
-    this.parent = parent;
-    this.arrays = arrays;
+  var RunSequence = CachingSequence.inherit(function(parent, keyFn, splitFn) {
+    this.parent  = parent;
+    this.keyFn   = keyFn;
+    this.splitFn = splitFn;
   });
 
-  IntersectionSequence.prototype.each = function(fn) {
-    var sets = Lazy(this.arrays).map(function(values) {
-      return new UniqueMemoizer(Lazy(values).getIterator());
-    });
-
-    var setIterator = new UniqueMemoizer(sets.getIterator()),
-        i = 0;
-
-    this.parent.each(function(e) {
-      var includedInAll = true;
-      setIterator.each(function(set) {
-        if (!set.contains(e)) {
-          includedInAll = false;
+  RunSequence.prototype.getIterator = function() {
+    return new RunIterator(this.parent, this.keyFn, this.splitFn);
+  };
+
+  RunSequence.prototype.each = function(fn) {
+    var keyFn   = this.keyFn,
+        splitFn = this.splitFn,
+        run     = null,
+        lastKey,
+        done    = false,
+        i       = 0,
+        iteration;
+
+    iteration = this.parent.each(function(e) {
+      var key = keyFn ? keyFn(e) : e,
+          previous;
+
+      if (!run) {
+        run = [e];
+      } else if (splitFn(lastKey, key)) {
+        previous = run;
+        run = [e];
+        if (fn(previous, i++) === false) {
+          done = true;
           return false;
         }
-      });
+      } else {
+        run.push(e);
+      }
+      lastKey = key;
+    });
 
-      if (includedInAll) {
-        return fn(e, i++);
+    return finishIteration(iteration, function() {
+      if (!done && run) {
+        fn(run, i);
       }
     });
   };
 
+    var SortedSequence = CachingSequence.inherit(function(parent, sortFn) {
+      this.parent = parent;
+      this.sortFn = sortFn;
+    });
+
   /**
-   * An optimized version of {@link ZippedSequence}, when zipping a sequence with
-   * only one array.
-   *
-   * @param {Sequence} parent The underlying sequence.
-   * @param {Array} array The array with which to zip the sequence.
-   * @constructor
+   * Gets the key that the given element is sorted by.
    */
-  function SimpleZippedSequence(parent, array) {
-    this.parent = parent;
-    this.array  = array;
-  }
+  SortedSequence.prototype.getSortKey = function(value) {
+    return typeof this.sortFn === "function" ? this.sortFn(value) : value;
+  };
 
-  SimpleZippedSequence.prototype = new Sequence();
+  /**
+   * Compares two keys returned by {@link #getSortKey}. Undefined keys go last, as
+   * they would with Array.prototype.sort (which this used to be built on).
+   */
+  SortedSequence.prototype.compareSortKeys = function(x, y) {
+    var xIsUndefined = typeof x === "undefined",
+        yIsUndefined = typeof y === "undefined";
 
-  SimpleZippedSequence.prototype.each = function(fn) {
-    var array = this.array;
-    this.parent.each(function(e, i) {
-      return fn([e, array[i]], i);
-    });
+    if (xIsUndefined || yIsUndefined) {
+      return xIsUndefined === yIsUndefined ? 0 : (xIsUndefined ? 1 : -1);
+    }
+
+    return compare(x, y);
   };
 
-  var ZippedSequence = CachingSequence.inherit(function(parent, arrays) {
-    this.parent = parent;
-    this.arrays = arrays;
-  });
+  /**
+   * Creates a {@link Heap} of the elements in the parent sequence, so that they
+   * can be pulled out in order one at a time.
+   */
+  SortedSequence.prototype.createHeap = function() {
+    var entries = createSortEntries(this);
 
-  ZippedSequence.prototype.each = function(fn) {
-    var arrays = this.arrays,
-        i = 0;
-    this.parent.each(function(e) {
-      var group = [e];
-      for (var j = 0; j < arrays.length; ++j) {
-        if (arrays[j].length > i) {
-          group.push(arrays[j][i]);
+    if (entries instanceof AsyncHandle) {
+      throw "An asynchronous sequence can't be iterated over synchronously.";
+    }
+
+    return new Heap(createSortEntryComparator(this), entries);
+  };
+
+  SortedSequence.prototype.each = function(fn) {
+    var compareFn = createSortEntryComparator(this);
+
+    // Rather than sorting everything up front, pull elements from a heap as
+    // they're needed; so e.g. getting the first element takes linear time.
+    return finishIteration(createSortEntries(this), function(entries) {
+      var heap = new Heap(compareFn, entries),
+          i = 0;
+
+      while (heap.size() > 0) {
+        if (fn(heap.pop().value, i++) === false) {
+          break;
         }
       }
-      return fn(group, i++);
     });
   };
 
+  SortedSequence.prototype.getIterator = function() {
+    return new SortingIterator(this);
+  };
+
   /**
-   * The Iterator object provides an API for iterating over a sequence.
-   *
-   * @param {Sequence=} sequence The sequence to iterate over.
-   * @constructor
+   * An optimized version of {@link Sequence#toArray}, for when every element is
+   * needed anyway.
    */
-  function Iterator(sequence) {
-    this.sequence = sequence;
-    this.index = -1;
-  }
+  SortedSequence.prototype.toArray = function(callback) {
+    var compareFn = createSortEntryComparator(this);
+
+    return finishIteration(createSortEntries(this), function(entries) {
+      var sorted = [],
+          i = -1;
+
+      entries.sort(compareFn);
+      while (++i < entries.length) {
+        sorted.push(entries[i].value);
+      }
+      return sorted;
+    }, callback);
+  };
 
   /**
-   * Gets the current item this iterator is pointing to.
+   * An optimized version of {@link Sequence#first}, which only keeps track of
+   * the first N elements (in sorted order) rather than sorting all of them.
    *
-   * @return {*} The current item.
+   * @param {number=} count
    */
-  Iterator.prototype.current = function() {
-    return this.sequence.get(this.index);
+  SortedSequence.prototype.first =
+  SortedSequence.prototype.head =
+  SortedSequence.prototype.take = function(count) {
+    if (typeof count === "undefined") {
+      return getFirst(this);
+    }
+
+    return new PartiallySortedSequence(this, count, false);
   };
 
   /**
-   * Moves the iterator to the next item in a sequence, if possible.
+   * An optimized version of {@link Sequence#last}, which only keeps track of
+   * the last N elements (in sorted order) rather than sorting all of them.
    *
-   * @return {boolean} True if the iterator is able to move to a new item, or else
-   *     false.
+   * @param {number=} count
    */
-  Iterator.prototype.moveNext = function() {
-    if (this.index >= this.sequence.length() - 1) {
-      return false;
+  SortedSequence.prototype.last = function(count) {
+    if (typeof count === "function") {
+      return Sequence.prototype.last.call(this, count);
+    }
+    if (typeof count === "undefined") {
+      return getFirst(new PartiallySortedSequence(this, 1, true));
     }
 
-    ++this.index;
-    return true;
+    return new PartiallySortedSequence(this, count, true);
   };
 
   /**
-   * @constructor
+   * Creates a new sequence ordered the same way as this one, except that
+   * elements which are equal according to that ordering are then ordered by
+   * another key. See {@link Sequence#orderBy}.
+   *
+   * @param {Function|string|Object} key The function to call on each element to
+   *     get its key, or the name of a property to use as the key, or an object
+   *     with a `key` property and any of the options below.
+   * @param {string|Object=} options Either "asc" or "desc", or an object with
+   *     any of the options described for {@link Sequence#orderBy}.
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["bb", "c", "aa"]).orderBy("length").thenBy(function(s) { return s; });
+   * // => sequence: ("c", "aa", "bb")
    */
-  function FilteringIterator(sequence, filterFn) {
-    this.iterator = sequence.getIterator();
-    this.filterFn = filterFn;
-  }
-
-  FilteringIterator.prototype.current = function() {
-    return this.value;
+  SortedSequence.prototype.thenBy = function(key, options) {
+    return new OrderedSequence(this.parent, this.getCriteria().concat([createSortCriterion(key, options)]));
   };
 
-  FilteringIterator.prototype.moveNext = function() {
-    var iterator = this.iterator,
-        filterFn = this.filterFn,
-        value;
-
-    while (iterator.moveNext()) {
-      value = iterator.current();
-      if (filterFn(value)) {
-        this.value = value;
-        return true;
-      }
-    }
+  /**
+   * Like {@link #thenBy}, but in descending order.
+   *
+   * @param {Function|string|Object} key The key (see {@link #thenBy}).
+   * @param {Object=} options Any other options (see {@link Sequence#orderBy}).
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * Lazy(["bb", "c", "aa"]).orderBy("length").thenByDescending(function(s) { return s; });
+   * // => sequence: ("c", "bb", "aa")
+   */
+  SortedSequence.prototype.thenByDescending = function(key, options) {
+    var criterion = createSortCriterion(key, options, "desc");
+    return new OrderedSequence(this.parent, this.getCriteria().concat([criterion]));
+  };
 
-    this.value = undefined;
-    return false;
+  SortedSequence.prototype.getCriteria = function() {
+    return [createSortCriterion(this.sortFn)];
   };
 
   /**
    * @constructor
-   * @param {string|StringLikeSequence} source
    */
-  function CharIterator(source) {
-    this.source = source;
-    this.index = -1;
+  function OrderedSequence(parent, criteria) {
+    this.parent   = parent;
+    this.criteria = criteria;
   }
 
-  CharIterator.prototype = new Iterator();
+  OrderedSequence.prototype = new SortedSequence();
 
-  CharIterator.prototype.current = function() {
-    return this.source.charAt(this.index);
-  };
+  OrderedSequence.prototype.getSortKey = function(value) {
+    var criteria = this.criteria,
+        keys = [],
+        i = -1;
 
-  CharIterator.prototype.moveNext = function() {
-    return (++this.index < this.source.length);
+    while (++i < criteria.length) {
+      keys.push(criteria[i].keyFn(value));
+    }
+    return keys;
   };
 
-  /**
-   * @constructor
-   */
-  function StringMatchIterator(source, pattern) {
-    this.source = source;
-
-    // clone the RegExp
-    this.pattern = eval("" + pattern + (!pattern.global ? "g" : ""));
-  }
+  OrderedSequence.prototype.compareSortKeys = function(x, y) {
+    var criteria = this.criteria,
+        result = 0,
+        i = -1;
 
-  StringMatchIterator.prototype.current = function() {
-    return this.match[0];
+    while (++i < criteria.length && result === 0) {
+      result = criteria[i].compare(x[i], y[i]);
+    }
+    return result;
   };
 
-  StringMatchIterator.prototype.moveNext = function() {
-    return !!(this.match = this.pattern.exec(this.source));
+  OrderedSequence.prototype.getCriteria = function() {
+    return this.criteria;
   };
 
-  /**
-   * @constructor
-   */
-  function SplitWithRegExpIterator(source, pattern) {
-    this.source = source;
+  var PartiallySortedSequence = CachingSequence.inherit(function(parent, count, fromEnd) {
+    this.parent  = parent;
+    this.count   = count;
+    this.fromEnd = fromEnd;
+  });
 
-    // clone the RegExp
-    this.pattern = eval("" + pattern + (!pattern.global ? "g" : ""));
-  }
+  PartiallySortedSequence.prototype.each = function(fn) {
+    var sorted    = this.parent,
+        count     = this.count,
+        fromEnd   = this.fromEnd,
+        compareFn = createSortEntryComparator(sorted),
 
-  SplitWithRegExpIterator.prototype.current = function() {
-    return this.source.substring(this.start, this.end);
-  };
+        // The top of this heap is always the entry that would be dropped next:
+        // the greatest one if we want the first N, or the least for the last N.
+        heap      = new Heap(fromEnd ? compareFn : function(x, y) {
+          return compareFn(y, x);
+        }),
 
-  SplitWithRegExpIterator.prototype.moveNext = function() {
-    if (!this.pattern) {
-      return false;
-    }
+        index     = 0,
+        iteration;
 
-    var match = this.pattern.exec(this.source);
+    iteration = sorted.parent.each(function(e) {
+      var entry = { value: e, key: sorted.getSortKey(e), index: index++ };
 
-    if (match) {
-      this.start = this.nextStart ? this.nextStart : 0;
-      this.end = match.index;
-      this.nextStart = match.index + match[0].length;
-      return true;
+      if (heap.size() < count) {
+        heap.push(entry);
+      } else if (count > 0 && heap.compareFn(entry, heap.peek()) > 0) {
+        heap.replace(entry);
+      }
+    });
 
-    } else if (this.pattern) {
-      this.start = this.nextStart;
-      this.end = undefined;
-      this.nextStart = undefined;
-      this.pattern = undefined;
-      return true;
-    }
+    return finishIteration(iteration, function() {
+      var result = [],
+          i;
 
-    return false;
+      while (heap.size() > 0) {
+        result.push(heap.pop().value);
+      }
+
+      if (!fromEnd) {
+        result.reverse();
+      }
+
+      for (i = 0; i < result.length; ++i) {
+        if (fn(result[i], i) === false) {
+          break;
+        }
+      }
+    });
   };
 
   /**
-   * @constructor
+   * Pairs each element of a sorted sequence's parent with its sort key and its
+   * position (so that elements with equal keys can keep their original order).
+   * For an asynchronous parent, this returns an {@link AsyncHandle} for the
+   * entries.
    */
-  function SplitWithStringIterator(source, delimiter) {
-    this.source = source;
-    this.delimiter = delimiter;
+  function createSortEntries(sequence) {
+    var entries = [],
+        iteration;
+
+    iteration = sequence.parent.each(function(e) {
+      entries.push({ value: e, key: sequence.getSortKey(e), index: entries.length });
+    });
+
+    return finishIteration(iteration, function() {
+      return entries;
+    });
   }
 
-  SplitWithStringIterator.prototype.current = function() {
-    return this.source.substring(this.leftIndex, this.rightIndex);
-  };
+  /**
+   * Creates a function that orders entries by their keys, and then (so that
+   * sorting is stable) by their positions in the original sequence.
+   */
+  function createSortEntryComparator(sequence) {
+    return function(x, y) {
+      return sequence.compareSortKeys(x.key, y.key) || x.index - y.index;
+    };
+  }
 
-  SplitWithStringIterator.prototype.moveNext = function() {
-    if (!this.finished) {
-      this.leftIndex = typeof this.leftIndex !== "undefined" ?
-        this.rightIndex + this.delimiter.length :
-        0;
-      this.rightIndex = this.source.indexOf(this.delimiter, this.leftIndex);
+  /**
+   * Creates an object describing one key of an ordering: a `keyFn` to get the key
+   * from an element and a `compare` function for comparing two keys.
+   *
+   * @param {Function|string|Object} key See {@link Sequence#orderBy}.
+   * @param {string|Object=} options See {@link Sequence#orderBy}.
+   * @param {string=} direction The direction to use if the options don't
+   *     specify one.
+   */
+  function createSortCriterion(key, options, direction) {
+    var keyFn, compareFn, nulls, descending;
+
+    if (key && typeof key === "object") {
+      options = key;
+      key = key.key;
     }
 
-    if (this.rightIndex === -1) {
-      this.finished = true;
-      this.rightIndex = undefined;
-      return true;
+    if (typeof options === "string") {
+      options = { direction: options };
     }
+    options = options || {};
 
-    return !this.finished;
-  };
+    keyFn = createKeyFn(key);
+
+    direction = options.direction || direction || "asc";
+    if (direction === "desc" || direction === "descending") {
+      descending = true;
+    } else if (direction !== "asc" && direction !== "ascending") {
+      throw "Unknown sort direction: '" + direction + "'.";
+    }
+
+    nulls = options.nulls || "last";
+    if (nulls !== "first" && nulls !== "last") {
+      throw "The nulls option must be either 'first' or 'last'.";
+    }
+
+    if (typeof options.compare === "function") {
+      compareFn = options.compare;
+    } else if (options.locale || options.numeric || options.sensitivity) {
+      compareFn = createCollator(options);
+    } else {
+      compareFn = compare;
+    }
+
+    return {
+      keyFn: keyFn,
+      compare: function(x, y) {
+        var xIsNull = x === null || typeof x === "undefined",
+            yIsNull = y === null || typeof y === "undefined";
+
+        // Nulls go first or last regardless of the direction. (They can't just
+        // be compared like anything else, since a null key isn't less or
+        // greater than any other, and that would make the order inconsistent.)
+        if (xIsNull || yIsNull) {
+          if (xIsNull && yIsNull) {
+            return 0;
+          }
+          return (xIsNull ? -1 : 1) * (nulls === "first" ? 1 : -1);
+        }
+
+        return descending ? compareFn(y, x) : compareFn(x, y);
+      }
+    };
+  }
 
   /**
-   * @constructor
+   * Creates a function for comparing strings according to the rules of a locale,
+   * using `Intl.Collator` where it's available.
    */
-  function UniqueMemoizer(iterator) {
-    this.iterator     = iterator;
-    this.set          = new Set();
-    this.memo         = [];
-    this.currentValue = undefined;
-  }
+  function createCollator(options) {
+    var locale = typeof options.locale === "string" ? options.locale : undefined,
+        collator;
 
-  UniqueMemoizer.prototype = new Iterator();
+    if (typeof Intl === "object" && typeof Intl.Collator === "function") {
+      collator = new Intl.Collator(locale, {
+        numeric: !!options.numeric,
+        sensitivity: options.sensitivity || "variant"
+      });
+      return function(x, y) {
+        return collator.compare(String(x), String(y));
+      };
+    }
 
-  UniqueMemoizer.prototype.current = function() {
-    return this.currentValue;
-  };
+    return function(x, y) {
+      return String(x).localeCompare(String(y));
+    };
+  }
 
-  UniqueMemoizer.prototype.moveNext = function() {
-    var iterator = this.iterator,
-        set = this.set,
-        memo = this.memo,
-        current;
+  var ShuffledSequence = CachingSequence.inherit(function(parent, random) {
+    this.parent = parent;
+    this.random = random;
+  });
 
-    while (iterator.moveNext()) {
-      current = iterator.current();
-      if (set.add(current)) {
-        memo.push(current);
-        this.currentValue = current;
-        return true;
+  ShuffledSequence.prototype.each = function(fn) {
+    var random = createRandomFn(this.random);
+
+    return finishIteration(this.parent.toArray(), function(shuffled) {
+      var floor = Math.floor,
+          i = shuffled.length,
+          j = 0;
+
+      // Fisher-Yates, yielding each element as soon as its place is settled.
+      while (--i >= 0) {
+        swap(shuffled, i, floor(random() * (i + 1)));
+        if (fn(shuffled[i], j++) === false) {
+          return;
+        }
       }
-    }
-    return false;
+    });
   };
 
-  UniqueMemoizer.prototype.each = function(fn) {
-    var memo = this.memo,
-        length = memo.length,
-        i = -1;
+  var SampledSequence = CachingSequence.inherit(function(parent, count, random, weightFn) {
+    if (typeof count !== "number" || count < 0 || count % 1 !== 0) {
+      throw "The number of elements to sample must be a non-negative integer.";
+    }
+    this.parent   = parent;
+    this.count    = count;
+    this.random   = random;
+    this.weightFn = weightFn;
+  });
 
-    while (++i < length) {
-      if (fn(memo[i], i) === false) {
-        return false;
+  SampledSequence.prototype.each = function(fn) {
+    var count     = this.count,
+        random    = createRandomFn(this.random),
+        weightFn  = this.weightFn,
+        heap      = weightFn ? new Heap(compareSampleKeys) : null,
+        reservoir = weightFn ? heap.values : [],
+        seen      = 0,
+        iteration;
+
+    iteration = this.parent.each(function(e, i) {
+      var weight, key, slot;
+
+      if (weightFn) {
+        // Each element gets a random key, which tends to be greater the greater
+        // its weight is; and those with the greatest keys are kept (this is the
+        // A-Res algorithm of Efraimidis and Spirakis).
+        weight = weightFn(e, i);
+        if (weight > 0) {
+          key = Math.pow(random(), 1 / weight);
+          if (heap.size() < count) {
+            heap.push({ key: key, index: seen, value: e });
+          } else if (count > 0 && key > heap.peek().key) {
+            heap.replace({ key: key, index: seen, value: e });
+          }
+        }
+
+      } else if (seen < count) {
+        reservoir.push({ index: seen, value: e });
+
+      } else {
+        // Once the reservoir is full, each new element replaces one of those in
+        // it with a chance of count / (seen + 1).
+        slot = Math.floor(random() * (seen + 1));
+        if (slot < count) {
+          reservoir[slot] = { index: seen, value: e };
+        }
       }
-    }
 
-    while (this.moveNext()) {
-      if (fn(this.currentValue, i++) === false) {
-        break;
+      ++seen;
+    });
+
+    return finishIteration(iteration, function() {
+      var samples = reservoir.slice(0).sort(compareSampleIndices),
+          i = -1;
+
+      while (++i < samples.length) {
+        if (fn(samples[i].value, i) === false) {
+          return;
+        }
       }
-    }
+    });
   };
 
-  UniqueMemoizer.prototype.contains = function(e) {
-    if (this.set.contains(e)) {
-      return true;
+  function compareSampleKeys(x, y) {
+    return x.key - y.key;
+  }
+
+  function compareSampleIndices(x, y) {
+    return x.index - y.index;
+  }
+
+  var CountedSequence = CachingSequence.inherit(function(parent, keyFn, equals) {
+    this.parent = parent;
+    this.keyFn  = keyFn;
+    this.equals = equals;
+  });
+
+  CountedSequence.prototype.each = function(fn) {
+    var counts = new Dictionary(this.equals),
+        keyFn  = this.keyFn,
+        iteration;
+
+    iteration = this.parent.each(function(e) {
+      var key = keyFn(e);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    function eachCount() {
+      var i = 0;
+      counts.each(function(count, key) {
+        return fn([key, count], i++);
+      });
     }
 
-    while (this.moveNext()) {
-      if (this.currentValue === e) {
-        return true;
-      }
+    if (iteration instanceof AsyncHandle) {
+      return iteration.then(eachCount);
     }
 
-    return false;
+    eachCount();
   };
 
-  /**
-   * An `ArrayLikeSequence` is a {@link Sequence} that provides random access to
-   * its elements. This extends the API for iterating with the additional methods
-   * {@link #get} and {@link #length}, allowing a sequence to act as a "view" into
-   * a collection or other indexed data source.
-   *
-   * Defining custom array-like sequences
-   * ------------------------------------
-   *
-   * Creating a custom `ArrayLikeSequence` is essentially the same as creating a
-   * custom {@link Sequence}. You just have a couple more methods you need to
-   * implement: `get` and (optionally) `length`.
-   *
-   * Here's an example. Let's define a sequence type called `OffsetSequence` that
-   * offsets each of its parent's elements by a set distance, and circles back to
-   * the beginning after reaching the end. **Remember**: the initialization
-   * function you pass to {@link #define} should always accept a `parent` as its
-   * first parameter.
-   *
-   *     var OffsetSequence = ArrayLikeSequence.define("offset", function(parent, offset) {
-   *       this.offset = offset;
-   *     });
-   *
-   *     OffsetSequence.prototype.get = function(i) {
-   *       return this.parent.get((i + this.offset) % this.parent.length());
-   *     };
-   *
-   * It's worth noting a couple of things here.
-   *
-   * First, Lazy's default implementation of `length` simply returns the parent's
-   * length. In this case, since an `OffsetSequence` will always have the same
-   * number of elements as its parent, that implementation is fine; so we don't
-   * need to override it.
-   *
-   * Second, the default implementation of `each` uses `get` and `length` to
-   * essentially create a `for` loop, which is fine here. If you want to implement
-   * `each` your own way, you can do that; but in most cases (as here), you can
-   * probably just stick with the default.
-   *
-   * So we're already done, after only implementing `get`! Pretty slick, huh?
-   *
-   * Now the `offset` method will be chainable from any `ArrayLikeSequence`. So
-   * for example:
-   *
-   *     Lazy([1, 2, 3]).map(trans).offset(3);
-   *
-   * ...will work, but:
-   *
-   *     Lazy([1, 2, 3]).filter(pred).offset(3);
-   *
-   * ...will not.
-   *
-   * (Also, as with the example provided for defining custom {@link Sequence}
-   * types, this example really could have been implemented using a function
-   * already available as part of Lazy.js: in this case, {@link Sequence#map}.)
-   *
-   * @constructor
-   */
-  function ArrayLikeSequence() {}
-
-  ArrayLikeSequence.prototype = new Sequence();
-
-  ArrayLikeSequence.define = function(methodName, init) {
-    // Define a constructor that sets this sequence's parent to the first argument
-    // and (optionally) applies any additional initialization logic.
+  var UniqueSequence = CachingSequence.inherit(function(parent, keyFn, options) {
+    this.parent  = parent;
+    this.keyFn   = keyFn;
+    this.options = options;
+  });
 
-    /** @constructor */
-    var ctor = init ? function(var_args) {
-                        this.parent = arguments[0];
-                        init.apply(this, arguments);
-                      } :
-                      function(var_args) {
-                        this.parent = arguments[0];
-                      };
+  UniqueSequence.prototype.getIterator = function() {
+    var cache = new Set(this.options),
+        keyFn = this.keyFn;
 
-    // Make this type inherit from ArrayLikeSequence.
-    ctor.prototype = new ArrayLikeSequence();
+    return new FilteringIterator(this.parent, function(e) {
+      return cache.add(keyFn ? keyFn(e) : e);
+    });
+  };
 
-    // Expose the constructor as a chainable method so that we can do:
-    // Lazy(...).map(...).blah(...);
-    /** @skip
-      * @suppress {checkTypes} */
-    ArrayLikeSequence.prototype[methodName] = function(x, y, z) {
-      return new ctor(this, x, y, z);
-    };
+  UniqueSequence.prototype.each = function(fn) {
+    var cache = new Set(this.options),
+        keyFn = this.keyFn,
+        i     = 0;
 
-    return ctor;
+    return this.parent.each(function(e) {
+      if (cache.add(keyFn ? keyFn(e) : e)) {
+        return fn(e, i++);
+      }
+    });
   };
 
-  /**
-   * Returns the element at the specified index.
-   *
-   * @param {number} i The index to access.
-   * @return {*} The element.
-   */
-  ArrayLikeSequence.prototype.get = function(i) {
-    return this.parent.get(i);
-  };
+  var FlattenedSequence = CachingSequence.inherit(function(parent, depth, pairs) {
+    this.parent = parent;
+    this.depth  = depth;
+    this.pairs  = pairs;
+  });
 
-  /**
-   * Returns the length of the sequence.
-   *
-   * @return {number} The length.
-   */
-  ArrayLikeSequence.prototype.length = function() {
-    return this.parent.length();
+  FlattenedSequence.prototype.getIterator = function() {
+    return new FlatteningIterator(this.parent, this.depth, this.pairs);
   };
 
-  /**
-   * An optimized version of {@link Sequence#each}.
-   */
-  ArrayLikeSequence.prototype.each = function(fn) {
-    var length = this.length(),
-        i = -1;
-    while (++i < length) {
-      if (fn(this.get(i), i) === false) {
-        break;
+  FlattenedSequence.prototype.each = function(fn) {
+    var maxDepth = this.depth,
+        pairs    = this.pairs,
+        queue    = [],
+        waiting  = null,
+        stopped  = false,
+        index    = 0,
+        iteration;
+
+    function emit(e) {
+      if (fn(e, index++) === false) {
+        stopped = true;
+        return false;
       }
     }
-  };
-
-  /**
-   * An optimized version of {@link Sequence#map}, which creates an
-   * `ArrayLikeSequence` so that the result still provides random access.
-   *
-   * @return {ArrayLikeSequence} The new array-like sequence.
-   */
-  ArrayLikeSequence.prototype.map = function(mapFn) {
-    return new IndexedMappedSequence(this, mapFn);
-  };
-
-  ArrayLikeSequence.prototype.collect = ArrayLikeSequence.prototype.map;
 
-  /**
-   * An optimized version of {@link Sequence#select}.
-   */
-  ArrayLikeSequence.prototype.select = function(filterFn) {
-    return new IndexedFilteredSequence(this, filterFn);
-  };
+    // Flattens an element, pushing an iterator over its elements (if it has any)
+    // onto the stack. If they come from an asynchronous sequence, though, the
+    // rest of the stack has to wait for it; so a handle is returned instead.
+    function visit(stack, e, depth) {
+      var elements = depth > 0 ? getNestedElements(e, pairs) : null,
+          elementDepth = pairs && e instanceof ObjectLikeSequence ? 0 : depth - 1;
 
-  ArrayLikeSequence.prototype.filter = ArrayLikeSequence.prototype.select;
+      if (!elements) {
+        emit(e);
+        return null;
+      }
 
-  /**
-   * An optimized version of {@link Sequence#reverse}, which creates an
-   * `ArrayLikeSequence` so that the result still provides random access.
-   */
-  ArrayLikeSequence.prototype.reverse = function() {
-    return new IndexedReversedSequence(this);
-  };
+      if (isAsynchronous(elements)) {
+        return new FlattenedSequence(elements, elementDepth, pairs).each(emit).then(function() {
+          return flattenStack(stack);
+        });
+      }
 
-  /**
-   * An optimized version of {@link Sequence#first}, which creates an
-   * `ArrayLikeSequence` so that the result still provides random access.
-   *
-   * @param {number=} count
-   */
-  ArrayLikeSequence.prototype.first = function(count) {
-    if (typeof count === "undefined") {
-      return this.get(0);
+      stack.push({ iterator: elements.getIterator(), depth: elementDepth });
+      return null;
     }
 
-    return new IndexedTakeSequence(this, count);
-  };
+    function flattenStack(stack) {
+      var frame, wait;
 
-  ArrayLikeSequence.prototype.head =
-  ArrayLikeSequence.prototype.take =
-  ArrayLikeSequence.prototype.first;
+      while (!stopped && stack.length > 0) {
+        frame = stack[stack.length - 1];
+        if (!frame.iterator.moveNext()) {
+          stack.pop();
+          continue;
+        }
 
-  /**
-   * An optimized version of {@link Sequence#rest}, which creates an
-   * `ArrayLikeSequence` so that the result still provides random access.
-   *
-   * @param {number=} count
-   */
-  ArrayLikeSequence.prototype.rest = function(count) {
-    return new IndexedDropSequence(this, count);
-  };
+        wait = visit(stack, frame.iterator.current(), frame.depth);
+        if (wait) {
+          return wait;
+        }
+      }
+      return null;
+    }
 
-  ArrayLikeSequence.prototype.tail =
-  ArrayLikeSequence.prototype.drop = ArrayLikeSequence.prototype.rest;
+    function flattenElement(e) {
+      var stack = [];
+      return visit(stack, e, maxDepth) || flattenStack(stack);
+    }
 
-  /**
-   * An optimized version of {@link Sequence#concat}.
-   *
-   * @param {...*} var_args
-   */
-  ArrayLikeSequence.prototype.concat = function(var_args) {
-    if (arguments.length === 1 && arguments[0] instanceof Array) {
-      return new IndexedConcatenatedSequence(this, (/** @type {Array} */ var_args));
-    } else {
-      return Sequence.prototype.concat.apply(this, arguments);
+    // Elements of this sequence that come along while waiting for a nested
+    // asynchronous sequence are queued up until it's done.
+    function flattenQueue() {
+      var wait;
+
+      while (!stopped && queue.length > 0) {
+        wait = flattenElement(queue.shift());
+        if (wait) {
+          return wait.then(flattenQueue);
+        }
+      }
+      waiting = null;
     }
-  }
 
-  /**
-   * An optimized version of {@link Sequence#uniq}.
-   */
-  ArrayLikeSequence.prototype.uniq = function() {
-    return new IndexedUniqueSequence(this);
-  };
+    iteration = this.parent.each(function(e) {
+      if (waiting) {
+        queue.push(e);
+        return;
+      }
 
-  /**
-   * @constructor
-   */
-  function IndexedMappedSequence(parent, mapFn) {
-    this.parent = parent;
-    this.mapFn  = mapFn;
-  }
+      waiting = flattenElement(e);
+      if (waiting) {
+        waiting = waiting.then(flattenQueue);
+      }
 
-  IndexedMappedSequence.prototype = new ArrayLikeSequence();
+      if (stopped) {
+        return false;
+      }
+    });
 
-  IndexedMappedSequence.prototype.get = function(i) {
-    return this.mapFn(this.parent.get(i), i);
+    if (iteration instanceof AsyncHandle) {
+      return iteration.then(function() {
+        return waiting;
+      });
+    }
+
+    return waiting || iteration;
   };
 
   /**
-   * @constructor
+   * Gets a sequence of the elements to flatten in place of the given value, if
+   * it's an array, a sequence or an iterable (other than a string), or else null.
+   *
+   * @param {*} value
+   * @param {boolean} pairs Whether an object-like sequence should be flattened
+   *     into its [key, value] pairs, rather than its values.
+   * @return {Sequence}
    */
-  function IndexedFilteredSequence(parent, filterFn) {
-    this.parent   = parent;
-    this.filterFn = filterFn;
+  function getNestedElements(value, pairs) {
+    if (value instanceof Array) {
+      return new ArrayWrapper(value);
+    }
+    if (value instanceof ObjectLikeSequence && pairs) {
+      return value.map(function(v, k) { return [k, v]; });
+    }
+    if (value instanceof Sequence) {
+      return value;
+    }
+    if (isIterable(value)) {
+      return new IterableWrapper(value);
+    }
+    return null;
   }
 
-  IndexedFilteredSequence.prototype = new FilteredSequence();
+  var WithoutSequence = CachingSequence.inherit(function(parent, values) {
+    this.parent = parent;
+    this.values = values;
+  });
 
-  IndexedFilteredSequence.prototype.each = function(fn) {
-    var parent = this.parent,
-        filterFn = this.filterFn,
-        length = this.parent.length(),
-        i = -1,
-        e;
+  WithoutSequence.prototype.getIterator = function() {
+    var set = createSet(this.values);
+    return new FilteringIterator(this.parent, function(e) {
+      return !set.contains(e);
+    });
+  };
 
-    while (++i < length) {
-      e = parent.get(i);
-      if (filterFn(e, i) && fn(e, i) === false) {
-        break;
+  WithoutSequence.prototype.each = function(fn) {
+    var set = createSet(this.values),
+        i = 0;
+    return this.parent.each(function(e) {
+      if (!set.contains(e)) {
+        return fn(e, i++);
       }
-    }
+    });
   };
 
   /**
    * @constructor
    */
-  function IndexedReversedSequence(parent) {
+  function SimpleIntersectionSequence(parent, array) {
     this.parent = parent;
+    this.array  = array;
+    this.each   = getEachForIntersection(array);
   }
 
-  IndexedReversedSequence.prototype = new ArrayLikeSequence();
+  SimpleIntersectionSequence.prototype = new Sequence();
 
-  IndexedReversedSequence.prototype.get = function(i) {
-    return this.parent.get(this.length() - i - 1);
+  SimpleIntersectionSequence.prototype.getIterator = function() {
+    var iterator = new UniqueMemoizer(Lazy(this.array).getIterator());
+    return new FilteringIterator(this.parent, function(e) {
+      return iterator.contains(e);
+    });
   };
 
-  /**
-   * @constructor
-   */
-  function IndexedTakeSequence(parent, count) {
-    this.parent = parent;
-    this.count  = count;
-  }
+  SimpleIntersectionSequence.prototype.eachMemoizerCache = function(fn) {
+    var iterator = new UniqueMemoizer(Lazy(this.array).getIterator()),
+        i = 0;
 
-  IndexedTakeSequence.prototype = new ArrayLikeSequence();
+    return this.parent.each(function(e) {
+      if (iterator.contains(e)) {
+        return fn(e, i++);
+      }
+    });
+  };
 
-  IndexedTakeSequence.prototype.length = function() {
-    var parentLength = this.parent.length();
-    return this.count <= parentLength ? this.count : parentLength;
+  SimpleIntersectionSequence.prototype.eachArrayCache = function(fn) {
+    var array = this.array,
+        find  = containsValue,
+        i = 0;
+
+    return this.parent.each(function(e) {
+      if (find(array, e, array.length)) {
+        return fn(e, i++);
+      }
+    });
   };
 
-  /**
-   * @constructor
-   */
-  function IndexedDropSequence(parent, count) {
-    this.parent = parent;
-    this.count  = typeof count === "number" ? count : 1;
+  function getEachForIntersection(source) {
+    if (source.length < 40) {
+      return SimpleIntersectionSequence.prototype.eachArrayCache;
+    } else {
+      return SimpleIntersectionSequence.prototype.eachMemoizerCache;
+    }
   }
 
-  IndexedDropSequence.prototype = new ArrayLikeSequence();
+  var IntersectionSequence = CachingSequence.inherit(function(parent, arrays) {
+    this.parent = parent;
+    this.arrays = arrays;
+  });
 
-  IndexedDropSequence.prototype.get = function(i) {
-    return this.parent.get(this.count + i);
-  };
+  IntersectionSequence.prototype.each = function(fn) {
+    var sets = Lazy(this.arrays).map(function(values) {
+      return new UniqueMemoizer(Lazy(values).getIterator());
+    });
 
-  IndexedDropSequence.prototype.length = function() {
-    var parentLength = this.parent.length();
-    return this.count <= parentLength ? parentLength - this.count : 0;
+    var setIterator = new UniqueMemoizer(sets.getIterator()),
+        i = 0;
+
+    return this.parent.each(function(e) {
+      var includedInAll = true;
+      setIterator.each(function(set) {
+        if (!set.contains(e)) {
+          includedInAll = false;
+          return false;
+        }
+      });
+
+      if (includedInAll) {
+        return fn(e, i++);
+      }
+    });
   };
 
   /**
+   * An optimized version of {@link ZippedSequence}, when zipping a sequence with
+   * only one array.
+   *
+   * @param {Sequence} parent The underlying sequence.
+   * @param {Array} array The array with which to zip the sequence.
    * @constructor
    */
-  function IndexedConcatenatedSequence(parent, other) {
+  function SimpleZippedSequence(parent, array) {
     this.parent = parent;
-    this.other  = other;
+    this.array  = array;
   }
 
-  IndexedConcatenatedSequence.prototype = new ArrayLikeSequence();
+  SimpleZippedSequence.prototype = new Sequence();
 
-  IndexedConcatenatedSequence.prototype.get = function(i) {
-    var parentLength = this.parent.length();
-    if (i < parentLength) {
-      return this.parent.get(i);
-    } else {
-      return this.other[i - parentLength];
-    }
+  SimpleZippedSequence.prototype.getIterator = function() {
+    var array = this.array;
+    return new MappingIterator(this.parent, function(e, i) {
+      return [e, array[i]];
+    });
   };
 
-  IndexedConcatenatedSequence.prototype.length = function() {
-    return this.parent.length() + this.other.length;
+  SimpleZippedSequence.prototype.each = function(fn) {
+    var array = this.array;
+    return this.parent.each(function(e, i) {
+      return fn([e, array[i]], i);
+    });
   };
 
-  /**
-   * @param {ArrayLikeSequence} parent
-   * @constructor
-   */
-  function IndexedUniqueSequence(parent) {
+  var ZippedSequence = CachingSequence.inherit(function(parent, arrays) {
     this.parent = parent;
-    this.each   = getEachForParent(parent);
-  }
-
-  IndexedUniqueSequence.prototype = new Sequence();
-
-  IndexedUniqueSequence.prototype.eachArrayCache = function(fn) {
-    // Basically the same implementation as w/ the set, but using an array because
-    // it's cheaper for smaller sequences.
-    var parent = this.parent,
-        length = parent.length(),
-        cache  = [],
-        find   = contains,
-        value,
-        i = -1,
-        j = 0;
+    this.arrays = arrays;
+  });
 
-    while (++i < length) {
-      value = parent.get(i);
-      if (!find(cache, value)) {
-        cache.push(value);
-        if (fn(value, j++) === false) {
-          return false;
-        }
-      }
-    }
+  ZippedSequence.prototype.getIterator = function() {
+    var arrays = this.arrays;
+    return new MappingIterator(this.parent, function(e, i) {
+      return zipGroup(e, arrays, i);
+    });
   };
 
-  IndexedUniqueSequence.prototype.eachSetCache = UniqueSequence.prototype.each;
+  ZippedSequence.prototype.each = function(fn) {
+    var arrays = this.arrays,
+        i = 0;
+    return this.parent.each(function(e) {
+      return fn(zipGroup(e, arrays, i), i++);
+    });
+  };
 
-  function getEachForParent(parent) {
-    if (parent.length() < 100) {
-      return IndexedUniqueSequence.prototype.eachArrayCache;
-    } else {
-      return UniqueSequence.prototype.each;
+  function zipGroup(e, arrays, i) {
+    var group = [e];
+    for (var j = 0; j < arrays.length; ++j) {
+      if (arrays[j].length > i) {
+        group.push(arrays[j][i]);
+      }
     }
+    return group;
   }
 
   /**
-   * ArrayWrapper is the most basic {@link Sequence}. It directly wraps an array
-   * and implements the same methods as {@link ArrayLikeSequence}, but more
-   * efficiently.
-   *
    * @constructor
    */
-  function ArrayWrapper(source) {
-    this.source = source;
+  function JoinSequence(parent, other, leftKey, rightKey, resultFn, type) {
+    this.parent   = parent;
+    this.other    = other;
+    this.leftKey  = createKeyFn(leftKey);
+    this.rightKey = createKeyFn(rightKey);
+    this.resultFn = resultFn || function(left, right) { return [left, right]; };
+    this.type     = type;
   }
 
-  ArrayWrapper.prototype = new ArrayLikeSequence();
+  JoinSequence.prototype = new Sequence();
 
   /**
-   * Returns the element at the specified index in the source array.
-   *
-   * @param {number} i The index to access.
-   * @return {*} The element.
+   * Reads the other collection into a {@link Dictionary} mapping each key to the
+   * positions of the elements with that key. This is done afresh for each
+   * iteration, so that any changes to the other collection are picked up.
    */
-  ArrayWrapper.prototype.get = function(i) {
-    return this.source[i];
+  JoinSequence.prototype.createIndex = function() {
+    var rightKey = this.rightKey,
+        index = { elements: [], positions: new Dictionary() };
+
+    Lazy(this.other).each(function(e) {
+      var key = rightKey(e),
+          positions;
+
+      if (key !== null && typeof key !== "undefined") {
+        positions = index.positions.get(key);
+        if (!positions) {
+          index.positions.set(key, positions = []);
+        }
+        positions.push(index.elements.length);
+      }
+
+      index.elements.push(e);
+    });
+
+    return index;
   };
 
   /**
-   * Returns the length of the source array.
-   *
-   * @return {number} The length.
+   * Finds the positions (in the index) of the elements of the other collection
+   * matching the given element of this sequence, or null if there aren't any.
    */
-  ArrayWrapper.prototype.length = function() {
-    return this.source.length;
+  JoinSequence.prototype.lookup = function(index, left) {
+    var key = this.leftKey(left);
+    return key === null || typeof key === "undefined" ? null : index.positions.get(key) || null;
   };
 
   /**
-   * An optimized version of {@link Sequence#each}.
+   * Gets the array of elements at the given positions in the index.
    */
-  ArrayWrapper.prototype.each = function(fn) {
-    var source = this.source,
-        length = source.length,
-        i = -1;
+  JoinSequence.prototype.getGroup = function(index, positions) {
+    var group = [],
+        j;
 
-    while (++i < length) {
-      if (fn(source[i], i) === false) {
-        break;
-      }
+    for (j = 0; positions && j < positions.length; ++j) {
+      group.push(index.elements[positions[j]]);
     }
-  };
 
-  /**
-   * An optimized version of {@link Sequence#map}.
-   */
-  ArrayWrapper.prototype.map =
-  ArrayWrapper.prototype.collect = function(mapFn) {
-    return new MappedArrayWrapper(this.source, mapFn);
+    return group;
   };
 
-  /**
-   * An optimized version of {@link Sequence#filter}.
-   */
-  ArrayWrapper.prototype.filter =
-  ArrayWrapper.prototype.select = function(filterFn) {
-    return new FilteredArrayWrapper(this, filterFn);
+  JoinSequence.prototype.getIterator = function() {
+    return new JoinIterator(this);
   };
 
-  /**
-   * An optimized version of {@link Sequence#uniq}.
-   */
-  ArrayWrapper.prototype.uniq =
-  ArrayWrapper.prototype.unique = function() {
-    return new UniqueArrayWrapper(this);
-  };
+  JoinSequence.prototype.each = function(fn) {
+    var self     = this,
+        index    = this.createIndex(),
+        elements = index.elements,
+        resultFn = this.resultFn,
+        type     = this.type,
+        keepLeft = type === "left" || type === "full",
+        matched  = type === "right" || type === "full" ? [] : null,
+        stopped  = false,
+        i = 0,
+        iteration;
 
-  /**
-   * An optimized version of {@link ArrayLikeSequence#concat}.
-   *
-   * @param {...*} var_args
-   */
-  ArrayWrapper.prototype.concat = function(var_args) {
-    if (arguments.length === 1 && arguments[0] instanceof Array) {
-      return new ConcatArrayWrapper(this.source, (/** @type {Array} */ var_args));
-    } else {
-      return ArrayLikeSequence.prototype.concat.apply(this, arguments);
+    iteration = this.parent.each(function(left) {
+      var positions = self.lookup(index, left),
+          j;
+
+      if (type === "group") {
+        if (fn(resultFn(left, self.getGroup(index, positions)), i++) === false) {
+          stopped = true;
+          return false;
+        }
+        return;
+      }
+
+      if (!positions) {
+        if (keepLeft && fn(resultFn(left, undefined), i++) === false) {
+          stopped = true;
+          return false;
+        }
+        return;
+      }
+
+      for (j = 0; j < positions.length; ++j) {
+        if (matched) {
+          matched[positions[j]] = true;
+        }
+        if (fn(resultFn(left, elements[positions[j]]), i++) === false) {
+          stopped = true;
+          return false;
+        }
+      }
+    });
+
+    // For right and full outer joins, finish with the elements of the other
+    // collection that nothing matched.
+    function eachUnmatched() {
+      var j = -1;
+
+      while (matched && !stopped && ++j < elements.length) {
+        if (!matched[j] && fn(resultFn(undefined, elements[j]), i++) === false) {
+          break;
+        }
+      }
     }
-  };
 
-  /**
-   * An optimized version of {@link Sequence#toArray}.
-   */
-  ArrayWrapper.prototype.toArray = function() {
-    return this.source.slice(0);
+    if (iteration instanceof AsyncHandle) {
+      return iteration.then(eachUnmatched);
+    }
+
+    eachUnmatched();
   };
 
   /**
+   * Wraps any object implementing the ES2015 iterable protocol, such as a
+   * generator, `Map` or `Set`. Note that some iterables (generators, in
+   * particular) can only be iterated over once.
+   *
+   * @param {Object} source The iterable object.
    * @constructor
    */
-  function MappedArrayWrapper(source, mapFn) {
+  function IterableWrapper(source) {
     this.source = source;
-    this.mapFn  = mapFn;
   }
 
-  MappedArrayWrapper.prototype = new ArrayLikeSequence();
+  IterableWrapper.prototype = new Sequence();
 
-  MappedArrayWrapper.prototype.get = function(i) {
-    return this.mapFn(this.source[i]);
+  IterableWrapper.prototype.getIterator = function() {
+    return new IterableIterator(this.source);
   };
 
-  MappedArrayWrapper.prototype.length = function() {
-    return this.source.length;
-  };
+  IterableWrapper.prototype.each = function(fn) {
+    var iterator = this.source[Symbol.iterator](),
+        result,
+        i = 0;
 
-  MappedArrayWrapper.prototype.each = function(fn) {
-    var source = this.source,
-        length = this.source.length,
-        mapFn  = this.mapFn,
-        i = -1;
-    while (++i < length) {
-      if (fn(mapFn(source[i], i), i) === false) {
-        return;
+    while (!(result = iterator.next()).done) {
+      if (fn(result.value, i++) === false) {
+        // Give the iterator a chance to clean up (e.g., run a generator's
+        // finally blocks).
+        if (typeof iterator["return"] === "function") {
+          iterator["return"]();
+        }
+        break;
       }
     }
   };
 
   /**
+   * Wraps an ES2015 `Set`. Its elements are already unique, and checking whether
+   * it contains a value doesn't require iterating over it.
+   *
+   * @param {Set} source The set to wrap.
    * @constructor
    */
-  function FilteredArrayWrapper(parent, filterFn) {
-    this.parent   = parent;
-    this.filterFn = filterFn;
+  function SetWrapper(source) {
+    this.source = source;
   }
 
-  FilteredArrayWrapper.prototype = new FilteredSequence();
+  SetWrapper.prototype = new IterableWrapper();
 
-  FilteredArrayWrapper.prototype.each = function(fn) {
-    var source = this.parent.source,
-        filterFn = this.filterFn,
-        length = source.length,
-        i = -1,
-        e;
+  SetWrapper.prototype.contains = function(value, callback) {
+    var source = this.source;
+    return finishIteration(undefined, function() {
+      // Set#has finds NaN, but (like Array#indexOf) Sequence#contains doesn't.
+      return value === value && source.has(value);
+    }, callback);
+  };
 
-    while (++i < length) {
-      e = source[i];
-      if (filterFn(e, i) && fn(e, i) === false) {
-        break;
-      }
-    }
+  SetWrapper.prototype.uniq =
+  SetWrapper.prototype.unique = function(options) {
+    return options ? Sequence.prototype.uniq.call(this, options) : this;
   };
 
   /**
    * @constructor
    */
-  function UniqueArrayWrapper(parent) {
+  function CompiledSequence(parent) {
+    var stages   = [],
+        prefix   = [],
+        sequence = parent,
+        base;
+
+    // First collect the stages that each wrap the function passed to `each`...
+    while (true) {
+      if (sequence instanceof MappedSequence) {
+        stages.unshift({ type: "map", fn: sequence.mapFn });
+      } else if (sequence instanceof FilteredSequence) {
+        stages.unshift({ type: "filter", fn: sequence.filterFn });
+      } else if (sequence instanceof TakeSequence) {
+        stages.unshift({ type: "take", count: sequence.count });
+      } else if (sequence instanceof DropSequence) {
+        stages.unshift({ type: "drop", count: sequence.count });
+      } else {
+        break;
+      }
+      sequence = sequence.parent;
+    }
+
+    // ...then the array-like ones underneath, which access elements by index.
+    // These are only worth unwinding if they lead back to an actual array.
+    base = sequence;
+    while (true) {
+      if (sequence instanceof IndexedMappedSequence) {
+        prefix.unshift({ type: "map", fn: sequence.mapFn });
+      } else if (sequence instanceof IndexedTakeSequence) {
+        prefix.unshift({ type: "take", count: sequence.count });
+      } else if (sequence instanceof IndexedDropSequence) {
+        prefix.unshift({ type: "drop", count: sequence.count });
+      } else if (sequence instanceof MappedArrayWrapper) {
+        prefix.unshift({ type: "map", fn: sequence.mapFn });
+        this.source = sequence.source;
+        break;
+      } else if (sequence instanceof ArrayWrapper) {
+        this.source = sequence.source;
+        break;
+      } else {
+        break;
+      }
+      sequence = sequence.parent;
+    }
+
     this.parent = parent;
-    this.each = getEachForSource(parent.source);
+    this.stages = stages;
+    this.prefix = this.source ? prefix : [];
+    this.base   = this.source ? null : base;
+    this.loop   = compileLoop(this.prefix, stages);
   }
 
-  UniqueArrayWrapper.prototype = new CachingSequence();
+  CompiledSequence.prototype = new Sequence();
 
-  UniqueArrayWrapper.prototype.eachNoCache = function(fn) {
-    var source = this.parent.source,
-        length = source.length,
-        find   = containsBefore,
-        value,
+  CompiledSequence.prototype.getIterator = function() {
+    return this.parent.getIterator();
+  };
 
-        // Yes, this is hideous.
-        // Trying to get performance first, will refactor next!
-        i = -1,
-        k = 0;
+  CompiledSequence.prototype.each = function(fn) {
+    var source = this.source,
+        prefix = this.prefix,
+        loop   = this.loop,
+        offsets = [],
+        start  = 0,
+        end,
+        j;
+
+    if (!loop) {
+      return this.parent.each(fn);
+    }
 
-    while (++i < length) {
-      value = source[i];
-      if (!find(source, value, i) && fn(value, k++) === false) {
-        return false;
+    if (!source) {
+      return loop.each(this.base, fn);
+    }
+
+    // Work out which indices of the array the array-like stages cover, and the
+    // offset of each map's own indices from the array's.
+    end = source.length;
+    for (j = 0; j < prefix.length; ++j) {
+      switch (prefix[j].type) {
+        case "map":
+          offsets.push(start);
+          break;
+
+        case "take":
+          end = Math.min(end, start + prefix[j].count);
+          break;
+
+        case "drop":
+          start = Math.min(start + prefix[j].count, end);
+          break;
       }
     }
-  };
 
-  UniqueArrayWrapper.prototype.eachArrayCache = function(fn) {
-    // Basically the same implementation as w/ the set, but using an array because
-    // it's cheaper for smaller sequences.
-    var source = this.parent.source,
-        length = source.length,
-        cache  = [],
-        find   = contains,
-        value,
-        i = -1,
-        j = 0;
+    loop.array(source, start, end, offsets, fn);
+  };
+
+  /**
+   * Generates the code for a {@link CompiledSequence}: a loop over an array,
+   * and a function to pass to the `each` method of any other sequence, each with
+   * every stage of the chain written out inline. The functions (and counts) of
+   * the stages are passed in as arrays, and pulled out into local variables.
+   *
+   * @param {Array.<Object>} prefix The map, take and drop stages applied to the
+   *     array by index (before `stages`).
+   * @param {Array.<Object>} stages The map, filter, take and drop stages which
+   *     wrap the function passed to `each`.
+   * @return {?{array: Function, each: Function}} The generated functions, or
+   *     null if code can't be generated in this environment.
+   */
+  function compileLoop(prefix, stages) {
+    var header   = ["var f = stages.fns, n = stages.counts, p = prefix;"],
+        counters = ["stop = false"],
+        maps     = [],
+        chain    = [],
+        fns      = [],
+        counts   = [],
+        prefixFns = [],
+        canStop  = false,
+        j;
+
+    // Each stage of the chain, written in terms of `e` and `i`. SKIP is replaced
+    // with whatever moves on to the next element; STOP with whatever ends
+    // iteration (after the current element).
+    for (j = 0; j < stages.length; ++j) {
+      switch (stages[j].type) {
+        case "map":
+          header.push("var f" + j + " = f[" + fns.length + "];");
+          fns.push(stages[j].fn);
+          chain.push("e = f" + j + "(e, i);");
+          break;
 
-    while (++i < length) {
-      value = source[i];
-      if (!find(cache, value)) {
-        cache.push(value);
-        if (fn(value, j++) === false) {
-          return false;
-        }
+        case "filter":
+          header.push("var f" + j + " = f[" + fns.length + "];");
+          fns.push(stages[j].fn);
+          chain.push("if (!f" + j + "(e, i)) { " + (canStop ? "SKIP_OR_STOP" : "SKIP") + " }");
+          break;
+
+        case "take":
+          header.push("var n" + j + " = n[" + counts.length + "];");
+          counts.push(stages[j].count);
+          counters.push("c" + j + " = 0");
+          chain.push("i = c" + j + "++;");
+          chain.push("if (c" + j + " >= n" + j + ") { stop = true; }");
+          canStop = true;
+          break;
+
+        case "drop":
+          header.push("var n" + j + " = n[" + counts.length + "];");
+          counts.push(stages[j].count);
+          counters.push("c" + j + " = 0");
+          chain.push("if (c" + j + "++ < n" + j + ") { " + (canStop ? "SKIP_OR_STOP" : "SKIP") + " }");
+          chain.push("i = undefined;");
+          break;
       }
     }
-  };
 
-  UniqueArrayWrapper.prototype.eachSetCache = UniqueSequence.prototype.each;
+    for (j = 0; j < prefix.length; ++j) {
+      if (prefix[j].type === "map") {
+        header.push("var p" + maps.length + " = p[" + prefixFns.length + "];");
+        maps.push("e = p" + maps.length + "(e, k - o[" + maps.length + "]);");
+        prefixFns.push(prefix[j].fn);
+      }
+    }
 
-  /**
-   * My latest findings here...
-   *
-   * So I hadn't really given the set-based approach enough credit. The main issue
-   * was that my Set implementation was totally not optimized at all. After pretty
-   * heavily optimizing it (just take a look; it's a monstrosity now!), it now
-   * becomes the fastest option for much smaller values of N.
-   */
-  function getEachForSource(source) {
-    if (source.length < 40) {
-      return UniqueArrayWrapper.prototype.eachNoCache;
-    } else if (source.length < 100) {
-      return UniqueArrayWrapper.prototype.eachArrayCache;
-    } else {
-      return UniqueSequence.prototype.each;
+    chain = chain.join("\n");
+
+    var code = header.join("\n") + "\n" +
+      "return {\n" +
+      "array: function(source, start, end, o, fn) {\n" +
+      "var " + counters.concat(["e", "i", "r", "k"]).join(", ") + ";\n" +
+      "for (k = start; k < end; ++k) {\n" +
+      "e = source[k];\n" +
+      maps.join("\n") + "\n" +
+      "i = k - start;\n" +
+      chain.replace(/SKIP_OR_STOP/g, "if (stop) { break; } continue;").replace(/SKIP/g, "continue;") + "\n" +
+      (canStop ?
+        "r = fn(e, i);\nif (stop || r === false) { break; }\n" :
+        "if (fn(e, i) === false) { break; }\n") +
+      "}\n" +
+      "},\n" +
+      "each: function(base, fn) {\n" +
+      "var " + counters.concat(["r"]).join(", ") + ";\n" +
+      "return base.each(function(e, i) {\n" +
+      chain.replace(/SKIP_OR_STOP/g, "return !stop;").replace(/SKIP/g, "return;") + "\n" +
+      (canStop ?
+        "r = fn(e, i);\nreturn stop ? false : r;\n" :
+        "return fn(e, i);\n") +
+      "});\n" +
+      "}\n" +
+      "};";
+
+    try {
+      return new Function("stages", "prefix", code)({ fns: fns, counts: counts }, prefixFns);
+    } catch (e) {
+      // A Content Security Policy without 'unsafe-eval' forbids this.
+      return null;
     }
   }
 
   /**
+   * The Iterator object provides an API for iterating over a sequence.
+   *
+   * @param {Sequence=} sequence The sequence to iterate over.
    * @constructor
    */
-  function ConcatArrayWrapper(source, other) {
-    this.source = source;
-    this.other  = other;
+  function Iterator(sequence) {
+    this.sequence = sequence;
+    this.index = -1;
   }
 
-  ConcatArrayWrapper.prototype = new ArrayLikeSequence();
-
-  ConcatArrayWrapper.prototype.get = function(i) {
-    var sourceLength = this.source.length;
+  /**
+   * Gets the current item this iterator is pointing to.
+   *
+   * @return {*} The current item.
+   */
+  Iterator.prototype.current = function() {
+    return this.sequence.get(this.index);
+  };
 
-    if (i < sourceLength) {
-      return this.source[i];
-    } else {
-      return this.other[i - sourceLength];
+  /**
+   * Moves the iterator to the next item in a sequence, if possible.
+   *
+   * @return {boolean} True if the iterator is able to move to a new item, or else
+   *     false.
+   */
+  Iterator.prototype.moveNext = function() {
+    if (this.index >= this.sequence.length() - 1) {
+      return false;
     }
+
+    ++this.index;
+    return true;
   };
 
-  ConcatArrayWrapper.prototype.length = function() {
-    return this.source.length + this.other.length;
+  /**
+   * Tells an iterator that it won't be moved along any further, so that it can
+   * clean up (e.g., run a generator's `finally` blocks, or close a file), if it
+   * knows how to. Like an ES2015 iterator, an {@link Iterator} can implement this
+   * as a `return` method.
+   *
+   * @param {Iterator} iterator The iterator to close (if any).
+   */
+  function closeIterator(iterator) {
+    if (iterator && typeof iterator["return"] === "function") {
+      iterator["return"]();
+    }
+  }
+
+  /**
+   * The `return` method for iterators which move along another iterator (as
+   * `this.iterator`): closing one closes the other.
+   */
+  function closeUnderlyingIterator() {
+    closeIterator(this.iterator);
+  }
+
+  /**
+   * @constructor
+   */
+  function FilteringIterator(sequence, filterFn, keyed) {
+    this.iterator = sequence.getIterator();
+    this.filterFn = filterFn;
+    this.keyed    = keyed;
+    this.index    = 0;
+  }
+
+  FilteringIterator.prototype.current = function() {
+    return this.value;
   };
 
-  ConcatArrayWrapper.prototype.each = function(fn) {
-    var source = this.source,
-        sourceLength = source.length,
-        other = this.other,
-        otherLength = other.length,
-        i = 0,
-        j = -1;
+  FilteringIterator.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        filterFn = this.filterFn,
+        value;
 
-    while (++j < sourceLength) {
-      if (fn(source[j], i++) === false) {
-        return false;
+    while (iterator.moveNext()) {
+      value = iterator.current();
+      if (filterFn(value, this.keyed ? iterator.currentKey() : this.index++)) {
+        this.value = value;
+        return true;
       }
     }
 
-    j = -1;
-    while (++j < otherLength) {
-      if (fn(other[j], i++) === false) {
-        return false;
-      }
-    }
+    this.value = undefined;
+    return false;
   };
 
+  FilteringIterator.prototype["return"] = closeUnderlyingIterator;
+
   /**
-   * An `ObjectLikeSequence` object represents a sequence of key/value pairs.
-   *
-   * So, this one is arguably the least... good... of the sequence types right
-   * now. A bunch of methods are implemented already, and they basically "work";
-   * but the problem is I haven't quite made up my mind exactly how they *should*
-   * work, to be consistent and useful.
-   *
-   * Here are a couple of issues (there are others):
-   *
-   * 1. For iterating over an object, there is currently *not* a good way to do it
-   *    asynchronously (that I know of). The best approach is to call
-   *    `Object.keys` and then iterate over *those* asynchronously; but this of
-   *    course eagerly iterates over the object's keys (though maybe that's not
-   *    a really big deal).
-   * 2. In terms of method chaining, it is a bit unclear how that should work.
-   *    Iterating over an `ObjectLikeSequence` with {@link ObjectLikeSequence#each}
-   *    passes `(value, key)` to the given function; but what about the result of
-   *    {@link Sequence#map}, {@link Sequence#filter}, etc.? I've flip-flopped
-   *    between thinking they should return object-like sequences or regular
-   *    sequences.
-   *
-   * Expect this section to be updated for a coming version of Lazy.js, when I
-   * will hopefully have figured this stuff out.
+   * An iterator for sequences which can only be iterated over with `each`. The
+   * whole sequence is evaluated the first time {@link #moveNext} is called.
    *
+   * @param {Sequence} sequence The sequence to iterate over.
    * @constructor
    */
-  function ObjectLikeSequence() {}
+  function CachingIterator(sequence) {
+    this.sequence = sequence;
+    this.cache    = null;
+    this.keys     = null;
+    this.index    = -1;
+  }
 
-  ObjectLikeSequence.prototype = new Sequence();
+  CachingIterator.prototype.current = function() {
+    return this.cache[this.index];
+  };
 
   /**
-   * Gets the element at the specified key in this sequence.
-   *
-   * @param {string} key The key.
-   * @return {*} The element.
+   * Gets the key (or index) that was passed along with the current element, for
+   * object-like sequences.
    *
-   * @example
-   * Lazy({ foo: "bar" }).get("foo");
-   * // => "bar"
+   * @return {*} The current key.
    */
-  ObjectLikeSequence.prototype.get = function(key) {
-    return this.parent.get(key);
+  CachingIterator.prototype.currentKey = function() {
+    return this.keys[this.index];
   };
 
-  /**
-   * Returns a {@link Sequence} whose elements are the keys of this object-like
-   * sequence.
-   *
-   * @return {Sequence} The sequence based on this sequence's keys.
-   *
-   * @example
-   * Lazy({ hello: "hola", goodbye: "hasta luego" }).keys();
-   * // => sequence: ("hello", "goodbye")
-   */
-  ObjectLikeSequence.prototype.keys = function() {
-    return this.map(function(v, k) { return k; });
+  CachingIterator.prototype.moveNext = function() {
+    var cache = this.cache,
+        keys,
+        iteration;
+
+    if (!cache) {
+      cache = this.cache = [];
+      keys = this.keys = [];
+      iteration = this.sequence.each(function(e, key) {
+        cache.push(e);
+        keys.push(key);
+      });
+
+      if (iteration instanceof AsyncHandle) {
+        throw "An asynchronous sequence can't be iterated over synchronously.";
+      }
+    }
+
+    if (this.index >= cache.length - 1) {
+      return false;
+    }
+
+    ++this.index;
+    return true;
   };
 
   /**
-   * Returns a {@link Sequence} whose elements are the values of this object-like
-   * sequence.
-   *
-   * @return {Sequence} The sequence based on this sequence's values.
-   *
-   * @example
-   * Lazy({ hello: "hola", goodbye: "hasta luego" }).values();
-   * // => sequence: ("hola", "hasta luego")
+   * @constructor
    */
-  ObjectLikeSequence.prototype.values = function() {
-    return this.map(function(v, k) { return v; });
+  function MappingIterator(sequence, mapFn, keyed) {
+    this.iterator = sequence.getIterator();
+    this.mapFn    = mapFn;
+    this.keyed    = keyed;
+    this.index    = 0;
+    this.value    = undefined;
+  }
+
+  MappingIterator.prototype.current = function() {
+    return this.value;
   };
 
-  /**
-   * Returns an `ObjectLikeSequence` whose elements are the combination of this
-   * sequence and another object. In the case of a key appearing in both this
-   * sequence and the given object, the other object's value will override the
-   * one in this sequence.
+  MappingIterator.prototype.moveNext = function() {
+    var iterator = this.iterator;
+
+    if (iterator.moveNext()) {
+      this.value = this.mapFn(iterator.current(), this.keyed ? iterator.currentKey() : this.index++);
+      return true;
+    }
+
+    this.value = undefined;
+    return false;
+  };
+
+  MappingIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function StatefulMappingIterator(sequence, mapFn, initialState) {
+    this.iterator = sequence.getIterator();
+    this.mapFn    = mapFn;
+    this.state    = initialState;
+    this.index    = 0;
+    this.value    = undefined;
+  }
+
+  StatefulMappingIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  StatefulMappingIterator.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        result;
+
+    if (iterator.moveNext()) {
+      result = this.mapFn(this.state, iterator.current(), this.index++);
+      this.state = result[0];
+      this.value = result[1];
+      return true;
+    }
+
+    this.value = undefined;
+    return false;
+  };
+
+  StatefulMappingIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function TakeIterator(sequence, count) {
+    this.iterator = sequence.getIterator();
+    this.count    = count;
+  }
+
+  TakeIterator.prototype.current = function() {
+    return this.iterator.current();
+  };
+
+  TakeIterator.prototype.moveNext = function() {
+    // Don't even ask the underlying iterator for more than it needs to produce;
+    // and once it's produced enough, let it clean up.
+    if (this.count <= 0) {
+      if (this.count === 0) {
+        --this.count;
+        closeIterator(this.iterator);
+      }
+      return false;
+    }
+
+    --this.count;
+    return this.iterator.moveNext();
+  };
+
+  TakeIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function DropIterator(sequence, count) {
+    this.iterator = sequence.getIterator();
+    this.count    = count;
+  }
+
+  DropIterator.prototype.current = function() {
+    return this.iterator.current();
+  };
+
+  DropIterator.prototype.moveNext = function() {
+    var iterator = this.iterator;
+
+    while (this.count > 0) {
+      --this.count;
+      if (!iterator.moveNext()) {
+        return false;
+      }
+    }
+
+    return iterator.moveNext();
+  };
+
+  DropIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function TakeWhileIterator(sequence, predicate, negate) {
+    this.iterator  = sequence.getIterator();
+    this.predicate = predicate;
+    this.negate    = negate;
+    this.index     = 0;
+    this.finished  = false;
+  }
+
+  TakeWhileIterator.prototype.current = function() {
+    return this.finished ? undefined : this.iterator.current();
+  };
+
+  TakeWhileIterator.prototype.moveNext = function() {
+    if (this.finished || !this.iterator.moveNext()) {
+      this.finished = true;
+      return false;
+    }
+
+    if (!this.predicate(this.iterator.current(), this.index++) !== this.negate) {
+      this.finished = true;
+      closeIterator(this.iterator);
+      return false;
+    }
+    return true;
+  };
+
+  TakeWhileIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function DropWhileIterator(sequence, predicate, negate) {
+    this.iterator  = sequence.getIterator();
+    this.predicate = predicate;
+    this.negate    = negate;
+    this.dropping  = true;
+  }
+
+  DropWhileIterator.prototype.current = function() {
+    return this.iterator.current();
+  };
+
+  DropWhileIterator.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        i = 0;
+
+    if (!this.dropping) {
+      return iterator.moveNext();
+    }
+
+    this.dropping = false;
+    while (iterator.moveNext()) {
+      if (!this.predicate(iterator.current(), i++) !== this.negate) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  DropWhileIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * @constructor
+   */
+  function WindowingIterator(sequence, size, step, partial) {
+    this.iterator = sequence.getIterator();
+    this.size     = size;
+    this.step     = step;
+    this.partial  = partial;
+    this.buffer   = [];
+    this.skip     = 0;
+    this.finished = false;
+    this.value    = undefined;
+  }
+
+  WindowingIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  WindowingIterator.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        buffer   = this.buffer;
+
+    this.value = undefined;
+    if (this.finished) {
+      return false;
+    }
+
+    while (buffer.length < this.size) {
+      if (!iterator.moveNext()) {
+        this.finished = true;
+        if (this.partial && buffer.length > 0) {
+          this.value = buffer;
+          return true;
+        }
+        return false;
+      }
+
+      if (this.skip > 0) {
+        --this.skip;
+      } else {
+        buffer.push(iterator.current());
+      }
+    }
+
+    this.value = buffer;
+    if (this.step < this.size) {
+      this.buffer = buffer.slice(this.step);
+    } else {
+      this.buffer = [];
+      this.skip = this.step - this.size;
+    }
+    return true;
+  };
+
+  WindowingIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * An iterator over the runs of a {@link RunSequence}. Each run is only known to
+   * be over once the first element of the next one has been read, so that
+   * element is held on to until then.
+   *
+   * @constructor
+   */
+  function RunIterator(sequence, keyFn, splitFn) {
+    this.iterator = sequence.getIterator();
+    this.keyFn    = keyFn;
+    this.splitFn  = splitFn;
+    this.next     = null;
+    this.nextKey  = undefined;
+    this.value    = undefined;
+  }
+
+  RunIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  RunIterator.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        run      = this.next,
+        lastKey  = this.nextKey,
+        e,
+        key;
+
+    this.next  = null;
+    this.value = undefined;
+
+    while (iterator.moveNext()) {
+      e = iterator.current();
+      key = this.keyFn ? this.keyFn(e) : e;
+
+      if (!run) {
+        run = [e];
+      } else if (this.splitFn(lastKey, key)) {
+        this.next = [e];
+        this.nextKey = key;
+        break;
+      } else {
+        run.push(e);
+      }
+      lastKey = key;
+    }
+
+    this.value = run || undefined;
+    return !!run;
+  };
+
+  RunIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * An iterator over each of the given sequences in turn. The iterator for each
+   * sequence isn't created until the one before it is finished.
+   *
+   * @param {Array.<Sequence>} sequences The sequences to iterate over.
+   * @constructor
+   */
+  function ConcatenatingIterator(sequences) {
+    this.sequences = sequences;
+    this.iterator  = null;
+    this.position  = -1;
+  }
+
+  ConcatenatingIterator.prototype.current = function() {
+    return this.iterator.current();
+  };
+
+  ConcatenatingIterator.prototype.moveNext = function() {
+    while (!this.iterator || !this.iterator.moveNext()) {
+      if (++this.position >= this.sequences.length) {
+        return false;
+      }
+      this.iterator = this.sequences[this.position].getIterator();
+    }
+    return true;
+  };
+
+  ConcatenatingIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * An iterator which recursively steps into every array and sequence it comes
+   * across (see {@link Sequence#flatten}).
+   *
+   * @constructor
+   */
+  function FlatteningIterator(sequence, depth, pairs) {
+    this.frames = [{ iterator: sequence.getIterator(), depth: depth }];
+    this.pairs  = pairs;
+    this.value  = undefined;
+  }
+
+  FlatteningIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  FlatteningIterator.prototype.moveNext = function() {
+    var frames = this.frames,
+        frame,
+        value,
+        elements;
+
+    while (frames.length > 0) {
+      frame = frames[frames.length - 1];
+
+      if (!frame.iterator.moveNext()) {
+        frames.pop();
+        continue;
+      }
+
+      value = frame.iterator.current();
+      elements = frame.depth > 0 ? getNestedElements(value, this.pairs) : null;
+
+      if (elements) {
+        frames.push({
+          iterator: elements.getIterator(),
+          depth: this.pairs && value instanceof ObjectLikeSequence ? 0 : frame.depth - 1
+        });
+      } else {
+        this.value = value;
+        return true;
+      }
+    }
+
+    this.value = undefined;
+    return false;
+  };
+
+  FlatteningIterator.prototype["return"] = function() {
+    var frames = this.frames;
+    while (frames.length > 0) {
+      closeIterator(frames.pop().iterator);
+    }
+  };
+
+  /**
+   * Adapts an ES2015 iterator (from any object implementing the iterable
+   * protocol, such as a generator, `Map` or `Set`) to the {@link Iterator} API.
+   *
+   * @param {Object} iterable The iterable object.
+   * @constructor
+   */
+  function IterableIterator(iterable) {
+    this.iterator = iterable[Symbol.iterator]();
+    this.value    = undefined;
+  }
+
+  IterableIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  IterableIterator.prototype.moveNext = function() {
+    var result = this.iterator.next();
+
+    if (result.done) {
+      this.value = undefined;
+      return false;
+    }
+
+    this.value = result.value;
+    return true;
+  };
+
+  IterableIterator.prototype["return"] = function() {
+    var iterator = this.iterator;
+
+    this.value = undefined;
+    if (typeof iterator["return"] === "function") {
+      iterator["return"]();
+    }
+  };
+
+  /**
+   * An iterator over the properties of an object, in the same order as a
+   * `for...in` loop. Only the names of the properties are read up front; each
+   * value is read as the iterator gets to it.
+   *
+   * @param {Object} source The object.
+   * @constructor
+   */
+  function ObjectIterator(source) {
+    this.source = source;
+    this.keys   = null;
+    this.index  = -1;
+  }
+
+  ObjectIterator.prototype.current = function() {
+    return this.source[this.keys[this.index]];
+  };
+
+  ObjectIterator.prototype.currentKey = function() {
+    return this.keys[this.index];
+  };
+
+  ObjectIterator.prototype.moveNext = function() {
+    var keys = this.keys,
+        key;
+
+    if (!keys) {
+      keys = this.keys = [];
+      for (key in this.source) {
+        keys.push(key);
+      }
+    }
+
+    if (this.index >= keys.length - 1) {
+      return false;
+    }
+
+    ++this.index;
+    return true;
+  };
+
+  /**
+   * An iterator over the entries of an ES2015 `Map`.
+   *
+   * @param {Map} source The map.
+   * @constructor
+   */
+  function MapIterator(source) {
+    this.iterator = source.entries();
+    this.entry    = undefined;
+  }
+
+  MapIterator.prototype.current = function() {
+    return this.entry && this.entry[1];
+  };
+
+  MapIterator.prototype.currentKey = function() {
+    return this.entry && this.entry[0];
+  };
+
+  MapIterator.prototype.moveNext = function() {
+    var result = this.iterator.next();
+
+    this.entry = result.done ? undefined : result.value;
+    return !result.done;
+  };
+
+  MapIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * An iterator over the elements produced from a seed by a function like the
+   * one given to {@link Lazy.unfold}.
+   *
+   * @param {*} seed The initial seed.
+   * @param {function(*, number):Array} unfoldFn The function producing each
+   *     element and the next seed.
+   * @constructor
+   */
+  function UnfoldingIterator(seed, unfoldFn) {
+    this.seed     = seed;
+    this.unfoldFn = unfoldFn;
+    this.index    = 0;
+    this.done     = false;
+    this.value    = undefined;
+  }
+
+  UnfoldingIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  UnfoldingIterator.prototype.moveNext = function() {
+    var step = !this.done && this.unfoldFn(this.seed, this.index);
+
+    if (step) {
+      this.value = step[0];
+      this.seed = step[1];
+      ++this.index;
+      return true;
+    }
+
+    this.done = true;
+    this.value = undefined;
+    return false;
+  };
+
+  /**
+   * An iterator over the visits (see {@link TraversableSequence}) of a
+   * traversal of a tree or graph, which only looks at the children of each node
+   * once it gets to it.
+   *
+   * @param {TraversableSequence} sequence The tree or graph.
+   * @param {Array|Sequence} starts The nodes to start from, in turn.
+   * @param {string} order "preOrder", "postOrder" or "breadthFirst".
+   * @param {boolean} once Whether to visit each node only once (for graphs).
+   * @constructor
+   */
+  function TraversalIterator(sequence, starts, order, once) {
+    this.sequence  = sequence;
+    this.starts    = Lazy(starts).getIterator();
+    this.order     = order;
+    this.visited   = once ? new Set() : null;
+    this.stack     = [];
+    this.queue     = [];
+    this.head      = 0;
+    this.expanding = null;
+    this.value     = undefined;
+  }
+
+  TraversalIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  TraversalIterator.prototype["return"] = function() {
+    var stack = this.stack;
+
+    closeIterator(this.starts);
+    while (stack.length > 0) {
+      closeIterator(stack.pop().children);
+    }
+  };
+
+  TraversalIterator.prototype.moveNext = function() {
+    var visit;
+
+    do {
+      visit = this.order === "breadthFirst" ? this.nextBreadthFirst() : this.nextDepthFirst();
+      if (visit) {
+        this.value = visit;
+        return true;
+      }
+    } while (this.start());
+
+    this.value = undefined;
+    return false;
+  };
+
+  /**
+   * Begins traversing from the next start node that hasn't been visited yet,
+   * returning false if there aren't any.
+   */
+  TraversalIterator.prototype.start = function() {
+    var node;
+
+    while (this.starts.moveNext()) {
+      node = this.starts.current();
+      if (this.discover(node)) {
+        this.push(new Visit(node, null));
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Checks whether a node should be visited, i.e., it hasn't been already (or
+   * it doesn't matter), and marks it as visited.
+   */
+  TraversalIterator.prototype.discover = function(node) {
+    var visited = this.visited;
+
+    if (!visited) {
+      return true;
+    }
+    if (visited.contains(node)) {
+      return false;
+    }
+    visited.add(node);
+    return true;
+  };
+
+  TraversalIterator.prototype.push = function(visit) {
+    if (this.order === "breadthFirst") {
+      this.queue.push(visit);
+    } else {
+      this.stack.push({ visit: visit, entered: false, children: undefined });
+    }
+  };
+
+  /**
+   * Gets the visit of the next child of a node to visit, or null if there are
+   * no more.
+   */
+  TraversalIterator.prototype.nextChild = function(visit, children) {
+    var child;
+
+    while (children && children.moveNext()) {
+      child = children.current();
+      if (this.discover(child)) {
+        return new Visit(child, visit);
+      }
+    }
+    return null;
+  };
+
+  TraversalIterator.prototype.nextDepthFirst = function() {
+    var stack = this.stack,
+        frame,
+        child;
+
+    while (stack.length > 0) {
+      frame = stack[stack.length - 1];
+
+      if (!frame.entered) {
+        frame.entered = true;
+        if (this.order === "preOrder") {
+          return frame.visit;
+        }
+      }
+
+      // Only get a node's children once the iteration moves past it.
+      if (frame.children === undefined) {
+        frame.children = this.sequence.getChildren(frame.visit.node);
+      }
+
+      child = this.nextChild(frame.visit, frame.children);
+      if (child) {
+        this.push(child);
+        continue;
+      }
+
+      stack.pop();
+      if (this.order === "postOrder") {
+        return frame.visit;
+      }
+    }
+
+    return null;
+  };
+
+  TraversalIterator.prototype.nextBreadthFirst = function() {
+    var queue = this.queue,
+        expanding = this.expanding,
+        children,
+        child;
+
+    // The children of each node are only added to the queue once the iteration
+    // moves past it.
+    if (expanding) {
+      children = this.sequence.getChildren(expanding.node);
+      while ((child = this.nextChild(expanding, children))) {
+        queue.push(child);
+      }
+    }
+
+    if (this.head < queue.length) {
+      this.expanding = queue[this.head];
+      queue[this.head++] = null;
+      return this.expanding;
+    }
+
+    this.queue = [];
+    this.head = 0;
+    this.expanding = null;
+    return null;
+  };
+
+  /**
+   * An iterator over the results of a {@link JoinSequence}. The other collection
+   * is indexed up front, while this sequence is read one element at a time.
+   *
+   * @param {JoinSequence} sequence The join.
+   * @constructor
+   */
+  function JoinIterator(sequence) {
+    this.sequence  = sequence;
+    this.iterator  = sequence.parent.getIterator();
+    this.index     = sequence.createIndex();
+    this.matched   = sequence.type === "right" || sequence.type === "full" ? [] : null;
+    this.left      = undefined;
+    this.positions = null;
+    this.position  = 0;
+    this.unmatched = -1;
+    this.value     = undefined;
+  }
+
+  JoinIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  JoinIterator.prototype.moveNext = function() {
+    var sequence = this.sequence,
+        elements = this.index.elements,
+        matched  = this.matched,
+        type     = sequence.type,
+        left,
+        positions,
+        j;
+
+    while (this.iterator) {
+      // Carry on through the matches for the last element, if there are any.
+      if (this.positions && this.position < this.positions.length) {
+        j = this.positions[this.position++];
+        if (matched) {
+          matched[j] = true;
+        }
+        this.value = sequence.resultFn(this.left, elements[j]);
+        return true;
+      }
+
+      if (!this.iterator.moveNext()) {
+        this.iterator = null;
+        break;
+      }
+
+      left = this.iterator.current();
+      positions = sequence.lookup(this.index, left);
+
+      if (type === "group") {
+        this.value = sequence.resultFn(left, sequence.getGroup(this.index, positions));
+        return true;
+      }
+
+      if (positions) {
+        this.left = left;
+        this.positions = positions;
+        this.position = 0;
+      } else if (type === "left" || type === "full") {
+        this.value = sequence.resultFn(left, undefined);
+        return true;
+      }
+    }
+
+    // For right and full outer joins, finish with the elements of the other
+    // collection that nothing matched.
+    while (matched && ++this.unmatched < elements.length) {
+      if (!matched[this.unmatched]) {
+        this.value = sequence.resultFn(undefined, elements[this.unmatched]);
+        return true;
+      }
+    }
+
+    this.value = undefined;
+    return false;
+  };
+
+  JoinIterator.prototype["return"] = closeUnderlyingIterator;
+
+  /**
+   * An iterator over a sorted sequence, which only sorts as far as it's iterated
+   * (using a {@link Heap}).
+   *
+   * @param {SortedSequence} sequence The sorted sequence.
+   * @constructor
+   */
+  function SortingIterator(sequence) {
+    this.sequence = sequence;
+    this.heap     = null;
+    this.value    = undefined;
+  }
+
+  SortingIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  SortingIterator.prototype.moveNext = function() {
+    if (!this.heap) {
+      this.heap = this.sequence.createHeap();
+    }
+
+    if (this.heap.size() === 0) {
+      this.value = undefined;
+      return false;
+    }
+
+    this.value = this.heap.pop().value;
+    return true;
+  };
+
+  /**
+   * Adapts an {@link Iterator} to the ES2015 iterator protocol, which is what
+   * `for...of` loops, spread syntax and `Array.from` expect.
+   *
+   * @param {Iterator} iterator The iterator to adapt.
+   * @constructor
+   */
+  function IteratorAdapter(iterator) {
+    this.iterator = iterator;
+    this.done     = false;
+  }
+
+  IteratorAdapter.prototype.next = function() {
+    if (!this.done && this.iterator.moveNext()) {
+      return { value: this.iterator.current(), done: false };
+    }
+
+    this.done = true;
+    return { value: undefined, done: true };
+  };
+
+  /**
+   * Called when a `for...of` loop (for example) stops early. The underlying
+   * iterator is closed, so that whatever it's reading from can clean up.
+   *
+   * @param {*=} value The value to finish with.
+   * @return {Object} A result marking the iterator as done.
+   */
+  IteratorAdapter.prototype["return"] = function(value) {
+    if (!this.done) {
+      this.done = true;
+      closeIterator(this.iterator);
+    }
+    return { value: value, done: true };
+  };
+
+  if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+    // An ES2015 iterator is itself iterable.
+    IteratorAdapter.prototype[Symbol.iterator] = function() {
+      return this;
+    };
+  }
+
+  /**
+   * @constructor
+   * @param {string|StringLikeSequence} source
+   */
+  function CharIterator(source) {
+    this.source = source;
+    this.index = -1;
+  }
+
+  CharIterator.prototype = new Iterator();
+
+  CharIterator.prototype.current = function() {
+    return this.source.charAt(this.index);
+  };
+
+  CharIterator.prototype.moveNext = function() {
+    return (++this.index < this.source.length);
+  };
+
+  /**
+   * @constructor
+   */
+  function StringMatchIterator(source, pattern) {
+    this.source = source;
+
+    // clone the RegExp
+    this.pattern = eval("" + pattern + (!pattern.global ? "g" : ""));
+  }
+
+  StringMatchIterator.prototype.current = function() {
+    return this.match[0];
+  };
+
+  StringMatchIterator.prototype.moveNext = function() {
+    return !!(this.match = this.pattern.exec(this.source));
+  };
+
+  /**
+   * @constructor
+   */
+  function SplitWithRegExpIterator(source, pattern) {
+    this.source = source;
+
+    // clone the RegExp
+    this.pattern = eval("" + pattern + (!pattern.global ? "g" : ""));
+  }
+
+  SplitWithRegExpIterator.prototype.current = function() {
+    return this.source.substring(this.start, this.end);
+  };
+
+  SplitWithRegExpIterator.prototype.moveNext = function() {
+    if (!this.pattern) {
+      return false;
+    }
+
+    var match = this.pattern.exec(this.source);
+
+    if (match) {
+      this.start = this.nextStart ? this.nextStart : 0;
+      this.end = match.index;
+      this.nextStart = match.index + match[0].length;
+      return true;
+
+    } else if (this.pattern) {
+      this.start = this.nextStart;
+      this.end = undefined;
+      this.nextStart = undefined;
+      this.pattern = undefined;
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * @constructor
+   */
+  function SplitWithStringIterator(source, delimiter) {
+    this.source = source;
+    this.delimiter = delimiter;
+  }
+
+  SplitWithStringIterator.prototype.current = function() {
+    return this.source.substring(this.leftIndex, this.rightIndex);
+  };
+
+  SplitWithStringIterator.prototype.moveNext = function() {
+    if (!this.finished) {
+      this.leftIndex = typeof this.leftIndex !== "undefined" ?
+        this.rightIndex + this.delimiter.length :
+        0;
+      this.rightIndex = this.source.indexOf(this.delimiter, this.leftIndex);
+    }
+
+    if (this.rightIndex === -1) {
+      this.finished = true;
+      this.rightIndex = undefined;
+      return true;
+    }
+
+    return !this.finished;
+  };
+
+  /**
+   * @constructor
+   */
+  function UniqueMemoizer(iterator) {
+    this.iterator     = iterator;
+    this.set          = new Set();
+    this.memo         = [];
+    this.currentValue = undefined;
+  }
+
+  UniqueMemoizer.prototype = new Iterator();
+
+  UniqueMemoizer.prototype.current = function() {
+    return this.currentValue;
+  };
+
+  UniqueMemoizer.prototype.moveNext = function() {
+    var iterator = this.iterator,
+        set = this.set,
+        memo = this.memo,
+        current;
+
+    while (iterator.moveNext()) {
+      current = iterator.current();
+      if (set.add(current)) {
+        memo.push(current);
+        this.currentValue = current;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  UniqueMemoizer.prototype.each = function(fn) {
+    var memo = this.memo,
+        length = memo.length,
+        i = -1;
+
+    while (++i < length) {
+      if (fn(memo[i], i) === false) {
+        return false;
+      }
+    }
+
+    while (this.moveNext()) {
+      if (fn(this.currentValue, i++) === false) {
+        break;
+      }
+    }
+  };
+
+  UniqueMemoizer.prototype.contains = function(e) {
+    if (this.set.contains(e)) {
+      return true;
+    }
+
+    while (this.moveNext()) {
+      if (this.set.contains(e)) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  /**
+   * An `ArrayLikeSequence` is a {@link Sequence} that provides random access to
+   * its elements. This extends the API for iterating with the additional methods
+   * {@link #get} and {@link #length}, allowing a sequence to act as a "view" into
+   * a collection or other indexed data source.
+   *
+   * Defining custom array-like sequences
+   * ------------------------------------
+   *
+   * Creating a custom `ArrayLikeSequence` is essentially the same as creating a
+   * custom {@link Sequence}. You just have a couple more methods you need to
+   * implement: `get` and (optionally) `length`.
+   *
+   * Here's an example. Let's define a sequence type called `OffsetSequence` that
+   * offsets each of its parent's elements by a set distance, and circles back to
+   * the beginning after reaching the end. **Remember**: the initialization
+   * function you pass to {@link #define} should always accept a `parent` as its
+   * first parameter.
+   *
+   *     var OffsetSequence = ArrayLikeSequence.define("offset", function(parent, offset) {
+   *       this.offset = offset;
+   *     });
+   *
+   *     OffsetSequence.prototype.get = function(i) {
+   *       return this.parent.get((i + this.offset) % this.parent.length());
+   *     };
+   *
+   * It's worth noting a couple of things here.
+   *
+   * First, Lazy's default implementation of `length` simply returns the parent's
+   * length. In this case, since an `OffsetSequence` will always have the same
+   * number of elements as its parent, that implementation is fine; so we don't
+   * need to override it.
+   *
+   * Second, the default implementation of `each` uses `get` and `length` to
+   * essentially create a `for` loop, which is fine here. If you want to implement
+   * `each` your own way, you can do that; but in most cases (as here), you can
+   * probably just stick with the default.
+   *
+   * So we're already done, after only implementing `get`! Pretty slick, huh?
+   *
+   * Now the `offset` method will be chainable from any `ArrayLikeSequence`. So
+   * for example:
+   *
+   *     Lazy([1, 2, 3]).map(trans).offset(3);
+   *
+   * ...will work, but:
+   *
+   *     Lazy([1, 2, 3]).filter(pred).offset(3);
+   *
+   * ...will not.
+   *
+   * (Also, as with the example provided for defining custom {@link Sequence}
+   * types, this example really could have been implemented using a function
+   * already available as part of Lazy.js: in this case, {@link Sequence#map}.)
+   *
+   * @constructor
+   */
+  function ArrayLikeSequence() {}
+
+  ArrayLikeSequence.prototype = new Sequence();
+
+  ArrayLikeSequence.define = function(methodName, init) {
+    // Define a constructor that sets this sequence's parent to the first argument
+    // and (optionally) applies any additional initialization logic.
+
+    /** @constructor */
+    var ctor = init ? function(var_args) {
+                        this.parent = arguments[0];
+                        init.apply(this, arguments);
+                      } :
+                      function(var_args) {
+                        this.parent = arguments[0];
+                      };
+
+    // Make this type inherit from ArrayLikeSequence.
+    ctor.prototype = new ArrayLikeSequence();
+
+    // Expose the constructor as a chainable method so that we can do:
+    // Lazy(...).map(...).blah(...);
+    /** @skip
+      * @suppress {checkTypes} */
+    ArrayLikeSequence.prototype[methodName] = function(x, y, z) {
+      return new ctor(this, x, y, z);
+    };
+
+    return ctor;
+  };
+
+  /**
+   * Returns the element at the specified index.
+   *
+   * @param {number} i The index to access.
+   * @return {*} The element.
+   */
+  ArrayLikeSequence.prototype.get = function(i) {
+    return this.parent.get(i);
+  };
+
+  /**
+   * Returns the length of the sequence.
+   *
+   * @return {number} The length.
+   */
+  ArrayLikeSequence.prototype.length = function() {
+    return this.parent.length();
+  };
+
+  /**
+   * Returns an {@link Iterator} which steps over this sequence by index.
+   *
+   * @return {Iterator} The iterator.
+   */
+  ArrayLikeSequence.prototype.getIterator = function() {
+    return new Iterator(this);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#each}.
+   */
+  ArrayLikeSequence.prototype.each = function(fn) {
+    var length = this.length(),
+        i = -1;
+    while (++i < length) {
+      if (fn(this.get(i), i) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * An optimized version of {@link Sequence#map}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   *
+   * @return {ArrayLikeSequence} The new array-like sequence.
+   */
+  ArrayLikeSequence.prototype.map = function(mapFn) {
+    return new IndexedMappedSequence(this, mapFn);
+  };
+
+  ArrayLikeSequence.prototype.collect = ArrayLikeSequence.prototype.map;
+
+  /**
+   * An optimized version of {@link Sequence#scanRight}, which creates an
+   * `ArrayLikeSequence` so that the result still has a length.
+   *
+   * @param {Function} aggregator
+   * @param {*=} seed
+   */
+  ArrayLikeSequence.prototype.scanRight = function(aggregator, seed) {
+    return new IndexedScanRightSequence(this, aggregator, seed, arguments.length >= 2);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#select}.
+   */
+  ArrayLikeSequence.prototype.select = function(filterFn) {
+    return new IndexedFilteredSequence(this, filterFn);
+  };
+
+  ArrayLikeSequence.prototype.filter = ArrayLikeSequence.prototype.select;
+
+  /**
+   * An optimized version of {@link Sequence#reverse}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   */
+  ArrayLikeSequence.prototype.reverse = function() {
+    return new IndexedReversedSequence(this);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#first}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   *
+   * @param {number=} count
+   */
+  ArrayLikeSequence.prototype.first = function(count) {
+    if (typeof count === "undefined") {
+      return this.get(0);
+    }
+
+    return new IndexedTakeSequence(this, count);
+  };
+
+  ArrayLikeSequence.prototype.head =
+  ArrayLikeSequence.prototype.take =
+  ArrayLikeSequence.prototype.first;
+
+  /**
+   * An optimized version of {@link Sequence#rest}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   *
+   * @param {number=} count
+   */
+  ArrayLikeSequence.prototype.rest = function(count) {
+    return new IndexedDropSequence(this, count);
+  };
+
+  ArrayLikeSequence.prototype.tail =
+  ArrayLikeSequence.prototype.drop = ArrayLikeSequence.prototype.rest;
+
+  /**
+   * An optimized version of {@link Sequence#chunk}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   *
+   * @param {number} size
+   */
+  ArrayLikeSequence.prototype.chunk = function(size) {
+    return new IndexedWindowedSequence(this, size, size, true);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#windowed}, which creates an
+   * `ArrayLikeSequence` so that the result still provides random access.
+   *
+   * @param {number} size
+   * @param {number=} step
+   */
+  ArrayLikeSequence.prototype.windowed = function(size, step) {
+    return new IndexedWindowedSequence(this, size, typeof step === "number" ? step : 1, false);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#concat}.
+   *
+   * @param {...*} var_args
+   */
+  ArrayLikeSequence.prototype.concat = function(var_args) {
+    if (arguments.length === 1 && arguments[0] instanceof Array) {
+      return new IndexedConcatenatedSequence(this, (/** @type {Array} */ var_args));
+    } else {
+      return Sequence.prototype.concat.apply(this, arguments);
+    }
+  }
+
+  /**
+   * An optimized version of {@link Sequence#uniq}.
+   */
+  ArrayLikeSequence.prototype.uniq = function(options) {
+    if (options) {
+      return Sequence.prototype.uniq.call(this, options);
+    }
+    return new IndexedUniqueSequence(this);
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedMappedSequence(parent, mapFn) {
+    this.parent = parent;
+    this.mapFn  = mapFn;
+  }
+
+  IndexedMappedSequence.prototype = new ArrayLikeSequence();
+
+  IndexedMappedSequence.prototype.get = function(i) {
+    return this.mapFn(this.parent.get(i), i);
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedScanRightSequence(parent, aggregator, seed, hasSeed) {
+    this.parent     = parent;
+    this.aggregator = aggregator;
+    this.seed       = seed;
+    this.hasSeed    = hasSeed;
+  }
+
+  IndexedScanRightSequence.prototype = new ArrayLikeSequence();
+
+  IndexedScanRightSequence.prototype.get = function(i) {
+    var parent = this.parent,
+        memo   = this.seed,
+        j      = parent.length();
+
+    if (i < 0 || i >= j) {
+      return undefined;
+    }
+
+    if (!this.hasSeed) {
+      memo = parent.get(--j);
+    }
+    while (--j >= i) {
+      memo = this.aggregator(memo, parent.get(j), j);
+    }
+    return memo;
+  };
+
+  IndexedScanRightSequence.prototype.length = function() {
+    return this.parent.length();
+  };
+
+  IndexedScanRightSequence.prototype.getIterator = Sequence.prototype.getIterator;
+
+  IndexedScanRightSequence.prototype.each = ScanRightSequence.prototype.each;
+
+  /**
+   * @constructor
+   */
+  function IndexedFilteredSequence(parent, filterFn) {
+    this.parent   = parent;
+    this.filterFn = filterFn;
+  }
+
+  IndexedFilteredSequence.prototype = new FilteredSequence();
+
+  IndexedFilteredSequence.prototype.each = function(fn) {
+    var parent = this.parent,
+        filterFn = this.filterFn,
+        length = this.parent.length(),
+        i = -1,
+        e;
+
+    while (++i < length) {
+      e = parent.get(i);
+      if (filterFn(e, i) && fn(e, i) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedReversedSequence(parent) {
+    this.parent = parent;
+  }
+
+  IndexedReversedSequence.prototype = new ArrayLikeSequence();
+
+  IndexedReversedSequence.prototype.get = function(i) {
+    return this.parent.get(this.length() - i - 1);
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedTakeSequence(parent, count) {
+    this.parent = parent;
+    this.count  = count;
+  }
+
+  IndexedTakeSequence.prototype = new ArrayLikeSequence();
+
+  IndexedTakeSequence.prototype.length = function() {
+    var parentLength = this.parent.length();
+    return this.count <= parentLength ? this.count : parentLength;
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedWindowedSequence(parent, size, step, partial) {
+    checkWindow(size, step);
+    this.parent  = parent;
+    this.size    = size;
+    this.step    = step;
+    this.partial = partial;
+  }
+
+  IndexedWindowedSequence.prototype = new ArrayLikeSequence();
+
+  IndexedWindowedSequence.prototype.get = function(i) {
+    var parent = this.parent,
+        start, end, window;
+
+    if (i < 0 || i >= this.length()) {
+      return undefined;
+    }
+
+    start  = i * this.step;
+    end    = Math.min(start + this.size, parent.length());
+    window = [];
+    while (start < end) {
+      window.push(parent.get(start++));
+    }
+    return window;
+  };
+
+  IndexedWindowedSequence.prototype.length = function() {
+    var parentLength = this.parent.length();
+
+    if (this.partial) {
+      return Math.ceil(parentLength / this.step);
+    }
+    return parentLength < this.size ? 0 : Math.floor((parentLength - this.size) / this.step) + 1;
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedDropSequence(parent, count) {
+    this.parent = parent;
+    this.count  = typeof count === "number" ? count : 1;
+  }
+
+  IndexedDropSequence.prototype = new ArrayLikeSequence();
+
+  IndexedDropSequence.prototype.get = function(i) {
+    return this.parent.get(this.count + i);
+  };
+
+  IndexedDropSequence.prototype.length = function() {
+    var parentLength = this.parent.length();
+    return this.count <= parentLength ? parentLength - this.count : 0;
+  };
+
+  /**
+   * @constructor
+   */
+  function IndexedConcatenatedSequence(parent, other) {
+    this.parent = parent;
+    this.other  = other;
+  }
+
+  IndexedConcatenatedSequence.prototype = new ArrayLikeSequence();
+
+  IndexedConcatenatedSequence.prototype.get = function(i) {
+    var parentLength = this.parent.length();
+    if (i < parentLength) {
+      return this.parent.get(i);
+    } else {
+      return this.other[i - parentLength];
+    }
+  };
+
+  IndexedConcatenatedSequence.prototype.length = function() {
+    return this.parent.length() + this.other.length;
+  };
+
+  /**
+   * @param {ArrayLikeSequence} parent
+   * @constructor
+   */
+  function IndexedUniqueSequence(parent) {
+    this.parent = parent;
+    this.each   = getEachForParent(parent);
+  }
+
+  IndexedUniqueSequence.prototype = new Sequence();
+
+  IndexedUniqueSequence.prototype.getIterator = UniqueSequence.prototype.getIterator;
+
+  IndexedUniqueSequence.prototype.eachArrayCache = function(fn) {
+    // Basically the same implementation as w/ the set, but using an array because
+    // it's cheaper for smaller sequences.
+    var parent = this.parent,
+        length = parent.length(),
+        cache  = [],
+        find   = containsValue,
+        value,
+        i = -1,
+        j = 0;
+
+    while (++i < length) {
+      value = parent.get(i);
+      if (!find(cache, value, cache.length)) {
+        cache.push(value);
+        if (fn(value, j++) === false) {
+          return false;
+        }
+      }
+    }
+  };
+
+  IndexedUniqueSequence.prototype.eachSetCache = UniqueSequence.prototype.each;
+
+  function getEachForParent(parent) {
+    if (parent.length() < 100) {
+      return IndexedUniqueSequence.prototype.eachArrayCache;
+    } else {
+      return UniqueSequence.prototype.each;
+    }
+  }
+
+  /**
+   * The base for sequences of the ways to select elements from a pool
+   * (combinations, permutations and so on), in lexicographic order. Each
+   * selection is identified by an array of indices into the pool. Subclasses
+   * count the selections, find the indices of the selection at a given position
+   * (so that any of them can be accessed without enumerating the ones before it)
+   * and step from one selection to the next.
+   *
+   * @constructor
+   */
+  function SelectionSequence() {}
+
+  SelectionSequence.prototype = new ArrayLikeSequence();
+
+  /**
+   * Gets the pool of elements to select from. It's read the first time it's
+   * needed and then kept, so that accessing selections by index (as sequences
+   * like {@link ArrayLikeSequence#drop} do) doesn't read it again every time.
+   *
+   * @return {Array} The pool.
+   */
+  SelectionSequence.prototype.getPool = function() {
+    if (!this.pool) {
+      this.pool = this.readPool();
+    }
+    return this.pool;
+  };
+
+  SelectionSequence.prototype.readPool = function() {
+    return this.parent.toArray();
+  };
+
+  SelectionSequence.prototype.select = function(pool, indices) {
+    var selection = new Array(indices.length),
+        i = -1;
+
+    while (++i < indices.length) {
+      selection[i] = pool[indices[i]];
+    }
+    return selection;
+  };
+
+  SelectionSequence.prototype.get = function(i) {
+    var pool = this.getPool();
+
+    if (i < 0 || i >= this.countSelections(pool)) {
+      return undefined;
+    }
+    return this.select(pool, this.getIndices(pool, i));
+  };
+
+  SelectionSequence.prototype.length = function() {
+    return this.countSelections(this.getPool());
+  };
+
+  SelectionSequence.prototype.each = function(fn) {
+    var pool    = this.getPool(),
+        length  = this.countSelections(pool),
+        indices = length > 0 ? this.getIndices(pool, 0) : null,
+        i = -1;
+
+    while (++i < length) {
+      if (fn(this.select(pool, indices), i) === false) {
+        return false;
+      }
+      this.advance(pool, indices);
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function CombinationSequence(parent, size, withReplacement) {
+    checkSelectionSize(size);
+    this.parent          = parent;
+    this.size            = size;
+    this.withReplacement = withReplacement;
+  }
+
+  CombinationSequence.prototype = new SelectionSequence();
+
+  CombinationSequence.prototype.countSelections = function(pool) {
+    return countCombinations(pool.length, this.size, this.withReplacement);
+  };
+
+  CombinationSequence.prototype.getIndices = function(pool, i) {
+    return getCombination(pool.length, this.size, i, this.withReplacement);
+  };
+
+  CombinationSequence.prototype.advance = function(pool, indices) {
+    nextCombination(indices, pool.length, this.withReplacement);
+  };
+
+  /**
+   * @constructor
+   */
+  function PermutationSequence(parent, size) {
+    if (typeof size !== "undefined") {
+      checkSelectionSize(size);
+    }
+    this.parent = parent;
+    this.size   = size;
+  }
+
+  PermutationSequence.prototype = new SelectionSequence();
+
+  PermutationSequence.prototype.getSize = function(pool) {
+    return typeof this.size === "number" ? this.size : pool.length;
+  };
+
+  PermutationSequence.prototype.countSelections = function(pool) {
+    return countPermutations(pool.length, this.getSize(pool));
+  };
+
+  PermutationSequence.prototype.getIndices = function(pool, i) {
+    var n         = pool.length,
+        size      = this.getSize(pool),
+        available = [],
+        indices   = [],
+        block, j;
+
+    for (j = 0; j < n; ++j) {
+      available.push(j);
+    }
+
+    // Of the permutations starting with any given index, there are as many as
+    // there are permutations of the remaining indices.
+    for (j = 0; j < size; ++j) {
+      block = countPermutations(n - j - 1, size - j - 1);
+      indices.push(available.splice(Math.floor(i / block), 1)[0]);
+      i %= block;
+    }
+
+    return indices;
+  };
+
+  PermutationSequence.prototype.advance = function(pool, indices) {
+    var n    = pool.length,
+        used = [],
+        i, j, index;
+
+    for (i = 0; i < indices.length; ++i) {
+      used[indices[i]] = true;
+    }
+
+    // Find the last position that can take a greater unused index, give it the
+    // smallest such index, and fill the positions after it with the smallest
+    // unused indices in order.
+    for (i = indices.length - 1; i >= 0; --i) {
+      used[indices[i]] = false;
+      for (index = indices[i] + 1; index < n && used[index]; ++index) {}
+
+      if (index < n) {
+        indices[i] = index;
+        used[index] = true;
+
+        for (j = i + 1, index = 0; j < indices.length; ++j) {
+          while (used[index]) {
+            ++index;
+          }
+          indices[j] = index;
+          used[index] = true;
+        }
+        return;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function PowerSetSequence(parent) {
+    this.parent = parent;
+  }
+
+  PowerSetSequence.prototype = new SelectionSequence();
+
+  PowerSetSequence.prototype.countSelections = function(pool) {
+    return Math.pow(2, pool.length);
+  };
+
+  PowerSetSequence.prototype.getIndices = function(pool, i) {
+    var n = pool.length,
+        size = 0;
+
+    // Subsets are ordered by size first.
+    while (i >= countCombinations(n, size, false)) {
+      i -= countCombinations(n, size++, false);
+    }
+    return getCombination(n, size, i, false);
+  };
+
+  PowerSetSequence.prototype.advance = function(pool, indices) {
+    var i;
+
+    if (!nextCombination(indices, pool.length, false)) {
+      indices.push(0);
+      for (i = 0; i < indices.length; ++i) {
+        indices[i] = i;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function ProductSequence(sources) {
+    this.sources = sources;
+  }
+
+  ProductSequence.prototype = new SelectionSequence();
+
+  ProductSequence.prototype.readPool = function() {
+    var pools = [],
+        i = -1;
+
+    while (++i < this.sources.length) {
+      pools.push(Lazy(this.sources[i]).toArray());
+    }
+    return pools;
+  };
+
+  ProductSequence.prototype.select = function(pools, indices) {
+    var selection = new Array(indices.length),
+        i = -1;
+
+    while (++i < indices.length) {
+      selection[i] = pools[i][indices[i]];
+    }
+    return selection;
+  };
+
+  ProductSequence.prototype.countSelections = function(pools) {
+    var count = 1,
+        i = -1;
+
+    while (++i < pools.length) {
+      count *= pools[i].length;
+    }
+    return count;
+  };
+
+  ProductSequence.prototype.getIndices = function(pools, i) {
+    var indices = new Array(pools.length),
+        j = pools.length;
+
+    while (--j >= 0) {
+      indices[j] = i % pools[j].length;
+      i = Math.floor(i / pools[j].length);
+    }
+    return indices;
+  };
+
+  ProductSequence.prototype.advance = function(pools, indices) {
+    var j = pools.length;
+
+    while (--j >= 0) {
+      if (++indices[j] < pools[j].length) {
+        return;
+      }
+      indices[j] = 0;
+    }
+  };
+
+  function checkSelectionSize(size) {
+    if (typeof size !== "number" || size < 0 || size % 1 !== 0) {
+      throw "The number of elements to select must be a non-negative integer.";
+    }
+  }
+
+  /**
+   * Gets the indices of the combination at the given position, in lexicographic
+   * order, of k indices from 0 to n - 1.
+   *
+   * @param {number} n
+   * @param {number} k
+   * @param {number} i
+   * @param {boolean} withReplacement Whether the same index can be selected
+   *     more than once.
+   * @return {Array}
+   */
+  function getCombination(n, k, i, withReplacement) {
+    var indices = [],
+        index = 0,
+        count, j;
+
+    // Skip past the blocks of combinations starting with each smaller index.
+    for (j = 0; j < k; ++j) {
+      while (i >= (count = countCombinations(n - index - (withReplacement ? 0 : 1), k - j - 1, withReplacement))) {
+        i -= count;
+        ++index;
+      }
+      indices.push(withReplacement ? index : index++);
+    }
+
+    return indices;
+  }
+
+  /**
+   * Changes the given indices to those of the next combination in lexicographic
+   * order, returning false if they were already the last one.
+   *
+   * @param {Array} indices
+   * @param {number} n
+   * @param {boolean} withReplacement
+   * @return {boolean}
+   */
+  function nextCombination(indices, n, withReplacement) {
+    var k = indices.length,
+        i = k;
+
+    while (--i >= 0) {
+      if (indices[i] < (withReplacement ? n - 1 : n - k + i)) {
+        ++indices[i];
+        while (++i < k) {
+          indices[i] = withReplacement ? indices[i - 1] : indices[i - 1] + 1;
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * ArrayWrapper is the most basic {@link Sequence}. It directly wraps an array
+   * and implements the same methods as {@link ArrayLikeSequence}, but more
+   * efficiently.
+   *
+   * @constructor
+   */
+  function ArrayWrapper(source) {
+    this.source = source;
+  }
+
+  ArrayWrapper.prototype = new ArrayLikeSequence();
+
+  /**
+   * Returns the element at the specified index in the source array.
+   *
+   * @param {number} i The index to access.
+   * @return {*} The element.
+   */
+  ArrayWrapper.prototype.get = function(i) {
+    return this.source[i];
+  };
+
+  /**
+   * Returns the length of the source array.
+   *
+   * @return {number} The length.
+   */
+  ArrayWrapper.prototype.length = function() {
+    return this.source.length;
+  };
+
+  /**
+   * An optimized version of {@link Sequence#each}.
+   */
+  ArrayWrapper.prototype.each = function(fn) {
+    var source = this.source,
+        length = source.length,
+        i = -1;
+
+    while (++i < length) {
+      if (fn(source[i], i) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * An optimized version of {@link Sequence#map}.
+   */
+  ArrayWrapper.prototype.map =
+  ArrayWrapper.prototype.collect = function(mapFn) {
+    return new MappedArrayWrapper(this.source, mapFn);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#filter}.
+   */
+  ArrayWrapper.prototype.filter =
+  ArrayWrapper.prototype.select = function(filterFn) {
+    return new FilteredArrayWrapper(this, filterFn);
+  };
+
+  /**
+   * An optimized version of {@link Sequence#uniq}.
+   */
+  ArrayWrapper.prototype.uniq =
+  ArrayWrapper.prototype.unique = function(options) {
+    if (options) {
+      return Sequence.prototype.uniq.call(this, options);
+    }
+    return new UniqueArrayWrapper(this);
+  };
+
+  /**
+   * An optimized version of {@link ArrayLikeSequence#concat}.
+   *
+   * @param {...*} var_args
+   */
+  ArrayWrapper.prototype.concat = function(var_args) {
+    if (arguments.length === 1 && arguments[0] instanceof Array) {
+      return new ConcatArrayWrapper(this.source, (/** @type {Array} */ var_args));
+    } else {
+      return ArrayLikeSequence.prototype.concat.apply(this, arguments);
+    }
+  };
+
+  /**
+   * An optimized version of {@link Sequence#toArray}.
+   */
+  ArrayWrapper.prototype.toArray = function() {
+    return this.source.slice(0);
+  };
+
+  /**
+   * @constructor
+   */
+  function MappedArrayWrapper(source, mapFn) {
+    this.source = source;
+    this.mapFn  = mapFn;
+  }
+
+  MappedArrayWrapper.prototype = new ArrayLikeSequence();
+
+  MappedArrayWrapper.prototype.get = function(i) {
+    return this.mapFn(this.source[i], i);
+  };
+
+  MappedArrayWrapper.prototype.length = function() {
+    return this.source.length;
+  };
+
+  MappedArrayWrapper.prototype.each = function(fn) {
+    var source = this.source,
+        length = this.source.length,
+        mapFn  = this.mapFn,
+        i = -1;
+    while (++i < length) {
+      if (fn(mapFn(source[i], i), i) === false) {
+        return;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function FilteredArrayWrapper(parent, filterFn) {
+    this.parent   = parent;
+    this.filterFn = filterFn;
+  }
+
+  FilteredArrayWrapper.prototype = new FilteredSequence();
+
+  FilteredArrayWrapper.prototype.each = function(fn) {
+    var source = this.parent.source,
+        filterFn = this.filterFn,
+        length = source.length,
+        i = -1,
+        e;
+
+    while (++i < length) {
+      e = source[i];
+      if (filterFn(e, i) && fn(e, i) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function UniqueArrayWrapper(parent) {
+    this.parent = parent;
+    this.each = getEachForSource(parent.source);
+  }
+
+  UniqueArrayWrapper.prototype = new CachingSequence();
+
+  UniqueArrayWrapper.prototype.getIterator = UniqueSequence.prototype.getIterator;
+
+  UniqueArrayWrapper.prototype.eachNoCache = function(fn) {
+    var source = this.parent.source,
+        length = source.length,
+        find   = containsValue,
+        value,
+
+        // Yes, this is hideous.
+        // Trying to get performance first, will refactor next!
+        i = -1,
+        k = 0;
+
+    while (++i < length) {
+      value = source[i];
+      if (!find(source, value, i) && fn(value, k++) === false) {
+        return false;
+      }
+    }
+  };
+
+  UniqueArrayWrapper.prototype.eachArrayCache = function(fn) {
+    // Basically the same implementation as w/ the set, but using an array because
+    // it's cheaper for smaller sequences.
+    var source = this.parent.source,
+        length = source.length,
+        cache  = [],
+        find   = containsValue,
+        value,
+        i = -1,
+        j = 0;
+
+    while (++i < length) {
+      value = source[i];
+      if (!find(cache, value, cache.length)) {
+        cache.push(value);
+        if (fn(value, j++) === false) {
+          return false;
+        }
+      }
+    }
+  };
+
+  UniqueArrayWrapper.prototype.eachSetCache = UniqueSequence.prototype.each;
+
+  /**
+   * My latest findings here...
+   *
+   * So I hadn't really given the set-based approach enough credit. The main issue
+   * was that my Set implementation was totally not optimized at all. After pretty
+   * heavily optimizing it (just take a look; it's a monstrosity now!), it now
+   * becomes the fastest option for much smaller values of N.
+   */
+  function getEachForSource(source) {
+    if (source.length < 40) {
+      return UniqueArrayWrapper.prototype.eachNoCache;
+    } else if (source.length < 100) {
+      return UniqueArrayWrapper.prototype.eachArrayCache;
+    } else {
+      return UniqueSequence.prototype.each;
+    }
+  }
+
+  /**
+   * @constructor
+   */
+  function ConcatArrayWrapper(source, other) {
+    this.source = source;
+    this.other  = other;
+  }
+
+  ConcatArrayWrapper.prototype = new ArrayLikeSequence();
+
+  ConcatArrayWrapper.prototype.get = function(i) {
+    var sourceLength = this.source.length;
+
+    if (i < sourceLength) {
+      return this.source[i];
+    } else {
+      return this.other[i - sourceLength];
+    }
+  };
+
+  ConcatArrayWrapper.prototype.length = function() {
+    return this.source.length + this.other.length;
+  };
+
+  ConcatArrayWrapper.prototype.each = function(fn) {
+    var source = this.source,
+        sourceLength = source.length,
+        other = this.other,
+        otherLength = other.length,
+        i = 0,
+        j = -1;
+
+    while (++j < sourceLength) {
+      if (fn(source[j], i++) === false) {
+        return false;
+      }
+    }
+
+    j = -1;
+    while (++j < otherLength) {
+      if (fn(other[j], i++) === false) {
+        return false;
+      }
+    }
+  };
+
+  /**
+   * Wraps an object that isn't an array, but has a `length` and elements at
+   * indices `0` to `length - 1`: e.g., a typed array such as `Uint8Array`, an
+   * `arguments` object, or a DOM `NodeList`.
+   *
+   * @param {Object} source The array-like object to wrap.
+   * @constructor
+   */
+  function ArrayLikeWrapper(source) {
+    this.source = source;
+  }
+
+  ArrayLikeWrapper.prototype = new ArrayLikeSequence();
+
+  ArrayLikeWrapper.prototype.get = function(i) {
+    return this.source[i];
+  };
+
+  ArrayLikeWrapper.prototype.length = function() {
+    return this.source.length;
+  };
+
+  ArrayLikeWrapper.prototype.each = function(fn) {
+    var source = this.source,
+        length = source.length,
+        i = -1;
+
+    while (++i < length) {
+      if (fn(source[i], i) === false) {
+        break;
+      }
+    }
+  };
+
+  ArrayLikeWrapper.prototype.toArray = function() {
+    return Array.prototype.slice.call(this.source, 0);
+  };
+
+  /**
+   * An `ObjectLikeSequence` object represents a sequence of key/value pairs.
+   *
+   * So, this one is arguably the least... good... of the sequence types right
+   * now. A bunch of methods are implemented already, and they basically "work";
+   * but the problem is I haven't quite made up my mind exactly how they *should*
+   * work, to be consistent and useful.
+   *
+   * Here are a couple of issues (there are others):
+   *
+   * 1. For iterating over an object, there is currently *not* a good way to do it
+   *    asynchronously (that I know of). The best approach is to call
+   *    `Object.keys` and then iterate over *those* asynchronously; but this of
+   *    course eagerly iterates over the object's keys (though maybe that's not
+   *    a really big deal).
+   * 2. In terms of method chaining, it is a bit unclear how that should work.
+   *    Iterating over an `ObjectLikeSequence` with {@link ObjectLikeSequence#each}
+   *    passes `(value, key)` to the given function; but what about the result of
+   *    {@link Sequence#map}, {@link Sequence#filter}, etc.? I've flip-flopped
+   *    between thinking they should return object-like sequences or regular
+   *    sequences.
+   *
+   * Expect this section to be updated for a coming version of Lazy.js, when I
+   * will hopefully have figured this stuff out.
+   *
+   * @constructor
+   */
+  function ObjectLikeSequence() {}
+
+  ObjectLikeSequence.prototype = new Sequence();
+
+  /**
+   * Gets the element at the specified key in this sequence.
+   *
+   * @param {string} key The key.
+   * @return {*} The element.
+   *
+   * @example
+   * Lazy({ foo: "bar" }).get("foo");
+   * // => "bar"
+   */
+  ObjectLikeSequence.prototype.get = function(key) {
+    return this.parent.get(key);
+  };
+
+  /**
+   * Returns a {@link Sequence} whose elements are the keys of this object-like
+   * sequence.
+   *
+   * @return {Sequence} The sequence based on this sequence's keys.
+   *
+   * @example
+   * Lazy({ hello: "hola", goodbye: "hasta luego" }).keys();
+   * // => sequence: ("hello", "goodbye")
+   */
+  ObjectLikeSequence.prototype.keys = function() {
+    return this.map(function(v, k) { return k; });
+  };
+
+  /**
+   * Returns a {@link Sequence} whose elements are the values of this object-like
+   * sequence.
+   *
+   * @return {Sequence} The sequence based on this sequence's values.
+   *
+   * @example
+   * Lazy({ hello: "hola", goodbye: "hasta luego" }).values();
+   * // => sequence: ("hola", "hasta luego")
+   */
+  ObjectLikeSequence.prototype.values = function() {
+    return this.map(function(v, k) { return v; });
+  };
+
+  /**
+   * Returns an `ObjectLikeSequence` whose elements are the combination of this
+   * sequence and another object. In the case of a key appearing in both this
+   * sequence and the given object, the other object's value will override the
+   * one in this sequence.
+   *
+   * @param {Object} other The other object to assign to this sequence.
+   * @return {ObjectLikeSequence} A new sequence comprising elements from this
+   *     sequence plus the contents of `other`.
+   *
+   * @example
+   * Lazy({ "uno": 1, "dos": 2 }).assign({ "tres": 3 });
+   * // => sequence: (("uno", 1), ("dos", 2), ("tres", 3))
+   *
+   * Lazy({ foo: "bar" }).assign({ foo: "baz" });
+   * // => sequence: (("foo", "baz"))
+   */
+  ObjectLikeSequence.prototype.assign = function(other) {
+    return new AssignSequence(this, other);
+  };
+
+  /**
+   * Alias for {@link ObjectLikeSequence#assign}.
+   *
+   * @function extend
+   * @memberOf ObjectLikeSequence
+   * @instance
+   */
+  ObjectLikeSequence.prototype.extend = ObjectLikeSequence.prototype.assign;
+
+  /**
+   * Returns an `ObjectLikeSequence` whose elements are the combination of this
+   * sequence and a 'default' object. In the case of a key appearing in both this
+   * sequence and the given object, this sequence's value will override the
+   * default object's.
+   *
+   * @param {Object} defaults The 'default' object to use for missing keys in this
+   *     sequence.
+   * @return {ObjectLikeSequence} A new sequence comprising elements from this
+   *     sequence supplemented by the contents of `defaults`.
+   *
+   * @example
+   * Lazy({ name: "Dan" }).defaults({ name: "User", password: "passw0rd" });
+   * // => sequence: (("name", "Dan"), ("password", "passw0rd"))
+   */
+  ObjectLikeSequence.prototype.defaults = function(defaults) {
+    return new DefaultsSequence(this, defaults);
+  };
+
+  /**
+   * Returns an `ObjectLikeSequence` whose values are this sequence's keys, and
+   * whose keys are this sequence's values.
+   *
+   * @return {ObjectLikeSequence} A new sequence comprising the inverted keys and
+   *     values from this sequence.
+   *
+   * @example
+   * Lazy({ first: "Dan", last: "Tao" }).invert();
+   * // => sequence: (("Dan", "first"), ("Tao", "last"))
+   */
+  ObjectLikeSequence.prototype.invert = function() {
+    return new InvertedSequence(this);
+  };
+
+  /**
+   * Creates a {@link Sequence} consisting of the keys from this sequence whose
+   *     values are functions.
+   *
+   * @return {Sequence} The new sequence.
+   *
+   * @example
+   * var dog = {
+   *   name: "Fido",
+   *   breed: "Golden Retriever",
+   *   bark: function() { console.log("Woof!"); },
+   *   wagTail: function() { console.log("TODO: implement robotic dog interface"); }
+   * };
+   *
+   * Lazy(dog).functions();
+   * // => sequence: ("bark", "wagTail")
+   */
+  ObjectLikeSequence.prototype.functions = function() {
+    return this
+      .filter(function(v, k) { return typeof(v) === "function"; })
+      .map(function(v, k) { return k; });
+  };
+
+  /**
+   * Alias for {@link ObjectLikeSequence#functions}.
+   *
+   * @function methods
+   * @memberOf ObjectLikeSequence
+   * @instance
+   */
+  ObjectLikeSequence.prototype.methods = ObjectLikeSequence.prototype.functions;
+
+  /**
+   * Creates an `ObjectLikeSequence` consisting of the key/value pairs from this
+   * sequence whose keys are included in the given array of property names.
+   *
+   * @param {Array} properties An array of the properties to "pick" from this
+   *     sequence.
+   * @return {ObjectLikeSequence} The new sequence.
+   *
+   * @example
+   * var players = {
+   *   "who": "first",
+   *   "what": "second",
+   *   "i don't know", "third"
+   * };
+   *
+   * Lazy(players).pick(["who", "what"]);
+   * // => sequence: (("who", "first"), ("what", "second"))
+   */
+  ObjectLikeSequence.prototype.pick = function(properties) {
+    return new PickSequence(this, properties);
+  };
+
+  /**
+   * Creates an `ObjectLikeSequence` consisting of the key/value pairs from this
+   * sequence excluding those with the specified keys.
+   *
+   * @param {Array} properties An array of the properties to *omit* from this
+   *     sequence.
+   * @return {ObjectLikeSequence} The new sequence.
+   *
+   * @example
+   * var players = {
+   *   "who": "first",
+   *   "what": "second",
+   *   "i don't know", "third"
+   * };
+   *
+   * Lazy(players).omit(["who", "what"]);
+   * // => sequence: (("i don't know", "third"))
+   */
+  ObjectLikeSequence.prototype.omit = function(properties) {
+    return new OmitSequence(this, properties);
+  };
+
+  /**
+   * Creates an array from the key/value pairs in this sequence.
+   *
+   * @return {Array} An array of `[key, value]` elements.
+   *
+   * @example
+   * Lazy({ red: "#f00", green: "#0f0", blue: "#00f" }).toArray();
+   * // => [["red", "#f00"], ["green", "#0f0"], ["blue", "#00f"]]
+   */
+  ObjectLikeSequence.prototype.toArray = function() {
+    return this.map(function(v, k) { return [k, v]; }).toArray();
+  };
+
+  /**
+   * Alias for {@link ObjectLikeSequence#toArray}.
+   *
+   * @function pairs
+   * @memberOf ObjectLikeSequence
+   * @instance
+   */
+  ObjectLikeSequence.prototype.pairs = ObjectLikeSequence.prototype.toArray;
+
+  if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+    // Like toArray (and like a native Map), for...of and spread syntax produce
+    // [key, value] pairs.
+    ObjectLikeSequence.prototype[Symbol.iterator] = function() {
+      return new IteratorAdapter(this.map(function(v, k) { return [k, v]; }).getIterator());
+    };
+  }
+
+  /**
+   * Creates an object with the key/value pairs from this sequence.
+   *
+   * @return {Object} An object with the same key/value pairs as this sequence.
+   *
+   * @example
+   * Lazy({ red: "#f00", green: "#0f0", blue: "#00f" }).toObject();
+   * // => { red: "#f00", green: "#0f0", blue: "#00f" }
+   */
+  ObjectLikeSequence.prototype.toObject = function() {
+    return this.map(function(v, k) { return [k, v]; }).toObject();
+  };
+
+  /**
+   * @constructor
+   */
+  function AssignSequence(parent, other) {
+    this.parent = parent;
+    this.other  = other;
+  }
+
+  AssignSequence.prototype = new ObjectLikeSequence();
+
+  AssignSequence.prototype.each = function(fn) {
+    var merged = new Set(),
+        done   = false;
+
+    Lazy(this.other).each(function(value, key) {
+      if (fn(value, key) === false) {
+        done = true;
+        return false;
+      }
+
+      merged.add(key);
+    });
+
+    if (!done) {
+      this.parent.each(function(value, key) {
+        if (!merged.contains(key) && fn(value, key) === false) {
+          return false;
+        }
+      });
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function DefaultsSequence(parent, defaults) {
+    this.parent   = parent;
+    this.defaults = defaults;
+  }
+
+  DefaultsSequence.prototype = new ObjectLikeSequence();
+
+  DefaultsSequence.prototype.each = function(fn) {
+    var merged = new Set(),
+        done   = false;
+
+    this.parent.each(function(value, key) {
+      if (fn(value, key) === false) {
+        done = true;
+        return false;
+      }
+
+      if (typeof value !== "undefined") {
+        merged.add(key);
+      }
+    });
+
+    if (!done) {
+      Lazy(this.defaults).each(function(value, key) {
+        if (!merged.contains(key) && fn(value, key) === false) {
+          return false;
+        }
+      });
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function InvertedSequence(parent) {
+    this.parent = parent;
+  }
+
+  InvertedSequence.prototype = new ObjectLikeSequence();
+
+  InvertedSequence.prototype.each = function(fn) {
+    this.parent.each(function(value, key) {
+      return fn(key, value);
+    });
+  };
+
+  /**
+   * @constructor
+   */
+  function PickSequence(parent, properties) {
+    this.parent     = parent;
+    this.properties = properties;
+  }
+
+  PickSequence.prototype = new ObjectLikeSequence();
+
+  PickSequence.prototype.each = function(fn) {
+    var inArray    = contains,
+        properties = this.properties;
+
+    this.parent.each(function(value, key) {
+      if (inArray(properties, key)) {
+        return fn(value, key);
+      }
+    });
+  };
+
+  /**
+   * @constructor
+   */
+  function OmitSequence(parent, properties) {
+    this.parent     = parent;
+    this.properties = properties;
+  }
+
+  OmitSequence.prototype = new ObjectLikeSequence();
+
+  OmitSequence.prototype.each = function(fn) {
+    var inArray    = contains,
+        properties = this.properties;
+
+    this.parent.each(function(value, key) {
+      if (!inArray(properties, key)) {
+        return fn(value, key);
+      }
+    });
+  };
+
+  /**
+   * @constructor
+   */
+  function ObjectWrapper(source) {
+    this.source = source;
+  }
+
+  ObjectWrapper.prototype = new ObjectLikeSequence();
+
+  ObjectWrapper.prototype.get = function(key) {
+    return this.source[key];
+  };
+
+  ObjectWrapper.prototype.getIterator = function() {
+    return new ObjectIterator(this.source);
+  };
+
+  ObjectWrapper.prototype.each = function(fn) {
+    var source = this.source,
+        key;
+
+    for (key in source) {
+      if (fn(source[key], key) === false) {
+        return;
+      }
+    }
+  };
+
+  /**
+   * Wraps an ES2015 `Map`. Unlike the properties of an ordinary object, the keys
+   * of a `Map` can be any value, and are passed to {@link #each} as they are.
+   *
+   * @param {Map} source The map to wrap.
+   * @constructor
+   */
+  function MapWrapper(source) {
+    this.source = source;
+  }
+
+  MapWrapper.prototype = new ObjectLikeSequence();
+
+  MapWrapper.prototype.get = function(key) {
+    return this.source.get(key);
+  };
+
+  MapWrapper.prototype.getIterator = function() {
+    return new MapIterator(this.source);
+  };
+
+  MapWrapper.prototype.each = function(fn) {
+    var iterator = this.source.entries(),
+        result;
+
+    while (!(result = iterator.next()).done) {
+      if (fn(result.value[1], result.value[0]) === false) {
+        return;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function GroupedSequence(parent, keyFn) {
+    this.parent    = parent;
+    this.keyFn     = createGroupKeyFn(keyFn);
+    this.composite = keyFn instanceof Array;
+  }
+
+  GroupedSequence.prototype = new ObjectLikeSequence();
+
+  GroupedSequence.prototype.each = function(fn) {
+    return this.eachGroup(
+      function() { return []; },
+      function(group, e) { group.push(e); },
+      fn
+    );
+  };
+
+  /**
+   * Gets the array of elements with the given key (which, for a sequence grouped
+   * by several keys, should be an array of them).
+   *
+   * @param {*} key The key of the group.
+   * @return {Array} The elements in the group, or `undefined` if there are
+   *     none.
+   */
+  GroupedSequence.prototype.get = function(key) {
+    var table = new GroupTable(this.composite),
+        keyFn = this.keyFn;
+
+    this.parent.each(function(e) {
+      table.get(keyFn(e), function() { return []; }).push(e);
+    });
+
+    return table.get(key);
+  };
+
+  /**
+   * Creates an {@link ObjectLikeSequence} with the same keys as this one, where
+   * the value for each group is an object with the results of the given
+   * aggregators. The elements of each group are passed to every aggregator as
+   * they're read, so no arrays of them are built up along the way.
+   *
+   * See {@link Lazy.aggregators} for the aggregators that come with Lazy.js.
+   * An aggregator is just an object with `init`, `step` and (optionally)
+   * `result` methods, so you can easily write your own.
+   *
+   * @param {Object} aggregators An object whose values are aggregators. The
+   *     results for each group will have the same property names.
+   * @return {ObjectLikeSequence} The new sequence.
+   *
+   * @example
+   * var agg = Lazy.aggregators;
+   *
+   * var sales = [
+   *   { region: "east", amount: 10 },
+   *   { region: "west", amount: 20 },
+   *   { region: "east", amount: 5 }
+   * ];
+   *
+   * Lazy(sales).groupBy("region").aggregate({
+   *   total: agg.sum("amount"),
+   *   n: agg.count(),
+   *   avg: agg.mean("amount")
+   * });
+   * // => sequence: (("east", { total: 15, n: 2, avg: 7.5 }), ("west", { total: 20, n: 1, avg: 20 }))
+   */
+  GroupedSequence.prototype.aggregate = function(aggregators) {
+    return new AggregatedSequence(this, aggregators);
+  };
+
+  /**
+   * Iterates over the groups in this sequence, with the value of each group
+   * accumulated using the given functions.
+   *
+   * @param {function(*):*} init Creates the initial value of a group, given its
+   *     key.
+   * @param {function(*, *):*} step Adds an element to a group's value, returning
+   *     the new value (or nothing, if the value was modified in place).
+   * @param {function(*, *):*} fn The function to call with the value and key of
+   *     each group, which can return false to stop iterating.
+   */
+  GroupedSequence.prototype.eachGroup = function(init, step, fn) {
+    var table = new GroupTable(this.composite),
+        keyFn = this.keyFn,
+        iteration;
+
+    iteration = this.parent.each(function(e) {
+      var group = table.get(keyFn(e), function(key) {
+        return { key: key, value: init(key) };
+      });
+
+      var value = step(group.value, e);
+      if (typeof value !== "undefined") {
+        group.value = value;
+      }
+    });
+
+    function eachGroup() {
+      var groups = table.groups,
+          i = -1;
+
+      while (++i < groups.length) {
+        if (fn(groups[i].value, groups[i].key) === false) {
+          break;
+        }
+      }
+    }
+
+    if (iteration instanceof AsyncHandle) {
+      return iteration.then(eachGroup);
+    }
+
+    eachGroup();
+  };
+
+  /**
+   * @constructor
+   */
+  function AggregatedSequence(parent, aggregators) {
+    this.parent      = parent;
+    this.aggregators = aggregators;
+
+    for (var name in aggregators) {
+      if (!aggregators[name] || typeof aggregators[name].step !== "function") {
+        throw "The aggregator '" + name + "' must have a step method.";
+      }
+    }
+  }
+
+  AggregatedSequence.prototype = new ObjectLikeSequence();
+
+  AggregatedSequence.prototype.each = function(fn) {
+    var aggregators = this.aggregators;
+
+    return this.parent.eachGroup(
+      function() {
+        var states = {};
+        for (var name in aggregators) {
+          states[name] = typeof aggregators[name].init === "function" ?
+            aggregators[name].init() :
+            undefined;
+        }
+        return states;
+      },
+
+      function(states, e) {
+        for (var name in aggregators) {
+          states[name] = aggregators[name].step(states[name], e);
+        }
+      },
+
+      function(states, key) {
+        var results = {};
+        for (var name in aggregators) {
+          results[name] = typeof aggregators[name].result === "function" ?
+            aggregators[name].result(states[name]) :
+            states[name];
+        }
+        return fn(results, key);
+      }
+    );
+  };
+
+  AggregatedSequence.prototype.get = function(key) {
+    var table = new GroupTable(this.parent.composite);
+
+    this.each(function(results, k) {
+      table.get(k, function() { return results; });
+    });
+
+    return table.get(key);
+  };
+
+  /**
+   * Keeps track of groups by key, in the order they're first seen. Keys are
+   * compared like the keys of a {@link Dictionary}; composite keys (arrays)
+   * match if all of their parts do.
+   *
+   * @param {boolean} composite Whether keys are arrays of parts.
+   * @constructor
+   */
+  function GroupTable(composite) {
+    this.composite = composite;
+    this.index     = new Dictionary();
+    this.groups    = [];
+  }
+
+  /**
+   * Gets the group with the given key.
+   *
+   * @param {*} key The key.
+   * @param {function(*):*=} create A function to create the group (given its key)
+   *     if there isn't one yet.
+   * @return {*} The group, or `undefined` if there's none and `create` wasn't
+   *     given.
+   */
+  GroupTable.prototype.get = function(key, create) {
+    var parts = this.composite ? key : [key],
+        last  = parts.length - 1,
+        index = this.index,
+        next,
+        group,
+        i;
+
+    for (i = 0; i < last; ++i) {
+      next = index.get(parts[i]);
+      if (!next) {
+        if (!create) {
+          return undefined;
+        }
+        index.set(parts[i], next = new Dictionary());
+      }
+      index = next;
+    }
+
+    if (index.has(parts[last])) {
+      return index.get(parts[last]);
+    }
+
+    if (create) {
+      group = create(key);
+      index.set(parts[last], group);
+      this.groups.push(group);
+    }
+    return group;
+  };
+
+  function createGroupKeyFn(key) {
+    var keyFns, i;
+
+    if (!(key instanceof Array)) {
+      return createKeyFn(key);
+    }
+
+    keyFns = [];
+    for (i = 0; i < key.length; ++i) {
+      keyFns.push(createKeyFn(key[i]));
+    }
+
+    return function(e) {
+      var parts = [];
+      for (var j = 0; j < keyFns.length; ++j) {
+        parts.push(keyFns[j](e));
+      }
+      return parts;
+    };
+  }
+
+  /**
+   * A `StringLikeSequence` represents a sequence of characters.
+   *
+   * TODO: The idea for this prototype is to be able to do things like represent
+   * "substrings" without actually allocating new strings. Right now that
+   * isn't implemented at all, though (every method assumes an actual string as
+   * `source`).
+   *
+   * @constructor
+   */
+  function StringLikeSequence() {}
+
+  StringLikeSequence.prototype = new ArrayLikeSequence();
+
+  /**
+   * Returns an {@link Iterator} that will step over each character in this
+   * sequence one by one.
+   *
+   * @return {Iterator} The iterator.
+   */
+  StringLikeSequence.prototype.getIterator = function() {
+    return new CharIterator(this.source);
+  };
+
+  /**
+   * Returns the character at the given index of this stream.
+   *
+   * @param {number} i The index of this sequence.
+   * @return {string} The character at the specified index.
+   *
+   * @example:
+   * Lazy("foo")
+   *   .charAt(0);
+   * // => "f"
+   */
+  StringLikeSequence.prototype.charAt = function(i) {
+    return this.get(i);
+  };
+
+  /**
+   * @name get
+   *
+   * Returns the character at the given index of this stream.
+   * @example:
+   * Lazy("foo")
+   *   .map(function(c) { return c.toUpperCase(); })
+   *   .get(0);
+   * // => "F"
+   */
+
+  /**
+   * See {@link Sequence#each}.
+   */
+  StringLikeSequence.prototype.each = function(fn) {
+    var source = this.source,
+        length = source.length,
+        i = -1;
+
+    while (++i < length) {
+      if (fn(source.charAt(i)) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * Creates a {@link Sequence} comprising all of the matches for the specified
+   * pattern in the underlying string.
+   *
+   * @param {RegExp} pattern The pattern to match.
+   * @return {Sequence} A sequence of all the matches.
+   */
+  StringLikeSequence.prototype.match = function(pattern) {
+    return new StringMatchSequence(this.source, pattern);
+  };
+
+  /**
+   * Creates a {@link Sequence} comprising all of the substrings of this string
+   * separated by the given delimiter, which can be either a string or a regular
+   * expression.
+   *
+   * @param {string|RegExp} delimiter The delimiter to use for recognizing
+   *     substrings.
+   * @return {Sequence} A sequence of all the substrings separated by the given
+   *     delimiter.
+   */
+  StringLikeSequence.prototype.split = function(delimiter) {
+    return new SplitStringSequence(this.source, delimiter);
+  };
+
+  /**
+   * Creates a {@link Sequence} of the values in this string of newline-delimited
+   * JSON. See {@link StreamLikeSequence#ndjson}.
+   *
+   * @return {Sequence} A sequence comprising the parsed values.
+   *
+   * @example
+   * Lazy('{ "a": 1 }\n[2]\n"three"').ndjson();
+   * // => sequence: ({ a: 1 }, [2], "three")
+   */
+  StringLikeSequence.prototype.ndjson = function() {
+    return new NdjsonSequence(new ArrayWrapper([this.source]));
+  };
+
+  /**
+   * Creates a {@link Sequence} of the records in this string of CSV data. See
+   * {@link StreamLikeSequence#csv}.
+   *
+   * @param {Object=} options The options to use (see
+   *     {@link StreamLikeSequence#csv}).
+   * @return {Sequence} A sequence comprising the records.
+   *
+   * @example
+   * Lazy('name,age\nDan,32\n"Smith, Jane",28').csv();
+   * // => sequence: ({ name: "Dan", age: "32" }, { name: "Smith, Jane", age: "28" })
+   *
+   * Lazy("1\t2\n3\t4").csv({ delimiter: "\t", header: false, coerce: Number });
+   * // => sequence: ([1, 2], [3, 4])
+   */
+  StringLikeSequence.prototype.csv = function(options) {
+    return new CsvSequence(new ArrayWrapper([this.source]), options);
+  };
+
+  /**
+   * @constructor
+   */
+  function StringMatchSequence(source, pattern) {
+    this.source = source;
+    this.pattern = pattern;
+  }
+
+  StringMatchSequence.prototype = new Sequence();
+
+  StringMatchSequence.prototype.each = function(fn) {
+    var iterator = this.getIterator();
+    while (iterator.moveNext()) {
+      if (fn(iterator.current()) === false) {
+        return;
+      }
+    }
+  };
+
+  StringMatchSequence.prototype.getIterator = function() {
+    return new StringMatchIterator(this.source, this.pattern);
+  };
+
+  /**
+   * @constructor
+   */
+  function SplitStringSequence(source, pattern) {
+    this.source = source;
+    this.pattern = pattern;
+  }
+
+  SplitStringSequence.prototype = new Sequence();
+
+  SplitStringSequence.prototype.each = function(fn) {
+    var iterator = this.getIterator();
+    while (iterator.moveNext()) {
+      if (fn(iterator.current()) === false) {
+        break;
+      }
+    }
+  };
+
+  SplitStringSequence.prototype.getIterator = function() {
+    if (this.pattern instanceof RegExp) {
+      if (this.pattern.source === "" || this.pattern.source === "(?:)") {
+        return new CharIterator(this.source);
+      } else {
+        return new SplitWithRegExpIterator(this.source, this.pattern);
+      }
+    } else if (this.pattern === "") {
+      return new CharIterator(this.source);
+    } else {
+      return new SplitWithStringIterator(this.source, this.pattern);
+    }
+  };
+
+  /**
+   * Wraps a string exposing {@link #match} and {@link #split} methods that return
+   * {@link Sequence} objects instead of arrays, improving on the efficiency of
+   * JavaScript's built-in `String#split` and `String.match` methods and
+   * supporting asynchronous iteration.
+   *
+   * @param {string} source The string to wrap.
+   * @constructor
+   */
+  function StringWrapper(source) {
+    this.source = source;
+  }
+
+  StringWrapper.prototype = new StringLikeSequence();
+
+  StringWrapper.prototype.get = function(i) {
+    return this.source.charAt(i);
+  };
+
+  StringWrapper.prototype.length = function() {
+    return this.source.length;
+  };
+
+  /**
+   * A GeneratedSequence does not wrap an in-memory colllection but rather
+   * determines its elements on-the-fly during iteration according to a generator
+   * function.
+   *
+   * @constructor
+   * @param {function(number, *):*} generatorFn A function which accepts an index
+   *     and returns a value for the element at that position in the sequence.
+   * @param {number=} length The length of the sequence. If this argument is
+   *     omitted, the sequence will go on forever.
+   */
+  function GeneratedSequence(generatorFn, length) {
+    this.get = generatorFn;
+    this.fixedLength = length;
+  }
+
+  GeneratedSequence.prototype = new Sequence();
+
+  /**
+   * Returns the length of this sequence.
+   *
+   * @return {number} The length, or `undefined` if this is an indefinite
+   *     sequence.
+   */
+  GeneratedSequence.prototype.length = function() {
+    return this.fixedLength;
+  };
+
+  /**
+   * See {@link Sequence#getIterator}.
+   */
+  GeneratedSequence.prototype.getIterator = function() {
+    return new Iterator(this);
+  };
+
+  /**
+   * See {@link Sequence#each}.
+   */
+  GeneratedSequence.prototype.each = function(fn) {
+    var generatorFn = this.get,
+        length = this.fixedLength,
+        i = 0;
+    while (typeof length === "undefined" || i < length) {
+      if (fn(generatorFn(i++)) === false) {
+        break;
+      }
+    }
+  };
+
+  /**
+   * An IteratedSequence starts with a seed, and produces each element after that
+   * by calling a function on the one before it. It goes on forever.
+   *
+   * @constructor
+   * @param {*} seed The first element.
+   * @param {function(*):*} nextFn A function which accepts an element and
+   *     returns the next one.
+   */
+  function IteratedSequence(seed, nextFn) {
+    this.seed   = seed;
+    this.nextFn = nextFn;
+  }
+
+  IteratedSequence.prototype = new Sequence();
+
+  /**
+   * Returns the length of this sequence, which is always `undefined`.
+   *
+   * @return {undefined}
+   */
+  IteratedSequence.prototype.length = function() {
+    return undefined;
+  };
+
+  /**
+   * See {@link Sequence#getIterator}.
+   */
+  IteratedSequence.prototype.getIterator = function() {
+    return new UnfoldingIterator(this.seed, iterationStep(this.nextFn));
+  };
+
+  /**
+   * See {@link Sequence#each}.
+   */
+  IteratedSequence.prototype.each = function(fn) {
+    var nextFn = this.nextFn,
+        value = this.seed,
+        i = 0;
+
+    while (fn(value, i++) !== false) {
+      value = nextFn(value);
+    }
+    return false;
+  };
+
+  /**
+   * An UnfoldedSequence produces its elements from a seed, by repeatedly calling
+   * a function which returns an element along with the seed for the next one,
+   * until it returns nothing.
+   *
+   * @constructor
+   * @param {*} seed The initial seed.
+   * @param {function(*, number):Array} unfoldFn A function which accepts a seed
+   *     and an index, and returns an array of the element at that index and the
+   *     next seed, or else null, undefined or false to end the sequence.
+   */
+  function UnfoldedSequence(seed, unfoldFn) {
+    this.seed     = seed;
+    this.unfoldFn = unfoldFn;
+  }
+
+  UnfoldedSequence.prototype = new Sequence();
+
+  /**
+   * Returns the length of this sequence, which is always undefined: it isn't
+   * known without iterating over it (if it ends at all), even once it has been
+   * iterated to the end.
+   *
+   * @return {undefined}
+   */
+  UnfoldedSequence.prototype.length = function() {
+    return undefined;
+  };
+
+  /**
+   * See {@link Sequence#getIterator}.
+   */
+  UnfoldedSequence.prototype.getIterator = function() {
+    return new UnfoldingIterator(this.seed, this.unfoldFn);
+  };
+
+  /**
+   * See {@link Sequence#each}.
+   */
+  UnfoldedSequence.prototype.each = function(fn) {
+    var unfoldFn = this.unfoldFn,
+        seed = this.seed,
+        i = 0,
+        step;
+
+    while ((step = unfoldFn(seed, i))) {
+      if (fn(step[0], i++) === false) {
+        return false;
+      }
+      seed = step[1];
+    }
+  };
+
+  /**
+   * Adapts the function given to {@link Lazy.iterate} to the kind given to
+   * {@link Lazy.unfold}, for {@link UnfoldingIterator}. The next element is only
+   * computed once it's needed.
+   */
+  function iterationStep(nextFn) {
+    return function(previous, i) {
+      var value = i === 0 ? previous : nextFn(previous);
+      return [value, value];
+    };
+  }
+
+  /**
+   * A `TraversableSequence` is a sequence of nodes connected to one another,
+   * such as a tree or a graph, which can be traversed in different orders.
+   *
+   * Each traversal is a sequence of *visits* (see {@link Visit}), which tell you
+   * the node being visited, how deep it is and how the traversal got there.
+   *
+   * Traversals are lazy: they only look at a node's children (or neighbors) when
+   * they get to it, and so they stop as soon as iteration does, e.g. once
+   * {@link Sequence#find} has found what it's looking for.
+   *
+   * @constructor
+   */
+  function TraversableSequence() {}
+
+  TraversableSequence.prototype = new Sequence();
+
+  /**
+   * Gets an {@link Iterator} over the children (or neighbors) of the given node,
+   * or null if it doesn't have any.
+   *
+   * @param {*} node The node.
+   * @return {Iterator} The iterator.
+   */
+  TraversableSequence.prototype.getChildren = function(node) {
+    var children = this.childrenFn(node);
+    return children === null || typeof children === "undefined" ?
+      null :
+      Lazy(children).getIterator();
+  };
+
+  /**
+   * See {@link Sequence#each}.
+   */
+  TraversableSequence.prototype.each = function(fn) {
+    return this.depthFirst().map(getVisitedNode).each(fn);
+  };
+
+  /**
+   * See {@link Sequence#getIterator}.
+   */
+  TraversableSequence.prototype.getIterator = function() {
+    return this.depthFirst().map(getVisitedNode).getIterator();
+  };
+
+  function getVisitedNode(visit) {
+    return visit.node;
+  }
+
+  /**
+   * A visit to a node during a traversal of a {@link TraversableSequence}.
+   *
+   * Each visit is linked to the visit of the node before it on the way from the
+   * start, so the nodes along the way are only put in an array when you ask for
+   * {@link Visit#path}.
+   *
+   * @param {*} node The node being visited.
+   * @param {Visit} parent The visit of the node before this one on the way from
+   *     the start, or null if the traversal started here.
+   * @constructor
+   */
+  function Visit(node, parent) {
+    this.node   = node;
+    this.parent = parent;
+    this.depth  = parent ? parent.depth + 1 : 0;
+  }
+
+  /**
+   * Gets the nodes on the way to this one.
+   *
+   * @return {Array} The nodes, from the one the traversal started at up to and
+   *     including this one.
+   */
+  Visit.prototype.path = function() {
+    var path  = new Array(this.depth + 1),
+        visit = this;
+
+    while (visit) {
+      path[visit.depth] = visit.node;
+      visit = visit.parent;
+    }
+    return path;
+  };
+
+  /**
+   * A `TreeSequence` is a sequence of the nodes in a tree, in depth-first
+   * order, starting at its root. See {@link Lazy.tree}.
+   *
+   * @param {*} root The root node.
+   * @param {Function} childrenFn A function to get the children of a node.
+   * @constructor
+   */
+  function TreeSequence(root, childrenFn) {
+    this.root       = root;
+    this.childrenFn = childrenFn;
+  }
+
+  TreeSequence.prototype = new TraversableSequence();
+
+  /**
+   * Creates a sequence visiting every node in this tree depth-first, with each
+   * node before its children (i.e., pre-order).
+   *
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+   *
+   * tree.depthFirst().map(function(visit) { return visit.node.id + "@" + visit.depth; });
+   * // => sequence: ("1@0", "2@1", "3@2", "4@1")
+   */
+  TreeSequence.prototype.depthFirst = function() {
+    return new TraversalSequence(this, [this.root], "preOrder", false);
+  };
+
+  /**
+   * Creates a sequence visiting every node in this tree breadth-first, i.e.,
+   * level by level.
+   *
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+   *
+   * tree.breadthFirst().map(function(visit) { return visit.node.id; });
+   * // => sequence: (1, 2, 4, 3)
+   */
+  TreeSequence.prototype.breadthFirst = function() {
+    return new TraversalSequence(this, [this.root], "breadthFirst", false);
+  };
+
+  /**
+   * Creates a sequence visiting every node in this tree depth-first, with each
+   * node after its children (i.e., post-order).
+   *
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+   *
+   * tree.postOrder().map(function(visit) { return visit.node.id; });
+   * // => sequence: (3, 2, 4, 1)
+   */
+  TreeSequence.prototype.postOrder = function() {
+    return new TraversalSequence(this, [this.root], "postOrder", false);
+  };
+
+  /**
+   * A `GraphSequence` is a sequence of the nodes in a directed graph: the ones
+   * it was created with, and any others reachable from them, each only once.
+   * See {@link Lazy.graph}.
+   *
+   * Nodes are told apart the same way {@link Sequence#uniq} tells elements
+   * apart: primitive values by value, and objects by identity.
+   *
+   * @param {Array|Sequence} nodes The nodes.
+   * @param {Function} childrenFn A function to get the nodes a node has edges
+   *     to.
+   * @constructor
+   */
+  function GraphSequence(nodes, childrenFn) {
+    this.nodes      = nodes;
+    this.childrenFn = childrenFn;
+  }
+
+  GraphSequence.prototype = new TraversableSequence();
+
+  GraphSequence.prototype.getStarts = function(args) {
+    return args.length > 0 ? [args[0]] : this.nodes;
+  };
+
+  /**
+   * Gets an array of the nodes the given node has edges to.
+   *
+   * @param {*} node The node.
+   * @return {Array} The nodes.
+   */
+  GraphSequence.prototype.getTargets = function(node) {
+    var targets = this.childrenFn(node);
+    return targets === null || typeof targets === "undefined" ? [] : Lazy(targets).toArray();
+  };
+
+  /**
+   * Creates a sequence visiting nodes in this graph depth-first, each before
+   * the nodes it has edges to, and each only once (so cycles are no problem).
+   *
+   * @param {*=} from The node to start from. Without this, every node is
+   *     visited, starting from each of the graph's nodes in turn.
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var graph = Lazy.graph(["a"], function(node) {
+   *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+   * });
+   *
+   * graph.depthFirst().pluck("node");
+   * // => sequence: ("a", "b", "d", "c")
+   */
+  GraphSequence.prototype.depthFirst = function(from) {
+    return new TraversalSequence(this, this.getStarts(arguments), "preOrder", true);
+  };
+
+  /**
+   * Creates a sequence visiting nodes in this graph breadth-first, i.e., in
+   * order of how many edges away they are, each only once.
+   *
+   * @param {*=} from The node to start from. Without this, every node is
+   *     visited, starting from each of the graph's nodes in turn.
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var graph = Lazy.graph(["a"], function(node) {
+   *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+   * });
+   *
+   * graph.breadthFirst().pluck("node");
+   * // => sequence: ("a", "b", "c", "d")
+   */
+  GraphSequence.prototype.breadthFirst = function(from) {
+    return new TraversalSequence(this, this.getStarts(arguments), "breadthFirst", true);
+  };
+
+  /**
+   * Creates a sequence visiting nodes in this graph depth-first, each after the
+   * nodes it has edges to (unless they were already on the way there, in a
+   * cycle), and each only once.
+   *
+   * @param {*=} from The node to start from. Without this, every node is
+   *     visited, starting from each of the graph's nodes in turn.
+   * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+   *
+   * @example
+   * var graph = Lazy.graph(["a"], function(node) {
+   *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+   * });
+   *
+   * graph.postOrder().pluck("node");
+   * // => sequence: ("d", "b", "c", "a")
+   */
+  GraphSequence.prototype.postOrder = function(from) {
+    return new TraversalSequence(this, this.getStarts(arguments), "postOrder", true);
+  };
+
+  /**
+   * Creates a sequence of the nodes in this graph in topological order: every
+   * node comes before all of the nodes it has edges to. (So if the edges point
+   * from things to what they depend on, reverse this sequence to put
+   * dependencies first.)
+   *
+   * Since there's no way to know where to start without looking at the whole
+   * graph, the order is worked out in full as soon as iteration begins. If the
+   * graph has a cycle, there is no such order, and an error is thrown then,
+   * naming the nodes in the cycle (as found by {@link #findCycle}).
+   *
+   * @return {Sequence} The sequence of nodes.
+   *
+   * @example
+   * var graph = Lazy.graph(["shoes", "socks", "pants"], function(node) {
+   *   return { socks: ["shoes"], pants: ["shoes"] }[node];
+   * });
+   *
+   * graph.topologicalSort();
+   * // => sequence: ("socks", "pants", "shoes")
+   *
+   * Lazy.graph([1], function(x) { return [x % 3 + 1]; }).topologicalSort().toArray();
+   * // => throws
+   */
+  GraphSequence.prototype.topologicalSort = function() {
+    return new TopologicalSequence(this);
+  };
+
+  /**
+   * Finds a cycle in this graph, if it has one.
+   *
+   * @return {Array} The nodes in the cycle, starting and ending with the same
+   *     one, or undefined if there aren't any cycles.
+   *
+   * @example
+   * Lazy.graph([1], function(x) { return [x % 3 + 1]; }).findCycle();
+   * // => [1, 2, 3, 1]
+   *
+   * Lazy.graph([1], function(x) { return x < 3 ? [x + 1] : []; }).findCycle();
+   * // => undefined
+   */
+  GraphSequence.prototype.findCycle = function() {
+    var graph  = this,
+        states = new Dictionary(),
+        cycle;
+
+    // Nodes are marked as "open" while the search is exploring the nodes they
+    // have edges to, and "closed" when it's done. An edge back to an open node
+    // closes a cycle.
+    Lazy(this.nodes).each(function(start) {
+      var stack = [],
+          frame,
+          target,
+          i;
+
+      if (states.has(start)) {
+        return;
+      }
+
+      states.set(start, "open");
+      stack.push({ node: start, targets: graph.getChildren(start) });
+
+      while (stack.length > 0) {
+        frame = stack[stack.length - 1];
+
+        if (!frame.targets || !frame.targets.moveNext()) {
+          states.set(frame.node, "closed");
+          stack.pop();
+          continue;
+        }
+
+        target = frame.targets.current();
+        if (states.get(target) === "open") {
+          for (i = 0; !isSameValue(stack[i].node, target); ++i) {}
+          cycle = Lazy(stack).drop(i).pluck("node").toArray().concat([target]);
+          return false;
+        }
+
+        if (!states.has(target)) {
+          states.set(target, "open");
+          stack.push({ node: target, targets: graph.getChildren(target) });
+        }
+      }
+    });
+
+    return cycle;
+  };
+
+  /**
+   * Finds the shortest path (with the fewest edges) from one node in this graph
+   * to another, searching breadth-first only as far as it has to.
+   *
+   * @param {*} from The node to start from.
+   * @param {*} to The node to get to.
+   * @return {Array} The nodes on the path, from `from` to `to`, or undefined if
+   *     there's no way to get there.
+   *
+   * @example
+   * var graph = Lazy.graph(["a"], function(node) {
+   *   return { a: ["b", "c"], b: ["d"], c: ["e"], e: ["d"] }[node];
+   * });
+   *
+   * graph.shortestPath("a", "d");
+   * // => ["a", "b", "d"]
+   *
+   * graph.shortestPath("d", "a");
+   * // => undefined
+   */
+  GraphSequence.prototype.shortestPath = function(from, to) {
+    var visit = this.breadthFirst(from).find(function(visit) {
+      return isSameValue(visit.node, to);
+    });
+
+    return visit ? visit.path() : undefined;
+  };
+
+  /**
+   * @constructor
+   */
+  function TraversalSequence(parent, starts, order, once) {
+    this.parent = parent;
+    this.starts = starts;
+    this.order  = order;
+    this.once   = once;
+  }
+
+  TraversalSequence.prototype = new Sequence();
+
+  TraversalSequence.prototype.getIterator = function() {
+    return new TraversalIterator(this.parent, this.starts, this.order, this.once);
+  };
+
+  TraversalSequence.prototype.each = function(fn) {
+    var iterator = this.getIterator(),
+        i = 0;
+
+    while (iterator.moveNext()) {
+      if (fn(iterator.current(), i++) === false) {
+        return false;
+      }
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function TopologicalSequence(parent) {
+    this.parent = parent;
+  }
+
+  TopologicalSequence.prototype = new Sequence();
+
+  TopologicalSequence.prototype.each = function(fn) {
+    var graph     = this.parent,
+        nodes     = graph.toArray(),
+        targets   = new Dictionary(),
+        inDegrees = new Dictionary(),
+        sorted    = [],
+        i, j, node, nodeTargets;
+
+    for (i = 0; i < nodes.length; ++i) {
+      inDegrees.set(nodes[i], 0);
+    }
+
+    for (i = 0; i < nodes.length; ++i) {
+      nodeTargets = graph.getTargets(nodes[i]);
+      targets.set(nodes[i], nodeTargets);
+      for (j = 0; j < nodeTargets.length; ++j) {
+        inDegrees.set(nodeTargets[j], inDegrees.get(nodeTargets[j]) + 1);
+      }
+    }
+
+    // Kahn's algorithm: repeatedly take a node which nothing left has edges to.
+    for (i = 0; i < nodes.length; ++i) {
+      if (inDegrees.get(nodes[i]) === 0) {
+        sorted.push(nodes[i]);
+      }
+    }
+
+    for (i = 0; i < sorted.length; ++i) {
+      nodeTargets = targets.get(sorted[i]);
+      for (j = 0; j < nodeTargets.length; ++j) {
+        node = nodeTargets[j];
+        inDegrees.set(node, inDegrees.get(node) - 1);
+        if (inDegrees.get(node) === 0) {
+          sorted.push(node);
+        }
+      }
+    }
+
+    if (sorted.length < nodes.length) {
+      throw "The graph has a cycle (" + graph.findCycle().join(" -> ") +
+        "), so it can't be sorted topologically.";
+    }
+
+    for (i = 0; i < sorted.length; ++i) {
+      if (fn(sorted[i], i) === false) {
+        return false;
+      }
+    }
+  };
+
+  /**
+   * An `AsyncSequence` iterates over its elements asynchronously when
+   * {@link #each} is called.
+   *
+   * Returning values
+   * ----------------
+   *
+   * Because of its asynchronous nature, an `AsyncSequence` cannot be used in the
+   * same way as other sequences for functions that return values directly (e.g.,
+   * `reduce`, `max`, `any`, even `toArray`).
+   *
+   * Instead, these methods return an {@link AsyncHandle}, which is resolved with
+   * the result once iteration has been completed (or rejected if an error is
+   * raised along the way). Each of them also accepts an optional node-style
+   * callback as its last argument:
+   *
+   *     Lazy(array).async().map(square).toArray().then(function(squares) {
+   *       // do something with squares
+   *     });
+   *
+   *     Lazy(array).async().map(square).sum(null, function(err, total) {
+   *       // do something with total (or err)
+   *     });
+   *
+   * Defining custom asynchronous sequences
+   * --------------------------------------
+   *
+   * There are plenty of ways to define an asynchronous sequence. Here's one.
+   *
+   * 1. First, implement an {@link Iterator}. This is an object whose prototype
+   *    has the methods {@link Iterator#moveNext} (which returns a `boolean`) and
+   *    {@link current} (which returns the current value).
+   * 2. Next, create a simple wrapper that inherits from `AsyncSequence`, whose
+   *    `getIterator` function returns an instance of the iterator type you just
+   *    defined.
+   *
+   * The default implementation for {@link #each} on an `AsyncSequence` is to
+   * create an iterator and then asynchronously call {@link Iterator#moveNext}
+   * (using the most efficient mechanism for the platform) until the iterator
+   * can't move ahead any more.
+   *
+   * @param {Sequence} parent A {@link Sequence} to wrap, to expose asynchronous
+   *     iteration.
+   * @param {number=} interval How many milliseconds should elapse between each
+   *     element when iterating over this sequence. If this argument is omitted,
+   *     asynchronous iteration will be executed as fast as possible.
+   * @constructor
+   */
+  function AsyncSequence(parent, interval) {
+    if (parent instanceof AsyncSequence) {
+      throw "Sequence is already asynchronous!";
+    }
+
+    this.parent = parent;
+    this.onNextCallback = getOnNextCallback(interval);
+  }
+
+  AsyncSequence.prototype = new Sequence();
+
+  /**
+   * Throws an exception. An asynchronous sequence can't be iterated over
+   * synchronously; use {@link #each} instead.
+   */
+  AsyncSequence.prototype.getIterator = function() {
+    throw "An AsyncSequence can't be iterated over synchronously; use each instead.";
+  };
+
+  /**
+   * An asynchronous version of {@link Sequence#each}.
+   *
+   * @return {AsyncHandle} A handle which will be resolved once iteration has
+   *     finished (or rejected, if `fn` throws an error).
+   */
+  AsyncSequence.prototype.each = function(fn) {
+    var iterator = this.parent.getIterator(),
+        onNextCallback = this.onNextCallback,
+        handle = new AsyncHandle(),
+        paused = false,
+        waiting = null,
+        i = 0;
+
+    function next(step) {
+      if (paused) {
+        waiting = step;
+      } else {
+        onNextCallback(step);
+      }
+    }
+
+    handle.flow = {
+      pause: function() {
+        paused = true;
+      },
+      resume: function() {
+        var step = waiting;
+        paused = false;
+        waiting = null;
+        if (step) {
+          onNextCallback(step);
+        }
+      }
+    };
+
+    if (iterator.moveNext()) {
+      next(function iterate() {
+        try {
+          if (fn(iterator.current(), i++) !== false && iterator.moveNext()) {
+            next(iterate);
+          } else {
+            handle.resolve();
+          }
+        } catch (e) {
+          handle.reject(e);
+        }
+      });
+    } else {
+      handle.resolve();
+    }
+
+    return handle;
+  };
+
+  /**
+   * An `AsyncHandle` represents the eventual result of an asynchronous
+   * operation, such as iterating over an {@link AsyncSequence}. It follows the
+   * same basic contract as a promise: call {@link #then} to be notified when the
+   * result is available (or an error has occurred).
+   *
+   * @constructor
+   */
+  function AsyncHandle() {
+    this.resolveListeners = [];
+    this.rejectListeners  = [];
+    this.state            = "pending";
+    this.value            = undefined;
+    this.source           = null;
+    this.flow             = null;
+    this.handled          = false;
+  }
+
+  /**
+   * Resolves this handle with the given value, notifying any listeners. Once a
+   * handle is resolved or rejected, subsequent calls have no effect.
+   *
+   * @param {*=} value The result of the operation.
+   */
+  AsyncHandle.prototype.resolve = function(value) {
+    this.settle("resolved", value);
+  };
+
+  /**
+   * Rejects this handle with the given error, notifying any listeners. If no
+   * one has called {@link #then} by the next tick, the error is thrown instead,
+   * so that it doesn't go unnoticed.
+   *
+   * @param {*} error The error that caused the operation to fail.
+   */
+  AsyncHandle.prototype.reject = function(error) {
+    this.settle("rejected", error);
+  };
+
+  /**
+   * Registers functions to be called when this handle is resolved or rejected.
+   *
+   * @param {Function=} onResolved Called with the result of the operation.
+   * @param {Function=} onRejected Called with the error, if the operation fails.
+   * @return {AsyncHandle} A new handle which will be resolved with the value
+   *     returned from `onResolved` or `onRejected` (or, if that value is itself
+   *     a handle or promise, with *its* eventual result).
+   *
+   * @example
+   * Lazy([1, 2, 3]).async().sum().then(function(sum) {
+   *   console.log(sum);
+   * });
+   * // (logs 6 to the console)
+   */
+  AsyncHandle.prototype.then = function(onResolved, onRejected) {
+    var handle = new AsyncHandle();
+
+    handle.source = this;
+    this.handled = true;
+    this.resolveListeners.push(createHandleListener(handle, onResolved, "resolve"));
+    this.rejectListeners.push(createHandleListener(handle, onRejected, "reject"));
+
+    if (this.state !== "pending") {
+      var self = this;
+      getOnNextCallback()(function() {
+        self.notify();
+      });
+    }
+
+    return handle;
+  };
+
+  /**
+   * Asks whatever is producing this handle's result (e.g., an asynchronous
+   * sequence or a stream being iterated over) to stop producing elements for
+   * now, if it can. This is for flow control; see {@link #resume}.
+   */
+  AsyncHandle.prototype.pause = function() {
+    var flow = this.getFlow();
+    if (flow) {
+      flow.pause();
+    }
+  };
+
+  /**
+   * Lets iteration carry on after a call to {@link #pause}.
+   */
+  AsyncHandle.prototype.resume = function() {
+    var flow = this.getFlow();
+    if (flow) {
+      flow.resume();
+    }
+  };
+
+  /**
+   * For internal use only.
+   */
+  AsyncHandle.prototype.getFlow = function() {
+    var handle = this;
+
+    // Follow the chain of handles this one came from (via `then`) back to the
+    // iteration that actually produces the elements.
+    while (handle && !handle.flow) {
+      handle = handle.source;
+    }
+
+    return handle ? handle.flow : null;
+  };
+
+  /**
+   * For internal use only.
+   */
+  AsyncHandle.prototype.settle = function(state, value) {
+    if (this.state !== "pending") {
+      return;
+    }
+
+    this.state = state;
+    this.value = value;
+    this.notify();
+
+    if (state === "rejected" && !this.handled) {
+      var self = this;
+      getOnNextCallback()(function() {
+        if (!self.handled) {
+          throw value;
+        }
+      });
+    }
+  };
+
+  /**
+   * For internal use only.
+   */
+  AsyncHandle.prototype.notify = function() {
+    var listeners = this.state === "resolved" ? this.resolveListeners : this.rejectListeners,
+        value     = this.value,
+        i         = -1;
+
+    // Each listener should only ever be notified once.
+    this.resolveListeners = [];
+    this.rejectListeners  = [];
+
+    while (++i < listeners.length) {
+      listeners[i](value);
+    }
+  };
+
+  function createHandleListener(handle, callback, fallback) {
+    return function(value) {
+      var result;
+
+      if (typeof callback !== "function") {
+        handle[fallback](value);
+        return;
+      }
+
+      try {
+        result = callback(value);
+      } catch (e) {
+        handle.reject(e);
+        return;
+      }
+
+      if (result && typeof result.then === "function") {
+        result.then(function(x) { handle.resolve(x); }, function(e) { handle.reject(e); });
+      } else {
+        handle.resolve(result);
+      }
+    };
+  }
+
+  /**
+   * Produces the result of an operation that depends on iterating over a
+   * sequence. If the iteration was synchronous the result is returned directly;
+   * if it was asynchronous (i.e., `each` returned an {@link AsyncHandle}), a new
+   * handle is returned which will be resolved with the result instead.
+   *
+   * @param {*} iteration The value returned from `each` (or from another
+   *     operation that may have been asynchronous).
+   * @param {function(*):*} getResult Computes the result once iteration has
+   *     finished. It is passed the value `iteration` produced.
+   * @param {Function=} callback An optional node-style callback, to be passed
+   *     `(error, result)` once the result is available.
+   * @return {*} The result, or an {@link AsyncHandle} for it.
+   */
+  function finishIteration(iteration, getResult, callback) {
+    var result;
+
+    if (iteration instanceof AsyncHandle) {
+      result = iteration.then(getResult);
+      if (typeof callback === "function") {
+        // The callback is called on its own tick, outside of the handle's
+        // listeners, so that anything it throws is thrown rather than turned
+        // into a rejection nobody will see.
+        result.then(
+          function(value) { callLater(callback, [null, value]); },
+          function(error) { callLater(callback, [error]); }
+        );
+      }
+      return result;
+    }
+
+    result = getResult(iteration);
+    if (typeof callback === "function") {
+      callback(null, result);
+    }
+    return result;
+  }
+
+  function callLater(fn, args) {
+    getOnNextCallback()(function() {
+      fn.apply(null, args);
+    });
+  }
+
+  function getOnNextCallback(interval) {
+    if (typeof interval === "undefined") {
+      if (typeof context.setImmediate === "function") {
+        return context.setImmediate;
+      }
+      if (typeof process !== "undefined" && typeof process.nextTick === "function") {
+        return process.nextTick;
+      }
+    }
+
+    interval = interval || 0;
+    return function(fn) {
+      setTimeout(fn, interval);
+    };
+  }
+
+  /**
+   * A StreamLikeSequence comprises a sequence of 'chunks' of data, which are
+   * typically multiline strings.
+   *
+   * @constructor
+   */
+  function StreamLikeSequence() {}
+
+  StreamLikeSequence.prototype = new Sequence();
+
+  /**
+   * Creates a {@link Sequence} of lines from this sequence's chunks of data.
+   * Lines may be terminated by either `"\n"` or `"\r\n"`, and a line which is
+   * split across two (or more) chunks will still be produced as a single line.
+   *
+   * @return {Sequence} A sequence comprising the lines in the underlying stream,
+   *     as they are read.
+   */
+  StreamLikeSequence.prototype.lines = function() {
+    return new LinesSequence(this);
+  };
+
+  /**
+   * Creates a {@link Sequence} of the values in this sequence's chunks of
+   * newline-delimited JSON (where each line is a separate JSON value). Blank
+   * lines are skipped.
+   *
+   * @return {Sequence} A sequence comprising the parsed values, as they are
+   *     read. Iterating over this sequence will raise a {@link JsonParseError}
+   *     (giving the line where the problem was found) if any line is invalid.
+   *
+   * @example
+   * Lazy.readFile("path/to/events.ndjson")
+   *   .ndjson()
+   *   .filter(function(event) { return event.type === "error"; })
+   *   .take(10);
+   * // => sequence of the first 10 error events
+   */
+  StreamLikeSequence.prototype.ndjson = function() {
+    return new NdjsonSequence(this);
+  };
+
+  /**
+   * Creates a {@link Sequence} of the records in this sequence's chunks of CSV
+   * data. Fields may be quoted, in which case they can contain delimiters, line
+   * breaks and (doubled) quotes; a record which is split across two (or more)
+   * chunks will still be produced as a single record.
+   *
+   * @param {Object=} options Any of the following:
+   *     - `delimiter`: the string separating fields (default: `","`; use
+   *       `"\t"` for TSV)
+   *     - `quote`: the character used to quote fields (default: `'"'`)
+   *     - `header`: if `true` (the default), the first row is used as field
+   *       names and every other row becomes an object; if `false`, every row
+   *       becomes an array; if an array, its elements are used as field names
+   *       and every row becomes an object
+   *     - `coerce`: a function to convert each field's value, which is passed
+   *       the string value and the field's name (or its index, if there is no
+   *       header); or an object mapping field names to such functions
+   * @return {Sequence} A sequence comprising the records in the CSV data, as
+   *     they are read.
+   *
+   * @example
+   * Lazy.readFile("path/to/people.csv")
+   *   .csv({ coerce: { age: Number } })
+   *   .take(2);
+   * // => sequence: ({ name: "Dan", age: 32 }, { name: "Jane", age: 28 })
+   */
+  StreamLikeSequence.prototype.csv = function(options) {
+    return new CsvSequence(this, options);
+  };
+
+  /**
+   * A sequence of lines (segments of a larger string or string-like sequence
+   * delimited by line breaks).
+   *
+   * @constructor
+   */
+  function LinesSequence(parent) {
+    this.parent = parent;
+  };
+
+  LinesSequence.prototype = new Sequence();
+
+  LinesSequence.prototype.getIterator = function() {
+    return new LinesIterator(this.parent);
+  };
+
+  LinesSequence.prototype.each = function(fn) {
+    var partial = "",
+        done    = false,
+        i       = 0;
+
+    var iteration = this.parent.each(function(chunk) {
+      var buffer = partial + chunk,
+          start  = 0,
+          end    = buffer.indexOf("\n");
+
+      while (end !== -1) {
+        if (fn(trimCarriageReturn(buffer.substring(start, end)), i++) === false) {
+          done = true;
+          return false;
+        }
+        start = end + 1;
+        end = buffer.indexOf("\n", start);
+      }
+
+      // Whatever is left is the beginning of a line whose end hasn't been read
+      // yet; hang onto it until the next chunk comes in.
+      partial = buffer.substring(start);
+    });
+
+    return finishIteration(iteration, function() {
+      // The last line in the stream might not end with a line break.
+      if (!done && partial.length > 0) {
+        fn(trimCarriageReturn(partial), i++);
+      }
+    });
+  };
+
+  function trimCarriageReturn(line) {
+    var last = line.length - 1;
+    return line.charAt(last) === "\r" ? line.substring(0, last) : line;
+  }
+
+  /**
+   * @constructor
+   */
+  function LinesIterator(sequence) {
+    this.chunks   = sequence.getIterator();
+    this.buffer   = "";
+    this.start    = 0;
+    this.line     = undefined;
+    this.finished = false;
+  }
+
+  LinesIterator.prototype.current = function() {
+    return this.line;
+  };
+
+  /**
+   * Closes the iterator over the underlying chunks (see {@link closeIterator}).
+   */
+  LinesIterator.prototype["return"] = function() {
+    closeIterator(this.chunks);
+  };
+
+  LinesIterator.prototype.moveNext = function() {
+    var chunks = this.chunks,
+        end;
+
+    while (true) {
+      end = this.buffer.indexOf("\n", this.start);
+
+      if (end !== -1) {
+        this.line = trimCarriageReturn(this.buffer.substring(this.start, end));
+        this.start = end + 1;
+        return true;
+      }
+
+      if (this.finished) {
+        break;
+      }
+
+      if (chunks.moveNext()) {
+        this.buffer = this.buffer.substring(this.start) + chunks.current();
+        this.start = 0;
+        continue;
+      }
+
+      // The last line might not end with a line break.
+      this.finished = true;
+      if (this.start < this.buffer.length) {
+        this.line = trimCarriageReturn(this.buffer.substring(this.start));
+        this.start = this.buffer.length;
+        return true;
+      }
+    }
+
+    this.line = undefined;
+    return false;
+  };
+
+  /**
+   * A sequence of values parsed from lines of newline-delimited JSON.
+   *
+   * @constructor
+   */
+  function NdjsonSequence(parent) {
+    this.parent = parent;
+  }
+
+  NdjsonSequence.prototype = new Sequence();
+
+  NdjsonSequence.prototype.getIterator = function() {
+    return new NdjsonIterator(this.parent);
+  };
+
+  NdjsonSequence.prototype.each = function(fn) {
+    var i = 0;
+
+    return new LinesSequence(this.parent).each(function(line, lineIndex) {
+      if (/^\s*$/.test(line)) {
+        return;
+      }
+      return fn(parseJsonLine(line, lineIndex + 1), i++);
+    });
+  };
+
+  /**
+   * @constructor
+   */
+  function NdjsonIterator(sequence) {
+    this.lines      = new LinesIterator(sequence);
+    this.lineNumber = 0;
+    this.value      = undefined;
+  }
+
+  NdjsonIterator.prototype.current = function() {
+    return this.value;
+  };
+
+  NdjsonIterator.prototype["return"] = function() {
+    this.lines["return"]();
+  };
+
+  NdjsonIterator.prototype.moveNext = function() {
+    var lines = this.lines,
+        line;
+
+    while (lines.moveNext()) {
+      line = lines.current();
+      ++this.lineNumber;
+
+      if (!(/^\s*$/).test(line)) {
+        this.value = parseJsonLine(line, this.lineNumber);
+        return true;
+      }
+    }
+
+    this.value = undefined;
+    return false;
+  };
+
+  function parseJsonLine(line, lineNumber) {
+    var parser;
+
+    try {
+      return JSON.parse(line);
+
+    } catch (e) {
+      // JSON.parse doesn't say where the problem is, so run the line through
+      // our own parser to find out.
+      parser = new JsonParser(new JsonPath("$"), identity);
+      parser.line = lineNumber;
+      parser.write(line);
+      parser.end();
+      throw e;
+    }
+  }
+
+  /**
+   * A sequence of records parsed from CSV data.
+   *
+   * @constructor
+   */
+  function CsvSequence(parent, options) {
+    this.parent  = parent;
+    this.options = options || {};
+  }
+
+  CsvSequence.prototype = new Sequence();
+
+  CsvSequence.prototype.getIterator = function() {
+    return new CsvIterator(this.parent, this.options);
+  };
+
+  CsvSequence.prototype.each = function(fn) {
+    var readRecord = createRecordReader(this.options),
+        done       = false,
+        i          = 0;
+
+    var parser = new CsvParser(this.options, function(row) {
+      var record = readRecord(row);
+
+      if (record && fn(record, i++) === false) {
+        done = true;
+        return false;
+      }
+    });
+
+    var iteration = this.parent.each(function(chunk) {
+      return parser.write(chunk);
+    });
+
+    return finishIteration(iteration, function() {
+      if (!done) {
+        parser.end();
+      }
+    });
+  };
+
+  /**
+   * Creates a function which turns each row of CSV fields into a record (see
+   * {@link StreamLikeSequence#csv} for the options), or returns null for the
+   * header row.
+   */
+  function createRecordReader(options) {
+    var header = options.header,
+        coerce = options.coerce,
+        fields = header instanceof Array ? header : null;
+
+    if (typeof header === "undefined") {
+      header = true;
+    }
+
+    return function(row) {
+      if (header && !fields) {
+        fields = row;
+        return null;
+      }
+
+      return createRecord(row, fields, coerce);
+    };
+  }
+
+  /**
+   * Turns a row of CSV fields into a record: an object mapping the given field
+   * names to values, or (if there are no field names) an array of values.
+   */
+  function createRecord(row, fields, coerce) {
+    var record = fields ? {} : [],
+        length = fields ? fields.length : row.length,
+        key,
+        value,
+        i;
+
+    for (i = 0; i < length; ++i) {
+      key   = fields ? fields[i] : i;
+      value = row[i];
+
+      if (typeof coerce === "function") {
+        value = coerce(value, key);
+      } else if (coerce && typeof coerce[key] === "function") {
+        value = coerce[key](value);
+      }
+
+      record[key] = value;
+    }
+
+    return record;
+  }
+
+  /**
+   * @constructor
+   */
+  function CsvIterator(sequence, options) {
+    var rows = this.rows = [];
+
+    this.chunks     = sequence.getIterator();
+    this.readRecord = createRecordReader(options);
+    this.record     = undefined;
+    this.finished   = false;
+    this.parser     = new CsvParser(options, function(row) {
+      rows.push(row);
+    });
+  }
+
+  CsvIterator.prototype.current = function() {
+    return this.record;
+  };
+
+  CsvIterator.prototype["return"] = LinesIterator.prototype["return"];
+
+  CsvIterator.prototype.moveNext = function() {
+    var rows   = this.rows,
+        chunks = this.chunks,
+        record;
+
+    while (true) {
+      while (rows.length > 0) {
+        record = this.readRecord(rows.shift());
+        if (record) {
+          this.record = record;
+          return true;
+        }
+      }
+
+      if (this.finished) {
+        break;
+      }
+
+      if (chunks.moveNext()) {
+        this.parser.write(chunks.current());
+      } else {
+        this.finished = true;
+        this.parser.end();
+      }
+    }
+
+    this.record = undefined;
+    return false;
+  };
+
+  /**
+   * An incremental CSV parser. It can be fed CSV data in any number of chunks,
+   * split at any point, and passes each row (as an array of strings) to `onRow`
+   * as soon as the row has been read in full. Blank lines are skipped.
+   *
+   * @param {Object} options The `delimiter` and `quote` to use (see
+   *     {@link StreamLikeSequence#csv}).
+   * @param {function(Array.<string>):*} onRow The function to call with each
+   *     row. Return false from this function to stop parsing.
+   * @constructor
+   */
+  function CsvParser(options, onRow) {
+    this.delimiter = options.delimiter || ",";
+    this.quote     = options.quote || '"';
+    this.onRow     = onRow;
+    this.row       = [];
+    this.field     = "";
+    this.line      = 1;
+    this.rowLine   = 1;
+    this.quoted    = false;
+    this.inQuotes  = false;
+    this.sawQuote  = false;
+    this.pending   = "";
+  }
+
+  /**
+   * Parses the next chunk of CSV data.
+   *
+   * @param {string} chunk The chunk.
+   * @return {boolean} False if `onRow` returned false, or else true.
+   */
+  CsvParser.prototype.write = function(chunk) {
+    var delimiter = this.delimiter,
+        quote     = this.quote,
+        buffer    = this.pending + chunk,
+        length    = buffer.length,
+        i         = 0,
+        c;
+
+    this.pending = "";
+
+    while (i < length) {
+      c = buffer.charAt(i);
+
+      if (this.inQuotes) {
+        if (this.sawQuote) {
+          this.sawQuote = false;
+          if (c === quote) {
+            // A doubled quote is an escaped quote.
+            this.field += quote;
+            ++i;
+            continue;
+          }
+          this.inQuotes = false;
+
+        } else {
+          if (c === quote) {
+            this.sawQuote = true;
+          } else {
+            if (c === "\n") {
+              ++this.line;
+            }
+            this.field += c;
+          }
+          ++i;
+          continue;
+        }
+      }
+
+      // A multi-character delimiter might be split across chunks; in that case
+      // wait for the next chunk to see if this really is one.
+      if (delimiter.length > 1 && i + delimiter.length > length &&
+          delimiter.indexOf(buffer.substring(i)) === 0) {
+        this.pending = buffer.substring(i);
+        break;
+      }
+
+      if (buffer.substring(i, i + delimiter.length) === delimiter) {
+        this.endField();
+        i += delimiter.length;
+        continue;
+      }
+
+      if (c === "\n") {
+        ++this.line;
+        ++i;
+        if (this.endRow() === false) {
+          return false;
+        }
+        continue;
+      }
+
+      if (c === quote && this.field === "" && !this.quoted) {
+        this.quoted = this.inQuotes = true;
+      } else if (c !== "\r") {
+        this.field += c;
+      }
+
+      ++i;
+    }
+
+    return true;
+  };
+
+  /**
+   * Signals that there is no more CSV data to parse, producing the last row if
+   * it didn't end with a line break.
+   *
+   * @throws {string} If the data ended in the middle of a quoted field.
+   */
+  CsvParser.prototype.end = function() {
+    if (this.inQuotes && !this.sawQuote) {
+      throw "Unterminated quoted field in row starting at line " + this.rowLine;
+    }
+
+    this.field += this.pending;
+    this.endRow();
+  };
+
+  CsvParser.prototype.endField = function() {
+    this.row.push(this.field);
+    this.field    = "";
+    this.quoted   = false;
+    this.inQuotes = false;
+    this.sawQuote = false;
+  };
+
+  CsvParser.prototype.endRow = function() {
+    var blank = this.row.length === 0 && this.field === "" && !this.quoted,
+        row;
+
+    this.rowLine = this.line;
+
+    if (blank) {
+      return;
+    }
+
+    this.endField();
+    row = this.row;
+    this.row = [];
+
+    return this.onRow(row);
+  };
+
+  /**
+   * A StreamingHttpSequence is a `StreamLikeSequence` comprising the chunks of
+   * data that are streamed in response to an HTTP request.
+   *
+   * @param {string} url The URL of the HTTP request.
+   * @constructor
+   */
+  function StreamingHttpSequence(url) {
+    this.url = url;
+  };
+
+  StreamingHttpSequence.prototype = new StreamLikeSequence();
+
+  StreamingHttpSequence.prototype.getIterator = function() {
+    throw "A StreamingHttpSequence can't be iterated over synchronously; use each instead.";
+  };
+
+  StreamingHttpSequence.prototype.each = function(fn) {
+    var url     = this.url,
+        request = new XMLHttpRequest(),
+        handle  = new AsyncHandle(),
+        index   = 0,
+        aborted = false;
+
+    request.open("GET", url);
+
+    var listener = function(data) {
+      if (!aborted) {
+        data = request.responseText.substring(index);
+        if (fn(data) === false) {
+          request.removeEventListener("progress", listener, false);
+          request.abort();
+          aborted = true;
+          handle.resolve();
+        }
+        index += data.length;
+      }
+    };
+
+    request.addEventListener("progress", listener, false);
+
+    request.addEventListener("load", function() {
+      // Make sure we don't miss anything that came in after the last progress
+      // event.
+      if (index < request.responseText.length) {
+        listener();
+      }
+      handle.resolve();
+    }, false);
+
+    request.addEventListener("error", function() {
+      handle.reject(new Error("Request for " + url + " failed"));
+    }, false);
+
+    request.send();
+
+    return handle;
+  };
+
+  /**
+   * Wraps an object and returns a {@link Sequence}.
    *
-   * @param {Object} other The other object to assign to this sequence.
-   * @return {ObjectLikeSequence} A new sequence comprising elements from this
-   *     sequence plus the contents of `other`.
+   * - For **arrays**, Lazy will create a sequence comprising the elements in
+   *   the array (an {@link ArrayLikeSequence}).
+   * - For **objects**, Lazy will create a sequence of key/value pairs
+   *   (an {@link ObjectLikeSequence}).
+   * - For **strings**, Lazy will create a sequence of characters (a
+   *   {@link StringLikeSequence}).
+   * - For **array-like** objects, which have an integer `length` and indexed
+   *   elements (typed arrays, `arguments`, DOM node lists), Lazy will create an
+   *   {@link ArrayLikeSequence} just as for arrays. An object with a `length`
+   *   property but no elements at its first and last indices is treated as an
+   *   ordinary object; use {@link Lazy.fromArrayLike} to wrap it as an array.
+   * - For a **Map**, Lazy will create an {@link ObjectLikeSequence} whose keys
+   *   can be any value. For a **Set**, it will create a sequence of the set's
+   *   elements.
+   * - For any other **iterable** object (in environments supporting ES2015
+   *   iterators), such as a generator, `Map` or `Set`, Lazy will create a
+   *   sequence of the values it produces.
+   *
+   * @param {Array|Object|string} source An array, array-like object, object,
+   *     string, Map, Set or iterable to wrap.
+   * @return {Sequence} The wrapped lazy object.
    *
    * @example
-   * Lazy({ "uno": 1, "dos": 2 }).assign({ "tres": 3 });
-   * // => sequence: (("uno", 1), ("dos", 2), ("tres", 3))
+   * var fromArray = Lazy([1, 2, 4]);
+   * // => Lazy.ArrayLikeSequence
    *
-   * Lazy({ foo: "bar" }).assign({ foo: "baz" });
-   * // => sequence: (("foo", "baz"))
+   * var fromObject = Lazy({ foo: "bar" });
+   * // => Lazy.ObjectLikeSequence
+   *
+   * var fromString = Lazy("hello, world!");
+   * // => Lazy.StringLikeSequence
+   *
+   * var fromTypedArray = Lazy(new Uint8Array([1, 2, 3]));
+   * // => Lazy.ArrayLikeSequence
+   *
+   * var fromMap = Lazy(new Map([[{ id: 1 }, "foo"]]));
+   * // => Lazy.ObjectLikeSequence
+   *
+   * var fromSet = Lazy(new Set([1, 2, 3]));
+   * // => sequence: (1, 2, 3)
    */
-  ObjectLikeSequence.prototype.assign = function(other) {
-    return new AssignSequence(this, other);
+  var Lazy = function(source) {
+    if (source instanceof Array) {
+      return new ArrayWrapper(source);
+    } else if (typeof source === "string") {
+      return new StringWrapper(source);
+    } else if (source instanceof Sequence) {
+      return source;
+    } else if (isMap(source)) {
+      return new MapWrapper(source);
+    } else if (isSet(source)) {
+      return new SetWrapper(source);
+    } else if (isArrayLike(source)) {
+      return new ArrayLikeWrapper(source);
+    } else if (isIterable(source)) {
+      return new IterableWrapper(source);
+    }
+    return new ObjectWrapper(source);
+  };
+
+  /**
+   * Creates an {@link ArrayLikeSequence} from an object with a `length` and
+   * elements at indices `0` to `length - 1`, whether or not {@link Lazy} would
+   * recognize it as array-like on its own.
+   *
+   * @param {Object} source The array-like object to wrap.
+   * @return {ArrayLikeSequence} The wrapped object.
+   *
+   * @example
+   * Lazy.fromArrayLike({ length: 2, 0: "foo", 1: "bar" });
+   * // => sequence: ("foo", "bar")
+   *
+   * function args() { return Lazy.fromArrayLike(arguments); }
+   * args(1, 2, 3).map(function(x) { return x * 2; });
+   * // => sequence: (2, 4, 6)
+   */
+  Lazy.fromArrayLike = function(source) {
+    return new ArrayLikeWrapper(source);
+  };
+
+  /**
+   * Creates an {@link ObjectLikeSequence} from the entries of a `Map`. The keys
+   * passed along to {@link Sequence#each} (and to `map`, `filter`, etc.) are the
+   * map's own keys, which can be any value.
+   *
+   * @param {Map} source The map to wrap.
+   * @return {ObjectLikeSequence} The wrapped map.
+   *
+   * @example
+   * var ages = new Map([["Dan", 32], ["Jane", 28]]);
+   *
+   * Lazy.fromMap(ages).get("Jane");
+   * // => 28
+   *
+   * Lazy.fromMap(ages).keys();
+   * // => sequence: ("Dan", "Jane")
+   */
+  Lazy.fromMap = function(source) {
+    return new MapWrapper(source);
+  };
+
+  /**
+   * Creates a {@link Sequence} of the values produced by an object implementing
+   * the ES2015 iterable protocol, such as a generator. This is the sequence
+   * {@link Lazy} creates for iterables it doesn't otherwise recognize; calling
+   * it directly forces an iterable (even an array, `Map` or `Set`) to be read
+   * through its iterator.
+   *
+   * @param {Object} source The iterable to wrap.
+   * @return {Sequence} The wrapped iterable.
+   *
+   * @example
+   * Lazy.fromIterable(new Map([["a", 1]]));
+   * // => sequence: (["a", 1])
+   */
+  Lazy.fromIterable = function(source) {
+    return new IterableWrapper(source);
+  };
+
+  /**
+   * Creates a {@link GeneratedSequence} using the specified generator function
+   * and (optionally) length.
+   *
+   * @param {function(number):*} generatorFn The function used to generate the
+   *     sequence. This function accepts an index as a parameter and should return
+   *     a value for that index in the resulting sequence.
+   * @param {number=} length The length of the sequence, for sequences with a
+   *     definite length.
+   * @return {GeneratedSequence} The generated sequence.
+   *
+   * @example
+   * var randomNumbers = Lazy.generate(Math.random);
+   * // => sequence: (0.4838115070015192, 0.637410914292559, ...)
+   *
+   * randomNumbers.length();
+   * // => undefined
+   *
+   * var countingNumbers = Lazy.generate(function(i) { return i + 1; }, 10);
+   * // => sequence: (1, 2, ..., 10)
+   *
+   * countingNumbers.length();
+   * // => 10
+   */
+  Lazy.generate = function(generatorFn, length) {
+    return new GeneratedSequence(generatorFn, length);
+  };
+
+  /**
+   * Creates an indefinite sequence starting with the given seed, where each
+   * element after that is produced by calling a function on the one before it.
+   *
+   * Unlike a sequence from {@link Lazy.generate} that keeps its own state, this
+   * starts over from the seed every time it's iterated. (So the function should
+   * return a new value rather than modifying the one it's given.)
+   *
+   * @param {*} seed The first element.
+   * @param {function(*):*} nextFn The function to call on each element to get
+   *     the next one.
+   * @return {Sequence} The sequence.
+   *
+   * @example
+   * Lazy.iterate(1, function(x) { return x * 2; }).take(5);
+   * // => sequence: (1, 2, 4, 8, 16)
+   *
+   * Lazy.iterate([0, 1], function(pair) { return [pair[1], pair[0] + pair[1]]; })
+   *   .map(function(pair) { return pair[0]; })
+   *   .take(8);
+   * // => sequence: (0, 1, 1, 2, 3, 5, 8, 13)
+   */
+  Lazy.iterate = function(seed, nextFn) {
+    return new IteratedSequence(seed, nextFn);
+  };
+
+  /**
+   * Creates a sequence from a seed, by calling a function with the seed (and an
+   * index) which returns an array of the next element and a new seed to call it
+   * with next time; or else null, undefined or false to end the sequence.
+   *
+   * Like {@link Lazy.iterate}, this starts over from the seed every time it's
+   * iterated. Its length is always undefined, even if the function does end the
+   * sequence, since there's no knowing when without iterating over it (and the
+   * function may not end it the same way every time). To count its elements,
+   * iterate over it, e.g. with `toArray().length`.
+   *
+   * @param {*} seed The initial seed.
+   * @param {function(*, number):Array} unfoldFn The function which produces
+   *     each element and the next seed.
+   * @return {Sequence} The sequence.
+   *
+   * @example
+   * function collatz(n) {
+   *   return n > 1 && [n, n % 2 === 0 ? n / 2 : 3 * n + 1];
+   * }
+   *
+   * Lazy.unfold(6, collatz);
+   * // => sequence: (6, 3, 10, 5, 16, 8, 4, 2)
+   *
+   * Lazy.unfold(firstPageUrl, function(url) {
+   *   var page = url && fetchPage(url);
+   *   return page && [page.items, page.nextPageUrl];
+   * }).flatten(1);
+   * // => (every item from every page, with pages fetched only as needed)
+   */
+  Lazy.unfold = function(seed, unfoldFn) {
+    return new UnfoldedSequence(seed, unfoldFn);
+  };
+
+  /**
+   * Creates a sequence of the nodes in a tree, given its root and a way to get
+   * the children of each node: a function, or the name of a property, returning
+   * an array, sequence or iterable of them (or nothing, for a leaf).
+   *
+   * By itself, the sequence has every node in depth-first order. For other
+   * orders, and to know each node's depth and the path to it, see
+   * {@link TreeSequence#depthFirst}, {@link TreeSequence#breadthFirst} and
+   * {@link TreeSequence#postOrder}. Every traversal only looks at as much of the
+   * tree as it has to.
+   *
+   * @param {*} root The root of the tree.
+   * @param {Function|string} childrenFn The function (or property name) to get
+   *     the children of a node.
+   * @return {TreeSequence} The sequence of nodes.
+   *
+   * @example
+   * var menu = {
+   *   title: "File",
+   *   items: [
+   *     { title: "New", items: [{ title: "Window" }, { title: "Tab" }] },
+   *     { title: "Open" }
+   *   ]
+   * };
+   *
+   * Lazy.tree(menu, "items").pluck("title");
+   * // => sequence: ("File", "New", "Window", "Tab", "Open")
+   *
+   * Lazy.tree(menu, "items").breadthFirst().find(function(visit) {
+   *   return visit.node.title === "Tab";
+   * }).path().length;
+   * // => 3
+   */
+  Lazy.tree = function(root, childrenFn) {
+    return new TreeSequence(root, createKeyFn(childrenFn));
+  };
+
+  /**
+   * Creates a sequence of the nodes in a directed graph, given some of its nodes
+   * and a way to get the nodes each one has edges to: a function, or the name of
+   * a property, returning an array, sequence or iterable of them (or nothing).
+   *
+   * By itself, the sequence has every node in depth-first order, starting from
+   * each of the given nodes in turn, and including any others reachable from
+   * them; each only once, even if the graph has cycles. See
+   * {@link GraphSequence} for other traversals, topological sorting and finding
+   * paths.
+   *
+   * @param {Array|Sequence} nodes The nodes of the graph (or the ones to start
+   *     from).
+   * @param {Function|string} edgesFn The function (or property name) to get the
+   *     nodes a node has edges to.
+   * @return {GraphSequence} The sequence of nodes.
+   *
+   * @example
+   * var graph = Lazy.graph(["a", "e"], function(node) {
+   *   return { a: ["b", "c"], b: ["a", "d"], e: ["d"] }[node];
+   * });
+   *
+   * graph;
+   * // => sequence: ("a", "b", "d", "c", "e")
+   *
+   * graph.shortestPath("e", "d");
+   * // => ["e", "d"]
+   */
+  Lazy.graph = function(nodes, edgesFn) {
+    return new GraphSequence(nodes, createKeyFn(edgesFn));
+  };
+
+  /**
+   * Creates a sequence from a given starting value, up to a specified stopping
+   * value, incrementing by a given step.
+   *
+   * @return {GeneratedSequence} The sequence defined by the given ranges.
+   *
+   * @example
+   * var integers = Lazy.range(10);
+   * // => sequence: (0, 1, ..., 9)
+   *
+   * var countingNumbers = Lazy.range(1, 11);
+   * // => sequence: (1, 2, ..., 10)
+   *
+   * var evenNumbers = Lazy.range(2, 10, 2);
+   * // => sequence: (2, 4, 6, 8)
+   */
+  Lazy.range = function() {
+    var start = arguments.length > 1 ? arguments[0] : 0,
+        stop  = arguments.length > 1 ? arguments[1] : arguments[0],
+        step  = arguments.length > 2 ? arguments[2] : 1;
+    return this.generate(function(i) { return start + (step * i); })
+      .take(Math.floor((stop - start) / step));
+  };
+
+  /**
+   * Creates a sequence consisting of the given value repeated a specified number
+   * of times.
+   *
+   * @param {*} value The value to repeat.
+   * @param {number=} count The number of times the value should be repeated in
+   *     the sequence. If this argument is omitted, the value will repeat forever.
+   * @return {GeneratedSequence} The sequence containing the repeated value.
+   *
+   * @example
+   * var hihihi = Lazy.repeat("hi", 3);
+   * // => sequence: ("hi", "hi", "hi")
+   *
+   * var foreverYoung = Lazy.repeat("young");
+   * // => sequence: ("young", "young", ...)
+   */
+  Lazy.repeat = function(value, count) {
+    return Lazy.generate(function() { return value; }, count);
+  };
+
+  /**
+   * Creates a function which returns pseudorandom numbers from 0 (inclusive) to
+   * 1 (exclusive), like `Math.random`, but always the same ones for the same
+   * seed. Pass it to {@link Lazy.generate} for a sequence of random numbers.
+   * ({@link Sequence#shuffle} and {@link Sequence#sample} take the seed itself,
+   * and create a new generator from it every time they're iterated.)
+   *
+   * The numbers come from the Mulberry32 generator, which is fast and random
+   * enough for shuffling and sampling, but not for cryptography.
+   *
+   * @param {number|string=} seed An integer or string to seed the generator
+   *     with. If this is omitted, a random seed is used.
+   * @return {function():number} The generator.
+   *
+   * @example
+   * var random = Lazy.random(42);
+   * var same = Lazy.random(42);
+   * random() === same();
+   * // => true
+   *
+   * Lazy.generate(Lazy.random(42)).take(3).toArray().length;
+   * // => 3
+   */
+  Lazy.random = function(seed) {
+    var state;
+
+    if (typeof seed === "string") {
+      state = hashString(seed);
+    } else if (typeof seed === "number") {
+      state = seed | 0;
+    } else {
+      state = Math.floor(Math.random() * 4294967296) | 0;
+    }
+
+    return function() {
+      var t = state = (state + 0x6D2B79F5) | 0;
+      t = imul(t ^ (t >>> 15), t | 1);
+      t ^= t + imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  /**
+   * Creates a sequence of every way to pick one element from each of the given
+   * arrays or sequences (their cartesian product), in lexicographic order. The
+   * tuples are generated as they are needed, and the sequence is array-like: its
+   * length is computed without generating any of them, and any of them can be
+   * accessed directly, so that {@link Sequence#drop} skips ahead for free.
+   *
+   * @param {...Array|Sequence} var_args The arrays or sequences to pick from.
+   * @return {ArrayLikeSequence} The sequence of tuples.
+   *
+   * @example
+   * Lazy.product([1, 2], ["a", "b"]);
+   * // => sequence: ([1, "a"], [1, "b"], [2, "a"], [2, "b"])
+   *
+   * Lazy.product(Lazy.range(1000), Lazy.range(1000), Lazy.range(1000)).length();
+   * // => 1000000000
+   *
+   * Lazy.product(Lazy.range(1000), Lazy.range(1000)).drop(999998).toArray();
+   * // => [[999, 998], [999, 999]]
+   */
+  Lazy.product = function(var_args) {
+    return new ProductSequence(Array.prototype.slice.call(arguments, 0));
+  };
+
+  /**
+   * Functions for creating the aggregators used by
+   * {@link GroupedSequence#aggregate}. Each of them takes an optional key (a
+   * function, or the name of a property) used to get the value to aggregate from
+   * each element; without one, the element itself is used.
+   *
+   * An aggregator is an object with these methods:
+   *
+   * - `init()`: returns the initial state for a group.
+   * - `step(state, element)`: returns the state after adding an element.
+   * - `result(state)` (optional): returns the final result for a group, given
+   *   its state. Without this method the state itself is the result.
+   *
+   * @example
+   * var agg = Lazy.aggregators;
+   *
+   * Lazy(["apple", "avocado", "banana"]).groupBy(function(s) { return s.charAt(0); }).aggregate({
+   *   n: agg.count(),
+   *   longest: agg.max("length"),
+   *   words: agg.collect()
+   * });
+   * // => sequence: (("a", { n: 2, longest: 7, words: ["apple", "avocado"] }), ("b", { n: 1, longest: 6, words: ["banana"] }))
+   */
+  Lazy.aggregators = {
+    /**
+     * Counts the elements in each group.
+     */
+    count: function() {
+      return {
+        init: function() { return 0; },
+        step: function(count) { return count + 1; }
+      };
+    },
+
+    /**
+     * Adds up the values in each group.
+     */
+    sum: function(key) {
+      var keyFn = createKeyFn(key);
+      return {
+        init: function() { return 0; },
+        step: function(sum, e) {
+          var value = Number(keyFn(e));
+          return isNaN(value) ? sum : sum + value;
+        }
+      };
+    },
+
+    /**
+     * Averages the values in each group.
+     */
+    mean: function(key) {
+      return createMomentsAggregator(key, function(state) {
+        return state.mean;
+      });
+    },
+
+    /**
+     * Finds the (population) variance of the values in each group.
+     */
+    variance: function(key) {
+      return createMomentsAggregator(key, function(state) {
+        return state.m2 / state.count;
+      });
+    },
+
+    /**
+     * Finds the (population) standard deviation of the values in each group.
+     */
+    stdDev: function(key) {
+      return createMomentsAggregator(key, function(state) {
+        return Math.sqrt(state.m2 / state.count);
+      });
+    },
+
+    /**
+     * Finds the median of the values in each group. The key can also be given
+     * as part of an options object; see {@link Lazy.aggregators.percentile}.
+     */
+    median: function(key) {
+      return Lazy.aggregators.percentile(50, key);
+    },
+
+    /**
+     * Finds the given percentile (from 0 to 100) of the values in each group,
+     * interpolating between the nearest two values. In place of a key, this
+     * takes an options object:
+     *
+     * - `key`: the key to use, as for any other aggregator.
+     * - `approximate`: if true, estimates the percentile using the P² algorithm
+     *   rather than keeping every value, so that it takes constant space.
+     */
+    percentile: function(p, key) {
+      checkPercentile(p);
+      return createQuantileAggregator([p / 100], key, function(quantiles) {
+        return quantiles[0];
+      });
+    },
+
+    /**
+     * Finds the values dividing each group into the given number of equal parts
+     * (e.g., 4 for quartiles), as an array. Takes the same options as
+     * {@link Lazy.aggregators.percentile}.
+     */
+    quantiles: function(n, key) {
+      var fractions = [],
+          i;
+
+      if (typeof n !== "number" || n < 1 || n % 1 !== 0) {
+        throw "The number of quantiles must be a positive integer.";
+      }
+      for (i = 1; i < n; ++i) {
+        fractions.push(i / n);
+      }
+      return createQuantileAggregator(fractions, key, identity);
+    },
+
+    /**
+     * Finds the most common value in each group. Of values that are equally
+     * common, this is the one that got there first.
+     */
+    mode: function(key) {
+      var keyFn = createKeyFn(key);
+      return {
+        init: function() { return { counts: new Dictionary(), count: 0 }; },
+        step: function(state, e) {
+          var value = keyFn(e),
+              count = (state.counts.get(value) || 0) + 1;
+
+          state.counts.set(value, count);
+          if (count > state.count) {
+            state.count = count;
+            state.mode = value;
+          }
+          return state;
+        },
+        result: function(state) { return state.mode; }
+      };
+    },
+
+    /**
+     * Counts the values in each group falling into each of the given bins.
+     * `bins` can be an array of the boundaries between them (e.g., [0, 10, 20]
+     * for the bins [0, 10) and [10, 20]), in which case values outside of them
+     * aren't counted; or a number of equally wide bins to spread out between the
+     * least and greatest values, which means keeping every value until the end.
+     * (If those are the same, there's just one bin, with nothing between its
+     * start and end.)
+     *
+     * The result is an array of objects with `start`, `end` and `count`
+     * properties.
+     */
+    histogram: function(bins, key) {
+      var keyFn = createKeyFn(key);
+
+      if (bins instanceof Array) {
+        checkBinBoundaries(bins);
+        return {
+          init: function() { return createBins(bins); },
+          step: function(histogram, e) {
+            countInBin(histogram, keyFn(e));
+            return histogram;
+          }
+        };
+      }
+
+      if (typeof bins !== "number" || bins < 1 || bins % 1 !== 0) {
+        throw "The number of bins must be a positive integer, or else an array of boundaries.";
+      }
+
+      return {
+        init: function() { return []; },
+        step: function(values, e) {
+          values.push(keyFn(e));
+          return values;
+        },
+        result: function(values) {
+          var least = Infinity,
+              greatest = -Infinity,
+              boundaries = [],
+              histogram,
+              i;
+
+          if (values.length === 0) {
+            return [];
+          }
+
+          for (i = 0; i < values.length; ++i) {
+            least = Math.min(least, values[i]);
+            greatest = Math.max(greatest, values[i]);
+          }
+          if (least === greatest) {
+            return [{ start: least, end: greatest, count: values.length }];
+          }
+          for (i = 0; i < bins; ++i) {
+            boundaries.push(least + (greatest - least) * i / bins);
+          }
+          boundaries.push(greatest);
+
+          histogram = createBins(boundaries);
+          for (i = 0; i < values.length; ++i) {
+            countInBin(histogram, values[i]);
+          }
+          return histogram;
+        }
+      };
+    },
+
+    /**
+     * Finds the least value in each group (see {@link Sequence#min}).
+     */
+    min: function(key) {
+      return createExtentAggregator(key, function(state) {
+        return state.leastValue;
+      });
+    },
+
+    /**
+     * Finds the greatest value in each group (see {@link Sequence#max}).
+     */
+    max: function(key) {
+      return createExtentAggregator(key, function(state) {
+        return state.greatestValue;
+      });
+    },
+
+    /**
+     * Takes the first value in each group.
+     */
+    first: function(key) {
+      var keyFn = createKeyFn(key);
+      return {
+        init: function() { return { found: false }; },
+        step: function(state, e) {
+          if (!state.found) {
+            state.found = true;
+            state.value = keyFn(e);
+          }
+          return state;
+        },
+        result: function(state) { return state.value; }
+      };
+    },
+
+    /**
+     * Takes the last value in each group.
+     */
+    last: function(key) {
+      var keyFn = createKeyFn(key);
+      return {
+        step: function(last, e) { return keyFn(e); }
+      };
+    },
+
+    /**
+     * Collects the values in each group into an array.
+     */
+    collect: function(key) {
+      var keyFn = createKeyFn(key);
+      return {
+        init: function() { return []; },
+        step: function(values, e) {
+          values.push(keyFn(e));
+          return values;
+        }
+      };
+    }
   };
 
+  Lazy.Sequence = Sequence;
+  Lazy.ArrayLikeSequence = ArrayLikeSequence;
+  Lazy.ObjectLikeSequence = ObjectLikeSequence;
+  Lazy.StringLikeSequence = StringLikeSequence;
+  Lazy.StreamLikeSequence = StreamLikeSequence;
+  Lazy.GeneratedSequence = GeneratedSequence;
+  Lazy.AsyncSequence = AsyncSequence;
+  Lazy.AsyncHandle = AsyncHandle;
+
   /**
-   * Alias for {@link ObjectLikeSequence#assign}.
-   *
-   * @function extend
-   * @memberOf ObjectLikeSequence
-   * @instance
+   * For internal use only (by the Node.js build, in lazy.node.js).
    */
-  ObjectLikeSequence.prototype.extend = ObjectLikeSequence.prototype.assign;
+  Lazy.isAsynchronous = isAsynchronous;
+
+  /*** Useful utility methods ***/
 
   /**
-   * Returns an `ObjectLikeSequence` whose elements are the combination of this
-   * sequence and a 'default' object. In the case of a key appearing in both this
-   * sequence and the given object, this sequence's value will override the
-   * default object's.
+   * Creates a Set containing the specified values.
    *
-   * @param {Object} defaults The 'default' object to use for missing keys in this
-   *     sequence.
-   * @return {ObjectLikeSequence} A new sequence comprising elements from this
-   *     sequence supplemented by the contents of `defaults`.
+   * @param {...Array} values One or more array(s) of values used to populate the
+   *     set.
+   * @return {Set} A new set containing the values passed in.
+   */
+  function createSet(values) {
+    var set = new Set();
+    Lazy(values || []).flatten().each(function(e) {
+      set.add(e);
+    });
+    return set;
+  };
+
+  /**
+   * Multiplies two 32-bit integers, as `Math.imul` does where it's available.
    *
-   * @example
-   * Lazy({ name: "Dan" }).defaults({ name: "User", password: "passw0rd" });
-   * // => sequence: (("name", "Dan"), ("password", "passw0rd"))
+   * @param {number} a
+   * @param {number} b
+   * @return {number}
    */
-  ObjectLikeSequence.prototype.defaults = function(defaults) {
-    return new DefaultsSequence(this, defaults);
+  var imul = Math.imul || function(a, b) {
+    var aHigh = (a >>> 16) & 0xffff,
+        aLow  = a & 0xffff,
+        bHigh = (b >>> 16) & 0xffff,
+        bLow  = b & 0xffff;
+
+    return ((aLow * bLow) + (((aHigh * bLow + aLow * bHigh) << 16) >>> 0)) | 0;
   };
 
   /**
-   * Returns an `ObjectLikeSequence` whose values are this sequence's keys, and
-   * whose keys are this sequence's values.
+   * Gets the function to use for random numbers in one iteration of a shuffled
+   * or sampled sequence.
    *
-   * @return {ObjectLikeSequence} A new sequence comprising the inverted keys and
-   *     values from this sequence.
+   * @param {Function|number|string=} random A function returning random numbers
+   *     (which is used as it is), or a seed to create a new generator with
+   *     {@link Lazy.random}. If this is omitted, `Math.random` is used.
+   * @return {function():number}
+   */
+  function createRandomFn(random) {
+    if (typeof random === "number" || typeof random === "string") {
+      return Lazy.random(random);
+    }
+    return random || Math.random;
+  }
+
+  /**
+   * Hashes a string into a 32-bit integer (using FNV-1a).
    *
-   * @example
-   * Lazy({ first: "Dan", last: "Tao" }).invert();
-   * // => sequence: (("Dan", "first"), ("Tao", "last"))
+   * @param {string} string
+   * @return {number}
    */
-  ObjectLikeSequence.prototype.invert = function() {
-    return new InvertedSequence(this);
-  };
+  function hashString(string) {
+    var hash = 0x811C9DC5,
+        i = -1;
+
+    while (++i < string.length) {
+      hash = imul(hash ^ string.charCodeAt(i), 0x01000193);
+    }
+    return hash | 0;
+  }
 
   /**
-   * Creates a {@link Sequence} consisting of the keys from this sequence whose
-   *     values are functions.
+   * Compares two elements for sorting purposes.
    *
-   * @return {Sequence} The new sequence.
+   * @param {*} x The left element to compare.
+   * @param {*} y The right element to compare.
+   * @param {Function=} fn An optional function to call on each element, to get
+   *     the values to compare.
+   * @return {number} 1 if x > y, -1 if x < y, or 0 if x and y are equal.
+   */
+  function compare(x, y, fn) {
+    if (typeof fn === "function") {
+      return compare(fn(x), fn(y));
+    }
+
+    if (x === y) {
+      return 0;
+    }
+
+    return x > y ? 1 : -1;
+  }
+
+  /**
+   * Iterates over every element in an array.
    *
-   * @example
-   * var dog = {
-   *   name: "Fido",
-   *   breed: "Golden Retriever",
-   *   bark: function() { console.log("Woof!"); },
-   *   wagTail: function() { console.log("TODO: implement robotic dog interface"); }
-   * };
+   * @param {Array} array The array.
+   * @param {Function} fn The function to call on every element, which can return
+   *     false to stop the iteration early.
+   * @return {boolean} True if every element in the entire sequence was iterated,
+   *     otherwise false.
+   */
+  function forEach(array, fn) {
+    var i = -1,
+        len = array.length;
+
+    while (++i < len) {
+      if (fn(array[i]) === false) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Runs the given aggregator (see {@link Lazy.aggregators}) over every element
+   * of a sequence.
    *
-   * Lazy(dog).functions();
-   * // => sequence: ("bark", "wagTail")
+   * @param {Sequence} sequence
+   * @param {Object} aggregator
+   * @param {Function=} callback An optional node-style callback, which will be
+   *     passed the result.
+   * @return {*} The result of the aggregator.
    */
-  ObjectLikeSequence.prototype.functions = function() {
-    return this
-      .filter(function(v, k) { return typeof(v) === "function"; })
-      .map(function(v, k) { return k; });
-  };
+  function aggregateSequence(sequence, aggregator, callback) {
+    var state = typeof aggregator.init === "function" ? aggregator.init() : undefined;
+
+    var iteration = sequence.each(function(e) {
+      state = aggregator.step(state, e);
+    });
+
+    return finishIteration(iteration, function() {
+      return typeof aggregator.result === "function" ? aggregator.result(state) : state;
+    }, callback);
+  }
 
   /**
-   * Alias for {@link ObjectLikeSequence#functions}.
+   * Creates an aggregator which keeps the least and greatest elements of a
+   * sequence along with their values, skipping those whose values are undefined,
+   * null or NaN.
    *
-   * @function methods
-   * @memberOf ObjectLikeSequence
-   * @instance
+   * @param {Function|string} key
+   * @param {function(Object):*} getResult Gets the result from the state.
+   * @return {Object}
    */
-  ObjectLikeSequence.prototype.methods = ObjectLikeSequence.prototype.functions;
+  function createExtentAggregator(key, getResult) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return { found: false }; },
+      step: function(state, e) {
+        var value = keyFn(e);
+
+        if (value === null || typeof value === "undefined" || value !== value) {
+          return state;
+        }
+
+        if (!state.found) {
+          state.found = true;
+          state.least = state.greatest = e;
+          state.leastValue = state.greatestValue = value;
+        } else if (compareValues(value, state.leastValue) < 0) {
+          state.least = e;
+          state.leastValue = value;
+        } else if (compareValues(value, state.greatestValue) > 0) {
+          state.greatest = e;
+          state.greatestValue = value;
+        }
+        return state;
+      },
+      result: getResult
+    };
+  }
+
+  function getLeast(state) {
+    return state.least;
+  }
+
+  function getGreatest(state) {
+    return state.greatest;
+  }
 
   /**
-   * Creates an `ObjectLikeSequence` consisting of the key/value pairs from this
-   * sequence whose keys are included in the given array of property names.
+   * Compares two values for {@link Sequence#min} and {@link Sequence#max}:
+   * numbers come first, then strings, then anything else; and values of the same
+   * kind are compared with < and >.
    *
-   * @param {Array} properties An array of the properties to "pick" from this
-   *     sequence.
-   * @return {ObjectLikeSequence} The new sequence.
+   * @param {*} x
+   * @param {*} y
+   * @return {number} A negative number if x < y, a positive one if x > y, or 0.
+   */
+  function compareValues(x, y) {
+    var xRank = getTypeRank(x),
+        yRank = getTypeRank(y);
+
+    if (xRank !== yRank) {
+      return xRank - yRank;
+    }
+    return x < y ? -1 : (x > y ? 1 : 0);
+  }
+
+  function getTypeRank(value) {
+    switch (typeof value) {
+      case "number":
+        return 0;
+      case "string":
+        return 1;
+      default:
+        return 2;
+    }
+  }
+
+  /**
+   * Creates an aggregator which keeps the count, mean and sum of squared
+   * differences from the mean of a set of values, using Welford's algorithm so
+   * that these are computed in a single pass without losing precision.
+   *
+   * @param {Function|string} key
+   * @param {function(Object):number} getResult Gets the result from the state;
+   *     only called if there were any values (otherwise the result is NaN).
+   * @return {Object}
+   */
+  function createMomentsAggregator(key, getResult) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return { count: 0, mean: 0, m2: 0 }; },
+      step: function(state, e) {
+        var value = keyFn(e),
+            delta = value - state.mean;
+
+        state.count += 1;
+        state.mean += delta / state.count;
+        state.m2 += delta * (value - state.mean);
+        return state;
+      },
+      result: function(state) { return state.count > 0 ? getResult(state) : NaN; }
+    };
+  }
+
+  /**
+   * Creates an aggregator which finds the quantiles at the given fractions (from
+   * 0 to 1) of a set of values, either exactly or, with the `approximate`
+   * option, by estimating them.
+   *
+   * @param {Array.<number>} fractions
+   * @param {Function|string|Object} key A key, or an object with `key` and
+   *     `approximate` properties.
+   * @param {function(Array):*} getResult Gets the result from the quantiles.
+   * @return {Object}
+   */
+  function createQuantileAggregator(fractions, key, getResult) {
+    var options = key !== null && typeof key === "object" ? key : { key: key },
+        keyFn = createKeyFn(options.key);
+
+    if (options.approximate) {
+      return {
+        init: function() {
+          var estimators = [],
+              i = -1;
+          while (++i < fractions.length) {
+            estimators.push(new QuantileEstimator(fractions[i]));
+          }
+          return estimators;
+        },
+        step: function(estimators, e) {
+          var value = keyFn(e),
+              i = -1;
+          while (++i < estimators.length) {
+            estimators[i].add(value);
+          }
+          return estimators;
+        },
+        result: function(estimators) {
+          var quantiles = [],
+              i = -1;
+          while (++i < estimators.length) {
+            quantiles.push(estimators[i].get());
+          }
+          return getResult(quantiles);
+        }
+      };
+    }
+
+    return {
+      init: function() { return []; },
+      step: function(values, e) {
+        values.push(keyFn(e));
+        return values;
+      },
+      result: function(values) {
+        var quantiles = [],
+            i = -1;
+
+        values.sort(compareNumbers);
+        while (++i < fractions.length) {
+          quantiles.push(getQuantile(values, fractions[i]));
+        }
+        return getResult(quantiles);
+      }
+    };
+  }
+
+  function checkPercentile(p) {
+    if (typeof p !== "number" || !(p >= 0 && p <= 100)) {
+      throw "A percentile must be a number from 0 to 100.";
+    }
+  }
+
+  function compareNumbers(x, y) {
+    return x - y;
+  }
+
+  /**
+   * Gets the quantile at the given fraction (from 0 to 1) of a sorted array of
+   * numbers, interpolating linearly between the closest two.
    *
-   * @example
-   * var players = {
-   *   "who": "first",
-   *   "what": "second",
-   *   "i don't know", "third"
-   * };
+   * @param {Array.<number>} values
+   * @param {number} fraction
+   * @return {number|undefined} The quantile, or undefined if there are no
+   *     values.
+   */
+  function getQuantile(values, fraction) {
+    var position = (values.length - 1) * fraction,
+        i = Math.floor(position);
+
+    if (values.length === 0) {
+      return undefined;
+    }
+    if (i + 1 >= values.length) {
+      return values[i];
+    }
+    return values[i] + (position - i) * (values[i + 1] - values[i]);
+  }
+
+  /**
+   * Estimates a quantile of a stream of numbers in constant space, using the P²
+   * algorithm (Jain & Chlamtac, 1985). This keeps five markers: the least and
+   * greatest values, the estimated quantile, and estimates halfway between it
+   * and each extreme. As values come in, the markers' heights are adjusted
+   * along a parabola fitted through their neighbors.
    *
-   * Lazy(players).pick(["who", "what"]);
-   * // => sequence: (("who", "first"), ("what", "second"))
+   * @param {number} fraction The quantile to estimate, from 0 to 1.
+   * @constructor
    */
-  ObjectLikeSequence.prototype.pick = function(properties) {
-    return new PickSequence(this, properties);
+  function QuantileEstimator(fraction) {
+    this.fraction  = fraction;
+    this.heights   = [];
+    this.positions = [1, 2, 3, 4, 5];
+    this.desired   = [1, 1 + 2 * fraction, 1 + 4 * fraction, 3 + 2 * fraction, 5];
+    this.increments = [0, fraction / 2, fraction, (1 + fraction) / 2, 1];
+  }
+
+  QuantileEstimator.prototype.add = function(value) {
+    var heights   = this.heights,
+        positions = this.positions,
+        desired   = this.desired,
+        k, i, d, height;
+
+    // Until there are enough values for the markers, just keep them in order.
+    if (heights.length < 5) {
+      heights.push(value);
+      heights.sort(compareNumbers);
+      return;
+    }
+
+    if (value < heights[0]) {
+      heights[0] = value;
+      k = 0;
+    } else if (value >= heights[4]) {
+      heights[4] = value;
+      k = 3;
+    } else {
+      for (k = 0; value >= heights[k + 1]; ++k) {}
+    }
+
+    for (i = k + 1; i < 5; ++i) {
+      ++positions[i];
+    }
+    for (i = 0; i < 5; ++i) {
+      desired[i] += this.increments[i];
+    }
+
+    for (i = 1; i < 4; ++i) {
+      d = desired[i] - positions[i];
+      if ((d >= 1 && positions[i + 1] - positions[i] > 1) ||
+          (d <= -1 && positions[i - 1] - positions[i] < -1)) {
+        d = d > 0 ? 1 : -1;
+
+        height = this.parabolic(i, d);
+        if (!(heights[i - 1] < height && height < heights[i + 1])) {
+          height = heights[i] + d * (heights[i + d] - heights[i]) / (positions[i + d] - positions[i]);
+        }
+
+        heights[i] = height;
+        positions[i] += d;
+      }
+    }
+  };
+
+  QuantileEstimator.prototype.parabolic = function(i, d) {
+    var q = this.heights,
+        n = this.positions;
+
+    return q[i] + d / (n[i + 1] - n[i - 1]) * (
+      (n[i] - n[i - 1] + d) * (q[i + 1] - q[i]) / (n[i + 1] - n[i]) +
+      (n[i + 1] - n[i] - d) * (q[i] - q[i - 1]) / (n[i] - n[i - 1])
+    );
   };
 
+  QuantileEstimator.prototype.get = function() {
+    if (this.heights.length < 5) {
+      return getQuantile(this.heights, this.fraction);
+    }
+    return this.heights[2];
+  };
+
+  function checkBinBoundaries(boundaries) {
+    var i;
+
+    if (boundaries.length < 2) {
+      throw "A histogram needs at least two bin boundaries.";
+    }
+    for (i = 1; i < boundaries.length; ++i) {
+      if (!(boundaries[i] > boundaries[i - 1])) {
+        throw "The boundaries of a histogram's bins must be in ascending order.";
+      }
+    }
+  }
+
+  function createBins(boundaries) {
+    var bins = [],
+        i;
+
+    for (i = 1; i < boundaries.length; ++i) {
+      bins.push({ start: boundaries[i - 1], end: boundaries[i], count: 0 });
+    }
+    return bins;
+  }
+
+  /**
+   * Counts a value in the bin it falls into (each bin includes its start, and
+   * the last one its end as well), if any.
+   *
+   * @param {Array.<Object>} bins
+   * @param {number} value
+   */
+  function countInBin(bins, value) {
+    var last = bins.length - 1,
+        low = 0,
+        high = last,
+        middle;
+
+    if (!(value >= bins[0].start && value <= bins[last].end)) {
+      return;
+    }
+
+    while (low < high) {
+      middle = (low + high + 1) >> 1;
+      if (value >= bins[middle].start) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    ++bins[low].count;
+  }
+
+  function getFirst(sequence, callback) {
+    var result;
+    var iteration = sequence.each(function(e) {
+      result = e;
+      return false;
+    });
+    return finishIteration(iteration, function() { return result; }, callback);
+  }
+
+  function isIterable(source) {
+    return typeof Symbol === "function" && source !== null && typeof source === "object" &&
+      typeof source[Symbol.iterator] === "function";
+  }
+
+  /**
+   * Counts the ways to choose k of n items, optionally allowing the same item to
+   * be chosen more than once.
+   *
+   * @param {number} n
+   * @param {number} k
+   * @param {boolean=} withReplacement
+   * @return {number}
+   */
+  function countCombinations(n, k, withReplacement) {
+    var count = 1,
+        i;
+
+    if (withReplacement) {
+      return k === 0 ? 1 : countCombinations(n + k - 1, k, false);
+    }
+    if (k < 0 || k > n) {
+      return 0;
+    }
+
+    k = Math.min(k, n - k);
+    for (i = 1; i <= k; ++i) {
+      count = count * (n - k + i) / i;
+    }
+    return Math.round(count);
+  }
+
   /**
-   * Creates an `ObjectLikeSequence` consisting of the key/value pairs from this
-   * sequence excluding those with the specified keys.
-   *
-   * @param {Array} properties An array of the properties to *omit* from this
-   *     sequence.
-   * @return {ObjectLikeSequence} The new sequence.
-   *
-   * @example
-   * var players = {
-   *   "who": "first",
-   *   "what": "second",
-   *   "i don't know", "third"
-   * };
+   * Counts the ways to arrange k of n items.
    *
-   * Lazy(players).omit(["who", "what"]);
-   * // => sequence: (("i don't know", "third"))
+   * @param {number} n
+   * @param {number} k
+   * @return {number}
    */
-  ObjectLikeSequence.prototype.omit = function(properties) {
-    return new OmitSequence(this, properties);
-  };
+  function countPermutations(n, k) {
+    var count = 1,
+        i;
+
+    if (k < 0 || k > n) {
+      return 0;
+    }
+
+    for (i = 0; i < k; ++i) {
+      count *= n - i;
+    }
+    return count;
+  }
 
   /**
-   * Creates an array from the key/value pairs in this sequence.
-   *
-   * @return {Array} An array of `[key, value]` elements.
-   *
-   * @example
-   * Lazy({ red: "#f00", green: "#0f0", blue: "#00f" }).toArray();
-   * // => [["red", "#f00"], ["green", "#0f0"], ["blue", "#00f"]]
+   * Whether iterating over the given sequence happens asynchronously, i.e.,
+   * whether it is (or is based on) an asynchronous or stream-like sequence.
    */
-  ObjectLikeSequence.prototype.toArray = function() {
-    return this.map(function(v, k) { return [k, v]; }).toArray();
-  };
+  function isAsynchronous(sequence) {
+    while (sequence instanceof Sequence) {
+      if (sequence instanceof AsyncSequence || sequence instanceof StreamLikeSequence) {
+        return true;
+      }
+      sequence = sequence.parent || sequence.source;
+    }
+    return false;
+  }
+
+  function isMap(source) {
+    return typeof context.Map === "function" && source instanceof context.Map;
+  }
+
+  function isSet(source) {
+    return typeof context.Set === "function" && source instanceof context.Set;
+  }
 
   /**
-   * Alias for {@link ObjectLikeSequence#toArray}.
-   *
-   * @function pairs
-   * @memberOf ObjectLikeSequence
-   * @instance
+   * Whether an object looks like an array: it has an integer `length`, and
+   * elements at (at least) the first and last indices. An ordinary object which
+   * just happens to have a `length` property, like `{ length: 2, name: "x" }`,
+   * isn't array-like. (Neither is an empty one, like `{ length: 0 }`, unless
+   * it's a special kind of object such as `arguments` or a typed array.)
    */
-  ObjectLikeSequence.prototype.pairs = ObjectLikeSequence.prototype.toArray;
+  function isArrayLike(source) {
+    var length;
+
+    if (source === null || typeof source !== "object") {
+      return false;
+    }
+
+    length = source.length;
+    if (typeof length !== "number" || length < 0 || length % 1 !== 0) {
+      return false;
+    }
+
+    if (length === 0) {
+      return Object.prototype.toString.call(source) !== "[object Object]";
+    }
+
+    return (0 in source) && ((length - 1) in source);
+  }
 
   /**
-   * Creates an object with the key/value pairs from this sequence.
+   * Gets a function for getting the key of an element.
    *
-   * @return {Object} An object with the same key/value pairs as this sequence.
-   *
-   * @example
-   * Lazy({ red: "#f00", green: "#0f0", blue: "#00f" }).toObject();
-   * // => { red: "#f00", green: "#0f0", blue: "#00f" }
+   * @param {Function|string=} key A function, which is returned as it is, or the
+   *     name of a property. If omitted, each element is its own key.
+   * @return {Function} The key function.
    */
-  ObjectLikeSequence.prototype.toObject = function() {
-    return this.map(function(v, k) { return [k, v]; }).toObject();
-  };
+  function createKeyFn(key) {
+    if (typeof key === "function") {
+      return key;
+    } else if (typeof key === "string") {
+      return function(e) { return e[key]; };
+    } else if (key === null || typeof key === "undefined") {
+      return identity;
+    }
+    throw "A key must be a function or a property name.";
+  }
+
+  function identity(x) {
+    return x;
+  }
+
+  function contains(array, element) {
+    var i = -1,
+        length = array.length;
+
+    while (++i < length) {
+      if (array[i] === element) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function swap(array, i, j) {
+    var temp = array[i];
+    array[i] = array[j];
+    array[j] = temp;
+  }
+
+  function indent(depth) {
+    return new Array(depth).join("  ");
+  }
 
   /**
+   * A collection of unique elements.
+   *
+   * By default, two values are the same if they're `===`, except that NaN is the
+   * same as itself and Dates are the same if they have the same time. Primitives
+   * and Dates are looked up by a string hash, and other objects by identity (see
+   * {@link IdentityMap}), so adding or checking for a value takes constant time.
+   *
+   * To treat other values as equal (e.g., objects with the same structure), pass
+   * a `hash` function, an `equals` function or both. Values whose hashes aren't
+   * the same are never equal; values whose hashes are the same are equal unless
+   * `equals` says otherwise. Without a `hash`, every value is checked against
+   * every other one with `equals`, which is slow for large collections.
+   *
+   * @param {Object|Function=} options How to compare values, if not as described
+   *     above. A function is taken to be the `equals` option.
+   * @param {function(*):*=} options.hash A function to get a key for each value,
+   *     which is compared as described above.
+   * @param {function(*, *):boolean=} options.equals A function to check whether
+   *     two values with the same key are equal.
+   * @param {boolean=} options.deep Compare arrays and plain objects by their
+   *     contents (see {@link isDeepEqual}) instead of by identity.
    * @constructor
    */
-  function AssignSequence(parent, other) {
-    this.parent = parent;
-    this.other  = other;
+  function Set(options) {
+    this.table   = {};
+    this.objects = null;
+    initializeEquality(this, options);
   }
 
-  AssignSequence.prototype = new ObjectLikeSequence();
-
-  AssignSequence.prototype.each = function(fn) {
-    var merged = new Set(),
-        done   = false;
+  /**
+   * Attempts to add a unique value to the set.
+   *
+   * @param {*} value The value to add.
+   * @return {boolean} True if the value was added to the set (meaning an equal
+   *     value was not already present), or else false.
+   */
+  Set.prototype.add = function(value) {
+    var key = this.hashFn ? this.hashFn(value) : value,
+        bucket;
 
-    Lazy(this.other).each(function(value, key) {
-      if (fn(value, key) === false) {
-        done = true;
+    if (!this.equalsFn) {
+      if (this.getSlot(key)) {
         return false;
       }
+      this.setSlot(key, true);
+      return true;
+    }
 
-      merged.add(key);
-    });
-
-    if (!done) {
-      this.parent.each(function(value, key) {
-        if (!merged.contains(key) && fn(value, key) === false) {
-          return false;
-        }
-      });
+    bucket = this.getSlot(key);
+    if (!bucket) {
+      this.setSlot(key, [value]);
+      return true;
+    }
+    if (containsEqual(bucket, value, this.equalsFn)) {
+      return false;
     }
+    bucket.push(value);
+    return true;
   };
 
   /**
-   * @constructor
+   * Checks whether the set contains a value.
+   *
+   * @param {*} value The value to check for.
+   * @return {boolean} True if the set contains the value, or else false.
    */
-  function DefaultsSequence(parent, defaults) {
-    this.parent   = parent;
-    this.defaults = defaults;
-  }
+  Set.prototype.contains = function(value) {
+    var bucket = this.getSlot(this.hashFn ? this.hashFn(value) : value);
 
-  DefaultsSequence.prototype = new ObjectLikeSequence();
+    if (!bucket || !this.equalsFn) {
+      return !!bucket;
+    }
+    return containsEqual(bucket, value, this.equalsFn);
+  };
 
-  DefaultsSequence.prototype.each = function(fn) {
-    var merged = new Set(),
-        done   = false;
+  Set.prototype.getSlot = function(key) {
+    var hash = getPrimitiveHash(key);
 
-    this.parent.each(function(value, key) {
-      if (fn(value, key) === false) {
-        done = true;
-        return false;
-      }
+    if (hash !== null) {
+      return this.table.hasOwnProperty(hash) ? this.table[hash] : undefined;
+    }
+    return this.objects ? this.objects.get(key) : undefined;
+  };
 
-      if (typeof value !== "undefined") {
-        merged.add(key);
-      }
-    });
+  Set.prototype.setSlot = function(key, slot) {
+    var hash = getPrimitiveHash(key);
 
-    if (!done) {
-      Lazy(this.defaults).each(function(value, key) {
-        if (!merged.contains(key) && fn(value, key) === false) {
-          return false;
-        }
-      });
+    if (hash !== null) {
+      this.table[hash] = slot;
+    } else {
+      if (!this.objects) {
+        this.objects = new IdentityMap();
+      }
+      this.objects.set(key, slot);
     }
   };
 
   /**
-   * @constructor
+   * Sets the `hashFn` and `equalsFn` of a {@link Set} or {@link Dictionary} from
+   * the options passed to its constructor.
    */
-  function InvertedSequence(parent) {
-    this.parent = parent;
+  function initializeEquality(collection, options) {
+    if (typeof options === "function") {
+      options = { equals: options };
+    }
+
+    collection.hashFn   = options && options.hash || null;
+    collection.equalsFn = options && options.equals || null;
+
+    if (options && options.deep) {
+      collection.hashFn   = getStructuralHash;
+      collection.equalsFn = isDeepEqual;
+    } else if (collection.equalsFn && !collection.hashFn) {
+      collection.hashFn = function() { return 0; };
+    }
   }
 
-  InvertedSequence.prototype = new ObjectLikeSequence();
+  function containsEqual(array, value, equalsFn) {
+    var i = -1;
 
-  InvertedSequence.prototype.each = function(fn) {
-    this.parent.each(function(value, key) {
-      return fn(key, value);
-    });
-  };
+    while (++i < array.length) {
+      if (equalsFn(array[i], value)) {
+        return true;
+      }
+    }
+    return false;
+  }
 
   /**
+   * Maps objects and functions to values by identity.
+   *
+   * This uses a native `Map` where there is one. Otherwise each object is given a
+   * unique id, which is kept in a native `WeakMap` if there is one or else in a
+   * hidden property of the object itself, and the values are stored by id. Only
+   * objects that can't be given an id (where neither is possible, or the object
+   * is frozen) are found by a linear search.
+   *
    * @constructor
    */
-  function PickSequence(parent, properties) {
-    this.parent     = parent;
-    this.properties = properties;
+  function IdentityMap() {
+    if (typeof context.Map === "function") {
+      this.map = new context.Map();
+    } else {
+      this.map    = null;
+      this.table  = {};
+      this.keys   = [];
+      this.values = [];
+    }
   }
 
-  PickSequence.prototype = new ObjectLikeSequence();
+  /**
+   * @param {Object|Function} key
+   * @return {*} The value for the key, or `undefined` if there isn't one.
+   */
+  IdentityMap.prototype.get = function(key) {
+    var id, i;
 
-  PickSequence.prototype.each = function(fn) {
-    var inArray    = contains,
-        properties = this.properties;
+    if (this.map) {
+      return this.map.get(key);
+    }
 
-    this.parent.each(function(value, key) {
-      if (inArray(properties, key)) {
-        return fn(value, key);
+    id = getObjectId(key, false);
+    if (id !== null) {
+      return this.table.hasOwnProperty(id) ? this.table[id] : undefined;
+    }
+
+    i = this.keys.length;
+    while (--i >= 0) {
+      if (this.keys[i] === key) {
+        return this.values[i];
       }
-    });
+    }
+    return undefined;
   };
 
   /**
-   * @constructor
+   * @param {Object|Function} key
+   * @param {*} value
    */
-  function OmitSequence(parent, properties) {
-    this.parent     = parent;
-    this.properties = properties;
-  }
+  IdentityMap.prototype.set = function(key, value) {
+    var id, i;
 
-  OmitSequence.prototype = new ObjectLikeSequence();
+    if (this.map) {
+      this.map.set(key, value);
+      return;
+    }
 
-  OmitSequence.prototype.each = function(fn) {
-    var inArray    = contains,
-        properties = this.properties;
+    id = getObjectId(key, true);
+    if (id !== null) {
+      this.table[id] = value;
+      return;
+    }
 
-    this.parent.each(function(value, key) {
-      if (!inArray(properties, key)) {
-        return fn(value, key);
+    i = this.keys.length;
+    while (--i >= 0) {
+      if (this.keys[i] === key) {
+        this.values[i] = value;
+        return;
       }
-    });
+    }
+    this.keys.push(key);
+    this.values.push(value);
   };
 
+  var objectIds = null,
+      nextObjectId = 0;
+
   /**
-   * @constructor
+   * Gets the unique id of an object or function, for {@link IdentityMap}.
+   *
+   * @param {Object|Function} object
+   * @param {boolean} create Whether to give the object an id if it doesn't have
+   *     one yet.
+   * @return {?string} The id, or null if the object doesn't have one (and can't
+   *     be given one, or `create` is false).
    */
-  function ObjectWrapper(source) {
-    this.source = source;
-  }
+  function getObjectId(object, create) {
+    var id;
 
-  ObjectWrapper.prototype = new ObjectLikeSequence();
+    if (!objectIds && typeof context.WeakMap === "function") {
+      objectIds = new context.WeakMap();
+    }
 
-  ObjectWrapper.prototype.get = function(key) {
-    return this.source[key];
-  };
+    if (objectIds) {
+      id = objectIds.get(object);
+      if (!id && create) {
+        objectIds.set(object, id = "o" + (++nextObjectId));
+      }
+      return id || null;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(object, "__lazyObjectId__")) {
+      return object.__lazyObjectId__;
+    }
+
+    if (!create || typeof Object.defineProperty !== "function" ||
+        (typeof Object.isExtensible === "function" && !Object.isExtensible(object))) {
+      return null;
+    }
+
+    id = "o" + (++nextObjectId);
+    try {
+      Object.defineProperty(object, "__lazyObjectId__", { value: id });
+    } catch (e) {
+      // Some old engines only support defineProperty on DOM objects.
+      return null;
+    }
+    return id;
+  }
+
+  /**
+   * Checks whether the first `length` elements of an array include a value, in
+   * the sense of {@link Set}.
+   *
+   * @param {Array} array
+   * @param {*} value
+   * @param {number} length
+   * @return {boolean}
+   */
+  function containsValue(array, value, length) {
+    var i = -1,
+        hash;
 
-  ObjectWrapper.prototype.each = function(fn) {
-    var source = this.source,
-        key;
+    if (value === value && !(value instanceof Date)) {
+      while (++i < length) {
+        if (array[i] === value) {
+          return true;
+        }
+      }
+      return false;
+    }
 
-    for (key in source) {
-      if (fn(source[key], key) === false) {
-        return;
+    hash = getPrimitiveHash(value);
+    while (++i < length) {
+      if (getPrimitiveHash(array[i]) === hash) {
+        return true;
       }
     }
-  };
+    return false;
+  }
 
   /**
-   * A `StringLikeSequence` represents a sequence of characters.
-   *
-   * TODO: The idea for this prototype is to be able to do things like represent
-   * "substrings" without actually allocating new strings. Right now that
-   * isn't implemented at all, though (every method assumes an actual string as
-   * `source`).
+   * A collection of key/value pairs, where (unlike the properties of an object)
+   * the keys can be any values. Keys are compared the same way as the values in a
+   * {@link Set}, and take the same options for comparing them otherwise.
    *
+   * @param {Object|Function=} options How to compare keys (see {@link Set}).
    * @constructor
    */
-  function StringLikeSequence() {}
-
-  StringLikeSequence.prototype = new ArrayLikeSequence();
+  function Dictionary(options) {
+    this.table   = {};
+    this.objects = null;
+    this.entries = [];
+    initializeEquality(this, options);
+  }
 
   /**
-   * Returns an {@link Iterator} that will step over each character in this
-   * sequence one by one.
+   * Gets the value for a key.
    *
-   * @return {Iterator} The iterator.
+   * @param {*} key The key.
+   * @return {*} The value, or `undefined` if the key isn't in the dictionary.
    */
-  StringLikeSequence.prototype.getIterator = function() {
-    return new CharIterator(this.source);
+  Dictionary.prototype.get = function(key) {
+    var index = this.indexOf(key);
+    return index === -1 ? undefined : this.entries[index][1];
   };
 
   /**
-   * Returns the character at the given index of this stream.
-   *
-   * @param {number} i The index of this sequence.
-   * @return {string} The character at the specified index.
+   * Checks whether the dictionary has a value for a key.
    *
-   * @example:
-   * Lazy("foo")
-   *   .charAt(0);
-   * // => "f"
+   * @param {*} key The key.
+   * @return {boolean} True if the key is in the dictionary, or else false.
    */
-  StringLikeSequence.prototype.charAt = function(i) {
-    return this.get(i);
+  Dictionary.prototype.has = function(key) {
+    return this.indexOf(key) !== -1;
   };
 
   /**
-   * @name get
+   * Sets the value for a key.
    *
-   * Returns the character at the given index of this stream.
-   * @example:
-   * Lazy("foo")
-   *   .map(function(c) { return c.toUpperCase(); })
-   *   .get(0);
-   * // => "F"
+   * @param {*} key The key.
+   * @param {*} value The value.
    */
+  Dictionary.prototype.set = function(key, value) {
+    var index = this.indexOf(key),
+        hash,
+        bucket;
 
-  /**
-   * See {@link Sequence#each}.
-   */
-  StringLikeSequence.prototype.each = function(fn) {
-    var source = this.source,
-        length = source.length,
-        i = -1;
+    if (index !== -1) {
+      this.entries[index][1] = value;
+      return;
+    }
 
-    while (++i < length) {
-      if (fn(source.charAt(i)) === false) {
-        break;
-      }
+    index = this.entries.length;
+    this.entries.push([key, value]);
+
+    hash = this.hashFn ? this.hashFn(key) : key;
+    if (!this.equalsFn) {
+      this.setSlot(hash, index);
+      return;
     }
-  };
 
-  /**
-   * Creates a {@link Sequence} comprising all of the matches for the specified
-   * pattern in the underlying string.
-   *
-   * @param {RegExp} pattern The pattern to match.
-   * @return {Sequence} A sequence of all the matches.
-   */
-  StringLikeSequence.prototype.match = function(pattern) {
-    return new StringMatchSequence(this.source, pattern);
+    bucket = this.getSlot(hash);
+    if (bucket) {
+      bucket.push(index);
+    } else {
+      this.setSlot(hash, [index]);
+    }
   };
 
   /**
-   * Creates a {@link Sequence} comprising all of the substrings of this string
-   * separated by the given delimiter, which can be either a string or a regular
-   * expression.
+   * Iterates over the key/value pairs in the order their keys were added.
    *
-   * @param {string|RegExp} delimiter The delimiter to use for recognizing
-   *     substrings.
-   * @return {Sequence} A sequence of all the substrings separated by the given
-   *     delimiter.
+   * @param {Function} fn The function to call with each value and key, which can
+   *     return false to stop iterating.
    */
-  StringLikeSequence.prototype.split = function(delimiter) {
-    return new SplitStringSequence(this.source, delimiter);
+  Dictionary.prototype.each = function(fn) {
+    var entries = this.entries,
+        i = -1;
+
+    while (++i < entries.length) {
+      if (fn(entries[i][1], entries[i][0]) === false) {
+        break;
+      }
+    }
   };
 
-  /**
-   * @constructor
-   */
-  function StringMatchSequence(source, pattern) {
-    this.source = source;
-    this.pattern = pattern;
-  }
+  Dictionary.prototype.indexOf = function(key) {
+    var slot = this.getSlot(this.hashFn ? this.hashFn(key) : key),
+        i;
 
-  StringMatchSequence.prototype = new Sequence();
+    if (typeof slot === "undefined") {
+      return -1;
+    }
 
-  StringMatchSequence.prototype.each = function(fn) {
-    var iterator = this.getIterator();
-    while (iterator.moveNext()) {
-      if (fn(iterator.current()) === false) {
-        return;
+    if (!this.equalsFn) {
+      return slot;
+    }
+
+    i = -1;
+    while (++i < slot.length) {
+      if (this.equalsFn(this.entries[slot[i]][0], key)) {
+        return slot[i];
       }
     }
+    return -1;
   };
 
-  StringMatchSequence.prototype.getIterator = function() {
-    return new StringMatchIterator(this.source, this.pattern);
-  };
+  Dictionary.prototype.getSlot = Set.prototype.getSlot;
+
+  Dictionary.prototype.setSlot = Set.prototype.setSlot;
 
   /**
-   * @constructor
+   * Gets a string identifying a primitive value or a Date (which, for different
+   * values, will always be different), or null for other objects and functions.
+   * Like a {@link Set}, this treats 0 and -0 as the same, and NaN as itself.
    */
-  function SplitStringSequence(source, pattern) {
-    this.source = source;
-    this.pattern = pattern;
-  }
-
-  SplitStringSequence.prototype = new Sequence();
+  function getPrimitiveHash(value) {
+    if (value === null) {
+      return "null";
+    }
 
-  SplitStringSequence.prototype.each = function(fn) {
-    var iterator = this.getIterator();
-    while (iterator.moveNext()) {
-      if (fn(iterator.current()) === false) {
-        break;
-      }
+    switch (typeof value) {
+      case "number":
+        return "n" + (value === 0 ? 0 : value);
+      case "string":
+        return "s" + value;
+      case "boolean":
+        return "b" + value;
+      case "undefined":
+        return "undefined";
     }
-  };
 
-  SplitStringSequence.prototype.getIterator = function() {
-    if (this.pattern instanceof RegExp) {
-      if (this.pattern.source === "" || this.pattern.source === "(?:)") {
-        return new CharIterator(this.source);
-      } else {
-        return new SplitWithRegExpIterator(this.source, this.pattern);
-      }
-    } else if (this.pattern === "") {
-      return new CharIterator(this.source);
-    } else {
-      return new SplitWithStringIterator(this.source, this.pattern);
+    if (value instanceof Date) {
+      return "d" + value.getTime();
     }
-  };
+    return null;
+  }
 
   /**
-   * Wraps a string exposing {@link #match} and {@link #split} methods that return
-   * {@link Sequence} objects instead of arrays, improving on the efficiency of
-   * JavaScript's built-in `String#split` and `String.match` methods and
-   * supporting asynchronous iteration.
+   * Checks whether two values have the same structure: arrays are equal if their
+   * elements are, and plain objects are equal if they have the same keys with
+   * equal values. Anything else is compared the same way as in a {@link Set}.
    *
-   * @param {string} source The string to wrap.
-   * @constructor
+   * @param {*} x
+   * @param {*} y
+   * @return {boolean}
    */
-  function StringWrapper(source) {
-    this.source = source;
-  }
+  function isDeepEqual(x, y) {
+    var count, key, i;
 
-  StringWrapper.prototype = new StringLikeSequence();
+    if (x === y) {
+      return true;
+    }
 
-  StringWrapper.prototype.get = function(i) {
-    return this.source.charAt(i);
-  };
+    if (x instanceof Array) {
+      if (!(y instanceof Array) || x.length !== y.length) {
+        return false;
+      }
+      i = -1;
+      while (++i < x.length) {
+        if (!isDeepEqual(x[i], y[i])) {
+          return false;
+        }
+      }
+      return true;
+    }
 
-  StringWrapper.prototype.length = function() {
-    return this.source.length;
-  };
+    if (isPlainObject(x)) {
+      if (!isPlainObject(y)) {
+        return false;
+      }
+      count = 0;
+      for (key in x) {
+        if (Object.prototype.hasOwnProperty.call(x, key)) {
+          if (!Object.prototype.hasOwnProperty.call(y, key) || !isDeepEqual(x[key], y[key])) {
+            return false;
+          }
+          ++count;
+        }
+      }
+      for (key in y) {
+        if (Object.prototype.hasOwnProperty.call(y, key)) {
+          --count;
+        }
+      }
+      return count === 0;
+    }
+
+    return isSameValue(x, y);
+  }
 
   /**
-   * A GeneratedSequence does not wrap an in-memory colllection but rather
-   * determines its elements on-the-fly during iteration according to a generator
-   * function.
+   * Checks whether two values are the same in the sense of {@link Set}: `===`,
+   * except that NaN is the same as itself and Dates with the same time are the
+   * same.
    *
-   * @constructor
-   * @param {function(number, *):*} generatorFn A function which accepts an index
-   *     and returns a value for the element at that position in the sequence.
-   * @param {number=} length The length of the sequence. If this argument is
-   *     omitted, the sequence will go on forever.
+   * @param {*} x
+   * @param {*} y
+   * @return {boolean}
    */
-  function GeneratedSequence(generatorFn, length) {
-    this.get = generatorFn;
-    this.fixedLength = length;
-  }
+  function isSameValue(x, y) {
+    var hash;
 
-  GeneratedSequence.prototype = new Sequence();
+    if (x === y) {
+      return true;
+    }
+
+    hash = getPrimitiveHash(x);
+    return hash !== null && hash === getPrimitiveHash(y);
+  }
 
   /**
-   * Returns the length of this sequence.
+   * Gets a hash for {@link isDeepEqual}, i.e., a string that is the same for any
+   * two values that are deeply equal. Only the top level of an array or object
+   * is looked at, so this is quick to compute.
    *
-   * @return {number} The length, or `undefined` if this is an indefinite
-   *     sequence.
+   * @param {*} value
+   * @return {string}
    */
-  GeneratedSequence.prototype.length = function() {
-    return this.fixedLength;
-  };
+  function getStructuralHash(value) {
+    var parts = [],
+        key,
+        i;
 
-  /**
-   * See {@link Sequence#each}.
-   */
-  GeneratedSequence.prototype.each = function(fn) {
-    var generatorFn = this.get,
-        length = this.fixedLength,
-        i = 0;
-    while (typeof length === "undefined" || i < length) {
-      if (fn(generatorFn(i++)) === false) {
-        break;
+    if (value instanceof Array) {
+      i = -1;
+      while (++i < value.length) {
+        parts.push(getShallowHash(value[i]));
       }
+      return "[" + parts.join(",") + "]";
     }
-  };
 
-  /**
-   * An `AsyncSequence` iterates over its elements asynchronously when
-   * {@link #each} is called.
-   *
-   * Returning values
-   * ----------------
-   *
-   * Because of its asynchronous nature, an `AsyncSequence` cannot be used in the
-   * same way as other sequences for functions that return values directly (e.g.,
-   * `reduce`, `max`, `any`, even `toArray`).
-   *
-   * The plan is to eventually implement all of these methods differently for
-   * `AsyncSequence`: instead of returning values, they will accept a callback and
-   * pass a result to the callback once iteration has been completed (or an error
-   * is raised). But that isn't done yet.
-   *
-   * Defining custom asynchronous sequences
-   * --------------------------------------
-   *
-   * There are plenty of ways to define an asynchronous sequence. Here's one.
-   *
-   * 1. First, implement an {@link Iterator}. This is an object whose prototype
-   *    has the methods {@link Iterator#moveNext} (which returns a `boolean`) and
-   *    {@link current} (which returns the current value).
-   * 2. Next, create a simple wrapper that inherits from `AsyncSequence`, whose
-   *    `getIterator` function returns an instance of the iterator type you just
-   *    defined.
-   *
-   * The default implementation for {@link #each} on an `AsyncSequence` is to
-   * create an iterator and then asynchronously call {@link Iterator#moveNext}
-   * (using the most efficient mechanism for the platform) until the iterator
-   * can't move ahead any more.
+    if (isPlainObject(value)) {
+      for (key in value) {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          parts.push(key.length + ":" + key + "=" + getShallowHash(value[key]));
+        }
+      }
+      return "{" + parts.sort().join(",") + "}";
+    }
+
+    return getShallowHash(value);
+  }
+
+  function getShallowHash(value) {
+    var hash = getPrimitiveHash(value);
+
+    if (hash !== null) {
+      return hash;
+    }
+    if (value instanceof Array) {
+      return "[" + value.length + "]";
+    }
+    return isPlainObject(value) ? "{}" : "?";
+  }
+
+  function isPlainObject(value) {
+    var proto;
+
+    if (value === null || typeof value !== "object" || value instanceof Array) {
+      return false;
+    }
+
+    proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * A binary heap, for getting at the smallest of a collection of elements
+   * without sorting the rest of them.
    *
-   * @param {Sequence} parent A {@link Sequence} to wrap, to expose asynchronous
-   *     iteration.
-   * @param {number=} interval How many milliseconds should elapse between each
-   *     element when iterating over this sequence. If this argument is omitted,
-   *     asynchronous iteration will be executed as fast as possible.
+   * @param {function(*, *):number} compareFn The function used to order the
+   *     elements, which should return a negative number if its first argument
+   *     comes before its second.
+   * @param {Array=} values The initial elements of the heap. This array will be
+   *     rearranged and used by the heap from then on.
    * @constructor
    */
-  function AsyncSequence(parent, interval) {
-    if (parent instanceof AsyncSequence) {
-      throw "Sequence is already asynchronous!";
-    }
+  function Heap(compareFn, values) {
+    var i;
 
-    this.parent = parent;
-    this.onNextCallback = getOnNextCallback(interval);
-  }
+    this.compareFn = compareFn;
+    this.values    = values || [];
 
-  AsyncSequence.prototype = new Sequence();
+    i = Math.floor(this.values.length / 2);
+    while (--i >= 0) {
+      this.siftDown(i);
+    }
+  }
 
   /**
-   * An asynchronous version of {@link Sequence#each}.
+   * @return {number} The number of elements in the heap.
    */
-  AsyncSequence.prototype.each = function(fn) {
-    var iterator = this.parent.getIterator(),
-        onNextCallback = this.onNextCallback;
+  Heap.prototype.size = function() {
+    return this.values.length;
+  };
 
-    if (iterator.moveNext()) {
-      onNextCallback(function iterate() {
-        if (fn(iterator.current()) !== false && iterator.moveNext()) {
-          onNextCallback(iterate);
-        }
-      });
-    }
+  /**
+   * @return {*} The smallest element in the heap, without removing it.
+   */
+  Heap.prototype.peek = function() {
+    return this.values[0];
   };
 
-  function getOnNextCallback(interval) {
-    if (typeof interval === "undefined") {
-      if (typeof context.setImmediate === "function") {
-        return context.setImmediate;
-      }
-      if (typeof process !== "undefined" && typeof process.nextTick === "function") {
-        return process.nextTick;
+  /**
+   * Adds an element to the heap.
+   *
+   * @param {*} value The element to add.
+   */
+  Heap.prototype.push = function(value) {
+    var values    = this.values,
+        compareFn = this.compareFn,
+        i         = values.length,
+        parent;
+
+    values.push(value);
+    while (i > 0) {
+      parent = (i - 1) >> 1;
+      if (compareFn(values[i], values[parent]) >= 0) {
+        break;
       }
+      swap(values, i, parent);
+      i = parent;
     }
+  };
 
-    interval = interval || 0;
-    return function(fn) {
-      setTimeout(fn, interval);
-    };
-  }
+  /**
+   * Removes the smallest element from the heap.
+   *
+   * @return {*} The removed element.
+   */
+  Heap.prototype.pop = function() {
+    var values = this.values,
+        top    = values[0],
+        last   = values.pop();
+
+    if (values.length > 0) {
+      values[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  };
 
   /**
-   * A StreamLikeSequence comprises a sequence of 'chunks' of data, which are
-   * typically multiline strings.
+   * Replaces the smallest element in the heap with another one. This is quicker
+   * than calling {@link #pop} followed by {@link #push}.
    *
-   * @constructor
+   * @param {*} value The element to add.
+   * @return {*} The removed element.
    */
-  function StreamLikeSequence() {}
+  Heap.prototype.replace = function(value) {
+    var top = this.values[0];
+    this.values[0] = value;
+    this.siftDown(0);
+    return top;
+  };
 
-  StreamLikeSequence.prototype = new Sequence();
+  Heap.prototype.siftDown = function(i) {
+    var values    = this.values,
+        compareFn = this.compareFn,
+        length    = values.length,
+        child;
 
-  StreamLikeSequence.prototype.lines = function() {
-    return new LinesSequence(this);
+    while ((child = 2 * i + 1) < length) {
+      if (child + 1 < length && compareFn(values[child + 1], values[child]) < 0) {
+        ++child;
+      }
+      if (compareFn(values[child], values[i]) >= 0) {
+        break;
+      }
+      swap(values, i, child);
+      i = child;
+    }
   };
 
+  /*** Exposing Lazy to the world ***/
+
+  // For Node.js
+  if (typeof module !== "undefined") {
+    module.exports = Lazy;
+
+  // For browsers
+  } else {
+    context.Lazy = Lazy;
+  }
+
   /**
-   * A sequence of lines (segments of a larger string or string-like sequence
-   * delimited by line breaks).
+   * A JsonSequence lazily parses the values selected by a path expression (by
+   * default, the elements of a top-level array) from either a string or a
+   * sequence of chunks of a string (e.g., a stream).
    *
+   * @param {string|Sequence} source The JSON to parse, or a sequence whose
+   *     elements are consecutive chunks of it.
+   * @param {string=} path The path expression selecting which values to produce
+   *     (see {@link Lazy.parse}).
    * @constructor
    */
-  function LinesSequence(parent) {
-    this.parent = parent;
+  function JsonSequence(source, path) {
+    this.source = source;
+    this.path   = new JsonPath(path || "$[*]");
   };
 
-  LinesSequence.prototype = new Sequence();
+  JsonSequence.prototype = new Sequence();
 
-  LinesSequence.prototype.each = function(fn) {
-    var done = false;
-    this.parent.each(function(chunk) {
-      Lazy(chunk).split("\n").each(function(line) {
-        if (fn(line) === false) {
-          done = true;
-          return false;
-        }
-      });
+  JsonSequence.prototype.getIterator = function() {
+    return new JsonIterator(this.source, this.path);
+  };
+
+  JsonSequence.prototype.each = function(fn) {
+    var i = 0,
+        stopped = false,
+        parser = new JsonParser(this.path, function(value) {
+          return fn(value, i++);
+        });
+
+    if (typeof this.source === "string") {
+      if (parser.write(this.source) !== false) {
+        parser.end();
+      }
+      return;
+    }
+
+    var iteration = this.source.each(function(chunk) {
+      if (parser.write(chunk) === false) {
+        stopped = true;
+        return false;
+      }
+    });
 
-      return !done;
+    return finishIteration(iteration, function() {
+      if (!stopped) {
+        parser.end();
+      }
     });
   };
 
   /**
-   * A StreamingHttpSequence is a `StreamLikeSequence` comprising the chunks of
-   * data that are streamed in response to an HTTP request.
-   *
-   * @param {string} url The URL of the HTTP request.
    * @constructor
    */
-  function StreamingHttpSequence(url) {
-    this.url = url;
+  function JsonIterator(source, path) {
+    var self = this;
+
+    this.chunks       = typeof source === "string" ? new ArrayWrapper([source]).getIterator() : source.getIterator();
+    this.found        = false;
+    this.currentValue = undefined;
+
+    // Pause the parser after every element, so that each call to moveNext reads
+    // just far enough to produce the next one.
+    this.parser = new JsonParser(path, function(value) {
+      self.currentValue = value;
+      self.found = true;
+      return false;
+    });
   };
 
-  StreamingHttpSequence.prototype = new StreamLikeSequence();
+  JsonIterator.prototype.current = function() {
+    return this.currentValue;
+  };
 
-  StreamingHttpSequence.prototype.each = function(fn) {
-    var request = new XMLHttpRequest(),
-        index   = 0,
-        aborted = false;
+  JsonIterator.prototype["return"] = LinesIterator.prototype["return"];
 
-    request.open("GET", this.url);
+  JsonIterator.prototype.moveNext = function() {
+    var parser = this.parser,
+        chunks = this.chunks;
 
-    var listener = function(data) {
-      if (!aborted) {
-        data = request.responseText.substring(index);
-        if (fn(data) === false) {
-          request.removeEventListener("progress", listener, false);
-          request.abort();
-          aborted = true;
-        }
-        index += data.length;
+    if (parser.finished) {
+      this.currentValue = undefined;
+      return false;
+    }
+
+    this.found = false;
+
+    // Pick up where the last value left off, then keep feeding in chunks until
+    // another value turns up.
+    if (parser.resume() === false) {
+      return true;
+    }
+
+    while (chunks.moveNext()) {
+      if (parser.write(chunks.current()) === false) {
+        return true;
       }
-    };
+    }
 
-    request.addEventListener("progress", listener, false);
+    // The document itself might be the last value (e.g., a number).
+    parser.end();
 
-    request.send();
+    if (!this.found) {
+      this.currentValue = undefined;
+    }
+
+    return this.found;
   };
 
   /**
-   * Wraps an object and returns a {@link Sequence}.
-   *
-   * - For **arrays**, Lazy will create a sequence comprising the elements in
-   *   the array (an {@link ArrayLikeSequence}).
-   * - For **objects**, Lazy will create a sequence of key/value pairs
-   *   (an {@link ObjectLikeSequence}).
-   * - For **strings**, Lazy will create a sequence of characters (a
-   *   {@link StringLikeSequence}).
-   *
-   * @param {Array|Object|string} source An array, object, or string to wrap.
-   * @return {Sequence} The wrapped lazy object.
-   *
-   * @example
-   * var fromArray = Lazy([1, 2, 4]);
-   * // => Lazy.ArrayLikeSequence
+   * An incremental JSON parser. It can be fed a JSON document in any number of
+   * chunks, split at any point, and passes every value selected by `path` to
+   * `onValue` as soon as that value has been read in full. Selected arrays and
+   * objects are parsed completely; everything else is checked for syntax errors
+   * but never actually built.
    *
-   * var fromObject = Lazy({ foo: "bar" });
-   * // => Lazy.ObjectLikeSequence
+   * @param {JsonPath} path The path selecting which values to produce.
+   * @param {function(*):*} onValue The function to call with each selected
+   *     value. Return false from this function to pause parsing; it can be
+   *     picked up again with {@link JsonParser#resume}.
+   * @constructor
+   */
+  function JsonParser(path, onValue) {
+    this.path     = path;
+    this.onValue  = onValue;
+    this.buffer   = "";
+    this.index    = 0;
+    this.offset   = 0;
+    this.line     = 1;
+    this.column   = 1;
+    this.state    = "value";
+    this.stack    = [];
+    this.token    = "";
+    this.isKey    = false;
+    this.emit     = false;
+    this.keep     = false;
+    this.finished = false;
+  }
+
+  /**
+   * Parses the next chunk of JSON.
    *
-   * var fromString = Lazy("hello, world!");
-   * // => Lazy.StringLikeSequence
+   * @param {string} chunk The chunk.
+   * @return {boolean} False if `onValue` returned false (in which case the rest
+   *     of this chunk is still pending), or else true.
    */
-  var Lazy = function(source) {
-    if (source instanceof Array) {
-      return new ArrayWrapper(source);
-    } else if (typeof source === "string") {
-      return new StringWrapper(source);
-    } else if (source instanceof Sequence) {
-      return source;
-    }
-    return new ObjectWrapper(source);
+  JsonParser.prototype.write = function(chunk) {
+    this.buffer = this.buffer.substring(this.index) + chunk;
+    this.index  = 0;
+    return this.run();
   };
 
   /**
-   * Creates a {@link GeneratedSequence} using the specified generator function
-   * and (optionally) length.
-   *
-   * @param {function(number):*} generatorFn The function used to generate the
-   *     sequence. This function accepts an index as a parameter and should return
-   *     a value for that index in the resulting sequence.
-   * @param {number=} length The length of the sequence, for sequences with a
-   *     definite length.
-   * @return {GeneratedSequence} The generated sequence.
-   *
-   * @example
-   * var randomNumbers = Lazy.generate(Math.random);
-   * // => sequence: (0.4838115070015192, 0.637410914292559, ...)
-   *
-   * randomNumbers.length();
-   * // => undefined
-   *
-   * var countingNumbers = Lazy.generate(function(i) { return i + 1; }, 10);
-   * // => sequence: (1, 2, ..., 10)
+   * Resumes parsing whatever is left of the last chunk, after `onValue` returned
+   * false.
    *
-   * countingNumbers.length();
-   * // => 10
+   * @return {boolean} False if `onValue` returned false again, or else true.
    */
-  Lazy.generate = function(generatorFn, length) {
-    return new GeneratedSequence(generatorFn, length);
+  JsonParser.prototype.resume = function() {
+    return this.run();
   };
 
   /**
-   * Creates a sequence from a given starting value, up to a specified stopping
-   * value, incrementing by a given step.
-   *
-   * @return {GeneratedSequence} The sequence defined by the given ranges.
-   *
-   * @example
-   * var integers = Lazy.range(10);
-   * // => sequence: (0, 1, ..., 9)
+   * Signals that there is no more JSON to parse.
    *
-   * var countingNumbers = Lazy.range(1, 11);
-   * // => sequence: (1, 2, ..., 10)
-   *
-   * var evenNumbers = Lazy.range(2, 10, 2);
-   * // => sequence: (2, 4, 6, 8)
+   * @throws {JsonParseError} If the JSON ended before the document was complete.
    */
-  Lazy.range = function() {
-    var start = arguments.length > 1 ? arguments[0] : 0,
-        stop  = arguments.length > 1 ? arguments[1] : arguments[0],
-        step  = arguments.length > 2 ? arguments[2] : 1;
-    return this.generate(function(i) { return start + (step * i); })
-      .take(Math.floor((stop - start) / step));
+  JsonParser.prototype.end = function() {
+    if (this.finished) {
+      return;
+    }
+
+    this.finished = true;
+
+    // A document consisting of just a number or literal ends with that value.
+    if (this.stack.length === 0) {
+      if (this.state === "number") {
+        this.finishNumber();
+      } else if (this.state === "literal") {
+        this.finishLiteral();
+      }
+    }
+
+    if (this.state !== "end") {
+      throw this.error("Unexpected end of input");
+    }
+  };
+
+  JsonParser.prototype.run = function() {
+    var buffer = this.buffer,
+        length = buffer.length,
+        c;
+
+    while (this.index < length) {
+      c = buffer.charAt(this.index);
+
+      switch (this.state) {
+        case "firstElement":
+          if (c === "]") {
+            this.advance(c);
+            if (this.closeContainer() === false) {
+              return false;
+            }
+          } else if (isJsonWhitespace(c)) {
+            this.advance(c);
+          } else {
+            this.state = "value";
+          }
+          break;
+
+        case "value":
+          if (this.startValue(c) === false) {
+            return false;
+          }
+          break;
+
+        case "firstKey":
+          if (c === "}") {
+            this.advance(c);
+            if (this.closeContainer() === false) {
+              return false;
+            }
+          } else if (isJsonWhitespace(c)) {
+            this.advance(c);
+          } else {
+            // Otherwise this is the same as any other key.
+            this.state = "key";
+          }
+          break;
+
+        case "key":
+          if (!isJsonWhitespace(c)) {
+            if (c !== '"') {
+              throw this.unexpected(c, "a string");
+            }
+            this.isKey = true;
+            this.keep  = isTracked(this.stack[this.stack.length - 1]);
+            this.token = "";
+            this.state = "string";
+          }
+          this.advance(c);
+          break;
+
+        case "colon":
+          if (!isJsonWhitespace(c)) {
+            if (c !== ":") {
+              throw this.unexpected(c, "':'");
+            }
+            this.state = "value";
+          }
+          this.advance(c);
+          break;
+
+        case "afterValue":
+          if (this.afterValue(c) === false) {
+            return false;
+          }
+          break;
+
+        case "string":
+          if (this.readString() === false) {
+            return false;
+          }
+          break;
+
+        case "escape":
+          this.readEscape(c);
+          break;
+
+        case "unicode":
+          if (!(/[0-9a-fA-F]/).test(c)) {
+            throw this.unexpected(c, "a hexadecimal digit");
+          }
+          this.hex += c;
+          this.advance(c);
+          if (this.hex.length === 4) {
+            if (this.keep) {
+              this.token += String.fromCharCode(parseInt(this.hex, 16));
+            }
+            this.state = "string";
+          }
+          break;
+
+        case "number":
+          if ("0123456789+-.eE".indexOf(c) === -1) {
+            if (this.finishNumber() === false) {
+              return false;
+            }
+          } else {
+            this.token += c;
+            this.advance(c);
+          }
+          break;
+
+        case "literal":
+          if (c >= "a" && c <= "z") {
+            this.token += c;
+            this.advance(c);
+          } else if (this.finishLiteral() === false) {
+            return false;
+          }
+          break;
+
+        case "end":
+          if (!isJsonWhitespace(c)) {
+            throw this.unexpected(c, "the end of input");
+          }
+          this.advance(c);
+          break;
+      }
+    }
+
+    return true;
+  };
+
+  JsonParser.prototype.startValue = function(c) {
+    if (isJsonWhitespace(c)) {
+      this.advance(c);
+      return;
+    }
+
+    // Rather than silently producing nothing, complain if the path needs to look
+    // inside the document but the document isn't an array or object.
+    if (this.stack.length === 0 && this.path.segments.length > 0 && c !== "[" && c !== "{") {
+      throw this.unexpected(c, "an array or object, as the path '" + this.path.path +
+        "' selects values inside one");
+    }
+
+    switch (c) {
+      case '"':
+        this.selectValue();
+        this.isKey = false;
+        this.token = "";
+        this.state = "string";
+        this.advance(c);
+        return;
+
+      case "[":
+      case "{":
+        this.pushContainer(c === "[");
+        this.state = c === "[" ? "firstElement" : "firstKey";
+        this.advance(c);
+        return;
+
+      case "t":
+      case "f":
+      case "n":
+        this.selectValue();
+        this.token = "";
+        this.state = "literal";
+        return;
+
+      default:
+        if (c === "-" || (c >= "0" && c <= "9")) {
+          this.selectValue();
+          this.token = "";
+          this.state = "number";
+          return;
+        }
+
+        throw this.unexpected(c, "a value");
+    }
   };
 
   /**
-   * Creates a sequence consisting of the given value repeated a specified number
-   * of times.
-   *
-   * @param {*} value The value to repeat.
-   * @param {number=} count The number of times the value should be repeated in
-   *     the sequence. If this argument is omitted, the value will repeat forever.
-   * @return {GeneratedSequence} The sequence containing the repeated value.
-   *
-   * @example
-   * var hihihi = Lazy.repeat("hi", 3);
-   * // => sequence: ("hi", "hi", "hi")
-   *
-   * var foreverYoung = Lazy.repeat("young");
-   * // => sequence: ("young", "young", ...)
+   * Works out what to do with the value that's about to be read: whether it's
+   * selected by the path (and so should be emitted), part of a selected value
+   * (and so should be kept), or neither. The result goes in `this.emit`,
+   * `this.keep` and `this.states`.
    */
-  Lazy.repeat = function(value, count) {
-    return Lazy.generate(function() { return value; }, count);
+  JsonParser.prototype.selectValue = function() {
+    var parent = this.stack[this.stack.length - 1];
+
+    if (!parent) {
+      this.states = this.path.initialStates();
+    } else {
+      if (parent.isArray) {
+        ++parent.index;
+      }
+
+      if (parent.value) {
+        this.emit = false;
+        this.keep = true;
+        this.states = undefined;
+        return;
+      }
+
+      this.states = this.path.step(parent.states, parent.isArray ? parent.index : parent.key);
+    }
+
+    this.emit = this.path.isSelected(this.states);
+    this.keep = this.emit;
   };
 
-  Lazy.Sequence = Sequence;
-  Lazy.ArrayLikeSequence = ArrayLikeSequence;
-  Lazy.ObjectLikeSequence = ObjectLikeSequence;
-  Lazy.StringLikeSequence = StringLikeSequence;
-  Lazy.GeneratedSequence = GeneratedSequence;
-  Lazy.AsyncSequence = AsyncSequence;
+  JsonParser.prototype.pushContainer = function(isArray) {
+    this.selectValue();
 
-  /*** Useful utility methods ***/
+    this.stack.push({
+      isArray: isArray,
+      index: -1,
+      key: undefined,
+      emit: this.emit,
 
-  /**
-   * Creates a Set containing the specified values.
-   *
-   * @param {...Array} values One or more array(s) of values used to populate the
-   *     set.
-   * @return {Set} A new set containing the values passed in.
-   */
-  function createSet(values) {
-    var set = new Set();
-    Lazy(values || []).flatten().each(function(e) {
-      set.add(e);
+      // Only selected values (and their contents) actually get built; for
+      // everything else we just need to know where we are in the path.
+      value: this.keep ? (isArray ? [] : {}) : undefined,
+      states: this.keep ? undefined : this.states
     });
-    return set;
   };
 
-  /**
-   * Compares two elements for sorting purposes.
-   *
-   * @param {*} x The left element to compare.
-   * @param {*} y The right element to compare.
-   * @param {Function=} fn An optional function to call on each element, to get
-   *     the values to compare.
-   * @return {number} 1 if x > y, -1 if x < y, or 0 if x and y are equal.
-   */
-  function compare(x, y, fn) {
-    if (typeof fn === "function") {
-      return compare(fn(x), fn(y));
+  JsonParser.prototype.afterValue = function(c) {
+    var container = this.stack[this.stack.length - 1];
+
+    if (isJsonWhitespace(c)) {
+      this.advance(c);
+      return;
     }
 
-    if (x === y) {
-      return 0;
+    if (c === ",") {
+      this.state = container.isArray ? "value" : "key";
+      this.advance(c);
+      return;
     }
 
-    return x > y ? 1 : -1;
-  }
+    if ((container.isArray && c === "]") || (!container.isArray && c === "}")) {
+      this.advance(c);
+      return this.closeContainer();
+    }
 
-  /**
-   * Iterates over every element in an array.
-   *
-   * @param {Array} array The array.
-   * @param {Function} fn The function to call on every element, which can return
-   *     false to stop the iteration early.
-   * @return {boolean} True if every element in the entire sequence was iterated,
-   *     otherwise false.
-   */
-  function forEach(array, fn) {
-    var i = -1,
-        len = array.length;
+    throw this.unexpected(c, container.isArray ? "',' or ']'" : "',' or '}'");
+  };
 
-    while (++i < len) {
-      if (fn(array[i]) === false) {
-        return false;
+  JsonParser.prototype.readString = function() {
+    var buffer = this.buffer,
+        length = buffer.length,
+        start  = this.index,
+        i      = start,
+        code;
+
+    // Read as much of the string as possible in one go, stopping at a closing
+    // quote, an escape sequence or the end of the chunk.
+    while (i < length) {
+      code = buffer.charCodeAt(i);
+      if (code === 34 || code === 92) {
+        break;
+      }
+      if (code < 32) {
+        this.column += i - start;
+        this.offset += i - start;
+        this.index = i;
+        throw this.unexpected(buffer.charAt(i), "a closing '\"' (control characters must be escaped)");
       }
+      ++i;
     }
 
-    return true;
-  }
+    if (this.keep) {
+      this.token += buffer.substring(start, i);
+    }
+    this.column += i - start;
+    this.offset += i - start;
+    this.index   = i;
 
-  /**
-   * Iterates over every individual element in an array of arrays (of arrays...).
-   *
-   * @param {Array} array The outermost array.
-   * @param {Function} fn The function to call on every element, which can return
-   *     false to stop the iteration early.
-   * @param {Array=} index An optional counter container, to keep track of the
-   *     current index.
-   * @return {boolean} True if every element in the entire sequence was iterated,
-   *     otherwise false.
-   */
-  function recursiveForEach(array, fn, index) {
-    // It's easier to ensure this is initialized than to add special handling
-    // in case it isn't.
-    index = index || [0];
+    if (i === length) {
+      return;
+    }
 
-    var i = -1;
-    while (++i < array.length) {
-      if (array[i] instanceof Array) {
-        if (recursiveForEach(array[i], fn, index) === false) {
-          return false;
-        }
-      } else {
-        if (fn(array[i], index[0]++) === false) {
-          return false;
-        }
-      }
+    this.advance(buffer.charAt(i));
+
+    if (code === 92) {
+      this.state = "escape";
+      return;
     }
-    return true;
-  }
 
-  function getFirst(sequence) {
-    var result;
-    sequence.each(function(e) {
-      result = e;
-      return false;
-    });
-    return result;
-  }
+    if (this.isKey) {
+      this.stack[this.stack.length - 1].key = this.token;
+      this.state = "colon";
+      return;
+    }
 
-  function contains(array, element) {
-    var i = -1,
-        length = array.length;
+    return this.addValue(this.token);
+  };
 
-    while (++i < length) {
-      if (array[i] === element) {
-        return true;
+  JsonParser.prototype.readEscape = function(c) {
+    var escaped = JsonParser.escapes[c];
+
+    if (c === "u") {
+      this.hex = "";
+      this.state = "unicode";
+    } else if (typeof escaped === "string") {
+      if (this.keep) {
+        this.token += escaped;
       }
+      this.state = "string";
+    } else {
+      throw this.unexpected(c, "a valid escape sequence");
     }
-    return false;
-  }
 
-  function containsBefore(array, element, index) {
-    var i = -1;
+    this.advance(c);
+  };
 
-    while (++i < index) {
-      if (array[i] === element) {
-        return true;
+  JsonParser.escapes = {
+    '"': '"',
+    "\\": "\\",
+    "/": "/",
+    "b": "\b",
+    "f": "\f",
+    "n": "\n",
+    "r": "\r",
+    "t": "\t"
+  };
+
+  JsonParser.prototype.finishNumber = function() {
+    var token = this.token;
+
+    if (!(/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/).test(token)) {
+      throw this.error("Invalid number '" + token + "'", token.length);
+    }
+
+    return this.addValue(parseFloat(token));
+  };
+
+  JsonParser.prototype.finishLiteral = function() {
+    var token = this.token;
+
+    switch (token) {
+      case "true":
+        return this.addValue(true);
+      case "false":
+        return this.addValue(false);
+      case "null":
+        return this.addValue(null);
+      default:
+        throw this.error("Invalid literal '" + token + "'", token.length);
+    }
+  };
+
+  JsonParser.prototype.addValue = function(value, emit) {
+    var container = this.stack[this.stack.length - 1];
+
+    if (typeof emit === "undefined") {
+      emit = this.emit;
+    }
+
+    this.state = container ? "afterValue" : "end";
+
+    if (emit) {
+      return this.onValue(value);
+    }
+
+    if (container && container.value) {
+      if (container.isArray) {
+        container.value.push(value);
+      } else if (container.key === "__proto__") {
+        // Like JSON.parse, make this an own property rather than setting the
+        // object's prototype.
+        Object.defineProperty(container.value, container.key, {
+          value: value,
+          writable: true,
+          enumerable: true,
+          configurable: true
+        });
+      } else {
+        container.value[container.key] = value;
       }
     }
-    return false;
-  }
+  };
 
-  function swap(array, i, j) {
-    var temp = array[i];
-    array[i] = array[j];
-    array[j] = temp;
+  JsonParser.prototype.closeContainer = function() {
+    var container = this.stack.pop();
+    return this.addValue(container.value, container.emit);
+  };
+
+  JsonParser.prototype.advance = function(c) {
+    ++this.index;
+    ++this.offset;
+
+    if (c === "\n") {
+      ++this.line;
+      this.column = 1;
+    } else {
+      ++this.column;
+    }
+  };
+
+  JsonParser.prototype.unexpected = function(c, expected) {
+    return this.error("Unexpected token '" + c + "' (expected " + expected + ")");
+  };
+
+  /**
+   * @param {string} message
+   * @param {number=} backtrack How many characters before the current position
+   *     the problem started at (e.g., for an invalid number).
+   */
+  JsonParser.prototype.error = function(message, backtrack) {
+    backtrack = backtrack || 0;
+    return new JsonParseError(message, this.line, this.column - backtrack, this.offset - backtrack);
+  };
+
+  /**
+   * Whether we need to know the keys of the given container's members; i.e.,
+   * whether the container is being built or might contain a selected value.
+   */
+  function isTracked(container) {
+    return !!container.value || container.states.length > 0;
   }
 
-  function indent(depth) {
-    return new Array(depth).join("  ");
+  function isJsonWhitespace(c) {
+    return c === " " || c === "\n" || c === "\r" || c === "\t";
   }
 
   /**
-   * A collection of unique elements.
+   * A compiled path expression, in a subset of JSONPath syntax:
+   *
+   * - `$` is the root value, and every path must start with it
+   * - `.name` or `['name']` selects a member of an object
+   * - `[n]` selects an element of an array
+   * - `.*` or `[*]` selects every member or element
+   * - `..` before any of the above selects matching values at any depth
    *
+   * A path is matched like a little state machine: each value in the JSON has a
+   * set of states (how far along the path it might be), which is worked out from
+   * its parent's states and its own key or index.
+   *
+   * @param {string} path The path expression, e.g. "$.items[*]".
    * @constructor
    */
-  function Set() {
-    this.table = {};
+  function JsonPath(path) {
+    this.path     = path;
+    this.segments = JsonPath.compile(path);
   }
 
-  /**
-   * Attempts to add a unique value to the set.
-   *
-   * @param {*} value The value to add.
-   * @return {boolean} True if the value was added to the set (meaning an equal
-   *     value was not already present), or else false.
-   */
-  Set.prototype.add = function(value) {
-    var table = this.table,
-        type  = typeof value,
+  JsonPath.compile = function(path) {
+    var segments = [],
+        i = 1,
+        descendant,
+        match;
 
-        // only applies for strings
-        firstChar,
+    if (path.charAt(0) !== "$") {
+      throw "Invalid path '" + path + "': paths must start with '$'";
+    }
 
-        // only applies for objects
-        objects;
+    while (i < path.length) {
+      descendant = path.substring(i, i + 2) === "..";
+      if (descendant) {
+        i += path.charAt(i + 2) === "[" ? 2 : 1;
+      }
 
-    switch (type) {
-      case "number":
-      case "boolean":
-      case "undefined":
-        if (!table[value]) {
-          table[value] = true;
-          return true;
-        }
-        return false;
+      match = (/^(?:\.([A-Za-z_$][\w$]*|\*)|\[(?:(\d+)|\*|'([^']*)'|"([^"]*)")\])/).exec(path.substring(i));
+      if (!match) {
+        throw "Invalid path '" + path + "' at position " + i;
+      }
 
-      case "string":
-        // Essentially, escape the first character if it could possibly collide
-        // with a number, boolean, or undefined (or a string that happens to start
-        // with the escape character!), OR if it could override a special property
-        // such as '__proto__' or 'constructor'.
-        firstChar = value.charAt(0);
-        if ("_ftc@".indexOf(firstChar) >= 0 || (firstChar >= "0" && firstChar <= "9")) {
-          value = "@" + value;
-        }
-        if (!table[value]) {
-          table[value] = true;
-          return true;
-        }
-        return false;
+      if (match[1] && match[1] !== "*") {
+        segments.push({ descendant: descendant, name: match[1] });
+      } else if (match[2]) {
+        segments.push({ descendant: descendant, index: Number(match[2]) });
+      } else if (typeof match[3] === "string" || typeof match[4] === "string") {
+        segments.push({ descendant: descendant, name: match[3] || match[4] || "" });
+      } else {
+        segments.push({ descendant: descendant, wildcard: true });
+      }
 
-      default:
-        // For objects and functions, we can't really do anything other than store
-        // them in an array and do a linear search for reference equality.
-        objects = this.objects;
-        if (!objects) {
-          objects = this.objects = [];
-        }
-        if (!contains(objects, value)) {
-          objects.push(value);
-          return true;
-        }
-        return false;
+      i += match[0].length;
     }
+
+    return segments;
+  };
+
+  JsonPath.prototype.initialStates = function() {
+    return [0];
   };
 
   /**
-   * Checks whether the set contains a value.
+   * Works out the states of a value from those of its parent.
    *
-   * @param {*} value The value to check for.
-   * @return {boolean} True if the set contains the value, or else false.
+   * @param {Array.<number>} states The parent's states.
+   * @param {string|number} key The value's key (in an object) or index (in an
+   *     array).
+   * @return {Array.<number>} The value's states.
    */
-  Set.prototype.contains = function(value) {
-    var type = typeof value,
+  JsonPath.prototype.step = function(states, key) {
+    var segments = this.segments,
+        result   = [],
+        segment,
+        state,
+        i;
 
-        // only applies for strings
-        firstChar;
+    for (i = 0; i < states.length; ++i) {
+      state   = states[i];
+      segment = segments[state];
 
-    switch (type) {
-      case "number":
-      case "boolean":
-      case "undefined":
-        return !!this.table[value];
+      if (!segment) {
+        continue;
+      }
 
-      case "string":
-        // Essentially, escape the first character if it could possibly collide
-        // with a number, boolean, or undefined (or a string that happens to start
-        // with the escape character!), OR if it could override a special property
-        // such as '__proto__' or 'constructor'.
-        firstChar = value.charAt(0);
-        if ("_ftc@".indexOf(firstChar) >= 0 || (firstChar >= "0" && firstChar <= "9")) {
-          value = "@" + value;
-        }
-        return !!this.table[value];
+      // A descendant segment can match at any depth, so it stays in play.
+      if (segment.descendant) {
+        addState(result, state);
+      }
 
-      default:
-        // For objects and functions, we can't really do anything other than store
-        // them in an array and do a linear search for reference equality.
-        return this.objects && contains(this.objects, value);
+      if (segment.wildcard ||
+          (typeof key === "string" && segment.name === key) ||
+          (typeof key === "number" && segment.index === key)) {
+        addState(result, state + 1);
+      }
     }
+
+    return result;
   };
 
-  /*** Exposing Lazy to the world ***/
+  JsonPath.prototype.isSelected = function(states) {
+    return contains(states, this.segments.length);
+  };
 
-  // For Node.js
-  if (typeof module !== "undefined") {
-    module.exports = Lazy;
+  function addState(states, state) {
+    if (!contains(states, state)) {
+      states.push(state);
+    }
+  }
 
-  // For browsers
-  } else {
-    context.Lazy = Lazy;
+  /**
+   * The error raised when parsing invalid JSON with {@link Lazy.parse}.
+   *
+   * @param {string} message A description of the problem.
+   * @param {number} line The (1-based) line where the problem was found.
+   * @param {number} column The (1-based) column where the problem was found.
+   * @param {number} offset The (0-based) offset from the beginning of the JSON
+   *     where the problem was found.
+   * @constructor
+   */
+  function JsonParseError(message, line, column, offset) {
+    this.message = message + " at line " + line + ", column " + column;
+    this.line    = line;
+    this.column  = column;
+    this.offset  = offset;
   }
 
+  JsonParseError.prototype = new Error();
+  JsonParseError.prototype.name = "JsonParseError";
+
+  /**
+   * Parses JSON into a sequence of the values selected by a path expression. By
+   * default this selects the elements of a top-level array. The values are
+   * parsed out lazily, so that (for example) getting the first element of a huge
+   * array doesn't require reading past that element. Parts of the JSON that
+   * aren't selected are checked for errors but otherwise skipped, without being
+   * built up in memory.
+   *
+   * Paths use a subset of JSONPath syntax: a path starts with `$` (the root),
+   * followed by any number of `.name`, `['name']`, `[index]`, `.*` or `[*]`
+   * segments; putting `..` before a segment makes it match at any depth. Once a
+   * value is selected it's produced as a whole, so any matches nested inside it
+   * aren't produced separately.
+   *
+   * The JSON can also be provided as a sequence of chunks, such as the result of
+   * calling `Lazy.readFile` in Node.js. In that case the JSON is parsed as each
+   * chunk is read, and the sequence works asynchronously.
+   *
+   * @param {string|Sequence} json A string of JSON, or a sequence whose elements
+   *     are consecutive chunks of one.
+   * @param {string=} path A path expression selecting the values to produce.
+   *     Defaults to "$[*]".
+   * @return {Sequence} A sequence comprising the selected values, which are
+   *     parsed out lazily. Iterating over this sequence will raise a
+   *     {@link JsonParseError} if the JSON is invalid, or if the path looks
+   *     inside the document but the document is just a string, number or literal
+   *     (use the path "$" to parse such a document).
+   *
+   * @example
+   * Lazy.parse('[1, "two", { "three": [3] }]');
+   * // => sequence: (1, "two", { three: [3] })
+   *
+   * Lazy.parse('{ "meta": {}, "items": [1, 2] }', "$.items[*]");
+   * // => sequence: (1, 2)
+   *
+   * Lazy.parse('{ "a": { "users": [{ "email": "x@y.z" }] } }', "$..users[*].email");
+   * // => sequence: ("x@y.z")
+   *
+   * Lazy.parse(Lazy.readFile("path/to/huge.json")).take(10).toArray();
+   * // => AsyncHandle for the first 10 elements
+   */
+  Lazy.parse = function(json, path) {
+    return new JsonSequence(json, path);
+  };
+
+  /**
+   * Parses the chunks of this sequence as JSON. See {@link Lazy.parse}.
+   *
+   * @param {string=} path A path expression selecting the values to produce.
+   * @return {Sequence} A sequence comprising the selected values.
+   *
+   * @example
+   * Lazy.readFile("path/to/dump.json").parse("$.items[*]");
+   * // => sequence of the elements of the dump's "items" array
+   */
+  StreamLikeSequence.prototype.parse = function(path) {
+    return Lazy.parse(this, path);
+  };
+
+  Lazy.JsonParseError = JsonParseError;
+
 }(typeof global !== "undefined" ? global : window));
\ No newline at end of file
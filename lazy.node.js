@@ -1,8 +1,8 @@
 var fs     = require("fs");
 var http   = require("http");
-var os     = require("os");
 var Stream = require("stream");
 var URL    = require("url");
+var util   = require("util");
 
 // The starting point is everything that works in any environment (browser OR
 // Node.js)
@@ -15,11 +15,21 @@ function StreamedSequence(stream) {
   this.stream = stream;
 }
 
-StreamedSequence.prototype = new Lazy.Sequence();
+StreamedSequence.prototype = new Lazy.StreamLikeSequence();
 
+/**
+ * Opens the stream to read from, passing it to the callback along with a
+ * function that closes it, for when iteration stops before the stream ends. A
+ * stream that was passed to `Lazy` isn't ours to close, so it's just paused.
+ */
 StreamedSequence.prototype.openStream = function(callback) {
-  this.stream.resume();
-  callback(this.stream);
+  var stream = this.stream;
+  stream.resume();
+  callback(stream, function() { stream.pause(); });
+};
+
+StreamedSequence.prototype.getIterator = function() {
+  throw "A streamed sequence can't be iterated over synchronously; use each instead.";
 };
 
 /**
@@ -27,66 +37,49 @@ StreamedSequence.prototype.openStream = function(callback) {
  *
  * @param {function(string):*} fn The function to call on each chunk of data as
  *     it's read from the stream. Return false from the function to stop reading
- *     the stream.
+ *     the stream (which also closes a file or aborts an HTTP request).
+ * @return {AsyncHandle} A handle which will be resolved once the stream ends
+ *     (or `fn` returns false), or rejected if the stream emits an error.
  */
 StreamedSequence.prototype.each = function(fn) {
-  var encoding = this.encoding || "utf-8";
+  var encoding = this.encoding || "utf-8",
+      handle = new Lazy.AsyncHandle(),
+      i = 0;
 
-  this.openStream(function(stream) {
+  this.openStream(function(stream, close) {
     var listener = function(e) {
-      if (fn(e) === false) {
+      try {
+        if (fn(e, i++) === false) {
+          stream.removeListener("data", listener);
+          close();
+          handle.resolve();
+        }
+      } catch (err) {
         stream.removeListener("data", listener);
+        close();
+        handle.reject(err);
       }
     };
 
+    handle.flow = {
+      pause: function() { stream.pause(); },
+      resume: function() { stream.resume(); }
+    };
+
     stream.setEncoding(encoding);
     stream.on("data", listener);
-  });
-};
-
-function StreamedLineSequence(parent) {
-  this.parent = parent;
-}
 
-StreamedLineSequence.prototype = new Lazy.Sequence();
-
-/**
- * Handles every line of data in the underlying file.
- *
- * @param {function(string):*} fn The function to call on each line of data as
- *     it's read from the file. Return false from the function to stop reading
- *     the file.
- */
-StreamedLineSequence.prototype.each = function(fn) {
-  var i = 0;
-
-  this.parent.each(function(data) {
-    var finished = false;
-
-    // TODO: I'm pretty sure there's a bug here: if/when the buffer ends in the
-    // middle of a line, this will artificially split that line in two. I'll
-    // come back to this later.
-    Lazy(data).split(os.EOL || "\n").each(function(line) {
-      if (fn(line, i++) === false) {
-        finished = true;
-        return false;
-      }
+    stream.on("end", function() {
+      handle.resolve();
     });
 
-    if (finished) {
-      return false;
-    }
+    stream.on("error", function(err) {
+      stream.removeListener("data", listener);
+      handle.reject(err);
+    });
   });
-};
 
-/**
- * Creates a {@link Sequence} of lines as they are read from a file.
- *
- * @return {Sequence} A sequence comprising the lines in the underlying file, as
- *     they are read.
- */
-StreamedSequence.prototype.lines = function() {
-  return new StreamedLineSequence(this);
+  return handle;
 };
 
 function FileStreamSequence(path, encoding) {
@@ -98,14 +91,14 @@ FileStreamSequence.prototype = new StreamedSequence();
 
 FileStreamSequence.prototype.openStream = function(callback) {
   var stream = fs.createReadStream(this.path, { autoClose: true });
-  callback(stream);
+  callback(stream, function() { stream.destroy(); });
 };
 
 /**
  * Creates a {@link Sequence} from a file stream, whose elements are chunks of
- * data as the stream is read. This sequence works asynchronously, so
- * synchronous methods such as {@code indexOf}, {@code any}, and {@code toArray}
- * won't work.
+ * data as the stream is read. This sequence works asynchronously, so methods
+ * such as {@code indexOf}, {@code any}, and {@code toArray} return an
+ * {@link AsyncHandle} (and accept a callback) rather than a value.
  *
  * @param {string} path A path to a file.
  * @param {string} encoding The text encoding of the file (e.g., "utf-8").
@@ -123,14 +116,16 @@ function HttpStreamSequence(url, encoding) {
 HttpStreamSequence.prototype = new StreamedSequence();
 
 HttpStreamSequence.prototype.openStream = function(callback) {
-  http.get(URL.parse(this.url), callback);
+  var request = http.get(URL.parse(this.url), function(response) {
+    callback(response, function() { request.abort(); });
+  });
 };
 
 /**
  * Creates a {@link Sequence} from an HTTP stream, whose elements are chunks of
- * data as the stream is read. This sequence works asynchronously, so
- * synchronous methods such as {@code indexOf}, {@code any}, and {@code toArray}
- * won't work.
+ * data as the stream is read. This sequence works asynchronously, so methods
+ * such as {@code indexOf}, {@code any}, and {@code toArray} return an
+ * {@link AsyncHandle} (and accept a callback) rather than a value.
  *
  * @param {string} url The URL for the HTTP request.
  * @return {Sequence} The streamed sequence.
@@ -139,6 +134,366 @@ Lazy.makeHttpRequest = function(url) {
   return new HttpStreamSequence(url);
 };
 
+/**
+ * A readable stream which produces the elements of a sequence. Synchronous
+ * sequences are pulled from one element at a time, only as fast as the stream
+ * is read; asynchronous sequences (e.g., other streams) push their elements in
+ * as they arrive, and are paused whenever the stream's buffer fills up.
+ *
+ * @param {Sequence} sequence The sequence to read from.
+ * @param {Object} options See {@link Sequence#toStream}.
+ * @constructor
+ */
+function SequenceStream(sequence, options) {
+  var format = options.format;
+
+  Stream.Readable.call(this, {
+    objectMode: !format && options.objectMode !== false,
+    highWaterMark: options.highWaterMark,
+    encoding: options.encoding
+  });
+
+  this.sequence  = sequence;
+  this.formatter = format ? createFormatter(format, options) : null;
+  this.stringify = !format && options.objectMode === false;
+  this.index     = 0;
+  this.iterator  = null;
+  this.iteration = null;
+  this.waiting   = false;
+  this.started   = false;
+  this.stopped   = false;
+}
+
+util.inherits(SequenceStream, Stream.Readable);
+
+SequenceStream.prototype._read = function() {
+  try {
+    if (!this.started) {
+      this.started = true;
+
+      if (Lazy.isAsynchronous(this.sequence)) {
+        this.readAsync();
+        return;
+      }
+
+      this.iterator = this.sequence.getIterator();
+    }
+
+    if (this.iterator) {
+      this.readSync();
+    } else if (this.waiting) {
+      this.waiting = false;
+      this.iteration.resume();
+    }
+
+  } catch (e) {
+    this.fail(e);
+  }
+};
+
+SequenceStream.prototype.readSync = function() {
+  var iterator = this.iterator;
+
+  while (!this.stopped) {
+    if (!iterator.moveNext()) {
+      this.finish();
+      return;
+    }
+
+    if (!this.pushElement(iterator.current())) {
+      return;
+    }
+  }
+};
+
+SequenceStream.prototype.readAsync = function() {
+  var self = this;
+
+  // An asynchronous sequence pushes its elements in as they arrive, so once
+  // the stream's buffer is full the iteration is paused until it's read again.
+  this.iteration = this.sequence.each(function(e) {
+    if (self.stopped) {
+      return false;
+    }
+    if (!self.pushElement(e)) {
+      self.wait();
+    }
+  });
+
+  if (this.waiting) {
+    this.iteration.pause();
+  }
+
+  this.iteration.then(function() {
+    self.finish();
+  }, function(error) {
+    self.fail(error);
+  });
+};
+
+SequenceStream.prototype.wait = function() {
+  if (!this.waiting) {
+    this.waiting = true;
+    if (this.iteration) {
+      this.iteration.pause();
+    }
+  }
+};
+
+SequenceStream.prototype.pushElement = function(e) {
+  var index = this.index++;
+
+  if (this.formatter) {
+    e = this.formatter(e, index);
+  } else if (this.stringify) {
+    e = String(e);
+  } else if (e === null) {
+    throw "A stream in object mode can't contain null (element " + index + ")";
+  }
+
+  return this.push(e);
+};
+
+SequenceStream.prototype.finish = function() {
+  if (!this.stopped) {
+    this.stopped = true;
+    this.push(null);
+  }
+};
+
+SequenceStream.prototype.fail = function(error) {
+  if (!this.stopped) {
+    this.stopped = true;
+    this.emit("error", error);
+  }
+};
+
+SequenceStream.prototype._destroy = function(error, callback) {
+  this.stopped = true;
+
+  // Let a paused iteration carry on just far enough to see that it should stop
+  // (closing its source, e.g. a file).
+  if (this.waiting) {
+    this.waiting = false;
+    this.iteration.resume();
+  }
+
+  callback(error);
+};
+
+/**
+ * Creates a function which turns each element of a sequence into a string to
+ * write, in the given format.
+ *
+ * @param {string} format One of "lines", "ndjson" or "csv".
+ * @param {Object} options For "csv", any of the following:
+ *     - `fields`: the names of the fields to write, for sequences of objects
+ *       (default: the keys of the first element)
+ *     - `header`: whether to start by writing a row of field names (default:
+ *       true, for sequences of objects)
+ *     - `delimiter`: the string to separate fields with (default: `","`)
+ *     - `quote`: the character to quote fields with (default: `'"'`)
+ * @return {function(*, number):string} The formatter.
+ */
+function createFormatter(format, options) {
+  switch (format) {
+    case "lines":
+      return function(e) {
+        return String(e) + "\n";
+      };
+
+    case "ndjson":
+      return function(e) {
+        return JSON.stringify(e) + "\n";
+      };
+
+    case "csv":
+      return createCsvFormatter(options);
+
+    default:
+      throw "Unknown format '" + format + "' (expected 'lines', 'ndjson' or 'csv')";
+  }
+}
+
+function createCsvFormatter(options) {
+  var delimiter = options.delimiter || ",",
+      quote     = options.quote || '"',
+      fields    = options.fields;
+
+  function formatField(value) {
+    var string = value === null || typeof value === "undefined" ? "" : String(value);
+
+    if (string.indexOf(delimiter) !== -1 || string.indexOf(quote) !== -1 ||
+        string.indexOf("\n") !== -1 || string.indexOf("\r") !== -1) {
+      return quote + string.split(quote).join(quote + quote) + quote;
+    }
+
+    return string;
+  }
+
+  function formatRow(values) {
+    return values.map(formatField).join(delimiter) + "\r\n";
+  }
+
+  return function(e, index) {
+    var header = "";
+
+    if (e instanceof Array) {
+      return formatRow(e);
+    }
+
+    if (index === 0) {
+      fields = fields || Object.keys(e);
+      if (options.header !== false) {
+        header = formatRow(fields);
+      }
+    }
+
+    return header + formatRow(fields.map(function(field) {
+      return e[field];
+    }));
+  };
+}
+
+/**
+ * Calls a node-style callback, if there is one, once a handle is resolved or
+ * rejected.
+ */
+function notifyCallback(handle, callback) {
+  if (typeof callback === "function") {
+    handle.then(function(value) {
+      callback(null, value);
+    }, function(error) {
+      callback(error);
+    });
+  }
+  return handle;
+}
+
+/**
+ * Creates a readable stream which produces the elements of this sequence.
+ * Elements are pulled from the sequence only as the stream is read, so a
+ * large (or even infinite) sequence never has to be held in memory.
+ *
+ * @param {Object=} options Any of the following:
+ *     - `format`: one of "lines" (each element on its own line), "ndjson"
+ *       (each element as a line of JSON) or "csv" (each element, an object or
+ *       array, as a row of CSV; see below for more options). If this is given
+ *       the stream produces strings; otherwise it's in object mode and
+ *       produces the elements themselves.
+ *     - `objectMode`: pass `false` to produce each element as a string, with
+ *       no formatting
+ *     - `fields`, `header`, `delimiter`, `quote`: for "csv", the names of the
+ *       fields to write (default: the keys of the first element), whether to
+ *       write a header row (default: true), and the delimiter and quote
+ *       characters to use (default: `","` and `'"'`)
+ *     - `highWaterMark`, `encoding`: as for any readable stream
+ * @return {stream.Readable} The stream.
+ *
+ * @example
+ * Lazy.generate(Math.random).toStream({ format: "lines" }).pipe(process.stdout);
+ * // (writes random numbers to standard output for as long as it's open)
+ */
+Lazy.Sequence.prototype.toStream = function(options) {
+  return new SequenceStream(this, options || {});
+};
+
+/**
+ * Writes the elements of this sequence to a writable stream.
+ *
+ * @param {stream.Writable} writable The stream to write to.
+ * @param {Object=} options The options to use for reading from this sequence
+ *     (see {@link Sequence#toStream}). If the writable stream isn't in object
+ *     mode, and no `format` is given, each element is written as a string.
+ *     Pass `end: false` to leave the writable stream open afterwards.
+ * @param {Function=} callback A node-style callback to call once everything
+ *     has been written, or if an error occurs.
+ * @return {AsyncHandle} A handle which will be resolved once everything has
+ *     been written (or, with `end: false`, once this sequence has been read),
+ *     or rejected if either stream emits an error.
+ *
+ * @example
+ * Lazy.readFile("path/to/input.txt")
+ *   .lines()
+ *   .map(function(line) { return line.toUpperCase(); })
+ *   .pipe(process.stdout, { format: "lines", end: false });
+ */
+Lazy.Sequence.prototype.pipe = function(writable, options, callback) {
+  var handle = new Lazy.AsyncHandle(),
+      readable;
+
+  if (typeof options === "function") {
+    callback = options;
+    options = null;
+  }
+
+  options = Lazy(options || {}).defaults({
+    objectMode: !!(writable._writableState && writable._writableState.objectMode)
+  }).toObject();
+
+  readable = this.toStream(options);
+
+  // Whichever stream fails, the other one is closed (so that, e.g., the file
+  // being written by writeFile doesn't stay open).
+  readable.on("error", function(error) {
+    readable.unpipe(writable);
+    writable.destroy();
+    handle.reject(error);
+  });
+
+  writable.on("error", function(error) {
+    readable.destroy();
+    handle.reject(error);
+  });
+
+  if (options.end === false) {
+    readable.on("end", function() {
+      handle.resolve();
+    });
+  } else {
+    writable.on("finish", function() {
+      handle.resolve();
+    });
+  }
+
+  readable.pipe(writable, { end: options.end !== false });
+
+  return notifyCallback(handle, callback);
+};
+
+/**
+ * Writes the elements of this sequence to a file.
+ *
+ * @param {string} path The path of the file to write.
+ * @param {Object=} options Any of the options for {@link Sequence#toStream}.
+ *     The default `format` is "lines". You can also specify the file's
+ *     `encoding` (default: "utf-8").
+ * @param {Function=} callback A node-style callback to call once the file has
+ *     been written, or if an error occurs.
+ * @return {AsyncHandle} A handle which will be resolved once the file has been
+ *     written, or rejected if an error occurs.
+ *
+ * @example
+ * Lazy.readFile("path/to/events.ndjson")
+ *   .ndjson()
+ *   .filter(function(event) { return event.type === "error"; })
+ *   .writeFile("path/to/errors.csv", { format: "csv" });
+ */
+Lazy.Sequence.prototype.writeFile = function(path, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = null;
+  }
+
+  options = Lazy(options || {}).defaults({ format: "lines" }).toObject();
+
+  var writable = fs.createWriteStream(path, {
+    encoding: options.encoding || "utf-8"
+  });
+
+  return this.pipe(writable, options, callback);
+};
+
 /*
  * Assuming someone does:
  * var Lazy = require("lazy.js");
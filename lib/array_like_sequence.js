@@ -106,6 +106,15 @@ ArrayLikeSequence.prototype.length = function() {
   return this.parent.length();
 };
 
+/**
+ * Returns an {@link Iterator} which steps over this sequence by index.
+ *
+ * @return {Iterator} The iterator.
+ */
+ArrayLikeSequence.prototype.getIterator = function() {
+  return new Iterator(this);
+};
+
 /**
  * An optimized version of {@link Sequence#each}.
  */
@@ -131,6 +140,17 @@ ArrayLikeSequence.prototype.map = function(mapFn) {
 
 ArrayLikeSequence.prototype.collect = ArrayLikeSequence.prototype.map;
 
+/**
+ * An optimized version of {@link Sequence#scanRight}, which creates an
+ * `ArrayLikeSequence` so that the result still has a length.
+ *
+ * @param {Function} aggregator
+ * @param {*=} seed
+ */
+ArrayLikeSequence.prototype.scanRight = function(aggregator, seed) {
+  return new IndexedScanRightSequence(this, aggregator, seed, arguments.length >= 2);
+};
+
 /**
  * An optimized version of {@link Sequence#select}.
  */
@@ -179,6 +199,27 @@ ArrayLikeSequence.prototype.rest = function(count) {
 ArrayLikeSequence.prototype.tail =
 ArrayLikeSequence.prototype.drop = ArrayLikeSequence.prototype.rest;
 
+/**
+ * An optimized version of {@link Sequence#chunk}, which creates an
+ * `ArrayLikeSequence` so that the result still provides random access.
+ *
+ * @param {number} size
+ */
+ArrayLikeSequence.prototype.chunk = function(size) {
+  return new IndexedWindowedSequence(this, size, size, true);
+};
+
+/**
+ * An optimized version of {@link Sequence#windowed}, which creates an
+ * `ArrayLikeSequence` so that the result still provides random access.
+ *
+ * @param {number} size
+ * @param {number=} step
+ */
+ArrayLikeSequence.prototype.windowed = function(size, step) {
+  return new IndexedWindowedSequence(this, size, typeof step === "number" ? step : 1, false);
+};
+
 /**
  * An optimized version of {@link Sequence#concat}.
  *
@@ -195,7 +236,10 @@ ArrayLikeSequence.prototype.concat = function(var_args) {
 /**
  * An optimized version of {@link Sequence#uniq}.
  */
-ArrayLikeSequence.prototype.uniq = function() {
+ArrayLikeSequence.prototype.uniq = function(options) {
+  if (options) {
+    return Sequence.prototype.uniq.call(this, options);
+  }
   return new IndexedUniqueSequence(this);
 };
 
@@ -213,6 +257,44 @@ IndexedMappedSequence.prototype.get = function(i) {
   return this.mapFn(this.parent.get(i), i);
 };
 
+/**
+ * @constructor
+ */
+function IndexedScanRightSequence(parent, aggregator, seed, hasSeed) {
+  this.parent     = parent;
+  this.aggregator = aggregator;
+  this.seed       = seed;
+  this.hasSeed    = hasSeed;
+}
+
+IndexedScanRightSequence.prototype = new ArrayLikeSequence();
+
+IndexedScanRightSequence.prototype.get = function(i) {
+  var parent = this.parent,
+      memo   = this.seed,
+      j      = parent.length();
+
+  if (i < 0 || i >= j) {
+    return undefined;
+  }
+
+  if (!this.hasSeed) {
+    memo = parent.get(--j);
+  }
+  while (--j >= i) {
+    memo = this.aggregator(memo, parent.get(j), j);
+  }
+  return memo;
+};
+
+IndexedScanRightSequence.prototype.length = function() {
+  return this.parent.length();
+};
+
+IndexedScanRightSequence.prototype.getIterator = Sequence.prototype.getIterator;
+
+IndexedScanRightSequence.prototype.each = ScanRightSequence.prototype.each;
+
 /**
  * @constructor
  */
@@ -266,6 +348,45 @@ IndexedTakeSequence.prototype.length = function() {
   return this.count <= parentLength ? this.count : parentLength;
 };
 
+/**
+ * @constructor
+ */
+function IndexedWindowedSequence(parent, size, step, partial) {
+  checkWindow(size, step);
+  this.parent  = parent;
+  this.size    = size;
+  this.step    = step;
+  this.partial = partial;
+}
+
+IndexedWindowedSequence.prototype = new ArrayLikeSequence();
+
+IndexedWindowedSequence.prototype.get = function(i) {
+  var parent = this.parent,
+      start, end, window;
+
+  if (i < 0 || i >= this.length()) {
+    return undefined;
+  }
+
+  start  = i * this.step;
+  end    = Math.min(start + this.size, parent.length());
+  window = [];
+  while (start < end) {
+    window.push(parent.get(start++));
+  }
+  return window;
+};
+
+IndexedWindowedSequence.prototype.length = function() {
+  var parentLength = this.parent.length();
+
+  if (this.partial) {
+    return Math.ceil(parentLength / this.step);
+  }
+  return parentLength < this.size ? 0 : Math.floor((parentLength - this.size) / this.step) + 1;
+};
+
 /**
  * @constructor
  */
@@ -319,20 +440,22 @@ function IndexedUniqueSequence(parent) {
 
 IndexedUniqueSequence.prototype = new Sequence();
 
+IndexedUniqueSequence.prototype.getIterator = UniqueSequence.prototype.getIterator;
+
 IndexedUniqueSequence.prototype.eachArrayCache = function(fn) {
   // Basically the same implementation as w/ the set, but using an array because
   // it's cheaper for smaller sequences.
   var parent = this.parent,
       length = parent.length(),
       cache  = [],
-      find   = contains,
+      find   = containsValue,
       value,
       i = -1,
       j = 0;
 
   while (++i < length) {
     value = parent.get(i);
-    if (!find(cache, value)) {
+    if (!find(cache, value, cache.length)) {
       cache.push(value);
       if (fn(value, j++) === false) {
         return false;
@@ -351,6 +474,329 @@ function getEachForParent(parent) {
   }
 }
 
+/**
+ * The base for sequences of the ways to select elements from a pool
+ * (combinations, permutations and so on), in lexicographic order. Each
+ * selection is identified by an array of indices into the pool. Subclasses
+ * count the selections, find the indices of the selection at a given position
+ * (so that any of them can be accessed without enumerating the ones before it)
+ * and step from one selection to the next.
+ *
+ * @constructor
+ */
+function SelectionSequence() {}
+
+SelectionSequence.prototype = new ArrayLikeSequence();
+
+/**
+ * Gets the pool of elements to select from. It's read the first time it's
+ * needed and then kept, so that accessing selections by index (as sequences
+ * like {@link ArrayLikeSequence#drop} do) doesn't read it again every time.
+ *
+ * @return {Array} The pool.
+ */
+SelectionSequence.prototype.getPool = function() {
+  if (!this.pool) {
+    this.pool = this.readPool();
+  }
+  return this.pool;
+};
+
+SelectionSequence.prototype.readPool = function() {
+  return this.parent.toArray();
+};
+
+SelectionSequence.prototype.select = function(pool, indices) {
+  var selection = new Array(indices.length),
+      i = -1;
+
+  while (++i < indices.length) {
+    selection[i] = pool[indices[i]];
+  }
+  return selection;
+};
+
+SelectionSequence.prototype.get = function(i) {
+  var pool = this.getPool();
+
+  if (i < 0 || i >= this.countSelections(pool)) {
+    return undefined;
+  }
+  return this.select(pool, this.getIndices(pool, i));
+};
+
+SelectionSequence.prototype.length = function() {
+  return this.countSelections(this.getPool());
+};
+
+SelectionSequence.prototype.each = function(fn) {
+  var pool    = this.getPool(),
+      length  = this.countSelections(pool),
+      indices = length > 0 ? this.getIndices(pool, 0) : null,
+      i = -1;
+
+  while (++i < length) {
+    if (fn(this.select(pool, indices), i) === false) {
+      return false;
+    }
+    this.advance(pool, indices);
+  }
+};
+
+/**
+ * @constructor
+ */
+function CombinationSequence(parent, size, withReplacement) {
+  checkSelectionSize(size);
+  this.parent          = parent;
+  this.size            = size;
+  this.withReplacement = withReplacement;
+}
+
+CombinationSequence.prototype = new SelectionSequence();
+
+CombinationSequence.prototype.countSelections = function(pool) {
+  return countCombinations(pool.length, this.size, this.withReplacement);
+};
+
+CombinationSequence.prototype.getIndices = function(pool, i) {
+  return getCombination(pool.length, this.size, i, this.withReplacement);
+};
+
+CombinationSequence.prototype.advance = function(pool, indices) {
+  nextCombination(indices, pool.length, this.withReplacement);
+};
+
+/**
+ * @constructor
+ */
+function PermutationSequence(parent, size) {
+  if (typeof size !== "undefined") {
+    checkSelectionSize(size);
+  }
+  this.parent = parent;
+  this.size   = size;
+}
+
+PermutationSequence.prototype = new SelectionSequence();
+
+PermutationSequence.prototype.getSize = function(pool) {
+  return typeof this.size === "number" ? this.size : pool.length;
+};
+
+PermutationSequence.prototype.countSelections = function(pool) {
+  return countPermutations(pool.length, this.getSize(pool));
+};
+
+PermutationSequence.prototype.getIndices = function(pool, i) {
+  var n         = pool.length,
+      size      = this.getSize(pool),
+      available = [],
+      indices   = [],
+      block, j;
+
+  for (j = 0; j < n; ++j) {
+    available.push(j);
+  }
+
+  // Of the permutations starting with any given index, there are as many as
+  // there are permutations of the remaining indices.
+  for (j = 0; j < size; ++j) {
+    block = countPermutations(n - j - 1, size - j - 1);
+    indices.push(available.splice(Math.floor(i / block), 1)[0]);
+    i %= block;
+  }
+
+  return indices;
+};
+
+PermutationSequence.prototype.advance = function(pool, indices) {
+  var n    = pool.length,
+      used = [],
+      i, j, index;
+
+  for (i = 0; i < indices.length; ++i) {
+    used[indices[i]] = true;
+  }
+
+  // Find the last position that can take a greater unused index, give it the
+  // smallest such index, and fill the positions after it with the smallest
+  // unused indices in order.
+  for (i = indices.length - 1; i >= 0; --i) {
+    used[indices[i]] = false;
+    for (index = indices[i] + 1; index < n && used[index]; ++index) {}
+
+    if (index < n) {
+      indices[i] = index;
+      used[index] = true;
+
+      for (j = i + 1, index = 0; j < indices.length; ++j) {
+        while (used[index]) {
+          ++index;
+        }
+        indices[j] = index;
+        used[index] = true;
+      }
+      return;
+    }
+  }
+};
+
+/**
+ * @constructor
+ */
+function PowerSetSequence(parent) {
+  this.parent = parent;
+}
+
+PowerSetSequence.prototype = new SelectionSequence();
+
+PowerSetSequence.prototype.countSelections = function(pool) {
+  return Math.pow(2, pool.length);
+};
+
+PowerSetSequence.prototype.getIndices = function(pool, i) {
+  var n = pool.length,
+      size = 0;
+
+  // Subsets are ordered by size first.
+  while (i >= countCombinations(n, size, false)) {
+    i -= countCombinations(n, size++, false);
+  }
+  return getCombination(n, size, i, false);
+};
+
+PowerSetSequence.prototype.advance = function(pool, indices) {
+  var i;
+
+  if (!nextCombination(indices, pool.length, false)) {
+    indices.push(0);
+    for (i = 0; i < indices.length; ++i) {
+      indices[i] = i;
+    }
+  }
+};
+
+/**
+ * @constructor
+ */
+function ProductSequence(sources) {
+  this.sources = sources;
+}
+
+ProductSequence.prototype = new SelectionSequence();
+
+ProductSequence.prototype.readPool = function() {
+  var pools = [],
+      i = -1;
+
+  while (++i < this.sources.length) {
+    pools.push(Lazy(this.sources[i]).toArray());
+  }
+  return pools;
+};
+
+ProductSequence.prototype.select = function(pools, indices) {
+  var selection = new Array(indices.length),
+      i = -1;
+
+  while (++i < indices.length) {
+    selection[i] = pools[i][indices[i]];
+  }
+  return selection;
+};
+
+ProductSequence.prototype.countSelections = function(pools) {
+  var count = 1,
+      i = -1;
+
+  while (++i < pools.length) {
+    count *= pools[i].length;
+  }
+  return count;
+};
+
+ProductSequence.prototype.getIndices = function(pools, i) {
+  var indices = new Array(pools.length),
+      j = pools.length;
+
+  while (--j >= 0) {
+    indices[j] = i % pools[j].length;
+    i = Math.floor(i / pools[j].length);
+  }
+  return indices;
+};
+
+ProductSequence.prototype.advance = function(pools, indices) {
+  var j = pools.length;
+
+  while (--j >= 0) {
+    if (++indices[j] < pools[j].length) {
+      return;
+    }
+    indices[j] = 0;
+  }
+};
+
+function checkSelectionSize(size) {
+  if (typeof size !== "number" || size < 0 || size % 1 !== 0) {
+    throw "The number of elements to select must be a non-negative integer.";
+  }
+}
+
+/**
+ * Gets the indices of the combination at the given position, in lexicographic
+ * order, of k indices from 0 to n - 1.
+ *
+ * @param {number} n
+ * @param {number} k
+ * @param {number} i
+ * @param {boolean} withReplacement Whether the same index can be selected
+ *     more than once.
+ * @return {Array}
+ */
+function getCombination(n, k, i, withReplacement) {
+  var indices = [],
+      index = 0,
+      count, j;
+
+  // Skip past the blocks of combinations starting with each smaller index.
+  for (j = 0; j < k; ++j) {
+    while (i >= (count = countCombinations(n - index - (withReplacement ? 0 : 1), k - j - 1, withReplacement))) {
+      i -= count;
+      ++index;
+    }
+    indices.push(withReplacement ? index : index++);
+  }
+
+  return indices;
+}
+
+/**
+ * Changes the given indices to those of the next combination in lexicographic
+ * order, returning false if they were already the last one.
+ *
+ * @param {Array} indices
+ * @param {number} n
+ * @param {boolean} withReplacement
+ * @return {boolean}
+ */
+function nextCombination(indices, n, withReplacement) {
+  var k = indices.length,
+      i = k;
+
+  while (--i >= 0) {
+    if (indices[i] < (withReplacement ? n - 1 : n - k + i)) {
+      ++indices[i];
+      while (++i < k) {
+        indices[i] = withReplacement ? indices[i - 1] : indices[i - 1] + 1;
+      }
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * ArrayWrapper is the most basic {@link Sequence}. It directly wraps an array
  * and implements the same methods as {@link ArrayLikeSequence}, but more
@@ -418,7 +864,10 @@ ArrayWrapper.prototype.select = function(filterFn) {
  * An optimized version of {@link Sequence#uniq}.
  */
 ArrayWrapper.prototype.uniq =
-ArrayWrapper.prototype.unique = function() {
+ArrayWrapper.prototype.unique = function(options) {
+  if (options) {
+    return Sequence.prototype.uniq.call(this, options);
+  }
   return new UniqueArrayWrapper(this);
 };
 
@@ -453,7 +902,7 @@ function MappedArrayWrapper(source, mapFn) {
 MappedArrayWrapper.prototype = new ArrayLikeSequence();
 
 MappedArrayWrapper.prototype.get = function(i) {
-  return this.mapFn(this.source[i]);
+  return this.mapFn(this.source[i], i);
 };
 
 MappedArrayWrapper.prototype.length = function() {
@@ -507,10 +956,12 @@ function UniqueArrayWrapper(parent) {
 
 UniqueArrayWrapper.prototype = new CachingSequence();
 
+UniqueArrayWrapper.prototype.getIterator = UniqueSequence.prototype.getIterator;
+
 UniqueArrayWrapper.prototype.eachNoCache = function(fn) {
   var source = this.parent.source,
       length = source.length,
-      find   = containsBefore,
+      find   = containsValue,
       value,
 
       // Yes, this is hideous.
@@ -532,14 +983,14 @@ UniqueArrayWrapper.prototype.eachArrayCache = function(fn) {
   var source = this.parent.source,
       length = source.length,
       cache  = [],
-      find   = contains,
+      find   = containsValue,
       value,
       i = -1,
       j = 0;
 
   while (++i < length) {
     value = source[i];
-    if (!find(cache, value)) {
+    if (!find(cache, value, cache.length)) {
       cache.push(value);
       if (fn(value, j++) === false) {
         return false;
@@ -613,3 +1064,41 @@ ConcatArrayWrapper.prototype.each = function(fn) {
     }
   }
 };
+
+/**
+ * Wraps an object that isn't an array, but has a `length` and elements at
+ * indices `0` to `length - 1`: e.g., a typed array such as `Uint8Array`, an
+ * `arguments` object, or a DOM `NodeList`.
+ *
+ * @param {Object} source The array-like object to wrap.
+ * @constructor
+ */
+function ArrayLikeWrapper(source) {
+  this.source = source;
+}
+
+ArrayLikeWrapper.prototype = new ArrayLikeSequence();
+
+ArrayLikeWrapper.prototype.get = function(i) {
+  return this.source[i];
+};
+
+ArrayLikeWrapper.prototype.length = function() {
+  return this.source.length;
+};
+
+ArrayLikeWrapper.prototype.each = function(fn) {
+  var source = this.source,
+      length = source.length,
+      i = -1;
+
+  while (++i < length) {
+    if (fn(source[i], i) === false) {
+      break;
+    }
+  }
+};
+
+ArrayLikeWrapper.prototype.toArray = function() {
+  return Array.prototype.slice.call(this.source, 0);
+};
@@ -9,10 +9,18 @@
  * same way as other sequences for functions that return values directly (e.g.,
  * `reduce`, `max`, `any`, even `toArray`).
  *
- * The plan is to eventually implement all of these methods differently for
- * `AsyncSequence`: instead of returning values, they will accept a callback and
- * pass a result to the callback once iteration has been completed (or an error
- * is raised). But that isn't done yet.
+ * Instead, these methods return an {@link AsyncHandle}, which is resolved with
+ * the result once iteration has been completed (or rejected if an error is
+ * raised along the way). Each of them also accepts an optional node-style
+ * callback as its last argument:
+ *
+ *     Lazy(array).async().map(square).toArray().then(function(squares) {
+ *       // do something with squares
+ *     });
+ *
+ *     Lazy(array).async().map(square).sum(null, function(err, total) {
+ *       // do something with total (or err)
+ *     });
  *
  * Defining custom asynchronous sequences
  * --------------------------------------
@@ -49,22 +57,285 @@ function AsyncSequence(parent, interval) {
 
 AsyncSequence.prototype = new Sequence();
 
+/**
+ * Throws an exception. An asynchronous sequence can't be iterated over
+ * synchronously; use {@link #each} instead.
+ */
+AsyncSequence.prototype.getIterator = function() {
+  throw "An AsyncSequence can't be iterated over synchronously; use each instead.";
+};
+
 /**
  * An asynchronous version of {@link Sequence#each}.
+ *
+ * @return {AsyncHandle} A handle which will be resolved once iteration has
+ *     finished (or rejected, if `fn` throws an error).
  */
 AsyncSequence.prototype.each = function(fn) {
   var iterator = this.parent.getIterator(),
-      onNextCallback = this.onNextCallback;
+      onNextCallback = this.onNextCallback,
+      handle = new AsyncHandle(),
+      paused = false,
+      waiting = null,
+      i = 0;
+
+  function next(step) {
+    if (paused) {
+      waiting = step;
+    } else {
+      onNextCallback(step);
+    }
+  }
+
+  handle.flow = {
+    pause: function() {
+      paused = true;
+    },
+    resume: function() {
+      var step = waiting;
+      paused = false;
+      waiting = null;
+      if (step) {
+        onNextCallback(step);
+      }
+    }
+  };
 
   if (iterator.moveNext()) {
-    onNextCallback(function iterate() {
-      if (fn(iterator.current()) !== false && iterator.moveNext()) {
-        onNextCallback(iterate);
+    next(function iterate() {
+      try {
+        if (fn(iterator.current(), i++) !== false && iterator.moveNext()) {
+          next(iterate);
+        } else {
+          handle.resolve();
+        }
+      } catch (e) {
+        handle.reject(e);
       }
     });
+  } else {
+    handle.resolve();
   }
+
+  return handle;
 };
 
+/**
+ * An `AsyncHandle` represents the eventual result of an asynchronous
+ * operation, such as iterating over an {@link AsyncSequence}. It follows the
+ * same basic contract as a promise: call {@link #then} to be notified when the
+ * result is available (or an error has occurred).
+ *
+ * @constructor
+ */
+function AsyncHandle() {
+  this.resolveListeners = [];
+  this.rejectListeners  = [];
+  this.state            = "pending";
+  this.value            = undefined;
+  this.source           = null;
+  this.flow             = null;
+  this.handled          = false;
+}
+
+/**
+ * Resolves this handle with the given value, notifying any listeners. Once a
+ * handle is resolved or rejected, subsequent calls have no effect.
+ *
+ * @param {*=} value The result of the operation.
+ */
+AsyncHandle.prototype.resolve = function(value) {
+  this.settle("resolved", value);
+};
+
+/**
+ * Rejects this handle with the given error, notifying any listeners. If no
+ * one has called {@link #then} by the next tick, the error is thrown instead,
+ * so that it doesn't go unnoticed.
+ *
+ * @param {*} error The error that caused the operation to fail.
+ */
+AsyncHandle.prototype.reject = function(error) {
+  this.settle("rejected", error);
+};
+
+/**
+ * Registers functions to be called when this handle is resolved or rejected.
+ *
+ * @param {Function=} onResolved Called with the result of the operation.
+ * @param {Function=} onRejected Called with the error, if the operation fails.
+ * @return {AsyncHandle} A new handle which will be resolved with the value
+ *     returned from `onResolved` or `onRejected` (or, if that value is itself
+ *     a handle or promise, with *its* eventual result).
+ *
+ * @example
+ * Lazy([1, 2, 3]).async().sum().then(function(sum) {
+ *   console.log(sum);
+ * });
+ * // (logs 6 to the console)
+ */
+AsyncHandle.prototype.then = function(onResolved, onRejected) {
+  var handle = new AsyncHandle();
+
+  handle.source = this;
+  this.handled = true;
+  this.resolveListeners.push(createHandleListener(handle, onResolved, "resolve"));
+  this.rejectListeners.push(createHandleListener(handle, onRejected, "reject"));
+
+  if (this.state !== "pending") {
+    var self = this;
+    getOnNextCallback()(function() {
+      self.notify();
+    });
+  }
+
+  return handle;
+};
+
+/**
+ * Asks whatever is producing this handle's result (e.g., an asynchronous
+ * sequence or a stream being iterated over) to stop producing elements for
+ * now, if it can. This is for flow control; see {@link #resume}.
+ */
+AsyncHandle.prototype.pause = function() {
+  var flow = this.getFlow();
+  if (flow) {
+    flow.pause();
+  }
+};
+
+/**
+ * Lets iteration carry on after a call to {@link #pause}.
+ */
+AsyncHandle.prototype.resume = function() {
+  var flow = this.getFlow();
+  if (flow) {
+    flow.resume();
+  }
+};
+
+/**
+ * For internal use only.
+ */
+AsyncHandle.prototype.getFlow = function() {
+  var handle = this;
+
+  // Follow the chain of handles this one came from (via `then`) back to the
+  // iteration that actually produces the elements.
+  while (handle && !handle.flow) {
+    handle = handle.source;
+  }
+
+  return handle ? handle.flow : null;
+};
+
+/**
+ * For internal use only.
+ */
+AsyncHandle.prototype.settle = function(state, value) {
+  if (this.state !== "pending") {
+    return;
+  }
+
+  this.state = state;
+  this.value = value;
+  this.notify();
+
+  if (state === "rejected" && !this.handled) {
+    var self = this;
+    getOnNextCallback()(function() {
+      if (!self.handled) {
+        throw value;
+      }
+    });
+  }
+};
+
+/**
+ * For internal use only.
+ */
+AsyncHandle.prototype.notify = function() {
+  var listeners = this.state === "resolved" ? this.resolveListeners : this.rejectListeners,
+      value     = this.value,
+      i         = -1;
+
+  // Each listener should only ever be notified once.
+  this.resolveListeners = [];
+  this.rejectListeners  = [];
+
+  while (++i < listeners.length) {
+    listeners[i](value);
+  }
+};
+
+function createHandleListener(handle, callback, fallback) {
+  return function(value) {
+    var result;
+
+    if (typeof callback !== "function") {
+      handle[fallback](value);
+      return;
+    }
+
+    try {
+      result = callback(value);
+    } catch (e) {
+      handle.reject(e);
+      return;
+    }
+
+    if (result && typeof result.then === "function") {
+      result.then(function(x) { handle.resolve(x); }, function(e) { handle.reject(e); });
+    } else {
+      handle.resolve(result);
+    }
+  };
+}
+
+/**
+ * Produces the result of an operation that depends on iterating over a
+ * sequence. If the iteration was synchronous the result is returned directly;
+ * if it was asynchronous (i.e., `each` returned an {@link AsyncHandle}), a new
+ * handle is returned which will be resolved with the result instead.
+ *
+ * @param {*} iteration The value returned from `each` (or from another
+ *     operation that may have been asynchronous).
+ * @param {function(*):*} getResult Computes the result once iteration has
+ *     finished. It is passed the value `iteration` produced.
+ * @param {Function=} callback An optional node-style callback, to be passed
+ *     `(error, result)` once the result is available.
+ * @return {*} The result, or an {@link AsyncHandle} for it.
+ */
+function finishIteration(iteration, getResult, callback) {
+  var result;
+
+  if (iteration instanceof AsyncHandle) {
+    result = iteration.then(getResult);
+    if (typeof callback === "function") {
+      // The callback is called on its own tick, outside of the handle's
+      // listeners, so that anything it throws is thrown rather than turned
+      // into a rejection nobody will see.
+      result.then(
+        function(value) { callLater(callback, [null, value]); },
+        function(error) { callLater(callback, [error]); }
+      );
+    }
+    return result;
+  }
+
+  result = getResult(iteration);
+  if (typeof callback === "function") {
+    callback(null, result);
+  }
+  return result;
+}
+
+function callLater(fn, args) {
+  getOnNextCallback()(function() {
+    fn.apply(null, args);
+  });
+}
+
 function getOnNextCallback(interval) {
   if (typeof interval === "undefined") {
     if (typeof context.setImmediate === "function") {
@@ -1,187 +1,799 @@
 /**
+ * A JsonSequence lazily parses the values selected by a path expression (by
+ * default, the elements of a top-level array) from either a string or a
+ * sequence of chunks of a string (e.g., a stream).
+ *
+ * @param {string|Sequence} source The JSON to parse, or a sequence whose
+ *     elements are consecutive chunks of it.
+ * @param {string=} path The path expression selecting which values to produce
+ *     (see {@link Lazy.parse}).
  * @constructor
  */
-function JsonSequence(json) {
-  this.json = json;
+function JsonSequence(source, path) {
+  this.source = source;
+  this.path   = new JsonPath(path || "$[*]");
 };
 
 JsonSequence.prototype = new Sequence();
 
 JsonSequence.prototype.getIterator = function() {
-  return new JsonIterator(this.json);
+  return new JsonIterator(this.source, this.path);
 };
 
 JsonSequence.prototype.each = function(fn) {
-  var iterator = this.getIterator(),
-      i = 0;
-  while (iterator.moveNext()) {
-    if (fn(iterator.current(), i++) === false) {
-      break;
+  var i = 0,
+      stopped = false,
+      parser = new JsonParser(this.path, function(value) {
+        return fn(value, i++);
+      });
+
+  if (typeof this.source === "string") {
+    if (parser.write(this.source) !== false) {
+      parser.end();
     }
+    return;
   }
+
+  var iteration = this.source.each(function(chunk) {
+    if (parser.write(chunk) === false) {
+      stopped = true;
+      return false;
+    }
+  });
+
+  return finishIteration(iteration, function() {
+    if (!stopped) {
+      parser.end();
+    }
+  });
 };
 
 /**
  * @constructor
  */
-function JsonIterator(json) {
-  this.json         = json;
-  this.pos          = -1;
-  this.state        = null;
-  this.currentValue = null;
+function JsonIterator(source, path) {
+  var self = this;
+
+  this.chunks       = typeof source === "string" ? new ArrayWrapper([source]).getIterator() : source.getIterator();
+  this.found        = false;
+  this.currentValue = undefined;
+
+  // Pause the parser after every element, so that each call to moveNext reads
+  // just far enough to produce the next one.
+  this.parser = new JsonParser(path, function(value) {
+    self.currentValue = value;
+    self.found = true;
+    return false;
+  });
 };
 
-// Possible states:
-// 0 - number
-// 1 - string
-// 2 - array
-// 3 - object
-
 JsonIterator.prototype.current = function() {
   return this.currentValue;
 };
 
+JsonIterator.prototype["return"] = LinesIterator.prototype["return"];
+
 JsonIterator.prototype.moveNext = function() {
-  this.establishState();
+  var parser = this.parser,
+      chunks = this.chunks;
 
-  switch (this.state) {
-    case 0: // number
-      this.readNumber();
-      return true;
-    case 1: // string
-      this.readString();
-      return true;
-    case 2: // array
-      this.readArray();
-      return true;
-    case 3: // object
-      this.readObject();
+  if (parser.finished) {
+    this.currentValue = undefined;
+    return false;
+  }
+
+  this.found = false;
+
+  // Pick up where the last value left off, then keep feeding in chunks until
+  // another value turns up.
+  if (parser.resume() === false) {
+    return true;
+  }
+
+  while (chunks.moveNext()) {
+    if (parser.write(chunks.current()) === false) {
       return true;
-    default:
-      return false;
+    }
   }
+
+  // The document itself might be the last value (e.g., a number).
+  parser.end();
+
+  if (!this.found) {
+    this.currentValue = undefined;
+  }
+
+  return this.found;
 };
 
-JsonIterator.prototype.establishState = function() {
-  var pos  = this.pos,
-      json = this.json,
-      c;
+/**
+ * An incremental JSON parser. It can be fed a JSON document in any number of
+ * chunks, split at any point, and passes every value selected by `path` to
+ * `onValue` as soon as that value has been read in full. Selected arrays and
+ * objects are parsed completely; everything else is checked for syntax errors
+ * but never actually built.
+ *
+ * @param {JsonPath} path The path selecting which values to produce.
+ * @param {function(*):*} onValue The function to call with each selected
+ *     value. Return false from this function to pause parsing; it can be
+ *     picked up again with {@link JsonParser#resume}.
+ * @constructor
+ */
+function JsonParser(path, onValue) {
+  this.path     = path;
+  this.onValue  = onValue;
+  this.buffer   = "";
+  this.index    = 0;
+  this.offset   = 0;
+  this.line     = 1;
+  this.column   = 1;
+  this.state    = "value";
+  this.stack    = [];
+  this.token    = "";
+  this.isKey    = false;
+  this.emit     = false;
+  this.keep     = false;
+  this.finished = false;
+}
 
-  // If we're somewhere in the middle now, skip the comma.
-  if (pos >= 0) {
-    // Space before the comma is allowed.
-    while (json.charAt(pos) === " ") { ++pos; }
+/**
+ * Parses the next chunk of JSON.
+ *
+ * @param {string} chunk The chunk.
+ * @return {boolean} False if `onValue` returned false (in which case the rest
+ *     of this chunk is still pending), or else true.
+ */
+JsonParser.prototype.write = function(chunk) {
+  this.buffer = this.buffer.substring(this.index) + chunk;
+  this.index  = 0;
+  return this.run();
+};
 
-    // Now, it's possible we just skipped a bunch of whitespace at the end of
-    // the JSON. In that case, we're done.
-    if (json.charAt(pos) === "]") {
-      this.state = null;
-      return;
-    }
+/**
+ * Resumes parsing whatever is left of the last chunk, after `onValue` returned
+ * false.
+ *
+ * @return {boolean} False if `onValue` returned false again, or else true.
+ */
+JsonParser.prototype.resume = function() {
+  return this.run();
+};
 
-    // Otherwise, the only thing we should see next is a comma.
-    c = json.charAt(pos++);
-    if (c !== ",") {
-      throw "Unexpected token '" + c + "' (expected ',')";
+/**
+ * Signals that there is no more JSON to parse.
+ *
+ * @throws {JsonParseError} If the JSON ended before the document was complete.
+ */
+JsonParser.prototype.end = function() {
+  if (this.finished) {
+    return;
+  }
+
+  this.finished = true;
+
+  // A document consisting of just a number or literal ends with that value.
+  if (this.stack.length === 0) {
+    if (this.state === "number") {
+      this.finishNumber();
+    } else if (this.state === "literal") {
+      this.finishLiteral();
     }
   }
 
-  // Just getting started here.
-  if (pos === -1) { ++pos; }
+  if (this.state !== "end") {
+    throw this.error("Unexpected end of input");
+  }
+};
+
+JsonParser.prototype.run = function() {
+  var buffer = this.buffer,
+      length = buffer.length,
+      c;
+
+  while (this.index < length) {
+    c = buffer.charAt(this.index);
+
+    switch (this.state) {
+      case "firstElement":
+        if (c === "]") {
+          this.advance(c);
+          if (this.closeContainer() === false) {
+            return false;
+          }
+        } else if (isJsonWhitespace(c)) {
+          this.advance(c);
+        } else {
+          this.state = "value";
+        }
+        break;
+
+      case "value":
+        if (this.startValue(c) === false) {
+          return false;
+        }
+        break;
+
+      case "firstKey":
+        if (c === "}") {
+          this.advance(c);
+          if (this.closeContainer() === false) {
+            return false;
+          }
+        } else if (isJsonWhitespace(c)) {
+          this.advance(c);
+        } else {
+          // Otherwise this is the same as any other key.
+          this.state = "key";
+        }
+        break;
+
+      case "key":
+        if (!isJsonWhitespace(c)) {
+          if (c !== '"') {
+            throw this.unexpected(c, "a string");
+          }
+          this.isKey = true;
+          this.keep  = isTracked(this.stack[this.stack.length - 1]);
+          this.token = "";
+          this.state = "string";
+        }
+        this.advance(c);
+        break;
+
+      case "colon":
+        if (!isJsonWhitespace(c)) {
+          if (c !== ":") {
+            throw this.unexpected(c, "':'");
+          }
+          this.state = "value";
+        }
+        this.advance(c);
+        break;
+
+      case "afterValue":
+        if (this.afterValue(c) === false) {
+          return false;
+        }
+        break;
+
+      case "string":
+        if (this.readString() === false) {
+          return false;
+        }
+        break;
+
+      case "escape":
+        this.readEscape(c);
+        break;
 
-  // Skip any leading whitespace.
-  while (json.charAt(pos) === " ") { ++pos; }
+      case "unicode":
+        if (!(/[0-9a-fA-F]/).test(c)) {
+          throw this.unexpected(c, "a hexadecimal digit");
+        }
+        this.hex += c;
+        this.advance(c);
+        if (this.hex.length === 4) {
+          if (this.keep) {
+            this.token += String.fromCharCode(parseInt(this.hex, 16));
+          }
+          this.state = "string";
+        }
+        break;
+
+      case "number":
+        if ("0123456789+-.eE".indexOf(c) === -1) {
+          if (this.finishNumber() === false) {
+            return false;
+          }
+        } else {
+          this.token += c;
+          this.advance(c);
+        }
+        break;
 
-  if (this.state === null) {
-    c = json.charAt(pos++);
-    if (c !== "[") {
-      throw "Unexpected token '" + c + "' (right now Lazy.js can only parse JSON arrays)";
+      case "literal":
+        if (c >= "a" && c <= "z") {
+          this.token += c;
+          this.advance(c);
+        } else if (this.finishLiteral() === false) {
+          return false;
+        }
+        break;
+
+      case "end":
+        if (!isJsonWhitespace(c)) {
+          throw this.unexpected(c, "the end of input");
+        }
+        this.advance(c);
+        break;
     }
   }
 
-  c = json.charAt(pos);
+  return true;
+};
+
+JsonParser.prototype.startValue = function(c) {
+  if (isJsonWhitespace(c)) {
+    this.advance(c);
+    return;
+  }
+
+  // Rather than silently producing nothing, complain if the path needs to look
+  // inside the document but the document isn't an array or object.
+  if (this.stack.length === 0 && this.path.segments.length > 0 && c !== "[" && c !== "{") {
+    throw this.unexpected(c, "an array or object, as the path '" + this.path.path +
+      "' selects values inside one");
+  }
+
   switch (c) {
     case '"':
-      ++pos;
-      this.state = 1;
-      break;
+      this.selectValue();
+      this.isKey = false;
+      this.token = "";
+      this.state = "string";
+      this.advance(c);
+      return;
 
     case "[":
-      ++pos;
-      this.state = 2;
-      break;
+    case "{":
+      this.pushContainer(c === "[");
+      this.state = c === "[" ? "firstElement" : "firstKey";
+      this.advance(c);
+      return;
 
-    case '{':
-      ++pos;
-      this.state = 3;
-      break;
+    case "t":
+    case "f":
+    case "n":
+      this.selectValue();
+      this.token = "";
+      this.state = "literal";
+      return;
 
     default:
-      if (c >= "0" && c <= "9") {
-        this.state = 0;
-        break;
+      if (c === "-" || (c >= "0" && c <= "9")) {
+        this.selectValue();
+        this.token = "";
+        this.state = "number";
+        return;
       }
 
-      throw "Unexpected token '" + c + "' (expected one of '\"', '[', '{', or a number)";
+      throw this.unexpected(c, "a value");
+  }
+};
+
+/**
+ * Works out what to do with the value that's about to be read: whether it's
+ * selected by the path (and so should be emitted), part of a selected value
+ * (and so should be kept), or neither. The result goes in `this.emit`,
+ * `this.keep` and `this.states`.
+ */
+JsonParser.prototype.selectValue = function() {
+  var parent = this.stack[this.stack.length - 1];
+
+  if (!parent) {
+    this.states = this.path.initialStates();
+  } else {
+    if (parent.isArray) {
+      ++parent.index;
+    }
+
+    if (parent.value) {
+      this.emit = false;
+      this.keep = true;
+      this.states = undefined;
+      return;
+    }
+
+    this.states = this.path.step(parent.states, parent.isArray ? parent.index : parent.key);
+  }
+
+  this.emit = this.path.isSelected(this.states);
+  this.keep = this.emit;
+};
+
+JsonParser.prototype.pushContainer = function(isArray) {
+  this.selectValue();
+
+  this.stack.push({
+    isArray: isArray,
+    index: -1,
+    key: undefined,
+    emit: this.emit,
+
+    // Only selected values (and their contents) actually get built; for
+    // everything else we just need to know where we are in the path.
+    value: this.keep ? (isArray ? [] : {}) : undefined,
+    states: this.keep ? undefined : this.states
+  });
+};
+
+JsonParser.prototype.afterValue = function(c) {
+  var container = this.stack[this.stack.length - 1];
+
+  if (isJsonWhitespace(c)) {
+    this.advance(c);
+    return;
+  }
+
+  if (c === ",") {
+    this.state = container.isArray ? "value" : "key";
+    this.advance(c);
+    return;
+  }
+
+  if ((container.isArray && c === "]") || (!container.isArray && c === "}")) {
+    this.advance(c);
+    return this.closeContainer();
+  }
+
+  throw this.unexpected(c, container.isArray ? "',' or ']'" : "',' or '}'");
+};
+
+JsonParser.prototype.readString = function() {
+  var buffer = this.buffer,
+      length = buffer.length,
+      start  = this.index,
+      i      = start,
+      code;
+
+  // Read as much of the string as possible in one go, stopping at a closing
+  // quote, an escape sequence or the end of the chunk.
+  while (i < length) {
+    code = buffer.charCodeAt(i);
+    if (code === 34 || code === 92) {
+      break;
+    }
+    if (code < 32) {
+      this.column += i - start;
+      this.offset += i - start;
+      this.index = i;
+      throw this.unexpected(buffer.charAt(i), "a closing '\"' (control characters must be escaped)");
+    }
+    ++i;
+  }
+
+  if (this.keep) {
+    this.token += buffer.substring(start, i);
+  }
+  this.column += i - start;
+  this.offset += i - start;
+  this.index   = i;
+
+  if (i === length) {
+    return;
+  }
+
+  this.advance(buffer.charAt(i));
+
+  if (code === 92) {
+    this.state = "escape";
+    return;
+  }
+
+  if (this.isKey) {
+    this.stack[this.stack.length - 1].key = this.token;
+    this.state = "colon";
+    return;
+  }
+
+  return this.addValue(this.token);
+};
+
+JsonParser.prototype.readEscape = function(c) {
+  var escaped = JsonParser.escapes[c];
+
+  if (c === "u") {
+    this.hex = "";
+    this.state = "unicode";
+  } else if (typeof escaped === "string") {
+    if (this.keep) {
+      this.token += escaped;
+    }
+    this.state = "string";
+  } else {
+    throw this.unexpected(c, "a valid escape sequence");
   }
 
-  this.pos = pos;
+  this.advance(c);
+};
+
+JsonParser.escapes = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  "b": "\b",
+  "f": "\f",
+  "n": "\n",
+  "r": "\r",
+  "t": "\t"
+};
+
+JsonParser.prototype.finishNumber = function() {
+  var token = this.token;
+
+  if (!(/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/).test(token)) {
+    throw this.error("Invalid number '" + token + "'", token.length);
+  }
+
+  return this.addValue(parseFloat(token));
+};
+
+JsonParser.prototype.finishLiteral = function() {
+  var token = this.token;
+
+  switch (token) {
+    case "true":
+      return this.addValue(true);
+    case "false":
+      return this.addValue(false);
+    case "null":
+      return this.addValue(null);
+    default:
+      throw this.error("Invalid literal '" + token + "'", token.length);
+  }
 };
 
-JsonIterator.prototype.readNumber = function() {
-  var pos  = this.pos,
-      json = this.json,
-      c    = json.charAt(pos);
+JsonParser.prototype.addValue = function(value, emit) {
+  var container = this.stack[this.stack.length - 1];
 
-  while (c >= "0" && c <= "9") {
-    c = json.charAt(++pos);
+  if (typeof emit === "undefined") {
+    emit = this.emit;
   }
 
-  // If we're reading a float right now, we'll allow one dot and then a bunch
-  // more numbers.
-  if (c === ".") {
-    do {
-      c = json.charAt(++pos);
-    } while (c >= "0" && c <= "9");
+  this.state = container ? "afterValue" : "end";
 
-    this.currentValue = parseFloat(json.substring(this.pos, pos));
+  if (emit) {
+    return this.onValue(value);
+  }
 
+  if (container && container.value) {
+    if (container.isArray) {
+      container.value.push(value);
+    } else if (container.key === "__proto__") {
+      // Like JSON.parse, make this an own property rather than setting the
+      // object's prototype.
+      Object.defineProperty(container.value, container.key, {
+        value: value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    } else {
+      container.value[container.key] = value;
+    }
+  }
+};
+
+JsonParser.prototype.closeContainer = function() {
+  var container = this.stack.pop();
+  return this.addValue(container.value, container.emit);
+};
+
+JsonParser.prototype.advance = function(c) {
+  ++this.index;
+  ++this.offset;
+
+  if (c === "\n") {
+    ++this.line;
+    this.column = 1;
   } else {
-    this.currentValue = parseInt(json.substring(this.pos, pos));
+    ++this.column;
+  }
+};
+
+JsonParser.prototype.unexpected = function(c, expected) {
+  return this.error("Unexpected token '" + c + "' (expected " + expected + ")");
+};
+
+/**
+ * @param {string} message
+ * @param {number=} backtrack How many characters before the current position
+ *     the problem started at (e.g., for an invalid number).
+ */
+JsonParser.prototype.error = function(message, backtrack) {
+  backtrack = backtrack || 0;
+  return new JsonParseError(message, this.line, this.column - backtrack, this.offset - backtrack);
+};
+
+/**
+ * Whether we need to know the keys of the given container's members; i.e.,
+ * whether the container is being built or might contain a selected value.
+ */
+function isTracked(container) {
+  return !!container.value || container.states.length > 0;
+}
+
+function isJsonWhitespace(c) {
+  return c === " " || c === "\n" || c === "\r" || c === "\t";
+}
+
+/**
+ * A compiled path expression, in a subset of JSONPath syntax:
+ *
+ * - `$` is the root value, and every path must start with it
+ * - `.name` or `['name']` selects a member of an object
+ * - `[n]` selects an element of an array
+ * - `.*` or `[*]` selects every member or element
+ * - `..` before any of the above selects matching values at any depth
+ *
+ * A path is matched like a little state machine: each value in the JSON has a
+ * set of states (how far along the path it might be), which is worked out from
+ * its parent's states and its own key or index.
+ *
+ * @param {string} path The path expression, e.g. "$.items[*]".
+ * @constructor
+ */
+function JsonPath(path) {
+  this.path     = path;
+  this.segments = JsonPath.compile(path);
+}
+
+JsonPath.compile = function(path) {
+  var segments = [],
+      i = 1,
+      descendant,
+      match;
+
+  if (path.charAt(0) !== "$") {
+    throw "Invalid path '" + path + "': paths must start with '$'";
   }
 
-  this.pos = pos;
+  while (i < path.length) {
+    descendant = path.substring(i, i + 2) === "..";
+    if (descendant) {
+      i += path.charAt(i + 2) === "[" ? 2 : 1;
+    }
+
+    match = (/^(?:\.([A-Za-z_$][\w$]*|\*)|\[(?:(\d+)|\*|'([^']*)'|"([^"]*)")\])/).exec(path.substring(i));
+    if (!match) {
+      throw "Invalid path '" + path + "' at position " + i;
+    }
+
+    if (match[1] && match[1] !== "*") {
+      segments.push({ descendant: descendant, name: match[1] });
+    } else if (match[2]) {
+      segments.push({ descendant: descendant, index: Number(match[2]) });
+    } else if (typeof match[3] === "string" || typeof match[4] === "string") {
+      segments.push({ descendant: descendant, name: match[3] || match[4] || "" });
+    } else {
+      segments.push({ descendant: descendant, wildcard: true });
+    }
+
+    i += match[0].length;
+  }
+
+  return segments;
 };
 
-JsonIterator.prototype.readString = function() {
-  var pos  = this.pos,
-      json = this.json,
-      c    = json.charAt(pos);
+JsonPath.prototype.initialStates = function() {
+  return [0];
+};
+
+/**
+ * Works out the states of a value from those of its parent.
+ *
+ * @param {Array.<number>} states The parent's states.
+ * @param {string|number} key The value's key (in an object) or index (in an
+ *     array).
+ * @return {Array.<number>} The value's states.
+ */
+JsonPath.prototype.step = function(states, key) {
+  var segments = this.segments,
+      result   = [],
+      segment,
+      state,
+      i;
+
+  for (i = 0; i < states.length; ++i) {
+    state   = states[i];
+    segment = segments[state];
+
+    if (!segment) {
+      continue;
+    }
+
+    // A descendant segment can match at any depth, so it stays in play.
+    if (segment.descendant) {
+      addState(result, state);
+    }
 
-  while (c !== '"') {
-    // Advance twice if the next character is escaped.
-    if (c === "\\") {
-      ++pos;
+    if (segment.wildcard ||
+        (typeof key === "string" && segment.name === key) ||
+        (typeof key === "number" && segment.index === key)) {
+      addState(result, state + 1);
     }
+  }
 
-    c = json.charAt(++pos);
+  return result;
+};
+
+JsonPath.prototype.isSelected = function(states) {
+  return contains(states, this.segments.length);
+};
+
+function addState(states, state) {
+  if (!contains(states, state)) {
+    states.push(state);
   }
+}
+
+/**
+ * The error raised when parsing invalid JSON with {@link Lazy.parse}.
+ *
+ * @param {string} message A description of the problem.
+ * @param {number} line The (1-based) line where the problem was found.
+ * @param {number} column The (1-based) column where the problem was found.
+ * @param {number} offset The (0-based) offset from the beginning of the JSON
+ *     where the problem was found.
+ * @constructor
+ */
+function JsonParseError(message, line, column, offset) {
+  this.message = message + " at line " + line + ", column " + column;
+  this.line    = line;
+  this.column  = column;
+  this.offset  = offset;
+}
 
-  this.currentValue = json.substring(this.pos, pos);
-  this.pos = pos + 1;
+JsonParseError.prototype = new Error();
+JsonParseError.prototype.name = "JsonParseError";
+
+/**
+ * Parses JSON into a sequence of the values selected by a path expression. By
+ * default this selects the elements of a top-level array. The values are
+ * parsed out lazily, so that (for example) getting the first element of a huge
+ * array doesn't require reading past that element. Parts of the JSON that
+ * aren't selected are checked for errors but otherwise skipped, without being
+ * built up in memory.
+ *
+ * Paths use a subset of JSONPath syntax: a path starts with `$` (the root),
+ * followed by any number of `.name`, `['name']`, `[index]`, `.*` or `[*]`
+ * segments; putting `..` before a segment makes it match at any depth. Once a
+ * value is selected it's produced as a whole, so any matches nested inside it
+ * aren't produced separately.
+ *
+ * The JSON can also be provided as a sequence of chunks, such as the result of
+ * calling `Lazy.readFile` in Node.js. In that case the JSON is parsed as each
+ * chunk is read, and the sequence works asynchronously.
+ *
+ * @param {string|Sequence} json A string of JSON, or a sequence whose elements
+ *     are consecutive chunks of one.
+ * @param {string=} path A path expression selecting the values to produce.
+ *     Defaults to "$[*]".
+ * @return {Sequence} A sequence comprising the selected values, which are
+ *     parsed out lazily. Iterating over this sequence will raise a
+ *     {@link JsonParseError} if the JSON is invalid, or if the path looks
+ *     inside the document but the document is just a string, number or literal
+ *     (use the path "$" to parse such a document).
+ *
+ * @example
+ * Lazy.parse('[1, "two", { "three": [3] }]');
+ * // => sequence: (1, "two", { three: [3] })
+ *
+ * Lazy.parse('{ "meta": {}, "items": [1, 2] }', "$.items[*]");
+ * // => sequence: (1, 2)
+ *
+ * Lazy.parse('{ "a": { "users": [{ "email": "x@y.z" }] } }', "$..users[*].email");
+ * // => sequence: ("x@y.z")
+ *
+ * Lazy.parse(Lazy.readFile("path/to/huge.json")).take(10).toArray();
+ * // => AsyncHandle for the first 10 elements
+ */
+Lazy.parse = function(json, path) {
+  return new JsonSequence(json, path);
 };
 
 /**
- * Parses a JSON array into a sequence.
+ * Parses the chunks of this sequence as JSON. See {@link Lazy.parse}.
  *
- * NOTE: This method is *barely* functional right now! Only supports strings,
- * doesn't really handle escaping, implementation basically sucks. Just a
- * proof-of-concept at this point.
+ * @param {string=} path A path expression selecting the values to produce.
+ * @return {Sequence} A sequence comprising the selected values.
  *
- * @param {string} json A string representing a JSON array.
- * @return {Sequence} A sequence comprising the elements in the JSON array,
- *     which are parsed out lazily.
+ * @example
+ * Lazy.readFile("path/to/dump.json").parse("$.items[*]");
+ * // => sequence of the elements of the dump's "items" array
  */
-Lazy.parse = function(json) {
-  return new JsonSequence(json);
+StreamLikeSequence.prototype.parse = function(path) {
+  return Lazy.parse(this, path);
 };
+
+Lazy.JsonParseError = JsonParseError;
@@ -26,6 +26,13 @@ GeneratedSequence.prototype.length = function() {
   return this.fixedLength;
 };
 
+/**
+ * See {@link Sequence#getIterator}.
+ */
+GeneratedSequence.prototype.getIterator = function() {
+  return new Iterator(this);
+};
+
 /**
  * See {@link Sequence#each}.
  */
@@ -39,3 +46,114 @@ GeneratedSequence.prototype.each = function(fn) {
     }
   }
 };
+
+/**
+ * An IteratedSequence starts with a seed, and produces each element after that
+ * by calling a function on the one before it. It goes on forever.
+ *
+ * @constructor
+ * @param {*} seed The first element.
+ * @param {function(*):*} nextFn A function which accepts an element and
+ *     returns the next one.
+ */
+function IteratedSequence(seed, nextFn) {
+  this.seed   = seed;
+  this.nextFn = nextFn;
+}
+
+IteratedSequence.prototype = new Sequence();
+
+/**
+ * Returns the length of this sequence, which is always `undefined`.
+ *
+ * @return {undefined}
+ */
+IteratedSequence.prototype.length = function() {
+  return undefined;
+};
+
+/**
+ * See {@link Sequence#getIterator}.
+ */
+IteratedSequence.prototype.getIterator = function() {
+  return new UnfoldingIterator(this.seed, iterationStep(this.nextFn));
+};
+
+/**
+ * See {@link Sequence#each}.
+ */
+IteratedSequence.prototype.each = function(fn) {
+  var nextFn = this.nextFn,
+      value = this.seed,
+      i = 0;
+
+  while (fn(value, i++) !== false) {
+    value = nextFn(value);
+  }
+  return false;
+};
+
+/**
+ * An UnfoldedSequence produces its elements from a seed, by repeatedly calling
+ * a function which returns an element along with the seed for the next one,
+ * until it returns nothing.
+ *
+ * @constructor
+ * @param {*} seed The initial seed.
+ * @param {function(*, number):Array} unfoldFn A function which accepts a seed
+ *     and an index, and returns an array of the element at that index and the
+ *     next seed, or else null, undefined or false to end the sequence.
+ */
+function UnfoldedSequence(seed, unfoldFn) {
+  this.seed     = seed;
+  this.unfoldFn = unfoldFn;
+}
+
+UnfoldedSequence.prototype = new Sequence();
+
+/**
+ * Returns the length of this sequence, which is always undefined: it isn't
+ * known without iterating over it (if it ends at all), even once it has been
+ * iterated to the end.
+ *
+ * @return {undefined}
+ */
+UnfoldedSequence.prototype.length = function() {
+  return undefined;
+};
+
+/**
+ * See {@link Sequence#getIterator}.
+ */
+UnfoldedSequence.prototype.getIterator = function() {
+  return new UnfoldingIterator(this.seed, this.unfoldFn);
+};
+
+/**
+ * See {@link Sequence#each}.
+ */
+UnfoldedSequence.prototype.each = function(fn) {
+  var unfoldFn = this.unfoldFn,
+      seed = this.seed,
+      i = 0,
+      step;
+
+  while ((step = unfoldFn(seed, i))) {
+    if (fn(step[0], i++) === false) {
+      return false;
+    }
+    seed = step[1];
+  }
+};
+
+/**
+ * Adapts the function given to {@link Lazy.iterate} to the kind given to
+ * {@link Lazy.unfold}, for {@link UnfoldingIterator}. The next element is only
+ * computed once it's needed.
+ */
+function iterationStep(nextFn) {
+  return function(previous, i) {
+    var value = i === 0 ? previous : nextFn(previous);
+    return [value, value];
+  };
+}
@@ -33,12 +33,36 @@ Iterator.prototype.moveNext = function() {
   return true;
 };
 
+/**
+ * Tells an iterator that it won't be moved along any further, so that it can
+ * clean up (e.g., run a generator's `finally` blocks, or close a file), if it
+ * knows how to. Like an ES2015 iterator, an {@link Iterator} can implement this
+ * as a `return` method.
+ *
+ * @param {Iterator} iterator The iterator to close (if any).
+ */
+function closeIterator(iterator) {
+  if (iterator && typeof iterator["return"] === "function") {
+    iterator["return"]();
+  }
+}
+
+/**
+ * The `return` method for iterators which move along another iterator (as
+ * `this.iterator`): closing one closes the other.
+ */
+function closeUnderlyingIterator() {
+  closeIterator(this.iterator);
+}
+
 /**
  * @constructor
  */
-function FilteringIterator(sequence, filterFn) {
+function FilteringIterator(sequence, filterFn, keyed) {
   this.iterator = sequence.getIterator();
   this.filterFn = filterFn;
+  this.keyed    = keyed;
+  this.index    = 0;
 }
 
 FilteringIterator.prototype.current = function() {
@@ -52,7 +76,429 @@ FilteringIterator.prototype.moveNext = function() {
 
   while (iterator.moveNext()) {
     value = iterator.current();
-    if (filterFn(value)) {
+    if (filterFn(value, this.keyed ? iterator.currentKey() : this.index++)) {
+      this.value = value;
+      return true;
+    }
+  }
+
+  this.value = undefined;
+  return false;
+};
+
+FilteringIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator for sequences which can only be iterated over with `each`. The
+ * whole sequence is evaluated the first time {@link #moveNext} is called.
+ *
+ * @param {Sequence} sequence The sequence to iterate over.
+ * @constructor
+ */
+function CachingIterator(sequence) {
+  this.sequence = sequence;
+  this.cache    = null;
+  this.keys     = null;
+  this.index    = -1;
+}
+
+CachingIterator.prototype.current = function() {
+  return this.cache[this.index];
+};
+
+/**
+ * Gets the key (or index) that was passed along with the current element, for
+ * object-like sequences.
+ *
+ * @return {*} The current key.
+ */
+CachingIterator.prototype.currentKey = function() {
+  return this.keys[this.index];
+};
+
+CachingIterator.prototype.moveNext = function() {
+  var cache = this.cache,
+      keys,
+      iteration;
+
+  if (!cache) {
+    cache = this.cache = [];
+    keys = this.keys = [];
+    iteration = this.sequence.each(function(e, key) {
+      cache.push(e);
+      keys.push(key);
+    });
+
+    if (iteration instanceof AsyncHandle) {
+      throw "An asynchronous sequence can't be iterated over synchronously.";
+    }
+  }
+
+  if (this.index >= cache.length - 1) {
+    return false;
+  }
+
+  ++this.index;
+  return true;
+};
+
+/**
+ * @constructor
+ */
+function MappingIterator(sequence, mapFn, keyed) {
+  this.iterator = sequence.getIterator();
+  this.mapFn    = mapFn;
+  this.keyed    = keyed;
+  this.index    = 0;
+  this.value    = undefined;
+}
+
+MappingIterator.prototype.current = function() {
+  return this.value;
+};
+
+MappingIterator.prototype.moveNext = function() {
+  var iterator = this.iterator;
+
+  if (iterator.moveNext()) {
+    this.value = this.mapFn(iterator.current(), this.keyed ? iterator.currentKey() : this.index++);
+    return true;
+  }
+
+  this.value = undefined;
+  return false;
+};
+
+MappingIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function StatefulMappingIterator(sequence, mapFn, initialState) {
+  this.iterator = sequence.getIterator();
+  this.mapFn    = mapFn;
+  this.state    = initialState;
+  this.index    = 0;
+  this.value    = undefined;
+}
+
+StatefulMappingIterator.prototype.current = function() {
+  return this.value;
+};
+
+StatefulMappingIterator.prototype.moveNext = function() {
+  var iterator = this.iterator,
+      result;
+
+  if (iterator.moveNext()) {
+    result = this.mapFn(this.state, iterator.current(), this.index++);
+    this.state = result[0];
+    this.value = result[1];
+    return true;
+  }
+
+  this.value = undefined;
+  return false;
+};
+
+StatefulMappingIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function TakeIterator(sequence, count) {
+  this.iterator = sequence.getIterator();
+  this.count    = count;
+}
+
+TakeIterator.prototype.current = function() {
+  return this.iterator.current();
+};
+
+TakeIterator.prototype.moveNext = function() {
+  // Don't even ask the underlying iterator for more than it needs to produce;
+  // and once it's produced enough, let it clean up.
+  if (this.count <= 0) {
+    if (this.count === 0) {
+      --this.count;
+      closeIterator(this.iterator);
+    }
+    return false;
+  }
+
+  --this.count;
+  return this.iterator.moveNext();
+};
+
+TakeIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function DropIterator(sequence, count) {
+  this.iterator = sequence.getIterator();
+  this.count    = count;
+}
+
+DropIterator.prototype.current = function() {
+  return this.iterator.current();
+};
+
+DropIterator.prototype.moveNext = function() {
+  var iterator = this.iterator;
+
+  while (this.count > 0) {
+    --this.count;
+    if (!iterator.moveNext()) {
+      return false;
+    }
+  }
+
+  return iterator.moveNext();
+};
+
+DropIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function TakeWhileIterator(sequence, predicate, negate) {
+  this.iterator  = sequence.getIterator();
+  this.predicate = predicate;
+  this.negate    = negate;
+  this.index     = 0;
+  this.finished  = false;
+}
+
+TakeWhileIterator.prototype.current = function() {
+  return this.finished ? undefined : this.iterator.current();
+};
+
+TakeWhileIterator.prototype.moveNext = function() {
+  if (this.finished || !this.iterator.moveNext()) {
+    this.finished = true;
+    return false;
+  }
+
+  if (!this.predicate(this.iterator.current(), this.index++) !== this.negate) {
+    this.finished = true;
+    closeIterator(this.iterator);
+    return false;
+  }
+  return true;
+};
+
+TakeWhileIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function DropWhileIterator(sequence, predicate, negate) {
+  this.iterator  = sequence.getIterator();
+  this.predicate = predicate;
+  this.negate    = negate;
+  this.dropping  = true;
+}
+
+DropWhileIterator.prototype.current = function() {
+  return this.iterator.current();
+};
+
+DropWhileIterator.prototype.moveNext = function() {
+  var iterator = this.iterator,
+      i = 0;
+
+  if (!this.dropping) {
+    return iterator.moveNext();
+  }
+
+  this.dropping = false;
+  while (iterator.moveNext()) {
+    if (!this.predicate(iterator.current(), i++) !== this.negate) {
+      return true;
+    }
+  }
+  return false;
+};
+
+DropWhileIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * @constructor
+ */
+function WindowingIterator(sequence, size, step, partial) {
+  this.iterator = sequence.getIterator();
+  this.size     = size;
+  this.step     = step;
+  this.partial  = partial;
+  this.buffer   = [];
+  this.skip     = 0;
+  this.finished = false;
+  this.value    = undefined;
+}
+
+WindowingIterator.prototype.current = function() {
+  return this.value;
+};
+
+WindowingIterator.prototype.moveNext = function() {
+  var iterator = this.iterator,
+      buffer   = this.buffer;
+
+  this.value = undefined;
+  if (this.finished) {
+    return false;
+  }
+
+  while (buffer.length < this.size) {
+    if (!iterator.moveNext()) {
+      this.finished = true;
+      if (this.partial && buffer.length > 0) {
+        this.value = buffer;
+        return true;
+      }
+      return false;
+    }
+
+    if (this.skip > 0) {
+      --this.skip;
+    } else {
+      buffer.push(iterator.current());
+    }
+  }
+
+  this.value = buffer;
+  if (this.step < this.size) {
+    this.buffer = buffer.slice(this.step);
+  } else {
+    this.buffer = [];
+    this.skip = this.step - this.size;
+  }
+  return true;
+};
+
+WindowingIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator over the runs of a {@link RunSequence}. Each run is only known to
+ * be over once the first element of the next one has been read, so that
+ * element is held on to until then.
+ *
+ * @constructor
+ */
+function RunIterator(sequence, keyFn, splitFn) {
+  this.iterator = sequence.getIterator();
+  this.keyFn    = keyFn;
+  this.splitFn  = splitFn;
+  this.next     = null;
+  this.nextKey  = undefined;
+  this.value    = undefined;
+}
+
+RunIterator.prototype.current = function() {
+  return this.value;
+};
+
+RunIterator.prototype.moveNext = function() {
+  var iterator = this.iterator,
+      run      = this.next,
+      lastKey  = this.nextKey,
+      e,
+      key;
+
+  this.next  = null;
+  this.value = undefined;
+
+  while (iterator.moveNext()) {
+    e = iterator.current();
+    key = this.keyFn ? this.keyFn(e) : e;
+
+    if (!run) {
+      run = [e];
+    } else if (this.splitFn(lastKey, key)) {
+      this.next = [e];
+      this.nextKey = key;
+      break;
+    } else {
+      run.push(e);
+    }
+    lastKey = key;
+  }
+
+  this.value = run || undefined;
+  return !!run;
+};
+
+RunIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator over each of the given sequences in turn. The iterator for each
+ * sequence isn't created until the one before it is finished.
+ *
+ * @param {Array.<Sequence>} sequences The sequences to iterate over.
+ * @constructor
+ */
+function ConcatenatingIterator(sequences) {
+  this.sequences = sequences;
+  this.iterator  = null;
+  this.position  = -1;
+}
+
+ConcatenatingIterator.prototype.current = function() {
+  return this.iterator.current();
+};
+
+ConcatenatingIterator.prototype.moveNext = function() {
+  while (!this.iterator || !this.iterator.moveNext()) {
+    if (++this.position >= this.sequences.length) {
+      return false;
+    }
+    this.iterator = this.sequences[this.position].getIterator();
+  }
+  return true;
+};
+
+ConcatenatingIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator which recursively steps into every array and sequence it comes
+ * across (see {@link Sequence#flatten}).
+ *
+ * @constructor
+ */
+function FlatteningIterator(sequence, depth, pairs) {
+  this.frames = [{ iterator: sequence.getIterator(), depth: depth }];
+  this.pairs  = pairs;
+  this.value  = undefined;
+}
+
+FlatteningIterator.prototype.current = function() {
+  return this.value;
+};
+
+FlatteningIterator.prototype.moveNext = function() {
+  var frames = this.frames,
+      frame,
+      value,
+      elements;
+
+  while (frames.length > 0) {
+    frame = frames[frames.length - 1];
+
+    if (!frame.iterator.moveNext()) {
+      frames.pop();
+      continue;
+    }
+
+    value = frame.iterator.current();
+    elements = frame.depth > 0 ? getNestedElements(value, this.pairs) : null;
+
+    if (elements) {
+      frames.push({
+        iterator: elements.getIterator(),
+        depth: this.pairs && value instanceof ObjectLikeSequence ? 0 : frame.depth - 1
+      });
+    } else {
       this.value = value;
       return true;
     }
@@ -62,6 +508,481 @@ FilteringIterator.prototype.moveNext = function() {
   return false;
 };
 
+FlatteningIterator.prototype["return"] = function() {
+  var frames = this.frames;
+  while (frames.length > 0) {
+    closeIterator(frames.pop().iterator);
+  }
+};
+
+/**
+ * Adapts an ES2015 iterator (from any object implementing the iterable
+ * protocol, such as a generator, `Map` or `Set`) to the {@link Iterator} API.
+ *
+ * @param {Object} iterable The iterable object.
+ * @constructor
+ */
+function IterableIterator(iterable) {
+  this.iterator = iterable[Symbol.iterator]();
+  this.value    = undefined;
+}
+
+IterableIterator.prototype.current = function() {
+  return this.value;
+};
+
+IterableIterator.prototype.moveNext = function() {
+  var result = this.iterator.next();
+
+  if (result.done) {
+    this.value = undefined;
+    return false;
+  }
+
+  this.value = result.value;
+  return true;
+};
+
+IterableIterator.prototype["return"] = function() {
+  var iterator = this.iterator;
+
+  this.value = undefined;
+  if (typeof iterator["return"] === "function") {
+    iterator["return"]();
+  }
+};
+
+/**
+ * An iterator over the properties of an object, in the same order as a
+ * `for...in` loop. Only the names of the properties are read up front; each
+ * value is read as the iterator gets to it.
+ *
+ * @param {Object} source The object.
+ * @constructor
+ */
+function ObjectIterator(source) {
+  this.source = source;
+  this.keys   = null;
+  this.index  = -1;
+}
+
+ObjectIterator.prototype.current = function() {
+  return this.source[this.keys[this.index]];
+};
+
+ObjectIterator.prototype.currentKey = function() {
+  return this.keys[this.index];
+};
+
+ObjectIterator.prototype.moveNext = function() {
+  var keys = this.keys,
+      key;
+
+  if (!keys) {
+    keys = this.keys = [];
+    for (key in this.source) {
+      keys.push(key);
+    }
+  }
+
+  if (this.index >= keys.length - 1) {
+    return false;
+  }
+
+  ++this.index;
+  return true;
+};
+
+/**
+ * An iterator over the entries of an ES2015 `Map`.
+ *
+ * @param {Map} source The map.
+ * @constructor
+ */
+function MapIterator(source) {
+  this.iterator = source.entries();
+  this.entry    = undefined;
+}
+
+MapIterator.prototype.current = function() {
+  return this.entry && this.entry[1];
+};
+
+MapIterator.prototype.currentKey = function() {
+  return this.entry && this.entry[0];
+};
+
+MapIterator.prototype.moveNext = function() {
+  var result = this.iterator.next();
+
+  this.entry = result.done ? undefined : result.value;
+  return !result.done;
+};
+
+MapIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator over the elements produced from a seed by a function like the
+ * one given to {@link Lazy.unfold}.
+ *
+ * @param {*} seed The initial seed.
+ * @param {function(*, number):Array} unfoldFn The function producing each
+ *     element and the next seed.
+ * @constructor
+ */
+function UnfoldingIterator(seed, unfoldFn) {
+  this.seed     = seed;
+  this.unfoldFn = unfoldFn;
+  this.index    = 0;
+  this.done     = false;
+  this.value    = undefined;
+}
+
+UnfoldingIterator.prototype.current = function() {
+  return this.value;
+};
+
+UnfoldingIterator.prototype.moveNext = function() {
+  var step = !this.done && this.unfoldFn(this.seed, this.index);
+
+  if (step) {
+    this.value = step[0];
+    this.seed = step[1];
+    ++this.index;
+    return true;
+  }
+
+  this.done = true;
+  this.value = undefined;
+  return false;
+};
+
+/**
+ * An iterator over the visits (see {@link TraversableSequence}) of a
+ * traversal of a tree or graph, which only looks at the children of each node
+ * once it gets to it.
+ *
+ * @param {TraversableSequence} sequence The tree or graph.
+ * @param {Array|Sequence} starts The nodes to start from, in turn.
+ * @param {string} order "preOrder", "postOrder" or "breadthFirst".
+ * @param {boolean} once Whether to visit each node only once (for graphs).
+ * @constructor
+ */
+function TraversalIterator(sequence, starts, order, once) {
+  this.sequence  = sequence;
+  this.starts    = Lazy(starts).getIterator();
+  this.order     = order;
+  this.visited   = once ? new Set() : null;
+  this.stack     = [];
+  this.queue     = [];
+  this.head      = 0;
+  this.expanding = null;
+  this.value     = undefined;
+}
+
+TraversalIterator.prototype.current = function() {
+  return this.value;
+};
+
+TraversalIterator.prototype["return"] = function() {
+  var stack = this.stack;
+
+  closeIterator(this.starts);
+  while (stack.length > 0) {
+    closeIterator(stack.pop().children);
+  }
+};
+
+TraversalIterator.prototype.moveNext = function() {
+  var visit;
+
+  do {
+    visit = this.order === "breadthFirst" ? this.nextBreadthFirst() : this.nextDepthFirst();
+    if (visit) {
+      this.value = visit;
+      return true;
+    }
+  } while (this.start());
+
+  this.value = undefined;
+  return false;
+};
+
+/**
+ * Begins traversing from the next start node that hasn't been visited yet,
+ * returning false if there aren't any.
+ */
+TraversalIterator.prototype.start = function() {
+  var node;
+
+  while (this.starts.moveNext()) {
+    node = this.starts.current();
+    if (this.discover(node)) {
+      this.push(new Visit(node, null));
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks whether a node should be visited, i.e., it hasn't been already (or
+ * it doesn't matter), and marks it as visited.
+ */
+TraversalIterator.prototype.discover = function(node) {
+  var visited = this.visited;
+
+  if (!visited) {
+    return true;
+  }
+  if (visited.contains(node)) {
+    return false;
+  }
+  visited.add(node);
+  return true;
+};
+
+TraversalIterator.prototype.push = function(visit) {
+  if (this.order === "breadthFirst") {
+    this.queue.push(visit);
+  } else {
+    this.stack.push({ visit: visit, entered: false, children: undefined });
+  }
+};
+
+/**
+ * Gets the visit of the next child of a node to visit, or null if there are
+ * no more.
+ */
+TraversalIterator.prototype.nextChild = function(visit, children) {
+  var child;
+
+  while (children && children.moveNext()) {
+    child = children.current();
+    if (this.discover(child)) {
+      return new Visit(child, visit);
+    }
+  }
+  return null;
+};
+
+TraversalIterator.prototype.nextDepthFirst = function() {
+  var stack = this.stack,
+      frame,
+      child;
+
+  while (stack.length > 0) {
+    frame = stack[stack.length - 1];
+
+    if (!frame.entered) {
+      frame.entered = true;
+      if (this.order === "preOrder") {
+        return frame.visit;
+      }
+    }
+
+    // Only get a node's children once the iteration moves past it.
+    if (frame.children === undefined) {
+      frame.children = this.sequence.getChildren(frame.visit.node);
+    }
+
+    child = this.nextChild(frame.visit, frame.children);
+    if (child) {
+      this.push(child);
+      continue;
+    }
+
+    stack.pop();
+    if (this.order === "postOrder") {
+      return frame.visit;
+    }
+  }
+
+  return null;
+};
+
+TraversalIterator.prototype.nextBreadthFirst = function() {
+  var queue = this.queue,
+      expanding = this.expanding,
+      children,
+      child;
+
+  // The children of each node are only added to the queue once the iteration
+  // moves past it.
+  if (expanding) {
+    children = this.sequence.getChildren(expanding.node);
+    while ((child = this.nextChild(expanding, children))) {
+      queue.push(child);
+    }
+  }
+
+  if (this.head < queue.length) {
+    this.expanding = queue[this.head];
+    queue[this.head++] = null;
+    return this.expanding;
+  }
+
+  this.queue = [];
+  this.head = 0;
+  this.expanding = null;
+  return null;
+};
+
+/**
+ * An iterator over the results of a {@link JoinSequence}. The other collection
+ * is indexed up front, while this sequence is read one element at a time.
+ *
+ * @param {JoinSequence} sequence The join.
+ * @constructor
+ */
+function JoinIterator(sequence) {
+  this.sequence  = sequence;
+  this.iterator  = sequence.parent.getIterator();
+  this.index     = sequence.createIndex();
+  this.matched   = sequence.type === "right" || sequence.type === "full" ? [] : null;
+  this.left      = undefined;
+  this.positions = null;
+  this.position  = 0;
+  this.unmatched = -1;
+  this.value     = undefined;
+}
+
+JoinIterator.prototype.current = function() {
+  return this.value;
+};
+
+JoinIterator.prototype.moveNext = function() {
+  var sequence = this.sequence,
+      elements = this.index.elements,
+      matched  = this.matched,
+      type     = sequence.type,
+      left,
+      positions,
+      j;
+
+  while (this.iterator) {
+    // Carry on through the matches for the last element, if there are any.
+    if (this.positions && this.position < this.positions.length) {
+      j = this.positions[this.position++];
+      if (matched) {
+        matched[j] = true;
+      }
+      this.value = sequence.resultFn(this.left, elements[j]);
+      return true;
+    }
+
+    if (!this.iterator.moveNext()) {
+      this.iterator = null;
+      break;
+    }
+
+    left = this.iterator.current();
+    positions = sequence.lookup(this.index, left);
+
+    if (type === "group") {
+      this.value = sequence.resultFn(left, sequence.getGroup(this.index, positions));
+      return true;
+    }
+
+    if (positions) {
+      this.left = left;
+      this.positions = positions;
+      this.position = 0;
+    } else if (type === "left" || type === "full") {
+      this.value = sequence.resultFn(left, undefined);
+      return true;
+    }
+  }
+
+  // For right and full outer joins, finish with the elements of the other
+  // collection that nothing matched.
+  while (matched && ++this.unmatched < elements.length) {
+    if (!matched[this.unmatched]) {
+      this.value = sequence.resultFn(undefined, elements[this.unmatched]);
+      return true;
+    }
+  }
+
+  this.value = undefined;
+  return false;
+};
+
+JoinIterator.prototype["return"] = closeUnderlyingIterator;
+
+/**
+ * An iterator over a sorted sequence, which only sorts as far as it's iterated
+ * (using a {@link Heap}).
+ *
+ * @param {SortedSequence} sequence The sorted sequence.
+ * @constructor
+ */
+function SortingIterator(sequence) {
+  this.sequence = sequence;
+  this.heap     = null;
+  this.value    = undefined;
+}
+
+SortingIterator.prototype.current = function() {
+  return this.value;
+};
+
+SortingIterator.prototype.moveNext = function() {
+  if (!this.heap) {
+    this.heap = this.sequence.createHeap();
+  }
+
+  if (this.heap.size() === 0) {
+    this.value = undefined;
+    return false;
+  }
+
+  this.value = this.heap.pop().value;
+  return true;
+};
+
+/**
+ * Adapts an {@link Iterator} to the ES2015 iterator protocol, which is what
+ * `for...of` loops, spread syntax and `Array.from` expect.
+ *
+ * @param {Iterator} iterator The iterator to adapt.
+ * @constructor
+ */
+function IteratorAdapter(iterator) {
+  this.iterator = iterator;
+  this.done     = false;
+}
+
+IteratorAdapter.prototype.next = function() {
+  if (!this.done && this.iterator.moveNext()) {
+    return { value: this.iterator.current(), done: false };
+  }
+
+  this.done = true;
+  return { value: undefined, done: true };
+};
+
+/**
+ * Called when a `for...of` loop (for example) stops early. The underlying
+ * iterator is closed, so that whatever it's reading from can clean up.
+ *
+ * @param {*=} value The value to finish with.
+ * @return {Object} A result marking the iterator as done.
+ */
+IteratorAdapter.prototype["return"] = function(value) {
+  if (!this.done) {
+    this.done = true;
+    closeIterator(this.iterator);
+  }
+  return { value: value, done: true };
+};
+
+if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+  // An ES2015 iterator is itself iterable.
+  IteratorAdapter.prototype[Symbol.iterator] = function() {
+    return this;
+  };
+}
+
 /**
  * @constructor
  * @param {string|StringLikeSequence} source
@@ -223,7 +1144,7 @@ UniqueMemoizer.prototype.contains = function(e) {
   }
 
   while (this.moveNext()) {
-    if (this.currentValue === e) {
+    if (this.set.contains(e)) {
       return true;
     }
   }
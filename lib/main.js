@@ -7,8 +7,20 @@
  *   (an {@link ObjectLikeSequence}).
  * - For **strings**, Lazy will create a sequence of characters (a
  *   {@link StringLikeSequence}).
+ * - For **array-like** objects, which have an integer `length` and indexed
+ *   elements (typed arrays, `arguments`, DOM node lists), Lazy will create an
+ *   {@link ArrayLikeSequence} just as for arrays. An object with a `length`
+ *   property but no elements at its first and last indices is treated as an
+ *   ordinary object; use {@link Lazy.fromArrayLike} to wrap it as an array.
+ * - For a **Map**, Lazy will create an {@link ObjectLikeSequence} whose keys
+ *   can be any value. For a **Set**, it will create a sequence of the set's
+ *   elements.
+ * - For any other **iterable** object (in environments supporting ES2015
+ *   iterators), such as a generator, `Map` or `Set`, Lazy will create a
+ *   sequence of the values it produces.
  *
- * @param {Array|Object|string} source An array, object, or string to wrap.
+ * @param {Array|Object|string} source An array, array-like object, object,
+ *     string, Map, Set or iterable to wrap.
  * @return {Sequence} The wrapped lazy object.
  *
  * @example
@@ -20,6 +32,15 @@
  *
  * var fromString = Lazy("hello, world!");
  * // => Lazy.StringLikeSequence
+ *
+ * var fromTypedArray = Lazy(new Uint8Array([1, 2, 3]));
+ * // => Lazy.ArrayLikeSequence
+ *
+ * var fromMap = Lazy(new Map([[{ id: 1 }, "foo"]]));
+ * // => Lazy.ObjectLikeSequence
+ *
+ * var fromSet = Lazy(new Set([1, 2, 3]));
+ * // => sequence: (1, 2, 3)
  */
 var Lazy = function(source) {
   if (source instanceof Array) {
@@ -28,10 +49,77 @@ var Lazy = function(source) {
     return new StringWrapper(source);
   } else if (source instanceof Sequence) {
     return source;
+  } else if (isMap(source)) {
+    return new MapWrapper(source);
+  } else if (isSet(source)) {
+    return new SetWrapper(source);
+  } else if (isArrayLike(source)) {
+    return new ArrayLikeWrapper(source);
+  } else if (isIterable(source)) {
+    return new IterableWrapper(source);
   }
   return new ObjectWrapper(source);
 };
 
+/**
+ * Creates an {@link ArrayLikeSequence} from an object with a `length` and
+ * elements at indices `0` to `length - 1`, whether or not {@link Lazy} would
+ * recognize it as array-like on its own.
+ *
+ * @param {Object} source The array-like object to wrap.
+ * @return {ArrayLikeSequence} The wrapped object.
+ *
+ * @example
+ * Lazy.fromArrayLike({ length: 2, 0: "foo", 1: "bar" });
+ * // => sequence: ("foo", "bar")
+ *
+ * function args() { return Lazy.fromArrayLike(arguments); }
+ * args(1, 2, 3).map(function(x) { return x * 2; });
+ * // => sequence: (2, 4, 6)
+ */
+Lazy.fromArrayLike = function(source) {
+  return new ArrayLikeWrapper(source);
+};
+
+/**
+ * Creates an {@link ObjectLikeSequence} from the entries of a `Map`. The keys
+ * passed along to {@link Sequence#each} (and to `map`, `filter`, etc.) are the
+ * map's own keys, which can be any value.
+ *
+ * @param {Map} source The map to wrap.
+ * @return {ObjectLikeSequence} The wrapped map.
+ *
+ * @example
+ * var ages = new Map([["Dan", 32], ["Jane", 28]]);
+ *
+ * Lazy.fromMap(ages).get("Jane");
+ * // => 28
+ *
+ * Lazy.fromMap(ages).keys();
+ * // => sequence: ("Dan", "Jane")
+ */
+Lazy.fromMap = function(source) {
+  return new MapWrapper(source);
+};
+
+/**
+ * Creates a {@link Sequence} of the values produced by an object implementing
+ * the ES2015 iterable protocol, such as a generator. This is the sequence
+ * {@link Lazy} creates for iterables it doesn't otherwise recognize; calling
+ * it directly forces an iterable (even an array, `Map` or `Set`) to be read
+ * through its iterator.
+ *
+ * @param {Object} source The iterable to wrap.
+ * @return {Sequence} The wrapped iterable.
+ *
+ * @example
+ * Lazy.fromIterable(new Map([["a", 1]]));
+ * // => sequence: (["a", 1])
+ */
+Lazy.fromIterable = function(source) {
+  return new IterableWrapper(source);
+};
+
 /**
  * Creates a {@link GeneratedSequence} using the specified generator function
  * and (optionally) length.
@@ -60,6 +148,135 @@ Lazy.generate = function(generatorFn, length) {
   return new GeneratedSequence(generatorFn, length);
 };
 
+/**
+ * Creates an indefinite sequence starting with the given seed, where each
+ * element after that is produced by calling a function on the one before it.
+ *
+ * Unlike a sequence from {@link Lazy.generate} that keeps its own state, this
+ * starts over from the seed every time it's iterated. (So the function should
+ * return a new value rather than modifying the one it's given.)
+ *
+ * @param {*} seed The first element.
+ * @param {function(*):*} nextFn The function to call on each element to get
+ *     the next one.
+ * @return {Sequence} The sequence.
+ *
+ * @example
+ * Lazy.iterate(1, function(x) { return x * 2; }).take(5);
+ * // => sequence: (1, 2, 4, 8, 16)
+ *
+ * Lazy.iterate([0, 1], function(pair) { return [pair[1], pair[0] + pair[1]]; })
+ *   .map(function(pair) { return pair[0]; })
+ *   .take(8);
+ * // => sequence: (0, 1, 1, 2, 3, 5, 8, 13)
+ */
+Lazy.iterate = function(seed, nextFn) {
+  return new IteratedSequence(seed, nextFn);
+};
+
+/**
+ * Creates a sequence from a seed, by calling a function with the seed (and an
+ * index) which returns an array of the next element and a new seed to call it
+ * with next time; or else null, undefined or false to end the sequence.
+ *
+ * Like {@link Lazy.iterate}, this starts over from the seed every time it's
+ * iterated. Its length is always undefined, even if the function does end the
+ * sequence, since there's no knowing when without iterating over it (and the
+ * function may not end it the same way every time). To count its elements,
+ * iterate over it, e.g. with `toArray().length`.
+ *
+ * @param {*} seed The initial seed.
+ * @param {function(*, number):Array} unfoldFn The function which produces
+ *     each element and the next seed.
+ * @return {Sequence} The sequence.
+ *
+ * @example
+ * function collatz(n) {
+ *   return n > 1 && [n, n % 2 === 0 ? n / 2 : 3 * n + 1];
+ * }
+ *
+ * Lazy.unfold(6, collatz);
+ * // => sequence: (6, 3, 10, 5, 16, 8, 4, 2)
+ *
+ * Lazy.unfold(firstPageUrl, function(url) {
+ *   var page = url && fetchPage(url);
+ *   return page && [page.items, page.nextPageUrl];
+ * }).flatten(1);
+ * // => (every item from every page, with pages fetched only as needed)
+ */
+Lazy.unfold = function(seed, unfoldFn) {
+  return new UnfoldedSequence(seed, unfoldFn);
+};
+
+/**
+ * Creates a sequence of the nodes in a tree, given its root and a way to get
+ * the children of each node: a function, or the name of a property, returning
+ * an array, sequence or iterable of them (or nothing, for a leaf).
+ *
+ * By itself, the sequence has every node in depth-first order. For other
+ * orders, and to know each node's depth and the path to it, see
+ * {@link TreeSequence#depthFirst}, {@link TreeSequence#breadthFirst} and
+ * {@link TreeSequence#postOrder}. Every traversal only looks at as much of the
+ * tree as it has to.
+ *
+ * @param {*} root The root of the tree.
+ * @param {Function|string} childrenFn The function (or property name) to get
+ *     the children of a node.
+ * @return {TreeSequence} The sequence of nodes.
+ *
+ * @example
+ * var menu = {
+ *   title: "File",
+ *   items: [
+ *     { title: "New", items: [{ title: "Window" }, { title: "Tab" }] },
+ *     { title: "Open" }
+ *   ]
+ * };
+ *
+ * Lazy.tree(menu, "items").pluck("title");
+ * // => sequence: ("File", "New", "Window", "Tab", "Open")
+ *
+ * Lazy.tree(menu, "items").breadthFirst().find(function(visit) {
+ *   return visit.node.title === "Tab";
+ * }).path().length;
+ * // => 3
+ */
+Lazy.tree = function(root, childrenFn) {
+  return new TreeSequence(root, createKeyFn(childrenFn));
+};
+
+/**
+ * Creates a sequence of the nodes in a directed graph, given some of its nodes
+ * and a way to get the nodes each one has edges to: a function, or the name of
+ * a property, returning an array, sequence or iterable of them (or nothing).
+ *
+ * By itself, the sequence has every node in depth-first order, starting from
+ * each of the given nodes in turn, and including any others reachable from
+ * them; each only once, even if the graph has cycles. See
+ * {@link GraphSequence} for other traversals, topological sorting and finding
+ * paths.
+ *
+ * @param {Array|Sequence} nodes The nodes of the graph (or the ones to start
+ *     from).
+ * @param {Function|string} edgesFn The function (or property name) to get the
+ *     nodes a node has edges to.
+ * @return {GraphSequence} The sequence of nodes.
+ *
+ * @example
+ * var graph = Lazy.graph(["a", "e"], function(node) {
+ *   return { a: ["b", "c"], b: ["a", "d"], e: ["d"] }[node];
+ * });
+ *
+ * graph;
+ * // => sequence: ("a", "b", "d", "c", "e")
+ *
+ * graph.shortestPath("e", "d");
+ * // => ["e", "d"]
+ */
+Lazy.graph = function(nodes, edgesFn) {
+  return new GraphSequence(nodes, createKeyFn(edgesFn));
+};
+
 /**
  * Creates a sequence from a given starting value, up to a specified stopping
  * value, incrementing by a given step.
@@ -104,12 +321,354 @@ Lazy.repeat = function(value, count) {
   return Lazy.generate(function() { return value; }, count);
 };
 
+/**
+ * Creates a function which returns pseudorandom numbers from 0 (inclusive) to
+ * 1 (exclusive), like `Math.random`, but always the same ones for the same
+ * seed. Pass it to {@link Lazy.generate} for a sequence of random numbers.
+ * ({@link Sequence#shuffle} and {@link Sequence#sample} take the seed itself,
+ * and create a new generator from it every time they're iterated.)
+ *
+ * The numbers come from the Mulberry32 generator, which is fast and random
+ * enough for shuffling and sampling, but not for cryptography.
+ *
+ * @param {number|string=} seed An integer or string to seed the generator
+ *     with. If this is omitted, a random seed is used.
+ * @return {function():number} The generator.
+ *
+ * @example
+ * var random = Lazy.random(42);
+ * var same = Lazy.random(42);
+ * random() === same();
+ * // => true
+ *
+ * Lazy.generate(Lazy.random(42)).take(3).toArray().length;
+ * // => 3
+ */
+Lazy.random = function(seed) {
+  var state;
+
+  if (typeof seed === "string") {
+    state = hashString(seed);
+  } else if (typeof seed === "number") {
+    state = seed | 0;
+  } else {
+    state = Math.floor(Math.random() * 4294967296) | 0;
+  }
+
+  return function() {
+    var t = state = (state + 0x6D2B79F5) | 0;
+    t = imul(t ^ (t >>> 15), t | 1);
+    t ^= t + imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates a sequence of every way to pick one element from each of the given
+ * arrays or sequences (their cartesian product), in lexicographic order. The
+ * tuples are generated as they are needed, and the sequence is array-like: its
+ * length is computed without generating any of them, and any of them can be
+ * accessed directly, so that {@link Sequence#drop} skips ahead for free.
+ *
+ * @param {...Array|Sequence} var_args The arrays or sequences to pick from.
+ * @return {ArrayLikeSequence} The sequence of tuples.
+ *
+ * @example
+ * Lazy.product([1, 2], ["a", "b"]);
+ * // => sequence: ([1, "a"], [1, "b"], [2, "a"], [2, "b"])
+ *
+ * Lazy.product(Lazy.range(1000), Lazy.range(1000), Lazy.range(1000)).length();
+ * // => 1000000000
+ *
+ * Lazy.product(Lazy.range(1000), Lazy.range(1000)).drop(999998).toArray();
+ * // => [[999, 998], [999, 999]]
+ */
+Lazy.product = function(var_args) {
+  return new ProductSequence(Array.prototype.slice.call(arguments, 0));
+};
+
+/**
+ * Functions for creating the aggregators used by
+ * {@link GroupedSequence#aggregate}. Each of them takes an optional key (a
+ * function, or the name of a property) used to get the value to aggregate from
+ * each element; without one, the element itself is used.
+ *
+ * An aggregator is an object with these methods:
+ *
+ * - `init()`: returns the initial state for a group.
+ * - `step(state, element)`: returns the state after adding an element.
+ * - `result(state)` (optional): returns the final result for a group, given
+ *   its state. Without this method the state itself is the result.
+ *
+ * @example
+ * var agg = Lazy.aggregators;
+ *
+ * Lazy(["apple", "avocado", "banana"]).groupBy(function(s) { return s.charAt(0); }).aggregate({
+ *   n: agg.count(),
+ *   longest: agg.max("length"),
+ *   words: agg.collect()
+ * });
+ * // => sequence: (("a", { n: 2, longest: 7, words: ["apple", "avocado"] }), ("b", { n: 1, longest: 6, words: ["banana"] }))
+ */
+Lazy.aggregators = {
+  /**
+   * Counts the elements in each group.
+   */
+  count: function() {
+    return {
+      init: function() { return 0; },
+      step: function(count) { return count + 1; }
+    };
+  },
+
+  /**
+   * Adds up the values in each group.
+   */
+  sum: function(key) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return 0; },
+      step: function(sum, e) {
+        var value = Number(keyFn(e));
+        return isNaN(value) ? sum : sum + value;
+      }
+    };
+  },
+
+  /**
+   * Averages the values in each group.
+   */
+  mean: function(key) {
+    return createMomentsAggregator(key, function(state) {
+      return state.mean;
+    });
+  },
+
+  /**
+   * Finds the (population) variance of the values in each group.
+   */
+  variance: function(key) {
+    return createMomentsAggregator(key, function(state) {
+      return state.m2 / state.count;
+    });
+  },
+
+  /**
+   * Finds the (population) standard deviation of the values in each group.
+   */
+  stdDev: function(key) {
+    return createMomentsAggregator(key, function(state) {
+      return Math.sqrt(state.m2 / state.count);
+    });
+  },
+
+  /**
+   * Finds the median of the values in each group. The key can also be given
+   * as part of an options object; see {@link Lazy.aggregators.percentile}.
+   */
+  median: function(key) {
+    return Lazy.aggregators.percentile(50, key);
+  },
+
+  /**
+   * Finds the given percentile (from 0 to 100) of the values in each group,
+   * interpolating between the nearest two values. In place of a key, this
+   * takes an options object:
+   *
+   * - `key`: the key to use, as for any other aggregator.
+   * - `approximate`: if true, estimates the percentile using the P² algorithm
+   *   rather than keeping every value, so that it takes constant space.
+   */
+  percentile: function(p, key) {
+    checkPercentile(p);
+    return createQuantileAggregator([p / 100], key, function(quantiles) {
+      return quantiles[0];
+    });
+  },
+
+  /**
+   * Finds the values dividing each group into the given number of equal parts
+   * (e.g., 4 for quartiles), as an array. Takes the same options as
+   * {@link Lazy.aggregators.percentile}.
+   */
+  quantiles: function(n, key) {
+    var fractions = [],
+        i;
+
+    if (typeof n !== "number" || n < 1 || n % 1 !== 0) {
+      throw "The number of quantiles must be a positive integer.";
+    }
+    for (i = 1; i < n; ++i) {
+      fractions.push(i / n);
+    }
+    return createQuantileAggregator(fractions, key, identity);
+  },
+
+  /**
+   * Finds the most common value in each group. Of values that are equally
+   * common, this is the one that got there first.
+   */
+  mode: function(key) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return { counts: new Dictionary(), count: 0 }; },
+      step: function(state, e) {
+        var value = keyFn(e),
+            count = (state.counts.get(value) || 0) + 1;
+
+        state.counts.set(value, count);
+        if (count > state.count) {
+          state.count = count;
+          state.mode = value;
+        }
+        return state;
+      },
+      result: function(state) { return state.mode; }
+    };
+  },
+
+  /**
+   * Counts the values in each group falling into each of the given bins.
+   * `bins` can be an array of the boundaries between them (e.g., [0, 10, 20]
+   * for the bins [0, 10) and [10, 20]), in which case values outside of them
+   * aren't counted; or a number of equally wide bins to spread out between the
+   * least and greatest values, which means keeping every value until the end.
+   * (If those are the same, there's just one bin, with nothing between its
+   * start and end.)
+   *
+   * The result is an array of objects with `start`, `end` and `count`
+   * properties.
+   */
+  histogram: function(bins, key) {
+    var keyFn = createKeyFn(key);
+
+    if (bins instanceof Array) {
+      checkBinBoundaries(bins);
+      return {
+        init: function() { return createBins(bins); },
+        step: function(histogram, e) {
+          countInBin(histogram, keyFn(e));
+          return histogram;
+        }
+      };
+    }
+
+    if (typeof bins !== "number" || bins < 1 || bins % 1 !== 0) {
+      throw "The number of bins must be a positive integer, or else an array of boundaries.";
+    }
+
+    return {
+      init: function() { return []; },
+      step: function(values, e) {
+        values.push(keyFn(e));
+        return values;
+      },
+      result: function(values) {
+        var least = Infinity,
+            greatest = -Infinity,
+            boundaries = [],
+            histogram,
+            i;
+
+        if (values.length === 0) {
+          return [];
+        }
+
+        for (i = 0; i < values.length; ++i) {
+          least = Math.min(least, values[i]);
+          greatest = Math.max(greatest, values[i]);
+        }
+        if (least === greatest) {
+          return [{ start: least, end: greatest, count: values.length }];
+        }
+        for (i = 0; i < bins; ++i) {
+          boundaries.push(least + (greatest - least) * i / bins);
+        }
+        boundaries.push(greatest);
+
+        histogram = createBins(boundaries);
+        for (i = 0; i < values.length; ++i) {
+          countInBin(histogram, values[i]);
+        }
+        return histogram;
+      }
+    };
+  },
+
+  /**
+   * Finds the least value in each group (see {@link Sequence#min}).
+   */
+  min: function(key) {
+    return createExtentAggregator(key, function(state) {
+      return state.leastValue;
+    });
+  },
+
+  /**
+   * Finds the greatest value in each group (see {@link Sequence#max}).
+   */
+  max: function(key) {
+    return createExtentAggregator(key, function(state) {
+      return state.greatestValue;
+    });
+  },
+
+  /**
+   * Takes the first value in each group.
+   */
+  first: function(key) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return { found: false }; },
+      step: function(state, e) {
+        if (!state.found) {
+          state.found = true;
+          state.value = keyFn(e);
+        }
+        return state;
+      },
+      result: function(state) { return state.value; }
+    };
+  },
+
+  /**
+   * Takes the last value in each group.
+   */
+  last: function(key) {
+    var keyFn = createKeyFn(key);
+    return {
+      step: function(last, e) { return keyFn(e); }
+    };
+  },
+
+  /**
+   * Collects the values in each group into an array.
+   */
+  collect: function(key) {
+    var keyFn = createKeyFn(key);
+    return {
+      init: function() { return []; },
+      step: function(values, e) {
+        values.push(keyFn(e));
+        return values;
+      }
+    };
+  }
+};
+
 Lazy.Sequence = Sequence;
 Lazy.ArrayLikeSequence = ArrayLikeSequence;
 Lazy.ObjectLikeSequence = ObjectLikeSequence;
 Lazy.StringLikeSequence = StringLikeSequence;
+Lazy.StreamLikeSequence = StreamLikeSequence;
 Lazy.GeneratedSequence = GeneratedSequence;
 Lazy.AsyncSequence = AsyncSequence;
+Lazy.AsyncHandle = AsyncHandle;
+
+/**
+ * For internal use only (by the Node.js build, in lazy.node.js).
+ */
+Lazy.isAsynchronous = isAsynchronous;
 
 /*** Useful utility methods ***/
 
@@ -128,6 +687,54 @@ function createSet(values) {
   return set;
 };
 
+/**
+ * Multiplies two 32-bit integers, as `Math.imul` does where it's available.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+var imul = Math.imul || function(a, b) {
+  var aHigh = (a >>> 16) & 0xffff,
+      aLow  = a & 0xffff,
+      bHigh = (b >>> 16) & 0xffff,
+      bLow  = b & 0xffff;
+
+  return ((aLow * bLow) + (((aHigh * bLow + aLow * bHigh) << 16) >>> 0)) | 0;
+};
+
+/**
+ * Gets the function to use for random numbers in one iteration of a shuffled
+ * or sampled sequence.
+ *
+ * @param {Function|number|string=} random A function returning random numbers
+ *     (which is used as it is), or a seed to create a new generator with
+ *     {@link Lazy.random}. If this is omitted, `Math.random` is used.
+ * @return {function():number}
+ */
+function createRandomFn(random) {
+  if (typeof random === "number" || typeof random === "string") {
+    return Lazy.random(random);
+  }
+  return random || Math.random;
+}
+
+/**
+ * Hashes a string into a 32-bit integer (using FNV-1a).
+ *
+ * @param {string} string
+ * @return {number}
+ */
+function hashString(string) {
+  var hash = 0x811C9DC5,
+      i = -1;
+
+  while (++i < string.length) {
+    hash = imul(hash ^ string.charCodeAt(i), 0x01000193);
+  }
+  return hash | 0;
+}
+
 /**
  * Compares two elements for sorting purposes.
  *
@@ -172,177 +779,1165 @@ function forEach(array, fn) {
 }
 
 /**
- * Iterates over every individual element in an array of arrays (of arrays...).
+ * Runs the given aggregator (see {@link Lazy.aggregators}) over every element
+ * of a sequence.
  *
- * @param {Array} array The outermost array.
- * @param {Function} fn The function to call on every element, which can return
- *     false to stop the iteration early.
- * @param {Array=} index An optional counter container, to keep track of the
- *     current index.
- * @return {boolean} True if every element in the entire sequence was iterated,
- *     otherwise false.
+ * @param {Sequence} sequence
+ * @param {Object} aggregator
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {*} The result of the aggregator.
  */
-function recursiveForEach(array, fn, index) {
-  // It's easier to ensure this is initialized than to add special handling
-  // in case it isn't.
-  index = index || [0];
+function aggregateSequence(sequence, aggregator, callback) {
+  var state = typeof aggregator.init === "function" ? aggregator.init() : undefined;
 
-  var i = -1;
-  while (++i < array.length) {
-    if (array[i] instanceof Array) {
-      if (recursiveForEach(array[i], fn, index) === false) {
-        return false;
+  var iteration = sequence.each(function(e) {
+    state = aggregator.step(state, e);
+  });
+
+  return finishIteration(iteration, function() {
+    return typeof aggregator.result === "function" ? aggregator.result(state) : state;
+  }, callback);
+}
+
+/**
+ * Creates an aggregator which keeps the least and greatest elements of a
+ * sequence along with their values, skipping those whose values are undefined,
+ * null or NaN.
+ *
+ * @param {Function|string} key
+ * @param {function(Object):*} getResult Gets the result from the state.
+ * @return {Object}
+ */
+function createExtentAggregator(key, getResult) {
+  var keyFn = createKeyFn(key);
+  return {
+    init: function() { return { found: false }; },
+    step: function(state, e) {
+      var value = keyFn(e);
+
+      if (value === null || typeof value === "undefined" || value !== value) {
+        return state;
       }
-    } else {
-      if (fn(array[i], index[0]++) === false) {
-        return false;
+
+      if (!state.found) {
+        state.found = true;
+        state.least = state.greatest = e;
+        state.leastValue = state.greatestValue = value;
+      } else if (compareValues(value, state.leastValue) < 0) {
+        state.least = e;
+        state.leastValue = value;
+      } else if (compareValues(value, state.greatestValue) > 0) {
+        state.greatest = e;
+        state.greatestValue = value;
       }
-    }
-  }
-  return true;
+      return state;
+    },
+    result: getResult
+  };
 }
 
-function getFirst(sequence) {
-  var result;
-  sequence.each(function(e) {
-    result = e;
-    return false;
-  });
-  return result;
+function getLeast(state) {
+  return state.least;
 }
 
-function contains(array, element) {
-  var i = -1,
-      length = array.length;
-
-  while (++i < length) {
-    if (array[i] === element) {
-      return true;
-    }
-  }
-  return false;
+function getGreatest(state) {
+  return state.greatest;
 }
 
-function containsBefore(array, element, index) {
-  var i = -1;
+/**
+ * Compares two values for {@link Sequence#min} and {@link Sequence#max}:
+ * numbers come first, then strings, then anything else; and values of the same
+ * kind are compared with < and >.
+ *
+ * @param {*} x
+ * @param {*} y
+ * @return {number} A negative number if x < y, a positive one if x > y, or 0.
+ */
+function compareValues(x, y) {
+  var xRank = getTypeRank(x),
+      yRank = getTypeRank(y);
 
-  while (++i < index) {
-    if (array[i] === element) {
-      return true;
-    }
+  if (xRank !== yRank) {
+    return xRank - yRank;
   }
-  return false;
-}
-
-function swap(array, i, j) {
-  var temp = array[i];
-  array[i] = array[j];
-  array[j] = temp;
+  return x < y ? -1 : (x > y ? 1 : 0);
 }
 
-function indent(depth) {
-  return new Array(depth).join("  ");
+function getTypeRank(value) {
+  switch (typeof value) {
+    case "number":
+      return 0;
+    case "string":
+      return 1;
+    default:
+      return 2;
+  }
 }
 
 /**
- * A collection of unique elements.
+ * Creates an aggregator which keeps the count, mean and sum of squared
+ * differences from the mean of a set of values, using Welford's algorithm so
+ * that these are computed in a single pass without losing precision.
  *
- * @constructor
+ * @param {Function|string} key
+ * @param {function(Object):number} getResult Gets the result from the state;
+ *     only called if there were any values (otherwise the result is NaN).
+ * @return {Object}
  */
-function Set() {
-  this.table = {};
+function createMomentsAggregator(key, getResult) {
+  var keyFn = createKeyFn(key);
+  return {
+    init: function() { return { count: 0, mean: 0, m2: 0 }; },
+    step: function(state, e) {
+      var value = keyFn(e),
+          delta = value - state.mean;
+
+      state.count += 1;
+      state.mean += delta / state.count;
+      state.m2 += delta * (value - state.mean);
+      return state;
+    },
+    result: function(state) { return state.count > 0 ? getResult(state) : NaN; }
+  };
 }
 
 /**
- * Attempts to add a unique value to the set.
+ * Creates an aggregator which finds the quantiles at the given fractions (from
+ * 0 to 1) of a set of values, either exactly or, with the `approximate`
+ * option, by estimating them.
  *
- * @param {*} value The value to add.
- * @return {boolean} True if the value was added to the set (meaning an equal
- *     value was not already present), or else false.
+ * @param {Array.<number>} fractions
+ * @param {Function|string|Object} key A key, or an object with `key` and
+ *     `approximate` properties.
+ * @param {function(Array):*} getResult Gets the result from the quantiles.
+ * @return {Object}
  */
-Set.prototype.add = function(value) {
-  var table = this.table,
-      type  = typeof value,
+function createQuantileAggregator(fractions, key, getResult) {
+  var options = key !== null && typeof key === "object" ? key : { key: key },
+      keyFn = createKeyFn(options.key);
 
-      // only applies for strings
-      firstChar,
+  if (options.approximate) {
+    return {
+      init: function() {
+        var estimators = [],
+            i = -1;
+        while (++i < fractions.length) {
+          estimators.push(new QuantileEstimator(fractions[i]));
+        }
+        return estimators;
+      },
+      step: function(estimators, e) {
+        var value = keyFn(e),
+            i = -1;
+        while (++i < estimators.length) {
+          estimators[i].add(value);
+        }
+        return estimators;
+      },
+      result: function(estimators) {
+        var quantiles = [],
+            i = -1;
+        while (++i < estimators.length) {
+          quantiles.push(estimators[i].get());
+        }
+        return getResult(quantiles);
+      }
+    };
+  }
 
-      // only applies for objects
-      objects;
+  return {
+    init: function() { return []; },
+    step: function(values, e) {
+      values.push(keyFn(e));
+      return values;
+    },
+    result: function(values) {
+      var quantiles = [],
+          i = -1;
 
-  switch (type) {
-    case "number":
-    case "boolean":
-    case "undefined":
-      if (!table[value]) {
-        table[value] = true;
-        return true;
+      values.sort(compareNumbers);
+      while (++i < fractions.length) {
+        quantiles.push(getQuantile(values, fractions[i]));
       }
-      return false;
+      return getResult(quantiles);
+    }
+  };
+}
 
-    case "string":
-      // Essentially, escape the first character if it could possibly collide
-      // with a number, boolean, or undefined (or a string that happens to start
-      // with the escape character!), OR if it could override a special property
-      // such as '__proto__' or 'constructor'.
-      firstChar = value.charAt(0);
-      if ("_ftc@".indexOf(firstChar) >= 0 || (firstChar >= "0" && firstChar <= "9")) {
-        value = "@" + value;
-      }
-      if (!table[value]) {
-        table[value] = true;
-        return true;
-      }
-      return false;
+function checkPercentile(p) {
+  if (typeof p !== "number" || !(p >= 0 && p <= 100)) {
+    throw "A percentile must be a number from 0 to 100.";
+  }
+}
 
-    default:
-      // For objects and functions, we can't really do anything other than store
-      // them in an array and do a linear search for reference equality.
-      objects = this.objects;
-      if (!objects) {
-        objects = this.objects = [];
-      }
-      if (!contains(objects, value)) {
-        objects.push(value);
-        return true;
-      }
-      return false;
+function compareNumbers(x, y) {
+  return x - y;
+}
+
+/**
+ * Gets the quantile at the given fraction (from 0 to 1) of a sorted array of
+ * numbers, interpolating linearly between the closest two.
+ *
+ * @param {Array.<number>} values
+ * @param {number} fraction
+ * @return {number|undefined} The quantile, or undefined if there are no
+ *     values.
+ */
+function getQuantile(values, fraction) {
+  var position = (values.length - 1) * fraction,
+      i = Math.floor(position);
+
+  if (values.length === 0) {
+    return undefined;
   }
-};
+  if (i + 1 >= values.length) {
+    return values[i];
+  }
+  return values[i] + (position - i) * (values[i + 1] - values[i]);
+}
 
 /**
- * Checks whether the set contains a value.
+ * Estimates a quantile of a stream of numbers in constant space, using the P²
+ * algorithm (Jain & Chlamtac, 1985). This keeps five markers: the least and
+ * greatest values, the estimated quantile, and estimates halfway between it
+ * and each extreme. As values come in, the markers' heights are adjusted
+ * along a parabola fitted through their neighbors.
  *
- * @param {*} value The value to check for.
- * @return {boolean} True if the set contains the value, or else false.
+ * @param {number} fraction The quantile to estimate, from 0 to 1.
+ * @constructor
  */
-Set.prototype.contains = function(value) {
-  var type = typeof value,
+function QuantileEstimator(fraction) {
+  this.fraction  = fraction;
+  this.heights   = [];
+  this.positions = [1, 2, 3, 4, 5];
+  this.desired   = [1, 1 + 2 * fraction, 1 + 4 * fraction, 3 + 2 * fraction, 5];
+  this.increments = [0, fraction / 2, fraction, (1 + fraction) / 2, 1];
+}
 
-      // only applies for strings
-      firstChar;
+QuantileEstimator.prototype.add = function(value) {
+  var heights   = this.heights,
+      positions = this.positions,
+      desired   = this.desired,
+      k, i, d, height;
 
-  switch (type) {
-    case "number":
-    case "boolean":
-    case "undefined":
-      return !!this.table[value];
+  // Until there are enough values for the markers, just keep them in order.
+  if (heights.length < 5) {
+    heights.push(value);
+    heights.sort(compareNumbers);
+    return;
+  }
 
-    case "string":
-      // Essentially, escape the first character if it could possibly collide
-      // with a number, boolean, or undefined (or a string that happens to start
-      // with the escape character!), OR if it could override a special property
-      // such as '__proto__' or 'constructor'.
-      firstChar = value.charAt(0);
-      if ("_ftc@".indexOf(firstChar) >= 0 || (firstChar >= "0" && firstChar <= "9")) {
-        value = "@" + value;
-      }
-      return !!this.table[value];
+  if (value < heights[0]) {
+    heights[0] = value;
+    k = 0;
+  } else if (value >= heights[4]) {
+    heights[4] = value;
+    k = 3;
+  } else {
+    for (k = 0; value >= heights[k + 1]; ++k) {}
+  }
 
-    default:
-      // For objects and functions, we can't really do anything other than store
-      // them in an array and do a linear search for reference equality.
-      return this.objects && contains(this.objects, value);
+  for (i = k + 1; i < 5; ++i) {
+    ++positions[i];
+  }
+  for (i = 0; i < 5; ++i) {
+    desired[i] += this.increments[i];
+  }
+
+  for (i = 1; i < 4; ++i) {
+    d = desired[i] - positions[i];
+    if ((d >= 1 && positions[i + 1] - positions[i] > 1) ||
+        (d <= -1 && positions[i - 1] - positions[i] < -1)) {
+      d = d > 0 ? 1 : -1;
+
+      height = this.parabolic(i, d);
+      if (!(heights[i - 1] < height && height < heights[i + 1])) {
+        height = heights[i] + d * (heights[i + d] - heights[i]) / (positions[i + d] - positions[i]);
+      }
+
+      heights[i] = height;
+      positions[i] += d;
+    }
+  }
+};
+
+QuantileEstimator.prototype.parabolic = function(i, d) {
+  var q = this.heights,
+      n = this.positions;
+
+  return q[i] + d / (n[i + 1] - n[i - 1]) * (
+    (n[i] - n[i - 1] + d) * (q[i + 1] - q[i]) / (n[i + 1] - n[i]) +
+    (n[i + 1] - n[i] - d) * (q[i] - q[i - 1]) / (n[i] - n[i - 1])
+  );
+};
+
+QuantileEstimator.prototype.get = function() {
+  if (this.heights.length < 5) {
+    return getQuantile(this.heights, this.fraction);
+  }
+  return this.heights[2];
+};
+
+function checkBinBoundaries(boundaries) {
+  var i;
+
+  if (boundaries.length < 2) {
+    throw "A histogram needs at least two bin boundaries.";
+  }
+  for (i = 1; i < boundaries.length; ++i) {
+    if (!(boundaries[i] > boundaries[i - 1])) {
+      throw "The boundaries of a histogram's bins must be in ascending order.";
+    }
+  }
+}
+
+function createBins(boundaries) {
+  var bins = [],
+      i;
+
+  for (i = 1; i < boundaries.length; ++i) {
+    bins.push({ start: boundaries[i - 1], end: boundaries[i], count: 0 });
+  }
+  return bins;
+}
+
+/**
+ * Counts a value in the bin it falls into (each bin includes its start, and
+ * the last one its end as well), if any.
+ *
+ * @param {Array.<Object>} bins
+ * @param {number} value
+ */
+function countInBin(bins, value) {
+  var last = bins.length - 1,
+      low = 0,
+      high = last,
+      middle;
+
+  if (!(value >= bins[0].start && value <= bins[last].end)) {
+    return;
+  }
+
+  while (low < high) {
+    middle = (low + high + 1) >> 1;
+    if (value >= bins[middle].start) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  ++bins[low].count;
+}
+
+function getFirst(sequence, callback) {
+  var result;
+  var iteration = sequence.each(function(e) {
+    result = e;
+    return false;
+  });
+  return finishIteration(iteration, function() { return result; }, callback);
+}
+
+function isIterable(source) {
+  return typeof Symbol === "function" && source !== null && typeof source === "object" &&
+    typeof source[Symbol.iterator] === "function";
+}
+
+/**
+ * Counts the ways to choose k of n items, optionally allowing the same item to
+ * be chosen more than once.
+ *
+ * @param {number} n
+ * @param {number} k
+ * @param {boolean=} withReplacement
+ * @return {number}
+ */
+function countCombinations(n, k, withReplacement) {
+  var count = 1,
+      i;
+
+  if (withReplacement) {
+    return k === 0 ? 1 : countCombinations(n + k - 1, k, false);
+  }
+  if (k < 0 || k > n) {
+    return 0;
+  }
+
+  k = Math.min(k, n - k);
+  for (i = 1; i <= k; ++i) {
+    count = count * (n - k + i) / i;
+  }
+  return Math.round(count);
+}
+
+/**
+ * Counts the ways to arrange k of n items.
+ *
+ * @param {number} n
+ * @param {number} k
+ * @return {number}
+ */
+function countPermutations(n, k) {
+  var count = 1,
+      i;
+
+  if (k < 0 || k > n) {
+    return 0;
+  }
+
+  for (i = 0; i < k; ++i) {
+    count *= n - i;
+  }
+  return count;
+}
+
+/**
+ * Whether iterating over the given sequence happens asynchronously, i.e.,
+ * whether it is (or is based on) an asynchronous or stream-like sequence.
+ */
+function isAsynchronous(sequence) {
+  while (sequence instanceof Sequence) {
+    if (sequence instanceof AsyncSequence || sequence instanceof StreamLikeSequence) {
+      return true;
+    }
+    sequence = sequence.parent || sequence.source;
+  }
+  return false;
+}
+
+function isMap(source) {
+  return typeof context.Map === "function" && source instanceof context.Map;
+}
+
+function isSet(source) {
+  return typeof context.Set === "function" && source instanceof context.Set;
+}
+
+/**
+ * Whether an object looks like an array: it has an integer `length`, and
+ * elements at (at least) the first and last indices. An ordinary object which
+ * just happens to have a `length` property, like `{ length: 2, name: "x" }`,
+ * isn't array-like. (Neither is an empty one, like `{ length: 0 }`, unless
+ * it's a special kind of object such as `arguments` or a typed array.)
+ */
+function isArrayLike(source) {
+  var length;
+
+  if (source === null || typeof source !== "object") {
+    return false;
+  }
+
+  length = source.length;
+  if (typeof length !== "number" || length < 0 || length % 1 !== 0) {
+    return false;
+  }
+
+  if (length === 0) {
+    return Object.prototype.toString.call(source) !== "[object Object]";
+  }
+
+  return (0 in source) && ((length - 1) in source);
+}
+
+/**
+ * Gets a function for getting the key of an element.
+ *
+ * @param {Function|string=} key A function, which is returned as it is, or the
+ *     name of a property. If omitted, each element is its own key.
+ * @return {Function} The key function.
+ */
+function createKeyFn(key) {
+  if (typeof key === "function") {
+    return key;
+  } else if (typeof key === "string") {
+    return function(e) { return e[key]; };
+  } else if (key === null || typeof key === "undefined") {
+    return identity;
+  }
+  throw "A key must be a function or a property name.";
+}
+
+function identity(x) {
+  return x;
+}
+
+function contains(array, element) {
+  var i = -1,
+      length = array.length;
+
+  while (++i < length) {
+    if (array[i] === element) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function swap(array, i, j) {
+  var temp = array[i];
+  array[i] = array[j];
+  array[j] = temp;
+}
+
+function indent(depth) {
+  return new Array(depth).join("  ");
+}
+
+/**
+ * A collection of unique elements.
+ *
+ * By default, two values are the same if they're `===`, except that NaN is the
+ * same as itself and Dates are the same if they have the same time. Primitives
+ * and Dates are looked up by a string hash, and other objects by identity (see
+ * {@link IdentityMap}), so adding or checking for a value takes constant time.
+ *
+ * To treat other values as equal (e.g., objects with the same structure), pass
+ * a `hash` function, an `equals` function or both. Values whose hashes aren't
+ * the same are never equal; values whose hashes are the same are equal unless
+ * `equals` says otherwise. Without a `hash`, every value is checked against
+ * every other one with `equals`, which is slow for large collections.
+ *
+ * @param {Object|Function=} options How to compare values, if not as described
+ *     above. A function is taken to be the `equals` option.
+ * @param {function(*):*=} options.hash A function to get a key for each value,
+ *     which is compared as described above.
+ * @param {function(*, *):boolean=} options.equals A function to check whether
+ *     two values with the same key are equal.
+ * @param {boolean=} options.deep Compare arrays and plain objects by their
+ *     contents (see {@link isDeepEqual}) instead of by identity.
+ * @constructor
+ */
+function Set(options) {
+  this.table   = {};
+  this.objects = null;
+  initializeEquality(this, options);
+}
+
+/**
+ * Attempts to add a unique value to the set.
+ *
+ * @param {*} value The value to add.
+ * @return {boolean} True if the value was added to the set (meaning an equal
+ *     value was not already present), or else false.
+ */
+Set.prototype.add = function(value) {
+  var key = this.hashFn ? this.hashFn(value) : value,
+      bucket;
+
+  if (!this.equalsFn) {
+    if (this.getSlot(key)) {
+      return false;
+    }
+    this.setSlot(key, true);
+    return true;
+  }
+
+  bucket = this.getSlot(key);
+  if (!bucket) {
+    this.setSlot(key, [value]);
+    return true;
+  }
+  if (containsEqual(bucket, value, this.equalsFn)) {
+    return false;
+  }
+  bucket.push(value);
+  return true;
+};
+
+/**
+ * Checks whether the set contains a value.
+ *
+ * @param {*} value The value to check for.
+ * @return {boolean} True if the set contains the value, or else false.
+ */
+Set.prototype.contains = function(value) {
+  var bucket = this.getSlot(this.hashFn ? this.hashFn(value) : value);
+
+  if (!bucket || !this.equalsFn) {
+    return !!bucket;
+  }
+  return containsEqual(bucket, value, this.equalsFn);
+};
+
+Set.prototype.getSlot = function(key) {
+  var hash = getPrimitiveHash(key);
+
+  if (hash !== null) {
+    return this.table.hasOwnProperty(hash) ? this.table[hash] : undefined;
+  }
+  return this.objects ? this.objects.get(key) : undefined;
+};
+
+Set.prototype.setSlot = function(key, slot) {
+  var hash = getPrimitiveHash(key);
+
+  if (hash !== null) {
+    this.table[hash] = slot;
+  } else {
+    if (!this.objects) {
+      this.objects = new IdentityMap();
+    }
+    this.objects.set(key, slot);
+  }
+};
+
+/**
+ * Sets the `hashFn` and `equalsFn` of a {@link Set} or {@link Dictionary} from
+ * the options passed to its constructor.
+ */
+function initializeEquality(collection, options) {
+  if (typeof options === "function") {
+    options = { equals: options };
+  }
+
+  collection.hashFn   = options && options.hash || null;
+  collection.equalsFn = options && options.equals || null;
+
+  if (options && options.deep) {
+    collection.hashFn   = getStructuralHash;
+    collection.equalsFn = isDeepEqual;
+  } else if (collection.equalsFn && !collection.hashFn) {
+    collection.hashFn = function() { return 0; };
+  }
+}
+
+function containsEqual(array, value, equalsFn) {
+  var i = -1;
+
+  while (++i < array.length) {
+    if (equalsFn(array[i], value)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Maps objects and functions to values by identity.
+ *
+ * This uses a native `Map` where there is one. Otherwise each object is given a
+ * unique id, which is kept in a native `WeakMap` if there is one or else in a
+ * hidden property of the object itself, and the values are stored by id. Only
+ * objects that can't be given an id (where neither is possible, or the object
+ * is frozen) are found by a linear search.
+ *
+ * @constructor
+ */
+function IdentityMap() {
+  if (typeof context.Map === "function") {
+    this.map = new context.Map();
+  } else {
+    this.map    = null;
+    this.table  = {};
+    this.keys   = [];
+    this.values = [];
+  }
+}
+
+/**
+ * @param {Object|Function} key
+ * @return {*} The value for the key, or `undefined` if there isn't one.
+ */
+IdentityMap.prototype.get = function(key) {
+  var id, i;
+
+  if (this.map) {
+    return this.map.get(key);
+  }
+
+  id = getObjectId(key, false);
+  if (id !== null) {
+    return this.table.hasOwnProperty(id) ? this.table[id] : undefined;
+  }
+
+  i = this.keys.length;
+  while (--i >= 0) {
+    if (this.keys[i] === key) {
+      return this.values[i];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @param {Object|Function} key
+ * @param {*} value
+ */
+IdentityMap.prototype.set = function(key, value) {
+  var id, i;
+
+  if (this.map) {
+    this.map.set(key, value);
+    return;
+  }
+
+  id = getObjectId(key, true);
+  if (id !== null) {
+    this.table[id] = value;
+    return;
+  }
+
+  i = this.keys.length;
+  while (--i >= 0) {
+    if (this.keys[i] === key) {
+      this.values[i] = value;
+      return;
+    }
+  }
+  this.keys.push(key);
+  this.values.push(value);
+};
+
+var objectIds = null,
+    nextObjectId = 0;
+
+/**
+ * Gets the unique id of an object or function, for {@link IdentityMap}.
+ *
+ * @param {Object|Function} object
+ * @param {boolean} create Whether to give the object an id if it doesn't have
+ *     one yet.
+ * @return {?string} The id, or null if the object doesn't have one (and can't
+ *     be given one, or `create` is false).
+ */
+function getObjectId(object, create) {
+  var id;
+
+  if (!objectIds && typeof context.WeakMap === "function") {
+    objectIds = new context.WeakMap();
+  }
+
+  if (objectIds) {
+    id = objectIds.get(object);
+    if (!id && create) {
+      objectIds.set(object, id = "o" + (++nextObjectId));
+    }
+    return id || null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(object, "__lazyObjectId__")) {
+    return object.__lazyObjectId__;
+  }
+
+  if (!create || typeof Object.defineProperty !== "function" ||
+      (typeof Object.isExtensible === "function" && !Object.isExtensible(object))) {
+    return null;
+  }
+
+  id = "o" + (++nextObjectId);
+  try {
+    Object.defineProperty(object, "__lazyObjectId__", { value: id });
+  } catch (e) {
+    // Some old engines only support defineProperty on DOM objects.
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Checks whether the first `length` elements of an array include a value, in
+ * the sense of {@link Set}.
+ *
+ * @param {Array} array
+ * @param {*} value
+ * @param {number} length
+ * @return {boolean}
+ */
+function containsValue(array, value, length) {
+  var i = -1,
+      hash;
+
+  if (value === value && !(value instanceof Date)) {
+    while (++i < length) {
+      if (array[i] === value) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  hash = getPrimitiveHash(value);
+  while (++i < length) {
+    if (getPrimitiveHash(array[i]) === hash) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * A collection of key/value pairs, where (unlike the properties of an object)
+ * the keys can be any values. Keys are compared the same way as the values in a
+ * {@link Set}, and take the same options for comparing them otherwise.
+ *
+ * @param {Object|Function=} options How to compare keys (see {@link Set}).
+ * @constructor
+ */
+function Dictionary(options) {
+  this.table   = {};
+  this.objects = null;
+  this.entries = [];
+  initializeEquality(this, options);
+}
+
+/**
+ * Gets the value for a key.
+ *
+ * @param {*} key The key.
+ * @return {*} The value, or `undefined` if the key isn't in the dictionary.
+ */
+Dictionary.prototype.get = function(key) {
+  var index = this.indexOf(key);
+  return index === -1 ? undefined : this.entries[index][1];
+};
+
+/**
+ * Checks whether the dictionary has a value for a key.
+ *
+ * @param {*} key The key.
+ * @return {boolean} True if the key is in the dictionary, or else false.
+ */
+Dictionary.prototype.has = function(key) {
+  return this.indexOf(key) !== -1;
+};
+
+/**
+ * Sets the value for a key.
+ *
+ * @param {*} key The key.
+ * @param {*} value The value.
+ */
+Dictionary.prototype.set = function(key, value) {
+  var index = this.indexOf(key),
+      hash,
+      bucket;
+
+  if (index !== -1) {
+    this.entries[index][1] = value;
+    return;
+  }
+
+  index = this.entries.length;
+  this.entries.push([key, value]);
+
+  hash = this.hashFn ? this.hashFn(key) : key;
+  if (!this.equalsFn) {
+    this.setSlot(hash, index);
+    return;
+  }
+
+  bucket = this.getSlot(hash);
+  if (bucket) {
+    bucket.push(index);
+  } else {
+    this.setSlot(hash, [index]);
+  }
+};
+
+/**
+ * Iterates over the key/value pairs in the order their keys were added.
+ *
+ * @param {Function} fn The function to call with each value and key, which can
+ *     return false to stop iterating.
+ */
+Dictionary.prototype.each = function(fn) {
+  var entries = this.entries,
+      i = -1;
+
+  while (++i < entries.length) {
+    if (fn(entries[i][1], entries[i][0]) === false) {
+      break;
+    }
+  }
+};
+
+Dictionary.prototype.indexOf = function(key) {
+  var slot = this.getSlot(this.hashFn ? this.hashFn(key) : key),
+      i;
+
+  if (typeof slot === "undefined") {
+    return -1;
+  }
+
+  if (!this.equalsFn) {
+    return slot;
+  }
+
+  i = -1;
+  while (++i < slot.length) {
+    if (this.equalsFn(this.entries[slot[i]][0], key)) {
+      return slot[i];
+    }
+  }
+  return -1;
+};
+
+Dictionary.prototype.getSlot = Set.prototype.getSlot;
+
+Dictionary.prototype.setSlot = Set.prototype.setSlot;
+
+/**
+ * Gets a string identifying a primitive value or a Date (which, for different
+ * values, will always be different), or null for other objects and functions.
+ * Like a {@link Set}, this treats 0 and -0 as the same, and NaN as itself.
+ */
+function getPrimitiveHash(value) {
+  if (value === null) {
+    return "null";
+  }
+
+  switch (typeof value) {
+    case "number":
+      return "n" + (value === 0 ? 0 : value);
+    case "string":
+      return "s" + value;
+    case "boolean":
+      return "b" + value;
+    case "undefined":
+      return "undefined";
+  }
+
+  if (value instanceof Date) {
+    return "d" + value.getTime();
+  }
+  return null;
+}
+
+/**
+ * Checks whether two values have the same structure: arrays are equal if their
+ * elements are, and plain objects are equal if they have the same keys with
+ * equal values. Anything else is compared the same way as in a {@link Set}.
+ *
+ * @param {*} x
+ * @param {*} y
+ * @return {boolean}
+ */
+function isDeepEqual(x, y) {
+  var count, key, i;
+
+  if (x === y) {
+    return true;
+  }
+
+  if (x instanceof Array) {
+    if (!(y instanceof Array) || x.length !== y.length) {
+      return false;
+    }
+    i = -1;
+    while (++i < x.length) {
+      if (!isDeepEqual(x[i], y[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  if (isPlainObject(x)) {
+    if (!isPlainObject(y)) {
+      return false;
+    }
+    count = 0;
+    for (key in x) {
+      if (Object.prototype.hasOwnProperty.call(x, key)) {
+        if (!Object.prototype.hasOwnProperty.call(y, key) || !isDeepEqual(x[key], y[key])) {
+          return false;
+        }
+        ++count;
+      }
+    }
+    for (key in y) {
+      if (Object.prototype.hasOwnProperty.call(y, key)) {
+        --count;
+      }
+    }
+    return count === 0;
+  }
+
+  return isSameValue(x, y);
+}
+
+/**
+ * Checks whether two values are the same in the sense of {@link Set}: `===`,
+ * except that NaN is the same as itself and Dates with the same time are the
+ * same.
+ *
+ * @param {*} x
+ * @param {*} y
+ * @return {boolean}
+ */
+function isSameValue(x, y) {
+  var hash;
+
+  if (x === y) {
+    return true;
+  }
+
+  hash = getPrimitiveHash(x);
+  return hash !== null && hash === getPrimitiveHash(y);
+}
+
+/**
+ * Gets a hash for {@link isDeepEqual}, i.e., a string that is the same for any
+ * two values that are deeply equal. Only the top level of an array or object
+ * is looked at, so this is quick to compute.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function getStructuralHash(value) {
+  var parts = [],
+      key,
+      i;
+
+  if (value instanceof Array) {
+    i = -1;
+    while (++i < value.length) {
+      parts.push(getShallowHash(value[i]));
+    }
+    return "[" + parts.join(",") + "]";
+  }
+
+  if (isPlainObject(value)) {
+    for (key in value) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        parts.push(key.length + ":" + key + "=" + getShallowHash(value[key]));
+      }
+    }
+    return "{" + parts.sort().join(",") + "}";
+  }
+
+  return getShallowHash(value);
+}
+
+function getShallowHash(value) {
+  var hash = getPrimitiveHash(value);
+
+  if (hash !== null) {
+    return hash;
+  }
+  if (value instanceof Array) {
+    return "[" + value.length + "]";
+  }
+  return isPlainObject(value) ? "{}" : "?";
+}
+
+function isPlainObject(value) {
+  var proto;
+
+  if (value === null || typeof value !== "object" || value instanceof Array) {
+    return false;
+  }
+
+  proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * A binary heap, for getting at the smallest of a collection of elements
+ * without sorting the rest of them.
+ *
+ * @param {function(*, *):number} compareFn The function used to order the
+ *     elements, which should return a negative number if its first argument
+ *     comes before its second.
+ * @param {Array=} values The initial elements of the heap. This array will be
+ *     rearranged and used by the heap from then on.
+ * @constructor
+ */
+function Heap(compareFn, values) {
+  var i;
+
+  this.compareFn = compareFn;
+  this.values    = values || [];
+
+  i = Math.floor(this.values.length / 2);
+  while (--i >= 0) {
+    this.siftDown(i);
+  }
+}
+
+/**
+ * @return {number} The number of elements in the heap.
+ */
+Heap.prototype.size = function() {
+  return this.values.length;
+};
+
+/**
+ * @return {*} The smallest element in the heap, without removing it.
+ */
+Heap.prototype.peek = function() {
+  return this.values[0];
+};
+
+/**
+ * Adds an element to the heap.
+ *
+ * @param {*} value The element to add.
+ */
+Heap.prototype.push = function(value) {
+  var values    = this.values,
+      compareFn = this.compareFn,
+      i         = values.length,
+      parent;
+
+  values.push(value);
+  while (i > 0) {
+    parent = (i - 1) >> 1;
+    if (compareFn(values[i], values[parent]) >= 0) {
+      break;
+    }
+    swap(values, i, parent);
+    i = parent;
+  }
+};
+
+/**
+ * Removes the smallest element from the heap.
+ *
+ * @return {*} The removed element.
+ */
+Heap.prototype.pop = function() {
+  var values = this.values,
+      top    = values[0],
+      last   = values.pop();
+
+  if (values.length > 0) {
+    values[0] = last;
+    this.siftDown(0);
+  }
+  return top;
+};
+
+/**
+ * Replaces the smallest element in the heap with another one. This is quicker
+ * than calling {@link #pop} followed by {@link #push}.
+ *
+ * @param {*} value The element to add.
+ * @return {*} The removed element.
+ */
+Heap.prototype.replace = function(value) {
+  var top = this.values[0];
+  this.values[0] = value;
+  this.siftDown(0);
+  return top;
+};
+
+Heap.prototype.siftDown = function(i) {
+  var values    = this.values,
+      compareFn = this.compareFn,
+      length    = values.length,
+      child;
+
+  while ((child = 2 * i + 1) < length) {
+    if (child + 1 < length && compareFn(values[child + 1], values[child]) < 0) {
+      ++child;
+    }
+    if (compareFn(values[child], values[i]) >= 0) {
+      break;
+    }
+    swap(values, i, child);
+    i = child;
   }
 };
 
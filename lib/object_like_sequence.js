@@ -233,6 +233,14 @@ ObjectLikeSequence.prototype.toArray = function() {
  */
 ObjectLikeSequence.prototype.pairs = ObjectLikeSequence.prototype.toArray;
 
+if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+  // Like toArray (and like a native Map), for...of and spread syntax produce
+  // [key, value] pairs.
+  ObjectLikeSequence.prototype[Symbol.iterator] = function() {
+    return new IteratorAdapter(this.map(function(v, k) { return [k, v]; }).getIterator());
+  };
+}
+
 /**
  * Creates an object with the key/value pairs from this sequence.
  *
@@ -382,6 +390,10 @@ ObjectWrapper.prototype.get = function(key) {
   return this.source[key];
 };
 
+ObjectWrapper.prototype.getIterator = function() {
+  return new ObjectIterator(this.source);
+};
+
 ObjectWrapper.prototype.each = function(fn) {
   var source = this.source,
       key;
@@ -392,3 +404,285 @@ ObjectWrapper.prototype.each = function(fn) {
     }
   }
 };
+
+/**
+ * Wraps an ES2015 `Map`. Unlike the properties of an ordinary object, the keys
+ * of a `Map` can be any value, and are passed to {@link #each} as they are.
+ *
+ * @param {Map} source The map to wrap.
+ * @constructor
+ */
+function MapWrapper(source) {
+  this.source = source;
+}
+
+MapWrapper.prototype = new ObjectLikeSequence();
+
+MapWrapper.prototype.get = function(key) {
+  return this.source.get(key);
+};
+
+MapWrapper.prototype.getIterator = function() {
+  return new MapIterator(this.source);
+};
+
+MapWrapper.prototype.each = function(fn) {
+  var iterator = this.source.entries(),
+      result;
+
+  while (!(result = iterator.next()).done) {
+    if (fn(result.value[1], result.value[0]) === false) {
+      return;
+    }
+  }
+};
+
+/**
+ * @constructor
+ */
+function GroupedSequence(parent, keyFn) {
+  this.parent    = parent;
+  this.keyFn     = createGroupKeyFn(keyFn);
+  this.composite = keyFn instanceof Array;
+}
+
+GroupedSequence.prototype = new ObjectLikeSequence();
+
+GroupedSequence.prototype.each = function(fn) {
+  return this.eachGroup(
+    function() { return []; },
+    function(group, e) { group.push(e); },
+    fn
+  );
+};
+
+/**
+ * Gets the array of elements with the given key (which, for a sequence grouped
+ * by several keys, should be an array of them).
+ *
+ * @param {*} key The key of the group.
+ * @return {Array} The elements in the group, or `undefined` if there are
+ *     none.
+ */
+GroupedSequence.prototype.get = function(key) {
+  var table = new GroupTable(this.composite),
+      keyFn = this.keyFn;
+
+  this.parent.each(function(e) {
+    table.get(keyFn(e), function() { return []; }).push(e);
+  });
+
+  return table.get(key);
+};
+
+/**
+ * Creates an {@link ObjectLikeSequence} with the same keys as this one, where
+ * the value for each group is an object with the results of the given
+ * aggregators. The elements of each group are passed to every aggregator as
+ * they're read, so no arrays of them are built up along the way.
+ *
+ * See {@link Lazy.aggregators} for the aggregators that come with Lazy.js.
+ * An aggregator is just an object with `init`, `step` and (optionally)
+ * `result` methods, so you can easily write your own.
+ *
+ * @param {Object} aggregators An object whose values are aggregators. The
+ *     results for each group will have the same property names.
+ * @return {ObjectLikeSequence} The new sequence.
+ *
+ * @example
+ * var agg = Lazy.aggregators;
+ *
+ * var sales = [
+ *   { region: "east", amount: 10 },
+ *   { region: "west", amount: 20 },
+ *   { region: "east", amount: 5 }
+ * ];
+ *
+ * Lazy(sales).groupBy("region").aggregate({
+ *   total: agg.sum("amount"),
+ *   n: agg.count(),
+ *   avg: agg.mean("amount")
+ * });
+ * // => sequence: (("east", { total: 15, n: 2, avg: 7.5 }), ("west", { total: 20, n: 1, avg: 20 }))
+ */
+GroupedSequence.prototype.aggregate = function(aggregators) {
+  return new AggregatedSequence(this, aggregators);
+};
+
+/**
+ * Iterates over the groups in this sequence, with the value of each group
+ * accumulated using the given functions.
+ *
+ * @param {function(*):*} init Creates the initial value of a group, given its
+ *     key.
+ * @param {function(*, *):*} step Adds an element to a group's value, returning
+ *     the new value (or nothing, if the value was modified in place).
+ * @param {function(*, *):*} fn The function to call with the value and key of
+ *     each group, which can return false to stop iterating.
+ */
+GroupedSequence.prototype.eachGroup = function(init, step, fn) {
+  var table = new GroupTable(this.composite),
+      keyFn = this.keyFn,
+      iteration;
+
+  iteration = this.parent.each(function(e) {
+    var group = table.get(keyFn(e), function(key) {
+      return { key: key, value: init(key) };
+    });
+
+    var value = step(group.value, e);
+    if (typeof value !== "undefined") {
+      group.value = value;
+    }
+  });
+
+  function eachGroup() {
+    var groups = table.groups,
+        i = -1;
+
+    while (++i < groups.length) {
+      if (fn(groups[i].value, groups[i].key) === false) {
+        break;
+      }
+    }
+  }
+
+  if (iteration instanceof AsyncHandle) {
+    return iteration.then(eachGroup);
+  }
+
+  eachGroup();
+};
+
+/**
+ * @constructor
+ */
+function AggregatedSequence(parent, aggregators) {
+  this.parent      = parent;
+  this.aggregators = aggregators;
+
+  for (var name in aggregators) {
+    if (!aggregators[name] || typeof aggregators[name].step !== "function") {
+      throw "The aggregator '" + name + "' must have a step method.";
+    }
+  }
+}
+
+AggregatedSequence.prototype = new ObjectLikeSequence();
+
+AggregatedSequence.prototype.each = function(fn) {
+  var aggregators = this.aggregators;
+
+  return this.parent.eachGroup(
+    function() {
+      var states = {};
+      for (var name in aggregators) {
+        states[name] = typeof aggregators[name].init === "function" ?
+          aggregators[name].init() :
+          undefined;
+      }
+      return states;
+    },
+
+    function(states, e) {
+      for (var name in aggregators) {
+        states[name] = aggregators[name].step(states[name], e);
+      }
+    },
+
+    function(states, key) {
+      var results = {};
+      for (var name in aggregators) {
+        results[name] = typeof aggregators[name].result === "function" ?
+          aggregators[name].result(states[name]) :
+          states[name];
+      }
+      return fn(results, key);
+    }
+  );
+};
+
+AggregatedSequence.prototype.get = function(key) {
+  var table = new GroupTable(this.parent.composite);
+
+  this.each(function(results, k) {
+    table.get(k, function() { return results; });
+  });
+
+  return table.get(key);
+};
+
+/**
+ * Keeps track of groups by key, in the order they're first seen. Keys are
+ * compared like the keys of a {@link Dictionary}; composite keys (arrays)
+ * match if all of their parts do.
+ *
+ * @param {boolean} composite Whether keys are arrays of parts.
+ * @constructor
+ */
+function GroupTable(composite) {
+  this.composite = composite;
+  this.index     = new Dictionary();
+  this.groups    = [];
+}
+
+/**
+ * Gets the group with the given key.
+ *
+ * @param {*} key The key.
+ * @param {function(*):*=} create A function to create the group (given its key)
+ *     if there isn't one yet.
+ * @return {*} The group, or `undefined` if there's none and `create` wasn't
+ *     given.
+ */
+GroupTable.prototype.get = function(key, create) {
+  var parts = this.composite ? key : [key],
+      last  = parts.length - 1,
+      index = this.index,
+      next,
+      group,
+      i;
+
+  for (i = 0; i < last; ++i) {
+    next = index.get(parts[i]);
+    if (!next) {
+      if (!create) {
+        return undefined;
+      }
+      index.set(parts[i], next = new Dictionary());
+    }
+    index = next;
+  }
+
+  if (index.has(parts[last])) {
+    return index.get(parts[last]);
+  }
+
+  if (create) {
+    group = create(key);
+    index.set(parts[last], group);
+    this.groups.push(group);
+  }
+  return group;
+};
+
+function createGroupKeyFn(key) {
+  var keyFns, i;
+
+  if (!(key instanceof Array)) {
+    return createKeyFn(key);
+  }
+
+  keyFns = [];
+  for (i = 0; i < key.length; ++i) {
+    keyFns.push(createKeyFn(key[i]));
+  }
+
+  return function(e) {
+    var parts = [];
+    for (var j = 0; j < keyFns.length; ++j) {
+      parts.push(keyFns[j](e));
+    }
+    return parts;
+  };
+}
@@ -35,7 +35,8 @@
  *    the underlying sequence.
  * 2. Define an `each` method on this new function's prototype, which accepts
  *    a function as a parameter and calls `this.parent.each` to fetch elements
- *    one by one from the underlying sequence.
+ *    one by one from the underlying sequence. Return the result of that call,
+ *    so that iterating over an asynchronous parent can be tracked.
  *
  * As a trivial example, the following code defines a new type of sequence
  * called `SampleSequence` which randomly may or may not include each element
@@ -44,7 +45,7 @@
  *     var SampleSequence = Lazy.Sequence.define("sample");
  *
  *     SampleSequence.prototype.each = function(fn) {
- *       this.parent.each(function(e) {
+ *       return this.parent.each(function(e) {
  *         // 50/50 chance of including this element.
  *         if (Math.random() > 0.5) {
  *           return fn(e);
@@ -86,7 +87,7 @@ function Sequence() {}
  * // This sequence type logs every element to the console
  * // as it iterates over it.
  * VerboseSequence.prototype.each = function(fn) {
- *   this.parent.each(function(e, i) {
+ *   return this.parent.each(function(e, i) {
  *     console.log(e);
  *     return fn(e, i);
  *   });
@@ -144,7 +145,11 @@ Sequence.prototype.log = function(msg) {
  * Note that for indefinite sequences, this method may raise an exception or
  * (worse) cause the environment to hang.
  *
- * @return {Array} An array containing the current contents of the sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the array once it has been populated. This is mainly useful for
+ *     asynchronous sequences (see {@link AsyncSequence}).
+ * @return {Array} An array containing the current contents of the sequence (or,
+ *     for an asynchronous sequence, an {@link AsyncHandle} for that array).
  *
  * @example
  * var range = Lazy.range(1, 10);
@@ -153,18 +158,20 @@ Sequence.prototype.log = function(msg) {
  * var array = range.toArray();
  * // => [1, 2, ..., 9]
  */
-Sequence.prototype.toArray = function() {
+Sequence.prototype.toArray = function(callback) {
   var array = [];
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     array.push(e);
   });
 
-  return array;
+  return finishIteration(iteration, function() { return array; }, callback);
 };
 
 /**
  * Creates an object from a sequence of key/value pairs.
  *
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the object once it has been populated.
  * @return {Object} An object with keys and values corresponding to the pairs
  *     of elements in the sequence.
  *
@@ -178,13 +185,13 @@ Sequence.prototype.toArray = function() {
  * var person = Lazy(details).toObject();
  * // => { first: "Dan", last: "Tao", age: 29 }
  */
-Sequence.prototype.toObject = function() {
+Sequence.prototype.toObject = function(callback) {
   var object = {};
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     object[e[0]] = e[1];
   });
 
-  return object;
+  return finishIteration(iteration, function() { return object; }, callback);
 };
 
 /**
@@ -192,6 +199,8 @@ Sequence.prototype.toObject = function() {
  *
  * @param {Function} fn The function to call on each element in the sequence.
  *     Return false from the function to end the iteration.
+ * @return {*} Nothing for synchronous sequences. Asynchronous sequences return
+ *     an {@link AsyncHandle} which is resolved once iteration has finished.
  *
  * @example
  * var subordinates = [joe, bill, wendy];
@@ -205,7 +214,7 @@ Sequence.prototype.each = function(fn) {
  * Alias for {@link Sequence#each}.
  */
 Sequence.prototype.forEach = function(fn) {
-  this.each(fn);
+  return this.each(fn);
 };
 
 /**
@@ -439,18 +448,26 @@ Sequence.prototype.take = Sequence.prototype.first;
 
 /**
  * Creates a new sequence comprising all but the last N elements of this
- * sequence.
+ * sequence, or (if given a predicate) all but the elements at the end of this
+ * sequence that satisfy it.
  *
- * @param {number=} count The number of items to omit from the end of the
- *     sequence (defaults to 1).
+ * @param {number|Function=} count The number of items to omit from the end of
+ *     the sequence (defaults to 1), or a predicate which is passed each
+ *     element and its index.
  * @return {Sequence} The new sequence.
  *
  * @example
  * var produce = [apple, banana, carrot, durian];
  * var edibleProduce = Lazy(produce).initial();
  * // => sequence: (apple, banana, carrot)
+ *
+ * Lazy(["a", "", "b", "", ""]).initial(function(s) { return s === ""; });
+ * // => sequence: ("a", "", "b")
  */
 Sequence.prototype.initial = function(count) {
+  if (typeof count === "function") {
+    return new DropTrailingSequence(this, count);
+  }
   if (typeof count === "undefined") {
     count = 1;
   }
@@ -458,11 +475,13 @@ Sequence.prototype.initial = function(count) {
 };
 
 /**
- * Creates a new sequence comprising the last N elements of this sequence, OR
- * (if N is `undefined`) simply returns the last element of this sequence.
+ * Creates a new sequence comprising the last N elements of this sequence, or
+ * (if given a predicate) the elements at the end of this sequence that satisfy
+ * it, OR (if N is `undefined`) simply returns the last element of this
+ * sequence.
  *
- * @param {number=} count The number of items to take from the end of the
- *     sequence.
+ * @param {number|Function=} count The number of items to take from the end of
+ *     the sequence, or a predicate which is passed each element and its index.
  * @return {*} The new sequence (or the last element from this sequence
  *     if no count was given).
  *
@@ -470,8 +489,14 @@ Sequence.prototype.initial = function(count) {
  * var siblings = [lauren, adam, daniel, happy];
  * var favorite = Lazy(siblings).last();
  * // => happy
+ *
+ * Lazy([5, 1, 7, 2, 4]).last(function(x) { return x % 2 === 0; });
+ * // => sequence: (2, 4)
  */
 Sequence.prototype.last = function(count) {
+  if (typeof count === "function") {
+    return new TakeTrailingSequence(this, count);
+  }
   if (typeof count === "undefined") {
     return this.reverse().first();
   }
@@ -531,9 +556,292 @@ Sequence.prototype.tail = Sequence.prototype.rest;
  */
 Sequence.prototype.drop = Sequence.prototype.rest;
 
+/**
+ * Creates a new sequence comprising the elements at the start of this one that
+ * satisfy a predicate, up to (but not including) the first one that doesn't.
+ * No more elements are read from this sequence after that one, so this works
+ * on indefinite sequences and stops reading streams early.
+ *
+ * @param {Function} predicate The function to call on each element, along with
+ *     its index.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4, 1]).takeWhile(function(x) { return x < 3; });
+ * // => sequence: (1, 2)
+ *
+ * Lazy.generate(function(i) { return i * i; }).takeWhile(function(x) { return x < 20; });
+ * // => sequence: (0, 1, 4, 9, 16)
+ */
+Sequence.prototype.takeWhile = function(predicate) {
+  return new TakeWhileSequence(this, predicate, false);
+};
+
+/**
+ * Creates a new sequence comprising the elements at the start of this one, up
+ * to (but not including) the first one that satisfies a predicate. See
+ * {@link Sequence#takeWhile}.
+ *
+ * @param {Function} predicate The function to call on each element, along with
+ *     its index.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy(["a", "b", "END", "c"]).takeUntil(function(s) { return s === "END"; });
+ * // => sequence: ("a", "b")
+ */
+Sequence.prototype.takeUntil = function(predicate) {
+  return new TakeWhileSequence(this, predicate, true);
+};
+
+/**
+ * Creates a new sequence comprising the elements of this one from the first
+ * one that doesn't satisfy a predicate onwards. The predicate isn't called any
+ * more after that.
+ *
+ * @param {Function} predicate The function to call on each element, along with
+ *     its index.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4, 1]).dropWhile(function(x) { return x < 3; });
+ * // => sequence: (3, 4, 1)
+ */
+Sequence.prototype.dropWhile = function(predicate) {
+  return new DropWhileSequence(this, predicate, false);
+};
+
+/**
+ * Alias for {@link Sequence#dropWhile}.
+ *
+ * @function skipWhile
+ * @memberOf Sequence
+ * @instance
+ */
+Sequence.prototype.skipWhile = Sequence.prototype.dropWhile;
+
+/**
+ * Creates a new sequence comprising the elements of this one from the first
+ * one that satisfies a predicate onwards. See {@link Sequence#dropWhile}.
+ *
+ * @param {Function} predicate The function to call on each element, along with
+ *     its index.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy(["# comment", "", "BEGIN", "a"]).dropUntil(function(s) { return s === "BEGIN"; });
+ * // => sequence: ("BEGIN", "a")
+ */
+Sequence.prototype.dropUntil = function(predicate) {
+  return new DropWhileSequence(this, predicate, true);
+};
+
+/**
+ * Alias for {@link Sequence#dropUntil}.
+ *
+ * @function skipUntil
+ * @memberOf Sequence
+ * @instance
+ */
+Sequence.prototype.skipUntil = Sequence.prototype.dropUntil;
+
+/**
+ * Creates a new sequence whose elements are arrays of consecutive elements from
+ * this sequence, each with `size` elements (except the last one, which has
+ * whatever elements are left over).
+ *
+ * @param {number} size The number of elements in each chunk.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4, 5]).chunk(2);
+ * // => sequence: ([1, 2], [3, 4], [5])
+ *
+ * Lazy.generate(function(i) { return i; }).chunk(3).take(2);
+ * // => sequence: ([0, 1, 2], [3, 4, 5])
+ */
+Sequence.prototype.chunk = function(size) {
+  return new WindowedSequence(this, size, size, true);
+};
+
+/**
+ * Creates a new sequence of "sliding windows" over this one: arrays of `size`
+ * consecutive elements, where each window starts `step` elements after the one
+ * before it. Windows overlap if `step` is less than `size`. Only full windows
+ * are included, so a sequence with fewer than `size` elements has none.
+ *
+ * @param {number} size The number of elements in each window.
+ * @param {number=} step The number of elements between the start of one window
+ *     and the start of the next (defaults to 1).
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4, 5]).windowed(3);
+ * // => sequence: ([1, 2, 3], [2, 3, 4], [3, 4, 5])
+ *
+ * Lazy([1, 2, 3, 4, 5]).windowed(2, 3);
+ * // => sequence: ([1, 2], [4, 5])
+ */
+Sequence.prototype.windowed = function(size, step) {
+  return new WindowedSequence(this, size, typeof step === "number" ? step : 1, false);
+};
+
+/**
+ * Creates a new sequence of every pair of consecutive elements in this one.
+ * Equivalent to `windowed(2)`.
+ *
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 4, 7]).pairwise();
+ * // => sequence: ([1, 2], [2, 4], [4, 7])
+ *
+ * Lazy([1, 2, 4, 7]).pairwise().map(function(pair) { return pair[1] - pair[0]; });
+ * // => sequence: (1, 2, 3)
+ */
+Sequence.prototype.pairwise = function() {
+  return this.windowed(2);
+};
+
+/**
+ * Creates a new sequence by splitting this one into runs of consecutive
+ * elements (arrays), starting a new run between any two elements for which the
+ * given function returns true.
+ *
+ * @param {function(*, *):boolean} splitFn The function to call with each
+ *     element (after the first) and the element before it, which should return
+ *     true to split the sequence between them.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 7, 8, 10]).splitWhen(function(x, y) { return y !== x + 1; });
+ * // => sequence: ([1, 2, 3], [7, 8], [10])
+ */
+Sequence.prototype.splitWhen = function(splitFn) {
+  return new RunSequence(this, null, splitFn);
+};
+
+/**
+ * Creates a new sequence by splitting this one into runs of consecutive
+ * elements (arrays) with the same key. Unlike {@link Sequence#groupBy}, two
+ * elements with the same key only end up together if there are no elements
+ * with a different key between them.
+ *
+ * Keys are compared with `===`, except that NaN is equal to itself and Dates
+ * are equal if they have the same time.
+ *
+ * @param {Function|string} keyFn The function to call on each element to get
+ *     its key, or the name of a property to use as the key.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 3, 2, 4, 5]).partitionBy(function(x) { return x % 2; });
+ * // => sequence: ([1, 3], [2, 4], [5])
+ *
+ * Lazy("aabccc").partitionBy(function(c) { return c; });
+ * // => sequence: (["a", "a"], ["b"], ["c", "c", "c"])
+ */
+Sequence.prototype.partitionBy = function(keyFn) {
+  return new RunSequence(this, createKeyFn(keyFn), function(x, y) {
+    return !isSameValue(x, y);
+  });
+};
+
+/**
+ * Creates a new sequence of every combination of the given number of elements
+ * from this sequence, i.e., every way to choose that many of them without
+ * regard to order. Each combination is an array, with its elements in the
+ * same order as in this sequence; and the combinations are in lexicographic
+ * order (by position).
+ *
+ * The combinations are generated as they're needed, from the elements of this
+ * sequence (which must be finite). The new sequence is array-like: its length
+ * is computed without generating any combinations, and any of them can be
+ * accessed by index, so {@link Sequence#drop} doesn't have to generate the
+ * combinations it skips. The elements of this sequence are read once, the
+ * first time they're needed, and kept for as long as the new sequence is.
+ *
+ * @param {number} size The number of elements in each combination.
+ * @return {ArrayLikeSequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4]).combinations(2);
+ * // => sequence: ([1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4])
+ *
+ * Lazy.range(100).combinations(5).length();
+ * // => 75287520
+ *
+ * Lazy.range(100).combinations(5).drop(75287519).toArray();
+ * // => [[95, 96, 97, 98, 99]]
+ */
+Sequence.prototype.combinations = function(size) {
+  return new CombinationSequence(this, size, false);
+};
+
+/**
+ * Creates a new sequence of every combination of the given number of elements
+ * from this sequence, where the same element can be chosen more than once.
+ * See {@link Sequence#combinations}.
+ *
+ * @param {number} size The number of elements in each combination.
+ * @return {ArrayLikeSequence} The new sequence.
+ *
+ * @example
+ * Lazy(["a", "b", "c"]).combinationsWithReplacement(2);
+ * // => sequence: (["a", "a"], ["a", "b"], ["a", "c"], ["b", "b"], ["b", "c"], ["c", "c"])
+ */
+Sequence.prototype.combinationsWithReplacement = function(size) {
+  return new CombinationSequence(this, size, true);
+};
+
+/**
+ * Creates a new sequence of every permutation of the given number of elements
+ * from this sequence (or by default, of all of them), i.e., every way to
+ * arrange that many of them in order. The permutations are in lexicographic
+ * order (by position). See {@link Sequence#combinations}.
+ *
+ * @param {number=} size The number of elements in each permutation.
+ * @return {ArrayLikeSequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3]).permutations();
+ * // => sequence: ([1, 2, 3], [1, 3, 2], [2, 1, 3], [2, 3, 1], [3, 1, 2], [3, 2, 1])
+ *
+ * Lazy([1, 2, 3]).permutations(2);
+ * // => sequence: ([1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2])
+ *
+ * Lazy.range(20).permutations().get(1000000);
+ * // => [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 12, 17, 18, 13, 19, 11, 15, 16, 10, 14]
+ */
+Sequence.prototype.permutations = function(size) {
+  return new PermutationSequence(this, size);
+};
+
+/**
+ * Creates a new sequence of every subset of the elements in this sequence, as
+ * arrays: first the empty one, then those with one element, then two, and so
+ * on, each size in lexicographic order (by position). See
+ * {@link Sequence#combinations}.
+ *
+ * @return {ArrayLikeSequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3]).powerSet();
+ * // => sequence: ([], [1], [2], [3], [1, 2], [1, 3], [2, 3], [1, 2, 3])
+ */
+Sequence.prototype.powerSet = function() {
+  return new PowerSetSequence(this);
+};
+
 /**
  * Creates a new sequence with the same elements as this one, but ordered
- * according to the values returned by the specified function.
+ * according to the values returned by the specified function. The sort is
+ * stable: elements for which `sortFn` returns equal values keep their original
+ * order.
+ *
+ * Elements are sorted only as far as they're needed. Iterating over the
+ * sequence produces the first element without sorting the rest, and calling
+ * `first(n)` or `last(n)` on it only ever sorts N elements.
  *
  * @param {Function} sortFn The function to call on the elements in this
  *     sequence, in order to sort them.
@@ -567,21 +875,106 @@ Sequence.prototype.sortBy = function(sortFn) {
 };
 
 /**
- * Creates a new sequence comprising the elements in this one, grouped
- * together according to some key. The elements of the new sequence are pairs
- * of the form `[key, values]` where `values` is an array containing all of
- * the elements in this sequence with the same key.
- *
- * @param {Function} keyFn The function to call on the elements in this
- *     sequence to obtain a key by which to group them.
+ * Creates a new sequence with the same elements as this one, ordered by one or
+ * more keys. Call {@link SortedSequence#thenBy} or
+ * {@link SortedSequence#thenByDescending} on the result to order elements with
+ * equal keys by another key, and so on. Like {@link #sortBy}, the sort is
+ * stable, and nothing is sorted until the sequence is iterated over.
+ *
+ * The options for each key are:
+ *
+ * - `direction`: "asc" (the default) or "desc".
+ * - `compare`: a function for comparing two keys, which should return a
+ *   negative number, zero or a positive number. By default keys are compared
+ *   with `<` and `>`.
+ * - `locale`: a locale such as "de" (or `true` for the default locale), to
+ *   compare keys as strings according to that locale's rules.
+ * - `numeric`: true to compare runs of digits in strings by their numeric
+ *   value, so that "item 9" comes before "item 10".
+ * - `sensitivity`: for locale-aware comparisons, one of "base", "accent",
+ *   "case" or "variant" (see `Intl.Collator`).
+ * - `nulls`: "first" or "last" (the default), to put elements whose keys are
+ *   null or undefined before or after all others, whatever the direction.
+ *
+ * @param {Function|string|Object=} key The function to call on each element
+ *     to get its key, or the name of a property to use as the key, or an object
+ *     with a `key` property and any of the options above. If omitted (or
+ *     null), elements are ordered by their own values.
+ * @param {string|Object=} options Either "asc" or "desc", or an object with
+ *     any of the options above.
  * @return {Sequence} The new sequence.
  *
  * @example
+ * var staff = [
+ *   { name: "Émile", dept: "R&D", salary: 90 },
+ *   { name: "Zoe", dept: "Ops", salary: 70 },
+ *   { name: "Adam", dept: "R&D", salary: 90 },
+ *   { name: "Bea", dept: "R&D", salary: 120 }
+ * ];
+ *
+ * Lazy(staff)
+ *   .orderBy("dept")
+ *   .thenByDescending("salary")
+ *   .thenBy("name", { locale: "fr" })
+ *   .pluck("name");
+ * // => sequence: ("Zoe", "Bea", "Adam", "Émile")
+ *
+ * Lazy(["file10", null, "file9"]).orderBy(null, { numeric: true });
+ * // => sequence: ("file9", "file10", null)
+ */
+Sequence.prototype.orderBy = function(key, options) {
+  return new OrderedSequence(this, [createSortCriterion(key, options)]);
+};
+
+/**
+ * Creates a new sequence comprising the elements in this one, grouped
+ * together according to some key. The result is an
+ * {@link ObjectLikeSequence} whose keys are the keys of the groups, in the
+ * order they were first seen, and whose values are arrays containing all of
+ * the elements in this sequence with that key.
+ *
+ * Keys keep their original values: `1` and `"1"` are different keys, and so
+ * are two different objects. Passing an array of functions or property names
+ * groups by all of them at once, in which case each group's key is an array.
+ *
+ * Whatever the type of the keys, {@link Sequence#each} passes each group
+ * first and its key second, as it does for any other object-like sequence.
+ * (This is a breaking change: the elements of this sequence used to be
+ * `[key, values]` pairs.) Call {@link ObjectLikeSequence#pairs} or
+ * {@link ObjectLikeSequence#toArray} to get the groups as pairs.
+ *
+ * To compute something about each group (a count, a total) without building
+ * an array of its elements, call {@link GroupedSequence#aggregate} on the
+ * result.
+ *
+ * @param {Function|string|Array} keyFn The function to call on the elements
+ *     in this sequence to obtain a key by which to group them, or the name of a
+ *     property to use as the key, or an array of either.
+ * @return {ObjectLikeSequence} The new sequence.
+ *
+ * @example
  * var numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
  * var oddsAndEvens = Lazy(numbers).groupBy(function(x) {
  *   return x % 2 == 1 ? "odd" : "even";
  * });
- * // => sequence: (["odd", [1, 3, ..., 9]], ["even", [2, 4, ..., 10]])
+ *
+ * oddsAndEvens.get("odd");
+ * // => [1, 3, 5, 7, 9]
+ *
+ * oddsAndEvens.keys();
+ * // => sequence: ("odd", "even")
+ *
+ * oddsAndEvens.pairs();
+ * // => [["odd", [1, 3, 5, 7, 9]], ["even", [2, 4, 6, 8, 10]]]
+ *
+ * var sales = [
+ *   { region: "east", year: 2013, amount: 10 },
+ *   { region: "west", year: 2013, amount: 20 },
+ *   { region: "east", year: 2013, amount: 5 }
+ * ];
+ *
+ * Lazy(sales).groupBy(["region", "year"]).keys();
+ * // => sequence: (["east", 2013], ["west", 2013])
  */
 Sequence.prototype.groupBy = function(keyFn) {
   return new GroupedSequence(this, keyFn);
@@ -592,8 +985,15 @@ Sequence.prototype.groupBy = function(keyFn) {
  * this sequence, each paired with a number representing the number of times
  * that key appears in the sequence.
  *
- * @param {Function} keyFn The function to call on the elements in this
- *     sequence to obtain a key by which to count them.
+ * Keys keep their original values, in the order they were first seen, and are
+ * compared the same way as elements are by {@link Sequence#uniq} (or by the
+ * given `equals` function or options).
+ *
+ * @param {Function|string} keyFn The function to call on the elements in this
+ *     sequence to obtain a key by which to count them, or the name of a
+ *     property to use as the key.
+ * @param {Function|Object=} equals A function to check whether two keys are
+ *     equal, or options for comparing them (see {@link Sequence#uniq}).
  * @return {Sequence} The new sequence.
  *
  * @example
@@ -602,23 +1002,61 @@ Sequence.prototype.groupBy = function(keyFn) {
  *   return x % 2 == 1 ? "odd" : "even";
  * });
  * // => sequence: (["odd", 3], ["even", 2])
+ *
+ * Lazy([{ tags: ["a", "b"] }, { tags: ["a", "b"] }]).countBy("tags", { deep: true });
+ * // => sequence: ([["a", "b"], 2])
  */
-Sequence.prototype.countBy = function(keyFn) {
-  return new CountedSequence(this, keyFn);
+Sequence.prototype.countBy = function(keyFn, equals) {
+  return new CountedSequence(this, createKeyFn(keyFn), equals);
 };
 
 /**
  * Creates a new sequence with every unique element from this one appearing
  * exactly once (i.e., with duplicates removed).
  *
+ * Elements are compared with `===`, except that NaN is equal to itself and
+ * Dates are equal if they have the same time. Other objects are only equal to
+ * themselves, unless you specify how to compare them.
+ *
+ * Each element is produced as soon as it is first seen, so this works on
+ * sequences of any length, including indefinite ones.
+ *
+ * @param {Object|Function=} options How to compare elements, if not as
+ *     described above. A function is taken to be a key function, the same as
+ *     passing it to {@link Sequence#uniqBy}.
+ * @param {function(*):*=} options.hash A function to get a key for each
+ *     element. Elements whose keys aren't equal are never equal.
+ * @param {function(*, *):boolean=} options.equals A function to check whether
+ *     two elements with equal keys are equal. If this is omitted, they are.
+ * @param {boolean=} options.deep Compare arrays and plain objects (such as
+ *     parsed JSON) by their contents: arrays are equal if their elements are,
+ *     and objects if they have the same keys with equal values.
  * @return {Sequence} The new sequence.
  *
  * @example
  * Lazy([1, 2, 2, 3, 3, 3]).uniq();
  * // => sequence: (1, 2, 3)
+ *
+ * Lazy([NaN, NaN, new Date(0), new Date(0)]).uniq();
+ * // => sequence: (NaN, new Date(0))
+ *
+ * Lazy([{ x: 1, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 3 }]).uniq({
+ *   hash: function(p) { return p.x; },
+ *   equals: function(p, q) { return p.x === q.x && p.y === q.y; }
+ * });
+ * // => sequence: ({ x: 1, y: 2 }, { x: 1, y: 3 })
+ *
+ * Lazy([{ a: [1, 2] }, { a: [1, 2] }, { a: [2] }]).uniq({ deep: true });
+ * // => sequence: ({ a: [1, 2] }, { a: [2] })
+ *
+ * Lazy([1, 2, 3, 4]).uniq(function(x) { return x % 2; });
+ * // => sequence: (1, 2)
  */
-Sequence.prototype.uniq = function() {
-  return new UniqueSequence(this);
+Sequence.prototype.uniq = function(options) {
+  if (typeof options === "function") {
+    return this.uniqBy(options);
+  }
+  return new UniqueSequence(this, null, options);
 };
 
 /**
@@ -630,6 +1068,52 @@ Sequence.prototype.uniq = function() {
  */
 Sequence.prototype.unique = Sequence.prototype.uniq;
 
+/**
+ * Creates a new sequence with only the first element from this one for each
+ * unique key.
+ *
+ * Keys are compared the same way as elements are by {@link Sequence#uniq},
+ * unless an `equals` function or options are given. As with `uniq`, elements
+ * are produced as soon as they are first seen.
+ *
+ * @param {Function|string} keyFn The function to call on each element to get
+ *     its key, or the name of a property to use as the key.
+ * @param {Function|Object=} equals A function to check whether two keys are
+ *     equal, or options for comparing them (see {@link Sequence#uniq}). Note
+ *     that with only an `equals` function, every key has to be compared with
+ *     every other one.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * var records = [
+ *   { id: 1, name: "foo" },
+ *   { id: 2, name: "bar" },
+ *   { id: 1, name: "baz" }
+ * ];
+ *
+ * Lazy(records).uniqBy("id");
+ * // => sequence: ({ id: 1, name: "foo" }, { id: 2, name: "bar" })
+ *
+ * Lazy(["foo", "FOO", "bar"]).uniqBy(function(s) { return s.toLowerCase(); });
+ * // => sequence: ("foo", "bar")
+ *
+ * var readings = [{ at: 0.1 }, { at: 0.12 }, { at: 0.5 }];
+ * Lazy(readings).distinctBy("at", function(x, y) { return Math.abs(x - y) < 0.05; });
+ * // => sequence: ({ at: 0.1 }, { at: 0.5 })
+ */
+Sequence.prototype.uniqBy = function(keyFn, equals) {
+  return new UniqueSequence(this, createKeyFn(keyFn), equals);
+};
+
+/**
+ * Alias for {@link Sequence#uniqBy}.
+ *
+ * @function distinctBy
+ * @memberOf Sequence
+ * @instance
+ */
+Sequence.prototype.distinctBy = Sequence.prototype.uniqBy;
+
 /**
  * Creates a new sequence by combining the elements from this sequence with
  * corresponding elements from the specified array(s).
@@ -650,18 +1134,218 @@ Sequence.prototype.zip = function(var_args) {
   }
 };
 
+/**
+ * Creates a new sequence by joining the elements of this sequence with those of
+ * another collection that have the same key (an "inner join"). For each
+ * element of this sequence, there's one element in the result for every
+ * element of `other` whose key matches; elements without a match are left out.
+ * (This isn't called `join`, because {@link #join} already joins the elements
+ * of a sequence into a string.)
+ *
+ * The other collection is read into an index (a hash table of keys) each time
+ * the result is iterated over, so it must be synchronous. This sequence, on
+ * the other hand, is only read one element at a time, so it can be as large as
+ * you like, or even asynchronous.
+ *
+ * Keys are compared with `===` (except that NaN matches itself). Elements
+ * whose keys are null or undefined never match anything.
+ *
+ * @param {Array|Sequence} other The collection to join with this sequence.
+ * @param {Function|string} leftKey The function to call on the elements of
+ *     this sequence to get their keys, or the name of a property to use as the
+ *     key.
+ * @param {Function|string} rightKey The function or property name used to get
+ *     the keys of the elements in `other`.
+ * @param {Function=} resultFn The function to call with each matching pair of
+ *     elements (from this sequence and `other`) to get an element of the
+ *     result. By default the result is a sequence of `[left, right]` pairs.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * var customers = [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }];
+ * var orders = [
+ *   { id: 10, customerId: 2, total: 25 },
+ *   { id: 11, customerId: 1, total: 30 },
+ *   { id: 12, customerId: 3, total: 5 },
+ *   { id: 13, customerId: 2, total: 40 }
+ * ];
+ *
+ * Lazy(orders).innerJoin(customers, "customerId", "id", function(order, customer) {
+ *   return customer.name + ": " + order.total;
+ * });
+ * // => sequence: ("Bob: 25", "Ann: 30", "Bob: 40")
+ */
+Sequence.prototype.innerJoin = function(other, leftKey, rightKey, resultFn) {
+  return new JoinSequence(this, other, leftKey, rightKey, resultFn, "inner");
+};
+
+/**
+ * Like {@link #innerJoin}, but every element of this sequence is kept, even if
+ * nothing in `other` matches it. In that case `resultFn` is called with
+ * `undefined` in place of the element from `other`.
+ *
+ * @param {Array|Sequence} other The collection to join with this sequence.
+ * @param {Function|string} leftKey The key of this sequence's elements.
+ * @param {Function|string} rightKey The key of the elements in `other`.
+ * @param {Function=} resultFn The function to combine each pair of elements.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([{ id: 1 }, { id: 2 }]).leftJoin([{ ref: 2, x: "b" }], "id", "ref", function(l, r) {
+ *   return l.id + ":" + (r ? r.x : "-");
+ * });
+ * // => sequence: ("1:-", "2:b")
+ */
+Sequence.prototype.leftJoin = function(other, leftKey, rightKey, resultFn) {
+  return new JoinSequence(this, other, leftKey, rightKey, resultFn, "left");
+};
+
+/**
+ * Like {@link #innerJoin}, but every element of `other` is kept, even if nothing
+ * in this sequence matches it. Those elements come after all the matches, and
+ * `resultFn` is called for each of them with `undefined` in place of the
+ * element from this sequence.
+ *
+ * @param {Array|Sequence} other The collection to join with this sequence.
+ * @param {Function|string} leftKey The key of this sequence's elements.
+ * @param {Function|string} rightKey The key of the elements in `other`.
+ * @param {Function=} resultFn The function to combine each pair of elements.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([{ id: 1 }]).rightJoin([{ ref: 1 }, { ref: 3 }], "id", "ref", function(l, r) {
+ *   return (l ? l.id : "-") + ":" + r.ref;
+ * });
+ * // => sequence: ("1:1", "-:3")
+ */
+Sequence.prototype.rightJoin = function(other, leftKey, rightKey, resultFn) {
+  return new JoinSequence(this, other, leftKey, rightKey, resultFn, "right");
+};
+
+/**
+ * Combines {@link #leftJoin} and {@link #rightJoin}: every element of this
+ * sequence and of `other` is kept, whether or not it has a match.
+ *
+ * @param {Array|Sequence} other The collection to join with this sequence.
+ * @param {Function|string} leftKey The key of this sequence's elements.
+ * @param {Function|string} rightKey The key of the elements in `other`.
+ * @param {Function=} resultFn The function to combine each pair of elements.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy([1, 2]).fullOuterJoin([2, 3], null, null);
+ * // => sequence: ([1, undefined], [2, 2], [undefined, 3])
+ */
+Sequence.prototype.fullOuterJoin = function(other, leftKey, rightKey, resultFn) {
+  return new JoinSequence(this, other, leftKey, rightKey, resultFn, "full");
+};
+
+/**
+ * Creates a new sequence by pairing each element of this sequence with an
+ * array of all of the elements of `other` with the same key (which may be
+ * empty). See {@link #innerJoin}.
+ *
+ * @param {Array|Sequence} other The collection to join with this sequence.
+ * @param {Function|string} leftKey The key of this sequence's elements.
+ * @param {Function|string} rightKey The key of the elements in `other`.
+ * @param {Function=} resultFn The function to call with each element of this
+ *     sequence and the array of its matches. By default the result is a
+ *     sequence of `[element, matches]` pairs.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * var customers = [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }];
+ * var orders = [{ customerId: 2, total: 25 }, { customerId: 2, total: 40 }];
+ *
+ * Lazy(customers).groupJoin(orders, "id", "customerId", function(customer, orders) {
+ *   return customer.name + ": " + orders.length;
+ * });
+ * // => sequence: ("Ann: 0", "Bob: 2")
+ */
+Sequence.prototype.groupJoin = function(other, leftKey, rightKey, resultFn) {
+  return new JoinSequence(this, other, leftKey, rightKey, resultFn, "group");
+};
+
 /**
  * Creates a new sequence with the same elements as this one, in a randomized
  * order.
  *
+ * @param {Function|number|string=} random An optional function returning
+ *     random numbers from 0 (inclusive) to 1 (exclusive), like `Math.random`
+ *     (the default); or a seed for {@link Lazy.random}, to get the same order
+ *     every time the sequence is iterated. (A function keeps whatever state
+ *     it has from one iteration to the next, so passing a seeded generator
+ *     gives the same orders each time the program runs, but a different order
+ *     for each iteration.)
  * @return {Sequence} The new sequence.
  *
  * @example
  * Lazy([1, 2, 3, 4, 5]).shuffle();
  * // => sequence: (2, 3, 5, 4, 1)
+ *
+ * Lazy([1, 2, 3, 4, 5]).shuffle(42).toArray();
+ * // => (the same order every time)
+ */
+Sequence.prototype.shuffle = function(random) {
+  return new ShuffledSequence(this, random);
+};
+
+/**
+ * Creates a new sequence of the given number of elements picked at random
+ * from this sequence (or all of them, if there aren't that many), in the
+ * order they appear in it. Without a number, this returns a single random
+ * element instead.
+ *
+ * The elements are picked by reservoir sampling: in a single pass, keeping
+ * only the chosen elements in memory. So this works just as well for streams
+ * and other sequences whose length isn't known until they end.
+ *
+ * @param {number=} count The number of elements to pick.
+ * @param {Function|number|string=} random An optional function returning
+ *     random numbers, or a seed to pick the same elements every time (see
+ *     {@link Sequence#shuffle}).
+ * @return {Sequence|*} The new sequence, or the random element.
+ *
+ * @example
+ * Lazy.range(100).sample(3);
+ * // => sequence: (21, 58, 90)
+ *
+ * Lazy(["a", "b", "c"]).sample();
+ * // => "b"
+ *
+ * Lazy.readFile("access.log").lines().sample(10, 1);
+ * // => (the same 10 lines every time, as long as the file is the same)
+ */
+Sequence.prototype.sample = function(count, random) {
+  if (typeof count === "undefined") {
+    return getFirst(new SampledSequence(this, 1, random));
+  }
+  return new SampledSequence(this, count, random);
+};
+
+/**
+ * Creates a new sequence of the given number of elements picked at random
+ * from this sequence, where the chance of picking an element is in proportion
+ * to its weight. Elements with no weight (or a negative one) are never picked.
+ * Like {@link Sequence#sample}, this keeps only the chosen elements in memory,
+ * and the elements are in the order they appear in this sequence.
+ *
+ * @param {number} count The number of elements to pick.
+ * @param {Function|string} weightFn A function to call on each element (along
+ *     with its index), or the name of a property, to get its weight.
+ * @param {Function|number|string=} random An optional function returning
+ *     random numbers, or a seed to pick the same elements every time (see
+ *     {@link Sequence#shuffle}).
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * var servers = [{ name: "a", capacity: 1 }, { name: "b", capacity: 8 }, { name: "c", capacity: 1 }];
+ *
+ * Lazy(servers).weightedSample(1, "capacity").pluck("name");
+ * // => sequence: ("b") (most of the time)
  */
-Sequence.prototype.shuffle = function() {
-  return new ShuffledSequence(this);
+Sequence.prototype.weightedSample = function(count, weightFn, random) {
+  return new SampledSequence(this, count, random, createKeyFn(weightFn));
 };
 
 /**
@@ -669,14 +1353,58 @@ Sequence.prototype.shuffle = function() {
  * exploded so that a sequence of arrays (of arrays) becomes a flat sequence of
  * values.
  *
+ * Nested sequences (including asynchronous ones) and iterables such as `Set`s
+ * are flattened the same way as arrays. Strings and other objects never are.
+ * An {@link ObjectLikeSequence} is flattened into its values, or with the
+ * `pairs` option, into its [key, value] pairs (which aren't flattened any
+ * further).
+ *
+ * @param {number|Object=} depth How many levels of nesting to flatten (by
+ *     default, all of them), or an object with any of these options:
+ * @param {number=} depth.depth How many levels of nesting to flatten.
+ * @param {boolean=} depth.pairs Whether to flatten object-like sequences into
+ *     their [key, value] pairs rather than their values.
  * @return {Sequence} The new sequence.
  *
  * @example
  * Lazy([1, [2, 3], [4, [5]]]).flatten();
  * // => sequence: (1, 2, 3, 4, 5)
+ *
+ * Lazy([1, [2, 3], [4, [5]]]).flatten(1);
+ * // => sequence: (1, 2, 3, 4, [5])
+ *
+ * Lazy([Lazy({ a: 1 }), [Lazy({ b: 2 })]]).flatten({ pairs: true });
+ * // => sequence: (["a", 1], ["b", 2])
+ */
+Sequence.prototype.flatten = function(depth) {
+  var options = depth && typeof depth === "object" ? depth : { depth: depth };
+
+  return new FlattenedSequence(
+    this,
+    typeof options.depth === "number" ? options.depth : Infinity,
+    !!options.pairs
+  );
+};
+
+/**
+ * Creates a new sequence by calling a function on every element of this one,
+ * and concatenating the arrays, sequences or iterables it returns. (Any other
+ * values it returns are included as they are.) Like {@link Sequence#map}, this
+ * only calls the function as elements are needed.
+ *
+ * @param {Function} mapFn The function to call on each element, along with its
+ *     index.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy(["a b", "c"]).flatMap(function(s) { return s.split(" "); });
+ * // => sequence: ("a", "b", "c")
+ *
+ * Lazy.range(1, 4).flatMap(function(n) { return Lazy.repeat(n, n); });
+ * // => sequence: (1, 2, 2, 3, 3, 3)
  */
-Sequence.prototype.flatten = function() {
-  return new FlattenedSequence(this);
+Sequence.prototype.flatMap = function(mapFn) {
+  return this.map(mapFn).flatten(1);
 };
 
 /**
@@ -759,6 +1487,8 @@ Sequence.prototype.intersection = function(var_args) {
  *
  * @param {Function} predicate A function to call on (potentially) every element
  *     in this sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {boolean} True if `predicate` returns true for every element in the
  *     sequence (or the sequence is empty). False if `predicate` returns false
  *     for at least one element.
@@ -772,15 +1502,15 @@ Sequence.prototype.intersection = function(var_args) {
  * var allPositive = Lazy(numbers).every(function(x) { return x > 0; });
  * // => true
  */
-Sequence.prototype.every = function(predicate) {
+Sequence.prototype.every = function(predicate, callback) {
   var success = true;
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     if (!predicate(e)) {
       success = false;
       return false;
     }
   });
-  return success;
+  return finishIteration(iteration, function() { return success; }, callback);
 };
 
 /**
@@ -799,6 +1529,8 @@ Sequence.prototype.all = Sequence.prototype.every;
  *
  * @param {Function=} predicate A function to call on (potentially) every element
  *     in this sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {boolean} True if `predicate` returns true for at least one element
  *     in the sequence. False if `predicate` returns false for every element (or
  *     the sequence is empty).
@@ -812,19 +1544,19 @@ Sequence.prototype.all = Sequence.prototype.every;
  * var someNegative = Lazy(numbers).some(function(x) { return x < 0; });
  * // => false
  */
-Sequence.prototype.some = function(predicate) {
+Sequence.prototype.some = function(predicate, callback) {
   if (!predicate) {
     predicate = function() { return true; };
   }
 
   var success = false;
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     if (predicate(e)) {
       success = true;
       return false;
     }
   });
-  return success;
+  return finishIteration(iteration, function() { return success; }, callback);
 };
 
 /**
@@ -839,6 +1571,8 @@ Sequence.prototype.any = Sequence.prototype.some;
 /**
  * Checks whether the sequence has no elements.
  *
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {boolean} True if the sequence is empty, false if it contains at
  *     least one element.
  *
@@ -849,8 +1583,13 @@ Sequence.prototype.any = Sequence.prototype.some;
  * Lazy([1, 2, 3]).isEmpty();
  * // => false
  */
-Sequence.prototype.isEmpty = function() {
-  return !this.any();
+Sequence.prototype.isEmpty = function(callback) {
+  var empty = true;
+  var iteration = this.each(function() {
+    empty = false;
+    return false;
+  });
+  return finishIteration(iteration, function() { return empty; }, callback);
 };
 
 /**
@@ -858,6 +1597,8 @@ Sequence.prototype.isEmpty = function() {
  * returning the first index at which the specified value is found.
  *
  * @param {*} value The element to search for in the sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {number} The index within this sequence where the given value is
  *     located, or -1 if the sequence doesn't contain the value.
  *
@@ -871,17 +1612,17 @@ Sequence.prototype.isEmpty = function() {
  * Lazy([1, 2, 3]).map(function(x) { return x * 2; }).indexOf(2);
  * // => 0
  */
-Sequence.prototype.indexOf = function(value) {
+Sequence.prototype.indexOf = function(value, callback) {
   var index = 0;
   var foundIndex = -1;
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     if (e === value) {
       foundIndex = index;
       return false;
     }
     ++index;
   });
-  return foundIndex;
+  return finishIteration(iteration, function() { return foundIndex; }, callback);
 };
 
 /**
@@ -943,6 +1684,8 @@ Sequence.prototype.sortedIndex = function(value) {
  * Checks whether the given value is in this sequence.
  *
  * @param {*} value The element to search for in the sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {boolean} True if the sequence contains the value, false if not.
  *
  * @example
@@ -954,8 +1697,10 @@ Sequence.prototype.sortedIndex = function(value) {
  * Lazy(numbers).contains(13);
  * // => false
  */
-Sequence.prototype.contains = function(value) {
-  return this.indexOf(value) !== -1;
+Sequence.prototype.contains = function(value, callback) {
+  return finishIteration(this.indexOf(value), function(index) {
+    return index !== -1;
+  }, callback);
 };
 
 /**
@@ -968,6 +1713,9 @@ Sequence.prototype.contains = function(value) {
  *     new aggregated result.
  * @param {*=} memo The starting value to use for the aggregated result
  *     (defaults to the first element in the sequence).
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result of the aggregation. (Note that to provide a callback,
+ *     you must also provide `memo`.)
  * @return {*} The result of the aggregation.
  *
  * @example
@@ -976,15 +1724,18 @@ Sequence.prototype.contains = function(value) {
  * var sum = Lazy(numbers).reduce(function(x, y) { return x + y; }, 0);
  * // => 50
  */
-Sequence.prototype.reduce = function(aggregator, memo) {
-  if (arguments.length < 2) {
-    return this.tail().reduce(aggregator, this.head());
-  }
+Sequence.prototype.reduce = function(aggregator, memo, callback) {
+  var useHead = arguments.length < 2;
 
-  this.each(function(e, i) {
+  var iteration = this.each(function(e, i) {
+    if (useHead) {
+      memo = e;
+      useHead = false;
+      return;
+    }
     memo = aggregator(memo, e, i);
   });
-  return memo;
+  return finishIteration(iteration, function() { return memo; }, callback);
 };
 
 /**
@@ -1013,7 +1764,11 @@ Sequence.prototype.foldl = Sequence.prototype.reduce;
  *     in the sequence. For every element, the function will be passed the total
  *     aggregated result thus far and the element itself, and should return a
  *     new aggregated result.
- * @param {*} memo The starting value to use for the aggregated result.
+ * @param {*=} memo The starting value to use for the aggregated result
+ *     (defaults to the last element in the sequence).
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result of the aggregation. (Note that to provide a callback,
+ *     you must also provide `memo`.)
  * @return {*} The result of the aggregation.
  *
  * @example
@@ -1022,17 +1777,22 @@ Sequence.prototype.foldl = Sequence.prototype.reduce;
  * var backwards = Lazy(letters).reduceRight(function(x, y) { return x + y; });
  * // => "edcba"
  */
-Sequence.prototype.reduceRight = function(aggregator, memo) {
-  if (arguments.length < 2) {
-    return this.initial(1).reduceRight(aggregator, this.last());
-  }
-
-  // This bothers me... but frankly, calling reverse().reduce() is potentially
-  // going to eagerly evaluate the sequence anyway; so it's really not an issue.
-  var i = this.length() - 1;
-  return this.reverse().reduce(function(m, e) {
-    return aggregator(m, e, i--);
-  }, memo);
+Sequence.prototype.reduceRight = function(aggregator, memo, callback) {
+  var useLast = arguments.length < 2;
+
+  // This bothers me... but frankly, iterating from the tail is going to eagerly
+  // evaluate the sequence anyway; so it's really not an issue. Going through
+  // toArray also means this works the same for asynchronous sequences.
+  return finishIteration(this.toArray(), function(array) {
+    var i = array.length;
+    if (useLast) {
+      memo = array[--i];
+    }
+    while (--i >= 0) {
+      memo = aggregator(memo, array[i], i);
+    }
+    return memo;
+  }, callback);
 };
 
 /**
@@ -1044,11 +1804,104 @@ Sequence.prototype.reduceRight = function(aggregator, memo) {
  */
 Sequence.prototype.foldr = Sequence.prototype.reduceRight;
 
+/**
+ * Creates a new sequence of the running results of aggregating this sequence,
+ * the way {@link Sequence#reduce} does: each element of the new sequence is the
+ * result of aggregating the elements of this one up to and including the one
+ * in the same position.
+ *
+ * @param {Function} aggregator The function through which to pass every element
+ *     in the sequence. For every element, the function will be passed the
+ *     result thus far, the element itself and its index, and should return a
+ *     new result.
+ * @param {*=} seed The value to aggregate the first element with (if omitted,
+ *     the first result is the first element itself).
+ * @return {Sequence} The new sequence, with as many elements as this one.
+ *
+ * @example
+ * function add(x, y) { return x + y; }
+ *
+ * Lazy([1, 2, 3, 4]).scan(add);
+ * // => sequence: (1, 3, 6, 10)
+ *
+ * Lazy([3, 1, 4, 1, 5]).scan(Math.max);
+ * // => sequence: (3, 3, 4, 4, 5)
+ *
+ * Lazy(["a", "b", "c"]).scan(add, ">");
+ * // => sequence: (">a", ">ab", ">abc")
+ */
+Sequence.prototype.scan = function(aggregator, seed) {
+  var useHead = arguments.length < 2;
+
+  return this.mapWithState(function(memo, e, i) {
+    var result = useHead && i === 0 ? e : aggregator(memo, e, i);
+    return [result, result];
+  }, function() { return seed; });
+};
+
+/**
+ * Creates a new sequence of the running results of aggregating this sequence
+ * from the tail, the way {@link Sequence#reduceRight} does: each element of
+ * the new sequence is the result of aggregating the elements of this one from
+ * the last one back to the one in the same position. Since that requires
+ * reading the whole sequence first, it isn't suited to indefinite sequences.
+ *
+ * @param {Function} aggregator The function through which to pass every element
+ *     in the sequence (see {@link Sequence#scan}).
+ * @param {*=} seed The value to aggregate the last element with (if omitted,
+ *     the last result is the last element itself).
+ * @return {Sequence} The new sequence, with as many elements as this one.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4]).scanRight(function(x, y) { return x + y; });
+ * // => sequence: (10, 9, 7, 4)
+ */
+Sequence.prototype.scanRight = function(aggregator, seed) {
+  return new ScanRightSequence(this, aggregator, seed, arguments.length >= 2);
+};
+
+/**
+ * Creates a new sequence whose elements are calculated from those in this one
+ * along with some state, which is passed from each element to the next. This
+ * is useful for calculations such as moving averages, which depend on the
+ * elements before each one.
+ *
+ * @param {Function} mapFn The function to call with the current state, each
+ *     element and its index. It should return an array with two values: the
+ *     state to pass along with the next element, and the element of the new
+ *     sequence.
+ * @param {*=} initialState The state to pass along with the first element,
+ *     or a function to create it. Every iteration starts over from the initial
+ *     state, so if the state is an object which `mapFn` modifies, pass a
+ *     function which returns a new one.
+ * @return {Sequence} The new sequence, with as many elements as this one.
+ *
+ * @example
+ * // Moving averages of the last 3 values
+ * Lazy([1, 2, 3, 4, 5]).mapWithState(function(window, x) {
+ *   window = window.concat([x]).slice(-3);
+ *   return [window, Lazy(window).sum() / window.length];
+ * }, []);
+ * // => sequence: (1, 1.5, 2, 3, 4)
+ *
+ * // Numbering the elements of each group
+ * Lazy(["a", "a", "b", "a"]).mapWithState(function(counts, x) {
+ *   counts[x] = (counts[x] || 0) + 1;
+ *   return [counts, x + counts[x]];
+ * }, function() { return {}; });
+ * // => sequence: ("a1", "a2", "b1", "a3")
+ */
+Sequence.prototype.mapWithState = function(mapFn, initialState) {
+  return new StatefulMappedSequence(this, mapFn, initialState);
+};
+
 /**
  * Seaches for the first element in the sequence satisfying a given predicate.
  *
  * @param {Function} predicate A function to call on (potentially) every element
  *     in the sequence.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
  * @return {*} The first element in the sequence for which `predicate` returns
  *     `true`, or `undefined` if no such element is found.
  *
@@ -1061,8 +1914,8 @@ Sequence.prototype.foldr = Sequence.prototype.reduceRight;
  * Lazy(numbers).find(function(x) { return x < 0; });
  * // => undefined
  */
-Sequence.prototype.find = function(predicate) {
-  return this.filter(predicate).first();
+Sequence.prototype.find = function(predicate, callback) {
+  return getFirst(this.filter(predicate), callback);
 };
 
 /**
@@ -1075,54 +1928,330 @@ Sequence.prototype.find = function(predicate) {
 Sequence.prototype.detect = Sequence.prototype.find;
 
 /**
- * Gets the minimum value in the sequence.
- *
- * TODO: This should support a value selector.
- *
- * @return {*} The element with the lowest value in the sequence.
+ * Gets the least element in the sequence, optionally comparing the values of
+ * a key (a function, or the name of a property) rather than the elements
+ * themselves. Either way, this returns the element; and of equally small ones,
+ * the first.
+ *
+ * Elements whose values are undefined, null or NaN are skipped. Values of
+ * different types are ordered by type: first numbers, then strings, then
+ * anything else (e.g. dates, which are compared with each other by time).
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to compare.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result. (Note that to provide a callback, you must also
+ *     provide `key`, though it can be null.)
+ * @return {*} The element with the lowest value in the sequence, or undefined
+ *     if there isn't one.
  *
  * @example
  * Lazy([6, 18, 2, 49, 34]).min();
  * // => 2
+ *
+ * Lazy([6, NaN, 18, null]).min();
+ * // => 6
+ *
+ * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).min("age");
+ * // => { name: "Bob", age: 28 }
  */
-Sequence.prototype.min = function() {
-  return this.reduce(function(least, value) {
-    return value < least ? value : least;
-  });
+Sequence.prototype.min = function(key, callback) {
+  return aggregateSequence(this, createExtentAggregator(key, getLeast), callback);
 };
 
 /**
- * Gets the maximum value in the sequence.
- *
- * TODO: This should support a value selector.
+ * Gets the greatest element in the sequence, optionally comparing the values
+ * of a key rather than the elements themselves. See {@link Sequence#min}.
  *
- * @return {*} The element with the highest value in the sequence.
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to compare.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result. (Note that to provide a callback, you must also
+ *     provide `key`, though it can be null.)
+ * @return {*} The element with the highest value in the sequence, or undefined
+ *     if there isn't one.
  *
  * @example
  * Lazy([6, 18, 2, 49, 34]).max();
  * // => 49
+ *
+ * Lazy(["pear", "fig", "banana"]).max("length");
+ * // => "banana"
  */
-Sequence.prototype.max = function() {
-  return this.reduce(function(greatest, value) {
-    return value > greatest ? value : greatest;
-  });
+Sequence.prototype.max = function(key, callback) {
+  return aggregateSequence(this, createExtentAggregator(key, getGreatest), callback);
+};
+
+/**
+ * Gets the element in the sequence with the least value for the given key.
+ * Like {@link Sequence#min}, but the key is expected.
+ *
+ * @param {Function|string} key A function to call on each element, or the
+ *     name of a property, to get the values to compare.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {*} The element with the lowest value, or undefined if there isn't
+ *     one.
+ *
+ * @example
+ * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).minBy(function(p) { return p.age; });
+ * // => { name: "Bob", age: 28 }
+ */
+Sequence.prototype.minBy = function(key, callback) {
+  return aggregateSequence(this, createExtentAggregator(key, getLeast), callback);
+};
+
+/**
+ * Gets the element in the sequence with the greatest value for the given key.
+ * Like {@link Sequence#max}, but the key is expected.
+ *
+ * @param {Function|string} key A function to call on each element, or the
+ *     name of a property, to get the values to compare.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {*} The element with the highest value, or undefined if there isn't
+ *     one.
+ *
+ * @example
+ * Lazy([{ name: "Dan", age: 32 }, { name: "Bob", age: 28 }]).maxBy("age");
+ * // => { name: "Dan", age: 32 }
+ */
+Sequence.prototype.maxBy = function(key, callback) {
+  return aggregateSequence(this, createExtentAggregator(key, getGreatest), callback);
+};
+
+/**
+ * Gets both the least and the greatest elements in the sequence, in a single
+ * pass. See {@link Sequence#min}.
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to compare.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {Array} An array of the least and greatest elements, or undefined
+ *     if there aren't any.
+ *
+ * @example
+ * Lazy([6, 18, 2, 49, 34]).extent();
+ * // => [2, 49]
+ *
+ * Lazy([]).extent();
+ * // => undefined
+ */
+Sequence.prototype.extent = function(key, callback) {
+  return aggregateSequence(this, createExtentAggregator(key, function(state) {
+    return state.found ? [state.least, state.greatest] : undefined;
+  }), callback);
 };
 
 /**
- * Gets the sum of the values in the sequence.
+ * Gets the sum of the values in the sequence, optionally of a key (a function,
+ * or the name of a property) rather than the elements themselves.
  *
- * TODO: This should support a value selector.
+ * Values are converted to numbers, and any that aren't numbers (such as
+ * undefined, NaN or a non-numeric string) are skipped. The sum of an empty
+ * sequence is 0.
  *
- * @return {*} The sum.
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to add up.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result. (Note that to provide a callback, you must also
+ *     provide `key`, though it can be null.)
+ * @return {number} The sum.
  *
  * @example
  * Lazy([1, 2, 3, 4]).sum();
  * // => 10
+ *
+ * Lazy([{ total: 5 }, { total: "10" }, {}]).sum("total");
+ * // => 15
  */
-Sequence.prototype.sum = function() {
-  return this.reduce(function(sum, value) {
-    return sum += value;
-  }, 0);
+Sequence.prototype.sum = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.sum(key), callback);
+};
+
+/**
+ * Gets the mean (average) of the values in the sequence, computed in a single
+ * pass using Welford's algorithm.
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to average.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result. (Note that to provide a callback, you must also
+ *     provide `key`, though it can be null.)
+ * @return {number} The mean, or NaN if the sequence is empty.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4]).mean();
+ * // => 2.5
+ *
+ * Lazy([{ ms: 120 }, { ms: 80 }]).mean("ms");
+ * // => 100
+ */
+Sequence.prototype.mean = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.mean(key), callback);
+};
+
+/**
+ * Gets the (population) variance of the values in the sequence, computed in a
+ * single pass using Welford's algorithm.
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to use.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {number} The variance, or NaN if the sequence is empty.
+ *
+ * @example
+ * Lazy([2, 4, 4, 4, 5, 5, 7, 9]).variance();
+ * // => 4
+ */
+Sequence.prototype.variance = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.variance(key), callback);
+};
+
+/**
+ * Gets the (population) standard deviation of the values in the sequence. See
+ * {@link Sequence#variance}.
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to use.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {number} The standard deviation, or NaN if the sequence is empty.
+ *
+ * @example
+ * Lazy([2, 4, 4, 4, 5, 5, 7, 9]).stdDev();
+ * // => 2
+ */
+Sequence.prototype.stdDev = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.stdDev(key), callback);
+};
+
+/**
+ * Gets the given percentile of the values in the sequence, interpolating
+ * between the closest two values when it falls between them.
+ *
+ * Finding a percentile exactly means keeping every value in memory. For large
+ * or streamed sequences, the `approximate` option estimates it instead, in
+ * constant space, using the P² algorithm.
+ *
+ * @param {number} p The percentile to find, from 0 to 100.
+ * @param {Function|string|Object=} key An optional function to call on each
+ *     element, or the name of a property, to get the values to use; or an
+ *     object with these options:
+ * @param {Function|string=} key.key The function or property name.
+ * @param {boolean=} key.approximate Whether to estimate the percentile.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {number} The percentile, or undefined if the sequence is empty.
+ *
+ * @example
+ * Lazy([15, 20, 35, 40, 50]).percentile(40);
+ * // => 29
+ *
+ * Lazy([{ ms: 120 }, { ms: 80 }]).percentile(100, "ms");
+ * // => 120
+ *
+ * Lazy.readFile("requests.log")
+ *   .lines()
+ *   .map(parseLatency)
+ *   .percentile(99, { approximate: true });
+ * // => (a handle resolved with the estimated 99th percentile)
+ */
+Sequence.prototype.percentile = function(p, key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.percentile(p, key), callback);
+};
+
+/**
+ * Gets the median of the values in the sequence. See
+ * {@link Sequence#percentile}.
+ *
+ * @param {Function|string|Object=} key An optional key or options (see
+ *     {@link Sequence#percentile}).
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {number} The median, or undefined if the sequence is empty.
+ *
+ * @example
+ * Lazy([3, 1, 2]).median();
+ * // => 2
+ *
+ * Lazy([4, 1, 3, 2]).median();
+ * // => 2.5
+ */
+Sequence.prototype.median = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.median(key), callback);
+};
+
+/**
+ * Gets the values dividing the values in the sequence into the given number
+ * of equal parts: e.g., given 4, the quartiles. See
+ * {@link Sequence#percentile}.
+ *
+ * @param {number} n The number of parts.
+ * @param {Function|string|Object=} key An optional key or options (see
+ *     {@link Sequence#percentile}).
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {Array.<number>} The n - 1 values between the parts.
+ *
+ * @example
+ * Lazy.range(1, 10).quantiles(4);
+ * // => [3, 5, 7]
+ */
+Sequence.prototype.quantiles = function(n, key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.quantiles(n, key), callback);
+};
+
+/**
+ * Gets the most common value in the sequence. Of values that are equally
+ * common, it's the one that got there first.
+ *
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to count.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {*} The most common value, or undefined if the sequence is empty.
+ *
+ * @example
+ * Lazy([1, 2, 2, 3, 3]).mode();
+ * // => 2
+ *
+ * Lazy(["apple", "avocado", "banana"]).mode(function(s) { return s.charAt(0); });
+ * // => "a"
+ */
+Sequence.prototype.mode = function(key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.mode(key), callback);
+};
+
+/**
+ * Counts the values in the sequence falling into each of the given bins.
+ *
+ * Given an array of boundaries between bins, this counts the values in a
+ * single pass (ignoring any outside of the bins). Given a number of bins
+ * instead, it spreads them out evenly between the least and greatest values,
+ * which means it has to keep every value until the end. If every value is the
+ * same, there's only one bin, which starts and ends with that value.
+ *
+ * @param {number|Array.<number>} bins The number of bins, or their
+ *     boundaries. Each bin includes its start, and the last one its end too.
+ * @param {Function|string=} key An optional function to call on each element,
+ *     or the name of a property, to get the values to count.
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the result.
+ * @return {Array.<Object>} The bins, as objects with `start`, `end` and
+ *     `count` properties.
+ *
+ * @example
+ * Lazy([1, 2, 2, 5, 9, 10]).histogram(3);
+ * // => [{ start: 1, end: 4, count: 3 }, { start: 4, end: 7, count: 1 }, { start: 7, end: 10, count: 2 }]
+ *
+ * Lazy([1, 2, 2, 5, 9, 10]).histogram([0, 5, 10]);
+ * // => [{ start: 0, end: 5, count: 3 }, { start: 5, end: 10, count: 3 }]
+ */
+Sequence.prototype.histogram = function(bins, key, callback) {
+  return aggregateSequence(this, Lazy.aggregators.histogram(bins, key), callback);
 };
 
 /**
@@ -1131,23 +2260,30 @@ Sequence.prototype.sum = function() {
  *
  * @param {string=} delimiter The separator to insert between every element from
  *     this sequence in the resulting string (defaults to `","`).
+ * @param {Function=} callback An optional node-style callback, which will be
+ *     passed the resulting string. This can also be passed in place of
+ *     `delimiter`.
  * @return {string} The delimited string.
  *
  * @example
  * Lazy([6, 29, 1984]).join("/");
  * // => "6/29/1984"
  */
-Sequence.prototype.join = function(delimiter) {
+Sequence.prototype.join = function(delimiter, callback) {
+  if (typeof delimiter === "function") {
+    callback = delimiter;
+  }
+
   delimiter = typeof delimiter === "string" ? delimiter : ",";
 
   var str = "";
-  this.each(function(e) {
+  var iteration = this.each(function(e) {
     if (str.length > 0) {
       str += delimiter;
     }
     str += e;
   });
-  return str;
+  return finishIteration(iteration, function() { return str; }, callback);
 };
 
 /**
@@ -1163,9 +2299,16 @@ Sequence.prototype.toString = Sequence.prototype.join;
  * Creates an iterator object with two methods, `moveNext` -- returning true or
  * false -- and `current` -- returning the current value.
  *
- * This method is used when asynchronously iterating over sequences. Any type
- * inheriting from `Sequence` must implement this method or it can't support
- * asynchronous iteration.
+ * This method is used when asynchronously iterating over sequences, as well as
+ * by `for...of` loops (see below). Most sequence types produce their elements
+ * one at a time from their iterators, only as they are needed. Any type
+ * inheriting from `Sequence` which doesn't implement this method still gets an
+ * iterator, but iterating over it fully evaluates the sequence (by calling
+ * {@link #each}) up front.
+ *
+ * In environments that support ES2015 iterators, every sequence is also
+ * *iterable*, so it can be used with `for...of`, spread syntax and
+ * `Array.from`.
  *
  * @return {Iterator} An iterator object.
  *
@@ -1188,9 +2331,15 @@ Sequence.prototype.toString = Sequence.prototype.join;
  * // => false
  */
 Sequence.prototype.getIterator = function() {
-  return new Iterator(this);
+  return new CachingIterator(this);
 };
 
+if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+  Sequence.prototype[Symbol.iterator] = function() {
+    return new IteratorAdapter(this.getIterator());
+  };
+}
+
 /**
  * Creates a sequence, with the same elements as this one, that will be iterated
  * over asynchronously when calling `each`.
@@ -1210,6 +2359,40 @@ Sequence.prototype.async = function(interval) {
   return new AsyncSequence(this, interval);
 };
 
+/**
+ * Creates a sequence, with the same elements as this one, whose {@link #each}
+ * method runs the chain of `map`, `filter`, `take` and `drop` calls leading up
+ * to this sequence in a single loop.
+ *
+ * Normally every one of those calls wraps the function passed to `each` in
+ * another function, so a long chain costs several extra function calls per
+ * element. A compiled sequence instead generates a function with the whole
+ * chain written out inline (so the only calls left are to the functions you
+ * passed to `map`, `filter` and `each`), which loops over the underlying array
+ * directly if the chain starts with one. Elements are produced (and functions
+ * are called) in exactly the same order, and iteration ends at exactly the
+ * same point.
+ *
+ * Any other kind of sequence at the start of the chain is iterated over with
+ * its own `each` method, as usual. And where code can't be generated at
+ * runtime (e.g., on a page whose Content Security Policy doesn't allow
+ * `unsafe-eval`), the compiled sequence just iterates over the chain the
+ * normal way.
+ *
+ * @return {Sequence} The compiled sequence.
+ *
+ * @example
+ * Lazy([1, 2, 3, 4, 5, 6])
+ *   .map(function(x) { return x * 3; })
+ *   .filter(function(x) { return x % 2 === 0; })
+ *   .take(2)
+ *   .compile();
+ * // => sequence: (6, 12)
+ */
+Sequence.prototype.compile = function() {
+  return new CompiledSequence(this);
+};
+
 /**
  * A CachingSequence is a `Sequence` that (probably) must fully evaluate the
  * underlying sequence when {@link #each} is called. For this reason, it
@@ -1267,6 +2450,10 @@ CachingSequence.prototype.length = function() {
   return this.cache().length;
 };
 
+CachingSequence.prototype.getIterator = function() {
+  return new Iterator(this);
+};
+
 /**
  * @constructor
  */
@@ -1277,26 +2464,112 @@ function MappedSequence(parent, mapFn) {
 
 MappedSequence.prototype = new Sequence();
 
+MappedSequence.prototype.getIterator = function() {
+  // An object-like parent passes keys (rather than indices) to mapFn.
+  return new MappingIterator(this.parent, this.mapFn, this.parent instanceof ObjectLikeSequence);
+};
+
 MappedSequence.prototype.each = function(fn) {
   var mapFn = this.mapFn;
-  this.parent.each(function(e, i) {
+  return this.parent.each(function(e, i) {
     return fn(mapFn(e, i), i);
   });
 };
 
+var StatefulMappedSequence = CachingSequence.inherit(function(parent, mapFn, initialState) {
+  this.parent       = parent;
+  this.mapFn        = mapFn;
+  this.initialState = initialState;
+});
+
+/**
+ * Gets the state to start an iteration with.
+ *
+ * @return {*} The initial state (or, if it's a function, what it returns).
+ */
+StatefulMappedSequence.prototype.createState = function() {
+  var initialState = this.initialState;
+  return typeof initialState === "function" ? initialState() : initialState;
+};
+
+/**
+ * Gets the length of this sequence, which is the same as its parent's. For an
+ * array-like parent, that's known without calling `mapFn` at all.
+ *
+ * @return {number} The length.
+ */
+StatefulMappedSequence.prototype.length = function() {
+  return this.parent instanceof ArrayLikeSequence ?
+    this.parent.length() :
+    CachingSequence.prototype.length.call(this);
+};
+
+StatefulMappedSequence.prototype.getIterator = function() {
+  return new StatefulMappingIterator(this.parent, this.mapFn, this.createState());
+};
+
+StatefulMappedSequence.prototype.each = function(fn) {
+  var mapFn = this.mapFn,
+      state = this.createState(),
+      i = 0;
+
+  return this.parent.each(function(e) {
+    var result = mapFn(state, e, i);
+    state = result[0];
+    return fn(result[1], i++);
+  });
+};
+
+var ScanRightSequence = CachingSequence.inherit(function(parent, aggregator, seed, hasSeed) {
+  this.parent     = parent;
+  this.aggregator = aggregator;
+  this.seed       = seed;
+  this.hasSeed    = hasSeed;
+});
+
+ScanRightSequence.prototype.length = StatefulMappedSequence.prototype.length;
+
+ScanRightSequence.prototype.each = function(fn) {
+  var aggregator = this.aggregator,
+      seed       = this.seed,
+      hasSeed    = this.hasSeed;
+
+  return finishIteration(this.parent.toArray(), function(array) {
+    var results = [],
+        memo    = seed,
+        i       = array.length;
+
+    if (!hasSeed && i > 0) {
+      memo = results[i - 1] = array[i - 1];
+      --i;
+    }
+    while (--i >= 0) {
+      memo = results[i] = aggregator(memo, array[i], i);
+    }
+
+    i = -1;
+    while (++i < results.length) {
+      if (fn(results[i], i) === false) {
+        break;
+      }
+    }
+  });
+};
+
 var FilteredSequence = CachingSequence.inherit(function(parent, filterFn) {
   this.parent   = parent;
   this.filterFn = filterFn;
 });
 
 FilteredSequence.prototype.getIterator = function() {
-  return new FilteringIterator(this.parent, this.filterFn);
+  // See MappedSequence#getIterator.
+  return new FilteringIterator(this.parent, this.filterFn, this.parent instanceof ObjectLikeSequence);
 };
 
 FilteredSequence.prototype.each = function(fn) {
   var filterFn = this.filterFn;
 
-  this.parent.each(function(e, i) {
+  return this.parent.each(function(e, i) {
     if (filterFn(e, i)) {
       return fn(e, i);
     }
@@ -1327,24 +2600,33 @@ function ConcatenatedSequence(parent, arrays) {
 
 ConcatenatedSequence.prototype = new Sequence();
 
+ConcatenatedSequence.prototype.getIterator = function() {
+  return new ConcatenatingIterator([this.parent, Lazy(this.arrays).flatten()]);
+};
+
 ConcatenatedSequence.prototype.each = function(fn) {
-  var done = false,
+  var arrays = this.arrays,
+      done = false,
       i = 0;
 
-  this.parent.each(function(e) {
+  var iteration = this.parent.each(function(e) {
     if (fn(e, i++) === false) {
       done = true;
       return false;
     }
   });
 
-  if (!done) {
-    Lazy(this.arrays).flatten().each(function(e) {
-      if (fn(e, i++) === false) {
-        return false;
-      }
-    });
-  }
+  // The parent may be asynchronous, in which case the arrays should only be
+  // iterated once it's finished.
+  return finishIteration(iteration, function() {
+    if (!done) {
+      Lazy(arrays).flatten().each(function(e) {
+        if (fn(e, i++) === false) {
+          return false;
+        }
+      });
+    }
+  });
 };
 
 var TakeSequence = CachingSequence.inherit(function(parent, count) {
@@ -1352,10 +2634,14 @@ var TakeSequence = CachingSequence.inherit(function(parent, count) {
   this.count  = count;
 });
 
+TakeSequence.prototype.getIterator = function() {
+  return new TakeIterator(this.parent, this.count);
+};
+
 TakeSequence.prototype.each = function(fn) {
   var self = this,
       i = 0;
-  self.parent.each(function(e) {
+  return self.parent.each(function(e) {
     var result = fn(e, i);
     if (++i >= self.count) { return false; }
     return result;
@@ -1367,134 +2653,913 @@ var DropSequence = CachingSequence.inherit(function(parent, count) {
   this.count  = typeof count === "number" ? count : 1;
 });
 
+DropSequence.prototype.getIterator = function() {
+  return new DropIterator(this.parent, this.count);
+};
+
 DropSequence.prototype.each = function(fn) {
   var self = this,
       i = 0;
-  self.parent.each(function(e) {
+  return self.parent.each(function(e) {
     if (i++ < self.count) { return; }
     return fn(e);
   });
 };
 
-  var SortedSequence = CachingSequence.inherit(function(parent, sortFn) {
-    this.parent = parent;
-    this.sortFn = sortFn;
-  });
+var TakeWhileSequence = CachingSequence.inherit(function(parent, predicate, negate) {
+  this.parent    = parent;
+  this.predicate = predicate;
+  this.negate    = negate;
+});
 
-SortedSequence.prototype.each = function(fn) {
-  var sortFn = this.sortFn,
-      sorted = this.parent.toArray(),
-      i = -1;
+TakeWhileSequence.prototype.getIterator = function() {
+  return new TakeWhileIterator(this.parent, this.predicate, this.negate);
+};
 
-  sorted.sort(function(x, y) { return compare(x, y, sortFn); });
+TakeWhileSequence.prototype.each = function(fn) {
+  var predicate = this.predicate,
+      negate    = this.negate,
+      i = 0;
 
-  while (++i < sorted.length) {
-    if (fn(sorted[i], i) === false) {
-      break;
+  return this.parent.each(function(e) {
+    if (!predicate(e, i) !== negate) {
+      return false;
     }
-  }
+    return fn(e, i++);
+  });
 };
 
-var ShuffledSequence = CachingSequence.inherit(function(parent) {
-  this.parent = parent;
+var DropWhileSequence = CachingSequence.inherit(function(parent, predicate, negate) {
+  this.parent    = parent;
+  this.predicate = predicate;
+  this.negate    = negate;
 });
 
-ShuffledSequence.prototype.each = function(fn) {
-  var shuffled = this.parent.toArray(),
-      floor = Math.floor,
-      random = Math.random,
+DropWhileSequence.prototype.getIterator = function() {
+  return new DropWhileIterator(this.parent, this.predicate, this.negate);
+};
+
+DropWhileSequence.prototype.each = function(fn) {
+  var predicate = this.predicate,
+      negate    = this.negate,
+      dropping  = true,
+      i = 0,
       j = 0;
 
-  for (var i = shuffled.length - 1; i > 0; --i) {
-    swap(shuffled, i, floor(random() * i) + 1);
-    if (fn(shuffled[i], j++) === false) {
+  return this.parent.each(function(e) {
+    if (dropping && !predicate(e, i++) === negate) {
       return;
     }
-  }
-  fn(shuffled[0], j);
-};
-
-var GroupedSequence = CachingSequence.inherit(function(parent, keyFn) {
-  this.each = function(fn) {
-    var grouped = {};
-    parent.each(function(e) {
-      var key = keyFn(e);
-      if (!grouped[key]) {
-        grouped[key] = [e];
-      } else {
-        grouped[key].push(e);
-      }
-    });
-    for (var key in grouped) {
-      if (fn([key, grouped[key]]) === false) {
-        break;
-      }
-    }
-  };
-});
+    dropping = false;
+    return fn(e, j++);
+  });
+};
 
-var CountedSequence = CachingSequence.inherit(function(parent, keyFn) {
-  this.each = function(fn) {
-    var grouped = {};
-    parent.each(function(e) {
-      var key = keyFn(e);
-      if (!grouped[key]) {
-        grouped[key] = 1;
-      } else {
-        grouped[key] += 1;
-      }
-    });
-    for (var key in grouped) {
-      fn([key, grouped[key]]);
-    }
-  };
+/**
+ * Drops the elements at the end of its parent that satisfy a predicate. Since
+ * it can't know whether the elements it has seen are at the end until it
+ * sees one that doesn't satisfy the predicate, it holds on to them until then.
+ *
+ * @constructor
+ */
+var DropTrailingSequence = CachingSequence.inherit(function(parent, predicate) {
+  this.parent    = parent;
+  this.predicate = predicate;
 });
 
-var UniqueSequence = CachingSequence.inherit(function(parent) {
-  this.parent = parent;
-});
+DropTrailingSequence.prototype.each = function(fn) {
+  var predicate = this.predicate,
+      pending   = [],
+      i = 0,
+      j = 0;
 
-UniqueSequence.prototype.each = function(fn) {
-  var cache = new Set(),
-      i     = 0;
-  this.parent.each(function(e) {
-    if (cache.add(e)) {
-      return fn(e, i++);
+  return this.parent.each(function(e) {
+    var k;
+
+    if (predicate(e, i++)) {
+      pending.push(e);
+      return;
+    }
+
+    for (k = 0; k < pending.length; ++k) {
+      if (fn(pending[k], j++) === false) {
+        return false;
+      }
     }
+    pending = [];
+
+    return fn(e, j++);
   });
 };
 
-var FlattenedSequence = CachingSequence.inherit(function(parent) {
-  this.parent = parent;
+/**
+ * Takes the elements at the end of its parent that satisfy a predicate.
+ *
+ * @constructor
+ */
+var TakeTrailingSequence = CachingSequence.inherit(function(parent, predicate) {
+  this.parent    = parent;
+  this.predicate = predicate;
 });
 
-FlattenedSequence.prototype.each = function(fn) {
-  var index = 0;
-
-  var recurseVisitor = function(e) {
-    if (e instanceof Sequence) {
-      e.each(recurseVisitor);
-
-    } else if (e instanceof Array) {
-      forEach(e, recurseVisitor);
+TakeTrailingSequence.prototype.each = function(fn) {
+  var predicate = this.predicate,
+      trailing  = [],
+      i = 0,
+      iteration;
 
+  iteration = this.parent.each(function(e) {
+    if (predicate(e, i++)) {
+      trailing.push(e);
     } else {
-      return fn(e,index++);
+      trailing = [];
     }
-  };
+  });
 
-  this.parent.each(recurseVisitor);
+  return finishIteration(iteration, function() {
+    var j = -1;
+    while (++j < trailing.length) {
+      if (fn(trailing[j], j) === false) {
+        break;
+      }
+    }
+  });
 };
 
-var WithoutSequence = CachingSequence.inherit(function(parent, values) {
-  this.parent = parent;
+var WindowedSequence = CachingSequence.inherit(function(parent, size, step, partial) {
+  checkWindow(size, step);
+  this.parent  = parent;
+  this.size    = size;
+  this.step    = step;
+  this.partial = partial;
+});
+
+WindowedSequence.prototype.getIterator = function() {
+  return new WindowingIterator(this.parent, this.size, this.step, this.partial);
+};
+
+WindowedSequence.prototype.each = function(fn) {
+  var size    = this.size,
+      step    = this.step,
+      partial = this.partial,
+      buffer  = [],
+      skip    = 0,
+      done    = false,
+      i       = 0,
+      iteration;
+
+  iteration = this.parent.each(function(e) {
+    var window;
+
+    if (skip > 0) {
+      --skip;
+      return;
+    }
+
+    buffer.push(e);
+    if (buffer.length < size) {
+      return;
+    }
+
+    // Windows that have been passed to fn are never modified afterwards.
+    window = buffer;
+    if (step < size) {
+      buffer = window.slice(step);
+    } else {
+      buffer = [];
+      skip = step - size;
+    }
+
+    if (fn(window, i++) === false) {
+      done = true;
+      return false;
+    }
+  });
+
+  return finishIteration(iteration, function() {
+    if (!done && partial && buffer.length > 0) {
+      fn(buffer, i);
+    }
+  });
+};
+
+/**
+ * Checks the arguments to {@link Sequence#chunk} or {@link Sequence#windowed}.
+ */
+function checkWindow(size, step) {
+  if (typeof size !== "number" || size < 1 || size % 1 !== 0) {
+    throw "The size of a chunk or window must be a positive integer.";
+  }
+  if (typeof step !== "number" || step < 1 || step % 1 !== 0) {
+    throw "The step between windows must be a positive integer.";
+  }
+}
+
+var RunSequence = CachingSequence.inherit(function(parent, keyFn, splitFn) {
+  this.parent  = parent;
+  this.keyFn   = keyFn;
+  this.splitFn = splitFn;
+});
+
+RunSequence.prototype.getIterator = function() {
+  return new RunIterator(this.parent, this.keyFn, this.splitFn);
+};
+
+RunSequence.prototype.each = function(fn) {
+  var keyFn   = this.keyFn,
+      splitFn = this.splitFn,
+      run     = null,
+      lastKey,
+      done    = false,
+      i       = 0,
+      iteration;
+
+  iteration = this.parent.each(function(e) {
+    var key = keyFn ? keyFn(e) : e,
+        previous;
+
+    if (!run) {
+      run = [e];
+    } else if (splitFn(lastKey, key)) {
+      previous = run;
+      run = [e];
+      if (fn(previous, i++) === false) {
+        done = true;
+        return false;
+      }
+    } else {
+      run.push(e);
+    }
+    lastKey = key;
+  });
+
+  return finishIteration(iteration, function() {
+    if (!done && run) {
+      fn(run, i);
+    }
+  });
+};
+
+  var SortedSequence = CachingSequence.inherit(function(parent, sortFn) {
+    this.parent = parent;
+    this.sortFn = sortFn;
+  });
+
+/**
+ * Gets the key that the given element is sorted by.
+ */
+SortedSequence.prototype.getSortKey = function(value) {
+  return typeof this.sortFn === "function" ? this.sortFn(value) : value;
+};
+
+/**
+ * Compares two keys returned by {@link #getSortKey}. Undefined keys go last, as
+ * they would with Array.prototype.sort (which this used to be built on).
+ */
+SortedSequence.prototype.compareSortKeys = function(x, y) {
+  var xIsUndefined = typeof x === "undefined",
+      yIsUndefined = typeof y === "undefined";
+
+  if (xIsUndefined || yIsUndefined) {
+    return xIsUndefined === yIsUndefined ? 0 : (xIsUndefined ? 1 : -1);
+  }
+
+  return compare(x, y);
+};
+
+/**
+ * Creates a {@link Heap} of the elements in the parent sequence, so that they
+ * can be pulled out in order one at a time.
+ */
+SortedSequence.prototype.createHeap = function() {
+  var entries = createSortEntries(this);
+
+  if (entries instanceof AsyncHandle) {
+    throw "An asynchronous sequence can't be iterated over synchronously.";
+  }
+
+  return new Heap(createSortEntryComparator(this), entries);
+};
+
+SortedSequence.prototype.each = function(fn) {
+  var compareFn = createSortEntryComparator(this);
+
+  // Rather than sorting everything up front, pull elements from a heap as
+  // they're needed; so e.g. getting the first element takes linear time.
+  return finishIteration(createSortEntries(this), function(entries) {
+    var heap = new Heap(compareFn, entries),
+        i = 0;
+
+    while (heap.size() > 0) {
+      if (fn(heap.pop().value, i++) === false) {
+        break;
+      }
+    }
+  });
+};
+
+SortedSequence.prototype.getIterator = function() {
+  return new SortingIterator(this);
+};
+
+/**
+ * An optimized version of {@link Sequence#toArray}, for when every element is
+ * needed anyway.
+ */
+SortedSequence.prototype.toArray = function(callback) {
+  var compareFn = createSortEntryComparator(this);
+
+  return finishIteration(createSortEntries(this), function(entries) {
+    var sorted = [],
+        i = -1;
+
+    entries.sort(compareFn);
+    while (++i < entries.length) {
+      sorted.push(entries[i].value);
+    }
+    return sorted;
+  }, callback);
+};
+
+/**
+ * An optimized version of {@link Sequence#first}, which only keeps track of
+ * the first N elements (in sorted order) rather than sorting all of them.
+ *
+ * @param {number=} count
+ */
+SortedSequence.prototype.first =
+SortedSequence.prototype.head =
+SortedSequence.prototype.take = function(count) {
+  if (typeof count === "undefined") {
+    return getFirst(this);
+  }
+
+  return new PartiallySortedSequence(this, count, false);
+};
+
+/**
+ * An optimized version of {@link Sequence#last}, which only keeps track of
+ * the last N elements (in sorted order) rather than sorting all of them.
+ *
+ * @param {number=} count
+ */
+SortedSequence.prototype.last = function(count) {
+  if (typeof count === "function") {
+    return Sequence.prototype.last.call(this, count);
+  }
+  if (typeof count === "undefined") {
+    return getFirst(new PartiallySortedSequence(this, 1, true));
+  }
+
+  return new PartiallySortedSequence(this, count, true);
+};
+
+/**
+ * Creates a new sequence ordered the same way as this one, except that
+ * elements which are equal according to that ordering are then ordered by
+ * another key. See {@link Sequence#orderBy}.
+ *
+ * @param {Function|string|Object} key The function to call on each element to
+ *     get its key, or the name of a property to use as the key, or an object
+ *     with a `key` property and any of the options below.
+ * @param {string|Object=} options Either "asc" or "desc", or an object with
+ *     any of the options described for {@link Sequence#orderBy}.
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy(["bb", "c", "aa"]).orderBy("length").thenBy(function(s) { return s; });
+ * // => sequence: ("c", "aa", "bb")
+ */
+SortedSequence.prototype.thenBy = function(key, options) {
+  return new OrderedSequence(this.parent, this.getCriteria().concat([createSortCriterion(key, options)]));
+};
+
+/**
+ * Like {@link #thenBy}, but in descending order.
+ *
+ * @param {Function|string|Object} key The key (see {@link #thenBy}).
+ * @param {Object=} options Any other options (see {@link Sequence#orderBy}).
+ * @return {Sequence} The new sequence.
+ *
+ * @example
+ * Lazy(["bb", "c", "aa"]).orderBy("length").thenByDescending(function(s) { return s; });
+ * // => sequence: ("c", "bb", "aa")
+ */
+SortedSequence.prototype.thenByDescending = function(key, options) {
+  var criterion = createSortCriterion(key, options, "desc");
+  return new OrderedSequence(this.parent, this.getCriteria().concat([criterion]));
+};
+
+SortedSequence.prototype.getCriteria = function() {
+  return [createSortCriterion(this.sortFn)];
+};
+
+/**
+ * @constructor
+ */
+function OrderedSequence(parent, criteria) {
+  this.parent   = parent;
+  this.criteria = criteria;
+}
+
+OrderedSequence.prototype = new SortedSequence();
+
+OrderedSequence.prototype.getSortKey = function(value) {
+  var criteria = this.criteria,
+      keys = [],
+      i = -1;
+
+  while (++i < criteria.length) {
+    keys.push(criteria[i].keyFn(value));
+  }
+  return keys;
+};
+
+OrderedSequence.prototype.compareSortKeys = function(x, y) {
+  var criteria = this.criteria,
+      result = 0,
+      i = -1;
+
+  while (++i < criteria.length && result === 0) {
+    result = criteria[i].compare(x[i], y[i]);
+  }
+  return result;
+};
+
+OrderedSequence.prototype.getCriteria = function() {
+  return this.criteria;
+};
+
+var PartiallySortedSequence = CachingSequence.inherit(function(parent, count, fromEnd) {
+  this.parent  = parent;
+  this.count   = count;
+  this.fromEnd = fromEnd;
+});
+
+PartiallySortedSequence.prototype.each = function(fn) {
+  var sorted    = this.parent,
+      count     = this.count,
+      fromEnd   = this.fromEnd,
+      compareFn = createSortEntryComparator(sorted),
+
+      // The top of this heap is always the entry that would be dropped next:
+      // the greatest one if we want the first N, or the least for the last N.
+      heap      = new Heap(fromEnd ? compareFn : function(x, y) {
+        return compareFn(y, x);
+      }),
+
+      index     = 0,
+      iteration;
+
+  iteration = sorted.parent.each(function(e) {
+    var entry = { value: e, key: sorted.getSortKey(e), index: index++ };
+
+    if (heap.size() < count) {
+      heap.push(entry);
+    } else if (count > 0 && heap.compareFn(entry, heap.peek()) > 0) {
+      heap.replace(entry);
+    }
+  });
+
+  return finishIteration(iteration, function() {
+    var result = [],
+        i;
+
+    while (heap.size() > 0) {
+      result.push(heap.pop().value);
+    }
+
+    if (!fromEnd) {
+      result.reverse();
+    }
+
+    for (i = 0; i < result.length; ++i) {
+      if (fn(result[i], i) === false) {
+        break;
+      }
+    }
+  });
+};
+
+/**
+ * Pairs each element of a sorted sequence's parent with its sort key and its
+ * position (so that elements with equal keys can keep their original order).
+ * For an asynchronous parent, this returns an {@link AsyncHandle} for the
+ * entries.
+ */
+function createSortEntries(sequence) {
+  var entries = [],
+      iteration;
+
+  iteration = sequence.parent.each(function(e) {
+    entries.push({ value: e, key: sequence.getSortKey(e), index: entries.length });
+  });
+
+  return finishIteration(iteration, function() {
+    return entries;
+  });
+}
+
+/**
+ * Creates a function that orders entries by their keys, and then (so that
+ * sorting is stable) by their positions in the original sequence.
+ */
+function createSortEntryComparator(sequence) {
+  return function(x, y) {
+    return sequence.compareSortKeys(x.key, y.key) || x.index - y.index;
+  };
+}
+
+/**
+ * Creates an object describing one key of an ordering: a `keyFn` to get the key
+ * from an element and a `compare` function for comparing two keys.
+ *
+ * @param {Function|string|Object} key See {@link Sequence#orderBy}.
+ * @param {string|Object=} options See {@link Sequence#orderBy}.
+ * @param {string=} direction The direction to use if the options don't
+ *     specify one.
+ */
+function createSortCriterion(key, options, direction) {
+  var keyFn, compareFn, nulls, descending;
+
+  if (key && typeof key === "object") {
+    options = key;
+    key = key.key;
+  }
+
+  if (typeof options === "string") {
+    options = { direction: options };
+  }
+  options = options || {};
+
+  keyFn = createKeyFn(key);
+
+  direction = options.direction || direction || "asc";
+  if (direction === "desc" || direction === "descending") {
+    descending = true;
+  } else if (direction !== "asc" && direction !== "ascending") {
+    throw "Unknown sort direction: '" + direction + "'.";
+  }
+
+  nulls = options.nulls || "last";
+  if (nulls !== "first" && nulls !== "last") {
+    throw "The nulls option must be either 'first' or 'last'.";
+  }
+
+  if (typeof options.compare === "function") {
+    compareFn = options.compare;
+  } else if (options.locale || options.numeric || options.sensitivity) {
+    compareFn = createCollator(options);
+  } else {
+    compareFn = compare;
+  }
+
+  return {
+    keyFn: keyFn,
+    compare: function(x, y) {
+      var xIsNull = x === null || typeof x === "undefined",
+          yIsNull = y === null || typeof y === "undefined";
+
+      // Nulls go first or last regardless of the direction. (They can't just
+      // be compared like anything else, since a null key isn't less or
+      // greater than any other, and that would make the order inconsistent.)
+      if (xIsNull || yIsNull) {
+        if (xIsNull && yIsNull) {
+          return 0;
+        }
+        return (xIsNull ? -1 : 1) * (nulls === "first" ? 1 : -1);
+      }
+
+      return descending ? compareFn(y, x) : compareFn(x, y);
+    }
+  };
+}
+
+/**
+ * Creates a function for comparing strings according to the rules of a locale,
+ * using `Intl.Collator` where it's available.
+ */
+function createCollator(options) {
+  var locale = typeof options.locale === "string" ? options.locale : undefined,
+      collator;
+
+  if (typeof Intl === "object" && typeof Intl.Collator === "function") {
+    collator = new Intl.Collator(locale, {
+      numeric: !!options.numeric,
+      sensitivity: options.sensitivity || "variant"
+    });
+    return function(x, y) {
+      return collator.compare(String(x), String(y));
+    };
+  }
+
+  return function(x, y) {
+    return String(x).localeCompare(String(y));
+  };
+}
+
+var ShuffledSequence = CachingSequence.inherit(function(parent, random) {
+  this.parent = parent;
+  this.random = random;
+});
+
+ShuffledSequence.prototype.each = function(fn) {
+  var random = createRandomFn(this.random);
+
+  return finishIteration(this.parent.toArray(), function(shuffled) {
+    var floor = Math.floor,
+        i = shuffled.length,
+        j = 0;
+
+    // Fisher-Yates, yielding each element as soon as its place is settled.
+    while (--i >= 0) {
+      swap(shuffled, i, floor(random() * (i + 1)));
+      if (fn(shuffled[i], j++) === false) {
+        return;
+      }
+    }
+  });
+};
+
+var SampledSequence = CachingSequence.inherit(function(parent, count, random, weightFn) {
+  if (typeof count !== "number" || count < 0 || count % 1 !== 0) {
+    throw "The number of elements to sample must be a non-negative integer.";
+  }
+  this.parent   = parent;
+  this.count    = count;
+  this.random   = random;
+  this.weightFn = weightFn;
+});
+
+SampledSequence.prototype.each = function(fn) {
+  var count     = this.count,
+      random    = createRandomFn(this.random),
+      weightFn  = this.weightFn,
+      heap      = weightFn ? new Heap(compareSampleKeys) : null,
+      reservoir = weightFn ? heap.values : [],
+      seen      = 0,
+      iteration;
+
+  iteration = this.parent.each(function(e, i) {
+    var weight, key, slot;
+
+    if (weightFn) {
+      // Each element gets a random key, which tends to be greater the greater
+      // its weight is; and those with the greatest keys are kept (this is the
+      // A-Res algorithm of Efraimidis and Spirakis).
+      weight = weightFn(e, i);
+      if (weight > 0) {
+        key = Math.pow(random(), 1 / weight);
+        if (heap.size() < count) {
+          heap.push({ key: key, index: seen, value: e });
+        } else if (count > 0 && key > heap.peek().key) {
+          heap.replace({ key: key, index: seen, value: e });
+        }
+      }
+
+    } else if (seen < count) {
+      reservoir.push({ index: seen, value: e });
+
+    } else {
+      // Once the reservoir is full, each new element replaces one of those in
+      // it with a chance of count / (seen + 1).
+      slot = Math.floor(random() * (seen + 1));
+      if (slot < count) {
+        reservoir[slot] = { index: seen, value: e };
+      }
+    }
+
+    ++seen;
+  });
+
+  return finishIteration(iteration, function() {
+    var samples = reservoir.slice(0).sort(compareSampleIndices),
+        i = -1;
+
+    while (++i < samples.length) {
+      if (fn(samples[i].value, i) === false) {
+        return;
+      }
+    }
+  });
+};
+
+function compareSampleKeys(x, y) {
+  return x.key - y.key;
+}
+
+function compareSampleIndices(x, y) {
+  return x.index - y.index;
+}
+
+var CountedSequence = CachingSequence.inherit(function(parent, keyFn, equals) {
+  this.parent = parent;
+  this.keyFn  = keyFn;
+  this.equals = equals;
+});
+
+CountedSequence.prototype.each = function(fn) {
+  var counts = new Dictionary(this.equals),
+      keyFn  = this.keyFn,
+      iteration;
+
+  iteration = this.parent.each(function(e) {
+    var key = keyFn(e);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  function eachCount() {
+    var i = 0;
+    counts.each(function(count, key) {
+      return fn([key, count], i++);
+    });
+  }
+
+  if (iteration instanceof AsyncHandle) {
+    return iteration.then(eachCount);
+  }
+
+  eachCount();
+};
+
+var UniqueSequence = CachingSequence.inherit(function(parent, keyFn, options) {
+  this.parent  = parent;
+  this.keyFn   = keyFn;
+  this.options = options;
+});
+
+UniqueSequence.prototype.getIterator = function() {
+  var cache = new Set(this.options),
+      keyFn = this.keyFn;
+
+  return new FilteringIterator(this.parent, function(e) {
+    return cache.add(keyFn ? keyFn(e) : e);
+  });
+};
+
+UniqueSequence.prototype.each = function(fn) {
+  var cache = new Set(this.options),
+      keyFn = this.keyFn,
+      i     = 0;
+
+  return this.parent.each(function(e) {
+    if (cache.add(keyFn ? keyFn(e) : e)) {
+      return fn(e, i++);
+    }
+  });
+};
+
+var FlattenedSequence = CachingSequence.inherit(function(parent, depth, pairs) {
+  this.parent = parent;
+  this.depth  = depth;
+  this.pairs  = pairs;
+});
+
+FlattenedSequence.prototype.getIterator = function() {
+  return new FlatteningIterator(this.parent, this.depth, this.pairs);
+};
+
+FlattenedSequence.prototype.each = function(fn) {
+  var maxDepth = this.depth,
+      pairs    = this.pairs,
+      queue    = [],
+      waiting  = null,
+      stopped  = false,
+      index    = 0,
+      iteration;
+
+  function emit(e) {
+    if (fn(e, index++) === false) {
+      stopped = true;
+      return false;
+    }
+  }
+
+  // Flattens an element, pushing an iterator over its elements (if it has any)
+  // onto the stack. If they come from an asynchronous sequence, though, the
+  // rest of the stack has to wait for it; so a handle is returned instead.
+  function visit(stack, e, depth) {
+    var elements = depth > 0 ? getNestedElements(e, pairs) : null,
+        elementDepth = pairs && e instanceof ObjectLikeSequence ? 0 : depth - 1;
+
+    if (!elements) {
+      emit(e);
+      return null;
+    }
+
+    if (isAsynchronous(elements)) {
+      return new FlattenedSequence(elements, elementDepth, pairs).each(emit).then(function() {
+        return flattenStack(stack);
+      });
+    }
+
+    stack.push({ iterator: elements.getIterator(), depth: elementDepth });
+    return null;
+  }
+
+  function flattenStack(stack) {
+    var frame, wait;
+
+    while (!stopped && stack.length > 0) {
+      frame = stack[stack.length - 1];
+      if (!frame.iterator.moveNext()) {
+        stack.pop();
+        continue;
+      }
+
+      wait = visit(stack, frame.iterator.current(), frame.depth);
+      if (wait) {
+        return wait;
+      }
+    }
+    return null;
+  }
+
+  function flattenElement(e) {
+    var stack = [];
+    return visit(stack, e, maxDepth) || flattenStack(stack);
+  }
+
+  // Elements of this sequence that come along while waiting for a nested
+  // asynchronous sequence are queued up until it's done.
+  function flattenQueue() {
+    var wait;
+
+    while (!stopped && queue.length > 0) {
+      wait = flattenElement(queue.shift());
+      if (wait) {
+        return wait.then(flattenQueue);
+      }
+    }
+    waiting = null;
+  }
+
+  iteration = this.parent.each(function(e) {
+    if (waiting) {
+      queue.push(e);
+      return;
+    }
+
+    waiting = flattenElement(e);
+    if (waiting) {
+      waiting = waiting.then(flattenQueue);
+    }
+
+    if (stopped) {
+      return false;
+    }
+  });
+
+  if (iteration instanceof AsyncHandle) {
+    return iteration.then(function() {
+      return waiting;
+    });
+  }
+
+  return waiting || iteration;
+};
+
+/**
+ * Gets a sequence of the elements to flatten in place of the given value, if
+ * it's an array, a sequence or an iterable (other than a string), or else null.
+ *
+ * @param {*} value
+ * @param {boolean} pairs Whether an object-like sequence should be flattened
+ *     into its [key, value] pairs, rather than its values.
+ * @return {Sequence}
+ */
+function getNestedElements(value, pairs) {
+  if (value instanceof Array) {
+    return new ArrayWrapper(value);
+  }
+  if (value instanceof ObjectLikeSequence && pairs) {
+    return value.map(function(v, k) { return [k, v]; });
+  }
+  if (value instanceof Sequence) {
+    return value;
+  }
+  if (isIterable(value)) {
+    return new IterableWrapper(value);
+  }
+  return null;
+}
+
+var WithoutSequence = CachingSequence.inherit(function(parent, values) {
+  this.parent = parent;
   this.values = values;
 });
 
+WithoutSequence.prototype.getIterator = function() {
+  var set = createSet(this.values);
+  return new FilteringIterator(this.parent, function(e) {
+    return !set.contains(e);
+  });
+};
+
 WithoutSequence.prototype.each = function(fn) {
   var set = createSet(this.values),
       i = 0;
-  this.parent.each(function(e) {
+  return this.parent.each(function(e) {
     if (!set.contains(e)) {
       return fn(e, i++);
     }
@@ -1512,11 +3577,18 @@ function SimpleIntersectionSequence(parent, array) {
 
 SimpleIntersectionSequence.prototype = new Sequence();
 
+SimpleIntersectionSequence.prototype.getIterator = function() {
+  var iterator = new UniqueMemoizer(Lazy(this.array).getIterator());
+  return new FilteringIterator(this.parent, function(e) {
+    return iterator.contains(e);
+  });
+};
+
 SimpleIntersectionSequence.prototype.eachMemoizerCache = function(fn) {
   var iterator = new UniqueMemoizer(Lazy(this.array).getIterator()),
       i = 0;
 
-  this.parent.each(function(e) {
+  return this.parent.each(function(e) {
     if (iterator.contains(e)) {
       return fn(e, i++);
     }
@@ -1525,11 +3597,11 @@ SimpleIntersectionSequence.prototype.eachMemoizerCache = function(fn) {
 
 SimpleIntersectionSequence.prototype.eachArrayCache = function(fn) {
   var array = this.array,
-      find  = contains,
+      find  = containsValue,
       i = 0;
 
-  this.parent.each(function(e) {
-    if (find(array, e)) {
+  return this.parent.each(function(e) {
+    if (find(array, e, array.length)) {
       return fn(e, i++);
     }
   });
@@ -1556,7 +3628,7 @@ IntersectionSequence.prototype.each = function(fn) {
   var setIterator = new UniqueMemoizer(sets.getIterator()),
       i = 0;
 
-  this.parent.each(function(e) {
+  return this.parent.each(function(e) {
     var includedInAll = true;
     setIterator.each(function(set) {
       if (!set.contains(e)) {
@@ -1586,9 +3658,16 @@ function SimpleZippedSequence(parent, array) {
 
 SimpleZippedSequence.prototype = new Sequence();
 
+SimpleZippedSequence.prototype.getIterator = function() {
+  var array = this.array;
+  return new MappingIterator(this.parent, function(e, i) {
+    return [e, array[i]];
+  });
+};
+
 SimpleZippedSequence.prototype.each = function(fn) {
   var array = this.array;
-  this.parent.each(function(e, i) {
+  return this.parent.each(function(e, i) {
     return fn([e, array[i]], i);
   });
 };
@@ -1598,16 +3677,421 @@ var ZippedSequence = CachingSequence.inherit(function(parent, arrays) {
   this.arrays = arrays;
 });
 
+ZippedSequence.prototype.getIterator = function() {
+  var arrays = this.arrays;
+  return new MappingIterator(this.parent, function(e, i) {
+    return zipGroup(e, arrays, i);
+  });
+};
+
 ZippedSequence.prototype.each = function(fn) {
   var arrays = this.arrays,
       i = 0;
-  this.parent.each(function(e) {
-    var group = [e];
-    for (var j = 0; j < arrays.length; ++j) {
-      if (arrays[j].length > i) {
-        group.push(arrays[j][i]);
+  return this.parent.each(function(e) {
+    return fn(zipGroup(e, arrays, i), i++);
+  });
+};
+
+function zipGroup(e, arrays, i) {
+  var group = [e];
+  for (var j = 0; j < arrays.length; ++j) {
+    if (arrays[j].length > i) {
+      group.push(arrays[j][i]);
+    }
+  }
+  return group;
+}
+
+/**
+ * @constructor
+ */
+function JoinSequence(parent, other, leftKey, rightKey, resultFn, type) {
+  this.parent   = parent;
+  this.other    = other;
+  this.leftKey  = createKeyFn(leftKey);
+  this.rightKey = createKeyFn(rightKey);
+  this.resultFn = resultFn || function(left, right) { return [left, right]; };
+  this.type     = type;
+}
+
+JoinSequence.prototype = new Sequence();
+
+/**
+ * Reads the other collection into a {@link Dictionary} mapping each key to the
+ * positions of the elements with that key. This is done afresh for each
+ * iteration, so that any changes to the other collection are picked up.
+ */
+JoinSequence.prototype.createIndex = function() {
+  var rightKey = this.rightKey,
+      index = { elements: [], positions: new Dictionary() };
+
+  Lazy(this.other).each(function(e) {
+    var key = rightKey(e),
+        positions;
+
+    if (key !== null && typeof key !== "undefined") {
+      positions = index.positions.get(key);
+      if (!positions) {
+        index.positions.set(key, positions = []);
       }
+      positions.push(index.elements.length);
     }
-    return fn(group, i++);
+
+    index.elements.push(e);
   });
+
+  return index;
+};
+
+/**
+ * Finds the positions (in the index) of the elements of the other collection
+ * matching the given element of this sequence, or null if there aren't any.
+ */
+JoinSequence.prototype.lookup = function(index, left) {
+  var key = this.leftKey(left);
+  return key === null || typeof key === "undefined" ? null : index.positions.get(key) || null;
 };
+
+/**
+ * Gets the array of elements at the given positions in the index.
+ */
+JoinSequence.prototype.getGroup = function(index, positions) {
+  var group = [],
+      j;
+
+  for (j = 0; positions && j < positions.length; ++j) {
+    group.push(index.elements[positions[j]]);
+  }
+
+  return group;
+};
+
+JoinSequence.prototype.getIterator = function() {
+  return new JoinIterator(this);
+};
+
+JoinSequence.prototype.each = function(fn) {
+  var self     = this,
+      index    = this.createIndex(),
+      elements = index.elements,
+      resultFn = this.resultFn,
+      type     = this.type,
+      keepLeft = type === "left" || type === "full",
+      matched  = type === "right" || type === "full" ? [] : null,
+      stopped  = false,
+      i = 0,
+      iteration;
+
+  iteration = this.parent.each(function(left) {
+    var positions = self.lookup(index, left),
+        j;
+
+    if (type === "group") {
+      if (fn(resultFn(left, self.getGroup(index, positions)), i++) === false) {
+        stopped = true;
+        return false;
+      }
+      return;
+    }
+
+    if (!positions) {
+      if (keepLeft && fn(resultFn(left, undefined), i++) === false) {
+        stopped = true;
+        return false;
+      }
+      return;
+    }
+
+    for (j = 0; j < positions.length; ++j) {
+      if (matched) {
+        matched[positions[j]] = true;
+      }
+      if (fn(resultFn(left, elements[positions[j]]), i++) === false) {
+        stopped = true;
+        return false;
+      }
+    }
+  });
+
+  // For right and full outer joins, finish with the elements of the other
+  // collection that nothing matched.
+  function eachUnmatched() {
+    var j = -1;
+
+    while (matched && !stopped && ++j < elements.length) {
+      if (!matched[j] && fn(resultFn(undefined, elements[j]), i++) === false) {
+        break;
+      }
+    }
+  }
+
+  if (iteration instanceof AsyncHandle) {
+    return iteration.then(eachUnmatched);
+  }
+
+  eachUnmatched();
+};
+
+/**
+ * Wraps any object implementing the ES2015 iterable protocol, such as a
+ * generator, `Map` or `Set`. Note that some iterables (generators, in
+ * particular) can only be iterated over once.
+ *
+ * @param {Object} source The iterable object.
+ * @constructor
+ */
+function IterableWrapper(source) {
+  this.source = source;
+}
+
+IterableWrapper.prototype = new Sequence();
+
+IterableWrapper.prototype.getIterator = function() {
+  return new IterableIterator(this.source);
+};
+
+IterableWrapper.prototype.each = function(fn) {
+  var iterator = this.source[Symbol.iterator](),
+      result,
+      i = 0;
+
+  while (!(result = iterator.next()).done) {
+    if (fn(result.value, i++) === false) {
+      // Give the iterator a chance to clean up (e.g., run a generator's
+      // finally blocks).
+      if (typeof iterator["return"] === "function") {
+        iterator["return"]();
+      }
+      break;
+    }
+  }
+};
+
+/**
+ * Wraps an ES2015 `Set`. Its elements are already unique, and checking whether
+ * it contains a value doesn't require iterating over it.
+ *
+ * @param {Set} source The set to wrap.
+ * @constructor
+ */
+function SetWrapper(source) {
+  this.source = source;
+}
+
+SetWrapper.prototype = new IterableWrapper();
+
+SetWrapper.prototype.contains = function(value, callback) {
+  var source = this.source;
+  return finishIteration(undefined, function() {
+    // Set#has finds NaN, but (like Array#indexOf) Sequence#contains doesn't.
+    return value === value && source.has(value);
+  }, callback);
+};
+
+SetWrapper.prototype.uniq =
+SetWrapper.prototype.unique = function(options) {
+  return options ? Sequence.prototype.uniq.call(this, options) : this;
+};
+
+/**
+ * @constructor
+ */
+function CompiledSequence(parent) {
+  var stages   = [],
+      prefix   = [],
+      sequence = parent,
+      base;
+
+  // First collect the stages that each wrap the function passed to `each`...
+  while (true) {
+    if (sequence instanceof MappedSequence) {
+      stages.unshift({ type: "map", fn: sequence.mapFn });
+    } else if (sequence instanceof FilteredSequence) {
+      stages.unshift({ type: "filter", fn: sequence.filterFn });
+    } else if (sequence instanceof TakeSequence) {
+      stages.unshift({ type: "take", count: sequence.count });
+    } else if (sequence instanceof DropSequence) {
+      stages.unshift({ type: "drop", count: sequence.count });
+    } else {
+      break;
+    }
+    sequence = sequence.parent;
+  }
+
+  // ...then the array-like ones underneath, which access elements by index.
+  // These are only worth unwinding if they lead back to an actual array.
+  base = sequence;
+  while (true) {
+    if (sequence instanceof IndexedMappedSequence) {
+      prefix.unshift({ type: "map", fn: sequence.mapFn });
+    } else if (sequence instanceof IndexedTakeSequence) {
+      prefix.unshift({ type: "take", count: sequence.count });
+    } else if (sequence instanceof IndexedDropSequence) {
+      prefix.unshift({ type: "drop", count: sequence.count });
+    } else if (sequence instanceof MappedArrayWrapper) {
+      prefix.unshift({ type: "map", fn: sequence.mapFn });
+      this.source = sequence.source;
+      break;
+    } else if (sequence instanceof ArrayWrapper) {
+      this.source = sequence.source;
+      break;
+    } else {
+      break;
+    }
+    sequence = sequence.parent;
+  }
+
+  this.parent = parent;
+  this.stages = stages;
+  this.prefix = this.source ? prefix : [];
+  this.base   = this.source ? null : base;
+  this.loop   = compileLoop(this.prefix, stages);
+}
+
+CompiledSequence.prototype = new Sequence();
+
+CompiledSequence.prototype.getIterator = function() {
+  return this.parent.getIterator();
+};
+
+CompiledSequence.prototype.each = function(fn) {
+  var source = this.source,
+      prefix = this.prefix,
+      loop   = this.loop,
+      offsets = [],
+      start  = 0,
+      end,
+      j;
+
+  if (!loop) {
+    return this.parent.each(fn);
+  }
+
+  if (!source) {
+    return loop.each(this.base, fn);
+  }
+
+  // Work out which indices of the array the array-like stages cover, and the
+  // offset of each map's own indices from the array's.
+  end = source.length;
+  for (j = 0; j < prefix.length; ++j) {
+    switch (prefix[j].type) {
+      case "map":
+        offsets.push(start);
+        break;
+
+      case "take":
+        end = Math.min(end, start + prefix[j].count);
+        break;
+
+      case "drop":
+        start = Math.min(start + prefix[j].count, end);
+        break;
+    }
+  }
+
+  loop.array(source, start, end, offsets, fn);
+};
+
+/**
+ * Generates the code for a {@link CompiledSequence}: a loop over an array,
+ * and a function to pass to the `each` method of any other sequence, each with
+ * every stage of the chain written out inline. The functions (and counts) of
+ * the stages are passed in as arrays, and pulled out into local variables.
+ *
+ * @param {Array.<Object>} prefix The map, take and drop stages applied to the
+ *     array by index (before `stages`).
+ * @param {Array.<Object>} stages The map, filter, take and drop stages which
+ *     wrap the function passed to `each`.
+ * @return {?{array: Function, each: Function}} The generated functions, or
+ *     null if code can't be generated in this environment.
+ */
+function compileLoop(prefix, stages) {
+  var header   = ["var f = stages.fns, n = stages.counts, p = prefix;"],
+      counters = ["stop = false"],
+      maps     = [],
+      chain    = [],
+      fns      = [],
+      counts   = [],
+      prefixFns = [],
+      canStop  = false,
+      j;
+
+  // Each stage of the chain, written in terms of `e` and `i`. SKIP is replaced
+  // with whatever moves on to the next element; STOP with whatever ends
+  // iteration (after the current element).
+  for (j = 0; j < stages.length; ++j) {
+    switch (stages[j].type) {
+      case "map":
+        header.push("var f" + j + " = f[" + fns.length + "];");
+        fns.push(stages[j].fn);
+        chain.push("e = f" + j + "(e, i);");
+        break;
+
+      case "filter":
+        header.push("var f" + j + " = f[" + fns.length + "];");
+        fns.push(stages[j].fn);
+        chain.push("if (!f" + j + "(e, i)) { " + (canStop ? "SKIP_OR_STOP" : "SKIP") + " }");
+        break;
+
+      case "take":
+        header.push("var n" + j + " = n[" + counts.length + "];");
+        counts.push(stages[j].count);
+        counters.push("c" + j + " = 0");
+        chain.push("i = c" + j + "++;");
+        chain.push("if (c" + j + " >= n" + j + ") { stop = true; }");
+        canStop = true;
+        break;
+
+      case "drop":
+        header.push("var n" + j + " = n[" + counts.length + "];");
+        counts.push(stages[j].count);
+        counters.push("c" + j + " = 0");
+        chain.push("if (c" + j + "++ < n" + j + ") { " + (canStop ? "SKIP_OR_STOP" : "SKIP") + " }");
+        chain.push("i = undefined;");
+        break;
+    }
+  }
+
+  for (j = 0; j < prefix.length; ++j) {
+    if (prefix[j].type === "map") {
+      header.push("var p" + maps.length + " = p[" + prefixFns.length + "];");
+      maps.push("e = p" + maps.length + "(e, k - o[" + maps.length + "]);");
+      prefixFns.push(prefix[j].fn);
+    }
+  }
+
+  chain = chain.join("\n");
+
+  var code = header.join("\n") + "\n" +
+    "return {\n" +
+    "array: function(source, start, end, o, fn) {\n" +
+    "var " + counters.concat(["e", "i", "r", "k"]).join(", ") + ";\n" +
+    "for (k = start; k < end; ++k) {\n" +
+    "e = source[k];\n" +
+    maps.join("\n") + "\n" +
+    "i = k - start;\n" +
+    chain.replace(/SKIP_OR_STOP/g, "if (stop) { break; } continue;").replace(/SKIP/g, "continue;") + "\n" +
+    (canStop ?
+      "r = fn(e, i);\nif (stop || r === false) { break; }\n" :
+      "if (fn(e, i) === false) { break; }\n") +
+    "}\n" +
+    "},\n" +
+    "each: function(base, fn) {\n" +
+    "var " + counters.concat(["r"]).join(", ") + ";\n" +
+    "return base.each(function(e, i) {\n" +
+    chain.replace(/SKIP_OR_STOP/g, "return !stop;").replace(/SKIP/g, "return;") + "\n" +
+    (canStop ?
+      "r = fn(e, i);\nreturn stop ? false : r;\n" :
+      "return fn(e, i);\n") +
+    "});\n" +
+    "}\n" +
+    "};";
+
+  try {
+    return new Function("stages", "prefix", code)({ fns: fns, counts: counts }, prefixFns);
+  } catch (e) {
+    // A Content Security Policy without 'unsafe-eval' forbids this.
+    return null;
+  }
+}
@@ -8,10 +8,68 @@ function StreamLikeSequence() {}
 
 StreamLikeSequence.prototype = new Sequence();
 
+/**
+ * Creates a {@link Sequence} of lines from this sequence's chunks of data.
+ * Lines may be terminated by either `"\n"` or `"\r\n"`, and a line which is
+ * split across two (or more) chunks will still be produced as a single line.
+ *
+ * @return {Sequence} A sequence comprising the lines in the underlying stream,
+ *     as they are read.
+ */
 StreamLikeSequence.prototype.lines = function() {
   return new LinesSequence(this);
 };
 
+/**
+ * Creates a {@link Sequence} of the values in this sequence's chunks of
+ * newline-delimited JSON (where each line is a separate JSON value). Blank
+ * lines are skipped.
+ *
+ * @return {Sequence} A sequence comprising the parsed values, as they are
+ *     read. Iterating over this sequence will raise a {@link JsonParseError}
+ *     (giving the line where the problem was found) if any line is invalid.
+ *
+ * @example
+ * Lazy.readFile("path/to/events.ndjson")
+ *   .ndjson()
+ *   .filter(function(event) { return event.type === "error"; })
+ *   .take(10);
+ * // => sequence of the first 10 error events
+ */
+StreamLikeSequence.prototype.ndjson = function() {
+  return new NdjsonSequence(this);
+};
+
+/**
+ * Creates a {@link Sequence} of the records in this sequence's chunks of CSV
+ * data. Fields may be quoted, in which case they can contain delimiters, line
+ * breaks and (doubled) quotes; a record which is split across two (or more)
+ * chunks will still be produced as a single record.
+ *
+ * @param {Object=} options Any of the following:
+ *     - `delimiter`: the string separating fields (default: `","`; use
+ *       `"\t"` for TSV)
+ *     - `quote`: the character used to quote fields (default: `'"'`)
+ *     - `header`: if `true` (the default), the first row is used as field
+ *       names and every other row becomes an object; if `false`, every row
+ *       becomes an array; if an array, its elements are used as field names
+ *       and every row becomes an object
+ *     - `coerce`: a function to convert each field's value, which is passed
+ *       the string value and the field's name (or its index, if there is no
+ *       header); or an object mapping field names to such functions
+ * @return {Sequence} A sequence comprising the records in the CSV data, as
+ *     they are read.
+ *
+ * @example
+ * Lazy.readFile("path/to/people.csv")
+ *   .csv({ coerce: { age: Number } })
+ *   .take(2);
+ * // => sequence: ({ name: "Dan", age: 32 }, { name: "Jane", age: 28 })
+ */
+StreamLikeSequence.prototype.csv = function(options) {
+  return new CsvSequence(this, options);
+};
+
 /**
  * A sequence of lines (segments of a larger string or string-like sequence
  * delimited by line breaks).
@@ -24,20 +82,470 @@ function LinesSequence(parent) {
 
 LinesSequence.prototype = new Sequence();
 
+LinesSequence.prototype.getIterator = function() {
+  return new LinesIterator(this.parent);
+};
+
 LinesSequence.prototype.each = function(fn) {
-  var done = false;
-  this.parent.each(function(chunk) {
-    Lazy(chunk).split("\n").each(function(line) {
-      if (fn(line) === false) {
+  var partial = "",
+      done    = false,
+      i       = 0;
+
+  var iteration = this.parent.each(function(chunk) {
+    var buffer = partial + chunk,
+        start  = 0,
+        end    = buffer.indexOf("\n");
+
+    while (end !== -1) {
+      if (fn(trimCarriageReturn(buffer.substring(start, end)), i++) === false) {
         done = true;
         return false;
       }
-    });
+      start = end + 1;
+      end = buffer.indexOf("\n", start);
+    }
+
+    // Whatever is left is the beginning of a line whose end hasn't been read
+    // yet; hang onto it until the next chunk comes in.
+    partial = buffer.substring(start);
+  });
+
+  return finishIteration(iteration, function() {
+    // The last line in the stream might not end with a line break.
+    if (!done && partial.length > 0) {
+      fn(trimCarriageReturn(partial), i++);
+    }
+  });
+};
+
+function trimCarriageReturn(line) {
+  var last = line.length - 1;
+  return line.charAt(last) === "\r" ? line.substring(0, last) : line;
+}
+
+/**
+ * @constructor
+ */
+function LinesIterator(sequence) {
+  this.chunks   = sequence.getIterator();
+  this.buffer   = "";
+  this.start    = 0;
+  this.line     = undefined;
+  this.finished = false;
+}
+
+LinesIterator.prototype.current = function() {
+  return this.line;
+};
+
+/**
+ * Closes the iterator over the underlying chunks (see {@link closeIterator}).
+ */
+LinesIterator.prototype["return"] = function() {
+  closeIterator(this.chunks);
+};
+
+LinesIterator.prototype.moveNext = function() {
+  var chunks = this.chunks,
+      end;
+
+  while (true) {
+    end = this.buffer.indexOf("\n", this.start);
+
+    if (end !== -1) {
+      this.line = trimCarriageReturn(this.buffer.substring(this.start, end));
+      this.start = end + 1;
+      return true;
+    }
+
+    if (this.finished) {
+      break;
+    }
+
+    if (chunks.moveNext()) {
+      this.buffer = this.buffer.substring(this.start) + chunks.current();
+      this.start = 0;
+      continue;
+    }
 
-    return !done;
+    // The last line might not end with a line break.
+    this.finished = true;
+    if (this.start < this.buffer.length) {
+      this.line = trimCarriageReturn(this.buffer.substring(this.start));
+      this.start = this.buffer.length;
+      return true;
+    }
+  }
+
+  this.line = undefined;
+  return false;
+};
+
+/**
+ * A sequence of values parsed from lines of newline-delimited JSON.
+ *
+ * @constructor
+ */
+function NdjsonSequence(parent) {
+  this.parent = parent;
+}
+
+NdjsonSequence.prototype = new Sequence();
+
+NdjsonSequence.prototype.getIterator = function() {
+  return new NdjsonIterator(this.parent);
+};
+
+NdjsonSequence.prototype.each = function(fn) {
+  var i = 0;
+
+  return new LinesSequence(this.parent).each(function(line, lineIndex) {
+    if (/^\s*$/.test(line)) {
+      return;
+    }
+    return fn(parseJsonLine(line, lineIndex + 1), i++);
   });
 };
 
+/**
+ * @constructor
+ */
+function NdjsonIterator(sequence) {
+  this.lines      = new LinesIterator(sequence);
+  this.lineNumber = 0;
+  this.value      = undefined;
+}
+
+NdjsonIterator.prototype.current = function() {
+  return this.value;
+};
+
+NdjsonIterator.prototype["return"] = function() {
+  this.lines["return"]();
+};
+
+NdjsonIterator.prototype.moveNext = function() {
+  var lines = this.lines,
+      line;
+
+  while (lines.moveNext()) {
+    line = lines.current();
+    ++this.lineNumber;
+
+    if (!(/^\s*$/).test(line)) {
+      this.value = parseJsonLine(line, this.lineNumber);
+      return true;
+    }
+  }
+
+  this.value = undefined;
+  return false;
+};
+
+function parseJsonLine(line, lineNumber) {
+  var parser;
+
+  try {
+    return JSON.parse(line);
+
+  } catch (e) {
+    // JSON.parse doesn't say where the problem is, so run the line through
+    // our own parser to find out.
+    parser = new JsonParser(new JsonPath("$"), identity);
+    parser.line = lineNumber;
+    parser.write(line);
+    parser.end();
+    throw e;
+  }
+}
+
+/**
+ * A sequence of records parsed from CSV data.
+ *
+ * @constructor
+ */
+function CsvSequence(parent, options) {
+  this.parent  = parent;
+  this.options = options || {};
+}
+
+CsvSequence.prototype = new Sequence();
+
+CsvSequence.prototype.getIterator = function() {
+  return new CsvIterator(this.parent, this.options);
+};
+
+CsvSequence.prototype.each = function(fn) {
+  var readRecord = createRecordReader(this.options),
+      done       = false,
+      i          = 0;
+
+  var parser = new CsvParser(this.options, function(row) {
+    var record = readRecord(row);
+
+    if (record && fn(record, i++) === false) {
+      done = true;
+      return false;
+    }
+  });
+
+  var iteration = this.parent.each(function(chunk) {
+    return parser.write(chunk);
+  });
+
+  return finishIteration(iteration, function() {
+    if (!done) {
+      parser.end();
+    }
+  });
+};
+
+/**
+ * Creates a function which turns each row of CSV fields into a record (see
+ * {@link StreamLikeSequence#csv} for the options), or returns null for the
+ * header row.
+ */
+function createRecordReader(options) {
+  var header = options.header,
+      coerce = options.coerce,
+      fields = header instanceof Array ? header : null;
+
+  if (typeof header === "undefined") {
+    header = true;
+  }
+
+  return function(row) {
+    if (header && !fields) {
+      fields = row;
+      return null;
+    }
+
+    return createRecord(row, fields, coerce);
+  };
+}
+
+/**
+ * Turns a row of CSV fields into a record: an object mapping the given field
+ * names to values, or (if there are no field names) an array of values.
+ */
+function createRecord(row, fields, coerce) {
+  var record = fields ? {} : [],
+      length = fields ? fields.length : row.length,
+      key,
+      value,
+      i;
+
+  for (i = 0; i < length; ++i) {
+    key   = fields ? fields[i] : i;
+    value = row[i];
+
+    if (typeof coerce === "function") {
+      value = coerce(value, key);
+    } else if (coerce && typeof coerce[key] === "function") {
+      value = coerce[key](value);
+    }
+
+    record[key] = value;
+  }
+
+  return record;
+}
+
+/**
+ * @constructor
+ */
+function CsvIterator(sequence, options) {
+  var rows = this.rows = [];
+
+  this.chunks     = sequence.getIterator();
+  this.readRecord = createRecordReader(options);
+  this.record     = undefined;
+  this.finished   = false;
+  this.parser     = new CsvParser(options, function(row) {
+    rows.push(row);
+  });
+}
+
+CsvIterator.prototype.current = function() {
+  return this.record;
+};
+
+CsvIterator.prototype["return"] = LinesIterator.prototype["return"];
+
+CsvIterator.prototype.moveNext = function() {
+  var rows   = this.rows,
+      chunks = this.chunks,
+      record;
+
+  while (true) {
+    while (rows.length > 0) {
+      record = this.readRecord(rows.shift());
+      if (record) {
+        this.record = record;
+        return true;
+      }
+    }
+
+    if (this.finished) {
+      break;
+    }
+
+    if (chunks.moveNext()) {
+      this.parser.write(chunks.current());
+    } else {
+      this.finished = true;
+      this.parser.end();
+    }
+  }
+
+  this.record = undefined;
+  return false;
+};
+
+/**
+ * An incremental CSV parser. It can be fed CSV data in any number of chunks,
+ * split at any point, and passes each row (as an array of strings) to `onRow`
+ * as soon as the row has been read in full. Blank lines are skipped.
+ *
+ * @param {Object} options The `delimiter` and `quote` to use (see
+ *     {@link StreamLikeSequence#csv}).
+ * @param {function(Array.<string>):*} onRow The function to call with each
+ *     row. Return false from this function to stop parsing.
+ * @constructor
+ */
+function CsvParser(options, onRow) {
+  this.delimiter = options.delimiter || ",";
+  this.quote     = options.quote || '"';
+  this.onRow     = onRow;
+  this.row       = [];
+  this.field     = "";
+  this.line      = 1;
+  this.rowLine   = 1;
+  this.quoted    = false;
+  this.inQuotes  = false;
+  this.sawQuote  = false;
+  this.pending   = "";
+}
+
+/**
+ * Parses the next chunk of CSV data.
+ *
+ * @param {string} chunk The chunk.
+ * @return {boolean} False if `onRow` returned false, or else true.
+ */
+CsvParser.prototype.write = function(chunk) {
+  var delimiter = this.delimiter,
+      quote     = this.quote,
+      buffer    = this.pending + chunk,
+      length    = buffer.length,
+      i         = 0,
+      c;
+
+  this.pending = "";
+
+  while (i < length) {
+    c = buffer.charAt(i);
+
+    if (this.inQuotes) {
+      if (this.sawQuote) {
+        this.sawQuote = false;
+        if (c === quote) {
+          // A doubled quote is an escaped quote.
+          this.field += quote;
+          ++i;
+          continue;
+        }
+        this.inQuotes = false;
+
+      } else {
+        if (c === quote) {
+          this.sawQuote = true;
+        } else {
+          if (c === "\n") {
+            ++this.line;
+          }
+          this.field += c;
+        }
+        ++i;
+        continue;
+      }
+    }
+
+    // A multi-character delimiter might be split across chunks; in that case
+    // wait for the next chunk to see if this really is one.
+    if (delimiter.length > 1 && i + delimiter.length > length &&
+        delimiter.indexOf(buffer.substring(i)) === 0) {
+      this.pending = buffer.substring(i);
+      break;
+    }
+
+    if (buffer.substring(i, i + delimiter.length) === delimiter) {
+      this.endField();
+      i += delimiter.length;
+      continue;
+    }
+
+    if (c === "\n") {
+      ++this.line;
+      ++i;
+      if (this.endRow() === false) {
+        return false;
+      }
+      continue;
+    }
+
+    if (c === quote && this.field === "" && !this.quoted) {
+      this.quoted = this.inQuotes = true;
+    } else if (c !== "\r") {
+      this.field += c;
+    }
+
+    ++i;
+  }
+
+  return true;
+};
+
+/**
+ * Signals that there is no more CSV data to parse, producing the last row if
+ * it didn't end with a line break.
+ *
+ * @throws {string} If the data ended in the middle of a quoted field.
+ */
+CsvParser.prototype.end = function() {
+  if (this.inQuotes && !this.sawQuote) {
+    throw "Unterminated quoted field in row starting at line " + this.rowLine;
+  }
+
+  this.field += this.pending;
+  this.endRow();
+};
+
+CsvParser.prototype.endField = function() {
+  this.row.push(this.field);
+  this.field    = "";
+  this.quoted   = false;
+  this.inQuotes = false;
+  this.sawQuote = false;
+};
+
+CsvParser.prototype.endRow = function() {
+  var blank = this.row.length === 0 && this.field === "" && !this.quoted,
+      row;
+
+  this.rowLine = this.line;
+
+  if (blank) {
+    return;
+  }
+
+  this.endField();
+  row = this.row;
+  this.row = [];
+
+  return this.onRow(row);
+};
+
 /**
  * A StreamingHttpSequence is a `StreamLikeSequence` comprising the chunks of
  * data that are streamed in response to an HTTP request.
@@ -51,12 +559,18 @@ function StreamingHttpSequence(url) {
 
 StreamingHttpSequence.prototype = new StreamLikeSequence();
 
+StreamingHttpSequence.prototype.getIterator = function() {
+  throw "A StreamingHttpSequence can't be iterated over synchronously; use each instead.";
+};
+
 StreamingHttpSequence.prototype.each = function(fn) {
-  var request = new XMLHttpRequest(),
+  var url     = this.url,
+      request = new XMLHttpRequest(),
+      handle  = new AsyncHandle(),
       index   = 0,
       aborted = false;
 
-  request.open("GET", this.url);
+  request.open("GET", url);
 
   var listener = function(data) {
     if (!aborted) {
@@ -65,6 +579,7 @@ StreamingHttpSequence.prototype.each = function(fn) {
         request.removeEventListener("progress", listener, false);
         request.abort();
         aborted = true;
+        handle.resolve();
       }
       index += data.length;
     }
@@ -72,5 +587,20 @@ StreamingHttpSequence.prototype.each = function(fn) {
 
   request.addEventListener("progress", listener, false);
 
+  request.addEventListener("load", function() {
+    // Make sure we don't miss anything that came in after the last progress
+    // event.
+    if (index < request.responseText.length) {
+      listener();
+    }
+    handle.resolve();
+  }, false);
+
+  request.addEventListener("error", function() {
+    handle.reject(new Error("Request for " + url + " failed"));
+  }, false);
+
   request.send();
+
+  return handle;
 };
@@ -88,6 +88,39 @@ StringLikeSequence.prototype.split = function(delimiter) {
   return new SplitStringSequence(this.source, delimiter);
 };
 
+/**
+ * Creates a {@link Sequence} of the values in this string of newline-delimited
+ * JSON. See {@link StreamLikeSequence#ndjson}.
+ *
+ * @return {Sequence} A sequence comprising the parsed values.
+ *
+ * @example
+ * Lazy('{ "a": 1 }\n[2]\n"three"').ndjson();
+ * // => sequence: ({ a: 1 }, [2], "three")
+ */
+StringLikeSequence.prototype.ndjson = function() {
+  return new NdjsonSequence(new ArrayWrapper([this.source]));
+};
+
+/**
+ * Creates a {@link Sequence} of the records in this string of CSV data. See
+ * {@link StreamLikeSequence#csv}.
+ *
+ * @param {Object=} options The options to use (see
+ *     {@link StreamLikeSequence#csv}).
+ * @return {Sequence} A sequence comprising the records.
+ *
+ * @example
+ * Lazy('name,age\nDan,32\n"Smith, Jane",28').csv();
+ * // => sequence: ({ name: "Dan", age: "32" }, { name: "Smith, Jane", age: "28" })
+ *
+ * Lazy("1\t2\n3\t4").csv({ delimiter: "\t", header: false, coerce: Number });
+ * // => sequence: ([1, 2], [3, 4])
+ */
+StringLikeSequence.prototype.csv = function(options) {
+  return new CsvSequence(new ArrayWrapper([this.source]), options);
+};
+
 /**
  * @constructor
  */
@@ -0,0 +1,444 @@
+/**
+ * A `TraversableSequence` is a sequence of nodes connected to one another,
+ * such as a tree or a graph, which can be traversed in different orders.
+ *
+ * Each traversal is a sequence of *visits* (see {@link Visit}), which tell you
+ * the node being visited, how deep it is and how the traversal got there.
+ *
+ * Traversals are lazy: they only look at a node's children (or neighbors) when
+ * they get to it, and so they stop as soon as iteration does, e.g. once
+ * {@link Sequence#find} has found what it's looking for.
+ *
+ * @constructor
+ */
+function TraversableSequence() {}
+
+TraversableSequence.prototype = new Sequence();
+
+/**
+ * Gets an {@link Iterator} over the children (or neighbors) of the given node,
+ * or null if it doesn't have any.
+ *
+ * @param {*} node The node.
+ * @return {Iterator} The iterator.
+ */
+TraversableSequence.prototype.getChildren = function(node) {
+  var children = this.childrenFn(node);
+  return children === null || typeof children === "undefined" ?
+    null :
+    Lazy(children).getIterator();
+};
+
+/**
+ * See {@link Sequence#each}.
+ */
+TraversableSequence.prototype.each = function(fn) {
+  return this.depthFirst().map(getVisitedNode).each(fn);
+};
+
+/**
+ * See {@link Sequence#getIterator}.
+ */
+TraversableSequence.prototype.getIterator = function() {
+  return this.depthFirst().map(getVisitedNode).getIterator();
+};
+
+function getVisitedNode(visit) {
+  return visit.node;
+}
+
+/**
+ * A visit to a node during a traversal of a {@link TraversableSequence}.
+ *
+ * Each visit is linked to the visit of the node before it on the way from the
+ * start, so the nodes along the way are only put in an array when you ask for
+ * {@link Visit#path}.
+ *
+ * @param {*} node The node being visited.
+ * @param {Visit} parent The visit of the node before this one on the way from
+ *     the start, or null if the traversal started here.
+ * @constructor
+ */
+function Visit(node, parent) {
+  this.node   = node;
+  this.parent = parent;
+  this.depth  = parent ? parent.depth + 1 : 0;
+}
+
+/**
+ * Gets the nodes on the way to this one.
+ *
+ * @return {Array} The nodes, from the one the traversal started at up to and
+ *     including this one.
+ */
+Visit.prototype.path = function() {
+  var path  = new Array(this.depth + 1),
+      visit = this;
+
+  while (visit) {
+    path[visit.depth] = visit.node;
+    visit = visit.parent;
+  }
+  return path;
+};
+
+/**
+ * A `TreeSequence` is a sequence of the nodes in a tree, in depth-first
+ * order, starting at its root. See {@link Lazy.tree}.
+ *
+ * @param {*} root The root node.
+ * @param {Function} childrenFn A function to get the children of a node.
+ * @constructor
+ */
+function TreeSequence(root, childrenFn) {
+  this.root       = root;
+  this.childrenFn = childrenFn;
+}
+
+TreeSequence.prototype = new TraversableSequence();
+
+/**
+ * Creates a sequence visiting every node in this tree depth-first, with each
+ * node before its children (i.e., pre-order).
+ *
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+ *
+ * tree.depthFirst().map(function(visit) { return visit.node.id + "@" + visit.depth; });
+ * // => sequence: ("1@0", "2@1", "3@2", "4@1")
+ */
+TreeSequence.prototype.depthFirst = function() {
+  return new TraversalSequence(this, [this.root], "preOrder", false);
+};
+
+/**
+ * Creates a sequence visiting every node in this tree breadth-first, i.e.,
+ * level by level.
+ *
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+ *
+ * tree.breadthFirst().map(function(visit) { return visit.node.id; });
+ * // => sequence: (1, 2, 4, 3)
+ */
+TreeSequence.prototype.breadthFirst = function() {
+  return new TraversalSequence(this, [this.root], "breadthFirst", false);
+};
+
+/**
+ * Creates a sequence visiting every node in this tree depth-first, with each
+ * node after its children (i.e., post-order).
+ *
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var tree = Lazy.tree({ id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] }, "children");
+ *
+ * tree.postOrder().map(function(visit) { return visit.node.id; });
+ * // => sequence: (3, 2, 4, 1)
+ */
+TreeSequence.prototype.postOrder = function() {
+  return new TraversalSequence(this, [this.root], "postOrder", false);
+};
+
+/**
+ * A `GraphSequence` is a sequence of the nodes in a directed graph: the ones
+ * it was created with, and any others reachable from them, each only once.
+ * See {@link Lazy.graph}.
+ *
+ * Nodes are told apart the same way {@link Sequence#uniq} tells elements
+ * apart: primitive values by value, and objects by identity.
+ *
+ * @param {Array|Sequence} nodes The nodes.
+ * @param {Function} childrenFn A function to get the nodes a node has edges
+ *     to.
+ * @constructor
+ */
+function GraphSequence(nodes, childrenFn) {
+  this.nodes      = nodes;
+  this.childrenFn = childrenFn;
+}
+
+GraphSequence.prototype = new TraversableSequence();
+
+GraphSequence.prototype.getStarts = function(args) {
+  return args.length > 0 ? [args[0]] : this.nodes;
+};
+
+/**
+ * Gets an array of the nodes the given node has edges to.
+ *
+ * @param {*} node The node.
+ * @return {Array} The nodes.
+ */
+GraphSequence.prototype.getTargets = function(node) {
+  var targets = this.childrenFn(node);
+  return targets === null || typeof targets === "undefined" ? [] : Lazy(targets).toArray();
+};
+
+/**
+ * Creates a sequence visiting nodes in this graph depth-first, each before
+ * the nodes it has edges to, and each only once (so cycles are no problem).
+ *
+ * @param {*=} from The node to start from. Without this, every node is
+ *     visited, starting from each of the graph's nodes in turn.
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var graph = Lazy.graph(["a"], function(node) {
+ *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+ * });
+ *
+ * graph.depthFirst().pluck("node");
+ * // => sequence: ("a", "b", "d", "c")
+ */
+GraphSequence.prototype.depthFirst = function(from) {
+  return new TraversalSequence(this, this.getStarts(arguments), "preOrder", true);
+};
+
+/**
+ * Creates a sequence visiting nodes in this graph breadth-first, i.e., in
+ * order of how many edges away they are, each only once.
+ *
+ * @param {*=} from The node to start from. Without this, every node is
+ *     visited, starting from each of the graph's nodes in turn.
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var graph = Lazy.graph(["a"], function(node) {
+ *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+ * });
+ *
+ * graph.breadthFirst().pluck("node");
+ * // => sequence: ("a", "b", "c", "d")
+ */
+GraphSequence.prototype.breadthFirst = function(from) {
+  return new TraversalSequence(this, this.getStarts(arguments), "breadthFirst", true);
+};
+
+/**
+ * Creates a sequence visiting nodes in this graph depth-first, each after the
+ * nodes it has edges to (unless they were already on the way there, in a
+ * cycle), and each only once.
+ *
+ * @param {*=} from The node to start from. Without this, every node is
+ *     visited, starting from each of the graph's nodes in turn.
+ * @return {Sequence} The sequence of visits (see {@link TraversableSequence}).
+ *
+ * @example
+ * var graph = Lazy.graph(["a"], function(node) {
+ *   return { a: ["b", "c"], b: ["a", "d"] }[node];
+ * });
+ *
+ * graph.postOrder().pluck("node");
+ * // => sequence: ("d", "b", "c", "a")
+ */
+GraphSequence.prototype.postOrder = function(from) {
+  return new TraversalSequence(this, this.getStarts(arguments), "postOrder", true);
+};
+
+/**
+ * Creates a sequence of the nodes in this graph in topological order: every
+ * node comes before all of the nodes it has edges to. (So if the edges point
+ * from things to what they depend on, reverse this sequence to put
+ * dependencies first.)
+ *
+ * Since there's no way to know where to start without looking at the whole
+ * graph, the order is worked out in full as soon as iteration begins. If the
+ * graph has a cycle, there is no such order, and an error is thrown then,
+ * naming the nodes in the cycle (as found by {@link #findCycle}).
+ *
+ * @return {Sequence} The sequence of nodes.
+ *
+ * @example
+ * var graph = Lazy.graph(["shoes", "socks", "pants"], function(node) {
+ *   return { socks: ["shoes"], pants: ["shoes"] }[node];
+ * });
+ *
+ * graph.topologicalSort();
+ * // => sequence: ("socks", "pants", "shoes")
+ *
+ * Lazy.graph([1], function(x) { return [x % 3 + 1]; }).topologicalSort().toArray();
+ * // => throws
+ */
+GraphSequence.prototype.topologicalSort = function() {
+  return new TopologicalSequence(this);
+};
+
+/**
+ * Finds a cycle in this graph, if it has one.
+ *
+ * @return {Array} The nodes in the cycle, starting and ending with the same
+ *     one, or undefined if there aren't any cycles.
+ *
+ * @example
+ * Lazy.graph([1], function(x) { return [x % 3 + 1]; }).findCycle();
+ * // => [1, 2, 3, 1]
+ *
+ * Lazy.graph([1], function(x) { return x < 3 ? [x + 1] : []; }).findCycle();
+ * // => undefined
+ */
+GraphSequence.prototype.findCycle = function() {
+  var graph  = this,
+      states = new Dictionary(),
+      cycle;
+
+  // Nodes are marked as "open" while the search is exploring the nodes they
+  // have edges to, and "closed" when it's done. An edge back to an open node
+  // closes a cycle.
+  Lazy(this.nodes).each(function(start) {
+    var stack = [],
+        frame,
+        target,
+        i;
+
+    if (states.has(start)) {
+      return;
+    }
+
+    states.set(start, "open");
+    stack.push({ node: start, targets: graph.getChildren(start) });
+
+    while (stack.length > 0) {
+      frame = stack[stack.length - 1];
+
+      if (!frame.targets || !frame.targets.moveNext()) {
+        states.set(frame.node, "closed");
+        stack.pop();
+        continue;
+      }
+
+      target = frame.targets.current();
+      if (states.get(target) === "open") {
+        for (i = 0; !isSameValue(stack[i].node, target); ++i) {}
+        cycle = Lazy(stack).drop(i).pluck("node").toArray().concat([target]);
+        return false;
+      }
+
+      if (!states.has(target)) {
+        states.set(target, "open");
+        stack.push({ node: target, targets: graph.getChildren(target) });
+      }
+    }
+  });
+
+  return cycle;
+};
+
+/**
+ * Finds the shortest path (with the fewest edges) from one node in this graph
+ * to another, searching breadth-first only as far as it has to.
+ *
+ * @param {*} from The node to start from.
+ * @param {*} to The node to get to.
+ * @return {Array} The nodes on the path, from `from` to `to`, or undefined if
+ *     there's no way to get there.
+ *
+ * @example
+ * var graph = Lazy.graph(["a"], function(node) {
+ *   return { a: ["b", "c"], b: ["d"], c: ["e"], e: ["d"] }[node];
+ * });
+ *
+ * graph.shortestPath("a", "d");
+ * // => ["a", "b", "d"]
+ *
+ * graph.shortestPath("d", "a");
+ * // => undefined
+ */
+GraphSequence.prototype.shortestPath = function(from, to) {
+  var visit = this.breadthFirst(from).find(function(visit) {
+    return isSameValue(visit.node, to);
+  });
+
+  return visit ? visit.path() : undefined;
+};
+
+/**
+ * @constructor
+ */
+function TraversalSequence(parent, starts, order, once) {
+  this.parent = parent;
+  this.starts = starts;
+  this.order  = order;
+  this.once   = once;
+}
+
+TraversalSequence.prototype = new Sequence();
+
+TraversalSequence.prototype.getIterator = function() {
+  return new TraversalIterator(this.parent, this.starts, this.order, this.once);
+};
+
+TraversalSequence.prototype.each = function(fn) {
+  var iterator = this.getIterator(),
+      i = 0;
+
+  while (iterator.moveNext()) {
+    if (fn(iterator.current(), i++) === false) {
+      return false;
+    }
+  }
+};
+
+/**
+ * @constructor
+ */
+function TopologicalSequence(parent) {
+  this.parent = parent;
+}
+
+TopologicalSequence.prototype = new Sequence();
+
+TopologicalSequence.prototype.each = function(fn) {
+  var graph     = this.parent,
+      nodes     = graph.toArray(),
+      targets   = new Dictionary(),
+      inDegrees = new Dictionary(),
+      sorted    = [],
+      i, j, node, nodeTargets;
+
+  for (i = 0; i < nodes.length; ++i) {
+    inDegrees.set(nodes[i], 0);
+  }
+
+  for (i = 0; i < nodes.length; ++i) {
+    nodeTargets = graph.getTargets(nodes[i]);
+    targets.set(nodes[i], nodeTargets);
+    for (j = 0; j < nodeTargets.length; ++j) {
+      inDegrees.set(nodeTargets[j], inDegrees.get(nodeTargets[j]) + 1);
+    }
+  }
+
+  // Kahn's algorithm: repeatedly take a node which nothing left has edges to.
+  for (i = 0; i < nodes.length; ++i) {
+    if (inDegrees.get(nodes[i]) === 0) {
+      sorted.push(nodes[i]);
+    }
+  }
+
+  for (i = 0; i < sorted.length; ++i) {
+    nodeTargets = targets.get(sorted[i]);
+    for (j = 0; j < nodeTargets.length; ++j) {
+      node = nodeTargets[j];
+      inDegrees.set(node, inDegrees.get(node) - 1);
+      if (inDegrees.get(node) === 0) {
+        sorted.push(node);
+      }
+    }
+  }
+
+  if (sorted.length < nodes.length) {
+    throw "The graph has a cycle (" + graph.findCycle().join(" -> ") +
+      "), so it can't be sorted topologically.";
+  }
+
+  for (i = 0; i < sorted.length; ++i) {
+    if (fn(sorted[i], i) === false) {
+      return false;
+    }
+  }
+};
@@ -348,6 +348,13 @@ describe("compared to Underscore, Lo-Dash, etc.", function() {
     category: "shorted",
   });
 
+  compareAlternatives("map -> filter -> map -> filter -> take (compiled)", {
+    lazy: function(arr) { return Lazy(arr).map(inc).filter(isEven).map(square).filter(isEven).take(5).compile(); },
+    underscore: function(arr) { return _.chain(arr).map(inc).filter(isEven).map(square).filter(isEven).take(5); },
+    lodash: function(arr) { return lodash(arr).map(inc).filter(isEven).map(square).filter(isEven).take(5); },
+    category: "shorted",
+  });
+
   compareAlternatives("map -> drop -> take", {
     lazy: function(arr) { return Lazy(arr).map(inc).drop(5).take(5); },
     underscore: function(arr) { return _.chain(arr).map(inc).rest(5).take(5); },
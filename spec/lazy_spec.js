@@ -10,7 +10,7 @@ describe("Lazy", function() {
       arraysCreated;
 
   Lazy.Sequence.prototype.toArray = function() {
-    var result = originalToArray.apply(this);
+    var result = originalToArray.apply(this, arguments);
     arraysCreated += 1;
     return result;
   };
@@ -80,6 +80,52 @@ describe("Lazy", function() {
     });
   }
 
+  function createAsyncResultTest(description, options) {
+    it(description, function() {
+      var result,
+          finished = false;
+
+      var expected = typeof options.expected === "function" ?
+        options.expected() :
+        options.expected;
+
+      runs(function() {
+        options.getResult().then(function(value) {
+          result = value;
+          finished = true;
+        });
+      });
+
+      waitsFor(function() {
+        return finished;
+      });
+
+      runs(function() {
+        expect(result).toEqual(expected);
+      });
+    });
+  }
+
+  // Creates a stream-like sequence whose chunks are the elements of an array.
+  function chunks(array) {
+    var sequence = new Lazy.StreamLikeSequence();
+    sequence.chunksRead = 0;
+    sequence.each = function(fn) {
+      return Lazy(array).each(function(chunk) {
+        ++sequence.chunksRead;
+        return fn(chunk);
+      });
+    };
+    sequence.getIterator = function() {
+      var iterator = Lazy(array).getIterator();
+      return {
+        current: function() { return iterator.current(); },
+        moveNext: function() { return iterator.moveNext() && ++sequence.chunksRead > 0; }
+      };
+    };
+    return sequence;
+  }
+
   it("wraps an array which can be easily unwrapped", function() {
     var result = Lazy(people);
     expect(result.toArray()).toEqual(people);
@@ -90,6 +136,90 @@ describe("Lazy", function() {
     expect(doubleWrapped.toArray()).toEqual(people);
   });
 
+  describe("wrapping other collections", function() {
+    it("treats the arguments object as an array-like sequence", function() {
+      var sequence = (function() { return Lazy(arguments); }(1, 2, 3));
+      expect(sequence instanceof Lazy.ArrayLikeSequence).toBe(true);
+      expect(sequence.length()).toEqual(3);
+      expect(sequence.get(1)).toEqual(2);
+      expect(sequence.map(function(x) { return x * 2; }).toArray()).toEqual([2, 4, 6]);
+    });
+
+    it("treats typed arrays as array-like sequences", function() {
+      if (typeof Uint8Array !== "function") {
+        return;
+      }
+
+      var sequence = Lazy(new Uint8Array([1, 2, 3]));
+      expect(sequence instanceof Lazy.ArrayLikeSequence).toBe(true);
+      expect(sequence.reverse().toArray()).toEqual([3, 2, 1]);
+      expect(sequence.toArray() instanceof Array).toBe(true);
+    });
+
+    it("doesn't treat an ordinary object with a length property as array-like", function() {
+      expect(Lazy({ length: 2, name: "x" }).keys().toArray()).toEqual(["length", "name"]);
+      expect(Lazy({ length: 0 }).get("length")).toEqual(0);
+      expect(Lazy({ length: 1.5, 0: "a" }) instanceof Lazy.ArrayLikeSequence).toBe(false);
+      expect(Lazy({ length: 2, 0: "a", 1: "b" }).toArray()).toEqual(["a", "b"]);
+    });
+
+    it("wraps any object with a length using fromArrayLike", function() {
+      var sequence = Lazy.fromArrayLike({ length: 2, 0: "foo", 1: "bar" });
+      expect(sequence.last()).toEqual("bar");
+      expect(sequence.toArray()).toEqual(["foo", "bar"]);
+    });
+
+    it("treats a Map as an object-like sequence, with keys of any type", function() {
+      if (typeof Map !== "function") {
+        return;
+      }
+
+      var key = { id: 1 },
+          map = new Map([[key, "foo"], ["bar", 2]]),
+          keys = [];
+
+      Lazy(map).each(function(value, k) { keys.push(k); });
+      expect(keys).toEqual([key, "bar"]);
+      expect(Lazy(map) instanceof Lazy.ObjectLikeSequence).toBe(true);
+      expect(Lazy(map).get(key)).toEqual("foo");
+      expect(Lazy(map).toArray()).toEqual([[key, "foo"], ["bar", 2]]);
+      expect(Lazy(map).pick([key]).values().toArray()).toEqual(["foo"]);
+      expect(Lazy.fromMap(map).assign(new Map([[key, "baz"]])).toArray()).toEqual([[key, "baz"], ["bar", 2]]);
+    });
+
+    it("treats a Set as an ordinary sequence", function() {
+      if (typeof Set !== "function") {
+        return;
+      }
+
+      var set = new Set([1, 2, 3]),
+          sequence = Lazy(set);
+
+      expect(sequence instanceof Lazy.ObjectLikeSequence).toBe(false);
+      expect(sequence.map(function(x) { return x * 2; }).toArray()).toEqual([2, 4, 6]);
+      expect(sequence.contains(2)).toBe(true);
+      expect(sequence.contains(4)).toBe(false);
+      expect(sequence.uniq()).toBe(sequence);
+    });
+
+    it("compares elements the same way for a Set as for an array in contains", function() {
+      if (typeof Set !== "function") {
+        return;
+      }
+
+      expect(Lazy(new Set([NaN])).contains(NaN)).toEqual(Lazy([NaN]).contains(NaN));
+      expect(Lazy(new Set([-0])).contains(0)).toEqual(Lazy([-0]).contains(0));
+    });
+
+    it("reads any iterable through its iterator using fromIterable", function() {
+      if (typeof Map !== "function") {
+        return;
+      }
+
+      expect(Lazy.fromIterable(new Map([["a", 1]])).toArray()).toEqual([["a", 1]]);
+    });
+  });
+
   describe("generate", function() {
     it("allows generation of arbitrary sequences", function() {
       var sequence = Lazy.generate(function(i) { return i; })
@@ -127,6 +257,228 @@ describe("Lazy", function() {
     });
   });
 
+  describe("iterate", function() {
+    function double(x) { return x * 2; }
+
+    it("produces each element by calling a function on the one before it", function() {
+      expect(Lazy.iterate(1, double).take(5).toArray()).toEqual([1, 2, 4, 8, 16]);
+    });
+
+    it("starts over from the seed every time it's iterated", function() {
+      var fibonacci = Lazy.iterate([0, 1], function(pair) { return [pair[1], pair[0] + pair[1]]; })
+        .map(function(pair) { return pair[0]; });
+
+      expect(fibonacci.take(8).toArray()).toEqual([0, 1, 1, 2, 3, 5, 8, 13]);
+      expect(fibonacci.take(8).toArray()).toEqual([0, 1, 1, 2, 3, 5, 8, 13]);
+    });
+
+    it("only calls the function for elements that are needed", function() {
+      var calls = 0;
+      Lazy.iterate(1, function(x) { ++calls; return x + 1; }).take(3).toArray();
+      Lazy.iterate(1, function(x) { ++calls; return x + 1; }).getIterator().moveNext();
+      expect(calls).toEqual(2);
+    });
+
+    it("has an undefined length", function() {
+      expect(Lazy.iterate(1, double).length()).toBeUndefined();
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy.iterate(1, double).take(3)).toPassToEach(1, [0, 1, 2]);
+    });
+  });
+
+  describe("unfold", function() {
+    function collatz(n) {
+      return n > 1 && [n, n % 2 === 0 ? n / 2 : 3 * n + 1];
+    }
+
+    it("produces elements from a seed until the function returns nothing", function() {
+      expect(Lazy.unfold(6, collatz).toArray()).toEqual([6, 3, 10, 5, 16, 8, 4, 2]);
+      expect(Lazy.unfold(0, function(i) { return i < 3 ? [i * 10, i + 1] : null; }).toArray()).toEqual([0, 10, 20]);
+    });
+
+    it("starts over from the seed every time it's iterated", function() {
+      var sequence = Lazy.unfold(6, collatz);
+      expect(sequence.take(3).toArray()).toEqual([6, 3, 10]);
+      expect(sequence.toArray()).toEqual([6, 3, 10, 5, 16, 8, 4, 2]);
+    });
+
+    it("passes the function an index", function() {
+      expect(Lazy.unfold("a", function(s, i) { return i < 3 && [s + i, s]; }).toArray()).toEqual(["a0", "a1", "a2"]);
+    });
+
+    it("has an undefined length, even once it has been iterated to the end", function() {
+      var sequence = Lazy.unfold(6, collatz);
+      expect(sequence.length()).toBeUndefined();
+      expect(sequence.toArray().length).toEqual(8);
+      expect(sequence.length()).toBeUndefined();
+    });
+
+    it("can go on forever", function() {
+      var naturals = Lazy.unfold(1, function(n) { return [n, n + 1]; });
+      expect(naturals.filter(function(n) { return n % 5 === 0; }).take(2).toArray()).toEqual([5, 10]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy.unfold(6, collatz).take(3)).toPassToEach(1, [0, 1, 2]);
+    });
+  });
+
+  describe("tree", function() {
+    var root = { id: 1, children: [{ id: 2, children: [{ id: 3 }] }, { id: 4 }] };
+
+    function ids(visits) {
+      return visits.map(function(visit) { return visit.node.id; }).toArray();
+    }
+
+    ensureLaziness(function() { Lazy.tree(root, "children").depthFirst().breadthFirst; });
+
+    it("by itself, produces every node in depth-first order", function() {
+      expect(Lazy.tree(root, "children").pluck("id").toArray()).toEqual([1, 2, 3, 4]);
+    });
+
+    it("traverses the tree depth-first, breadth-first or in post-order", function() {
+      var tree = Lazy.tree(root, "children");
+      expect(ids(tree.depthFirst())).toEqual([1, 2, 3, 4]);
+      expect(ids(tree.breadthFirst())).toEqual([1, 2, 4, 3]);
+      expect(ids(tree.postOrder())).toEqual([3, 2, 4, 1]);
+    });
+
+    it("provides the depth of each node and the path to it from the root", function() {
+      var visit = Lazy.tree(root, "children").breadthFirst().last();
+      expect(visit.node.id).toEqual(3);
+      expect(visit.depth).toEqual(2);
+      expect(Lazy(visit.path()).pluck("id").toArray()).toEqual([1, 2, 3]);
+    });
+
+    it("accepts a function to get the children of each node", function() {
+      var tree = Lazy.tree(1, function(n) { return n < 4 ? [2 * n, 2 * n + 1] : null; });
+      expect(tree.toArray()).toEqual([1, 2, 4, 5, 3, 6, 7]);
+      expect(tree.breadthFirst().pluck("node").toArray()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it("only gets the children of as many nodes as it has to", function() {
+      var calls = 0,
+          tree = Lazy.tree(1, function(n) { ++calls; return [2 * n, 2 * n + 1]; });
+
+      expect(tree.breadthFirst().pluck("node").find(function(n) { return n === 5; })).toEqual(5);
+      expect(calls).toEqual(4);
+
+      calls = 0;
+      expect(tree.depthFirst().find(function(visit) { return visit.depth === 3; }).path()).toEqual([1, 2, 4, 8]);
+      expect(calls).toEqual(3);
+    });
+
+    it("links each visit to its parent's, building its path only when asked", function() {
+      var chain = Lazy.tree(0, function(n) { return n < 20000 ? [n + 1] : null; }),
+          visit = chain.depthFirst().last();
+
+      expect(visit.depth).toEqual(20000);
+      expect(visit.parent.node).toEqual(19999);
+      expect(visit.parent.parent.depth).toEqual(19998);
+      expect(visit.path().length).toEqual(20001);
+      expect(visit.path()[20000]).toEqual(20000);
+    });
+
+    it("passes an index along with each node", function() {
+      expect(Lazy.tree(root, "children")).toPassToEach(1, [0, 1, 2, 3]);
+      expect(Lazy.tree(root, "children").postOrder()).toPassToEach(1, [0, 1, 2, 3]);
+    });
+  });
+
+  describe("graph", function() {
+    var edges = { a: ["b", "c"], b: ["a", "d"] };
+
+    function nodes(visits) {
+      return visits.pluck("node").toArray();
+    }
+
+    function graphOf(edges, nodes) {
+      return Lazy.graph(nodes || ["a"], function(node) { return edges[node]; });
+    }
+
+    ensureLaziness(function() { graphOf(edges).breadthFirst().topologicalSort; });
+
+    it("visits every reachable node only once, even if there are cycles", function() {
+      var graph = graphOf(edges);
+      expect(graph.toArray()).toEqual(["a", "b", "d", "c"]);
+      expect(nodes(graph.depthFirst())).toEqual(["a", "b", "d", "c"]);
+      expect(nodes(graph.breadthFirst())).toEqual(["a", "b", "c", "d"]);
+      expect(nodes(graph.postOrder())).toEqual(["d", "b", "c", "a"]);
+    });
+
+    it("starts from each of its nodes in turn, skipping ones already visited", function() {
+      expect(graphOf({ a: ["b"], c: ["b", "d"] }, ["a", "b", "c"]).toArray()).toEqual(["a", "b", "c", "d"]);
+    });
+
+    it("can start a traversal from a given node", function() {
+      expect(nodes(graphOf(edges).breadthFirst("b"))).toEqual(["b", "a", "d", "c"]);
+    });
+
+    it("provides the depth of each node and the path to it", function() {
+      var visit = graphOf(edges).breadthFirst().last();
+      expect(visit.node).toEqual("d");
+      expect(visit.depth).toEqual(2);
+      expect(visit.path()).toEqual(["a", "b", "d"]);
+      expect(visit.parent.node).toEqual("b");
+    });
+
+    it("stops the traversal early when it can", function() {
+      var visited = [],
+          graph = Lazy.graph([1], function(n) { visited.push(n); return [n + 1, n * 2]; });
+
+      expect(graph.breadthFirst().find(function(visit) { return visit.node === 5; }).path()).toEqual([1, 2, 4, 5]);
+      expect(visited).toEqual([1, 2, 3, 4, 6]);
+    });
+
+    it("passes an index along with each node", function() {
+      expect(graphOf(edges)).toPassToEach(1, [0, 1, 2, 3]);
+    });
+
+    describe("topologicalSort", function() {
+      it("orders the nodes so that every node comes before the ones it has edges to", function() {
+        var graph = graphOf({ socks: ["shoes"], pants: ["shoes", "belt"], shirt: ["belt", "tie"], tie: ["jacket"] },
+          ["shoes", "socks", "pants", "belt", "shirt", "tie", "jacket"]);
+        expect(graph.topologicalSort().toArray()).toEqual(["socks", "pants", "shirt", "shoes", "belt", "tie", "jacket"]);
+      });
+
+      it("includes nodes that are only reachable from the ones given", function() {
+        expect(graphOf({ a: ["c"], b: ["c"], c: ["d"] }, ["a", "b"]).topologicalSort().toArray()).toEqual(["a", "b", "c", "d"]);
+      });
+
+      it("throws if the graph has a cycle, saying where it is", function() {
+        expect(function() { graphOf(edges).topologicalSort().toArray(); })
+          .toThrow("The graph has a cycle (a -> b -> a), so it can't be sorted topologically.");
+      });
+    });
+
+    describe("findCycle", function() {
+      it("returns the nodes of a cycle, starting and ending with the same one", function() {
+        expect(Lazy.graph([1], function(x) { return [x % 3 + 1]; }).findCycle()).toEqual([1, 2, 3, 1]);
+        expect(graphOf({ a: ["b"], b: ["c", "d"], d: ["b"] }).findCycle()).toEqual(["b", "d", "b"]);
+      });
+
+      it("returns undefined if there are no cycles", function() {
+        expect(graphOf({ a: ["b", "c"], b: ["c"] }).findCycle()).toBeUndefined();
+      });
+    });
+
+    describe("shortestPath", function() {
+      var graph = graphOf({ a: ["b", "c"], b: ["d"], c: ["e"], e: ["d"] });
+
+      it("returns the path with the fewest edges from one node to another", function() {
+        expect(graph.shortestPath("a", "d")).toEqual(["a", "b", "d"]);
+        expect(graph.shortestPath("c", "d")).toEqual(["c", "e", "d"]);
+        expect(graph.shortestPath("a", "a")).toEqual(["a"]);
+      });
+
+      it("returns undefined if there's no path", function() {
+        expect(graph.shortestPath("d", "a")).toBeUndefined();
+      });
+    });
+  });
+
   describe("range", function() {
     it("returns a sequence from 0 to stop (exclusive), incremented by 1", function() {
       expect(Lazy.range(5).toArray()).toEqual([0, 1, 2, 3, 4]);
@@ -141,6 +493,31 @@ describe("Lazy", function() {
     });
   });
 
+  describe("product", function() {
+    ensureLaziness(function() { Lazy.product(Lazy(people), Lazy(people)); });
+
+    it("pairs up every element of each sequence with every element of the others", function() {
+      expect(Lazy.product([1, 2], Lazy("ab"), [true]).toArray()).toEqual([
+        [1, "a", true], [1, "b", true], [2, "a", true], [2, "b", true]
+      ]);
+    });
+
+    it("is empty if any of the sequences is", function() {
+      expect(Lazy.product([1, 2], []).toArray()).toEqual([]);
+    });
+
+    it("computes its length and accesses elements without enumerating the others", function() {
+      var product = Lazy.product(Lazy.range(1000), Lazy.range(1000), Lazy.range(1000));
+      expect(product.length()).toEqual(1000000000);
+      expect(product.get(123456789)).toEqual([123, 456, 789]);
+      expect(product.drop(999999998).toArray()).toEqual([[999, 999, 998], [999, 999, 999]]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy.product([1, 2], [3, 4])).toPassToEach(1, [0, 1, 2, 3]);
+    });
+  });
+
   describe("async", function() {
     createAsyncTest("creates a sequence that can be iterated over asynchronously", {
       getSequence: function() { return Lazy(people).async().map(Person.getName); },
@@ -151,6 +528,145 @@ describe("Lazy", function() {
       expect(function() { Lazy(people).async().async(); }).toThrow();
     });
 
+    describe("methods that return values", function() {
+      var numbers = [5, 3, 8, 1];
+
+      function asyncNumbers() {
+        return Lazy(numbers).async();
+      }
+
+      createAsyncResultTest("toArray resolves with every element", {
+        getResult: function() { return Lazy(people).async().map(Person.getName).toArray(); },
+        expected: ["David", "Mary", "Lauren", "Adam", "Daniel", "Happy"]
+      });
+
+      createAsyncResultTest("toObject resolves with an object built from pairs", {
+        getResult: function() { return Lazy([["foo", 1], ["bar", 2]]).async().toObject(); },
+        expected: { foo: 1, bar: 2 }
+      });
+
+      createAsyncResultTest("reduce resolves with the aggregated result", {
+        getResult: function() { return asyncNumbers().reduce(function(x, y) { return x + y; }, 0); },
+        expected: 17
+      });
+
+      createAsyncResultTest("reduce starts with the head if no memo is given", {
+        getResult: function() { return asyncNumbers().reduce(function(x, y) { return x + "," + y; }); },
+        expected: "5,3,8,1"
+      });
+
+      createAsyncResultTest("reduceRight resolves with the aggregated result from the tail", {
+        getResult: function() { return asyncNumbers().reduceRight(function(x, y) { return x + "," + y; }); },
+        expected: "1,8,3,5"
+      });
+
+      createAsyncResultTest("find resolves with the first matching element", {
+        getResult: function() { return asyncNumbers().find(function(x) { return x > 5; }); },
+        expected: 8
+      });
+
+      createAsyncResultTest("every resolves with whether every element matches", {
+        getResult: function() { return asyncNumbers().every(function(x) { return x > 0; }); },
+        expected: true
+      });
+
+      createAsyncResultTest("some resolves with whether any element matches", {
+        getResult: function() { return asyncNumbers().some(function(x) { return x > 10; }); },
+        expected: false
+      });
+
+      createAsyncResultTest("min resolves with the minimum value", {
+        getResult: function() { return asyncNumbers().min(); },
+        expected: 1
+      });
+
+      createAsyncResultTest("max resolves with the maximum value", {
+        getResult: function() { return asyncNumbers().max(); },
+        expected: 8
+      });
+
+      createAsyncResultTest("sum resolves with the sum", {
+        getResult: function() { return asyncNumbers().sum(); },
+        expected: 17
+      });
+
+      createAsyncResultTest("join resolves with the delimited string", {
+        getResult: function() { return asyncNumbers().join("-"); },
+        expected: "5-3-8-1"
+      });
+
+      createAsyncResultTest("indexOf resolves with the index of the value", {
+        getResult: function() { return asyncNumbers().indexOf(8); },
+        expected: 2
+      });
+
+      createAsyncResultTest("contains resolves with whether the value was found", {
+        getResult: function() { return asyncNumbers().contains(4); },
+        expected: false
+      });
+
+      createAsyncResultTest("isEmpty resolves with whether there are any elements", {
+        getResult: function() { return Lazy([]).async().isEmpty(); },
+        expected: true
+      });
+
+      createAsyncResultTest("work across chained sequences", {
+        getResult: function() {
+          return Lazy(people).async().filter(Person.isMale).map(Person.getAge).take(2).sum();
+        },
+        expected: 93
+      });
+
+      it("pass the result to a node-style callback, if one is given", function() {
+        var result;
+
+        runs(function() {
+          asyncNumbers().toArray(function(err, array) {
+            result = array;
+          });
+        });
+
+        waitsFor(function() {
+          return !!result;
+        });
+
+        runs(function() {
+          expect(result).toEqual(numbers);
+        });
+      });
+
+      it("reject the handle (and pass the error to the callback) if iteration fails", function() {
+        var rejected, callbackError;
+
+        runs(function() {
+          var failing = asyncNumbers().map(function(x) {
+            if (x === 8) {
+              throw "no eights!";
+            }
+            return x;
+          });
+
+          failing.toArray(function(err) { callbackError = err; });
+          failing.toArray().then(null, function(err) { rejected = err; });
+        });
+
+        waitsFor(function() {
+          return !!rejected && !!callbackError;
+        });
+
+        runs(function() {
+          expect(rejected).toEqual("no eights!");
+          expect(callbackError).toEqual("no eights!");
+        });
+      });
+
+      it("return values directly from synchronous sequences", function() {
+        var passed;
+        expect(Lazy(numbers).sum(null, function(err, sum) { passed = sum; })).toEqual(17);
+        expect(passed).toEqual(17);
+      });
+    });
+
     describe("when interval is undefined", function() {
       if (typeof global !== "undefined" && typeof global.setImmediate === "function") {
         it("in Node.js, uses setImmediate if available", function() {
@@ -215,6 +731,326 @@ describe("Lazy", function() {
     });
   });
 
+  describe("getIterator", function() {
+    function iterate(sequence, limit) {
+      var iterator = sequence.getIterator(),
+          values = [];
+
+      while ((typeof limit !== "number" || values.length < limit) && iterator.moveNext()) {
+        values.push(iterator.current());
+      }
+
+      return values;
+    }
+
+    function countingGenerator() {
+      var generator = function(i) {
+        ++generator.calls;
+        return i;
+      };
+      generator.calls = 0;
+      return Lazy.generate(generator);
+    }
+
+    var isEven = function(x) { return x % 2 === 0; };
+
+    it("produces the same elements as each, for every kind of sequence", function() {
+      var sequences = [
+        Lazy([1, 2, 3]).map(function(x, i) { return x * i; }),
+        Lazy([1, 2, 3, 4]).filter(isEven),
+        Lazy([1, 2, 3]).reverse(),
+        Lazy([1, 2]).concat([3, [4]], 5),
+        Lazy(people).take(2),
+        Lazy(people).drop(4),
+        Lazy(people).sortBy(Person.getAge),
+        Lazy(people).countBy(Person.getGender),
+        Lazy([1, 2, 1, 3, 2]).uniq(),
+        Lazy([1, [2, [3, Lazy([4])]]]).flatten(),
+        Lazy([1, [2, [3, Lazy({ a: [4] })]]]).flatten(4),
+        Lazy([1, 2]).flatMap(function(x) { return Lazy.repeat(x, x); }),
+        Lazy([1, 2, 3, 4]).without(2, 4),
+        Lazy([1, 2, 3, 4]).intersection([4, 2, 6]),
+        Lazy([1, 2, 3]).zip([4, 5]),
+        Lazy([1, 2, 3]).zip([4, 5], [6]),
+        Lazy({ a: 1, b: 2 }).map(function(v, k) { return k + v; }),
+        Lazy({ a: 1, b: 2 }).filter(function(v, k) { return k === "b"; }),
+        Lazy({ a: 1, b: 2 }).assign({ c: 3 }).map(function(v, k) { return k + v; }),
+        Lazy([1, 2, 3]).innerJoin([{ id: 2 }, { id: 3 }, { id: 2 }], null, "id"),
+        Lazy([1, 2, 4]).fullOuterJoin([2, 3], null, null),
+        Lazy([1, 2]).groupJoin([2, 2], null, null),
+        Lazy([1, 2, 3]).map(function(x) { return x * 2; }).filter(isEven).drop(1),
+        Lazy([1, 2, 3, 4, 5]).filter(isEven).concat([7, 9]).chunk(2),
+        Lazy([2, 4, 5, 6]).takeWhile(isEven),
+        Lazy([1, 2, 3]).combinations(2).drop(1),
+        Lazy([1, 2, 3]).permutations(2),
+        Lazy.iterate(1, function(x) { return x * 3; }).take(4),
+        Lazy.unfold(6, function(n) { return n > 1 && [n, n % 2 === 0 ? n / 2 : 3 * n + 1]; }),
+        Lazy.product([1, 2], Lazy("ab")),
+        Lazy([1, 2, 3]).filter(isEven).concat([4, 5]).scan(function(x, y) { return x + y; }),
+        Lazy([1, 2, 3]).scanRight(function(x, y) { return x + y; }, 0),
+        Lazy([1, 2, 3]).filter(isEven).concat([4, 5]).scanRight(function(x, y) { return x * y; }),
+        Lazy([2, 4, 5, 6]).takeUntil(isEven),
+        Lazy([2, 4, 5, 6]).dropWhile(isEven),
+        Lazy([1, 3, 4, 5]).dropUntil(isEven),
+        Lazy([1, 2, 3, 4]).initial(isEven),
+        Lazy([1, 2, 3, 4]).last(isEven),
+        Lazy([1, 2, 3, 4, 5]).concat([6]).windowed(3, 2),
+        Lazy([1, 2, 3, 4, 5]).concat([6]).windowed(2, 3),
+        Lazy([1, 2, 4]).concat([5]).pairwise(),
+        Lazy([1, 2, 4, 5, 7]).concat([8]).splitWhen(function(x, y) { return y !== x + 1; }),
+        Lazy([1, 3, 2, 4, 5]).concat([7]).partitionBy(isEven),
+        Lazy("a,b,c").split(","),
+        Lazy('1\n"two"').ndjson(),
+        Lazy("a,b\n1,2").csv(),
+        chunks(["foo\nb", "ar\r\n", "baz"]).lines(),
+        Lazy.parse(chunks(['{"a": [1, ', '2]}']), "$.a[*]")
+      ];
+
+      Lazy(sequences).each(function(sequence) {
+        expect(iterate(sequence)).toEqual(sequence.toArray());
+      });
+    });
+
+    it("produces the values of an object-like sequence, like each", function() {
+      expect(iterate(Lazy({ a: 1, b: 2 }))).toEqual([1, 2]);
+      expect(iterate(Lazy(people).groupBy(Person.getGender))).toEqual([[david, adam, daniel], [mary, lauren, happy]]);
+    });
+
+    it("only pulls as many elements from the underlying sequence as it needs", function() {
+      var source = countingGenerator();
+
+      var values = iterate(source.map(function(x) { return x * 3; }).filter(isEven).take(3));
+      expect(values).toEqual([0, 6, 12]);
+      expect(source.get.calls).toEqual(5);
+    });
+
+    it("reads the values of an object, and the elements being joined, one at a time", function() {
+      var values = [],
+          object = { a: 1, b: 2, c: 3 },
+          iterator;
+
+      iterator = Lazy(object).map(function(v, k) { values.push(v); return k; }).getIterator();
+      iterator.moveNext();
+      expect(iterator.current()).toEqual("a");
+      expect(values).toEqual([1]);
+
+      iterator = Lazy(object).filter(function(v, k) { values.push(k); return v > 1; }).getIterator();
+      iterator.moveNext();
+      expect(iterator.current()).toEqual(2);
+      expect(values).toEqual([1, "a", "b"]);
+
+      expect(iterate(countingGenerator().innerJoin([{ id: 1 }, { id: 1 }], null, "id"), 2)).toEqual([[1, { id: 1 }], [1, { id: 1 }]]);
+    });
+
+    it("works with infinite sequences", function() {
+      expect(iterate(countingGenerator().drop(5).uniq(), 3)).toEqual([5, 6, 7]);
+      expect(iterate(countingGenerator().windowed(2, 3), 2)).toEqual([[0, 1], [3, 4]]);
+      expect(iterate(countingGenerator().dropUntil(function(x) { return x > 2; }), 2)).toEqual([3, 4]);
+      expect(iterate(countingGenerator().takeWhile(function(x) { return x < 2; }))).toEqual([0, 1]);
+      expect(iterate(countingGenerator().scan(function(x, y) { return x + y; }), 4)).toEqual([0, 1, 3, 6]);
+      expect(iterate(countingGenerator().partitionBy(function(x) { return Math.floor(x / 2); }), 2)).toEqual([[0, 1], [2, 3]]);
+      expect(iterate(countingGenerator().concat([1]).zip([1]), 2)).toEqual([[0, 1], [1, undefined]]);
+    });
+
+    it("doesn't read any more chunks of a stream-like sequence than it needs", function() {
+      var stream = chunks(["a\nb", "\nc\n", "d\n"]);
+      expect(iterate(stream.lines(), 2)).toEqual(["a", "b"]);
+      expect(stream.chunksRead).toEqual(2);
+    });
+
+    it("can't be used with asynchronous sequences", function() {
+      expect(function() { Lazy([1, 2]).async().getIterator(); }).toThrow();
+      expect(function() { Lazy([1, 2]).async().map(isEven).getIterator(); }).toThrow();
+    });
+
+    if (typeof Symbol === "function" && typeof Symbol.iterator !== "undefined") {
+      describe("ES2015 iterators", function() {
+        it("are provided by every sequence", function() {
+          var iterator = Lazy([1, 2]).map(function(x) { return x * 10; })[Symbol.iterator]();
+
+          expect(iterator.next()).toEqual({ value: 10, done: false });
+          expect(iterator.next()).toEqual({ value: 20, done: false });
+          expect(iterator.next()).toEqual({ value: undefined, done: true });
+          expect(iterator.next()).toEqual({ value: undefined, done: true });
+        });
+
+        if (typeof Array.from === "function") {
+          it("work with Array.from", function() {
+            expect(Array.from(Lazy([1, 2, 3]).filter(isEven))).toEqual([2]);
+            expect(Array.from(Lazy.generate(function(i) { return i; }).take(3))).toEqual([0, 1, 2]);
+          });
+        }
+
+        it("can be wrapped with Lazy", function() {
+          var iterable = {};
+          iterable[Symbol.iterator] = function() {
+            var i = 0;
+            return {
+              next: function() {
+                return i < 3 ? { value: i++, done: false } : { value: undefined, done: true };
+              }
+            };
+          };
+
+          expect(Lazy(iterable).map(function(x) { return x * 2; }).toArray()).toEqual([0, 2, 4]);
+          expect(iterate(Lazy(iterable))).toEqual([0, 1, 2]);
+        });
+
+        it("are closed when iteration is ended early", function() {
+          var closed = false,
+              iterable = {};
+
+          iterable[Symbol.iterator] = function() {
+            return {
+              next: function() { return { value: 1, done: false }; },
+              "return": function() { closed = true; return { done: true }; }
+            };
+          };
+
+          expect(Lazy(iterable).take(2).toArray()).toEqual([1, 1]);
+          expect(closed).toBe(true);
+        });
+
+        if (typeof Map === "function" && typeof Set === "function") {
+          it("work with Maps and Sets", function() {
+            var map = new Map();
+            map.set("a", 1);
+            map.set("b", 2);
+
+            expect(Lazy(map).toArray()).toEqual([["a", 1], ["b", 2]]);
+            expect(Lazy(new Set([1, 2, 2, 3])).map(function(x) { return x * 2; }).toArray()).toEqual([2, 4, 6]);
+          });
+        }
+      });
+    }
+  });
+
+  describe("compile", function() {
+    var array = Lazy.range(1, 21).toArray();
+
+    // Iterates over a chain, compiled or not, recording every call to the
+    // functions in the chain as well as to the function passed to each.
+    function trace(buildChain, compile, limit) {
+      var calls = [],
+          count = 0;
+
+      function record(name, fn) {
+        return function(x, i) {
+          calls.push([name, x, i]);
+          return fn(x, i);
+        };
+      }
+
+      var sequence = buildChain(
+        record("map", function(x, i) { return x * 10 + (i || 0); }),
+        record("filter", function(x, i) { return (x + (i || 0)) % 3 !== 0; })
+      );
+
+      if (compile) {
+        sequence = sequence.compile();
+      }
+
+      sequence.each(function(e, i) {
+        calls.push(["each", e, i]);
+        if (++count === limit) {
+          return false;
+        }
+      });
+
+      return calls;
+    }
+
+    var chains = {
+      "map -> filter -> take": function(map, filter) {
+        return Lazy(array).map(map).filter(filter).take(3);
+      },
+      "filter -> map -> drop -> take": function(map, filter) {
+        return Lazy(array).filter(filter).map(map).drop(2).take(3);
+      },
+      "map -> drop -> take -> map": function(map, filter) {
+        return Lazy(array).map(map).drop(2).take(4).map(map);
+      },
+      "drop -> map -> take -> filter -> drop": function(map, filter) {
+        return Lazy(array).drop(3).map(map).take(8).filter(filter).drop(1);
+      },
+      "take -> filter -> take -> map": function(map, filter) {
+        return Lazy(array).take(15).filter(filter).take(5).map(map);
+      },
+      "generate -> map -> filter -> take": function(map, filter) {
+        return Lazy.generate(function(i) { return i; }).map(map).filter(filter).take(4);
+      }
+    };
+
+    Lazy(chains).each(function(buildChain, description) {
+      it("calls the same functions with the same arguments for " + description, function() {
+        expect(trace(buildChain, true)).toEqual(trace(buildChain, false));
+      });
+
+      it("stops at the same point for " + description, function() {
+        expect(trace(buildChain, true, 2)).toEqual(trace(buildChain, false, 2));
+      });
+    });
+
+    it("produces the same elements as the original sequence", function() {
+      var sequence = Lazy(array)
+        .filter(function(x) { return x % 2 === 0; })
+        .map(function(x) { return x * x; })
+        .drop(1)
+        .take(3);
+
+      expect(sequence.compile().toArray()).toEqual([16, 36, 64]);
+      expect(sequence.compile().toArray()).toEqual(sequence.toArray());
+    });
+
+    it("calls the function passed to each directly, rather than through the chain", function() {
+      function stackDepth(sequence) {
+        var limit = Error.stackTraceLimit,
+            depth;
+
+        // V8 only records 10 frames by default.
+        Error.stackTraceLimit = Infinity;
+        sequence.each(function() {
+          depth = new Error().stack.split("\n").length;
+          return false;
+        });
+        Error.stackTraceLimit = limit;
+
+        return depth;
+      }
+
+      if (typeof new Error().stack !== "string") {
+        return;
+      }
+
+      var chain = Lazy(array)
+        .map(function(x) { return x + 1; })
+        .filter(function(x) { return x > 0; })
+        .map(function(x) { return x * 2; })
+        .filter(function(x) { return x > 0; })
+        .map(function(x) { return x - 1; });
+
+      var generated = Lazy.generate(function(i) { return i; })
+        .map(function(x) { return x + 1; })
+        .filter(function(x) { return x > 0; })
+        .map(function(x) { return x * 2; });
+
+      // Uncompiled, every map and filter adds a frame.
+      expect(stackDepth(chain.compile())).toBeLessThan(stackDepth(chain) - 3);
+      expect(stackDepth(generated.compile())).toBeLessThan(stackDepth(generated) - 1);
+    });
+
+    it("can still be iterated over with an iterator", function() {
+      var iterator = Lazy(array).map(function(x) { return x + 1; }).take(2).compile().getIterator(),
+          result = [];
+
+      while (iterator.moveNext()) {
+        result.push(iterator.current());
+      }
+
+      expect(result).toEqual([2, 3]);
+    });
+  });
+
   describe("split", function() {
     var values = Lazy.range(10).join(", ");
 
@@ -248,19 +1084,173 @@ describe("Lazy", function() {
       expect(result).toEqual(["f", "o", "o"]);
     });
 
-    createAsyncTest("split(string) supports asynchronous iteration", {
-      getSequence: function() { return Lazy(values).split(", ").async(); },
-      expected: values.split(", ")
+    createAsyncTest("split(string) supports asynchronous iteration", {
+      getSequence: function() { return Lazy(values).split(", ").async(); },
+      expected: values.split(", ")
+    });
+
+    createAsyncTest("split(regexp) supports asynchronous iteration", {
+      getSequence: function() { return Lazy(values).split(/,\s*/).async(); },
+      expected: values.split(/,\s*/)
+    });
+
+    createAsyncTest("split('') supports asynchronous iteration", {
+      getSequence: function() { return Lazy(values).split("").async(); },
+      expected: values.split("")
+    });
+  });
+
+  describe("lines", function() {
+    it("splits each chunk of a stream-like sequence into lines", function() {
+      var lines = chunks(["foo\nbar\n", "baz\n"]).lines().toArray();
+      expect(lines).toEqual(["foo", "bar", "baz"]);
+    });
+
+    it("joins lines that are split across chunks", function() {
+      var lines = chunks(["The quick br", "own fox\njumped ov", "er", " the lazy dog."])
+        .lines()
+        .toArray();
+      expect(lines).toEqual(["The quick brown fox", "jumped over the lazy dog."]);
+    });
+
+    it("handles \\r\\n line breaks, even when split across chunks", function() {
+      var lines = chunks(["foo\r\nbar\r", "\nbaz\r\n"]).lines().toArray();
+      expect(lines).toEqual(["foo", "bar", "baz"]);
+    });
+
+    it("includes blank lines", function() {
+      var lines = chunks(["foo\n\n", "\nbar"]).lines().toArray();
+      expect(lines).toEqual(["foo", "", "", "bar"]);
+    });
+
+    it("passes the running line index along with each line", function() {
+      expect(chunks(["a\nb", "\nc\nd"]).lines()).toPassToEach(1, [0, 1, 2, 3]);
+    });
+
+    it("stops reading chunks once iteration is ended early", function() {
+      var stream = chunks(["foo\nba", "r\nbaz\n", "blah\n"]);
+      var lines = stream.lines().take(2).toArray();
+
+      expect(lines).toEqual(["foo", "bar"]);
+      expect(stream.chunksRead).toEqual(2);
+    });
+  });
+
+  describe("ndjson", function() {
+    it("parses each line of a string as JSON", function() {
+      var values = Lazy('{ "a": 1 }\n[2, 3]\n"four"\n').ndjson().toArray();
+      expect(values).toEqual([{ a: 1 }, [2, 3], "four"]);
+    });
+
+    it("parses lines split across chunks", function() {
+      var values = chunks(['{"na', 'me": "foo"}\r', '\n{"name": "bar"}']).ndjson().toArray();
+      expect(values).toEqual([{ name: "foo" }, { name: "bar" }]);
+    });
+
+    it("skips blank lines", function() {
+      expect(Lazy("1\n\n  \n2").ndjson().toArray()).toEqual([1, 2]);
+    });
+
+    it("passes a running index that doesn't count blank lines", function() {
+      expect(Lazy("1\n\n2\n3").ndjson()).toPassToEach(1, [0, 1, 2]);
+    });
+
+    it("raises a JsonParseError giving the line of an invalid value", function() {
+      var error;
+
+      try {
+        Lazy("1\n2\n[3,]").ndjson().toArray();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error instanceof Lazy.JsonParseError).toBe(true);
+      expect(error.line).toEqual(3);
+      expect(error.column).toEqual(4);
+    });
+
+    it("stops reading chunks once iteration is ended early", function() {
+      var stream = chunks(["1\n2", "\n3\n", "oops\n"]);
+      expect(stream.ndjson().take(2).toArray()).toEqual([1, 2]);
+      expect(stream.chunksRead).toEqual(2);
+    });
+  });
+
+  describe("csv", function() {
+    it("maps each row to an object using the header row", function() {
+      var records = Lazy("name,age\nDan,32\nJane,28\n").csv().toArray();
+      expect(records).toEqual([{ name: "Dan", age: "32" }, { name: "Jane", age: "28" }]);
+    });
+
+    it("produces arrays when there is no header row", function() {
+      expect(Lazy("a,b\nc,d").csv({ header: false }).toArray()).toEqual([["a", "b"], ["c", "d"]]);
+    });
+
+    it("uses the given field names if a header is provided", function() {
+      expect(Lazy("a,b").csv({ header: ["x", "y"] }).toArray()).toEqual([{ x: "a", y: "b" }]);
+    });
+
+    it("handles quoted fields containing delimiters, quotes and line breaks", function() {
+      var csv = 'id,text\n1,"Hello, ""world"""\n2,"line one\nline two"\n3,""';
+      expect(Lazy(csv).csv().toArray()).toEqual([
+        { id: "1", text: 'Hello, "world"' },
+        { id: "2", text: "line one\nline two" },
+        { id: "3", text: "" }
+      ]);
+    });
+
+    it("handles \\r\\n line breaks and skips blank lines", function() {
+      var csv = "a,b\r\n1,2\r\n\r\n3,4\r\n";
+      expect(Lazy(csv).csv().toArray()).toEqual([{ a: "1", b: "2" }, { a: "3", b: "4" }]);
+    });
+
+    it("supports custom delimiters and quotes", function() {
+      expect(Lazy("a\tb\n1\t'x\ty'").csv({ delimiter: "\t", quote: "'" }).toArray())
+        .toEqual([{ a: "1", b: "x\ty" }]);
+      expect(Lazy("a::b\n1::2").csv({ delimiter: "::" }).toArray()).toEqual([{ a: "1", b: "2" }]);
+    });
+
+    it("coerces values with a function", function() {
+      var records = Lazy("a,b\n1,2").csv({
+        coerce: function(value, field) { return field === "a" ? Number(value) : value; }
+      });
+      expect(records.toArray()).toEqual([{ a: 1, b: "2" }]);
+      expect(Lazy("1,2").csv({ header: false, coerce: Number }).toArray()).toEqual([[1, 2]]);
+    });
+
+    it("coerces values with a function per field", function() {
+      var records = Lazy("name,age,member\nDan,32,yes").csv({
+        coerce: {
+          age: Number,
+          member: function(value) { return value === "yes"; }
+        }
+      });
+      expect(records.toArray()).toEqual([{ name: "Dan", age: 32, member: true }]);
+    });
+
+    it("parses records split across chunks at arbitrary points", function() {
+      var csv = 'name::note\nfoo::"a ""quoted""\r\nnote"\r\nbar::plain\r\n',
+          pieces = [],
+          i;
+
+      for (i = 0; i < csv.length; i += 2) {
+        pieces.push(csv.substring(i, i + 2));
+      }
+
+      expect(chunks(pieces).csv({ delimiter: "::" }).toArray()).toEqual([
+        { name: "foo", note: 'a "quoted"\r\nnote' },
+        { name: "bar", note: "plain" }
+      ]);
     });
 
-    createAsyncTest("split(regexp) supports asynchronous iteration", {
-      getSequence: function() { return Lazy(values).split(/,\s*/).async(); },
-      expected: values.split(/,\s*/)
+    it("raises an error for an unterminated quoted field", function() {
+      expect(function() { Lazy('a,b\n1,"2\n3').csv().toArray(); }).toThrow();
     });
 
-    createAsyncTest("split('') supports asynchronous iteration", {
-      getSequence: function() { return Lazy(values).split("").async(); },
-      expected: values.split("")
+    it("stops reading chunks once iteration is ended early", function() {
+      var stream = chunks(["a\n1\n", "2\n3\n", "4\n"]);
+      expect(stream.csv().take(2).toArray()).toEqual([{ a: "1" }, { a: "2" }]);
+      expect(stream.chunksRead).toEqual(2);
     });
   });
 
@@ -511,59 +1501,599 @@ describe("Lazy", function() {
   describe("initial", function() {
     ensureLaziness(function() { Lazy(people).initial(); });
 
-    it("selects all but the last element from the collection", function() {
-      var allButHappy = Lazy(people).initial().toArray();
-      expect(allButHappy).toEqual([david, mary, lauren, adam, daniel]);
-    });
+    it("selects all but the last element from the collection", function() {
+      var allButHappy = Lazy(people).initial().toArray();
+      expect(allButHappy).toEqual([david, mary, lauren, adam, daniel]);
+    });
+
+    it("if N is given, selects all but the last N elements from the collection", function() {
+      var allButDanAndHappy = Lazy(people).initial(2).toArray();
+      expect(allButDanAndHappy).toEqual([david, mary, lauren, adam]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).initial(2)).toPassToEach(1, [0, 1, 2, 3]);
+    });
+
+    it("if given a predicate, selects all but the elements at the end that satisfy it", function() {
+      expect(Lazy(people).initial(Person.isFemale).toArray()).toEqual([david, mary, lauren, adam, daniel]);
+      expect(Lazy(["a", "", "b", "", ""]).initial(function(s) { return s === ""; }).toArray()).toEqual(["a", "", "b"]);
+      expect(Lazy(people).initial(Person.isFemale)).toPassToEach(1, [0, 1, 2, 3, 4]);
+    });
+
+    it("produces elements without reading the rest of the collection, given a predicate", function() {
+      var result = Lazy.generate(function(i) { return i; })
+        .initial(function(x) { return x % 3 !== 0; })
+        .take(5);
+
+      expect(result.toArray()).toEqual([0, 1, 2, 3, 4]);
+    });
+  });
+
+  describe("drop", function() {
+    ensureLaziness(function() { Lazy(people).drop(2); });
+
+    it("skips the first N elements from the collection", function() {
+      var children = Lazy(people).drop(2).toArray();
+      expect(children).toEqual([lauren, adam, daniel, happy]);
+    });
+
+    it("if no number is provided, skips the first element", function() {
+      var allButDavid = Lazy(people).drop().toArray();
+      expect(allButDavid).toEqual([mary, lauren, adam, daniel, happy]);
+    });
+
+    it("includes the entire collection with a count of 0", function() {
+      var everybody = Lazy(people).drop(0).toArray();
+      expect(everybody).toEqual(people);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).drop(2)).toPassToEach(1, [0, 1, 2, 3]);
+    });
+  });
+
+  describe("takeWhile", function() {
+    ensureLaziness(function() { Lazy(people).takeWhile(Person.isMale); });
+
+    it("selects elements from the start of the collection while they satisfy the predicate", function() {
+      expect(Lazy([1, 2, 3, 4, 1]).takeWhile(function(x) { return x < 3; }).toArray()).toEqual([1, 2]);
+      expect(Lazy(people).takeWhile(Person.isFemale).toArray()).toEqual([]);
+    });
+
+    it("passes the index of each element to the predicate", function() {
+      var result = Lazy(["a", "b", "c"]).takeWhile(function(x, i) { return i < 2; });
+      expect(result.toArray()).toEqual(["a", "b"]);
+    });
+
+    it("stops reading indefinite sequences at the first element that doesn't satisfy the predicate", function() {
+      var generated = 0;
+      var result = Lazy.generate(function(i) { ++generated; return i * i; })
+        .takeWhile(function(x) { return x < 20; })
+        .toArray();
+
+      expect(result).toEqual([0, 1, 4, 9, 16]);
+      expect(generated).toEqual(6);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).takeWhile(function(p) { return p !== adam; })).toPassToEach(1, [0, 1, 2]);
+    });
+
+    createAsyncResultTest("stops iterating an asynchronous sequence", {
+      getResult: function() { return Lazy.range(10).async().takeWhile(function(x) { return x < 3; }).toArray(); },
+      expected: [0, 1, 2]
+    });
+  });
+
+  describe("takeUntil", function() {
+    ensureLaziness(function() { Lazy(people).takeUntil(Person.isMale); });
+
+    it("selects elements from the start of the collection until one satisfies the predicate", function() {
+      expect(Lazy(people).takeUntil(function(p) { return p.getAge() < 40; }).toArray()).toEqual([david, mary]);
+    });
+  });
+
+  describe("dropWhile", function() {
+    ensureLaziness(function() { Lazy(people).dropWhile(Person.isMale); });
+
+    it("skips elements from the start of the collection while they satisfy the predicate", function() {
+      expect(Lazy([1, 2, 3, 4, 1]).dropWhile(function(x) { return x < 3; }).toArray()).toEqual([3, 4, 1]);
+      expect(Lazy(people).skipWhile(Person.isFemale).toArray()).toEqual(people);
+    });
+
+    it("stops calling the predicate after the first element that doesn't satisfy it", function() {
+      var calls = 0;
+      Lazy([1, 2, 3, 4, 1]).dropWhile(function(x) { ++calls; return x < 3; }).toArray();
+      expect(calls).toEqual(3);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).dropWhile(Person.isMale)).toPassToEach(1, [0, 1, 2, 3, 4]);
+    });
+  });
+
+  describe("dropUntil", function() {
+    ensureLaziness(function() { Lazy(people).dropUntil(Person.isMale); });
+
+    it("skips elements from the start of the collection until one satisfies the predicate", function() {
+      expect(Lazy(people).dropUntil(function(p) { return p.getAge() < 40; }).toArray()).toEqual([lauren, adam, daniel, happy]);
+      expect(Lazy(people).skipUntil(Person.isFemale).toArray()).toEqual([mary, lauren, adam, daniel, happy]);
+    });
+
+    it("works with indefinite sequences", function() {
+      var result = Lazy.generate(function(i) { return i; }).dropUntil(function(x) { return x >= 10; }).take(2);
+      expect(result.toArray()).toEqual([10, 11]);
+    });
+  });
+
+  describe("chunk", function() {
+    ensureLaziness(function() { Lazy(people).chunk(2); });
+
+    it("splits the collection into arrays of N elements, and the rest", function() {
+      expect(Lazy(people).chunk(4).toArray()).toEqual([[david, mary, lauren, adam], [daniel, happy]]);
+      expect(Lazy(people).chunk(3).toArray()).toEqual([[david, mary, lauren], [adam, daniel, happy]]);
+      expect(Lazy([]).chunk(3).toArray()).toEqual([]);
+    });
+
+    it("works the same for sequences that aren't array-like", function() {
+      var sequence = Lazy(people).filter(function() { return true; });
+      expect(sequence.chunk(4).toArray()).toEqual([[david, mary, lauren, adam], [daniel, happy]]);
+    });
+
+    it("provides random access to chunks of an array-like sequence", function() {
+      var chunks = Lazy([1, 2, 3, 4, 5]).map(function(x) { return x * 10; }).chunk(2);
+      expect(chunks.length()).toEqual(3);
+      expect(chunks.get(1)).toEqual([30, 40]);
+      expect(chunks.get(2)).toEqual([50]);
+      expect(chunks.get(3)).toBeUndefined();
+    });
+
+    it("stops reading indefinite sequences once iteration is stopped", function() {
+      var generated = 0;
+      var result = Lazy.generate(function(i) { ++generated; return i; }).chunk(3).take(2).toArray();
+      expect(result).toEqual([[0, 1, 2], [3, 4, 5]]);
+      expect(generated).toEqual(6);
+    });
+
+    it("rejects a size that isn't a positive integer", function() {
+      expect(function() { Lazy([1, 2]).chunk(0); }).toThrow();
+      expect(function() { Lazy([1, 2]).filter(function() { return true; }).chunk(1.5); }).toThrow();
+      expect(function() { Lazy([1, 2]).chunk(); }).toThrow();
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).chunk(4)).toPassToEach(1, [0, 1]);
+      expect(Lazy(people).filter(function() { return true; }).chunk(4)).toPassToEach(1, [0, 1]);
+    });
+
+    createAsyncResultTest("produces the last chunk once an asynchronous sequence is finished", {
+      getResult: function() { return Lazy([1, 2, 3, 4, 5]).async().chunk(2).toArray(); },
+      expected: [[1, 2], [3, 4], [5]]
+    });
+  });
+
+  describe("windowed", function() {
+    var isPositive = function(x) { return x > 0; };
+
+    ensureLaziness(function() { Lazy(people).windowed(2); });
+
+    it("produces every window of N consecutive elements", function() {
+      expect(Lazy([1, 2, 3, 4]).windowed(3).toArray()).toEqual([[1, 2, 3], [2, 3, 4]]);
+      expect(Lazy([1, 2, 3, 4]).filter(isPositive).windowed(3).toArray()).toEqual([[1, 2, 3], [2, 3, 4]]);
+    });
+
+    it("starts each window the given number of elements after the last", function() {
+      var source = [1, 2, 3, 4, 5, 6, 7];
+      [Lazy(source), Lazy(source).filter(isPositive)].forEach(function(sequence) {
+        expect(sequence.windowed(3, 2).toArray()).toEqual([[1, 2, 3], [3, 4, 5], [5, 6, 7]]);
+        expect(sequence.windowed(2, 3).toArray()).toEqual([[1, 2], [4, 5]]);
+        expect(sequence.windowed(8).toArray()).toEqual([]);
+      });
+    });
+
+    it("doesn't modify a window after it has been produced", function() {
+      var windows = [];
+      Lazy([1, 2, 3, 4]).filter(isPositive).windowed(2).each(function(w) { windows.push(w); });
+      expect(windows).toEqual([[1, 2], [2, 3], [3, 4]]);
+    });
+
+    it("provides random access to the windows of an array-like sequence", function() {
+      var windows = Lazy([1, 2, 3, 4, 5, 6]).windowed(3, 2);
+      expect(windows.length()).toEqual(2);
+      expect(windows.get(1)).toEqual([3, 4, 5]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).filter(function() { return true; }).windowed(5)).toPassToEach(1, [0, 1]);
+    });
+  });
+
+  describe("pairwise", function() {
+    it("produces every pair of consecutive elements", function() {
+      expect(Lazy([1, 2, 4, 7]).pairwise().toArray()).toEqual([[1, 2], [2, 4], [4, 7]]);
+      expect(Lazy.range(1, 4).filter(function(x) { return x > 0; }).pairwise().toArray()).toEqual([[1, 2], [2, 3]]);
+      expect(Lazy([1]).pairwise().toArray()).toEqual([]);
+    });
+  });
+
+  describe("splitWhen", function() {
+    var splitGaps = function(x, y) { return y !== x + 1; };
+
+    ensureLaziness(function() { Lazy(people).splitWhen(splitGaps); });
+
+    it("splits the collection between elements for which the function returns true", function() {
+      expect(Lazy([1, 2, 3, 7, 8, 10]).splitWhen(splitGaps).toArray()).toEqual([[1, 2, 3], [7, 8], [10]]);
+      expect(Lazy([]).splitWhen(splitGaps).toArray()).toEqual([]);
+    });
+
+    it("stops reading indefinite sequences once iteration is stopped", function() {
+      var generated = 0;
+      var result = Lazy.generate(function(i) { ++generated; return i; })
+        .splitWhen(function(x, y) { return y % 3 === 0; })
+        .first(2);
+
+      expect(result.toArray()).toEqual([[0, 1, 2], [3, 4, 5]]);
+      expect(generated).toEqual(7);
+    });
+
+    createAsyncResultTest("produces the last run once an asynchronous sequence is finished", {
+      getResult: function() { return Lazy([1, 2, 4]).async().splitWhen(splitGaps).toArray(); },
+      expected: [[1, 2], [4]]
+    });
+  });
+
+  describe("partitionBy", function() {
+    ensureLaziness(function() { Lazy(people).partitionBy(Person.getGender); });
+
+    it("splits the collection into runs of elements with the same key", function() {
+      expect(Lazy(people).partitionBy(Person.getGender).toArray()).toEqual([[david], [mary, lauren], [adam, daniel], [happy]]);
+    });
+
+    it("accepts the name of a property as the key", function() {
+      var events = [{ type: "a" }, { type: "a" }, { type: "b" }, { type: "a" }];
+      expect(Lazy(events).partitionBy("type").toArray()).toEqual([[events[0], events[1]], [events[2]], [events[3]]]);
+    });
+
+    it("treats NaN keys as equal", function() {
+      expect(Lazy([NaN, NaN, 1]).partitionBy(function(x) { return x; }).toArray().length).toEqual(2);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).partitionBy(Person.getGender)).toPassToEach(1, [0, 1, 2, 3]);
+    });
+  });
+
+  describe("combinations", function() {
+    ensureLaziness(function() { Lazy(people).combinations(2); });
+
+    it("produces every combination of the given size, in lexicographic order", function() {
+      expect(Lazy(people).take(4).combinations(2).toArray()).toEqual([
+        [david, mary], [david, lauren], [david, adam], [mary, lauren], [mary, adam], [lauren, adam]
+      ]);
+    });
+
+    it("produces one empty combination of size 0, and none bigger than the sequence", function() {
+      expect(Lazy([1, 2]).combinations(0).toArray()).toEqual([[]]);
+      expect(Lazy([1, 2]).combinations(3).toArray()).toEqual([]);
+    });
+
+    it("computes its length and accesses elements without enumerating the others", function() {
+      var combinations = Lazy.range(100).combinations(5);
+      expect(combinations.length()).toEqual(75287520);
+      expect(combinations.get(0)).toEqual([0, 1, 2, 3, 4]);
+      expect(combinations.drop(75287518).toArray()).toEqual([[94, 96, 97, 98, 99], [95, 96, 97, 98, 99]]);
+    });
+
+    it("produces the same combinations whether iterating or accessing them by index", function() {
+      var combinations = Lazy.range(7).combinations(3);
+      expect(combinations.toArray()).toEqual(Lazy.range(35).map(function(i) { return combinations.get(i); }).toArray());
+    });
+
+    it("only reads the elements of the sequence once", function() {
+      var reads = 0,
+          elements = Lazy.range(100).map(function(x) { ++reads; return x; });
+
+      var pairs = elements.combinations(2).drop(10).take(20).map(function(pair) { return pair[1]; });
+      expect(pairs.toArray().length).toEqual(20);
+      expect(pairs.toArray()[0]).toEqual(11);
+      expect(reads).toEqual(100);
+    });
+
+    it("throws unless the size is a non-negative integer", function() {
+      expect(function() { Lazy([1, 2]).combinations(); }).toThrow();
+      expect(function() { Lazy([1, 2]).combinations(-1); }).toThrow();
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy([1, 2, 3]).combinations(2)).toPassToEach(1, [0, 1, 2]);
+    });
+  });
+
+  describe("combinationsWithReplacement", function() {
+    ensureLaziness(function() { Lazy(people).combinationsWithReplacement(2); });
+
+    it("produces every combination of the given size, allowing elements to repeat", function() {
+      expect(Lazy(["a", "b", "c"]).combinationsWithReplacement(2).toArray()).toEqual([
+        ["a", "a"], ["a", "b"], ["a", "c"], ["b", "b"], ["b", "c"], ["c", "c"]
+      ]);
+    });
+
+    it("computes its length and accesses elements without enumerating the others", function() {
+      var combinations = Lazy.range(10).combinationsWithReplacement(3);
+      expect(combinations.length()).toEqual(220);
+      expect(combinations.get(219)).toEqual([9, 9, 9]);
+      expect(combinations.drop(217).toArray()).toEqual([[8, 8, 9], [8, 9, 9], [9, 9, 9]]);
+    });
+  });
+
+  describe("permutations", function() {
+    ensureLaziness(function() { Lazy(people).permutations(); });
+
+    it("produces every arrangement of the elements, in lexicographic order", function() {
+      expect(Lazy([1, 2, 3]).permutations().toArray()).toEqual([
+        [1, 2, 3], [1, 3, 2], [2, 1, 3], [2, 3, 1], [3, 1, 2], [3, 2, 1]
+      ]);
+    });
+
+    it("produces every arrangement of the given number of elements", function() {
+      expect(Lazy([1, 2, 3]).permutations(2).toArray()).toEqual([
+        [1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2]
+      ]);
+    });
+
+    it("computes its length and accesses elements without enumerating the others", function() {
+      var permutations = Lazy.range(10).permutations();
+      expect(permutations.length()).toEqual(3628800);
+      expect(permutations.get(3628799)).toEqual([9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+      expect(permutations.drop(1).first()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 9, 8]);
+    });
+
+    it("produces the same permutations whether iterating or accessing them by index", function() {
+      var permutations = Lazy.range(5).permutations(3);
+      expect(permutations.toArray()).toEqual(Lazy.range(60).map(function(i) { return permutations.get(i); }).toArray());
+    });
+  });
+
+  describe("powerSet", function() {
+    ensureLaziness(function() { Lazy(people).powerSet(); });
+
+    it("produces every subset of the elements, smallest first", function() {
+      expect(Lazy([1, 2, 3]).powerSet().toArray()).toEqual([
+        [], [1], [2], [3], [1, 2], [1, 3], [2, 3], [1, 2, 3]
+      ]);
+    });
+
+    it("computes its length and accesses elements without enumerating the others", function() {
+      var subsets = Lazy.range(40).powerSet();
+      expect(subsets.length()).toEqual(Math.pow(2, 40));
+      expect(subsets.get(41)).toEqual([0, 1]);
+      expect(subsets.get(Math.pow(2, 40) - 1)).toEqual(Lazy.range(40).toArray());
+    });
+  });
+
+  describe("sortBy", function() {
+    ensureLaziness(function() { Lazy(people).sortBy(Person.getAge); });
+
+    describe("on an asynchronous sequence", function() {
+      createAsyncResultTest("toArray waits for every element", {
+        getResult: function() { return Lazy(people).async().sortBy(Person.getAge).toArray(); },
+        expected: function() { return [happy, daniel, adam, lauren, mary, david]; }
+      });
+
+      createAsyncResultTest("first(n) waits for every element", {
+        getResult: function() { return Lazy(people).async().sortBy(Person.getAge).first(2).toArray(); },
+        expected: function() { return [happy, daniel]; }
+      });
+
+      createAsyncResultTest("last() waits for every element", {
+        getResult: function() { return Lazy(people).async().sortBy(Person.getAge).last(); },
+        expected: function() { return david; }
+      });
+
+      createAsyncResultTest("each waits for every element", {
+        getResult: function() {
+          var names = [];
+          return Lazy(people).async().sortBy(Person.getName).each(function(person) {
+            names.push(person.getName());
+          }).then(function() { return names; });
+        },
+        expected: ["Adam", "Daniel", "David", "Happy", "Lauren", "Mary"]
+      });
+    });
+
+    it("sorts the result by the specified selector", function() {
+      var peopleByName = Lazy(people).sortBy(Person.getName).toArray();
+      expect(peopleByName).toEqual([adam, daniel, david, happy, lauren, mary]);
+    });
+
+    createAsyncTest("supports asynchronous iteration", {
+      getSequence: function() { return Lazy(people).sortBy(Person.getName).async(); },
+      expected: function() { return [adam, daniel, david, happy, lauren, mary]; }
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).sortBy(Person.getName)).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
+    });
+
+    it("puts undefined keys last, like Array.prototype.sort", function() {
+      var values = [3, undefined, 1, undefined, 2],
+          nested = Lazy(values).map(function(x) { return { x: x }; }).toArray(),
+          sorted = Lazy(values).sortBy(),
+          iterator = sorted.getIterator(),
+          eached = [],
+          iterated = [];
+
+      sorted.each(function(x) { eached.push(x); });
+      while (iterator.moveNext()) {
+        iterated.push(iterator.current());
+      }
+
+      expect(sorted.toArray()).toEqual([1, 2, 3, undefined, undefined]);
+      expect(eached).toEqual([1, 2, 3, undefined, undefined]);
+      expect(iterated).toEqual([1, 2, 3, undefined, undefined]);
+      expect(sorted.first(2).toArray()).toEqual([1, 2]);
+      expect(sorted.last(3).toArray()).toEqual([3, undefined, undefined]);
+
+      expect(Lazy(nested).sortBy(function(o) { return o.x; }).pluck("x").toArray())
+        .toEqual([1, 2, 3, undefined, undefined]);
+      expect(Lazy(nested).sortBy(function(o) { return o.x; }).first(4).pluck("x").toArray())
+        .toEqual([1, 2, 3, undefined]);
+    });
+
+    describe("for larger collections", function() {
+      // The numbers 0-999 in a scrambled order, each paired with its position.
+      var records = Lazy.range(1000).map(function(i) {
+        return { value: (i * 7919) % 1000, position: i };
+      }).toArray();
+
+      // Sorts by each record's (unique) value, counting the comparisons made.
+      function sortedWithCounter(counter) {
+        return Lazy(records).sortBy(function(record) {
+          return { valueOf: function() { ++counter.comparisons; return record.value; } };
+        });
+      }
+
+      function byTens(record) {
+        return Math.floor(record.value / 10);
+      }
+
+      function positionsOf(records) {
+        return Lazy(records).pluck("position").toArray();
+      }
+
+      it("keeps elements with the same sort key in their original order", function() {
+        var sorted = Lazy(records).sortBy(byTens).toArray();
+
+        Lazy(sorted).each(function(record, i) {
+          if (i > 0 && byTens(sorted[i - 1]) === byTens(record)) {
+            expect(sorted[i - 1].position).toBeLessThan(record.position);
+          }
+        });
+      });
+
+      it("only sorts as much as it needs to for first(n) or take(n)", function() {
+        var full = { comparisons: 0 },
+            partial = { comparisons: 0 };
+
+        var expected = sortedWithCounter(full).toArray().slice(0, 20);
+        expect(sortedWithCounter(partial).first(20).toArray()).toEqual(expected);
+        expect(partial.comparisons).toBeLessThan(full.comparisons / 2);
+        expect(Lazy(records).sortBy(byTens).take(20).toArray()).toEqual(Lazy(records).sortBy(byTens).toArray().slice(0, 20));
+      });
+
+      it("only sorts as much as it needs to for last(n)", function() {
+        var full = { comparisons: 0 },
+            partial = { comparisons: 0 };
+
+        var expected = sortedWithCounter(full).toArray().slice(-20);
+        expect(sortedWithCounter(partial).last(20).toArray()).toEqual(expected);
+        expect(partial.comparisons).toBeLessThan(full.comparisons / 2);
+        expect(Lazy(records).sortBy(byTens).last(20).toArray()).toEqual(Lazy(records).sortBy(byTens).toArray().slice(-20));
+      });
+
+      it("gets the first and last elements, breaking ties by original order", function() {
+        var sorted = Lazy(records).sortBy(byTens).toArray();
+
+        expect(Lazy(records).sortBy(byTens).first()).toBe(sorted[0]);
+        expect(Lazy(records).sortBy(byTens).last()).toBe(sorted[sorted.length - 1]);
+        expect(Lazy(records).sortBy(byTens).last(0).toArray()).toEqual([]);
+      });
+
+      it("produces elements incrementally when iterating", function() {
+        var full = { comparisons: 0 },
+            partial = { comparisons: 0 },
+            iterator = sortedWithCounter(partial).getIterator(),
+            firstThree = [];
+
+        while (firstThree.length < 3 && iterator.moveNext()) {
+          firstThree.push(iterator.current().position);
+        }
+
+        expect(firstThree).toEqual(positionsOf(sortedWithCounter(full).toArray().slice(0, 3)));
+        expect(partial.comparisons).toBeLessThan(full.comparisons / 2);
+      });
+    });
+  });
+
+  describe("orderBy", function() {
+    var staff = [
+      { name: "Zoe", dept: "Ops", salary: 70 },
+      { name: "emile", dept: "R&D", salary: 90 },
+      { name: "Adam", dept: "R&D", salary: 90 },
+      { name: "Bea", dept: "R&D", salary: 120 },
+      { name: "Dan", dept: null, salary: 80 }
+    ];
+
+    function names(sequence) {
+      return sequence.pluck("name").toArray();
+    }
+
+    ensureLaziness(function() { Lazy(people).orderBy(Person.getGender).thenBy(Person.getAge); });
 
-    it("if N is given, selects all but the last N elements from the collection", function() {
-      var allButDanAndHappy = Lazy(people).initial(2).toArray();
-      expect(allButDanAndHappy).toEqual([david, mary, lauren, adam]);
+    it("orders by a key function or property name", function() {
+      expect(Lazy(people).orderBy(Person.getAge).toArray()).toEqual([happy, daniel, adam, lauren, mary, david]);
+      expect(names(Lazy(staff).orderBy("salary"))).toEqual(["Zoe", "Dan", "emile", "Adam", "Bea"]);
     });
 
-    it("passes an index along with each element", function() {
-      expect(Lazy(people).initial(2)).toPassToEach(1, [0, 1, 2, 3]);
+    it("orders by each key in turn, ascending or descending", function() {
+      expect(Lazy(people).orderBy(Person.getGender, "desc").thenBy(Person.getAge).toArray())
+        .toEqual([daniel, adam, david, happy, lauren, mary]);
+      expect(names(Lazy(staff).orderBy("dept", { nulls: "last" }).thenByDescending("salary").thenBy("name")))
+        .toEqual(["Zoe", "Bea", "Adam", "emile", "Dan"]);
     });
-  });
 
-  describe("drop", function() {
-    ensureLaziness(function() { Lazy(people).drop(2); });
+    it("accepts an object describing each key", function() {
+      expect(names(Lazy(staff).orderBy({ key: "salary", direction: "desc" }).thenBy({ key: "name" })))
+        .toEqual(["Bea", "Adam", "emile", "Dan", "Zoe"]);
+    });
 
-    it("skips the first N elements from the collection", function() {
-      var children = Lazy(people).drop(2).toArray();
-      expect(children).toEqual([lauren, adam, daniel, happy]);
+    it("can be continued from sortBy", function() {
+      expect(Lazy(people).sortBy(Person.getGender).thenByDescending(Person.getAge).toArray())
+        .toEqual([mary, lauren, happy, david, adam, daniel]);
     });
 
-    it("if no number is provided, skips the first element", function() {
-      var allButDavid = Lazy(people).drop().toArray();
-      expect(allButDavid).toEqual([mary, lauren, adam, daniel, happy]);
+    it("compares keys with a custom comparator", function() {
+      function byLength(x, y) { return x.length - y.length; }
+      expect(names(Lazy(staff).orderBy("name", { compare: byLength }).thenBy("salary")))
+        .toEqual(["Zoe", "Dan", "Bea", "Adam", "emile"]);
     });
 
-    it("includes the entire collection with a count of 0", function() {
-      var everybody = Lazy(people).drop(0).toArray();
-      expect(everybody).toEqual(people);
+    it("puts null and undefined keys first or last, whatever the direction", function() {
+      var values = [2, null, 3, undefined, 1];
+      expect(Lazy(values).orderBy(null, { nulls: "first" }).toArray()).toEqual([null, undefined, 1, 2, 3]);
+      expect(Lazy(values).orderBy(null, { nulls: "first", direction: "desc" }).toArray()).toEqual([null, undefined, 3, 2, 1]);
+      expect(Lazy(values).orderBy(null, { nulls: "last", direction: "desc" }).toArray()).toEqual([3, 2, 1, null, undefined]);
     });
 
-    it("passes an index along with each element", function() {
-      expect(Lazy(people).drop(2)).toPassToEach(1, [0, 1, 2, 3]);
+    it("puts null and undefined keys last by default", function() {
+      var records = [
+        { d: "c" }, { d: null }, { d: "a" }, {}, { d: "d" }, { d: null }, { d: "b" }, { d: undefined }, { d: "a" }
+      ];
+
+      expect(Lazy(records).orderBy("d").pluck("d").toArray())
+        .toEqual(["a", "a", "b", "c", "d", null, undefined, null, undefined]);
+      expect(Lazy(records).orderBy("d", "desc").pluck("d").toArray())
+        .toEqual(["d", "c", "b", "a", "a", null, undefined, null, undefined]);
+      expect(Lazy([null, 2, null, 1, 3]).orderBy().toArray()).toEqual([1, 2, 3, null, null]);
     });
-  });
 
-  describe("sortBy", function() {
-    ensureLaziness(function() { Lazy(people).sortBy(Person.getAge); });
+    it("compares strings according to a locale, optionally treating digits as numbers", function() {
+      if (typeof Intl !== "object") {
+        return;
+      }
 
-    it("sorts the result by the specified selector", function() {
-      var peopleByName = Lazy(people).sortBy(Person.getName).toArray();
-      expect(peopleByName).toEqual([adam, daniel, david, happy, lauren, mary]);
+      expect(names(Lazy(staff).orderBy("name", { locale: true }))).toEqual(["Adam", "Bea", "Dan", "emile", "Zoe"]);
+      expect(Lazy(["item 10", "item 9", "item 100"]).orderBy(null, { numeric: true }).toArray())
+        .toEqual(["item 9", "item 10", "item 100"]);
     });
 
-    createAsyncTest("supports asynchronous iteration", {
-      getSequence: function() { return Lazy(people).sortBy(Person.getName).async(); },
-      expected: function() { return [adam, daniel, david, happy, lauren, mary]; }
+    it("supports first(n) just like sortBy", function() {
+      expect(names(Lazy(staff).orderBy("salary", "desc").thenBy("name").first(2))).toEqual(["Bea", "Adam"]);
     });
 
-    it("passes an index along with each element", function() {
-      expect(Lazy(people).sortBy(Person.getName)).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
+    it("throws for an unknown direction", function() {
+      expect(function() { Lazy(staff).orderBy("name", "sideways"); }).toThrow();
     });
   });
 
@@ -577,6 +2107,113 @@ describe("Lazy", function() {
         ["F", [mary, lauren, happy]]
       ]);
     });
+
+    it("passes each group along with its key, as an object-like sequence", function() {
+      var groups = Lazy(people).groupBy(Person.getGender);
+      expect(groups instanceof Lazy.ObjectLikeSequence).toBe(true);
+      expect(groups).toPassToEach(1, ["M", "F"]);
+      expect(groups.get("F")).toEqual([mary, lauren, happy]);
+      expect(groups.toObject()).toEqual({ M: [david, adam, daniel], F: [mary, lauren, happy] });
+    });
+
+    it("passes each group before its key even when the keys aren't strings", function() {
+      var groups = Lazy([1, 2, 3, 4]).groupBy(function(x) { return x % 2; });
+      expect(groups).toPassToEach(0, [[1, 3], [2, 4]]);
+      expect(groups).toPassToEach(1, [1, 0]);
+      expect(groups.pairs()).toEqual([[1, [1, 3]], [0, [2, 4]]]);
+    });
+
+    it("keeps keys as they are, rather than converting them to strings", function() {
+      var a = { id: 1 },
+          b = { id: 2 },
+          groups = Lazy([1, "1", a, b, 1]).groupBy(function(x) { return x; });
+
+      expect(groups.keys().toArray()).toEqual([1, "1", a, b]);
+      expect(groups.get(1)).toEqual([1, 1]);
+      expect(groups.get(b)).toEqual([b]);
+    });
+
+    it("groups by a property name, or by several keys at once", function() {
+      var sales = [
+        { region: "east", year: 2013, amount: 10 },
+        { region: "west", year: 2013, amount: 20 },
+        { region: "east", year: 2014, amount: 5 },
+        { region: "east", year: 2013, amount: 1 }
+      ];
+
+      expect(Lazy(sales).groupBy("region").keys().toArray()).toEqual(["east", "west"]);
+      expect(Lazy(sales).groupBy(["region", "year"]).toArray()).toEqual([
+        [["east", 2013], [sales[0], sales[3]]],
+        [["west", 2013], [sales[1]]],
+        [["east", 2014], [sales[2]]]
+      ]);
+      expect(Lazy(sales).groupBy(["region", "year"]).get(["east", 2014])).toEqual([sales[2]]);
+    });
+
+    createAsyncResultTest("works with asynchronous sequences", {
+      getResult: function() { return Lazy(people).async().groupBy(Person.getGender).toArray(); },
+      expected: function() { return [["M", [david, adam, daniel]], ["F", [mary, lauren, happy]]]; }
+    });
+
+    describe("aggregate", function() {
+      var agg = Lazy.aggregators;
+
+      it("computes the given aggregates for each group", function() {
+        var stats = Lazy(people).groupBy(Person.getGender).aggregate({
+          n: agg.count(),
+          total: agg.sum(Person.getAge),
+          avg: agg.mean(Person.getAge),
+          youngest: agg.min(Person.getAge),
+          oldest: agg.max(Person.getAge),
+          first: agg.first(Person.getName),
+          last: agg.last(Person.getName),
+          names: agg.collect(Person.getName)
+        });
+
+        expect(stats.toObject()).toEqual({
+          M: { n: 3, total: 121, avg: 121 / 3, youngest: 28, oldest: 63, first: "David", last: "Daniel", names: ["David", "Adam", "Daniel"] },
+          F: { n: 3, total: 119, avg: 119 / 3, youngest: 25, oldest: 62, first: "Mary", last: "Happy", names: ["Mary", "Lauren", "Happy"] }
+        });
+        expect(stats.get("F").youngest).toEqual(25);
+      });
+
+      it("computes statistics for each group", function() {
+        var stats = Lazy(people).groupBy(Person.getGender).aggregate({
+          median: agg.median(Person.getAge),
+          spread: agg.stdDev(Person.getAge),
+          quartiles: agg.quantiles(4, { key: Person.getAge, approximate: true }),
+          commonest: agg.mode(function(p) { return p.getAge() > 30; }),
+          ages: agg.histogram([0, 50, 100], Person.getAge)
+        }).toObject();
+
+        expect(stats.M.median).toEqual(30);
+        expect(stats.F.spread).toBeCloseTo(16.05, 2);
+        expect(stats.M.quartiles).toEqual([29, 30, 46.5]);
+        expect(stats.F.commonest).toBe(true);
+        expect(stats.F.ages).toEqual([{ start: 0, end: 50, count: 2 }, { start: 50, end: 100, count: 1 }]);
+      });
+
+      it("accepts custom aggregators", function() {
+        var initials = {
+          init: function() { return ""; },
+          step: function(initials, person) { return initials + person.getName().charAt(0); },
+          result: function(initials) { return initials.toLowerCase(); }
+        };
+
+        expect(Lazy(people).groupBy(Person.getGender).aggregate({ initials: initials }).toArray())
+          .toEqual([["M", { initials: "dad" }], ["F", { initials: "mlh" }]]);
+      });
+
+      it("doesn't build an array for each group", function() {
+        var arraysBefore = arraysCreated;
+        Lazy(people).groupBy(Person.getGender).aggregate({ n: agg.count() }).each(function() {});
+        expect(arraysCreated).toEqual(arraysBefore);
+      });
+
+      it("throws if given something other than an aggregator", function() {
+        expect(function() { Lazy(people).groupBy(Person.getGender).aggregate({ n: 5 }); }).toThrow();
+      });
+    });
   });
 
   describe("countBy", function() {
@@ -586,6 +2223,27 @@ describe("Lazy", function() {
       var byGender = Lazy(people).countBy(Person.getGender).toArray();
       expect(byGender).toEqual([["M", 3], ["F", 3]]);
     });
+
+    it("keeps the original keys", function() {
+      var counts = Lazy([1, "1", 1, null, "null", true]).countBy(function(x) { return x; }).toArray();
+      expect(counts).toEqual([[1, 2], ["1", 1], [null, 1], ["null", 1], [true, 1]]);
+    });
+
+    it("accepts the name of a property as the key", function() {
+      var records = [{ type: "a" }, { type: "b" }, { type: "a" }];
+      expect(Lazy(records).countBy("type").toArray()).toEqual([["a", 2], ["b", 1]]);
+    });
+
+    it("compares keys with the given equals function or options", function() {
+      var words = Lazy(["Foo", "foo", "bar", "FOO"]);
+      var caseless = words.countBy(function(w) { return w; }, function(x, y) {
+        return x.toLowerCase() === y.toLowerCase();
+      });
+      expect(caseless.toArray()).toEqual([["Foo", 3], ["bar", 1]]);
+
+      var records = Lazy([{ tags: ["a"] }, { tags: ["a"] }, { tags: ["b"] }]);
+      expect(records.countBy("tags", { deep: true }).toArray()).toEqual([[["a"], 2], [["b"], 1]]);
+    });
   });
 
   describe("without", function() {
@@ -604,6 +2262,11 @@ describe("Lazy", function() {
     it("passes an index along with each element", function() {
       expect(Lazy(people).without(david, mary, daniel, happy)).toPassToEach(1, [0, 1]);
     });
+
+    it("excludes NaN and Dates equal to those specified", function() {
+      var result = Lazy([1, NaN, new Date(0), 2]).without(NaN, new Date(0)).toArray();
+      expect(result).toEqual([1, 2]);
+    });
   });
 
   describe("difference", function() {
@@ -656,6 +2319,16 @@ describe("Lazy", function() {
     it("passes an index along with each element", function() {
       expect(Lazy(["foo", "bar", "baz"]).intersection(["bar", "baz", "blah"])).toPassToEach(1, [0, 1]);
     });
+
+    it("includes NaN if it's in all of the arrays", function() {
+      var small = Lazy([1, NaN]).intersection([NaN]).toArray(),
+          large = Lazy([1, NaN, 100]).intersection(Lazy.range(50).toArray().concat([NaN])).toArray();
+
+      expect(small.length).toEqual(1);
+      expect(isNaN(small[0])).toBe(true);
+      expect(large.length).toEqual(2);
+      expect(isNaN(large[1])).toBe(true);
+    });
   });
 
   describe("shuffle", function() {
@@ -694,6 +2367,152 @@ describe("Lazy", function() {
     it("passes an index along with each element", function() {
       expect(Lazy(people).shuffle()).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
     });
+
+    it("produces the same order given the same seeded generator", function() {
+      var first = Lazy.range(20).shuffle(Lazy.random(42)).toArray(),
+          second = Lazy.range(20).shuffle(Lazy.random(42)).toArray();
+
+      expect(first).toEqual(second);
+      expect(first).not.toEqual(Lazy.range(20).toArray());
+    });
+
+    it("produces the same order on every iteration given a seed", function() {
+      var shuffled = Lazy.range(20).shuffle(42),
+          first = shuffled.toArray();
+
+      expect(shuffled.toArray()).toEqual(first);
+      expect(Lazy.range(20).shuffle("42").toArray()).not.toEqual(first);
+      expect(first).toEqual(Lazy.range(20).shuffle(Lazy.random(42)).toArray());
+    });
+
+    it("produces every order equally often", function() {
+      var random = Lazy.random(7),
+          counts = {};
+
+      Lazy.range(6000).each(function() {
+        var order = Lazy([1, 2, 3]).shuffle(random).join("");
+        counts[order] = (counts[order] || 0) + 1;
+      });
+
+      expect(Lazy(counts).keys().toArray().sort()).toEqual(["123", "132", "213", "231", "312", "321"]);
+      Lazy(counts).values().each(function(count) {
+        expect(count).toBeGreaterThan(850);
+        expect(count).toBeLessThan(1150);
+      });
+    });
+
+    it("handles empty collections", function() {
+      expect(Lazy([]).shuffle().toArray()).toEqual([]);
+    });
+
+    createAsyncResultTest("shuffles asynchronous sequences", {
+      getResult: function() { return Lazy.range(10).async().shuffle(Lazy.random(1)).toArray(); },
+      expected: function() { return Lazy.range(10).shuffle(Lazy.random(1)).toArray(); }
+    });
+  });
+
+  describe("random", function() {
+    it("produces the same numbers given the same seed", function() {
+      var numbers = Lazy.generate(Lazy.random(1)).take(10).toArray();
+      expect(Lazy.generate(Lazy.random(1)).take(10).toArray()).toEqual(numbers);
+      expect(Lazy.generate(Lazy.random(2)).take(10).toArray()).not.toEqual(numbers);
+      expect(Lazy.generate(Lazy.random("foo")).take(10).toArray()).toEqual(Lazy.generate(Lazy.random("foo")).take(10).toArray());
+    });
+
+    it("produces numbers from 0 up to 1", function() {
+      var numbers = Lazy.generate(Lazy.random()).take(1000);
+      expect(numbers.min()).not.toBeLessThan(0);
+      expect(numbers.max()).toBeLessThan(1);
+      expect(Math.abs(numbers.mean() - 0.5)).toBeLessThan(0.05);
+    });
+  });
+
+  describe("sample", function() {
+    ensureLaziness(function() { Lazy(people).sample(2); });
+
+    it("picks the given number of elements, in their original order", function() {
+      var sample = Lazy(people).sample(3).toArray();
+      expect(sample.length).toEqual(3);
+      expect(Lazy(people).intersection(sample).toArray()).toEqual(sample);
+    });
+
+    it("picks every element if there aren't enough", function() {
+      expect(Lazy([1, 2]).sample(3).toArray()).toEqual([1, 2]);
+    });
+
+    it("picks the same elements given the same seeded generator", function() {
+      expect(Lazy.range(100).sample(5, Lazy.random(3)).toArray())
+        .toEqual(Lazy.range(100).sample(5, Lazy.random(3)).toArray());
+    });
+
+    it("picks the same elements on every iteration given a seed", function() {
+      var sample = Lazy.range(100).sample(5, 3);
+      expect(sample.toArray()).toEqual(sample.toArray());
+
+      var weighted = Lazy.range(100).weightedSample(5, function(x) { return x + 1; }, 3);
+      expect(weighted.toArray()).toEqual(weighted.toArray());
+    });
+
+    it("picks every element equally often", function() {
+      var random = Lazy.random(5),
+          counts = [0, 0, 0, 0, 0];
+
+      Lazy.range(5000).each(function() {
+        Lazy.range(5).sample(2, random).each(function(i) { ++counts[i]; });
+      });
+
+      Lazy(counts).each(function(count) {
+        expect(count).toBeGreaterThan(1800);
+        expect(count).toBeLessThan(2200);
+      });
+    });
+
+    it("returns a single element when not given a number", function() {
+      expect(Lazy(people).contains(Lazy(people).sample())).toBe(true);
+      expect(Lazy([]).sample()).toBeUndefined();
+    });
+
+    it("throws unless given a non-negative integer", function() {
+      expect(function() { Lazy(people).sample(-1); }).toThrow();
+      expect(function() { Lazy(people).sample(Lazy.random(1)); }).toThrow();
+      expect(function() { Lazy(people).sample("2"); }).toThrow();
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).sample(3)).toPassToEach(1, [0, 1, 2]);
+    });
+
+    createAsyncResultTest("samples asynchronous sequences", {
+      getResult: function() { return Lazy(people).async().sample(6).toArray(); },
+      expected: function() { return people; }
+    });
+  });
+
+  describe("weightedSample", function() {
+    ensureLaziness(function() { Lazy(people).weightedSample(2, Person.getAge); });
+
+    it("picks elements in proportion to their weights", function() {
+      var random = Lazy.random(9),
+          counts = { a: 0, b: 0, c: 0 };
+
+      Lazy.range(5000).each(function() {
+        Lazy([{ n: "a", w: 1 }, { n: "b", w: 8 }, { n: "c", w: 1 }]).weightedSample(1, "w", random).each(function(e) {
+          ++counts[e.n];
+        });
+      });
+
+      expect(counts.b).toBeGreaterThan(3800);
+      expect(counts.b).toBeLessThan(4200);
+      expect(counts.a + counts.c + counts.b).toEqual(5000);
+    });
+
+    it("never picks elements without any weight", function() {
+      expect(Lazy([1, 2, 3, 4]).weightedSample(4, function(x) { return x % 2; }).toArray()).toEqual([1, 3]);
+    });
+
+    it("passes the weight function an index", function() {
+      expect(Lazy(["a", "b"]).weightedSample(2, function(x, i) { return i; }).toArray()).toEqual(["b"]);
+    });
   });
 
   describe("flatten", function() {
@@ -742,6 +2561,84 @@ describe("Lazy", function() {
       var nested = [[david], [mary], [lauren, adam], [[daniel], happy]];
       expect(Lazy(nested).flatten()).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
     });
+
+    it("only flattens as many levels as the given depth", function() {
+      var nested = [1, [2, [3, Lazy([4, [5]])]]];
+      expect(Lazy(nested).flatten(0).toArray()).toEqual(nested);
+      expect(Lazy(nested).flatten(1).toArray()).toEqual([1, 2, [3, nested[1][1][1]]]);
+      expect(Lazy(nested).flatten(3).toArray()).toEqual([1, 2, 3, 4, [5]]);
+      expect(Lazy(nested).flatten({ depth: 3 }).toArray()).toEqual([1, 2, 3, 4, [5]]);
+    });
+
+    it("leaves strings and plain objects alone", function() {
+      expect(Lazy(["foo", [{ bar: [1] }]]).flatten().toArray()).toEqual(["foo", { bar: [1] }]);
+    });
+
+    it("flattens object-like sequences into their values, or their pairs if asked", function() {
+      var nested = [Lazy({ a: 1, b: [2] }), [Lazy({ c: 3 })]];
+      expect(Lazy(nested).flatten().toArray()).toEqual([1, 2, 3]);
+      expect(Lazy(nested).flatten({ pairs: true }).toArray()).toEqual([["a", 1], ["b", [2]], ["c", 3]]);
+    });
+
+    it("stops at any level of nesting when iteration is stopped early", function() {
+      var visited = [];
+      function visit(x) {
+        visited.push(x);
+        return x;
+      }
+
+      var nested = Lazy([Lazy([1, Lazy([2, 3]).map(visit)]).map(visit), 4]).map(visit);
+      expect(nested.flatten().take(2).toArray()).toEqual([1, 2]);
+      expect(visited.length).toEqual(4);
+    });
+
+    createAsyncResultTest("flattens asynchronous nested sequences", {
+      getResult: function() {
+        return Lazy([1, Lazy([2, [3]]).async(), 4]).flatten().toArray();
+      },
+      expected: [1, 2, 3, 4]
+    });
+
+    createAsyncResultTest("flattens nested sequences of an asynchronous sequence", {
+      getResult: function() {
+        return Lazy([[1, [2]], Lazy([3]).async(), [4]]).async().flatten(1).toArray();
+      },
+      expected: [1, [2], 3, 4]
+    });
+
+    createAsyncResultTest("stops iterating asynchronous nested sequences early", {
+      getResult: function() {
+        return Lazy([[1, Lazy([2, 3]).async()], Lazy([4]).async()]).flatten().take(2).toArray();
+      },
+      expected: [1, 2]
+    });
+  });
+
+  describe("flatMap", function() {
+    function pairUp(x, i) { return [x, i]; }
+
+    ensureLaziness(function() { Lazy(people).flatMap(pairUp); });
+
+    it("concatenates the arrays returned by the function, passing it an index", function() {
+      expect(Lazy(["a", "b"]).flatMap(pairUp).toArray()).toEqual(["a", 0, "b", 1]);
+    });
+
+    it("only flattens one level, and includes other values as they are", function() {
+      expect(Lazy([1, 2]).flatMap(function(x) { return x > 1 ? [[x]] : x; }).toArray()).toEqual([1, [2]]);
+    });
+
+    it("concatenates sequences, only as far as needed", function() {
+      var result = Lazy.generate(function(i) { return i; })
+        .flatMap(function(n) { return Lazy.repeat(n, n); })
+        .take(6)
+        .toArray();
+
+      expect(result).toEqual([1, 2, 2, 3, 3, 3]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy([1, 2]).flatMap(pairUp)).toPassToEach(1, [0, 1, 2, 3]);
+    });
   });
 
   describe("compact", function() {
@@ -814,6 +2711,135 @@ describe("Lazy", function() {
       var result = Lazy(large.concat(large)).uniq().toArray();
       expect(result).toEqual(large);
     });
+
+    it("treats NaN as equal to itself, -0 as equal to 0, and Dates with the same time as equal", function() {
+      var dates = [new Date(2000, 0, 1), new Date(2000, 0, 1), new Date(2001, 0, 1)],
+          source = [NaN, 0, -0, NaN].concat(dates);
+
+      function uniqueValues(sequence) {
+        var values = sequence.uniq().toArray();
+        return [values.length, isNaN(values[0]), values[1], values[2], values[3]];
+      }
+
+      // The same for small arrays, big ones and other sequences.
+      var expected = [4, true, 0, dates[0], dates[2]];
+      expect(uniqueValues(Lazy(source))).toEqual(expected);
+      expect(uniqueValues(Lazy(source).map(function(x) { return x; }))).toEqual(expected);
+      expect(uniqueValues(Lazy(source).concat(Lazy.repeat(0, 200).toArray()))).toEqual(expected);
+      expect(uniqueValues(Lazy(source).filter(function() { return true; }))).toEqual(expected);
+    });
+
+    it("handles many distinct objects", function() {
+      var objects = Lazy.range(1000).map(function(i) { return { id: i }; }).toArray(),
+          result = Lazy(objects.concat(objects)).uniq().toArray();
+      expect(result).toEqual(objects);
+    });
+
+    it("compares elements with the given hash and equals functions", function() {
+      var points = [{ x: 1, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 3 }, { x: 2, y: 2 }],
+          compared = 0;
+
+      var result = Lazy(points).uniq({
+        hash: function(p) { return p.x; },
+        equals: function(p, q) {
+          ++compared;
+          return p.x === q.x && p.y === q.y;
+        }
+      });
+
+      expect(result.toArray()).toEqual([points[0], points[2], points[3]]);
+
+      // Only points with the same x are compared.
+      expect(compared).toEqual(2);
+    });
+
+    it("treats a function as a key function, like uniqBy", function() {
+      function parity(x) { return x % 2; }
+
+      expect(Lazy([1, 2, 3, 4]).uniq(parity).toArray()).toEqual([1, 2]);
+      expect(Lazy([1, 2, 3, 4]).map(function(x) { return x; }).uniq(parity).toArray()).toEqual([1, 2]);
+      expect(Lazy([1, 2, 3, 4]).unique(parity).toArray()).toEqual([1, 2]);
+
+      if (typeof Set === "function") {
+        expect(Lazy(new Set([1, 2, 3, 4])).uniq(parity).toArray()).toEqual([1, 2]);
+      }
+    });
+
+    it("treats elements with equal hashes as equal if no equals function is given", function() {
+      var result = Lazy(["apple", "Avocado", "banana"]).uniq({
+        hash: function(s) { return s.charAt(0).toLowerCase(); }
+      });
+      expect(result.toArray()).toEqual(["apple", "banana"]);
+    });
+
+    it("can compare elements with only an equals function", function() {
+      var result = Lazy.range(10).uniq({
+        equals: function(x, y) { return x % 3 === y % 3; }
+      });
+      expect(result.toArray()).toEqual([0, 1, 2]);
+    });
+
+    describe("deep", function() {
+      it("compares arrays and plain objects by their contents", function() {
+        var records = [
+          { id: 1, tags: ["a", "b"], meta: { at: new Date(0) } },
+          { tags: ["a", "b"], meta: { at: new Date(0) }, id: 1 },
+          { id: 1, tags: ["b", "a"], meta: { at: new Date(0) } },
+          { id: 1, tags: ["a", "b"], meta: { at: new Date(1) } },
+          { id: 1, tags: ["a", "b"], meta: { at: new Date(0) }, extra: undefined },
+          [1, 2],
+          [1, 2],
+          [1, "2"]
+        ];
+
+        var result = Lazy(records).uniq({ deep: true }).toArray();
+        expect(result).toEqual([records[0], records[2], records[3], records[4], records[5], records[7]]);
+        expect(result[0]).toBe(records[0]);
+      });
+
+      it("compares other objects by identity", function() {
+        var person = new Person("Dan", 30, "M");
+        var result = Lazy([person, person, new Person("Dan", 30, "M")]).uniq({ deep: true });
+        expect(result.toArray().length).toEqual(2);
+      });
+    });
+  });
+
+  describe("uniqBy", function() {
+    ensureLaziness(function() { Lazy(people).uniqBy(Person.getGender); });
+
+    it("returns the first element with each unique key", function() {
+      expect(Lazy(people).uniqBy(Person.getGender).toArray()).toEqual([david, mary]);
+    });
+
+    it("accepts the name of a property as the key", function() {
+      var records = [{ id: 1, v: "a" }, { id: 2, v: "b" }, { id: 1, v: "c" }];
+      expect(Lazy(records).uniqBy("id").toArray()).toEqual([records[0], records[1]]);
+    });
+
+    it("compares keys with the given equals function or options", function() {
+      var readings = [{ at: 0.1 }, { at: 0.12 }, { at: 0.5 }, { at: 0.48 }];
+      var nearby = Lazy(readings).distinctBy("at", function(x, y) { return Math.abs(x - y) < 0.05; });
+      expect(nearby.toArray()).toEqual([readings[0], readings[2]]);
+
+      var records = [{ tags: ["a"] }, { tags: ["a"] }, { tags: ["b"] }];
+      expect(Lazy(records).distinctBy("tags", { deep: true }).toArray()).toEqual([records[0], records[2]]);
+    });
+
+    it("produces each element as soon as it is seen, even from indefinite sequences", function() {
+      var generated = 0;
+      var result = Lazy.generate(function(i) { ++generated; return { n: i % 5 }; })
+        .uniqBy("n")
+        .take(3);
+
+      expect(result.toArray()).toEqual([{ n: 0 }, { n: 1 }, { n: 2 }]);
+      expect(generated).toEqual(3);
+      expect(Lazy.generate(function(i) { return [i % 2]; }).uniq({ deep: true }).take(2).toArray()).toEqual([[0], [1]]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy(people).uniqBy(Person.getGender)).toPassToEach(1, [0, 1]);
+    });
   });
 
   describe("zip", function() {
@@ -839,8 +2865,128 @@ describe("Lazy", function() {
       ]);
     });
 
-    it("passes an index along with each element", function() {
-      expect(Lazy(names).zip(people)).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
+    it("passes an index along with each element", function() {
+      expect(Lazy(names).zip(people)).toPassToEach(1, [0, 1, 2, 3, 4, 5]);
+    });
+  });
+
+  describe("joins", function() {
+    var customers = [
+      { id: 1, name: "Ann" },
+      { id: 2, name: "Bob" },
+      { id: 4, name: "Dee" }
+    ];
+
+    var orders = [
+      { id: 10, customerId: 2, total: 25 },
+      { id: 11, customerId: 1, total: 30 },
+      { id: 12, customerId: 3, total: 5 },
+      { id: 13, customerId: 2, total: 40 },
+      { id: 14, customerId: null, total: 1 }
+    ];
+
+    function describeMatch(order, customer) {
+      return (order ? order.id : "-") + ":" + (customer ? customer.name : "-");
+    }
+
+    ensureLaziness(function() { Lazy(people).innerJoin(people, Person.getAge, Person.getAge); });
+
+    describe("innerJoin", function() {
+      it("pairs each element with every element of the other collection with the same key", function() {
+        expect(Lazy(orders).innerJoin(customers, "customerId", "id", describeMatch).toArray())
+          .toEqual(["10:Bob", "11:Ann", "13:Bob"]);
+      });
+
+      it("produces [left, right] pairs by default", function() {
+        expect(Lazy([1, 2, 2]).innerJoin(Lazy([2, 3, 2]), null, null).toArray())
+          .toEqual([[2, 2], [2, 2], [2, 2], [2, 2]]);
+      });
+
+      it("doesn't coerce keys to strings", function() {
+        expect(Lazy([1, "1", true]).innerJoin([1, "true"], null, null).toArray()).toEqual([[1, 1]]);
+      });
+
+      it("indexes the other collection once per iteration, and stops early when possible", function() {
+        var other = Lazy(customers).map(function(customer) {
+          ++other.reads;
+          return customer;
+        });
+        other.reads = 0;
+
+        var joined = Lazy(orders).innerJoin(other, "customerId", "id");
+        expect(other.reads).toEqual(0);
+
+        expect(joined.first()).toEqual([orders[0], customers[1]]);
+        expect(other.reads).toEqual(3);
+        expect(joined.take(2).toArray().length).toEqual(2);
+        expect(other.reads).toEqual(6);
+      });
+
+      it("sees changes to the other collection made after it was first iterated", function() {
+        var others = [{ id: 1 }],
+            joined = Lazy([1, 2]).innerJoin(others, null, "id");
+
+        expect(joined.toArray()).toEqual([[1, { id: 1 }]]);
+        others.push({ id: 2 });
+        expect(joined.toArray()).toEqual([[1, { id: 1 }], [2, { id: 2 }]]);
+      });
+
+      it("is a different method from join, which always builds a string", function() {
+        expect(Lazy([1, 2]).join([3])).toEqual("1,2");
+      });
+
+      it("passes an index along with each element", function() {
+        expect(Lazy(orders).innerJoin(customers, "customerId", "id")).toPassToEach(1, [0, 1, 2]);
+      });
+
+      createAsyncResultTest("works when this sequence is asynchronous", {
+        getResult: function() {
+          return Lazy(orders).async().innerJoin(customers, "customerId", "id", describeMatch).toArray();
+        },
+        expected: ["10:Bob", "11:Ann", "13:Bob"]
+      });
+    });
+
+    describe("leftJoin", function() {
+      it("keeps the elements of this sequence that have no match", function() {
+        expect(Lazy(orders).leftJoin(customers, "customerId", "id", describeMatch).toArray())
+          .toEqual(["10:Bob", "11:Ann", "12:-", "13:Bob", "14:-"]);
+      });
+    });
+
+    describe("rightJoin", function() {
+      it("keeps the elements of the other collection that have no match, at the end", function() {
+        expect(Lazy(orders).rightJoin(customers, "customerId", "id", describeMatch).toArray())
+          .toEqual(["10:Bob", "11:Ann", "13:Bob", "-:Dee"]);
+      });
+    });
+
+    describe("fullOuterJoin", function() {
+      it("keeps every element from both sides", function() {
+        expect(Lazy(orders).fullOuterJoin(customers, "customerId", "id", describeMatch).toArray())
+          .toEqual(["10:Bob", "11:Ann", "12:-", "13:Bob", "14:-", "-:Dee"]);
+      });
+
+      it("can stop before reaching the unmatched elements", function() {
+        expect(Lazy([1, 2]).fullOuterJoin([2, 3], null, null).take(2).toArray()).toEqual([[1, undefined], [2, 2]]);
+      });
+
+      createAsyncResultTest("works when this sequence is asynchronous", {
+        getResult: function() {
+          return Lazy([1, 2]).async().fullOuterJoin([2, 3], null, null).toArray();
+        },
+        expected: [[1, undefined], [2, 2], [undefined, 3]]
+      });
+    });
+
+    describe("groupJoin", function() {
+      it("pairs each element with all of its matches", function() {
+        var totals = Lazy(customers).groupJoin(orders, "id", "customerId", function(customer, orders) {
+          return [customer.name, Lazy(orders).pluck("total").sum()];
+        });
+
+        expect(totals.toArray()).toEqual([["Ann", 30], ["Bob", 65], ["Dee", 0]]);
+      });
     });
   });
 
@@ -981,6 +3127,12 @@ describe("Lazy", function() {
       Lazy(people).map(Person.getGender).last();
       expect(Person.objectsTouched).toEqual(1);
     });
+
+    it("if given a predicate, returns the elements at the end that satisfy it", function() {
+      expect(Lazy([5, 1, 7, 2, 4]).last(function(x) { return x % 2 === 0; }).toArray()).toEqual([2, 4]);
+      expect(Lazy(people).last(Person.isMale).toArray()).toEqual([]);
+      expect(Lazy(people).sortBy(Person.getAge).last(Person.isMale).toArray()).toEqual([david]);
+    });
   });
 
   describe("reduce", function() {
@@ -1035,6 +3187,142 @@ describe("Lazy", function() {
     });
   });
 
+  describe("scan", function() {
+    var add = function(x, y) { return x + y; };
+
+    ensureLaziness(function() { Lazy(people).map(Person.getAge).scan(add); });
+
+    it("produces the running results of aggregating the collection", function() {
+      expect(Lazy([1, 2, 3, 4]).scan(add).toArray()).toEqual([1, 3, 6, 10]);
+      expect(Lazy([3, 1, 4, 1, 5]).scan(Math.max).toArray()).toEqual([3, 3, 4, 4, 5]);
+      expect(Lazy([]).scan(add).toArray()).toEqual([]);
+    });
+
+    it("starts with the seed, if one is given", function() {
+      expect(Lazy(["a", "b", "c"]).scan(add, ">").toArray()).toEqual([">a", ">ab", ">abc"]);
+      expect(Lazy([1, 2]).filter(function() { return true; }).scan(add, 10).toArray()).toEqual([11, 13]);
+    });
+
+    it("passes the index of each element to the aggregator", function() {
+      var indices = [];
+      Lazy([1, 2, 3]).scan(function(x, y, i) { indices.push(i); return x + y; }, 0).toArray();
+      expect(indices).toEqual([0, 1, 2]);
+    });
+
+    it("has the same length as an array-like collection, with random access", function() {
+      var totals = Lazy([1, 2, 3, 4]).scan(add);
+      expect(totals.length()).toEqual(4);
+      expect(totals.get(2)).toEqual(6);
+      expect(totals.get(4)).toBeUndefined();
+    });
+
+    it("gets its length from an array-like collection without aggregating anything", function() {
+      var calls = 0,
+          counted = function(x, y) { ++calls; return x + y; };
+
+      expect(Lazy([1, 2, 3, 4]).scan(counted).length()).toEqual(4);
+      expect(Lazy([1, 2, 3, 4]).scan(counted, 0).length()).toEqual(4);
+      expect(Lazy([1, 2, 3]).mapWithState(function(s, x) { ++calls; return [s, x]; }).length()).toEqual(3);
+      expect(calls).toEqual(0);
+    });
+
+    it("only aggregates each element once when mapped over", function() {
+      var calls = 0,
+          totals = Lazy(Lazy.range(100).toArray()).scan(function(x, y) { ++calls; return x + y; });
+
+      expect(totals.map(function(x) { return x * 2; }).toArray()[99]).toEqual(9900);
+      expect(calls).toEqual(99);
+    });
+
+    it("works with indefinite sequences", function() {
+      var totals = Lazy.generate(function(i) { return i + 1; }).scan(add).take(4);
+      expect(totals.toArray()).toEqual([1, 3, 6, 10]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy([1, 2, 3]).scan(add)).toPassToEach(1, [0, 1, 2]);
+      expect(Lazy([1, 2, 3]).filter(function() { return true; }).scan(add)).toPassToEach(1, [0, 1, 2]);
+    });
+
+    createAsyncResultTest("works with asynchronous sequences", {
+      getResult: function() { return Lazy([1, 2, 3]).async().scan(add).toArray(); },
+      expected: [1, 3, 6]
+    });
+  });
+
+  describe("scanRight", function() {
+    var add = function(x, y) { return x + y; };
+
+    ensureLaziness(function() { Lazy(people).map(Person.getAge).scanRight(add); });
+
+    it("produces the running results of aggregating the collection from the tail", function() {
+      expect(Lazy([1, 2, 3, 4]).scanRight(add).toArray()).toEqual([10, 9, 7, 4]);
+      expect(Lazy(["a", "b", "c"]).filter(function() { return true; }).scanRight(add, "<").toArray()).toEqual(["<cba", "<cb", "<c"]);
+      expect(Lazy([]).filter(function() { return true; }).scanRight(add).toArray()).toEqual([]);
+    });
+
+    it("has the same length as an array-like collection, with random access", function() {
+      var totals = Lazy([1, 2, 3, 4]).scanRight(add);
+      expect(totals.length()).toEqual(4);
+      expect(totals.get(1)).toEqual(9);
+      expect(totals.get(3)).toEqual(4);
+      expect(Lazy([1, 2, 3, 4]).scanRight(add, 100).get(3)).toEqual(104);
+    });
+
+    createAsyncResultTest("works with asynchronous sequences", {
+      getResult: function() { return Lazy([1, 2, 3]).async().scanRight(add).toArray(); },
+      expected: [6, 5, 3]
+    });
+  });
+
+  describe("mapWithState", function() {
+    function movingAverage(window, x) {
+      window = window.concat([x]).slice(-3);
+      return [window, Lazy(window).sum() / window.length];
+    }
+
+    ensureLaziness(function() { Lazy(people).map(Person.getAge).mapWithState(movingAverage, []); });
+
+    it("passes the state returned for each element along to the next", function() {
+      expect(Lazy([1, 2, 3, 4, 5]).mapWithState(movingAverage, []).toArray()).toEqual([1, 1.5, 2, 3, 4]);
+    });
+
+    it("starts each iteration with the initial state", function() {
+      var numbered = Lazy(["a", "b"]).filter(function() { return true; }).mapWithState(function(n, x) {
+        return [n + 1, x + n];
+      }, 1);
+
+      expect(numbered.toArray()).toEqual(["a1", "b2"]);
+      expect(numbered.toArray()).toEqual(["a1", "b2"]);
+    });
+
+    it("creates a fresh initial state for each iteration from a function", function() {
+      var numbered = Lazy(["a", "a", "b", "a"]).mapWithState(function(counts, x) {
+        counts[x] = (counts[x] || 0) + 1;
+        return [counts, x + counts[x]];
+      }, function() { return {}; });
+
+      expect(numbered.toArray()).toEqual(["a1", "a2", "b1", "a3"]);
+      expect(numbered.toArray()).toEqual(["a1", "a2", "b1", "a3"]);
+
+      var iterator = numbered.getIterator();
+      iterator.moveNext();
+      iterator.moveNext();
+      expect(iterator.current()).toEqual("a2");
+    });
+
+    it("has the same length as an array-like collection, with random access", function() {
+      var averages = Lazy([1, 2, 3, 4, 5]).mapWithState(movingAverage, []);
+      expect(averages.length()).toEqual(5);
+      expect(averages.get(4)).toEqual(4);
+    });
+
+    createAsyncResultTest("works with asynchronous sequences", {
+      getResult: function() { return Lazy([1, 2, 3, 4]).async().mapWithState(movingAverage, []).toArray(); },
+      expected: [1, 1.5, 2, 3]
+    });
+  });
+
   describe("indexOf", function() {
     it("returns the index of the specified element in the collection", function() {
       expect(Lazy(people).indexOf(adam)).toEqual(3);
@@ -1074,6 +3362,53 @@ describe("Lazy", function() {
     it("returns the minimum value from the collection", function() {
       expect(Lazy(people).map(Person.getAge).min()).toEqual(25);
     });
+
+    it("returns the element with the lowest value for the given key", function() {
+      expect(Lazy(people).min(Person.getAge)).toBe(happy);
+      expect(Lazy(["pear", "fig", "kiwi"]).min("length")).toEqual("fig");
+    });
+
+    it("returns the first of equally small elements", function() {
+      expect(Lazy(people).min(function(p) { return p.getAge() > 40; })).toBe(lauren);
+    });
+
+    it("skips undefined, null and NaN values", function() {
+      expect(Lazy([NaN, 3, null, 1, undefined]).min()).toEqual(1);
+      expect(Lazy([NaN, null]).min()).toBeUndefined();
+    });
+
+    it("puts numbers before strings, and strings before anything else", function() {
+      expect(Lazy(["a", new Date(0), 10, "1"]).min()).toEqual(10);
+      expect(Lazy([new Date(5), new Date(0)]).min()).toEqual(new Date(0));
+    });
+
+    it("takes a callback after the key", function() {
+      var passed;
+      expect(Lazy([3, 1, 2]).min(null, function(err, min) { passed = min; })).toEqual(1);
+      expect(passed).toEqual(1);
+    });
+
+    it("always treats a lone function as the key, whatever its arity", function() {
+      function negate(x, i) { return -x; }
+      expect(Lazy([3, 1, 2]).min(negate)).toEqual(3);
+      expect(Lazy([3, 1, 2]).max(negate)).toEqual(1);
+      expect(Lazy([3, 1, 2]).sum(negate)).toEqual(-6);
+    });
+  });
+
+  describe("minBy", function() {
+    it("returns the element with the lowest value for the given key", function() {
+      expect(Lazy(people).minBy(Person.getAge)).toBe(happy);
+    });
+
+    it("returns undefined for an empty collection", function() {
+      expect(Lazy([]).minBy(Person.getAge)).toBeUndefined();
+    });
+
+    createAsyncResultTest("resolves with the element from an asynchronous sequence", {
+      getResult: function() { return Lazy(people).async().minBy(Person.getAge); },
+      expected: function() { return happy; }
+    });
   });
 
   describe("max", function() {
@@ -1084,6 +3419,223 @@ describe("Lazy", function() {
     it("returns the maximum value from the collection", function() {
       expect(Lazy(people).map(Person.getAge).max()).toEqual(63);
     });
+
+    it("returns the element with the highest value for the given key", function() {
+      expect(Lazy(people).max(Person.getAge)).toBe(david);
+    });
+
+    it("returns the first of equally big elements", function() {
+      expect(Lazy(people).max(Person.getGender)).toBe(david);
+    });
+
+    it("skips undefined, null and NaN values", function() {
+      expect(Lazy([NaN, 3, null, 1, undefined]).max()).toEqual(3);
+    });
+
+    it("puts numbers before strings, and strings before anything else", function() {
+      expect(Lazy([10, "a", "1"]).max()).toEqual("a");
+      expect(Lazy([10, new Date(0), "b"]).max()).toEqual(new Date(0));
+    });
+  });
+
+  describe("maxBy", function() {
+    it("returns the element with the highest value for the given key", function() {
+      expect(Lazy(people).maxBy(Person.getAge)).toBe(david);
+      expect(Lazy([{ n: 1 }, { n: 2 }]).maxBy("n")).toEqual({ n: 2 });
+    });
+  });
+
+  describe("extent", function() {
+    it("returns the least and greatest elements", function() {
+      expect(Lazy([6, 18, 2, 49, 34]).extent()).toEqual([2, 49]);
+      expect(Lazy([NaN, 1]).extent()).toEqual([1, 1]);
+    });
+
+    it("accepts a key function or property name", function() {
+      expect(Lazy(people).extent(Person.getAge)).toEqual([happy, david]);
+      expect(Lazy(["pear", "fig", "banana"]).extent("length")).toEqual(["fig", "banana"]);
+    });
+
+    it("returns undefined for an empty collection", function() {
+      expect(Lazy([]).extent()).toBeUndefined();
+    });
+
+    it("iterates only once", function() {
+      var iterations = 0;
+      Lazy([1, 2, 3]).map(function(x) { ++iterations; return x; }).extent();
+      expect(iterations).toEqual(3);
+    });
+  });
+
+  describe("sum", function() {
+    it("returns 0 for an empty collection", function() {
+      expect(Lazy([]).sum()).toEqual(0);
+    });
+
+    it("adds up the values for the given key", function() {
+      expect(Lazy(people).sum(Person.getAge)).toEqual(240);
+      expect(Lazy([{ total: 5 }, { total: 10 }]).sum("total")).toEqual(15);
+    });
+
+    it("converts values to numbers, skipping any that aren't", function() {
+      expect(Lazy([1, "2", undefined, NaN, "three", null]).sum()).toEqual(3);
+    });
+  });
+
+  describe("mean", function() {
+    it("returns the average of the values in the collection", function() {
+      expect(Lazy([1, 2, 3, 4]).mean()).toEqual(2.5);
+    });
+
+    it("accepts a key function or property name", function() {
+      expect(Lazy(people).mean(Person.getAge)).toEqual(40);
+      expect(Lazy([{ ms: 120 }, { ms: 80 }]).mean("ms")).toEqual(100);
+    });
+
+    it("returns NaN for an empty collection", function() {
+      expect(Lazy([]).mean()).toBeNaN();
+    });
+
+    it("keeps its precision for large values", function() {
+      expect(Lazy([1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16]).variance()).toEqual(22.5);
+    });
+
+    createAsyncResultTest("resolves with the mean of an asynchronous sequence", {
+      getResult: function() { return Lazy(people).async().mean(Person.getAge); },
+      expected: 40
+    });
+  });
+
+  describe("variance", function() {
+    it("returns the population variance of the values in the collection", function() {
+      expect(Lazy([2, 4, 4, 4, 5, 5, 7, 9]).variance()).toEqual(4);
+    });
+
+    it("returns NaN for an empty collection", function() {
+      expect(Lazy([]).variance()).toBeNaN();
+    });
+  });
+
+  describe("stdDev", function() {
+    it("returns the population standard deviation of the values in the collection", function() {
+      expect(Lazy([2, 4, 4, 4, 5, 5, 7, 9]).stdDev()).toEqual(2);
+      expect(Lazy([{ n: 1 }, { n: 3 }]).stdDev("n")).toEqual(1);
+    });
+  });
+
+  describe("percentile", function() {
+    it("interpolates between the closest values", function() {
+      expect(Lazy([50, 15, 35, 20, 40]).percentile(40)).toEqual(29);
+      expect(Lazy([50, 15, 35, 20, 40]).percentile(0)).toEqual(15);
+      expect(Lazy([50, 15, 35, 20, 40]).percentile(100)).toEqual(50);
+    });
+
+    it("accepts a key function or property name", function() {
+      expect(Lazy(people).percentile(100, Person.getAge)).toEqual(63);
+      expect(Lazy(people).percentile(100, { key: Person.getAge })).toEqual(63);
+    });
+
+    it("returns undefined for an empty collection", function() {
+      expect(Lazy([]).percentile(50)).toBeUndefined();
+      expect(Lazy([]).percentile(50, { approximate: true })).toBeUndefined();
+    });
+
+    it("throws unless given a number from 0 to 100", function() {
+      expect(function() { Lazy([1]).percentile(101); }).toThrow();
+      expect(function() { Lazy([1]).percentile(); }).toThrow();
+    });
+
+    it("estimates the percentile closely in approximate mode", function() {
+      var values = Lazy.range(10000).map(function(i) { return (i * 7919) % 10000; });
+      expect(Math.abs(values.percentile(90, { approximate: true }) - 8999.1)).toBeLessThan(50);
+      expect(Math.abs(values.percentile(10, { approximate: true }) - 999.9)).toBeLessThan(50);
+    });
+
+    it("is exact in approximate mode for fewer than five values", function() {
+      expect(Lazy([4, 1, 3, 2]).percentile(50, { approximate: true })).toEqual(2.5);
+    });
+
+    createAsyncResultTest("resolves with the percentile of an asynchronous sequence", {
+      getResult: function() { return Lazy([5, 1, 4, 2, 3]).async().percentile(25); },
+      expected: 2
+    });
+  });
+
+  describe("median", function() {
+    it("returns the middle value, or the mean of the middle two", function() {
+      expect(Lazy([3, 1, 2]).median()).toEqual(2);
+      expect(Lazy([4, 1, 3, 2]).median()).toEqual(2.5);
+      expect(Lazy(people).median(Person.getAge)).toEqual(31);
+    });
+  });
+
+  describe("quantiles", function() {
+    it("returns the values dividing the collection into the given number of parts", function() {
+      expect(Lazy.range(1, 10).quantiles(4)).toEqual([3, 5, 7]);
+      expect(Lazy.range(1, 10).quantiles(1)).toEqual([]);
+    });
+
+    it("estimates them in approximate mode", function() {
+      var quartiles = Lazy.range(10000).map(function(i) { return (i * 7919) % 10000; }).quantiles(4, { approximate: true });
+      expect(quartiles.length).toEqual(3);
+      expect(Math.abs(quartiles[1] - 4999.5)).toBeLessThan(50);
+    });
+
+    it("throws unless given a positive integer", function() {
+      expect(function() { Lazy([1]).quantiles(0); }).toThrow();
+    });
+  });
+
+  describe("mode", function() {
+    it("returns the most common value", function() {
+      expect(Lazy([1, 2, 2, 3, 3, 3]).mode()).toEqual(3);
+    });
+
+    it("favors the value that became most common first", function() {
+      expect(Lazy([1, 2, 2, 3, 3]).mode()).toEqual(2);
+    });
+
+    it("accepts a key function or property name", function() {
+      expect(Lazy(people).mode(Person.getGender)).toEqual("M");
+      expect(Lazy([{ n: 1 }, { n: 2 }, { n: 2 }]).mode("n")).toEqual(2);
+    });
+
+    it("returns undefined for an empty collection", function() {
+      expect(Lazy([]).mode()).toBeUndefined();
+    });
+  });
+
+  describe("histogram", function() {
+    it("counts the values in each of the given number of evenly spaced bins", function() {
+      expect(Lazy([1, 2, 2, 5, 9, 10]).histogram(3)).toEqual([
+        { start: 1, end: 4, count: 3 },
+        { start: 4, end: 7, count: 1 },
+        { start: 7, end: 10, count: 2 }
+      ]);
+    });
+
+    it("counts the values in bins with the given boundaries, ignoring others", function() {
+      expect(Lazy(people).histogram([20, 30, 40, 60], Person.getAge)).toEqual([
+        { start: 20, end: 30, count: 2 },
+        { start: 30, end: 40, count: 2 },
+        { start: 40, end: 60, count: 0 }
+      ]);
+    });
+
+    it("returns no bins for an empty collection", function() {
+      expect(Lazy([]).histogram(3)).toEqual([]);
+    });
+
+    it("returns a single bin when every value is the same", function() {
+      expect(Lazy([4, 4, 4]).histogram(3)).toEqual([{ start: 4, end: 4, count: 3 }]);
+      expect(Lazy([7]).histogram(1)).toEqual([{ start: 7, end: 7, count: 1 }]);
+    });
+
+    it("throws when given invalid bins", function() {
+      expect(function() { Lazy([1]).histogram(0); }).toThrow();
+      expect(function() { Lazy([1]).histogram([1]); }).toThrow();
+      expect(function() { Lazy([1]).histogram([2, 1]); }).toThrow();
+    });
   });
 
   describe("chaining methods together", function() {
@@ -1156,9 +3708,7 @@ describe("Lazy", function() {
     });
   });
 
-  // ----- Tests for experimental functionality -----
-
-  xdescribe("parsing JSON", function() {
+  describe("parse", function() {
     it("translates a JSON array of strings", function() {
       var json = JSON.stringify(["foo", "bar", "baz"]);
       expect(Lazy.parse(json).toArray()).toEqual(["foo", "bar", "baz"]);
@@ -1173,5 +3723,196 @@ describe("Lazy", function() {
       var json = JSON.stringify([1.2, 34.56]);
       expect(Lazy.parse(json).toArray()).toEqual([1.2, 34.56]);
     });
+
+    it("handles negative numbers and exponents", function() {
+      expect(Lazy.parse("[-1, -0.5, 1e3, 2.5E-2, -3e+1]").toArray()).toEqual([-1, -0.5, 1000, 0.025, -30]);
+    });
+
+    it("handles true, false, and null", function() {
+      expect(Lazy.parse("[true, false, null]").toArray()).toEqual([true, false, null]);
+    });
+
+    it("handles escape sequences in strings", function() {
+      var strings = ["quote: \"", "backslash: \\", "tab:\t", "newline:\n", "unicode: \u00e9\u2603"];
+      expect(Lazy.parse(JSON.stringify(strings)).toArray()).toEqual(strings);
+    });
+
+    it("fully parses nested arrays and objects", function() {
+      var data = [
+        { name: "Dan", tags: ["a", "b"], address: { city: "SF", zip: null } },
+        [[1, 2], [], {}],
+        "after"
+      ];
+      expect(Lazy.parse(JSON.stringify(data, null, 2)).toArray()).toEqual(data);
+    });
+
+    it("keeps a \"__proto__\" key as an own property, like JSON.parse", function() {
+      var object = Lazy.parse("[{ \"__proto__\": { \"polluted\": true } }]").first();
+      expect(Object.prototype.hasOwnProperty.call(object, "__proto__")).toBe(true);
+      expect(object.polluted).toBeUndefined();
+      expect(object["__proto__"]).toEqual({ polluted: true });
+    });
+
+    it("allows whitespace anywhere between tokens", function() {
+      var json = " \r\n\t[ 1 ,\n\t{ \"a\" : [ 2 ] } ,\r\n \"b\" ] \n";
+      expect(Lazy.parse(json).toArray()).toEqual([1, { a: [2] }, "b"]);
+    });
+
+    it("handles empty arrays", function() {
+      expect(Lazy.parse(" [ ] ").toArray()).toEqual([]);
+    });
+
+    it("only parses as much as it needs to", function() {
+      expect(Lazy.parse("[1, 2, 3, this is not valid JSON").take(3).toArray()).toEqual([1, 2, 3]);
+    });
+
+    it("passes an index along with each element", function() {
+      expect(Lazy.parse("[\"a\", \"b\", \"c\"]")).toPassToEach(1, [0, 1, 2]);
+    });
+
+    it("parses JSON split into chunks at arbitrary points", function() {
+      var json = JSON.stringify([{ "key": "val\"ue" }, -12.5e-1, true, null, "\u00e9"]),
+          pieces = [];
+
+      for (var i = 0; i < json.length; i += 3) {
+        pieces.push(json.substring(i, i + 3));
+      }
+
+      expect(Lazy.parse(chunks(pieces)).toArray()).toEqual([{ key: "val\"ue" }, -1.25, true, null, "\u00e9"]);
+    });
+
+    it("stops reading chunks once iteration is ended early", function() {
+      var stream = chunks(["[1, 2", ", 3, 4", ", 5]"]);
+      expect(Lazy.parse(stream).take(2).toArray()).toEqual([1, 2]);
+      expect(stream.chunksRead).toEqual(2);
+    });
+
+    createAsyncTest("supports asynchronous iteration", {
+      getSequence: function() { return Lazy.parse("[1, [2], { \"three\": 3 }]").async(); },
+      expected: [1, [2], { three: 3 }]
+    });
+
+    describe("when the JSON is invalid", function() {
+      function parseError(json, path) {
+        try {
+          Lazy.parse(json, path).toArray();
+        } catch (e) {
+          return e;
+        }
+      }
+
+      it("raises a JsonParseError with the line, column, and offset of the problem", function() {
+        var error = parseError("[1,\n  2,\n  oops]");
+        expect(error instanceof Lazy.JsonParseError).toBe(true);
+        expect(error.line).toEqual(3);
+        expect(error.column).toEqual(3);
+        expect(error.offset).toEqual(11);
+        expect(error.message).toMatch(/line 3, column 3/);
+      });
+
+      it("reports invalid numbers", function() {
+        expect(parseError("[1, 01]").message).toMatch(/Invalid number '01'/);
+        expect(parseError("[1.]").message).toMatch(/Invalid number/);
+      });
+
+      it("reports invalid literals", function() {
+        expect(parseError("[nul]").message).toMatch(/Invalid literal 'nul'/);
+      });
+
+      it("reports trailing commas", function() {
+        expect(parseError("[1, 2,]").message).toMatch(/Unexpected token '\]'/);
+      });
+
+      it("reports unterminated arrays", function() {
+        expect(parseError("[1, 2").message).toMatch(/Unexpected end of input/);
+      });
+
+      it("reports unescaped control characters in strings", function() {
+        expect(parseError("[\"foo\nbar\"]").line).toEqual(1);
+      });
+
+      it("reports errors in values that aren't selected", function() {
+        expect(parseError("{ \"skipped\": [1, 2,], \"items\": [] }", "$.items[*]").column).toEqual(20);
+      });
+
+      it("reports text after the end of the document", function() {
+        expect(parseError("[1] 2").message).toMatch(/expected the end of input/);
+      });
+
+      it("reports a document that isn't an array or object when the path looks inside it", function() {
+        expect(parseError("42").message).toMatch(/Unexpected token '4' \(expected an array or object/);
+        expect(parseError(" \"foo\"", "$.items[*]").column).toEqual(2);
+      });
+    });
+
+    describe("with a path", function() {
+      var envelope = JSON.stringify({
+        meta: { count: 2, items: ["not", "these"] },
+        items: [{ id: 1 }, { id: 2 }]
+      });
+
+      function parse(json, path) {
+        return Lazy.parse(json, path).toArray();
+      }
+
+      it("selects the elements of an array nested inside an object", function() {
+        expect(parse(envelope, "$.items[*]")).toEqual([{ id: 1 }, { id: 2 }]);
+      });
+
+      it("selects members of objects by name", function() {
+        expect(parse(envelope, "$.meta.count")).toEqual([2]);
+        expect(parse(envelope, "$['meta'][\"items\"]")).toEqual([["not", "these"]]);
+      });
+
+      it("selects elements of arrays by index", function() {
+        expect(parse(envelope, "$.items[1].id")).toEqual([2]);
+      });
+
+      it("selects every member of an object with a wildcard", function() {
+        expect(parse("{ \"a\": 1, \"b\": [2], \"c\": {} }", "$.*")).toEqual([1, [2], {}]);
+        expect(parse("{ \"a\": 1, \"b\": 2 }")).toEqual([1, 2]);
+      });
+
+      it("selects matching values at any depth with '..'", function() {
+        var json = JSON.stringify({
+          users: [{ email: "a@example.com" }],
+          groups: [{ users: [{ email: "b@example.com" }, { name: "c" }] }]
+        });
+
+        expect(parse(json, "$..users[*].email")).toEqual(["a@example.com", "b@example.com"]);
+        expect(parse(json, "$..email")).toEqual(["a@example.com", "b@example.com"]);
+      });
+
+      it("selects the whole document with '$'", function() {
+        expect(parse(envelope, "$")).toEqual([JSON.parse(envelope)]);
+        expect(parse(" 42 ", "$")).toEqual([42]);
+        expect(parse("\"foo\"", "$")).toEqual(["foo"]);
+      });
+
+      it("doesn't separately produce matches nested inside selected values", function() {
+        expect(parse("{ \"a\": { \"a\": 1 } }", "$..a")).toEqual([{ a: 1 }]);
+      });
+
+      it("produces nothing when the path doesn't match", function() {
+        expect(parse(envelope, "$.missing[*]")).toEqual([]);
+        expect(parse("[1, 2]", "$.items")).toEqual([]);
+      });
+
+      it("only parses as much as it needs to", function() {
+        var json = "{ \"items\": [1, 2, 3, this is not valid JSON";
+        expect(Lazy.parse(json, "$.items[*]").take(2).toArray()).toEqual([1, 2]);
+      });
+
+      it("parses chunked JSON", function() {
+        var stream = chunks(["{ \"meta\": { \"ite", "ms\": [0] }, \"it", "ems\": [1, ", "2] }"]);
+        expect(Lazy.parse(stream, "$.items[*]").toArray()).toEqual([1, 2]);
+        expect(stream.parse("$.meta.items[0]").toArray()).toEqual([0]);
+      });
+
+      it("raises an error for an invalid path", function() {
+        expect(function() { Lazy.parse("[]", "items[*]"); }).toThrow();
+        expect(function() { Lazy.parse("[]", "$.items[?]"); }).toThrow();
+      });
+    });
   });
 });
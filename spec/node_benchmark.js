@@ -127,6 +127,27 @@ suite.add("uniq", {
   }
 });
 
+// A long chain of maps and filters, compiled and not.
+var chain = Lazy(input)
+  .map(function(x) { return x + 1; })
+  .filter(function(x) { return x % 3 !== 0; })
+  .map(function(x) { return x * 2; })
+  .filter(function(x) { return x % 5 !== 0; })
+  .map(function(x) { return x - 1; });
+
+var compiledChain = chain.compile();
+
+suite.add("compile", {
+  tests: {
+    "Lazy.js": function(array) { chain.each(function(e) {}); },
+    "Lazy.js (compiled)": function(array) { compiledChain.each(function(e) {}); }
+  },
+
+  inputs: {
+    "array": [input]
+  }
+});
+
 console.log("Running benchmarks...");
 
 suite.run();
@@ -1,11 +1,258 @@
-var fs   = require("fs");
+var fs     = require("fs");
+var os     = require("os");
+var path   = require("path");
+var Stream = require("stream");
 
 global.Lazy = require("../lazy.node.js");
 
 require("./support/person.js");
 require("./lazy_spec.js");
 
+describe("ES2015 iteration", function() {
+  it("supports for...of and spread on any sequence", function() {
+    var result = [];
+    for (let x of Lazy([1, 2, 3]).map(x => x * 2)) {
+      result.push(x);
+    }
+    expect(result).toEqual([2, 4, 6]);
+    expect([...Lazy.range(3)]).toEqual([0, 1, 2]);
+  });
+
+  it("wraps generators, closing them if iteration stops early", function() {
+    var closed = false;
+
+    function* naturals() {
+      try {
+        for (let i = 1; ; ++i) {
+          yield i;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+
+    expect(Lazy(naturals()).filter(x => x % 2 === 0).take(3).toArray()).toEqual([2, 4, 6]);
+    expect(closed).toBe(true);
+  });
+
+  it("closes generators when a for...of loop stops early", function() {
+    var closed = 0,
+        result = [];
+
+    function* naturals() {
+      try {
+        for (let i = 1; ; ++i) {
+          yield i;
+        }
+      } finally {
+        ++closed;
+      }
+    }
+
+    for (let x of Lazy(naturals())) {
+      break;
+    }
+    expect(closed).toEqual(1);
+
+    for (let x of Lazy(naturals()).map(x => x * 2).filter(x => x % 4 === 0).drop(1)) {
+      result.push(x);
+      break;
+    }
+    expect(result).toEqual([8]);
+    expect(closed).toEqual(2);
+
+    expect([...Lazy(naturals()).take(2)]).toEqual([1, 2]);
+    expect([...Lazy(naturals()).takeWhile(x => x < 3)]).toEqual([1, 2]);
+    expect(closed).toEqual(4);
+  });
+
+  it("pulls the entries of a Map one at a time", function() {
+    var map = new Map([["a", 1], ["b", 2], ["c", 3]]),
+        iterator = Lazy(map).map((v, k) => k + v).getIterator();
+
+    iterator.moveNext();
+    expect(iterator.current()).toEqual("a1");
+
+    map.delete("b");
+    iterator.moveNext();
+    expect(iterator.current()).toEqual("c3");
+  });
+
+  it("produces [key, value] pairs from keyed sequences, like toArray", function() {
+    var object = { a: 1, b: 2 },
+        map = new Map([["a", 1], [{ id: 2 }, 2]]);
+
+    expect([...Lazy(object)]).toEqual([["a", 1], ["b", 2]]);
+    expect([...Lazy(object)]).toEqual(Lazy(object).toArray());
+    expect([...Lazy(map)]).toEqual([...map]);
+    expect(Array.from(Lazy(map))).toEqual(Lazy(map).toArray());
+    expect([...Lazy([1, 2, 3]).groupBy(x => x % 2)]).toEqual([[1, [1, 3]], [0, [2]]]);
+
+    var entries = [];
+    for (let [key, value] of Lazy(object)) {
+      entries.push(key + value);
+    }
+    expect(entries).toEqual(["a1", "b2"]);
+  });
+
+  it("wraps Maps and Sets", function() {
+    expect(Lazy(new Set([1, 2, 2, 3])).toArray()).toEqual([1, 2, 3]);
+    expect(Lazy(new Map([["a", 1], ["b", 2]])).toArray()).toEqual([["a", 1], ["b", 2]]);
+  });
+
+  it("flattens nested iterables, but not strings", function() {
+    function* letters() {
+      yield "ab";
+      yield new Set(["c", ["d"]]);
+    }
+
+    expect(Lazy([letters(), "e"]).flatten().toArray()).toEqual(["ab", "c", "d", "e"]);
+    expect(Lazy([new Set([1, [2]])]).flatten(1).toArray()).toEqual([1, [2]]);
+    expect(Lazy(["a b", "c"]).flatMap(s => new Set(s.split(" "))).toArray()).toEqual(["a", "b", "c"]);
+  });
+});
+
+describe("errors in asynchronous iteration", function() {
+  var listeners, uncaught;
+
+  // Catches what would otherwise be an uncaught exception, for the length of
+  // a spec.
+  beforeEach(function() {
+    uncaught = [];
+    listeners = process.listeners("uncaughtException");
+    process.removeAllListeners("uncaughtException");
+    process.on("uncaughtException", e => uncaught.push(e));
+  });
+
+  afterEach(function() {
+    process.removeAllListeners("uncaughtException");
+    listeners.forEach(listener => process.on("uncaughtException", listener));
+  });
+
+  function waitForUncaught() {
+    waitsFor(() => uncaught.length > 0, "an uncaught exception", 1000);
+  }
+
+  it("throws an error from each's function if nothing handles it", function() {
+    Lazy([1, 2, 3]).async().each(x => {
+      if (x === 2) {
+        throw "no twos!";
+      }
+    });
+
+    waitForUncaught();
+    runs(() => expect(uncaught).toEqual(["no twos!"]));
+  });
+
+  it("throws an error from a node-style callback, rather than rejecting", function() {
+    var passed, rejected;
+
+    Lazy([1, 2, 3]).async().toArray((err, array) => {
+      passed = array;
+      throw "bad callback!";
+    }).then(null, e => { rejected = e; });
+
+    waitForUncaught();
+    runs(() => {
+      expect(passed).toEqual([1, 2, 3]);
+      expect(uncaught).toEqual(["bad callback!"]);
+      expect(rejected).toBeUndefined();
+    });
+  });
+
+  it("doesn't throw an error once something handles it", function() {
+    var rejected;
+
+    Lazy([1, 2, 3]).async().each(() => { throw "handled"; }).then(null, e => { rejected = e; });
+
+    waitsFor(() => rejected);
+    waits(10);
+    runs(() => {
+      expect(rejected).toEqual("handled");
+      expect(uncaught).toEqual([]);
+    });
+  });
+});
+
+describe("compile", function() {
+  var array = Lazy.range(1000).toArray(),
+      chain = Lazy(array)
+        .map(x => x + 1)
+        .filter(x => x % 3 !== 0)
+        .map(x => x * 2)
+        .filter(x => x % 5 !== 0)
+        .map(x => x - 1);
+
+  it("fuses a long chain of maps and filters into one loop over the array", function() {
+    var compiled = chain.compile();
+
+    expect(compiled.toArray()).toEqual(chain.toArray());
+    expect(compiled.source).toBe(array);
+    expect(compiled.prefix.length + compiled.stages.length).toEqual(5);
+    expect(compiled.loop).not.toBeNull();
+  });
+
+  it("iterates the normal way if code can't be generated", function() {
+    var NativeFunction = global.Function,
+        compiled;
+
+    global.Function = function() {
+      throw new EvalError("Refused to evaluate a string as JavaScript");
+    };
+
+    try {
+      compiled = chain.compile();
+    } finally {
+      global.Function = NativeFunction;
+    }
+
+    expect(compiled.loop).toBeNull();
+    expect(compiled.toArray()).toEqual(chain.toArray());
+    expect(compiled.take(3).toArray()).toEqual(chain.take(3).toArray());
+  });
+});
+
+describe("finding objects without a native Map", function() {
+  var NativeMap = global.Map,
+      NativeWeakMap = global.WeakMap;
+
+  afterEach(function() {
+    global.Map = NativeMap;
+    global.WeakMap = NativeWeakMap;
+  });
+
+  function uniqueObjects() {
+    var objects = Lazy.range(200).map(i => ({ id: i })).toArray();
+    objects.push(Object.freeze({ id: "frozen" }));
+    return Lazy(objects.concat(objects)).uniq().toArray();
+  }
+
+  it("gives each object a hidden id", function() {
+    global.Map = global.WeakMap = undefined;
+
+    var result = uniqueObjects();
+    expect(result.length).toEqual(201);
+    expect(Object.keys(result[0])).toEqual(["id"]);
+    expect(Lazy([result[0], result[1]]).groupBy(x => x).keys().toArray().length).toEqual(2);
+  });
+
+  it("keeps the ids in a WeakMap if there is one", function() {
+    global.Map = undefined;
+
+    var result = uniqueObjects();
+    expect(result.length).toEqual(201);
+    expect(Object.getOwnPropertyNames(result[0])).toEqual(["id"]);
+  });
+});
+
 describe("working with streams", function() {
+  function createStream(chunks) {
+    var stream = new Stream.Readable();
+    stream._read = function() {};
+    chunks.forEach(function(chunk) { stream.push(chunk); });
+    stream.push(null);
+    return stream;
+  }
 
   // TODO: Figure out a smart way to test HTTP streams and other types of
   // streams as well.
@@ -33,6 +280,244 @@ describe("working with streams", function() {
       });
     });
 
+    describe("methods that return values", function() {
+      it("resolve once the stream has been read", function() {
+        var count;
+
+        runs(function() {
+          Lazy.readFile("./spec/data/lines.txt")
+            .lines()
+            .filter(function(line) { return line.length > 0; })
+            .toArray()
+            .then(function(lines) { count = lines.length; });
+        });
+
+        waitsFor(function() {
+          return typeof count === "number";
+        });
+
+        runs(function() {
+          expect(count).toEqual(25);
+        });
+      });
+
+      it("reject if the stream raises an error", function() {
+        var error;
+
+        runs(function() {
+          Lazy.readFile("./spec/data/nonexistent.txt").toArray(function(err) {
+            error = err;
+          });
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error.code).toEqual("ENOENT");
+        });
+      });
+    });
+
+    describe("lines split across chunks", function() {
+      it("are read as single lines", function() {
+        var lines;
+
+        runs(function() {
+          Lazy(createStream(["first li", "ne\r", "\nsecond line\nthi", "rd line"]))
+            .lines()
+            .toArray(function(err, result) { lines = result; });
+        });
+
+        waitsFor(function() {
+          return !!lines;
+        });
+
+        runs(function() {
+          expect(lines).toEqual(["first line", "second line", "third line"]);
+        });
+      });
+    });
+
+    describe("records", function() {
+      it("reads newline-delimited JSON as the stream is read", function() {
+        var events;
+
+        runs(function() {
+          Lazy(createStream(['{"type": "a"}\n{"ty', 'pe": "b"}\n']))
+            .ndjson()
+            .toArray(function(err, result) { events = result; });
+        });
+
+        waitsFor(function() {
+          return !!events;
+        });
+
+        runs(function() {
+          expect(events).toEqual([{ type: "a" }, { type: "b" }]);
+        });
+      });
+
+      it("reads CSV records as the stream is read", function() {
+        var records;
+
+        runs(function() {
+          Lazy(createStream(['name,age\n"Smith, J', 'ane",28\nDan,', '32\n']))
+            .csv({ coerce: { age: Number } })
+            .toArray(function(err, result) { records = result; });
+        });
+
+        waitsFor(function() {
+          return !!records;
+        });
+
+        runs(function() {
+          expect(records).toEqual([{ name: "Smith, Jane", age: 28 }, { name: "Dan", age: 32 }]);
+        });
+      });
+    });
+
+    describe("running accumulations", function() {
+      it("are produced as the stream is read", function() {
+        var totals;
+
+        runs(function() {
+          Lazy(createStream(["1\n2", "\n3\n"]))
+            .lines()
+            .map(Number)
+            .scan(function(x, y) { return x + y; })
+            .toArray(function(err, result) { totals = result; });
+        });
+
+        waitsFor(function() {
+          return !!totals;
+        });
+
+        runs(function() {
+          expect(totals).toEqual([1, 3, 6]);
+        });
+      });
+    });
+
+    describe("statistics", function() {
+      it("are computed as the stream is read", function() {
+        var stats;
+
+        runs(function() {
+          function readValues() {
+            return Lazy(createStream(["4\n1\n", "3\n2", "\n5\n"])).lines().compact().map(Number);
+          }
+
+          readValues().mean(null, (err, mean) => {
+            readValues().percentile(50, { approximate: true }, (err, median) => {
+              stats = { mean, median };
+            });
+          });
+        });
+
+        waitsFor(function() {
+          return !!stats;
+        });
+
+        runs(function() {
+          expect(stats).toEqual({ mean: 3, median: 3 });
+        });
+      });
+    });
+
+    describe("parsing JSON", function() {
+      it("parses the elements of a JSON array as the stream is read", function() {
+        var elements;
+
+        runs(function() {
+          Lazy.parse(Lazy(createStream(['[{"na', 'me": "foo"}, [1,', ' 2], "b', 'ar"]'])))
+            .toArray(function(err, result) { elements = result; });
+        });
+
+        waitsFor(function() {
+          return !!elements;
+        });
+
+        runs(function() {
+          expect(elements).toEqual([{ name: "foo" }, [1, 2], "bar"]);
+        });
+      });
+
+      it("selects values from the stream with a path", function() {
+        var emails;
+
+        runs(function() {
+          Lazy(createStream(['{"meta": {"total": 2}, "users": [{"ema', 'il": "a@b.c"}, ', '{"email": "d@e.f"}]}']))
+            .parse("$.users[*].email")
+            .toArray(function(err, result) { emails = result; });
+        });
+
+        waitsFor(function() {
+          return !!emails;
+        });
+
+        runs(function() {
+          expect(emails).toEqual(["a@b.c", "d@e.f"]);
+        });
+      });
+
+      it("rejects with a JsonParseError if the JSON is invalid", function() {
+        var error;
+
+        runs(function() {
+          Lazy.parse(Lazy(createStream(['[1, ', '2 3]']))).toArray().then(null, function(e) {
+            error = e;
+          });
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error instanceof Lazy.JsonParseError).toBe(true);
+          expect(error.column).toEqual(7);
+        });
+      });
+    });
+
+    describe("stopping early", function() {
+      var createReadStream = fs.createReadStream;
+
+      afterEach(function() {
+        fs.createReadStream = createReadStream;
+      });
+
+      it("closes the file", function() {
+        var streams = [],
+            lines;
+
+        fs.createReadStream = function() {
+          var stream = createReadStream.apply(fs, arguments);
+          streams.push(stream);
+          return stream;
+        };
+
+        runs(function() {
+          Lazy.readFile("./spec/data/lines.txt")
+            .lines()
+            .takeWhile(function(line, i) { return i < 3; })
+            .toArray(function(err, result) { lines = result; });
+        });
+
+        waitsFor(function() {
+          return !!lines;
+        });
+
+        runs(function() {
+          expect(lines.length).toEqual(3);
+          expect(streams.length).toEqual(1);
+          expect(streams[0].destroyed).toBe(true);
+        });
+      });
+    });
+
     describe("wrapping a stream directly", function() {
       it("works the same as calling a helper, e.g., readFile", function() {
         var lines = [];
@@ -56,4 +541,322 @@ describe("working with streams", function() {
       });
     });
   });
+
+  describe("writing to streams", function() {
+    function readAll(stream, callback) {
+      var chunks = [];
+      stream.on("data", function(chunk) { chunks.push(chunk); });
+      stream.on("end", function() { callback(chunks); });
+    }
+
+    function createWritable(objectMode) {
+      var writable = new Stream.Writable({ objectMode: objectMode });
+      writable.written = [];
+      writable._write = function(chunk, encoding, callback) {
+        writable.written.push(objectMode ? chunk : String(chunk));
+        callback();
+      };
+      return writable;
+    }
+
+    describe("toStream", function() {
+      it("produces each element in object mode by default", function() {
+        var chunks;
+
+        runs(function() {
+          readAll(Lazy([1, "two", { three: 3 }]).toStream(), function(result) { chunks = result; });
+        });
+
+        waitsFor(function() {
+          return !!chunks;
+        });
+
+        runs(function() {
+          expect(chunks).toEqual([1, "two", { three: 3 }]);
+        });
+      });
+
+      it("only pulls as many elements as are read", function() {
+        var generated = 0,
+            read = [];
+
+        runs(function() {
+          var stream = Lazy.generate(function(i) { ++generated; return i; })
+            .toStream({ highWaterMark: 2 });
+
+          stream.on("data", function(value) {
+            read.push(value);
+            if (read.length === 5) {
+              stream.pause();
+            }
+          });
+        });
+
+        waitsFor(function() {
+          return read.length >= 5;
+        });
+
+        runs(function() {
+          expect(read).toEqual([0, 1, 2, 3, 4]);
+          expect(generated).toBeLessThan(10);
+        });
+      });
+
+      it("formats elements as lines, ndjson or csv", function() {
+        var results = {};
+
+        runs(function() {
+          var records = Lazy([{ name: "Dan", note: "says \"hi\"" }, { name: "Jane, Esq.", note: null }]);
+
+          ["lines", "ndjson", "csv"].forEach(function(format) {
+            var source = format === "lines" ? Lazy(["foo", 1, true]) : records;
+            readAll(source.toStream({ format: format, encoding: "utf-8" }), function(chunks) {
+              results[format] = chunks.join("");
+            });
+          });
+        });
+
+        waitsFor(function() {
+          return Lazy(results).keys().toArray().length === 3;
+        });
+
+        runs(function() {
+          expect(results.lines).toEqual("foo\n1\ntrue\n");
+          expect(results.ndjson).toEqual('{"name":"Dan","note":"says \\"hi\\""}\n{"name":"Jane, Esq.","note":null}\n');
+          expect(results.csv).toEqual('name,note\r\nDan,"says ""hi"""\r\n"Jane, Esq.",\r\n');
+        });
+      });
+
+      it("works with asynchronous sequences", function() {
+        var chunks;
+
+        runs(function() {
+          var lines = Lazy(createStream(["foo\nb", "ar\n"])).lines();
+          readAll(lines.toStream({ format: "lines", encoding: "utf-8" }), function(result) {
+            chunks = result;
+          });
+        });
+
+        waitsFor(function() {
+          return !!chunks;
+        });
+
+        runs(function() {
+          expect(chunks.join("")).toEqual("foo\nbar\n");
+        });
+      });
+
+      it("pauses an asynchronous sequence while the stream's buffer is full", function() {
+        var produced = 0,
+            stream,
+            countBeforeReading,
+            chunks;
+
+        runs(function() {
+          stream = Lazy.range(100).async()
+            .map(function(x) { ++produced; return x; })
+            .toStream({ highWaterMark: 4 });
+
+          // Start the stream off, but don't read anything from it yet.
+          stream.read(0);
+          setTimeout(function() { countBeforeReading = produced; }, 50);
+        });
+
+        waitsFor(function() {
+          return typeof countBeforeReading === "number";
+        });
+
+        runs(function() {
+          expect(countBeforeReading).toBeLessThan(10);
+          readAll(stream, function(result) { chunks = result; });
+        });
+
+        waitsFor(function() {
+          return !!chunks;
+        });
+
+        runs(function() {
+          expect(chunks).toEqual(Lazy.range(100).toArray());
+        });
+      });
+
+      it("pauses a source stream while the stream's buffer is full", function() {
+        var source = createStream(Lazy.repeat("line\n", 100).toArray()),
+            stream,
+            paused;
+
+        runs(function() {
+          stream = Lazy(source).lines().toStream({ highWaterMark: 2 });
+          stream.read(0);
+          setTimeout(function() { paused = source.isPaused(); }, 50);
+        });
+
+        waitsFor(function() {
+          return typeof paused === "boolean";
+        });
+
+        runs(function() {
+          expect(paused).toBe(true);
+          stream.destroy();
+        });
+      });
+
+      it("emits an error if iteration fails", function() {
+        var error;
+
+        runs(function() {
+          var stream = Lazy([1, null]).toStream();
+          stream.on("error", function(e) { error = e; });
+          stream.resume();
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error).toMatch(/can't contain null/);
+        });
+      });
+    });
+
+    describe("pipe", function() {
+      it("writes each element to the stream, then resolves", function() {
+        var writable = createWritable(true),
+            done = false;
+
+        runs(function() {
+          Lazy([1, 2, 3]).pipe(writable).then(function() { done = true; });
+        });
+
+        waitsFor(function() {
+          return done;
+        });
+
+        runs(function() {
+          expect(writable.written).toEqual([1, 2, 3]);
+        });
+      });
+
+      it("writes strings to streams that aren't in object mode", function() {
+        var writable = createWritable(false),
+            done = false;
+
+        runs(function() {
+          Lazy(["a", 1]).pipe(writable, function() { done = true; });
+        });
+
+        waitsFor(function() {
+          return done;
+        });
+
+        runs(function() {
+          expect(writable.written).toEqual(["a", "1"]);
+        });
+      });
+
+      it("destroys the writable stream if reading from the sequence fails", function() {
+        var writable = createWritable(true),
+            error;
+
+        runs(function() {
+          Lazy([1, null]).pipe(writable).then(null, function(e) { error = e; });
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error).toMatch(/can't contain null/);
+          expect(writable.destroyed).toBe(true);
+        });
+      });
+
+      it("rejects if the writable stream emits an error", function() {
+        var writable = new Stream.Writable(),
+            error;
+
+        writable._write = function(chunk, encoding, callback) {
+          callback(new Error("disk full"));
+        };
+
+        runs(function() {
+          Lazy(["a", "b"]).pipe(writable).then(null, function(e) { error = e; });
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error.message).toEqual("disk full");
+        });
+      });
+    });
+
+    describe("writeFile", function() {
+      var file = path.join(os.tmpdir(), "lazy-spec-" + process.pid + ".txt");
+
+      afterEach(function() {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+
+      it("writes each element on its own line by default", function() {
+        var done = false;
+
+        runs(function() {
+          Lazy.range(0, 6, 2).async().writeFile(file).then(function() {
+            done = true;
+          });
+        });
+
+        waitsFor(function() {
+          return done;
+        });
+
+        runs(function() {
+          expect(fs.readFileSync(file, "utf-8")).toEqual("0\n2\n4\n");
+        });
+      });
+
+      it("writes in other formats, and can be read back", function() {
+        var records;
+
+        runs(function() {
+          Lazy([{ a: "1", b: "x,y" }, { a: "2", b: "z" }]).writeFile(file, { format: "csv" }, function(err) {
+            Lazy.readFile(file).csv().toArray(function(err, result) { records = result; });
+          });
+        });
+
+        waitsFor(function() {
+          return !!records;
+        });
+
+        runs(function() {
+          expect(records).toEqual([{ a: "1", b: "x,y" }, { a: "2", b: "z" }]);
+        });
+      });
+
+      it("reports errors through the callback", function() {
+        var error;
+
+        runs(function() {
+          Lazy([1]).writeFile(path.join(os.tmpdir(), "no-such-dir", "file.txt"), function(err) {
+            error = err;
+          });
+        });
+
+        waitsFor(function() {
+          return !!error;
+        });
+
+        runs(function() {
+          expect(error.code).toEqual("ENOENT");
+        });
+      });
+    });
+  });
 });